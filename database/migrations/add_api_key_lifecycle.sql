@@ -0,0 +1,31 @@
+-- =====================================================
+-- API Key Lifecycle Schema Enhancement
+-- Owner, scopes and revocation for hashed API keys used by the authorizer's X-API-Key path
+-- =====================================================
+
+-- =====================================================
+-- 1. API KEYS
+-- =====================================================
+
+-- Keys belong to the "Users" account the authorizer resolves by email
+ALTER TABLE api_keys ALTER COLUMN user_id DROP NOT NULL;
+
+ALTER TABLE api_keys
+    ADD COLUMN IF NOT EXISTS owner_email VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS description VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS scopes TEXT[] NOT NULL DEFAULT '{}', -- 'risk:read', 'bulk:write', 'reports:write', 'export:read', 'webhooks:manage'
+    ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP;
+
+-- =====================================================
+-- 2. INDEXES
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_owner_email ON api_keys(owner_email, created_at DESC);
+
+-- =====================================================
+-- 3. COMMENTS
+-- =====================================================
+
+COMMENT ON COLUMN api_keys.key_hash IS 'SHA-256 hex digest of the key; the key itself is only shown once at creation';
+COMMENT ON COLUMN api_keys.scopes IS 'Route groups the key may call, intersected with the owner''s subscription permissions';
+COMMENT ON COLUMN api_keys.revoked_at IS 'Set on revocation; revoked keys are rejected once the cached authorizer policy expires';
@@ -0,0 +1,13 @@
+-- =====================================================
+-- Building Code Assessment Schema Enhancement
+-- Jurisdiction lookups for the codes governing a property. Code adjustments are applied to
+-- property risk scores at request time, so stored risk assessments stay location-only.
+-- =====================================================
+
+-- =====================================================
+-- 1. INDEXES
+-- =====================================================
+
+-- Jurisdictions without a boundary polygon are matched through their county or state
+CREATE INDEX IF NOT EXISTS idx_building_code_jurisdictions_county ON building_code_jurisdictions(county_id) WHERE geom IS NULL;
+CREATE INDEX IF NOT EXISTS idx_building_code_jurisdictions_state ON building_code_jurisdictions(state_id) WHERE geom IS NULL;
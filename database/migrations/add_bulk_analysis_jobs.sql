@@ -0,0 +1,90 @@
+-- =====================================================
+-- Bulk Analysis Jobs Schema Enhancement
+-- Persisted, resumable bulk risk assessment jobs for professional users
+-- =====================================================
+
+-- =====================================================
+-- 1. BULK ANALYSIS JOBS
+-- =====================================================
+
+-- One row per submitted bulk analysis
+CREATE TABLE bulk_analysis_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+    -- Ownership (Cognito sub, or a hash of the API key for key-only callers)
+    owner_id VARCHAR(128) NOT NULL,
+    subscription_tier VARCHAR(20) NOT NULL,
+
+    -- Job definition
+    job_type VARCHAR(50) NOT NULL DEFAULT 'risk_assessment',
+    risk_types TEXT[] NOT NULL DEFAULT ARRAY['all'],
+    options JSONB DEFAULT '{}',
+
+    -- Lifecycle
+    status VARCHAR(20) NOT NULL DEFAULT 'queued', -- 'queued', 'processing', 'completed', 'failed', 'cancelled'
+    error_message TEXT,
+
+    -- Progress counters (recomputed from items after every chunk)
+    total_items INTEGER NOT NULL,
+    processed_items INTEGER NOT NULL DEFAULT 0,
+    successful_items INTEGER NOT NULL DEFAULT 0,
+    failed_items INTEGER NOT NULL DEFAULT 0,
+
+    -- Worker bookkeeping
+    attempts INTEGER NOT NULL DEFAULT 0, -- number of times a worker picked the job up
+    last_heartbeat_at TIMESTAMP, -- a stale heartbeat on a processing job means the worker died
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    CHECK (status IN ('queued', 'processing', 'completed', 'failed', 'cancelled')),
+    CHECK (processed_items <= total_items)
+);
+
+-- =====================================================
+-- 2. BULK ANALYSIS JOB ITEMS
+-- =====================================================
+
+-- One row per address in a job; the unit of resumption
+CREATE TABLE bulk_analysis_job_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_id UUID NOT NULL REFERENCES bulk_analysis_jobs(id) ON DELETE CASCADE,
+    item_index INTEGER NOT NULL, -- position in the submitted address list
+
+    address TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'processing', 'completed', 'failed'
+
+    -- Outcome
+    property_id UUID REFERENCES properties(id),
+    result JSONB, -- property summary and risk assessment
+    error_message TEXT,
+    retryable BOOLEAN DEFAULT TRUE,
+
+    attempts INTEGER NOT NULL DEFAULT 0,
+    claimed_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE(job_id, item_index),
+    CHECK (status IN ('pending', 'processing', 'completed', 'failed'))
+);
+
+-- =====================================================
+-- 3. INDEXES
+-- =====================================================
+
+CREATE INDEX idx_bulk_jobs_owner ON bulk_analysis_jobs(owner_id, created_at DESC);
+CREATE INDEX idx_bulk_jobs_active ON bulk_analysis_jobs(status, last_heartbeat_at)
+    WHERE status IN ('queued', 'processing');
+CREATE INDEX idx_bulk_job_items_job_status ON bulk_analysis_job_items(job_id, status, item_index);
+
+-- =====================================================
+-- 4. COMMENTS
+-- =====================================================
+
+COMMENT ON TABLE bulk_analysis_jobs IS 'Asynchronous bulk property risk analysis jobs';
+COMMENT ON TABLE bulk_analysis_job_items IS 'Per-address progress, results and errors for bulk analysis jobs';
+COMMENT ON COLUMN bulk_analysis_jobs.last_heartbeat_at IS 'Updated by the worker after each chunk; used to detect crashed workers';
+COMMENT ON COLUMN bulk_analysis_job_items.claimed_at IS 'When a worker started this item; stale claims are returned to pending on resume';
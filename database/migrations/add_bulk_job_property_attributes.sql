@@ -0,0 +1,17 @@
+-- =====================================================
+-- Bulk Job Property Attributes Schema Enhancement
+-- Structure characteristics submitted with bulk addresses for property risk scores
+-- =====================================================
+
+-- =====================================================
+-- 1. BULK ANALYSIS JOB ITEMS
+-- =====================================================
+
+ALTER TABLE bulk_analysis_job_items
+    ADD COLUMN IF NOT EXISTS property_attributes JSONB; -- yearBuilt, foundationType, firstFloorElevation, roofType, constructionClass, stories
+
+-- =====================================================
+-- 2. COMMENTS
+-- =====================================================
+
+COMMENT ON COLUMN bulk_analysis_job_items.property_attributes IS 'Validated attributes submitted with the address; applied through the vulnerability curves, not stored on the property';
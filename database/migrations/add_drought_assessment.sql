@@ -0,0 +1,34 @@
+-- =====================================================
+-- Drought Assessment Schema Enhancement
+-- US Drought Monitor history and precipitation normals behind each drought score
+-- =====================================================
+
+-- =====================================================
+-- 1. RISK ASSESSMENTS
+-- =====================================================
+
+-- Percent of weeks in each drought category over 5/10/20 years, precipitation normals and score confidence
+ALTER TABLE risk_assessments
+    ADD COLUMN IF NOT EXISTS drought_assessment JSONB;
+
+-- =====================================================
+-- 2. DROUGHT MONITOR GRID
+-- =====================================================
+
+-- Weekly USDM categories per 0.1 degree cell, precomputed by scripts/import-usdm-drought.js
+-- categories[n] is the week first_week + 7n days: -1 no drought, 0-4 D0-D4, NULL where no map was imported
+CREATE TABLE IF NOT EXISTS drought_monitor_cells (
+    grid_row INTEGER NOT NULL,
+    grid_col INTEGER NOT NULL,
+    first_week DATE NOT NULL,
+    categories SMALLINT[] NOT NULL,
+    updated_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (grid_row, grid_col)
+);
+
+-- =====================================================
+-- 3. COMMENTS
+-- =====================================================
+
+COMMENT ON COLUMN risk_assessments.drought_assessment IS 'Drought score inputs: US Drought Monitor weekly category frequencies, NOAA precipitation normals and confidence level; null when the drought monitor source was unavailable';
+COMMENT ON TABLE drought_monitor_cells IS 'US Drought Monitor weekly categories per 0.1 degree grid cell (row from 90S, column from 180W); one row per cell so a property lookup reads a single row';
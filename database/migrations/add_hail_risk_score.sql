@@ -0,0 +1,55 @@
+-- =====================================================
+-- Hail Risk Score Schema Enhancement
+-- Kernel density hail score from SPC storm reports stored beside the other hazard scores,
+-- and the imported SPC tornado tracks and hail reports it is computed from
+-- =====================================================
+
+-- =====================================================
+-- 1. RISK ASSESSMENTS
+-- =====================================================
+
+-- Weighted by hail size; contributes to overall_risk_score like the other hazards
+ALTER TABLE risk_assessments
+    ADD COLUMN IF NOT EXISTS hail_risk_score INTEGER
+        CHECK (hail_risk_score >= 0 AND hail_risk_score <= 100);
+
+-- =====================================================
+-- 2. STORM REPORTS
+-- =====================================================
+
+-- SPC severe weather database, loaded by scripts/import-spc-storm-reports.js
+-- Tornadoes are whole-track LINESTRINGs (points when no end was recorded); hail reports are POINTs
+CREATE TABLE IF NOT EXISTS storm_reports (
+    id SERIAL PRIMARY KEY,
+    report_type VARCHAR(10) NOT NULL CHECK (report_type IN ('tornado', 'hail')),
+    report_year SMALLINT NOT NULL,
+    report_date DATE,
+    magnitude DECIMAL(4,2), -- EF rating, or hail size in inches; NULL for unrated tornadoes
+    start_lat DECIMAL(8,5) NOT NULL,
+    start_lon DECIMAL(9,5) NOT NULL,
+    end_lat DECIMAL(8,5) NOT NULL,
+    end_lon DECIMAL(9,5) NOT NULL,
+    length_km DECIMAL(7,1),
+    width_m INTEGER,
+    geom GEOMETRY(GEOMETRY, 4326) NOT NULL,
+    imported_at TIMESTAMP DEFAULT NOW()
+);
+
+-- =====================================================
+-- 3. INDEXES
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_storm_reports_geom ON storm_reports USING GIST(geom);
+CREATE INDEX IF NOT EXISTS idx_storm_reports_type_year ON storm_reports(report_type, report_year);
+
+-- Hail exposure screening across a portfolio
+CREATE INDEX IF NOT EXISTS idx_risk_assessments_hail_score
+    ON risk_assessments(hail_risk_score)
+    WHERE hail_risk_score IS NOT NULL;
+
+-- =====================================================
+-- 4. COMMENTS
+-- =====================================================
+
+COMMENT ON COLUMN risk_assessments.hail_risk_score IS 'Hail risk (0-100) from size-weighted kernel density of SPC hail reports of 1 inch or larger, with FEMA NRI hail ratings where available';
+COMMENT ON TABLE storm_reports IS 'SPC tornado tracks (1990 on) and hail reports of 1 inch or larger (1995 on); replaced per report type on each import';
@@ -0,0 +1,37 @@
+-- =====================================================
+-- Landslide and Volcanic Risk Schema Enhancement
+-- USGS terrain-slope landslide susceptibility and volcano proximity scores stored with each assessment
+-- =====================================================
+
+-- =====================================================
+-- 1. RISK ASSESSMENTS
+-- =====================================================
+
+-- Both contribute to overall_risk_score like the other hazards
+ALTER TABLE risk_assessments
+    ADD COLUMN IF NOT EXISTS landslide_risk_score INTEGER
+        CHECK (landslide_risk_score >= 0 AND landslide_risk_score <= 100);
+
+ALTER TABLE risk_assessments
+    ADD COLUMN IF NOT EXISTS volcanic_risk_score INTEGER
+        CHECK (volcanic_risk_score >= 0 AND volcanic_risk_score <= 100);
+
+-- =====================================================
+-- 2. INDEXES
+-- =====================================================
+
+-- Geologic hazard screening across West Coast and Pacific Northwest portfolios
+CREATE INDEX IF NOT EXISTS idx_risk_assessments_landslide_score
+    ON risk_assessments(landslide_risk_score)
+    WHERE landslide_risk_score IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_risk_assessments_volcanic_score
+    ON risk_assessments(volcanic_risk_score)
+    WHERE volcanic_risk_score IS NOT NULL;
+
+-- =====================================================
+-- 3. COMMENTS
+-- =====================================================
+
+COMMENT ON COLUMN risk_assessments.landslide_risk_score IS 'Landslide susceptibility (0-100) from USGS 3DEP terrain slope and local relief; null where elevations are unavailable';
+COMMENT ON COLUMN risk_assessments.volcanic_risk_score IS 'Volcanic risk (0-100) from distance to US volcanoes weighted by their USGS NVEWS threat ranking';
@@ -0,0 +1,67 @@
+-- =====================================================
+-- NFHL Flood Zone Schema Enhancement
+-- FEMA National Flood Hazard Layer import and per-property zone determinations
+-- =====================================================
+
+-- =====================================================
+-- 1. FLOOD ZONES
+-- =====================================================
+
+-- One row per NFHL S_FLD_HAZ_AR polygon; re-imports update rows by FLD_AR_ID
+ALTER TABLE flood_zones
+    ADD COLUMN IF NOT EXISTS fld_ar_id VARCHAR(32) UNIQUE,
+    ADD COLUMN IF NOT EXISTS zone_subtype VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS superseded_at TIMESTAMP; -- set when a newer import for the same DFIRM no longer contains the polygon
+
+-- =====================================================
+-- 2. FIRM PANELS
+-- =====================================================
+
+-- NFHL S_FIRM_PAN panel footprints, used for the panel number on a property's determination
+CREATE TABLE IF NOT EXISTS flood_map_panels (
+    id SERIAL PRIMARY KEY,
+    panel_number VARCHAR(11) NOT NULL UNIQUE, -- FIRM_PAN, e.g. 12086C0456L
+    community_id VARCHAR(6), -- DFIRM_ID
+    panel_type VARCHAR(50),
+    effective_date DATE,
+    geom GEOMETRY(MULTIPOLYGON, 4326),
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- =====================================================
+-- 3. PROPERTY FLOOD ZONES
+-- =====================================================
+
+-- Determination details are copied so they survive later map revisions
+ALTER TABLE property_flood_zones
+    ADD COLUMN IF NOT EXISTS zone_code VARCHAR(10),
+    ADD COLUMN IF NOT EXISTS panel_number VARCHAR(11),
+    ADD COLUMN IF NOT EXISTS insurance_required BOOLEAN,
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW();
+
+-- Panels without an effective date record a null date, kept as one key by the unique index below.
+-- The baseline UNIQUE(property_id, flood_zone_id, effective_date) is dropped by its generated name,
+-- which Postgres truncated to 63 characters.
+ALTER TABLE property_flood_zones ALTER COLUMN effective_date DROP NOT NULL;
+ALTER TABLE property_flood_zones
+    DROP CONSTRAINT IF EXISTS property_flood_zones_property_id_flood_zone_id_effective_da_key;
+
+-- =====================================================
+-- 4. INDEXES
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_flood_map_panels_geom ON flood_map_panels USING GIST (geom);
+CREATE INDEX IF NOT EXISTS idx_flood_zones_community ON flood_zones(community_id) WHERE superseded_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_property_flood_zones_property ON property_flood_zones(property_id, effective_date DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_property_flood_zones_determination
+    ON property_flood_zones(property_id, flood_zone_id, effective_date) NULLS NOT DISTINCT;
+
+-- =====================================================
+-- 5. COMMENTS
+-- =====================================================
+
+COMMENT ON TABLE flood_map_panels IS 'FEMA FIRM panel footprints from the National Flood Hazard Layer';
+COMMENT ON COLUMN flood_zones.insurance_required IS 'Special Flood Hazard Area (SFHA_TF); flood insurance is mandatory for federally backed mortgages';
+COMMENT ON COLUMN property_flood_zones.insurance_required IS 'Mandatory purchase requirement at the time of the determination';
+COMMENT ON COLUMN property_flood_zones.effective_date IS 'FIRM panel effective date; null when the panel has none';
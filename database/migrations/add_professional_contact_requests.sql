@@ -0,0 +1,55 @@
+-- =====================================================
+-- Professional Contact Requests Schema Enhancement
+-- Contact requests relayed to directory professionals without exposing the sender's email
+-- =====================================================
+
+-- =====================================================
+-- 1. PROFESSIONAL CONTACT REQUESTS
+-- =====================================================
+
+CREATE TABLE professional_contact_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    professional_id UUID NOT NULL REFERENCES professionals(id) ON DELETE CASCADE,
+
+    -- Sender (Cognito sub, or a hash of the API key for key-only callers); their email is never sent to the professional
+    sender_id VARCHAR(128) NOT NULL,
+    sender_name VARCHAR(100),
+    sender_phone VARCHAR(20), -- Only when the sender chose to share it
+
+    -- Request
+    property_address TEXT,
+    message TEXT NOT NULL,
+
+    -- Relay
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'relayed', 'failed')),
+    relay_message_id VARCHAR(255),
+    error_message TEXT,
+
+    -- Replies through the per-request relay address reply+{reply_token}@CONTACT_RELAY_REPLY_DOMAIN
+    reply_token VARCHAR(64) UNIQUE,
+    reply_email VARCHAR(255), -- Sender address the professional's replies are forwarded to
+    reply_count INTEGER NOT NULL DEFAULT 0,
+    last_reply_at TIMESTAMP,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    relayed_at TIMESTAMP
+);
+
+-- =====================================================
+-- 2. INDEXES
+-- =====================================================
+
+-- Rate limiting looks back over a sender's recent requests
+CREATE INDEX idx_contact_requests_sender ON professional_contact_requests(sender_id, created_at DESC);
+CREATE INDEX idx_contact_requests_professional ON professional_contact_requests(professional_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_professionals_specializations ON professionals USING GIN (specialization_areas);
+
+-- =====================================================
+-- 3. COMMENTS
+-- =====================================================
+
+COMMENT ON TABLE professional_contact_requests IS 'Directory contact requests; messages are relayed from a platform address so the sender''s email stays private';
+COMMENT ON COLUMN professional_contact_requests.relay_message_id IS 'Message id returned by the mail service for the relayed email';
+COMMENT ON COLUMN professional_contact_requests.reply_token IS 'Token in the relay address replies are sent to; null when the sender has no email or replies are not configured';
+COMMENT ON COLUMN professional_contact_requests.reply_email IS 'Where replies from the professional are forwarded; never included in relayed mail';
@@ -0,0 +1,59 @@
+-- =====================================================
+-- Property Reports Schema Enhancement
+-- Status records for asynchronously generated PDF property risk reports
+-- =====================================================
+
+-- =====================================================
+-- 1. PROPERTY REPORTS
+-- =====================================================
+
+-- One row per requested report; the PDF itself lives in the reports bucket
+CREATE TABLE property_reports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+    -- Ownership (Cognito sub, or a hash of the API key for key-only callers)
+    owner_id VARCHAR(128) NOT NULL,
+
+    -- Report definition
+    address TEXT NOT NULL,
+    property_id UUID REFERENCES properties(id),
+    report_type VARCHAR(20) NOT NULL DEFAULT 'comprehensive', -- 'basic', 'comprehensive', 'executive'
+    template VARCHAR(20) NOT NULL DEFAULT 'standard', -- 'standard', 'professional', 'branded'
+    options JSONB DEFAULT '{}', -- sections, branding, scenario
+
+    -- Lifecycle
+    status VARCHAR(20) NOT NULL DEFAULT 'generating', -- 'generating', 'completed', 'failed'
+    error_message TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+
+    -- Output
+    storage_key TEXT,
+    file_size_bytes INTEGER,
+    page_count INTEGER,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL DEFAULT (NOW() + INTERVAL '90 days'),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    CHECK (status IN ('generating', 'completed', 'failed')),
+    CHECK (report_type IN ('basic', 'comprehensive', 'executive')),
+    CHECK (template IN ('standard', 'professional', 'branded'))
+);
+
+-- =====================================================
+-- 2. INDEXES
+-- =====================================================
+
+CREATE INDEX idx_property_reports_owner ON property_reports(owner_id, created_at DESC);
+CREATE INDEX idx_property_reports_generating ON property_reports(status, started_at)
+    WHERE status = 'generating';
+
+-- =====================================================
+-- 3. COMMENTS
+-- =====================================================
+
+COMMENT ON TABLE property_reports IS 'Asynchronously generated PDF property risk reports';
+COMMENT ON COLUMN property_reports.storage_key IS 'Object key of the PDF in the reports bucket';
+COMMENT ON COLUMN property_reports.expires_at IS 'Matches the reports bucket lifecycle rule; expired reports can no longer be downloaded';
@@ -0,0 +1,42 @@
+-- =====================================================
+-- Saved Properties Schema Enhancement
+-- Properties bookmarked by users for monitoring and export
+-- =====================================================
+
+-- =====================================================
+-- 1. SAVED PROPERTIES
+-- =====================================================
+
+-- One row per property a user or API key owner has saved
+CREATE TABLE saved_properties (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+    -- Ownership (Cognito sub, or a hash of the API key for key-only callers)
+    owner_id VARCHAR(128) NOT NULL,
+    property_id UUID NOT NULL REFERENCES properties(id) ON DELETE CASCADE,
+
+    -- User annotations
+    label VARCHAR(255),
+    notes TEXT,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE(owner_id, property_id)
+);
+
+-- =====================================================
+-- 2. INDEXES
+-- =====================================================
+
+CREATE INDEX idx_saved_properties_owner ON saved_properties(owner_id, created_at);
+-- Owners watching a property (webhook recipients for its assessment events)
+CREATE INDEX idx_saved_properties_property ON saved_properties(property_id);
+CREATE INDEX idx_risk_assessments_property_date ON risk_assessments(property_id, assessment_date DESC);
+
+-- =====================================================
+-- 3. COMMENTS
+-- =====================================================
+
+COMMENT ON TABLE saved_properties IS 'Properties saved by users for monitoring, reports and CSV export';
+COMMENT ON COLUMN saved_properties.owner_id IS 'Same owner identifier as bulk_analysis_jobs.owner_id';
@@ -0,0 +1,33 @@
+-- =====================================================
+-- Sea Level Rise Assessment Schema Enhancement
+-- Coastal inundation score and NOAA scenario probabilities stored with each assessment
+-- =====================================================
+
+-- =====================================================
+-- 1. RISK ASSESSMENTS
+-- =====================================================
+
+-- Reported beside the hazard scores; not part of overall_risk_score
+ALTER TABLE risk_assessments
+    ADD COLUMN IF NOT EXISTS sea_level_rise_risk_score INTEGER
+        CHECK (sea_level_rise_risk_score >= 0 AND sea_level_rise_risk_score <= 100);
+
+-- Ground elevation, shoreline distance and inundation probabilities by scenario and year
+ALTER TABLE risk_assessments
+    ADD COLUMN IF NOT EXISTS sea_level_rise JSONB;
+
+-- =====================================================
+-- 2. INDEXES
+-- =====================================================
+
+-- Coastal exposure screening across a portfolio
+CREATE INDEX IF NOT EXISTS idx_risk_assessments_sea_level_rise_score
+    ON risk_assessments(sea_level_rise_risk_score)
+    WHERE sea_level_rise_risk_score IS NOT NULL;
+
+-- =====================================================
+-- 3. COMMENTS
+-- =====================================================
+
+COMMENT ON COLUMN risk_assessments.sea_level_rise_risk_score IS 'Coastal inundation risk (0-100) under NOAA intermediate and high sea level rise at 2050 and 2100; null without grid coverage';
+COMMENT ON COLUMN risk_assessments.sea_level_rise IS 'Sea level rise assessment details: elevation above MHHW, shoreline distance and inundation probabilities';
@@ -0,0 +1,37 @@
+-- =====================================================
+-- API Usage Logging Schema Enhancement
+-- Per-request columns written by trackApiUsage for billing and rate reporting
+-- =====================================================
+
+-- digest() used by the calculate_address_hash trigger on properties
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+-- =====================================================
+-- 1. USAGE LOGS
+-- =====================================================
+
+ALTER TABLE usage_logs
+    ADD COLUMN IF NOT EXISTS owner_id VARCHAR(128), -- Cognito sub, or a hash of the API key for key-only callers
+    ADD COLUMN IF NOT EXISTS api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS endpoint VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS http_method VARCHAR(10),
+    ADD COLUMN IF NOT EXISTS status_code INTEGER,
+    ADD COLUMN IF NOT EXISTS property_count INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS cost_usd NUMERIC(10, 4) DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS user_agent TEXT,
+    ADD COLUMN IF NOT EXISTS ip_address INET;
+
+-- =====================================================
+-- 2. INDEXES
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_usage_logs_owner_date ON usage_logs(owner_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_usage_logs_api_key_date ON usage_logs(api_key_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_property_aliases_property ON property_aliases(property_id);
+
+-- =====================================================
+-- 3. COMMENTS
+-- =====================================================
+
+COMMENT ON COLUMN usage_logs.owner_id IS 'Same owner identifier as bulk_analysis_jobs.owner_id';
+COMMENT ON COLUMN usage_logs.cost_usd IS 'Per-request cost in dollars; cost_cents is the rounded value';
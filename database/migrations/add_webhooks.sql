@@ -0,0 +1,80 @@
+-- =====================================================
+-- Webhooks Schema Enhancement
+-- Outbound webhook subscriptions and their delivery log
+-- =====================================================
+
+-- =====================================================
+-- 1. WEBHOOKS
+-- =====================================================
+
+CREATE TABLE webhooks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+    -- Ownership (Cognito sub, or a hash of the API key for key-only callers)
+    owner_id VARCHAR(128) NOT NULL,
+
+    -- Endpoint
+    url TEXT NOT NULL,
+    description VARCHAR(255),
+    events TEXT[] NOT NULL, -- 'assessment.completed', 'assessment.changed', 'bulk_job.completed', 'alert.triggered'
+    secret VARCHAR(128) NOT NULL, -- HMAC-SHA256 signing key; needed in plain text to sign deliveries
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+
+    -- Latest delivery outcome
+    last_delivery_at TIMESTAMP,
+    last_delivery_status VARCHAR(20),
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- =====================================================
+-- 2. WEBHOOK DELIVERIES
+-- =====================================================
+
+-- One row per attempt sequence; a redelivery is a new row pointing at the original
+CREATE TABLE webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    webhook_id UUID NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+
+    -- Event
+    event_id UUID NOT NULL, -- Shared by every delivery of the same event so receivers can deduplicate
+    event_type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    redelivery_of UUID REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+
+    -- Lifecycle
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'succeeded', 'failed'
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP DEFAULT NOW(),
+
+    -- Last attempt
+    response_status INTEGER,
+    response_body TEXT,
+    error_message TEXT,
+    duration_ms INTEGER,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    delivered_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    CHECK (status IN ('pending', 'succeeded', 'failed'))
+);
+
+-- =====================================================
+-- 3. INDEXES
+-- =====================================================
+
+CREATE INDEX idx_webhooks_owner ON webhooks(owner_id);
+CREATE INDEX idx_webhooks_events ON webhooks USING GIN (events) WHERE is_active;
+CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at DESC);
+CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at)
+    WHERE status = 'pending';
+
+-- =====================================================
+-- 4. COMMENTS
+-- =====================================================
+
+COMMENT ON TABLE webhooks IS 'Outbound webhook subscriptions for professional accounts';
+COMMENT ON TABLE webhook_deliveries IS 'Signed webhook deliveries with exponential-backoff retry state';
+COMMENT ON COLUMN webhook_deliveries.next_attempt_at IS 'When the delivery is next due; also leases in-flight attempts against the retry sweep';
@@ -1,6 +1,7 @@
-// JWT Authorizer Function for Seawater Climate Risk Platform
+// JWT and API Key Authorizer Function for Seawater Climate Risk Platform
 // Follows Tim-Combo security patterns with email-based user identification
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { Pool } = require('pg');
 
@@ -12,20 +13,65 @@ const pool = new Pool({
   idleTimeoutMillis: 30000,
 });
 
+// Routes each API key scope grants, as "METHOD/path" with * matching one path segment.
+// Keep the scope names in sync with API_KEY_SCOPES in src/helpers/apiKeys.js.
+const API_KEY_SCOPE_ROUTES = {
+  'risk:read': [
+    'GET/properties/risk',
+    'POST/properties/compare',
+    'POST/properties/mitigation/simulate',
+    'GET/properties/trends/*',
+    'GET/properties/spatial/nearby',
+    'GET/geographic/boundaries/*/*',
+    'GET/geographic/disasters/history'
+  ],
+  'bulk:write': [
+    'POST/professional/bulk/risk-assessment',
+    'GET/professional/bulk/jobs/*'
+  ],
+  'reports:write': [
+    'POST/professional/reports/property',
+    'GET/professional/reports',
+    'GET/professional/reports/*',
+    'GET/professional/reports/*/download'
+  ],
+  'export:read': [
+    'POST/professional/export/csv'
+  ],
+  'webhooks:manage': [
+    'GET/professional/webhooks',
+    'POST/professional/webhooks',
+    'PUT/professional/webhooks/*',
+    'DELETE/professional/webhooks/*',
+    'GET/professional/webhooks/*/deliveries',
+    'POST/professional/webhooks/*/deliveries/*/redeliver'
+  ]
+};
+
 /**
- * JWT Authorizer Lambda Function
- * Validates JWT tokens and checks trial/subscription status
+ * Authorizer Lambda Function
+ * Validates JWT tokens or X-API-Key keys and checks trial/subscription status.
+ * Both paths produce the same policy and context; API keys are further limited to their scopes.
  */
 exports.handler = async (event, context) => {
+  const apiKey = getHeader(event.headers, 'x-api-key');
+  const authorization = getHeader(event.headers, 'authorization');
+
   console.log('Authorizer invoked:', {
     methodArn: event.methodArn,
-    hasToken: !!event.authorizationToken,
+    hasToken: !!authorization,
+    hasApiKey: !!apiKey,
     requestId: context.awsRequestId
   });
 
   try {
+    // Integration servers authenticate with an API key instead of a Cognito user
+    if (apiKey && !authorization) {
+      return await authorizeApiKey(apiKey, event.methodArn, context);
+    }
+
     // Extract token from Authorization header
-    const token = extractToken(event.authorizationToken);
+    const token = extractToken(authorization);
     if (!token) {
       throw new Error('No token provided');
     }
@@ -51,7 +97,8 @@ exports.handler = async (event, context) => {
     }
 
     // Generate IAM policy based on user subscription tier
-    const policy = generatePolicy(email, userInfo, event.methodArn);
+    const policy = generatePolicy(email, { ...userInfo, cognito_user_id: userInfo.cognito_user_id || cognitoUserId }, event.methodArn);
+    policy.context.auth_type = 'jwt';
     
     console.log('Authorization successful:', {
       email,
@@ -65,7 +112,8 @@ exports.handler = async (event, context) => {
   } catch (error) {
     console.error('Authorization failed:', {
       error: error.message,
-      token: event.authorizationToken ? 'present' : 'missing',
+      token: authorization ? 'present' : 'missing',
+      apiKey: apiKey ? 'present' : 'missing',
       requestId: context.awsRequestId
     });
     
@@ -73,6 +121,120 @@ exports.handler = async (event, context) => {
   }
 };
 
+/**
+ * Authorize an X-API-Key request as the key's owner, limited to the key's scopes
+ * Authorizer results are not cached, so a revoked key stops working on its next request.
+ */
+async function authorizeApiKey(apiKey, methodArn, context) {
+  const keyInfo = await getApiKeyInfo(apiKey);
+  if (!keyInfo) {
+    throw new Error('Invalid API key');
+  }
+
+  if (!keyInfo.is_active || keyInfo.revoked_at) {
+    throw new Error('API key revoked');
+  }
+
+  if (keyInfo.expires_at && new Date(keyInfo.expires_at) <= new Date()) {
+    throw new Error('API key expired');
+  }
+
+  const userInfo = await getUserInfo(keyInfo.owner_email);
+  if (!userInfo) {
+    throw new Error('API key owner not found');
+  }
+
+  if (userInfo.User_Status !== 'Active' || !userInfo.active) {
+    throw new Error('User account not active');
+  }
+
+  const policy = generatePolicy(keyInfo.owner_email, userInfo, methodArn);
+  restrictPolicyToScopes(policy, keyInfo.scopes || []);
+  policy.context.auth_type = 'api_key';
+  policy.context.api_key_id = keyInfo.id;
+  policy.context.api_key_scopes = (keyInfo.scopes || []).join(',');
+
+  await recordApiKeyUse(keyInfo.id);
+
+  console.log('API key authorization successful:', {
+    email: keyInfo.owner_email,
+    apiKeyId: keyInfo.id,
+    keyPrefix: keyInfo.key_prefix,
+    scopes: keyInfo.scopes,
+    requestId: context.awsRequestId
+  });
+
+  return policy;
+}
+
+/**
+ * Case-insensitive header lookup (REQUEST authorizers receive headers as sent)
+ */
+function getHeader(headers, name) {
+  if (!headers) {
+    return null;
+  }
+
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+  return key ? headers[key] : null;
+}
+
+/**
+ * Look up an API key by the SHA-256 hash of the presented key
+ */
+async function getApiKeyInfo(apiKey) {
+  const keyHash = crypto.createHash('sha256').update(apiKey.trim()).digest('hex');
+
+  const query = `
+    SELECT id, owner_email, key_prefix, scopes, is_active, revoked_at, expires_at
+    FROM api_keys
+    WHERE key_hash = $1
+    LIMIT 1
+  `;
+
+  try {
+    const result = await pool.query(query, [keyHash]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('API key lookup failed:', error);
+    throw new Error('Database error');
+  }
+}
+
+/**
+ * Record last-used time and request count; failures are logged, not fatal
+ */
+async function recordApiKeyUse(apiKeyId) {
+  try {
+    await pool.query(
+      `UPDATE api_keys SET last_used = NOW(), total_requests = total_requests + 1 WHERE id = $1`,
+      [apiKeyId]
+    );
+  } catch (error) {
+    console.error('Failed to record API key use:', error);
+  }
+}
+
+/**
+ * Drop every allowed resource the key's scopes do not cover
+ * The health check stays available to any valid key.
+ */
+function restrictPolicyToScopes(policy, scopes) {
+  const allowedRoutes = ['GET/health'].concat(...scopes.map(scope => API_KEY_SCOPE_ROUTES[scope] || []));
+  const routePatterns = allowedRoutes.map(route => new RegExp(`^${route.replace(/\*/g, '[^/]+')}$`));
+
+  policy.policyDocument.Statement = policy.policyDocument.Statement
+    .map(statement => ({
+      ...statement,
+      Resource: statement.Resource.filter(resource => {
+        // Resource format: arn:aws:execute-api:region:account:api-id/stage/METHOD/path
+        const route = resource.split('/').slice(2).join('/');
+        return routePatterns.some(pattern => pattern.test(route));
+      })
+    }))
+    .filter(statement => statement.Resource.length > 0);
+}
+
 /**
  * Extract JWT token from Authorization header
  */
@@ -108,6 +270,7 @@ async function getUserInfo(email) {
       "trial_expires_at",
       "email_verified",
       "marketing_consent",
+      "cognito_user_id",
       "Create_Date"
     FROM "Users" 
     WHERE "Email_Address" = $1 
@@ -140,6 +303,7 @@ function generatePolicy(email, userInfo, methodArn) {
     },
     context: {
       email_address: email,
+      user_id: userInfo.cognito_user_id || '',
       client_id: userInfo.Client_ID,
       user_status: userInfo.User_Status,
       subscription_tier: userInfo.subscription_tier || 'trial',
@@ -156,13 +320,21 @@ function generatePolicy(email, userInfo, methodArn) {
   const permissions = getPermissions(userInfo);
   
   // Allow basic user endpoints for all authenticated users
+  // (API key creation is further limited to professional tiers by its handler)
   policy.policyDocument.Statement.push({
     Action: 'execute-api:Invoke',
     Effect: 'Allow',
     Resource: [
-      `${apiGatewayArn}/*/GET/user/profile`,
-      `${apiGatewayArn}/*/PUT/user/profile`,
-      `${apiGatewayArn}/*/POST/user/consent`,
+      `${apiGatewayArn}/*/GET/users/profile`,
+      `${apiGatewayArn}/*/PUT/users/profile`,
+      `${apiGatewayArn}/*/GET/users/subscription`,
+      `${apiGatewayArn}/*/GET/users/usage`,
+      `${apiGatewayArn}/*/GET/api-keys`,
+      `${apiGatewayArn}/*/POST/api-keys`,
+      `${apiGatewayArn}/*/DELETE/api-keys/*/revoke`,
+      `${apiGatewayArn}/*/GET/professionals/search`,
+      `${apiGatewayArn}/*/GET/professionals/*`,
+      `${apiGatewayArn}/*/POST/professionals/contact`,
       `${apiGatewayArn}/*/GET/health`
     ]
   });
@@ -174,7 +346,14 @@ function generatePolicy(email, userInfo, methodArn) {
       Effect: 'Allow',
       Resource: [
         `${apiGatewayArn}/*/GET/properties/risk`,
-        `${apiGatewayArn}/*/POST/properties/compare`
+        `${apiGatewayArn}/*/POST/properties/compare`,
+        `${apiGatewayArn}/*/POST/properties/mitigation/simulate`,
+        `${apiGatewayArn}/*/GET/properties/trends/*`,
+        `${apiGatewayArn}/*/GET/properties/spatial/nearby`,
+        `${apiGatewayArn}/*/POST/geocoding/address`,
+        `${apiGatewayArn}/*/GET/geocoding/reverse`,
+        `${apiGatewayArn}/*/GET/geographic/boundaries/*/*`,
+        `${apiGatewayArn}/*/GET/geographic/disasters/history`
       ]
     });
   }
@@ -186,7 +365,17 @@ function generatePolicy(email, userInfo, methodArn) {
       Resource: [
         `${apiGatewayArn}/*/POST/professional/bulk/risk-assessment`,
         `${apiGatewayArn}/*/GET/professional/bulk/jobs/*`,
-        `${apiGatewayArn}/*/GET/professional/reports/*`
+        `${apiGatewayArn}/*/POST/professional/reports/property`,
+        `${apiGatewayArn}/*/GET/professional/reports`,
+        `${apiGatewayArn}/*/GET/professional/reports/*`,
+        `${apiGatewayArn}/*/GET/professional/reports/*/download`,
+        `${apiGatewayArn}/*/POST/professional/export/csv`,
+        `${apiGatewayArn}/*/GET/professional/webhooks`,
+        `${apiGatewayArn}/*/POST/professional/webhooks`,
+        `${apiGatewayArn}/*/PUT/professional/webhooks/*`,
+        `${apiGatewayArn}/*/DELETE/professional/webhooks/*`,
+        `${apiGatewayArn}/*/GET/professional/webhooks/*/deliveries`,
+        `${apiGatewayArn}/*/POST/professional/webhooks/*/deliveries/*/redeliver`
       ]
     });
   }
@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+
+/**
+ * Seawater FEMA NFHL Flood Zone Importer
+ *
+ * Loads FEMA National Flood Hazard Layer flood hazard areas (S_FLD_HAZ_AR) and FIRM panel
+ * footprints (S_FIRM_PAN) into the flood_zones and flood_map_panels tables. getPropertyRisk
+ * intersects each property with these zones to report its flood zone, base flood elevation,
+ * panel number and whether flood insurance is mandatory.
+ *
+ * Sources may be the NFHL state/county geodatabase or shapefile downloads from the FEMA Map
+ * Service Center (zip archives are read in place), or GeoJSON exports of the same layers.
+ * Re-importing a DFIRM updates zones by FLD_AR_ID and marks zones missing from the new
+ * version as superseded.
+ *
+ * Usage:
+ *   node scripts/import-nfhl-flood-zones.js --source NFHL_12_20240105.zip
+ *   node scripts/import-nfhl-flood-zones.js --source S_FLD_HAZ_AR.geojson --panels S_FIRM_PAN.geojson
+ *
+ * Options:
+ *   --source <path>         Dataset containing the flood hazard areas
+ *   --hazard-layer <name>   Layer in --source (default S_FLD_HAZ_AR; omitted for GeoJSON)
+ *   --panels <path>         Dataset containing FIRM panels (default: --source)
+ *   --panel-layer <name>    Layer in --panels (default S_FIRM_PAN; omitted for GeoJSON)
+ *   --no-panels             Skip panels; zones keep no panel number
+ *
+ * Requires ogr2ogr on the PATH and the DB_* environment variables used by dbClient.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getClient, closePool } = require('../src/helpers/dbClient');
+const { FLOOD_ZONE_DESCRIPTIONS } = require('../src/helpers/floodZones');
+const { loadIntoStaging, mergeStaging } = require('./utils/postgisStaging');
+
+const HAZARD_STAGING_TABLE = 'nfhl_stage_hazard_areas';
+const PANEL_STAGING_TABLE = 'nfhl_stage_panels';
+
+// NFHL uses -9999 for "no static BFE"
+const NO_BFE = -9999;
+const FEET_PER_METER = 3.28084;
+
+function isGeoJson(sourcePath) {
+  return /\.(geo)?json$/i.test(sourcePath);
+}
+
+function parseArgs(argv) {
+  const options = {
+    source: null,
+    hazardLayer: null,
+    panels: null,
+    panelLayer: null,
+    includePanels: true
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--source':
+        options.source = path.resolve(value);
+        i++;
+        break;
+      case '--hazard-layer':
+        options.hazardLayer = value;
+        i++;
+        break;
+      case '--panels':
+        options.panels = path.resolve(value);
+        i++;
+        break;
+      case '--panel-layer':
+        options.panelLayer = value;
+        i++;
+        break;
+      case '--no-panels':
+        options.includePanels = false;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  if (!options.source) {
+    throw new Error('--source is required');
+  }
+  options.panels = options.panels || options.source;
+
+  for (const sourcePath of options.includePanels ? [options.source, options.panels] : [options.source]) {
+    if (!fs.existsSync(sourcePath)) {
+      throw new Error(`Source not found: ${sourcePath}`);
+    }
+  }
+
+  // GeoJSON files hold a single layer
+  if (!options.hazardLayer && !isGeoJson(options.source)) {
+    options.hazardLayer = 'S_FLD_HAZ_AR';
+  }
+  if (!options.panelLayer && !isGeoJson(options.panels)) {
+    options.panelLayer = 'S_FIRM_PAN';
+  }
+
+  if (options.includePanels && options.panels === options.source && isGeoJson(options.source)) {
+    throw new Error('GeoJSON sources need a separate --panels file, or --no-panels');
+  }
+
+  return options;
+}
+
+/**
+ * Merge statements for panels and hazard areas
+ * ogr2ogr lowercases NFHL field names (FLD_ZONE -> fld_zone).
+ */
+function getMergeStatements(includePanels) {
+  const statements = [];
+
+  if (includePanels) {
+    statements.push(
+      `INSERT INTO flood_map_panels (panel_number, community_id, panel_type, effective_date, geom)
+       SELECT DISTINCT ON (firm_pan) firm_pan, dfirm_id, panel_typ, eff_date::date, geom
+       FROM ${PANEL_STAGING_TABLE}
+       WHERE firm_pan IS NOT NULL
+       ORDER BY firm_pan, eff_date DESC NULLS LAST
+       ON CONFLICT (panel_number) DO UPDATE SET
+          community_id = EXCLUDED.community_id,
+          panel_type = EXCLUDED.panel_type,
+          effective_date = EXCLUDED.effective_date,
+          geom = EXCLUDED.geom,
+          updated_at = NOW()`
+    );
+  }
+
+  // Zones spanning several panels take the panel at their interior point; property
+  // determinations use the panel containing the property instead
+  const panelJoin = includePanels
+    ? `LEFT JOIN LATERAL (
+           SELECT panel_number, effective_date
+           FROM flood_map_panels
+           WHERE ST_Covers(geom, ST_PointOnSurface(h.geom))
+           ORDER BY effective_date DESC NULLS LAST
+           LIMIT 1
+       ) pan ON TRUE`
+    : 'LEFT JOIN (SELECT NULL::varchar AS panel_number, NULL::date AS effective_date) pan ON TRUE';
+
+  statements.push({
+    text: `INSERT INTO flood_zones (
+              fld_ar_id, zone_code, zone_subtype, zone_description, insurance_required,
+              base_flood_elevation, geom, effective_date, panel_number, community_id
+           )
+           SELECT h.fld_ar_id,
+                  h.fld_zone,
+                  NULLIF(h.zone_subty, ''),
+                  COALESCE($1::jsonb ->> h.fld_zone, 'Unknown flood zone designation'),
+                  COALESCE(h.sfha_tf = 'T', LEFT(h.fld_zone, 1) IN ('A', 'V')),
+                  CASE
+                      WHEN h.static_bfe IS NULL OR h.static_bfe <= ${NO_BFE} THEN NULL
+                      WHEN h.len_unit ILIKE 'M%' THEN ROUND((h.static_bfe * ${FEET_PER_METER})::numeric, 3)
+                      ELSE h.static_bfe
+                  END,
+                  ST_Multi(ST_CollectionExtract(ST_MakeValid(h.geom), 3)),
+                  pan.effective_date,
+                  pan.panel_number,
+                  h.dfirm_id
+           FROM ${HAZARD_STAGING_TABLE} h
+           ${panelJoin}
+           WHERE h.fld_ar_id IS NOT NULL
+             AND h.fld_zone IS NOT NULL
+             AND h.fld_zone <> 'AREA NOT INCLUDED'
+           ON CONFLICT (fld_ar_id) DO UPDATE SET
+              zone_code = EXCLUDED.zone_code,
+              zone_subtype = EXCLUDED.zone_subtype,
+              zone_description = EXCLUDED.zone_description,
+              insurance_required = EXCLUDED.insurance_required,
+              base_flood_elevation = EXCLUDED.base_flood_elevation,
+              geom = EXCLUDED.geom,
+              effective_date = EXCLUDED.effective_date,
+              panel_number = EXCLUDED.panel_number,
+              community_id = EXCLUDED.community_id,
+              superseded_at = NULL,
+              updated_at = NOW()`,
+    values: [JSON.stringify(FLOOD_ZONE_DESCRIPTIONS)]
+  });
+
+  // Zones dropped from a DFIRM's newer version no longer apply
+  statements.push(
+    `UPDATE flood_zones fz
+     SET superseded_at = NOW(), updated_at = NOW()
+     WHERE fz.superseded_at IS NULL
+       AND fz.community_id IN (SELECT DISTINCT dfirm_id FROM ${HAZARD_STAGING_TABLE})
+       AND NOT EXISTS (SELECT 1 FROM ${HAZARD_STAGING_TABLE} h WHERE h.fld_ar_id = fz.fld_ar_id)`
+  );
+
+  return statements;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  console.log('🌊 Seawater Climate Platform - FEMA NFHL Flood Zone Import');
+  console.log('==========================================================\n');
+
+  try {
+    console.log(`📦 Loading flood hazard areas from ${path.basename(options.source)}...`);
+    await loadIntoStaging(options.source, HAZARD_STAGING_TABLE, { layer: options.hazardLayer });
+
+    const stagingTables = [HAZARD_STAGING_TABLE];
+    if (options.includePanels) {
+      console.log(`📦 Loading FIRM panels from ${path.basename(options.panels)}...`);
+      await loadIntoStaging(options.panels, PANEL_STAGING_TABLE, { layer: options.panelLayer });
+      stagingTables.push(PANEL_STAGING_TABLE);
+    }
+
+    const client = await getClient();
+    let rowCount;
+    try {
+      rowCount = await mergeStaging(client, getMergeStatements(options.includePanels), stagingTables);
+    } finally {
+      client.release();
+    }
+
+    console.log(`\n🎉 NFHL import complete: ${rowCount} rows merged`);
+  } finally {
+    await closePool();
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('\n❌ NFHL import failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseArgs,
+  getMergeStatements
+};
@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+
+/**
+ * Seawater SPC Storm Report Importer
+ *
+ * Loads NOAA Storm Prediction Center tornado tracks and hail reports into the storm_reports
+ * table. The SPC storm reports client scores tornado and hail risk from the reports near each
+ * property, so no request downloads or parses the SPC files.
+ *
+ * Sources are the SPC severe weather database CSVs ("actual" tornadoes and hail) from
+ * https://www.spc.noaa.gov/wcm/#data, as local paths or URLs. SPC renames the files for each
+ * year it adds, so pass the current release names. Tornadoes before 1990 and hail before 1995
+ * or under 1 inch are skipped, as in scoring. Each report type imported replaces all stored
+ * reports of that type.
+ *
+ * Usage:
+ *   node scripts/import-spc-storm-reports.js --tornado 1950-2023_actual_tornadoes.csv --hail 1955-2023_hail.csv
+ *   node scripts/import-spc-storm-reports.js --hail https://www.spc.noaa.gov/wcm/data/1955-2023_hail.csv
+ *
+ * Options:
+ *   --tornado <path|url>   SPC actual tornadoes CSV; repeatable
+ *   --hail <path|url>      SPC hail CSV; repeatable
+ *
+ * Requires the DB_* environment variables used by dbClient.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getClient, closePool } = require('../src/helpers/dbClient');
+const { parseSpcReports } = require('../src/helpers/spcStormReports');
+
+const INSERT_BATCH_SIZE = 5000;
+
+function parseArgs(argv) {
+  const options = {
+    sources: { tornado: [], hail: [] }
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--tornado':
+      case '--hail':
+        if (!value) {
+          throw new Error(`${argv[i]} requires a path or URL`);
+        }
+        options.sources[argv[i].slice(2)].push(/^https?:\/\//.test(value) ? value : path.resolve(value));
+        i++;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  const sources = [...options.sources.tornado, ...options.sources.hail];
+  if (sources.length === 0) {
+    throw new Error('At least one --tornado or --hail source is required');
+  }
+  sources
+    .filter(source => !/^https?:\/\//.test(source))
+    .forEach(source => {
+      if (!fs.existsSync(source)) {
+        throw new Error(`Source not found: ${source}`);
+      }
+    });
+
+  return options;
+}
+
+async function readSource(source) {
+  if (!/^https?:\/\//.test(source)) {
+    return fs.readFileSync(source, 'utf8');
+  }
+
+  console.log(`  Downloading ${source}`);
+  const response = await fetch(source);
+  if (!response.ok) {
+    throw new Error(`Download failed (${response.status}): ${source}`);
+  }
+  return response.text();
+}
+
+/**
+ * Replace every stored report of one type in a single transaction
+ */
+async function replaceReports(client, type, reports) {
+  await client.query('BEGIN');
+  try {
+    await client.query('DELETE FROM storm_reports WHERE report_type = $1', [type]);
+
+    for (let start = 0; start < reports.length; start += INSERT_BATCH_SIZE) {
+      const batch = reports.slice(start, start + INSERT_BATCH_SIZE);
+      const column = (field) => batch.map(report => report[field]);
+
+      await client.query(
+        `INSERT INTO storm_reports (
+            report_type, report_year, report_date, magnitude, start_lat, start_lon,
+            end_lat, end_lon, length_km, width_m, geom
+         )
+         SELECT $1, r.yr, r.dt, r.mag, r.slat, r.slon, r.elat, r.elon, r.len, r.wid,
+                ST_SetSRID(
+                    CASE WHEN r.slat = r.elat AND r.slon = r.elon
+                         THEN ST_MakePoint(r.slon, r.slat)
+                         ELSE ST_MakeLine(ST_MakePoint(r.slon, r.slat), ST_MakePoint(r.elon, r.elat))
+                    END, 4326)
+         FROM unnest($2::int[], $3::date[], $4::float8[], $5::float8[], $6::float8[],
+                     $7::float8[], $8::float8[], $9::float8[], $10::int[])
+              AS r(yr, dt, mag, slat, slon, elat, elon, len, wid)`,
+        [
+          type,
+          column('year'),
+          batch.map(report => (/^\d{4}-\d{2}-\d{2}$/.test(report.date) ? report.date : null)),
+          column('magnitude'),
+          column('startLat'),
+          column('startLon'),
+          column('endLat'),
+          column('endLon'),
+          column('lengthKm'),
+          column('widthM')
+        ]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  console.log('🌪️  Seawater Climate Platform - SPC Storm Report Import');
+  console.log('======================================================\n');
+
+  try {
+    const client = await getClient();
+    try {
+      for (const type of ['tornado', 'hail']) {
+        if (options.sources[type].length === 0) continue;
+
+        console.log(`📦 Loading ${type} reports...`);
+        let reports = [];
+        for (const source of options.sources[type]) {
+          reports = reports.concat(parseSpcReports(await readSource(source), type));
+        }
+        if (reports.length === 0) {
+          throw new Error(`No ${type} reports found in ${options.sources[type].join(', ')}`);
+        }
+
+        await replaceReports(client, type, reports);
+        const firstYear = reports.reduce((min, report) => Math.min(min, report.year), Infinity);
+        const lastYear = reports.reduce((max, report) => Math.max(max, report.year), -Infinity);
+        console.log(`  ${reports.length} ${type} reports, ${firstYear}-${lastYear}`);
+      }
+    } finally {
+      client.release();
+    }
+
+    console.log('\n🎉 SPC import complete');
+  } finally {
+    await closePool();
+  }
+}
+
+main().catch(error => {
+  console.error('\n❌ SPC import failed:', error.message);
+  process.exit(1);
+});
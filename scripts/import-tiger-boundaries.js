@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+
+/**
+ * Seawater TIGER/Line Boundary Importer
+ *
+ * Loads Census TIGER/Line state, county, census tract and ZCTA shapefiles into the
+ * states, counties, census_tracts and zip_codes PostGIS tables used for point-in-polygon
+ * lookups (census tract FIPS for FEMA NRI, boundary endpoints, property geography).
+ *
+ * Each layer is loaded with GDAL's ogr2ogr into a staging table, reprojected from NAD83
+ * to WGS84, then merged into the target table in a transaction. Re-running an import
+ * updates existing rows in place.
+ *
+ * Usage:
+ *   node scripts/import-tiger-boundaries.js [--year 2023] [--layers state,county,tract,zcta]
+ *                                           [--states 06,48] [--dir ./data/tiger]
+ *
+ * Requires ogr2ogr on the PATH and the DB_* environment variables used by dbClient.js.
+ * Shapefile archives already present in --dir are reused instead of downloaded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getClient, closePool } = require('../src/helpers/dbClient');
+const { loadIntoStaging, mergeStaging } = require('./utils/postgisStaging');
+
+const TIGER_BASE_URL = 'https://www2.census.gov/geo/tiger';
+const LAYER_ORDER = ['state', 'county', 'tract', 'zcta'];
+
+// Square metres per square kilometre, for TIGER ALAND values
+const SQ_M_PER_SQ_KM = 1000000;
+
+/**
+ * TIGER/Line archive locations; tracts are published per state
+ */
+function getArchiveName(layer, year, stateFips) {
+  switch (layer) {
+    case 'state':
+      return { dir: 'STATE', file: `tl_${year}_us_state.zip` };
+    case 'county':
+      return { dir: 'COUNTY', file: `tl_${year}_us_county.zip` };
+    case 'tract':
+      return { dir: 'TRACT', file: `tl_${year}_${stateFips}_tract.zip` };
+    case 'zcta':
+      // ZCTAs were re-delineated for the 2020 census
+      return year >= 2020
+        ? { dir: 'ZCTA520', file: `tl_${year}_us_zcta520.zip` }
+        : { dir: 'ZCTA5', file: `tl_${year}_us_zcta510.zip` };
+    default:
+      throw new Error(`Unknown TIGER layer: ${layer}`);
+  }
+}
+
+/**
+ * Merge statements from the ogr2ogr staging table into the target table
+ * ogr2ogr lowercases TIGER field names (STATEFP -> statefp).
+ */
+function getMergeStatements(layer, stagingTable, year) {
+  switch (layer) {
+    case 'state':
+      return [
+        `INSERT INTO states (state_code, state_name, state_fips, geom, area_sq_km)
+         SELECT stusps, name, statefp, geom, ROUND(aland::numeric / ${SQ_M_PER_SQ_KM}, 2)
+         FROM ${stagingTable}
+         ON CONFLICT (state_fips) DO UPDATE SET
+            state_code = EXCLUDED.state_code,
+            state_name = EXCLUDED.state_name,
+            geom = EXCLUDED.geom,
+            area_sq_km = EXCLUDED.area_sq_km,
+            updated_at = NOW()`
+      ];
+    case 'county':
+      return [
+        `INSERT INTO counties (state_id, county_code, county_name, county_fips, geom, area_sq_km)
+         SELECT s.id, t.countyfp, t.namelsad, t.geoid, t.geom, ROUND(t.aland::numeric / ${SQ_M_PER_SQ_KM}, 2)
+         FROM ${stagingTable} t
+         JOIN states s ON s.state_fips = t.statefp
+         ON CONFLICT (county_fips) DO UPDATE SET
+            county_name = EXCLUDED.county_name,
+            geom = EXCLUDED.geom,
+            area_sq_km = EXCLUDED.area_sq_km,
+            updated_at = NOW()`
+      ];
+    case 'tract':
+      return [
+        `INSERT INTO census_tracts (county_id, tract_code, geoid, tract_name, geom)
+         SELECT c.id, t.tractce, t.geoid, t.namelsad, t.geom
+         FROM ${stagingTable} t
+         JOIN counties c ON c.county_fips = t.statefp || t.countyfp
+         ON CONFLICT (geoid) DO UPDATE SET
+            county_id = EXCLUDED.county_id,
+            tract_name = EXCLUDED.tract_name,
+            geom = EXCLUDED.geom,
+            updated_at = NOW()`,
+        // Properties geocoded before the tracts were loaded
+        `UPDATE properties p
+         SET census_tract_id = ct.id,
+             county_id = COALESCE(p.county_id, ct.county_id),
+             updated_at = NOW()
+         FROM census_tracts ct
+         WHERE p.census_tract_id IS NULL
+           AND ST_Covers(ct.geom, p.location)`
+      ];
+    case 'zcta': {
+      const zipField = year >= 2020 ? 'zcta5ce20' : 'zcta5ce10';
+      // ZCTAs carry no city or state; both are taken from the boundaries containing the ZCTA
+      const located = `
+        SELECT t.${zipField} AS zip_code, t.geom, ST_PointOnSurface(t.geom) AS centroid,
+               s.id AS state_id, c.id AS county_id
+        FROM ${stagingTable} t
+        LEFT JOIN LATERAL (
+            SELECT id FROM states WHERE ST_Covers(geom, ST_PointOnSurface(t.geom)) LIMIT 1
+        ) s ON TRUE
+        LEFT JOIN LATERAL (
+            SELECT id FROM counties WHERE ST_Covers(geom, ST_PointOnSurface(t.geom)) LIMIT 1
+        ) c ON TRUE`;
+
+      return [
+        `CREATE TEMP TABLE zcta_located ON COMMIT DROP AS ${located}`,
+        // Existing ZIP rows (one per city) share the ZCTA geometry
+        `UPDATE zip_codes z
+         SET geom = l.geom,
+             centroid = l.centroid,
+             county_id = COALESCE(z.county_id, l.county_id)
+         FROM zcta_located l
+         WHERE z.zip_code = l.zip_code`,
+        `INSERT INTO zip_codes (zip_code, city, state_id, county_id, geom, centroid)
+         SELECT l.zip_code, '', l.state_id, l.county_id, l.geom, l.centroid
+         FROM zcta_located l
+         WHERE l.state_id IS NOT NULL
+           AND NOT EXISTS (SELECT 1 FROM zip_codes z WHERE z.zip_code = l.zip_code)`
+      ];
+    }
+    default:
+      throw new Error(`Unknown TIGER layer: ${layer}`);
+  }
+}
+
+function parseArgs(argv) {
+  const options = {
+    year: 2023,
+    layers: LAYER_ORDER,
+    states: null,
+    dir: path.join(process.cwd(), 'data', 'tiger')
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--year':
+        options.year = parseInt(value, 10);
+        i++;
+        break;
+      case '--layers':
+        options.layers = value.split(',').map(layer => layer.trim());
+        i++;
+        break;
+      case '--states':
+        options.states = value.split(',').map(fips => fips.trim().padStart(2, '0'));
+        i++;
+        break;
+      case '--dir':
+        options.dir = path.resolve(value);
+        i++;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  if (!Number.isInteger(options.year) || options.year < 2010) {
+    throw new Error('--year must be 2010 or later');
+  }
+
+  const unknown = options.layers.filter(layer => !LAYER_ORDER.includes(layer));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown layers: ${unknown.join(', ')} (expected ${LAYER_ORDER.join(', ')})`);
+  }
+
+  // Parents are merged before children so foreign keys resolve
+  options.layers = LAYER_ORDER.filter(layer => options.layers.includes(layer));
+  return options;
+}
+
+async function downloadArchive(url, destination) {
+  if (fs.existsSync(destination)) {
+    console.log(`  Using cached ${path.basename(destination)}`);
+    return destination;
+  }
+
+  console.log(`  Downloading ${url}`);
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Download failed (${response.status}): ${url}`);
+  }
+
+  const partial = `${destination}.partial`;
+  fs.writeFileSync(partial, Buffer.from(await response.arrayBuffer()));
+  fs.renameSync(partial, destination);
+  return destination;
+}
+
+async function getLoadedStateFips() {
+  const client = await getClient();
+  try {
+    const result = await client.query('SELECT state_fips FROM states ORDER BY state_fips');
+    return result.rows.map(row => row.state_fips);
+  } finally {
+    client.release();
+  }
+}
+
+async function importLayer(layer, options, stateFips = null) {
+  const { dir, file } = getArchiveName(layer, options.year, stateFips);
+  const url = `${TIGER_BASE_URL}/TIGER${options.year}/${dir}/${file}`;
+  const stagingTable = `tiger_stage_${layer}${stateFips ? `_${stateFips}` : ''}`;
+
+  const archivePath = await downloadArchive(url, path.join(options.dir, file));
+  await loadIntoStaging(archivePath, stagingTable);
+
+  const client = await getClient();
+  let rowCount;
+  try {
+    rowCount = await mergeStaging(client, getMergeStatements(layer, stagingTable, options.year), [stagingTable]);
+  } finally {
+    client.release();
+  }
+
+  console.log(`  ✅ ${file}: ${rowCount} rows merged`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  fs.mkdirSync(options.dir, { recursive: true });
+
+  console.log('🌊 Seawater Climate Platform - TIGER/Line Boundary Import');
+  console.log('=========================================================\n');
+  console.log(`Year: ${options.year}  Layers: ${options.layers.join(', ')}  Archive dir: ${options.dir}\n`);
+
+  try {
+    for (const layer of options.layers) {
+      console.log(`📦 Importing ${layer} boundaries...`);
+
+      if (layer === 'tract') {
+        const stateFipsList = options.states || await getLoadedStateFips();
+        if (stateFipsList.length === 0) {
+          throw new Error('No states loaded; import the state layer first or pass --states');
+        }
+        for (const stateFips of stateFipsList) {
+          await importLayer(layer, options, stateFips);
+        }
+      } else {
+        await importLayer(layer, options);
+      }
+    }
+
+    console.log('\n🎉 TIGER/Line import complete');
+  } finally {
+    await closePool();
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('\n❌ TIGER/Line import failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  getArchiveName,
+  getMergeStatements,
+  parseArgs
+};
@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+
+/**
+ * Seawater US Drought Monitor Grid Importer
+ *
+ * Precomputes each 0.1 degree grid cell's weekly US Drought Monitor category (D0-D4, or none)
+ * into the drought_monitor_cells table. The drought client reads a property's whole history
+ * from one row instead of testing the point against every weekly map at request time.
+ *
+ * Sources are the weekly USDM GeoJSON maps, one file per week named for its map date
+ * (usdm_20240102.json), as published at https://droughtmonitor.unl.edu/data/json/. Each map
+ * is read once and rasterized into every region, so memory holds one map plus one byte per
+ * cell and week (about 300 MB for the default regions over 20 years). Re-run after adding
+ * new weekly files; existing cells are replaced.
+ *
+ * Usage:
+ *   node scripts/import-usdm-drought.js --source ./usdm
+ *   node scripts/import-usdm-drought.js --source ./usdm --years 10 --bbox -106.7,25.8,-93.5,36.5
+ *
+ * Options:
+ *   --source <dir>     Directory of weekly USDM GeoJSON maps
+ *   --years <n>        Weeks kept, counted back from the latest map (default 20)
+ *   --bbox <bounds>    minLon,minLat,maxLon,maxLat region to grid; repeatable
+ *                      (default: CONUS, Alaska, Hawaii and Puerto Rico)
+ *
+ * Requires the DB_* environment variables used by dbClient.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getClient, closePool } = require('../src/helpers/dbClient');
+const {
+  GRID_CELLS_PER_DEGREE,
+  parseDroughtMap,
+  forEachGridCellInGeometry
+} = require('../src/helpers/drought');
+
+// Map files are named for their map date, e.g. usdm_20240102.json
+const MAP_FILE_PATTERN = /(\d{4})(\d{2})(\d{2})\.(geo)?json$/i;
+
+const DEFAULT_REGIONS = [
+  { name: 'CONUS', bounds: [-125, 24, -66, 50] },
+  { name: 'Alaska', bounds: [-180, 51, -129, 72] },
+  { name: 'Hawaii', bounds: [-161, 18, -154, 23] },
+  { name: 'Puerto Rico', bounds: [-68, 17.5, -65, 18.6] }
+];
+
+const MS_PER_WEEK = 7 * 24 * 60 * 60 * 1000;
+const NO_DROUGHT = -1;
+// Weeks without a map are stored as NULL
+const NO_MAP = -128;
+const UPSERT_BATCH_SIZE = 500;
+
+function parseBounds(value) {
+  const bounds = String(value).split(',').map(Number);
+  if (bounds.length !== 4 || bounds.some(isNaN) || bounds[0] >= bounds[2] || bounds[1] >= bounds[3]) {
+    throw new Error(`Invalid --bbox: ${value} (expected minLon,minLat,maxLon,maxLat)`);
+  }
+  return bounds;
+}
+
+function parseArgs(argv) {
+  const options = {
+    source: null,
+    years: 20,
+    regions: []
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--source':
+        options.source = path.resolve(value);
+        i++;
+        break;
+      case '--years':
+        options.years = parseInt(value, 10);
+        i++;
+        break;
+      case '--bbox':
+        options.regions.push({ name: value, bounds: parseBounds(value) });
+        i++;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  if (!options.source) {
+    throw new Error('--source is required');
+  }
+  if (!fs.existsSync(options.source)) {
+    throw new Error(`Source not found: ${options.source}`);
+  }
+  if (!(options.years > 0)) {
+    throw new Error('--years must be a positive number');
+  }
+  if (options.regions.length === 0) {
+    options.regions = DEFAULT_REGIONS;
+  }
+
+  return options;
+}
+
+/**
+ * Weekly map files within the look-back period, oldest first, with their week index
+ */
+function listMapWeeks(sourceDir, years) {
+  const weeks = fs.readdirSync(sourceDir)
+    .map(file => {
+      const match = file.match(MAP_FILE_PATTERN);
+      return match ? { date: `${match[1]}-${match[2]}-${match[3]}`, file: path.join(sourceDir, file) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  if (weeks.length === 0) {
+    throw new Error(`No USDM maps found in ${sourceDir}`);
+  }
+
+  const latestTime = new Date(weeks[weeks.length - 1].date).getTime();
+  const kept = weeks.filter(week => latestTime - new Date(week.date).getTime() < years * 365.25 * 86400000);
+  const firstTime = new Date(kept[0].date).getTime();
+
+  return kept.map(week => ({ ...week, index: Math.round((new Date(week.date).getTime() - firstTime) / MS_PER_WEEK) }));
+}
+
+/**
+ * Grid rows and columns covering a region, with one category per cell and week
+ */
+function createRegionGrid(region, weekCount) {
+  const [minLon, minLat, maxLon, maxLat] = region.bounds;
+  const grid = {
+    name: region.name,
+    bounds: region.bounds,
+    firstRow: Math.floor((minLat + 90) * GRID_CELLS_PER_DEGREE),
+    endRow: Math.ceil((maxLat + 90) * GRID_CELLS_PER_DEGREE),
+    firstCol: Math.floor((minLon + 180) * GRID_CELLS_PER_DEGREE),
+    endCol: Math.ceil((maxLon + 180) * GRID_CELLS_PER_DEGREE),
+    weekCount
+  };
+  grid.cols = grid.endCol - grid.firstCol;
+  grid.cellCount = (grid.endRow - grid.firstRow) * grid.cols;
+  grid.categories = new Int8Array(grid.cellCount * weekCount).fill(NO_MAP);
+  return grid;
+}
+
+/**
+ * Rasterize one weekly map into a region; a cell takes the most severe category covering its centre
+ */
+function rasterizeWeek(grid, polygons, weekIndex) {
+  for (let cell = 0; cell < grid.cellCount; cell++) {
+    grid.categories[cell * grid.weekCount + weekIndex] = NO_DROUGHT;
+  }
+
+  const [minLon, minLat, maxLon, maxLat] = grid.bounds;
+  polygons
+    .filter(polygon => polygon.bounds[0] <= maxLon && polygon.bounds[2] >= minLon &&
+      polygon.bounds[1] <= maxLat && polygon.bounds[3] >= minLat)
+    .forEach(polygon => {
+      forEachGridCellInGeometry(polygon.geometry, (row, col) => {
+        if (row < grid.firstRow || row >= grid.endRow || col < grid.firstCol || col >= grid.endCol) {
+          return;
+        }
+        const offset = ((row - grid.firstRow) * grid.cols + (col - grid.firstCol)) * grid.weekCount + weekIndex;
+        if (polygon.category > grid.categories[offset]) {
+          grid.categories[offset] = polygon.category;
+        }
+      });
+    });
+}
+
+/**
+ * Replace a region's cells in one transaction
+ */
+async function writeRegionGrid(client, grid, firstWeek) {
+  await client.query('BEGIN');
+  try {
+    for (let start = 0; start < grid.cellCount; start += UPSERT_BATCH_SIZE) {
+      const values = [];
+      const rows = [];
+      for (let cell = start; cell < Math.min(start + UPSERT_BATCH_SIZE, grid.cellCount); cell++) {
+        const categories = Array.from(
+          grid.categories.subarray(cell * grid.weekCount, (cell + 1) * grid.weekCount),
+          category => (category === NO_MAP ? null : category)
+        );
+        const n = values.length;
+        rows.push(`($${n + 1}, $${n + 2}, $${n + 3}::date, $${n + 4}::smallint[])`);
+        values.push(
+          grid.firstRow + Math.floor(cell / grid.cols),
+          grid.firstCol + (cell % grid.cols),
+          firstWeek,
+          categories
+        );
+      }
+
+      await client.query(
+        `INSERT INTO drought_monitor_cells (grid_row, grid_col, first_week, categories)
+         VALUES ${rows.join(', ')}
+         ON CONFLICT (grid_row, grid_col) DO UPDATE SET
+            first_week = EXCLUDED.first_week,
+            categories = EXCLUDED.categories,
+            updated_at = NOW()`,
+        values
+      );
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  console.log('🏜️  Seawater Climate Platform - US Drought Monitor Grid Import');
+  console.log('==============================================================\n');
+
+  const weeks = listMapWeeks(options.source, options.years);
+  const weekCount = weeks[weeks.length - 1].index + 1;
+  const grids = options.regions.map(region => createRegionGrid(region, weekCount));
+
+  console.log(`📅 ${weeks.length} weekly maps from ${weeks[0].date} to ${weeks[weeks.length - 1].date}`);
+
+  try {
+    weeks.forEach((week, position) => {
+      const polygons = parseDroughtMap(fs.readFileSync(week.file, 'utf8'));
+      grids.forEach(grid => rasterizeWeek(grid, polygons, week.index));
+      if ((position + 1) % 52 === 0 || position === weeks.length - 1) {
+        console.log(`   Rasterized ${position + 1}/${weeks.length} weeks`);
+      }
+    });
+
+    const client = await getClient();
+    try {
+      for (const grid of grids) {
+        console.log(`📦 Writing ${grid.cellCount} cells for ${grid.name}...`);
+        await writeRegionGrid(client, grid, weeks[0].date);
+      }
+    } finally {
+      client.release();
+    }
+
+    const cellCount = grids.reduce((sum, grid) => sum + grid.cellCount, 0);
+    console.log(`\n🎉 USDM import complete: ${cellCount} cells over ${weekCount} weeks`);
+  } finally {
+    await closePool();
+  }
+}
+
+main().catch(error => {
+  console.error('\n❌ USDM import failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,103 @@
+/**
+ * PostGIS staging helpers for the boundary and hazard data importers
+ *
+ * Source files are loaded with GDAL's ogr2ogr into a throwaway staging table in WGS84,
+ * then merged into the application tables with SQL.
+ */
+
+const path = require('path');
+const { execFile } = require('child_process');
+
+/**
+ * ogr2ogr PostgreSQL connection string from the DB_* variables used by dbClient.js
+ */
+function getPgConnectionString() {
+  const parts = {
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT || 5432,
+    dbname: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASS,
+    sslmode: process.env.DB_SSL === 'true' ? 'require' : 'disable'
+  };
+
+  return 'PG:' + Object.entries(parts)
+    .filter(([, value]) => value !== undefined && value !== '')
+    .map(([key, value]) => `${key}='${String(value).replace(/'/g, "\\'")}'`)
+    .join(' ');
+}
+
+/**
+ * GDAL path for a source file; zip archives are read in place
+ */
+function getGdalSourcePath(sourcePath) {
+  return sourcePath.toLowerCase().endsWith('.zip') ? `/vsizip/${sourcePath}` : sourcePath;
+}
+
+/**
+ * Load one layer of a source file into a staging table, replacing any previous load
+ * Field names are lowercased (FLD_ZONE -> fld_zone) and geometries promoted to MULTIPOLYGON.
+ * @param {string} sourcePath - Shapefile, zip archive, GeoJSON file or file geodatabase
+ * @param {string} stagingTable - Table to create
+ * @param {Object} options - { layer } to pick a layer from a multi-layer source
+ */
+function loadIntoStaging(sourcePath, stagingTable, { layer = null } = {}) {
+  const args = [
+    '-f', 'PostgreSQL', getPgConnectionString(),
+    getGdalSourcePath(sourcePath),
+    ...(layer ? [layer] : []),
+    '-nln', stagingTable,
+    '-nlt', 'PROMOTE_TO_MULTI',
+    '-t_srs', 'EPSG:4326',
+    '-lco', 'GEOMETRY_NAME=geom',
+    '-lco', 'SPATIAL_INDEX=NONE',
+    '-overwrite'
+  ];
+
+  return new Promise((resolve, reject) => {
+    execFile('ogr2ogr', args, { maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        const source = layer ? `${path.basename(sourcePath)} (${layer})` : path.basename(sourcePath);
+        reject(new Error(`ogr2ogr failed for ${source}: ${stderr || error.message}`));
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Run merge statements in one transaction and drop the staging tables on success
+ * @param {Object} client - Pooled client from dbClient.getClient()
+ * @param {Array} statements - SQL strings or { text, values } for parameterized statements
+ * @param {Array<string>} stagingTables - Tables to drop once merged
+ * @returns {number} Rows inserted or updated
+ */
+async function mergeStaging(client, statements, stagingTables) {
+  try {
+    await client.query('BEGIN');
+    let rowCount = 0;
+    for (const statement of statements) {
+      const result = typeof statement === 'string'
+        ? await client.query(statement)
+        : await client.query(statement.text, statement.values);
+      if (result.command === 'INSERT' || result.command === 'UPDATE') {
+        rowCount += result.rowCount;
+      }
+    }
+    for (const stagingTable of stagingTables) {
+      await client.query(`DROP TABLE IF EXISTS ${stagingTable}`);
+    }
+    await client.query('COMMIT');
+    return rowCount;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+module.exports = {
+  getPgConnectionString,
+  loadIntoStaging,
+  mergeStaging
+};
@@ -21,6 +21,7 @@ const config = {
 // Helper files that need to be copied to each Lambda directory to avoid traversal issues
 const helperFiles = [
   'lambdaWrapper.js',
+  'ownerIdentity.js',
   'validationUtil.js', 
   'dbOperations.js',
   'responseUtil.js',
@@ -31,7 +32,36 @@ const helperFiles = [
   'cacheManager.js',
   'geocodingService.js',
   'spatialQueries.js',
-  'climateDataAggregator.js'
+  'climateDataAggregator.js',
+  'climateProjections.js',
+  'disasterHistory.js',
+  'disasterHistorySources.js',
+  'jobQueue.js',
+  'bulkJobProcessor.js',
+  'csvExportColumns.js',
+  'csvExport.js',
+  'pdfDocument.js',
+  'propertyReport.js',
+  'reportStorage.js',
+  'reportProcessor.js',
+  'webhookEvents.js',
+  'webhookDelivery.js',
+  'networkAddress.js',
+  'apiKeys.js',
+  'professionalDirectory.js',
+  'contactRelay.js',
+  'floodZones.js',
+  'buildingCodes.js',
+  'vulnerabilityCurves.js',
+  'mitigationTypes.js',
+  'mitigationSimulator.js',
+  'lossEstimation.js',
+  'nfipLimits.js',
+  'floodInsurance.js',
+  'seaLevelRise.js',
+  'hurdat2.js',
+  'drought.js',
+  'spcStormReports.js'
 ];
 
 /**
@@ -82,6 +112,12 @@ const lambdaFunctions = [
     outdir: 'dist/compareProperties',
     outfile: 'dist/compareProperties/index.js'
   },
+  {
+    name: 'simulateMitigation',
+    entryPoint: '../handlers/climate/simulateMitigation.js',
+    outdir: 'dist/simulateMitigation',
+    outfile: 'dist/simulateMitigation/index.js'
+  },
   {
     name: 'getGeographicRisk',
     entryPoint: '../handlers/climate/getGeographicRisk.js',
@@ -94,6 +130,150 @@ const lambdaFunctions = [
     outdir: 'dist/bulkPropertyRisk',
     outfile: 'dist/bulkPropertyRisk/index.js'
   },
+  {
+    name: 'getRiskTrends',
+    entryPoint: '../handlers/climate/getRiskTrends.js',
+    outdir: 'dist/getRiskTrends',
+    outfile: 'dist/getRiskTrends/index.js'
+  },
+  {
+    name: 'getDisasterHistory',
+    entryPoint: '../handlers/climate/getDisasterHistory.js',
+    outdir: 'dist/getDisasterHistory',
+    outfile: 'dist/getDisasterHistory/index.js'
+  },
+  {
+    name: 'getBoundary',
+    entryPoint: '../handlers/climate/getBoundary.js',
+    outdir: 'dist/getBoundary',
+    outfile: 'dist/getBoundary/index.js'
+  },
+  {
+    name: 'createBulkJob',
+    entryPoint: '../handlers/professional/createBulkJob.js',
+    outdir: 'dist/createBulkJob',
+    outfile: 'dist/createBulkJob/index.js'
+  },
+  {
+    name: 'getBulkJob',
+    entryPoint: '../handlers/professional/getBulkJob.js',
+    outdir: 'dist/getBulkJob',
+    outfile: 'dist/getBulkJob/index.js'
+  },
+  {
+    name: 'bulkJobWorker',
+    entryPoint: '../handlers/professional/bulkJobWorker.js',
+    outdir: 'dist/bulkJobWorker',
+    outfile: 'dist/bulkJobWorker/index.js'
+  },
+  {
+    name: 'exportCsv',
+    entryPoint: '../handlers/professional/exportCsv.js',
+    outdir: 'dist/exportCsv',
+    outfile: 'dist/exportCsv/index.js'
+  },
+  {
+    name: 'createPropertyReport',
+    entryPoint: '../handlers/professional/createPropertyReport.js',
+    outdir: 'dist/createPropertyReport',
+    outfile: 'dist/createPropertyReport/index.js'
+  },
+  {
+    name: 'getPropertyReport',
+    entryPoint: '../handlers/professional/getPropertyReport.js',
+    outdir: 'dist/getPropertyReport',
+    outfile: 'dist/getPropertyReport/index.js'
+  },
+  {
+    name: 'listPropertyReports',
+    entryPoint: '../handlers/professional/listPropertyReports.js',
+    outdir: 'dist/listPropertyReports',
+    outfile: 'dist/listPropertyReports/index.js'
+  },
+  {
+    name: 'downloadPropertyReport',
+    entryPoint: '../handlers/professional/downloadPropertyReport.js',
+    outdir: 'dist/downloadPropertyReport',
+    outfile: 'dist/downloadPropertyReport/index.js'
+  },
+  {
+    name: 'createWebhook',
+    entryPoint: '../handlers/professional/createWebhook.js',
+    outdir: 'dist/createWebhook',
+    outfile: 'dist/createWebhook/index.js'
+  },
+  {
+    name: 'listWebhooks',
+    entryPoint: '../handlers/professional/listWebhooks.js',
+    outdir: 'dist/listWebhooks',
+    outfile: 'dist/listWebhooks/index.js'
+  },
+  {
+    name: 'updateWebhook',
+    entryPoint: '../handlers/professional/updateWebhook.js',
+    outdir: 'dist/updateWebhook',
+    outfile: 'dist/updateWebhook/index.js'
+  },
+  {
+    name: 'deleteWebhook',
+    entryPoint: '../handlers/professional/deleteWebhook.js',
+    outdir: 'dist/deleteWebhook',
+    outfile: 'dist/deleteWebhook/index.js'
+  },
+  {
+    name: 'listWebhookDeliveries',
+    entryPoint: '../handlers/professional/listWebhookDeliveries.js',
+    outdir: 'dist/listWebhookDeliveries',
+    outfile: 'dist/listWebhookDeliveries/index.js'
+  },
+  {
+    name: 'redeliverWebhook',
+    entryPoint: '../handlers/professional/redeliverWebhook.js',
+    outdir: 'dist/redeliverWebhook',
+    outfile: 'dist/redeliverWebhook/index.js'
+  },
+  {
+    name: 'createApiKey',
+    entryPoint: '../handlers/users/createApiKey.js',
+    outdir: 'dist/createApiKey',
+    outfile: 'dist/createApiKey/index.js'
+  },
+  {
+    name: 'listApiKeys',
+    entryPoint: '../handlers/users/listApiKeys.js',
+    outdir: 'dist/listApiKeys',
+    outfile: 'dist/listApiKeys/index.js'
+  },
+  {
+    name: 'revokeApiKey',
+    entryPoint: '../handlers/users/revokeApiKey.js',
+    outdir: 'dist/revokeApiKey',
+    outfile: 'dist/revokeApiKey/index.js'
+  },
+  {
+    name: 'searchProfessionals',
+    entryPoint: '../handlers/professionals/searchProfessionals.js',
+    outdir: 'dist/searchProfessionals',
+    outfile: 'dist/searchProfessionals/index.js'
+  },
+  {
+    name: 'getProfessional',
+    entryPoint: '../handlers/professionals/getProfessional.js',
+    outdir: 'dist/getProfessional',
+    outfile: 'dist/getProfessional/index.js'
+  },
+  {
+    name: 'contactProfessional',
+    entryPoint: '../handlers/professionals/contactProfessional.js',
+    outdir: 'dist/contactProfessional',
+    outfile: 'dist/contactProfessional/index.js'
+  },
+  {
+    name: 'relayContactReply',
+    entryPoint: '../handlers/professionals/relayContactReply.js',
+    outdir: 'dist/relayContactReply',
+    outfile: 'dist/relayContactReply/index.js'
+  },
   // Agent Configuration Functions - Agent Factory Backend
   {
     name: 'agentTriggerCreate',
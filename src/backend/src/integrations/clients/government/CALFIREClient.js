@@ -0,0 +1,327 @@
+/**
+ * CALFIREClient - CAL FIRE Fire Hazard Severity Zones and FRAP fire perimeter integration
+ * Reads FHSZ polygons and historical perimeters from local GeoJSON snapshots or the
+ * CAL FIRE feature services, and scores wildfire risk for California locations
+ */
+
+const { EventEmitter } = require('events');
+const { pointInGeometry } = require('../../utils/GeometryUtils');
+const {
+    querySnapshot,
+    queryArcGISLayer,
+    firstProperty,
+    summarizeBurnHistory,
+    calculateBurnHistoryScore
+} = require('../../utils/FireHistoryUtils');
+
+// Generalized California boundary; generous offshore, close along the Nevada, Arizona and Mexico borders
+const CALIFORNIA_BOUNDARY = {
+    type: 'Polygon',
+    coordinates: [[
+        [-124.8, 42.0], [-120.0, 42.0], [-120.0, 39.0], [-114.63, 35.0], [-114.13, 34.27],
+        [-114.72, 32.72], [-117.12, 32.53], [-124.8, 32.53], [-124.8, 42.0]
+    ]]
+};
+
+class CALFIREClient extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.httpClient = options.httpClient;
+        this.cacheManager = options.cacheManager;
+
+        // CAL FIRE FRAP endpoints
+        this.endpoints = {
+            hazardZones: options.hazardZoneUrl || process.env.CAL_FIRE_FHSZ_URL ||
+                'https://services.gis.ca.gov/arcgis/rest/services/Environment/Fire_Severity_Zones/MapServer/0',
+            perimeters: options.perimeterUrl || process.env.CAL_FIRE_PERIMETERS_URL ||
+                'https://services1.arcgis.com/jUJYIo9tSA7EHvfZ/arcgis/rest/services/California_Fire_Perimeters/FeatureServer/2'
+        };
+
+        // Local snapshots used instead of the live services when configured
+        this.snapshots = {
+            hazardZones: options.hazardZoneSnapshotPath || process.env.CAL_FIRE_FHSZ_GEOJSON || null,
+            perimeters: options.perimeterSnapshotPath || process.env.CAL_FIRE_PERIMETERS_GEOJSON || null
+        };
+
+        // Configuration
+        this.config = {
+            timeout: 30000,
+            searchRadiusKm: 25,
+            frequencyRadiusKm: 10,
+            lookbackYears: 50
+        };
+
+        // Cache TTL settings
+        this.cacheTTL = {
+            hazard_zones: 604800, // 1 week; FHSZ maps are adopted years apart
+            perimeters: 86400 // 1 day
+        };
+
+        // Score by Fire Hazard Severity Zone class; locations outside any zone score as low hazard
+        this.hazardClassScores = {
+            very_high: 90,
+            high: 70,
+            moderate: 45
+        };
+        this.nonZoneScore = 15;
+
+        // Share of the score from the FHSZ class; the rest comes from burn history
+        this.hazardZoneWeight = 0.6;
+
+        // FHSZ codes used by the FRAP layers
+        this.hazardClassCodes = { 1: 'moderate', 2: 'high', 3: 'very_high' };
+
+        // Attribute names across layer vintages
+        this.fields = {
+            hazardClass: ['FHSZ_Description', 'HAZ_CLASS', 'FHSZ_Desc'],
+            hazardCode: ['FHSZ', 'HAZ_CODE'],
+            responsibilityArea: ['SRA', 'SRA22_2'],
+            name: ['FIRE_NAME', 'INCIDENT'],
+            year: ['YEAR_', 'FIRE_YEAR'],
+            acres: ['GIS_ACRES', 'REPORT_AC'],
+            agency: ['AGENCY', 'UNIT_ID']
+        };
+
+        // Statistics tracking
+        this.stats = {
+            totalRequests: 0,
+            successfulRequests: 0,
+            errorRequests: 0,
+            cacheHits: 0,
+            averageResponseTime: 0
+        };
+    }
+
+    /**
+     * Whether a location falls within CAL FIRE's mapping area; a known state (code or name) takes precedence
+     */
+    isCovered(latitude, longitude, state = null) {
+        if (state) return ['CA', 'CALIFORNIA'].includes(String(state).trim().toUpperCase());
+        return pointInGeometry(longitude, latitude, CALIFORNIA_BOUNDARY);
+    }
+
+    /**
+     * Get the Fire Hazard Severity Zone containing a location
+     */
+    async getFireHazardSeverityZone(latitude, longitude) {
+        const features = await this._query('hazardZones', latitude, longitude, 0, this.cacheTTL.hazard_zones);
+
+        // Overlapping SRA and LRA maps take the more severe class
+        const zones = features.map(feature => ({
+            fhszClass: this._classifyHazardZone(feature.properties),
+            responsibilityArea: firstProperty(feature.properties, this.fields.responsibilityArea)
+        })).filter(zone => zone.fhszClass);
+
+        const order = ['moderate', 'high', 'very_high'];
+        const zone = zones.sort((a, b) => order.indexOf(b.fhszClass) - order.indexOf(a.fhszClass))[0] || null;
+
+        return {
+            fhszClass: zone ? zone.fhszClass : null,
+            responsibilityArea: zone ? zone.responsibilityArea : null,
+            inZone: !!zone,
+            source: this.snapshots.hazardZones ? 'snapshot' : 'live',
+            dataSource: 'CAL_FIRE'
+        };
+    }
+
+    /**
+     * Get historical FRAP fire perimeters within a radius of a location
+     */
+    async getHistoricalPerimeters(latitude, longitude, options = {}) {
+        const radiusKm = options.radiusKm || this.config.searchRadiusKm;
+        const features = await this._query('perimeters', latitude, longitude, radiusKm, this.cacheTTL.perimeters);
+
+        return {
+            perimeters: features.map(feature => this._normalizePerimeter(feature)),
+            radiusKm,
+            source: this.snapshots.perimeters ? 'snapshot' : 'live',
+            dataSource: 'CAL_FIRE'
+        };
+    }
+
+    /**
+     * Get wildfire risk assessment for a location from its FHSZ class and burn history
+     * Locations outside California are reported as not covered rather than scored.
+     */
+    async getWildfireRisk(latitude, longitude, options = {}) {
+        if (!this.isCovered(latitude, longitude, options.stateCode)) {
+            return {
+                location: { latitude, longitude },
+                covered: false,
+                riskAssessment: null,
+                dataSource: 'CAL_FIRE',
+                generatedAt: new Date().toISOString()
+            };
+        }
+
+        const [zoneResult, historyResult] = await Promise.allSettled([
+            this.getFireHazardSeverityZone(latitude, longitude),
+            this.getHistoricalPerimeters(latitude, longitude, options)
+        ]);
+
+        if (zoneResult.status === 'rejected' && historyResult.status === 'rejected') {
+            throw new Error(`CAL FIRE wildfire risk assessment failed: ${zoneResult.reason.message}`);
+        }
+
+        const hazardZone = zoneResult.status === 'fulfilled' ? zoneResult.value : null;
+        const history = historyResult.status === 'fulfilled' ? historyResult.value : null;
+        if (!hazardZone) {
+            console.warn(`CAL FIRE hazard zones unavailable: ${zoneResult.reason.message}`);
+        }
+        if (!history) {
+            console.warn(`CAL FIRE perimeters unavailable: ${historyResult.reason.message}`);
+        }
+
+        const burnHistory = history
+            ? summarizeBurnHistory(history.perimeters, {
+                searchRadiusKm: history.radiusKm,
+                frequencyRadiusKm: options.frequencyRadiusKm || this.config.frequencyRadiusKm,
+                lookbackYears: options.lookbackYears || this.config.lookbackYears
+            })
+            : null;
+
+        const zoneScore = hazardZone
+            ? (this.hazardClassScores[hazardZone.fhszClass] || this.nonZoneScore)
+            : null;
+        const burnScore = burnHistory ? calculateBurnHistoryScore(burnHistory) : null;
+
+        let riskScore;
+        if (zoneScore !== null && burnScore !== null) {
+            riskScore = Math.round(this.hazardZoneWeight * zoneScore + (1 - this.hazardZoneWeight) * burnScore);
+        } else {
+            riskScore = zoneScore ?? burnScore;
+        }
+
+        return {
+            location: { latitude, longitude },
+            covered: true,
+            riskAssessment: {
+                riskScore,
+                confidence: hazardZone && burnHistory ? 'high' : 'medium',
+                hazardZone,
+                burnHistory
+            },
+            dataSource: 'CAL_FIRE',
+            dataMode: this.snapshots.hazardZones && this.snapshots.perimeters ? 'snapshot' : 'live',
+            generatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Query a layer from its snapshot or feature service, with caching
+     */
+    async _query(layer, latitude, longitude, radiusKm, ttl) {
+        const requestId = this._generateRequestId();
+        const startTime = Date.now();
+
+        try {
+            const cacheKey = `calfire:${layer}:${latitude.toFixed(4)}:${longitude.toFixed(4)}:${radiusKm}`;
+
+            if (this.cacheManager) {
+                const cached = await this.cacheManager.get(cacheKey);
+                if (cached) {
+                    this.stats.cacheHits++;
+                    this.emit('cacheHit', { requestId, cacheKey });
+                    return cached;
+                }
+            }
+
+            console.log(`[${requestId}] Fetching CAL FIRE ${layer} from ${this.snapshots[layer] ? 'snapshot' : 'feature service'}`);
+
+            const features = this.snapshots[layer]
+                ? await querySnapshot(this.snapshots[layer], latitude, longitude, radiusKm)
+                : await queryArcGISLayer(this.httpClient, this.endpoints[layer], latitude, longitude, {
+                    radiusKm,
+                    timeout: this.config.timeout
+                });
+
+            this._updateStats(true, Date.now() - startTime);
+
+            if (this.cacheManager) {
+                await this.cacheManager.set(cacheKey, features, { ttl });
+            }
+
+            return features;
+
+        } catch (error) {
+            this._updateStats(false, Date.now() - startTime);
+            throw new Error(`CAL FIRE ${layer} lookup failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * FHSZ class (moderate, high, very_high) from a zone's attributes
+     */
+    _classifyHazardZone(properties) {
+        const description = firstProperty(properties, this.fields.hazardClass);
+        if (description) {
+            const normalized = String(description).toLowerCase().replace(/\s+/g, '_');
+            if (this.hazardClassScores[normalized]) return normalized;
+        }
+
+        const code = parseInt(firstProperty(properties, this.fields.hazardCode), 10);
+        return this.hazardClassCodes[code] || null;
+    }
+
+    /**
+     * Normalize a perimeter feature to { name, year, acres, agency, distance_km }
+     */
+    _normalizePerimeter(feature) {
+        const year = parseInt(firstProperty(feature.properties, this.fields.year), 10);
+        const acres = parseFloat(firstProperty(feature.properties, this.fields.acres));
+
+        return {
+            name: firstProperty(feature.properties, this.fields.name),
+            year: isNaN(year) ? null : year,
+            acres: isNaN(acres) ? null : Math.round(acres),
+            agency: firstProperty(feature.properties, this.fields.agency),
+            distance_km: feature.distance_km
+        };
+    }
+
+    /**
+     * Update statistics
+     */
+    _updateStats(success, responseTime) {
+        this.stats.totalRequests++;
+
+        if (success) {
+            this.stats.successfulRequests++;
+        } else {
+            this.stats.errorRequests++;
+        }
+
+        // Update average response time
+        if (this.stats.totalRequests === 1) {
+            this.stats.averageResponseTime = responseTime;
+        } else {
+            this.stats.averageResponseTime =
+                this.stats.averageResponseTime * 0.9 + responseTime * 0.1;
+        }
+    }
+
+    /**
+     * Generate unique request ID
+     */
+    _generateRequestId() {
+        return `calfire_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * Get client statistics
+     */
+    getStats() {
+        const successRate = this.stats.totalRequests > 0
+            ? Math.round((this.stats.successfulRequests / this.stats.totalRequests) * 100)
+            : 0;
+
+        return {
+            ...this.stats,
+            successRate,
+            averageResponseTime: Math.round(this.stats.averageResponseTime)
+        };
+    }
+}
+
+module.exports = CALFIREClient;
@@ -12,6 +12,8 @@ class FEMAClient extends EventEmitter {
         
         this.httpClient = options.httpClient;
         this.cacheManager = options.cacheManager;
+        // async (latitude, longitude) => { census_tract_fips } | null, e.g. spatialQueries.getCensusTractFromCoordinates
+        this.tractResolver = options.tractResolver || null;
         this.baseUrl = 'https://www.fema.gov/api/open/v2';
         
         // FEMA API configuration
@@ -178,10 +180,18 @@ class FEMAClient extends EventEmitter {
      */
     async getRiskByCoordinates(latitude, longitude, options = {}) {
         try {
-            // FEMA NRI doesn't support coordinate queries directly
-            // We need to find the census tract for these coordinates
-            // This would typically involve spatial lookup or geocoding
-            throw new Error('Coordinate lookup requires census tract conversion - use geocoding service first');
+            // FEMA NRI doesn't support coordinate queries directly,
+            // so the point is resolved to its census tract first
+            if (!this.tractResolver) {
+                throw new Error('Coordinate lookup requires census tract conversion - configure a tractResolver');
+            }
+
+            const tract = await this.tractResolver(latitude, longitude);
+            if (!tract || !tract.census_tract_fips) {
+                throw new Error(`No census tract found for coordinates: ${latitude}, ${longitude}`);
+            }
+
+            return await this.getRiskByFIPS(tract.census_tract_fips, options);
             
         } catch (error) {
             throw new Error(`FEMA coordinate lookup failed: ${error.message}`);
@@ -0,0 +1,467 @@
+/**
+ * NASAPowerClient - NASA POWER daily point climatology integration
+ * Pulls daily temperature, humidity and precipitation for a location and derives
+ * heat index exceedance days and precipitation deficit indicators for heat and drought risk
+ */
+
+const { EventEmitter } = require('events');
+
+// Registered with DataSourceManager when the client is constructed with one
+const NASA_POWER_SOURCE = {
+    name: 'NASA POWER Daily Climatology',
+    baseUrl: 'https://power.larc.nasa.gov/api/temporal/daily/point',
+    type: 'government',
+    priority: 2,
+    reliability: 0.87,
+    avgResponseTime: 6000,
+    costPerRequest: 0.0,
+    maxRetries: 2,
+    timeout: 60000,
+    riskTypes: ['heat_risk', 'drought_risk'],
+    dataFormats: ['json', 'csv'],
+    authType: 'none'
+};
+
+class NASAPowerClient extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.httpClient = options.httpClient;
+        this.rateLimiter = options.rateLimiter;
+        this.cacheManager = options.cacheManager;
+        this.sourceId = 'NASA_POWER';
+
+        if (options.dataSourceManager) {
+            options.dataSourceManager.registerSource(this.sourceId, NASA_POWER_SOURCE);
+        }
+
+        // NASA POWER API endpoints
+        this.endpoints = {
+            dailyPoint: NASA_POWER_SOURCE.baseUrl
+        };
+
+        // Configuration
+        this.config = {
+            timeout: NASA_POWER_SOURCE.timeout,
+            community: 'AG',
+            baselineStartYear: 1991,
+            // Daily MERRA-2 precipitation is published several days behind real time
+            dataLatencyDays: 7,
+            // Years with fewer valid days are left out of annual statistics
+            minDaysPerYear: 330,
+            recentYears: 10,
+            deficitWindowsDays: [90, 365],
+            dryDayThresholdMm: 1.0
+        };
+
+        // Daily parameters: max temperature (C), specific humidity (g/kg), surface pressure (kPa), precipitation (mm/day)
+        this.parameters = ['T2M_MAX', 'QV2M', 'PS', 'PRECTOTCORR'];
+
+        // Cache TTL settings
+        this.cacheTTL = {
+            climate_indicators: 604800 // 1 week; only the recent precipitation windows change
+        };
+
+        // NWS heat index categories (F)
+        this.heatIndexThresholds = {
+            caution: 90,
+            danger: 103
+        };
+
+        // Statistics tracking
+        this.stats = {
+            totalRequests: 0,
+            successfulRequests: 0,
+            errorRequests: 0,
+            cacheHits: 0,
+            averageResponseTime: 0
+        };
+    }
+
+    /**
+     * Get heat and precipitation indicators for a location from the daily record
+     */
+    async getClimateIndicators(latitude, longitude, options = {}) {
+        const requestId = this._generateRequestId();
+        const startTime = Date.now();
+
+        const endDate = new Date(Date.now() - (options.dataLatencyDays || this.config.dataLatencyDays) * 86400000);
+        const start = `${options.baselineStartYear || this.config.baselineStartYear}0101`;
+        const end = endDate.toISOString().slice(0, 10).replace(/-/g, '');
+
+        try {
+            // POWER cells are 0.5 x 0.625 degrees, so nearby points share a cache entry
+            const cacheKey = `nasa_power:indicators:${latitude.toFixed(2)}:${longitude.toFixed(2)}:${start}:${end}`;
+
+            if (this.cacheManager) {
+                const cached = await this.cacheManager.get(cacheKey);
+                if (cached) {
+                    this.stats.cacheHits++;
+                    this.emit('cacheHit', { requestId, cacheKey });
+                    return { ...cached, cached: true };
+                }
+            }
+
+            const days = await this._fetchDailyData(requestId, latitude, longitude, start, end);
+
+            const indicators = {
+                location: {
+                    latitude,
+                    longitude
+                },
+                period: {
+                    start: days[0].date,
+                    end: days[days.length - 1].date
+                },
+                heat: this._summarizeHeatIndex(days),
+                precipitation: this._summarizePrecipitation(days),
+                dataSource: this.sourceId,
+                generatedAt: new Date().toISOString()
+            };
+
+            this._updateStats(true, Date.now() - startTime);
+
+            if (this.cacheManager) {
+                await this.cacheManager.set(cacheKey, indicators, { ttl: this.cacheTTL.climate_indicators });
+            }
+
+            return { ...indicators, cached: false };
+
+        } catch (error) {
+            this._updateStats(false, Date.now() - startTime);
+            throw new Error(`NASA POWER climate indicators failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get heat and drought risk assessments for a location
+     */
+    async getClimateRisk(latitude, longitude, options = {}) {
+        const indicators = await this.getClimateIndicators(latitude, longitude, options);
+        const confidence = this._assessConfidence(indicators.heat.years_analyzed);
+
+        return {
+            location: indicators.location,
+            heatRisk: {
+                riskScore: this._calculateHeatScore(indicators.heat),
+                confidence,
+                indicators: indicators.heat
+            },
+            droughtRisk: {
+                riskScore: this._calculateDroughtScore(indicators.precipitation),
+                confidence,
+                indicators: indicators.precipitation
+            },
+            period: indicators.period,
+            dataSource: this.sourceId,
+            cached: indicators.cached,
+            generatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Fetch the daily record through the rate limiter, as [{ date, tmaxC, heatIndexF, precipMm }]
+     */
+    async _fetchDailyData(requestId, latitude, longitude, start, end) {
+        if (this.rateLimiter) {
+            const rateLimitCheck = await this.rateLimiter.checkRateLimit(this.sourceId);
+            if (!rateLimitCheck.allowed) {
+                throw new Error(`Rate limited (${rateLimitCheck.reason}), retry after ${rateLimitCheck.retryAfter} ms`);
+            }
+        }
+
+        try {
+            const params = new URLSearchParams({
+                parameters: this.parameters.join(','),
+                community: this.config.community,
+                latitude: latitude.toFixed(4),
+                longitude: longitude.toFixed(4),
+                start,
+                end,
+                format: 'JSON',
+                'time-standard': 'LST'
+            });
+            const url = `${this.endpoints.dailyPoint}?${params.toString()}`;
+
+            console.log(`[${requestId}] Fetching NASA POWER daily data: ${url}`);
+
+            const response = await this.httpClient.get(url, {
+                timeout: this.config.timeout,
+                headers: {
+                    'Accept': 'application/json',
+                    'User-Agent': 'Seawater-Climate-Platform/1.0'
+                }
+            });
+
+            const series = response.data?.properties?.parameter;
+            if (!series || this.parameters.some(parameter => !series[parameter])) {
+                throw new Error('Invalid NASA POWER response format');
+            }
+
+            const fillValue = response.data.header?.fill_value ?? -999;
+            const valueOf = (parameter, date) => {
+                const value = series[parameter][date];
+                return value === undefined || value === null || value === fillValue ? null : value;
+            };
+
+            const days = Object.keys(series.PRECTOTCORR).sort().map(date => {
+                const tmaxC = valueOf('T2M_MAX', date);
+                const humidity = valueOf('QV2M', date);
+                const pressure = valueOf('PS', date);
+
+                return {
+                    date: `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`,
+                    tmaxC,
+                    heatIndexF: tmaxC !== null && humidity !== null && pressure !== null
+                        ? this._heatIndexF(tmaxC, this._relativeHumidityAt(tmaxC, humidity, pressure))
+                        : null,
+                    precipMm: valueOf('PRECTOTCORR', date)
+                };
+            });
+
+            if (days.length === 0) {
+                throw new Error('NASA POWER returned no daily values');
+            }
+
+            return days;
+
+        } finally {
+            if (this.rateLimiter) {
+                this.rateLimiter.markRequestCompleted(this.sourceId);
+            }
+        }
+    }
+
+    /**
+     * Relative humidity (%) at the daily maximum temperature
+     * Specific humidity changes little over the day, so this approximates afternoon
+     * humidity better than the daily mean relative humidity does.
+     */
+    _relativeHumidityAt(temperatureC, specificHumidityGkg, pressureKPa) {
+        const q = specificHumidityGkg / 1000;
+        const vaporPressure = (q * pressureKPa) / (0.622 + 0.378 * q);
+        const saturationPressure = 0.6108 * Math.exp((17.27 * temperatureC) / (temperatureC + 237.3));
+        return Math.min(100, (vaporPressure / saturationPressure) * 100);
+    }
+
+    /**
+     * NWS heat index (F) from temperature (C) and relative humidity (%)
+     */
+    _heatIndexF(temperatureC, humidity) {
+        const t = temperatureC * 9 / 5 + 32;
+        const simple = 0.5 * (t + 61 + (t - 68) * 1.2 + humidity * 0.094);
+        if ((simple + t) / 2 < 80) return simple;
+
+        let heatIndex = -42.379 + 2.04901523 * t + 10.14333127 * humidity
+            - 0.22475541 * t * humidity - 0.00683783 * t * t
+            - 0.05481717 * humidity * humidity + 0.00122874 * t * t * humidity
+            + 0.00085282 * t * humidity * humidity - 0.00000199 * t * t * humidity * humidity;
+
+        if (humidity < 13 && t >= 80 && t <= 112) {
+            heatIndex -= ((13 - humidity) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+        } else if (humidity > 85 && t >= 80 && t <= 87) {
+            heatIndex += ((humidity - 85) / 10) * ((87 - t) / 5);
+        }
+
+        return heatIndex;
+    }
+
+    /**
+     * Annual heat index exceedance days over complete years, overall and for the recent decade
+     */
+    _summarizeHeatIndex(days) {
+        const years = this._groupCompleteYears(days, 'heatIndexF');
+        const counts = years.map(({ year, values }) => ({
+            year,
+            caution: values.filter(value => value >= this.heatIndexThresholds.caution).length,
+            danger: values.filter(value => value >= this.heatIndexThresholds.danger).length
+        }));
+        const recent = counts.slice(-this.config.recentYears);
+        const mean = (list, key) => list.length > 0
+            ? Math.round((list.reduce((sum, item) => sum + item[key], 0) / list.length) * 10) / 10
+            : null;
+        const heatIndexValues = days.map(day => day.heatIndexF).filter(value => value !== null);
+
+        return {
+            caution_threshold_f: this.heatIndexThresholds.caution,
+            danger_threshold_f: this.heatIndexThresholds.danger,
+            annual_days_above_caution: mean(counts, 'caution'),
+            annual_days_above_danger: mean(counts, 'danger'),
+            recent_annual_days_above_caution: mean(recent, 'caution'),
+            recent_annual_days_above_danger: mean(recent, 'danger'),
+            max_heat_index_f: heatIndexValues.length > 0 ? Math.round(Math.max(...heatIndexValues)) : null,
+            years_analyzed: counts.length
+        };
+    }
+
+    /**
+     * Recent precipitation against the same calendar windows in earlier years
+     */
+    _summarizePrecipitation(days) {
+        const years = this._groupCompleteYears(days, 'precipMm');
+        const annualTotals = years.map(({ values }) => values.reduce((sum, value) => sum + value, 0));
+        const annualMeanMm = annualTotals.length > 0
+            ? annualTotals.reduce((sum, total) => sum + total, 0) / annualTotals.length
+            : null;
+
+        // Windows end on the last day with published precipitation
+        let endIndex = days.length - 1;
+        while (endIndex >= 0 && days[endIndex].precipMm === null) endIndex--;
+        if (endIndex < 0) {
+            throw new Error('No valid precipitation values');
+        }
+
+        const windowTotal = (lastIndex, length) => {
+            const values = days.slice(lastIndex - length + 1, lastIndex + 1)
+                .map(day => day.precipMm)
+                .filter(value => value !== null);
+            // Windows missing more than a tenth of their days are not comparable
+            return values.length >= length * 0.9 ? values.reduce((sum, value) => sum + value, 0) : null;
+        };
+
+        const windows = {};
+        this.config.deficitWindowsDays.forEach(length => {
+            const total = windowTotal(endIndex, length);
+            const normals = [];
+            for (let yearsBack = 1; ; yearsBack++) {
+                const lastIndex = endIndex - Math.round(yearsBack * 365.25);
+                if (lastIndex - length + 1 < 0) break;
+                const normal = windowTotal(lastIndex, length);
+                if (normal !== null) normals.push(normal);
+            }
+            const normalMm = normals.length > 0
+                ? normals.reduce((sum, value) => sum + value, 0) / normals.length
+                : null;
+
+            windows[`${length}_day`] = {
+                total_mm: total !== null ? Math.round(total) : null,
+                normal_mm: normalMm !== null ? Math.round(normalMm) : null,
+                deficit_mm: total !== null && normalMm !== null ? Math.round(normalMm - total) : null,
+                percent_of_normal: total !== null && normalMm > 0 ? Math.round((total / normalMm) * 100) : null,
+                years_in_normal: normals.length
+            };
+        });
+
+        // Longest run of dry days in the last year
+        let longestDrySpell = 0;
+        let currentDrySpell = 0;
+        days.slice(Math.max(0, endIndex - 364), endIndex + 1).forEach(day => {
+            currentDrySpell = day.precipMm !== null && day.precipMm < this.config.dryDayThresholdMm
+                ? currentDrySpell + 1
+                : 0;
+            longestDrySpell = Math.max(longestDrySpell, currentDrySpell);
+        });
+
+        return {
+            annual_mean_mm: annualMeanMm !== null ? Math.round(annualMeanMm) : null,
+            through_date: days[endIndex].date,
+            windows,
+            longest_dry_spell_days: longestDrySpell,
+            dry_day_threshold_mm: this.config.dryDayThresholdMm,
+            years_analyzed: annualTotals.length
+        };
+    }
+
+    /**
+     * Values of one field grouped by calendar year, keeping only years with enough valid days
+     */
+    _groupCompleteYears(days, field) {
+        const byYear = new Map();
+        days.forEach(day => {
+            if (day[field] === null) return;
+            const year = parseInt(day.date.slice(0, 4), 10);
+            if (!byYear.has(year)) byYear.set(year, []);
+            byYear.get(year).push(day[field]);
+        });
+
+        return [...byYear.entries()]
+            .filter(([, values]) => values.length >= this.config.minDaysPerYear)
+            .sort(([a], [b]) => a - b)
+            .map(([year, values]) => ({ year, values }));
+    }
+
+    /**
+     * Heat score (0-100) from annual heat index exceedance days; danger days count four times
+     */
+    _calculateHeatScore(heat) {
+        if (heat.annual_days_above_caution === null) return null;
+
+        // Weight the recent decade equally with the full record to reflect warming
+        const caution = (heat.annual_days_above_caution + heat.recent_annual_days_above_caution) / 2;
+        const danger = (heat.annual_days_above_danger + heat.recent_annual_days_above_danger) / 2;
+
+        return Math.round(100 * (1 - Math.exp(-(caution + 4 * danger) / 75)));
+    }
+
+    /**
+     * Drought score (0-100) from recent precipitation deficits and baseline aridity
+     */
+    _calculateDroughtScore(precipitation) {
+        // Half of normal precipitation scores 100
+        const deficitScore = (window) => window && window.percent_of_normal !== null
+            ? Math.max(0, Math.min(100, ((100 - window.percent_of_normal) / 50) * 100))
+            : 0;
+        // 200 mm a year or less scores 100, 1000 mm or more scores 0
+        const aridityScore = precipitation.annual_mean_mm !== null
+            ? Math.max(0, Math.min(100, ((1000 - precipitation.annual_mean_mm) / 800) * 100))
+            : 0;
+
+        return Math.round(
+            0.4 * deficitScore(precipitation.windows['365_day']) +
+            0.2 * deficitScore(precipitation.windows['90_day']) +
+            0.4 * aridityScore
+        );
+    }
+
+    /**
+     * POWER is a coarse reanalysis product, so confidence tops out at medium
+     */
+    _assessConfidence(yearsAnalyzed) {
+        return yearsAnalyzed >= 10 ? 'medium' : 'low';
+    }
+
+    /**
+     * Update statistics
+     */
+    _updateStats(success, responseTime) {
+        this.stats.totalRequests++;
+
+        if (success) {
+            this.stats.successfulRequests++;
+        } else {
+            this.stats.errorRequests++;
+        }
+
+        // Update average response time
+        if (this.stats.totalRequests === 1) {
+            this.stats.averageResponseTime = responseTime;
+        } else {
+            this.stats.averageResponseTime =
+                this.stats.averageResponseTime * 0.9 + responseTime * 0.1;
+        }
+    }
+
+    /**
+     * Generate unique request ID
+     */
+    _generateRequestId() {
+        return `nasa_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * Get client statistics
+     */
+    getStats() {
+        const successRate = this.stats.totalRequests > 0
+            ? Math.round((this.stats.successfulRequests / this.stats.totalRequests) * 100)
+            : 0;
+
+        return {
+            ...this.stats,
+            successRate,
+            averageResponseTime: Math.round(this.stats.averageResponseTime)
+        };
+    }
+}
+
+module.exports = NASAPowerClient;
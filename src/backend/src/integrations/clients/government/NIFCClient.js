@@ -0,0 +1,208 @@
+/**
+ * NIFCClient - National Interagency Fire Center historical fire perimeter integration
+ * Reads the interagency perimeter history from a local GeoJSON snapshot or the
+ * NIFC Open Data feature service, and scores wildfire risk from burn history
+ */
+
+const { EventEmitter } = require('events');
+const {
+    querySnapshot,
+    queryArcGISLayer,
+    firstProperty,
+    summarizeBurnHistory,
+    calculateBurnHistoryScore
+} = require('../../utils/FireHistoryUtils');
+
+class NIFCClient extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.httpClient = options.httpClient;
+        this.cacheManager = options.cacheManager;
+
+        // NIFC Open Data endpoints
+        this.endpoints = {
+            perimeterHistory: options.perimeterUrl || process.env.NIFC_PERIMETERS_URL ||
+                'https://services3.arcgis.com/T4QMspbfLg3qTGWY/arcgis/rest/services/InterAgencyFirePerimeterHistory_All_Years_View/FeatureServer/0'
+        };
+
+        // Local snapshot used instead of the live service when configured
+        this.snapshotPath = options.perimeterSnapshotPath || process.env.NIFC_PERIMETERS_GEOJSON || null;
+
+        // Configuration
+        this.config = {
+            timeout: 30000,
+            searchRadiusKm: 25,
+            frequencyRadiusKm: 10,
+            lookbackYears: 50
+        };
+
+        // Cache TTL settings
+        this.cacheTTL = {
+            perimeters: 86400 // 1 day; the history changes only as fire seasons close out
+        };
+
+        // Perimeter attribute names across layer vintages
+        this.fields = {
+            name: ['INCIDENT', 'poly_IncidentName', 'attr_IncidentName', 'FIRE_NAME'],
+            year: ['FIRE_YEAR_INT', 'FIRE_YEAR', 'YEAR_'],
+            acres: ['GIS_ACRES', 'poly_GISAcres', 'attr_IncidentSize'],
+            agency: ['AGENCY', 'UNIT_ID', 'attr_POOProtectingAgency']
+        };
+
+        // Statistics tracking
+        this.stats = {
+            totalRequests: 0,
+            successfulRequests: 0,
+            errorRequests: 0,
+            cacheHits: 0,
+            averageResponseTime: 0
+        };
+    }
+
+    /**
+     * Get historical fire perimeters within a radius of a location
+     */
+    async getHistoricalPerimeters(latitude, longitude, options = {}) {
+        const requestId = this._generateRequestId();
+        const startTime = Date.now();
+        const radiusKm = options.radiusKm || this.config.searchRadiusKm;
+
+        try {
+            const cacheKey = `nifc:perimeters:${latitude.toFixed(4)}:${longitude.toFixed(4)}:${radiusKm}`;
+
+            if (this.cacheManager) {
+                const cached = await this.cacheManager.get(cacheKey);
+                if (cached) {
+                    this.stats.cacheHits++;
+                    this.emit('cacheHit', { requestId, cacheKey });
+                    return { ...cached, cached: true };
+                }
+            }
+
+            console.log(`[${requestId}] Fetching NIFC fire perimeters within ${radiusKm} km from ${this.snapshotPath ? 'snapshot' : 'feature service'}`);
+
+            const features = this.snapshotPath
+                ? await querySnapshot(this.snapshotPath, latitude, longitude, radiusKm)
+                : await queryArcGISLayer(this.httpClient, this.endpoints.perimeterHistory, latitude, longitude, {
+                    radiusKm,
+                    outFields: Object.values(this.fields).flat().join(','),
+                    timeout: this.config.timeout
+                });
+
+            const result = {
+                perimeters: features.map(feature => this._normalizePerimeter(feature)),
+                radiusKm,
+                source: this.snapshotPath ? 'snapshot' : 'live',
+                dataSource: 'NIFC'
+            };
+
+            this._updateStats(true, Date.now() - startTime);
+
+            if (this.cacheManager) {
+                await this.cacheManager.set(cacheKey, result, { ttl: this.cacheTTL.perimeters });
+            }
+
+            return { ...result, cached: false };
+
+        } catch (error) {
+            this._updateStats(false, Date.now() - startTime);
+            throw new Error(`NIFC fire perimeter lookup failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get wildfire risk assessment for a location from its burn history
+     */
+    async getWildfireRisk(latitude, longitude, options = {}) {
+        try {
+            const history = await this.getHistoricalPerimeters(latitude, longitude, options);
+            const burnHistory = summarizeBurnHistory(history.perimeters, {
+                searchRadiusKm: history.radiusKm,
+                frequencyRadiusKm: options.frequencyRadiusKm || this.config.frequencyRadiusKm,
+                lookbackYears: options.lookbackYears || this.config.lookbackYears
+            });
+
+            return {
+                location: {
+                    latitude,
+                    longitude
+                },
+                riskAssessment: {
+                    riskScore: calculateBurnHistoryScore(burnHistory),
+                    // Perimeter history is mapped nationally but says nothing about fuels or structures
+                    confidence: 'medium',
+                    burnHistory
+                },
+                dataSource: 'NIFC',
+                dataMode: history.source,
+                cached: history.cached,
+                generatedAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            throw new Error(`NIFC wildfire risk assessment failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Normalize a perimeter feature to { name, year, acres, agency, distance_km }
+     */
+    _normalizePerimeter(feature) {
+        const year = parseInt(firstProperty(feature.properties, this.fields.year), 10);
+        const acres = parseFloat(firstProperty(feature.properties, this.fields.acres));
+
+        return {
+            name: firstProperty(feature.properties, this.fields.name),
+            year: isNaN(year) ? null : year,
+            acres: isNaN(acres) ? null : Math.round(acres),
+            agency: firstProperty(feature.properties, this.fields.agency),
+            distance_km: feature.distance_km
+        };
+    }
+
+    /**
+     * Update statistics
+     */
+    _updateStats(success, responseTime) {
+        this.stats.totalRequests++;
+
+        if (success) {
+            this.stats.successfulRequests++;
+        } else {
+            this.stats.errorRequests++;
+        }
+
+        // Update average response time
+        if (this.stats.totalRequests === 1) {
+            this.stats.averageResponseTime = responseTime;
+        } else {
+            this.stats.averageResponseTime =
+                this.stats.averageResponseTime * 0.9 + responseTime * 0.1;
+        }
+    }
+
+    /**
+     * Generate unique request ID
+     */
+    _generateRequestId() {
+        return `nifc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * Get client statistics
+     */
+    getStats() {
+        const successRate = this.stats.totalRequests > 0
+            ? Math.round((this.stats.successfulRequests / this.stats.totalRequests) * 100)
+            : 0;
+
+        return {
+            ...this.stats,
+            successRate,
+            averageResponseTime: Math.round(this.stats.averageResponseTime)
+        };
+    }
+}
+
+module.exports = NIFCClient;
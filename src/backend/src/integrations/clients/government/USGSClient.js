@@ -325,6 +325,8 @@ class USGSClient extends EventEmitter {
 
     /**
      * Find nearby USGS water monitoring sites
+     * NWIS has no radius search, so this asks the instantaneous values service for active sites in
+     * the bounding box around the radius and keeps those within it.
      */
     async getNearbyWaterSites(latitude, longitude, options = {}) {
         const requestId = this._generateRequestId();
@@ -343,14 +345,16 @@ class USGSClient extends EventEmitter {
                 }
             }
 
+            const radiusKm = options.radiusKm || 50;
+            const latSpan = radiusKm / 111.195;
+            const lonSpan = radiusKm / (111.195 * Math.max(0.01, Math.cos(latitude * Math.PI / 180)));
             const params = {
                 format: 'json',
-                lat: latitude,
-                lon: longitude,
-                within: options.radiusKm || 50, // kilometers
-                hasDataTypeCd: 'iv', // Instantaneous values
-                siteOutput: 'expanded',
-                seriesCatalogOutput: true
+                // west,south,east,north with at most 7 decimal places
+                bBox: [longitude - lonSpan, latitude - latSpan, longitude + lonSpan, latitude + latSpan]
+                    .map(value => value.toFixed(6))
+                    .join(','),
+                siteStatus: 'active'
             };
 
             // Add parameter filter if specified
@@ -366,7 +370,7 @@ class USGSClient extends EventEmitter {
                 ].join(',');
             }
 
-            const url = this._buildWaterUrl('/site/', params);
+            const url = this._buildWaterUrl('/iv/', params);
             console.log(`[${requestId}] Fetching nearby USGS water sites: ${url}`);
 
             const response = await this.httpClient.get(url, {
@@ -375,12 +379,16 @@ class USGSClient extends EventEmitter {
                     'Accept': 'application/json',
                     'User-Agent': 'Seawater-Climate-Platform/1.0'
                 }
+            }).catch(error => {
+                // NWIS answers 404 when no site in the box matches
+                if (error.statusCode === 404) return { data: null };
+                throw error;
             });
 
             const responseTime = Date.now() - startTime;
             this._updateStats(true, responseTime);
 
-            const formattedSites = this._formatWaterSitesResponse(response.data, latitude, longitude);
+            const formattedSites = this._formatWaterSitesResponse(response.data, latitude, longitude, radiusKm);
 
             // Cache the response
             if (this.cacheManager) {
@@ -983,13 +991,14 @@ class USGSClient extends EventEmitter {
     /**
      * Format water sites response
      */
-    _formatWaterSitesResponse(data, queryLat, queryLon) {
+    _formatWaterSitesResponse(data, queryLat, queryLon, radiusKm = 50) {
         if (!data || !data.value || !data.value.timeSeries) {
             return {
                 sites: [],
                 metadata: {
                     count: 0,
-                    queryLocation: { latitude: queryLat, longitude: queryLon }
+                    queryLocation: { latitude: queryLat, longitude: queryLon },
+                    searchRadius: radiusKm
                 }
             };
         }
@@ -1032,17 +1041,17 @@ class USGSClient extends EventEmitter {
             });
         });
 
-        // Convert to array and sort by distance
-        const sites = Array.from(siteMap.values()).sort((a, b) => 
-            a.location.distanceKm - b.location.distanceKm
-        );
+        // Drop the bounding box corners outside the radius and sort by distance
+        const sites = Array.from(siteMap.values())
+            .filter(site => site.location.distanceKm <= radiusKm)
+            .sort((a, b) => a.location.distanceKm - b.location.distanceKm);
 
         return {
             sites,
             metadata: {
                 count: sites.length,
                 queryLocation: { latitude: queryLat, longitude: queryLon },
-                searchRadius: 50 // Default radius
+                searchRadius: radiusKm
             }
         };
     }
@@ -57,6 +57,13 @@ class APIRateLimiter extends EventEmitter {
                 cost: 0.0,
                 concurrent: 10
             },
+            'NASA_POWER': {
+                requests: 300,
+                window: 3600, // 1 hour; POWER asks clients to keep request volume modest
+                priority: 'medium',
+                cost: 0.0,
+                concurrent: 5
+            },
             'FirstStreet': {
                 requests: 10000,
                 window: 86400, // 1 day
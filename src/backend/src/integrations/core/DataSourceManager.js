@@ -25,6 +25,11 @@ class DataSourceManager extends EventEmitter {
             hurricane_risk: ['HURDAT2', 'NHC', 'FEMA_NRI'],
             earthquake_risk: ['USGS_Earthquake', 'FEMA_NRI'],
             heat_risk: ['NOAA_CDO', 'NASA_POWER', 'FirstStreet'],
+            drought_risk: ['US_Drought_Monitor', 'NOAA_CDO', 'NASA_POWER', 'FEMA_NRI'],
+            tornado_risk: ['NOAA_SPC', 'FEMA_NRI'],
+            hail_risk: ['NOAA_SPC', 'FEMA_NRI'],
+            landslide_risk: ['USGS_3DEP', 'FEMA_NRI'],
+            volcanic_risk: ['USGS_Volcano', 'FEMA_NRI'],
             geocoding: ['MapBox_Geocoding', 'Google_Geocoding', 'Census_Geocoding']
         };
         
@@ -97,6 +102,34 @@ class DataSourceManager extends EventEmitter {
                 dataFormats: ['json', 'xml', 'csv'],
                 authType: 'none'
             },
+            'USGS_3DEP': {
+                name: 'USGS 3DEP Elevation Point Query Service',
+                baseUrl: 'https://epqs.nationalmap.gov/v1',
+                type: 'government',
+                priority: 1,
+                reliability: 0.95,
+                avgResponseTime: 800, // Nine elevation samples per landslide slope estimate
+                costPerRequest: 0.0,
+                maxRetries: 2,
+                timeout: 15000,
+                riskTypes: ['landslide_risk'],
+                dataFormats: ['json'],
+                authType: 'none'
+            },
+            'USGS_Volcano': {
+                name: 'USGS Volcano Hazards Program',
+                baseUrl: 'https://volcanoes.usgs.gov/hans-public/api/volcano',
+                type: 'government',
+                priority: 1,
+                reliability: 0.95,
+                avgResponseTime: 1500,
+                costPerRequest: 0.0,
+                maxRetries: 2,
+                timeout: 30000,
+                riskTypes: ['volcanic_risk'],
+                dataFormats: ['json'],
+                authType: 'none'
+            },
             'FirstStreet': {
                 name: 'First Street Foundation',
                 baseUrl: 'https://api.firststreet.org/risk/v1',
@@ -127,6 +160,90 @@ class DataSourceManager extends EventEmitter {
                 authType: 'api_key',
                 requiresToken: true
             },
+            'HURDAT2': {
+                name: 'NOAA NHC HURDAT2 Best Tracks',
+                baseUrl: 'https://www.nhc.noaa.gov/data/hurdat',
+                type: 'government',
+                priority: 1,
+                reliability: 0.99,
+                avgResponseTime: 100, // Tracks are downloaded once and indexed in memory
+                costPerRequest: 0.0,
+                maxRetries: 2,
+                timeout: 60000,
+                riskTypes: ['hurricane_risk'],
+                dataFormats: ['txt'],
+                authType: 'none'
+            },
+            'CAL_FIRE': {
+                name: 'CAL FIRE Fire Hazard Severity Zones and FRAP Perimeters',
+                baseUrl: 'https://services1.arcgis.com/jUJYIo9tSA7EHvfZ/arcgis/rest/services',
+                type: 'government',
+                priority: 1,
+                reliability: 0.93,
+                avgResponseTime: 2500,
+                costPerRequest: 0.0,
+                maxRetries: 2,
+                timeout: 30000,
+                riskTypes: ['wildfire_risk'], // California only
+                dataFormats: ['geojson'],
+                authType: 'none'
+            },
+            'NIFC': {
+                name: 'NIFC Interagency Fire Perimeter History',
+                baseUrl: 'https://services3.arcgis.com/T4QMspbfLg3qTGWY/arcgis/rest/services',
+                type: 'government',
+                priority: 2,
+                reliability: 0.90,
+                avgResponseTime: 3000,
+                costPerRequest: 0.0,
+                maxRetries: 2,
+                timeout: 30000,
+                riskTypes: ['wildfire_risk'],
+                dataFormats: ['geojson'],
+                authType: 'none'
+            },
+            'US_Drought_Monitor': {
+                name: 'US Drought Monitor Weekly Maps',
+                baseUrl: 'https://droughtmonitor.unl.edu/data/json',
+                type: 'government',
+                priority: 1,
+                reliability: 0.95,
+                avgResponseTime: 4000, // Weekly history is read from the imported drought_monitor_cells grid
+                costPerRequest: 0.0,
+                maxRetries: 2,
+                timeout: 60000,
+                riskTypes: ['drought_risk'],
+                dataFormats: ['geojson'],
+                authType: 'none'
+            },
+            'NOAA_SPC': {
+                name: 'NOAA Storm Prediction Center Severe Weather Database',
+                baseUrl: 'https://www.spc.noaa.gov/wcm/data',
+                type: 'government',
+                priority: 1,
+                reliability: 0.95,
+                avgResponseTime: 100, // Reports are imported into storm_reports and queried near the point
+                costPerRequest: 0.0,
+                maxRetries: 2,
+                timeout: 10000,
+                riskTypes: ['tornado_risk', 'hail_risk'],
+                dataFormats: ['csv'],
+                authType: 'none'
+            },
+            'NOAA_Coastal': {
+                name: 'NOAA Coastal Elevation and Sea Level Rise',
+                baseUrl: 'https://coast.noaa.gov/slrdata',
+                type: 'government',
+                priority: 3,
+                reliability: 0.97,
+                avgResponseTime: 50, // Grids are read from SLR_GRID_DIR
+                costPerRequest: 0.0,
+                maxRetries: 1,
+                timeout: 10000,
+                riskTypes: ['flood_risk'],
+                dataFormats: ['asc'],
+                authType: 'none'
+            },
             'MapBox_Geocoding': {
                 name: 'MapBox Geocoding',
                 baseUrl: 'https://api.mapbox.com/geocoding/v5',
@@ -16,6 +16,9 @@ const APIHealthMonitor = require('./core/APIHealthMonitor');
 // Government data clients
 const FEMAClient = require('./clients/government/FEMAClient');
 const USGSClient = require('./clients/government/USGSClient');
+const CALFIREClient = require('./clients/government/CALFIREClient');
+const NIFCClient = require('./clients/government/NIFCClient');
+const NASAPowerClient = require('./clients/government/NASAPowerClient');
 
 // Geocoding clients
 const MapBoxGeocodingClient = require('./clients/geocoding/MapBoxGeocodingClient');
@@ -46,7 +49,8 @@ class ClimateDataIntegration {
         // Initialize government data clients
         this.femaClient = new FEMAClient({
             httpClient: this.httpClient,
-            cacheManager: this.cacheManager
+            cacheManager: this.cacheManager,
+            tractResolver: options.tractResolver
         });
         
         this.usgsClient = new USGSClient({
@@ -54,6 +58,23 @@ class ClimateDataIntegration {
             cacheManager: this.cacheManager
         });
         
+        this.calFireClient = new CALFIREClient({
+            httpClient: this.httpClient,
+            cacheManager: this.cacheManager
+        });
+        
+        this.nifcClient = new NIFCClient({
+            httpClient: this.httpClient,
+            cacheManager: this.cacheManager
+        });
+        
+        this.nasaPowerClient = new NASAPowerClient({
+            httpClient: this.httpClient,
+            rateLimiter: this.rateLimiter,
+            cacheManager: this.cacheManager,
+            dataSourceManager: this.dataSourceManager
+        });
+        
         // Initialize geocoding clients
         this.mapboxGeocoder = new MapBoxGeocodingClient({
             httpClient: this.httpClient,
@@ -155,11 +176,13 @@ class ClimateDataIntegration {
             // Step 2: Gather data from multiple sources
             const sourceData = {};
             
-            // Get FEMA National Risk Index data
+            // Get FEMA National Risk Index data, by census tract when a resolver is configured
             try {
-                const femaData = await this.femaClient.getRiskByAddress(address, {
-                    stateCode: location.components.state
-                });
+                const femaData = this.femaClient.tractResolver
+                    ? await this.femaClient.getRiskByCoordinates(latitude, longitude)
+                    : await this.femaClient.getRiskByAddress(address, {
+                        stateCode: location.components.state
+                    });
                 sourceData['FEMA_NRI'] = {
                     risks: this._extractFEMARisks(femaData),
                     lastUpdated: new Date().toISOString(),
@@ -188,6 +211,12 @@ class ClimateDataIntegration {
                 console.warn(`USGS earthquake data unavailable: ${error.message}`);
             }
             
+            // Get CAL FIRE and NIFC wildfire data
+            await this._addWildfireSources(sourceData, latitude, longitude, location.components.state);
+            
+            // Get NASA POWER heat and drought indicators
+            await this._addNASAPowerSource(sourceData, latitude, longitude);
+            
             // Step 3: Aggregate risk scores from all sources
             const propertyId = this._generatePropertyId(address, latitude, longitude);
             const riskAssessment = await this.riskAggregator.aggregateRiskScores(
@@ -262,6 +291,12 @@ class ClimateDataIntegration {
                 console.warn(`USGS earthquake data unavailable: ${error.message}`);
             }
             
+            // CAL FIRE and NIFC wildfire data
+            await this._addWildfireSources(sourceData, latitude, longitude, addressContext?.components?.state);
+            
+            // NASA POWER heat and drought indicators
+            await this._addNASAPowerSource(sourceData, latitude, longitude);
+            
             // Aggregate risks
             const riskAssessment = await this.riskAggregator.aggregateRiskScores(
                 propertyId,
@@ -390,6 +425,22 @@ class ClimateDataIntegration {
             results.usgs = { success: false, error: error.message };
         }
         
+        // Test NIFC perimeter history
+        try {
+            const perimeters = await this.nifcClient.getHistoricalPerimeters(34.0522, -118.2437, { radiusKm: 1 });
+            results.nifc = { success: true, source: perimeters.source };
+        } catch (error) {
+            results.nifc = { success: false, error: error.message };
+        }
+        
+        // Test CAL FIRE hazard zones
+        try {
+            const zone = await this.calFireClient.getFireHazardSeverityZone(34.0522, -118.2437);
+            results.calFire = { success: true, source: zone.source };
+        } catch (error) {
+            results.calFire = { success: false, error: error.message };
+        }
+        
         // Test MapBox Geocoding
         try {
             results.mapbox = await this.mapboxGeocoder.testConnection();
@@ -400,6 +451,76 @@ class ClimateDataIntegration {
         return results;
     }
 
+    /**
+     * Add CAL FIRE (California only) and NIFC wildfire scores to the source data
+     */
+    async _addWildfireSources(sourceData, latitude, longitude, stateCode) {
+        try {
+            const calFireRisk = await this.calFireClient.getWildfireRisk(latitude, longitude, { stateCode });
+            if (calFireRisk.covered) {
+                sourceData['CAL_FIRE'] = {
+                    risks: {
+                        wildfire_risk: {
+                            score: calFireRisk.riskAssessment.riskScore,
+                            confidence: this._mapConfidenceToScore(calFireRisk.riskAssessment.confidence)
+                        }
+                    },
+                    lastUpdated: calFireRisk.generatedAt,
+                    dataQuality: 0.90
+                };
+            }
+        } catch (error) {
+            console.warn(`CAL FIRE data unavailable: ${error.message}`);
+        }
+        
+        try {
+            const nifcRisk = await this.nifcClient.getWildfireRisk(latitude, longitude);
+            sourceData['NIFC'] = {
+                risks: {
+                    wildfire_risk: {
+                        score: nifcRisk.riskAssessment.riskScore,
+                        confidence: this._mapConfidenceToScore(nifcRisk.riskAssessment.confidence)
+                    }
+                },
+                lastUpdated: nifcRisk.generatedAt,
+                dataQuality: 0.85
+            };
+        } catch (error) {
+            console.warn(`NIFC data unavailable: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add NASA POWER heat and drought scores to the source data
+     */
+    async _addNASAPowerSource(sourceData, latitude, longitude) {
+        try {
+            const climateRisk = await this.nasaPowerClient.getClimateRisk(latitude, longitude);
+            const risks = {};
+            
+            if (climateRisk.heatRisk.riskScore !== null) {
+                risks.heat_risk = {
+                    score: climateRisk.heatRisk.riskScore,
+                    confidence: this._mapConfidenceToScore(climateRisk.heatRisk.confidence)
+                };
+            }
+            if (climateRisk.droughtRisk.riskScore !== null) {
+                risks.drought_risk = {
+                    score: climateRisk.droughtRisk.riskScore,
+                    confidence: this._mapConfidenceToScore(climateRisk.droughtRisk.confidence)
+                };
+            }
+            
+            sourceData['NASA_POWER'] = {
+                risks,
+                lastUpdated: climateRisk.generatedAt,
+                dataQuality: 0.85
+            };
+        } catch (error) {
+            console.warn(`NASA POWER data unavailable: ${error.message}`);
+        }
+    }
+
     /**
      * Helper method to extract FEMA risks
      */
@@ -476,6 +597,9 @@ module.exports = {
     APIHealthMonitor,
     FEMAClient,
     USGSClient,
+    CALFIREClient,
+    NIFCClient,
+    NASAPowerClient,
     MapBoxGeocodingClient,
     RiskScoreAggregator
 };
\ No newline at end of file
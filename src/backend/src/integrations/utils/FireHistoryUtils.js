@@ -0,0 +1,190 @@
+/**
+ * FireHistoryUtils - Shared fire perimeter and hazard zone handling for wildfire clients
+ * Loads local GeoJSON snapshots or queries ArcGIS feature layers, and summarizes
+ * burn history around a point (nearest burn, burn frequency)
+ */
+
+const fs = require('fs');
+const { pointInGeometry, distanceToGeometryKm, geometryBounds, boundsWithinKm } = require('./GeometryUtils');
+
+// Snapshots are large and static, so each file is parsed once per process
+const snapshotCache = new Map();
+
+// Burns within this distance count toward burn frequency
+const DEFAULT_FREQUENCY_RADIUS_KM = 10;
+
+// Fire records older than this are too incomplete to count toward frequency
+const DEFAULT_LOOKBACK_YEARS = 50;
+
+// Proximity score falls off by e for each 5 km to the nearest burn
+const PROXIMITY_DECAY_KM = 5;
+
+// Burns per decade within the frequency radius that score 100
+const MAX_SCORED_BURNS_PER_DECADE = 4;
+
+/**
+ * Load a GeoJSON FeatureCollection snapshot with precomputed feature bounds
+ */
+function loadGeoJSONSnapshot(filePath) {
+    if (!snapshotCache.has(filePath)) {
+        const loading = fs.promises.readFile(filePath, 'utf8')
+            .then(text => {
+                const collection = JSON.parse(text);
+                if (collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+                    throw new Error(`${filePath} is not a GeoJSON FeatureCollection`);
+                }
+                return collection.features
+                    .filter(feature => feature.geometry)
+                    .map(feature => ({
+                        properties: feature.properties || {},
+                        geometry: feature.geometry,
+                        bounds: geometryBounds(feature.geometry)
+                    }));
+            })
+            .catch(error => {
+                snapshotCache.delete(filePath);
+                throw error;
+            });
+        snapshotCache.set(filePath, loading);
+    }
+    return snapshotCache.get(filePath);
+}
+
+/**
+ * Snapshot features within radiusKm of a point, with their distance; radius 0 returns containing features
+ */
+async function querySnapshot(filePath, latitude, longitude, radiusKm = 0) {
+    const features = await loadGeoJSONSnapshot(filePath);
+
+    return features
+        .filter(feature => boundsWithinKm(feature.bounds, longitude, latitude, radiusKm))
+        .map(feature => ({
+            properties: feature.properties,
+            distance_km: radiusKm > 0
+                ? distanceToGeometryKm(longitude, latitude, feature.geometry)
+                : (pointInGeometry(longitude, latitude, feature.geometry) ? 0 : Infinity)
+        }))
+        .filter(feature => feature.distance_km <= radiusKm);
+}
+
+/**
+ * ArcGIS feature layer features within radiusKm of a point, with their distance
+ * @param {Object} httpClient - HTTPClient instance
+ * @param {string} layerUrl - Feature or map service layer URL (without /query)
+ * @param {Object} options - { radiusKm, outFields, timeout }
+ */
+async function queryArcGISLayer(httpClient, layerUrl, latitude, longitude, options = {}) {
+    const radiusKm = options.radiusKm || 0;
+    const params = new URLSearchParams({
+        geometry: `${longitude},${latitude}`,
+        geometryType: 'esriGeometryPoint',
+        inSR: '4326',
+        spatialRel: 'esriSpatialRelIntersects',
+        outFields: options.outFields || '*',
+        returnGeometry: 'true',
+        outSR: '4326',
+        f: 'geojson'
+    });
+    if (radiusKm > 0) {
+        params.set('distance', String(radiusKm * 1000));
+        params.set('units', 'esriSRUnit_Meter');
+    }
+
+    const response = await httpClient.get(`${layerUrl}/query?${params.toString()}`, {
+        timeout: options.timeout || 30000,
+        headers: { 'Accept': 'application/geo+json, application/json' }
+    });
+
+    // GeoJSON is served as application/geo+json, which the HTTP client leaves unparsed
+    const collection = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+    if (collection?.error) {
+        throw new Error(collection.error.message || 'ArcGIS query failed');
+    }
+    if (!collection || !Array.isArray(collection.features)) {
+        throw new Error('Invalid ArcGIS GeoJSON response format');
+    }
+
+    return collection.features
+        .filter(feature => feature.geometry)
+        .map(feature => ({
+            properties: feature.properties || {},
+            distance_km: distanceToGeometryKm(longitude, latitude, feature.geometry)
+        }));
+}
+
+/**
+ * First non-empty value among candidate property names (layers differ by vintage)
+ */
+function firstProperty(properties, names) {
+    for (const name of names) {
+        const value = properties[name];
+        if (value !== undefined && value !== null && value !== '') return value;
+    }
+    return null;
+}
+
+/**
+ * Summarize burn history around a point
+ * Agencies often each map the same fire, so perimeters are deduplicated by name and year.
+ * @param {Array} perimeters - { name, year, acres, distance_km }
+ * @param {Object} options - { frequencyRadiusKm, lookbackYears, searchRadiusKm }
+ * @returns {Object} Nearest burn, burns within the frequency radius and burns per decade
+ */
+function summarizeBurnHistory(perimeters, options = {}) {
+    const frequencyRadiusKm = options.frequencyRadiusKm || DEFAULT_FREQUENCY_RADIUS_KM;
+    const lookbackYears = options.lookbackYears || DEFAULT_LOOKBACK_YEARS;
+    const currentYear = new Date().getFullYear();
+    const firstYear = currentYear - lookbackYears;
+
+    const fires = new Map();
+    perimeters.forEach(perimeter => {
+        const key = `${String(perimeter.name || '').toUpperCase()}|${perimeter.year || ''}`;
+        const existing = fires.get(key);
+        if (!existing || perimeter.distance_km < existing.distance_km) {
+            fires.set(key, perimeter);
+        }
+    });
+
+    const distinct = [...fires.values()].sort((a, b) => a.distance_km - b.distance_km);
+    const nearest = distinct[0] || null;
+    const nearby = distinct.filter(fire =>
+        fire.distance_km <= frequencyRadiusKm && fire.year && fire.year >= firstYear
+    );
+    const mostRecentYear = nearby.reduce((latest, fire) => Math.max(latest, fire.year), 0) || null;
+
+    return {
+        search_radius_km: options.searchRadiusKm || null,
+        nearest_burn_km: nearest ? Math.round(nearest.distance_km * 100) / 100 : null,
+        nearest_fire: nearest
+            ? { name: nearest.name || null, year: nearest.year || null, acres: nearest.acres || null }
+            : null,
+        inside_burn_perimeter: !!nearest && nearest.distance_km === 0,
+        frequency_radius_km: frequencyRadiusKm,
+        lookback_years: lookbackYears,
+        burns_within_radius: nearby.length,
+        burns_per_decade: Math.round((nearby.length / lookbackYears) * 10 * 100) / 100,
+        most_recent_burn_year: mostRecentYear,
+        years_since_last_burn: mostRecentYear ? currentYear - mostRecentYear : null
+    };
+}
+
+/**
+ * Wildfire score (0-100) from burn history: proximity to the nearest burn and local burn frequency
+ */
+function calculateBurnHistoryScore(summary) {
+    const proximity = summary.nearest_burn_km === null
+        ? 0
+        : 100 * Math.exp(-summary.nearest_burn_km / PROXIMITY_DECAY_KM);
+    const frequency = Math.min(100, (summary.burns_per_decade / MAX_SCORED_BURNS_PER_DECADE) * 100);
+
+    return Math.round(0.55 * proximity + 0.45 * frequency);
+}
+
+module.exports = {
+    loadGeoJSONSnapshot,
+    querySnapshot,
+    queryArcGISLayer,
+    firstProperty,
+    summarizeBurnHistory,
+    calculateBurnHistoryScore
+};
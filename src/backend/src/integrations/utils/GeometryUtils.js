@@ -0,0 +1,105 @@
+/**
+ * GeometryUtils - GeoJSON helpers for polygon hazard layers
+ * Point-in-polygon, point-to-polygon distance and bounding boxes for
+ * fire perimeters and hazard zones in WGS84 coordinates
+ */
+
+const KM_PER_DEGREE = 111.195;
+
+/**
+ * Polygons of a Polygon or MultiPolygon geometry as arrays of rings
+ */
+function getPolygons(geometry) {
+    if (!geometry) return [];
+    if (geometry.type === 'Polygon') return [geometry.coordinates];
+    if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+    return [];
+}
+
+/**
+ * Ray-casting test for a point inside a linear ring of [lon, lat] positions
+ */
+function pointInRing(longitude, latitude, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > latitude) !== (yj > latitude) &&
+            longitude < ((xj - xi) * (latitude - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Whether a point falls inside a Polygon or MultiPolygon, outside any holes
+ */
+function pointInGeometry(longitude, latitude, geometry) {
+    return getPolygons(geometry).some(([outer, ...holes]) =>
+        outer && pointInRing(longitude, latitude, outer) &&
+        !holes.some(hole => pointInRing(longitude, latitude, hole))
+    );
+}
+
+/**
+ * Distance in km from a point to the nearest edge of a Polygon or MultiPolygon; 0 inside it
+ * Vertices are projected onto a local plane centred on the point, accurate to well under 1%
+ * within the tens of kilometres these layers are searched over.
+ */
+function distanceToGeometryKm(longitude, latitude, geometry) {
+    if (pointInGeometry(longitude, latitude, geometry)) return 0;
+
+    const kmPerLonDegree = KM_PER_DEGREE * Math.cos(latitude * Math.PI / 180);
+    let nearest = Infinity;
+
+    getPolygons(geometry).forEach(rings => rings.forEach(ring => {
+        for (let i = 0; i < ring.length - 1; i++) {
+            const ax = (ring[i][0] - longitude) * kmPerLonDegree;
+            const ay = (ring[i][1] - latitude) * KM_PER_DEGREE;
+            const bx = (ring[i + 1][0] - longitude) * kmPerLonDegree;
+            const by = (ring[i + 1][1] - latitude) * KM_PER_DEGREE;
+
+            const dx = bx - ax;
+            const dy = by - ay;
+            const lengthSquared = dx * dx + dy * dy;
+            const t = lengthSquared > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared)) : 0;
+            const cx = ax + dx * t;
+            const cy = ay + dy * t;
+            nearest = Math.min(nearest, Math.sqrt(cx * cx + cy * cy));
+        }
+    }));
+
+    return nearest;
+}
+
+/**
+ * Bounding box [minLon, minLat, maxLon, maxLat] of a Polygon or MultiPolygon
+ */
+function geometryBounds(geometry) {
+    const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+    getPolygons(geometry).forEach(rings => rings.forEach(ring => ring.forEach(([lon, lat]) => {
+        bounds[0] = Math.min(bounds[0], lon);
+        bounds[1] = Math.min(bounds[1], lat);
+        bounds[2] = Math.max(bounds[2], lon);
+        bounds[3] = Math.max(bounds[3], lat);
+    })));
+    return bounds;
+}
+
+/**
+ * Whether a bounding box comes within radiusKm of a point
+ */
+function boundsWithinKm(bounds, longitude, latitude, radiusKm) {
+    const latSpan = radiusKm / KM_PER_DEGREE;
+    const lonSpan = radiusKm / (KM_PER_DEGREE * Math.max(0.01, Math.cos(latitude * Math.PI / 180)));
+    return bounds[0] <= longitude + lonSpan && bounds[2] >= longitude - lonSpan &&
+        bounds[1] <= latitude + latSpan && bounds[3] >= latitude - latSpan;
+}
+
+module.exports = {
+    pointInGeometry,
+    distanceToGeometryKm,
+    geometryBounds,
+    boundsWithinKm
+};
@@ -258,6 +258,7 @@ module.exports = {
     inchesToMillimeters,
     mphToKmh,
     kmhToMph,
+    squareFeetToSquareMeters,
     
     // Formatting functions
     formatTemperature,
@@ -6,12 +6,18 @@ import {
   PropertyRiskResponse,
   ComparisonParams,
   PropertyComparisonResponse,
+  MitigationSimulationParams,
+  MitigationSimulationResponse,
   GeocodingParams,
   GeocodingResponse,
   ProfessionalSearchParams,
   ProfessionalSearchResponse,
+  ProfessionalProfileResponse,
   SpatialSearchParams,
   SpatialSearchResponse,
+  BoundaryType,
+  BoundaryParams,
+  BoundaryResponse,
   HistoricalEventsParams,
   HistoricalEventsResponse,
   ClimateProjectionsResponse,
@@ -23,6 +29,7 @@ import {
   SubscriptionUpgrade,
   APIKeyRequest,
   APIKey,
+  APIKeyScope,
   WebhookConfig,
   TrendDataParams
 } from '../types/api';
@@ -44,9 +51,10 @@ export const SEAWATER_API_ENDPOINTS = {
   RISK: {
     ASSESS: API_BASE + '/risk/assess',
     COMPARE: API_BASE + '/risk/compare',
+    MITIGATION: API_BASE + '/properties/mitigation/simulate',
     BATCH: API_BASE + '/risk/batch',
-    TRENDS: (addressHash: string) => API_BASE + `/risk/trends/${addressHash}`,
-    HISTORY: API_BASE + '/risk/history'
+    TRENDS: (addressHash: string) => API_BASE + `/properties/trends/${addressHash}`,
+    HISTORY: API_BASE + '/geographic/disasters/history'
   },
 
   // Geographic and mapping endpoints
@@ -54,7 +62,9 @@ export const SEAWATER_API_ENDPOINTS = {
     GEOCODE: API_BASE + '/geo/geocode',
     REVERSE: API_BASE + '/geo/reverse',
     SEARCH: API_BASE + '/geo/search',
-    SPATIAL: API_BASE + '/geo/spatial'
+    SPATIAL: API_BASE + '/geo/spatial',
+    BOUNDARY: (type: BoundaryType, identifier: string) =>
+      API_BASE + `/geographic/boundaries/${type}/${encodeURIComponent(identifier)}`
   },
 
   // Climate data endpoints
@@ -69,16 +79,16 @@ export const SEAWATER_API_ENDPOINTS = {
   PROFESSIONALS: {
     SEARCH: API_BASE + '/professionals/search',
     GET: (professionalId: string) => API_BASE + `/professionals/${professionalId}`,
-    CONTACT: (professionalId: string) => API_BASE + `/professionals/${professionalId}/contact`,
+    CONTACT: API_BASE + '/professionals/contact',
     REVIEWS: (professionalId: string) => API_BASE + `/professionals/${professionalId}/reviews`
   },
 
   // Report generation endpoints
   REPORTS: {
-    GENERATE: API_BASE + '/reports/generate',
-    STATUS: (reportId: string) => API_BASE + `/reports/${reportId}/status`,
-    DOWNLOAD: (reportId: string) => API_BASE + `/reports/${reportId}/download`,
-    LIST: API_BASE + '/reports'
+    GENERATE: API_BASE + '/professional/reports/property',
+    STATUS: (reportId: string) => API_BASE + `/professional/reports/${reportId}`,
+    DOWNLOAD: (reportId: string) => API_BASE + `/professional/reports/${reportId}/download`,
+    LIST: API_BASE + '/professional/reports'
   },
 
   // Subscription management endpoints
@@ -100,11 +110,14 @@ export const SEAWATER_API_ENDPOINTS = {
 
   // Webhook management endpoints (Professional tier)
   WEBHOOKS: {
-    LIST: API_BASE + '/webhooks',
-    CREATE: API_BASE + '/webhooks',
-    UPDATE: (webhookId: string) => API_BASE + `/webhooks/${webhookId}`,
-    DELETE: (webhookId: string) => API_BASE + `/webhooks/${webhookId}`,
-    TEST: (webhookId: string) => API_BASE + `/webhooks/${webhookId}/test`
+    LIST: API_BASE + '/professional/webhooks',
+    CREATE: API_BASE + '/professional/webhooks',
+    UPDATE: (webhookId: string) => API_BASE + `/professional/webhooks/${webhookId}`,
+    DELETE: (webhookId: string) => API_BASE + `/professional/webhooks/${webhookId}`,
+    TEST: (webhookId: string) => API_BASE + `/professional/webhooks/${webhookId}/test`,
+    DELIVERIES: (webhookId: string) => API_BASE + `/professional/webhooks/${webhookId}/deliveries`,
+    REDELIVER: (webhookId: string, deliveryId: string) =>
+      API_BASE + `/professional/webhooks/${webhookId}/deliveries/${deliveryId}/redeliver`
   },
 
   // Health check endpoint
@@ -338,6 +351,10 @@ export class SeawaterApiClient {
     return MakeAuthorizedCall(SEAWATER_API_ENDPOINTS.RISK.COMPARE, 'POST', params, {}, 'premium');
   }
 
+  async simulateMitigation(params: MitigationSimulationParams): Promise<MitigationSimulationResponse> {
+    return MakeAuthorizedCall(SEAWATER_API_ENDPOINTS.RISK.MITIGATION, 'POST', params);
+  }
+
   async getTrendData(addressHash: string, params: TrendDataParams): Promise<APIResponse<any>> {
     return MakeAuthorizedCall(SEAWATER_API_ENDPOINTS.RISK.TRENDS(addressHash), 'GET', undefined, { params }, 'premium');
   }
@@ -355,6 +372,10 @@ export class SeawaterApiClient {
     return MakeAuthorizedCall(SEAWATER_API_ENDPOINTS.GEO.SPATIAL, 'GET', undefined, { params }, 'premium');
   }
 
+  async getBoundary(type: BoundaryType, identifier: string, params: BoundaryParams = {}): Promise<BoundaryResponse> {
+    return MakeAuthorizedCall(SEAWATER_API_ENDPOINTS.GEO.BOUNDARY(type, identifier), 'GET', undefined, { params });
+  }
+
   // Climate Data Methods
   async getClimateProjections(latitude: number, longitude: number): Promise<ClimateProjectionsResponse> {
     return MakeAuthorizedCall(SEAWATER_API_ENDPOINTS.CLIMATE.PROJECTIONS, 'GET', undefined, { 
@@ -367,10 +388,21 @@ export class SeawaterApiClient {
     return Make_Seawater_API_Call(SEAWATER_API_ENDPOINTS.PROFESSIONALS.SEARCH, 'GET', undefined, { params });
   }
 
-  async contactProfessional(professionalId: string, message: string, contactInfo: any): Promise<APIResponse<any>> {
-    return MakeAuthorizedCall(SEAWATER_API_ENDPOINTS.PROFESSIONALS.CONTACT(professionalId), 'POST', {
+  async getProfessional(professionalId: string): Promise<ProfessionalProfileResponse> {
+    return MakeAuthorizedCall(SEAWATER_API_ENDPOINTS.PROFESSIONALS.GET(professionalId), 'GET');
+  }
+
+  async contactProfessional(
+    professionalId: string,
+    message: string,
+    contactInfo: { name?: string; phone?: string } = {},
+    propertyAddress?: string
+  ): Promise<APIResponse<any>> {
+    return MakeAuthorizedCall(SEAWATER_API_ENDPOINTS.PROFESSIONALS.CONTACT, 'POST', {
+      professional_id: professionalId,
       message,
-      contact_info: contactInfo
+      contact_info: contactInfo,
+      property_address: propertyAddress
     });
   }
 
@@ -418,7 +450,7 @@ export class SeawaterApiClient {
     return MakeAuthorizedCall(SEAWATER_API_ENDPOINTS.API_KEYS.CREATE, 'POST', request, {}, 'professional');
   }
 
-  async listApiKeys(): Promise<APIResponse<APIKey[]>> {
+  async listApiKeys(): Promise<APIResponse<{ api_keys: APIKey[]; available_scopes: APIKeyScope[] }>> {
     return MakeAuthorizedCall(SEAWATER_API_ENDPOINTS.API_KEYS.LIST, 'GET', undefined, {}, 'professional');
   }
 
@@ -443,6 +475,14 @@ export class SeawaterApiClient {
     return MakeAuthorizedCall(SEAWATER_API_ENDPOINTS.WEBHOOKS.DELETE(webhookId), 'DELETE', undefined, {}, 'professional');
   }
 
+  async listWebhookDeliveries(webhookId: string, status?: 'pending' | 'succeeded' | 'failed'): Promise<APIResponse<any>> {
+    return MakeAuthorizedCall(SEAWATER_API_ENDPOINTS.WEBHOOKS.DELIVERIES(webhookId), 'GET', undefined, { params: { status } }, 'professional');
+  }
+
+  async redeliverWebhook(webhookId: string, deliveryId: string): Promise<APIResponse<any>> {
+    return MakeAuthorizedCall(SEAWATER_API_ENDPOINTS.WEBHOOKS.REDELIVER(webhookId, deliveryId), 'POST', undefined, {}, 'professional');
+  }
+
   // Usage tracking for free tier limits
   async checkUsageLimits(): Promise<{ canMakeRequest: boolean; remaining: number; resetDate: Date }> {
     try {
@@ -34,6 +34,7 @@ const PropertyAssessment: React.FC = () => {
         earthquake: Math.floor(Math.random() * 100),
         tornado: Math.floor(Math.random() * 100),
         landslide: Math.floor(Math.random() * 100),
+        volcanic: Math.floor(Math.random() * 100),
         drought: Math.floor(Math.random() * 100)
       };
       
@@ -85,6 +86,7 @@ const PropertyAssessment: React.FC = () => {
       earthquake: '🌍',
       tornado: '🌪️',
       landslide: '⛰️',
+      volcanic: '🌋',
       drought: '🏜️'
     };
     return icons[type as keyof typeof icons] || '❓';
@@ -7,11 +7,16 @@ import {
   Professional, 
   User,
   PropertyComparison,
-  HistoricalEvent,
   ClimateProjection,
   GeocodedAddress,
-  HazardType
+  HazardType,
+  FoundationType,
+  RoofType,
+  ConstructionClass,
+  MitigationType,
+  MitigationSimulation
 } from './index';
+import { ProcessedStormEvent } from './noaa';
 
 // API Response Types (moved here to avoid circular imports)
 export type APIResponse<T> = 
@@ -71,6 +76,23 @@ export interface PropertyRiskParams {
   include_projections?: boolean;
   include_building_codes?: boolean;
   radius_analysis?: number;
+  // Structure characteristics for property risk scores
+  year_built?: number;
+  foundation_type?: FoundationType;
+  first_floor_elevation?: number;
+  roof_type?: RoofType;
+  construction_class?: ConstructionClass;
+  stories?: number;
+  // Structure replacement value in USD for loss estimates; estimated from living area when omitted
+  replacement_value?: number;
+  // Flood insurance estimate inputs; coverage is capped at NFIP limits
+  building_coverage?: number;
+  contents_coverage?: number;
+  // Lowest floor elevation in feet NAVD88, from an elevation certificate
+  lowest_floor_elevation?: number;
+  // Projects scores and expected annual loss under a climate scenario
+  scenario?: ClimateProjection['scenario'];
+  horizon?: 2030 | 2050 | 2080;
 }
 
 export interface ComparisonParams {
@@ -79,6 +101,20 @@ export interface ComparisonParams {
   include_projections?: boolean;
 }
 
+export interface MitigationSimulationParams {
+  address?: string;
+  latitude?: number;
+  longitude?: number;
+  mitigations: Array<MitigationType | { type: MitigationType; feet?: number }>;
+  square_feet?: number;
+  year_built?: number;
+  foundation_type?: FoundationType;
+  first_floor_elevation?: number;
+  roof_type?: RoofType;
+  construction_class?: ConstructionClass;
+  stories?: number;
+}
+
 export interface GeocodingParams {
   address: string;
   bias_region?: string;
@@ -96,12 +132,14 @@ export interface SpatialSearchParams {
 
 export interface ProfessionalSearchParams {
   type?: Professional['type'];
-  latitude: number;
-  longitude: number;
+  latitude?: number;
+  longitude?: number;
+  address?: string; // Used when coordinates are not given
   radius_km?: number;
-  specializations?: string[];
+  specializations?: HazardType[]; // Defaults to the location's primary risks
   certifications?: string[];
   min_rating?: number;
+  accepting_clients?: boolean;
   limit?: number;
 }
 
@@ -110,6 +148,8 @@ export interface HistoricalEventsParams {
   longitude: number;
   radius_km: number;
   years?: number;
+  start_date?: string;
+  end_date?: string;
   event_types?: HazardType[];
 }
 
@@ -124,6 +164,7 @@ export interface TrendDataParams {
 // Response Types
 export type PropertyRiskResponse = APIResponse<PropertyRiskData>;
 export type PropertyComparisonResponse = APIResponse<PropertyComparison>;
+export type MitigationSimulationResponse = APIResponse<MitigationSimulation>;
 export type GeocodingResponse = APIResponse<{ results: GeocodedAddress[] }>;
 export type ProfessionalSearchResponse = APIResponse<{
   professionals: Professional[];
@@ -133,15 +174,45 @@ export type ProfessionalSearchResponse = APIResponse<{
     average_rating: number;
     total_reviews: number;
   };
+  location: {
+    latitude: number;
+    longitude: number;
+    radius_km: number;
+  };
+  hazards: HazardType[];
+  hazard_source: 'request' | 'assessment' | 'climate_data' | 'unavailable';
+}>;
+
+export interface ProfessionalReview {
+  id: string;
+  rating: number;
+  title?: string;
+  review_text?: string;
+  communication_rating?: number;
+  expertise_rating?: number;
+  responsiveness_rating?: number;
+  transaction_type?: string;
+  transaction_date?: string;
+  is_verified: boolean;
+  created_at: string;
+}
+
+export type ProfessionalProfileResponse = APIResponse<Professional & {
+  business_hours?: Record<string, string>;
+  license_expiration?: string;
+  verified_at?: string;
+  reviews: ProfessionalReview[];
 }>;
 
 export type HistoricalEventsResponse = APIResponse<{
-  events: HistoricalEvent[];
+  events: ProcessedStormEvent[];
   total_found: number;
   time_range: {
     start_date: string;
     end_date: string;
   };
+  event_counts: Partial<Record<HazardType, number>>;
+  sources: Record<string, { success: boolean; event_count: number; error?: string }>;
 }>;
 
 export type ClimateProjectionsResponse = APIResponse<{
@@ -150,6 +221,62 @@ export type ClimateProjectionsResponse = APIResponse<{
   confidence_level: number;
 }>;
 
+export type BoundaryType = 'census_tract' | 'tract' | 'county' | 'state' | 'zip_code' | 'zip';
+
+export interface BoundaryParams {
+  srs?: 4326 | 3857 | 5070;
+  simplify?: boolean | number; // true for the default map tolerance, or a tolerance in metres
+  include_properties?: boolean;
+  limit?: number;
+}
+
+export interface BoundaryRiskStatistics {
+  property_count: number;
+  assessed_property_count: number;
+  average_risk_score: number | null;
+  median_risk_score: number | null;
+  min_risk_score: number | null;
+  max_risk_score: number | null;
+  average_hazard_scores: Partial<Record<HazardType, number | null>>;
+  risk_level_distribution: Record<'very_high' | 'high' | 'moderate' | 'low' | 'very_low', number>;
+  primary_hazards: HazardType[];
+}
+
+export type BoundaryResponse = APIResponse<{
+  type: 'Feature';
+  id: string;
+  bbox: [number, number, number, number];
+  geometry: {
+    type: 'Polygon' | 'MultiPolygon';
+    coordinates: number[][][] | number[][][][];
+  };
+  properties: {
+    boundary_type: 'census_tract' | 'county' | 'state' | 'zip_code';
+    geoid: string;
+    name: string;
+    state_code?: string;
+    population?: number;
+    area_sqm: number;
+    label_point: { latitude: number; longitude: number };
+    risk_statistics: BoundaryRiskStatistics;
+    properties_in_boundary?: Array<{
+      property_id: string;
+      address: string;
+      latitude: number;
+      longitude: number;
+      overall_risk_score: number | null;
+    }>;
+    [key: string]: unknown;
+  };
+  metadata: {
+    data_source: string;
+    simplified: boolean;
+    source_vertices: number;
+    returned_vertices: number;
+    srs: number;
+  };
+}>;
+
 export type SpatialSearchResponse = APIResponse<{
   center_point: {
     latitude: number;
@@ -211,6 +338,9 @@ export interface ReportGenerationResponse {
   download_url?: string;
   expires_at: string;
   file_size_bytes?: number;
+  page_count?: number;
+  error_message?: string;
+  created_at?: string;
 }
 
 // User Management Types
@@ -228,22 +358,33 @@ export interface SubscriptionUpgrade {
   payment_method_id?: string;
 }
 
+export type APIKeyScope = 'risk:read' | 'bulk:write' | 'reports:write' | 'export:read' | 'webhooks:manage';
+
 export interface APIKeyRequest {
   name: string;
-  permissions: string[];
+  description?: string;
+  scopes?: APIKeyScope[];
+  permissions?: string[];
   rate_limit?: number;
+  expires_in_days?: number;
   expires_at?: string;
 }
 
 export interface APIKey {
   id: string;
   name: string;
-  key: string;
-  permissions: string[];
-  rate_limit_per_hour: number;
+  description?: string;
+  key?: string; // Only returned when the key is created
+  key_prefix: string;
+  scopes: APIKeyScope[];
+  status: 'active' | 'expired' | 'revoked';
+  rate_limit_per_minute?: number;
+  rate_limit_per_day?: number;
+  total_requests: number;
   created_at: string;
   last_used?: string;
   expires_at?: string;
+  revoked_at?: string;
   is_active: boolean;
 }
 
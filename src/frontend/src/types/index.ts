@@ -152,6 +152,11 @@ export interface RiskAssessment {
   social_vulnerability?: SocialVulnerabilityIndex;
   community_resilience?: CommunityResilienceIndex;
   building_codes?: BuildingCodeInfo;
+  // Coastal inundation under NOAA sea level rise scenarios; not part of overall_score
+  sea_level_rise_risk_score?: number | null;
+  sea_level_rise?: SeaLevelRiseAssessment | null;
+  // US Drought Monitor history and precipitation normals behind drought_risk_score
+  drought_assessment?: DroughtAssessment | null;
   // New comprehensive FEMA features
   risk_prioritization?: RiskPrioritization;
   seasonal_variations?: SeasonalRiskAnalysis;
@@ -280,9 +285,308 @@ export interface ActionableInsights {
   monitoring_priorities: string[];
 }
 
+export type SeaLevelRiseScenario = 'intermediate' | 'high';
+
+export interface SeaLevelRiseProjection {
+  sea_level_rise_m: number;
+  inundation_probability: number;
+  high_tide_flooding_probability: number;
+}
+
+export interface SeaLevelRiseAssessment {
+  data_available: boolean;
+  reason?: string;
+  ground_elevation_m?: number;
+  elevation_datum?: 'MHHW';
+  shoreline_distance_km?: number;
+  inland?: boolean;
+  connectivity_factor?: number | null;
+  scenarios?: Record<SeaLevelRiseScenario, Record<'2050' | '2100', SeaLevelRiseProjection>> | null;
+  slr_basis?: 'local_grid' | 'national_average' | null;
+  data_source?: string;
+}
+
+export type DroughtCategory = 'D0' | 'D1' | 'D2' | 'D3' | 'D4';
+
+export interface DroughtPeriodSummary {
+  years: number;
+  weeks_analyzed: number;
+  coverage: number;
+  percent_weeks_in_drought: number | null;
+  percent_weeks_at_or_above: Record<DroughtCategory, number | null>;
+}
+
+export interface DroughtAssessment {
+  score: number;
+  confidence: 'high' | 'medium' | 'low';
+  effective_date: string | null;
+  confidence_factors: {
+    level: 'high' | 'medium' | 'low';
+    usdm_years_scored: number;
+    precipitation_normals: boolean;
+  };
+  frequency_score: number | null;
+  climate_score: number | null;
+  drought_monitor: {
+    data_available: boolean;
+    weeks_analyzed?: number;
+    first_week?: string;
+    latest_week?: string;
+    current_category?: DroughtCategory | null;
+    longest_drought_weeks?: number;
+    periods?: Record<string, DroughtPeriodSummary>;
+    source?: 'grid' | 'live';
+  };
+  precipitation_normals: {
+    annual_mm: number;
+    driest_three_months: number[];
+    driest_three_month_share: number;
+  } | null;
+}
+
 export interface PropertyRiskData {
   property: Property;
   risk_assessment: RiskAssessment;
+  // Hazard scores adjusted for the structure's characteristics
+  property_risk?: PropertyVulnerabilityRisk;
+  loss_estimates?: LossEstimates;
+  flood_zone?: FloodZoneDetermination;
+  flood_insurance?: FloodInsuranceEstimate;
+}
+
+export type FoundationType = 'slab' | 'crawlspace' | 'basement' | 'elevated' | 'pier' | 'pile';
+export type RoofType = 'hip' | 'gable' | 'flat' | 'gambrel' | 'mansard' | 'shed';
+export type ConstructionClass =
+  | 'frame'
+  | 'joisted_masonry'
+  | 'non_combustible'
+  | 'masonry_non_combustible'
+  | 'modified_fire_resistive'
+  | 'fire_resistive'
+  | 'manufactured';
+
+export interface PropertyAttributes {
+  year_built: number | null;
+  foundation_type: FoundationType | null;
+  first_floor_elevation_ft: number | null;
+  roof_type: RoofType | null;
+  construction_class: ConstructionClass | null;
+  stories: number | null;
+}
+
+export interface VulnerabilityAdjustment {
+  multiplier: number;
+  factors: Array<{
+    attribute: keyof PropertyAttributes;
+    value: string | number;
+    multiplier: number;
+  }>;
+}
+
+export interface PropertyVulnerabilityRisk {
+  overall_risk_score: number;
+  flood_risk_score: number | null;
+  wildfire_risk_score: number | null;
+  heat_risk_score: number | null;
+  tornado_risk_score: number | null;
+  hurricane_risk_score: number | null;
+  earthquake_risk_score: number | null;
+  drought_risk_score: number | null;
+  hail_risk_score: number | null;
+  landslide_risk_score: number | null;
+  volcanic_risk_score: number | null;
+  primary_risks: string[];
+  attributes: PropertyAttributes;
+  vulnerability: Partial<Record<HazardType, VulnerabilityAdjustment>>;
+  // Codes in force when the structure was built; their adjustments are included in the scores above
+  building_codes: BuildingCodeInfo | null;
+}
+
+export interface ReplacementValue {
+  amount: number;
+  currency: 'USD';
+  estimated: boolean;
+  basis: string;
+}
+
+export interface HazardLossEstimate {
+  // Building loss rate for the NRI county, before location and vulnerability factors
+  loss_rate: number;
+  location_factor: number;
+  vulnerability_multiplier: number;
+  expected_annual_loss: number;
+  pml_100: number;
+  pml_500: number;
+}
+
+export interface ProbableMaximumLoss {
+  amount: number;
+  // Largest single-hazard loss; PML does not add across hazards
+  governing_hazard: HazardType | null;
+}
+
+// Dollar-denominated risk from FEMA National Risk Index loss rates
+export interface LossEstimates {
+  data_available: boolean;
+  replacement_value: ReplacementValue;
+  expected_annual_loss?: number;
+  expected_annual_loss_ratio?: number | null;
+  probable_maximum_loss?: {
+    return_period_100: ProbableMaximumLoss;
+    return_period_500: ProbableMaximumLoss;
+  };
+  by_hazard?: Partial<Record<HazardType, HazardLossEstimate>>;
+  projection?: {
+    scenario: ClimateProjection['scenario'];
+    horizon: number;
+    expected_annual_loss: number;
+    change: number;
+    change_percent: number | null;
+    by_hazard: Partial<Record<HazardType, number>>;
+  } | null;
+  currency?: 'USD';
+  data_source?: string;
+  nri_county?: string | null;
+  error?: string;
+}
+
+export interface PremiumRange {
+  low: number;
+  high: number;
+}
+
+// Estimated annual flood insurance premiums; not a quote
+export interface FloodInsuranceEstimate {
+  flood_zone: string;
+  special_flood_hazard_area: boolean | null;
+  insurance_required: boolean | null;
+  zone_class: 'coastal_high_hazard' | 'high_hazard' | 'protected' | 'moderate_low' | 'undetermined';
+  coverage: {
+    building: number;
+    contents: number;
+    building_assumed: boolean;
+    contents_assumed: boolean;
+    // Replacement value above the NFIP building limit
+    uninsured_building_value: number;
+  };
+  nfip: {
+    annual_premium: PremiumRange & { estimate: number };
+    components: {
+      building: number;
+      contents: number;
+      icc: number;
+      reserve_fund_assessment: number;
+      hfiaa_surcharge: number;
+      federal_policy_fee: number;
+    };
+    rating_factors: {
+      zone_rate_building: number;
+      zone_rate_contents: number;
+      elevation_factor: number;
+      elevation_basis: 'elevation_difference' | 'structure_attributes' | 'assumed';
+      elevation_difference_ft: number | null;
+      distance_factor: number;
+    };
+  };
+  private_market: {
+    annual_premium: PremiumRange;
+    flood_risk_factor: number;
+    excess_coverage_available: boolean;
+  };
+  water_proximity: {
+    available: boolean;
+    nearest_water_km?: number | null;
+    nearest_coast_km?: number | null;
+    site_count?: number;
+    search_radius_km?: number;
+    source?: string;
+    error?: string;
+  };
+  currency: 'USD';
+  assumptions: string[];
+}
+
+export type MitigationType =
+  | 'elevation'
+  | 'defensible_space'
+  | 'impact_windows'
+  | 'roof_tie_downs'
+  | 'flood_vents'
+  | 'fire_resistant_roof';
+
+export interface MitigationScores {
+  overall_risk_score: number;
+  flood_risk_score: number | null;
+  wildfire_risk_score: number | null;
+  heat_risk_score: number | null;
+  tornado_risk_score: number | null;
+  hurricane_risk_score: number | null;
+  earthquake_risk_score: number | null;
+  drought_risk_score: number | null;
+  hail_risk_score: number | null;
+  landslide_risk_score: number | null;
+  volcanic_risk_score: number | null;
+}
+
+export interface MitigationCostEstimate {
+  low: number;
+  high: number;
+  currency: 'USD';
+  basis?: string;
+}
+
+export interface MitigationResult {
+  type: MitigationType;
+  label: string;
+  parameters: { feet?: number };
+  hazards_addressed: HazardType[];
+  applicable: boolean;
+  reason?: string;
+  scores?: MitigationScores;
+  // Score change from the baseline; negative values are improvements
+  delta?: Partial<MitigationScores>;
+  cost_estimate?: MitigationCostEstimate;
+  overall_reduction_per_1000_usd?: number;
+}
+
+// What-if retrofit results for a property
+export interface MitigationSimulation {
+  property: Partial<Property>;
+  attributes: PropertyAttributes;
+  baseline: MitigationScores;
+  mitigations: MitigationResult[];
+  combined: {
+    types: MitigationType[];
+    scores: MitigationScores;
+    delta: Partial<MitigationScores>;
+    cost_estimate: MitigationCostEstimate;
+    overall_reduction_per_1000_usd: number;
+  } | null;
+  // Applicable mitigations, most overall score reduction per dollar first
+  ranking: MitigationType[];
+  best_value: MitigationType | null;
+  assumptions: {
+    square_feet: number;
+    square_feet_assumed: boolean;
+    first_floor_elevation_ft: number | null;
+    first_floor_elevation_assumed: boolean;
+  };
+}
+
+// FEMA National Flood Hazard Layer determination for the property location
+export interface FloodZoneDetermination {
+  flood_zone: string; // 'AE', 'VE', 'X', ... or 'UNMAPPED'
+  zone_subtype: string | null;
+  description: string;
+  special_flood_hazard_area: boolean | null;
+  // Mandatory purchase requirement for federally backed mortgages; null when the area is not mapped
+  insurance_required: boolean | null;
+  base_flood_elevation_ft: number | null;
+  panel_number: string | null;
+  effective_date: string | null;
+  community_id: string | null;
+  mapped: boolean;
+  data_source: 'FEMA_NFHL';
 }
 
 // Building Code Types
@@ -297,6 +601,20 @@ export interface BuildingCodeInfo {
   bcat_score?: number;
   enforcement_level: 'full' | 'partial' | 'minimal' | 'none';
   last_updated?: string;
+  jurisdiction_type?: 'state' | 'county' | 'municipality';
+  year_built?: number | null;
+  vulnerability_adjustments?: Partial<Record<'hurricane' | 'tornado' | 'earthquake' | 'flood' | 'wildfire', BuildingCodeAdjustment>>;
+}
+
+export interface BuildingCodeAdjustment {
+  code_type: 'wind' | 'seismic' | 'flood' | 'fire' | 'general';
+  code: string;
+  enforcement_level: 'full' | 'partial' | 'minimal' | 'none';
+  bcat_score: number | null;
+  multiplier: number;
+  basis: 'code_at_construction' | 'current_code';
+  unadjusted_score: number;
+  adjusted_score: number;
 }
 
 // Insurance Types
@@ -325,21 +643,30 @@ export interface InsuranceEstimate {
 // Professional Types
 export interface Professional {
   id: string;
-  type: 'agent' | 'inspector' | 'insurance_agent' | 'contractor';
+  type: 'agent' | 'inspector' | 'insurance_agent' | 'contractor' | 'consultant';
   name: string;
   company: string;
-  email: string;
+  title?: string;
+  email?: string; // Never returned by the directory; contact goes through the relay
   phone: string;
   distance_km?: number;
   specializations: string[];
   certifications: string[];
-  rating: number;
+  hazard_expertise?: HazardType[];
+  years_experience?: number;
+  rating: number | null;
   review_count: number;
   verified: boolean;
-  service_areas: string[];
+  accepts_new_clients?: boolean;
+  service_areas?: string[];
+  service_radius_km?: number;
+  covers_location?: boolean;
+  matched_hazards?: HazardType[];
+  match_score?: number;
   bio?: string;
   website?: string;
   license_number?: string;
+  license_state?: string;
 }
 
 // User Types
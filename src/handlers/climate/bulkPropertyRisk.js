@@ -13,11 +13,13 @@ const {
     trackApiUsage 
 } = require('../../helpers/dbOperations');
 const { geocodeAddress, batchGeocodeAddresses } = require('../../helpers/geocodingService');
-const { aggregateClimateData, batchAggregateClimateData } = require('../../helpers/climateDataAggregator');
+const { aggregateClimateData, batchAggregateClimateData, climateDataAggregator } = require('../../helpers/climateDataAggregator');
+const { resolvePropertyAttributes } = require('../../helpers/vulnerabilityCurves');
 
 /**
  * Bulk climate risk analysis for multiple properties
- * Professional tier feature supporting up to 100 properties per request
+ * Professional tier feature supporting up to 100 properties per request.
+ * Addresses may be given as { address, ...property attributes } to get property risk scores.
  */
 async function bulkPropertyRiskHandler(event, context) {
     const performanceMetrics = {
@@ -75,6 +77,9 @@ async function bulkPropertyRiskHandler(event, context) {
 
         const analysisResults = [];
         const processingErrors = [];
+        const attributesByAddress = new Map(
+            validatedParams.addresses.map((address, index) => [address, validatedParams.propertyAttributes[index]])
+        );
 
         // Batch processing configuration
         const batchSize = subscriptionTier === 'enterprise' ? 50 : 25;
@@ -98,7 +103,8 @@ async function bulkPropertyRiskHandler(event, context) {
                     batch, 
                     batchIndex, 
                     validatedParams.riskTypes, 
-                    performanceMetrics
+                    performanceMetrics,
+                    attributesByAddress
                 );
 
                 analysisResults.push(...batchResults.successes);
@@ -194,7 +200,7 @@ async function bulkPropertyRiskHandler(event, context) {
 /**
  * Process a batch of addresses
  */
-async function processBatch(addresses, batchIndex, riskTypes, performanceMetrics) {
+async function processBatch(addresses, batchIndex, riskTypes, performanceMetrics, attributesByAddress = new Map()) {
     const batchResults = {
         successes: [],
         errors: []
@@ -331,9 +337,24 @@ async function processBatch(addresses, batchIndex, riskTypes, performanceMetrics
                             ...result.riskData,
                             assessmentVersion: '1.0',
                             expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days
-                        }).then(riskAssessment => {
+                        }).then(async riskAssessment => {
                             performanceMetrics.new_assessments_generated++;
-                            
+
+                            // The assessment is stored; a property risk failure only leaves property_risk empty
+                            let propertyRisk = null;
+                            let propertyRiskError = null;
+                            try {
+                                propertyRisk = await climateDataAggregator.assessPropertyRisk(
+                                    parseFloat(property.latitude),
+                                    parseFloat(property.longitude),
+                                    riskAssessment,
+                                    resolvePropertyAttributes(attributesByAddress.get(result.address) || {}, property)
+                                );
+                            } catch (error) {
+                                console.error(`Failed to assess property risk for ${result.address}:`, error);
+                                propertyRiskError = `Property risk assessment failed: ${error.message}`;
+                            }
+
                             batchResults.successes.push({
                                 address: result.address,
                                 property: {
@@ -346,6 +367,8 @@ async function processBatch(addresses, batchIndex, riskTypes, performanceMetrics
                                     zip_code: property.zip_code
                                 },
                                 risk_assessment: riskAssessment,
+                                property_risk: propertyRisk,
+                                property_risk_error: propertyRiskError,
                                 batch: batchIndex + 1,
                                 processing_time_ms: Date.now() - riskCalcStart
                             });
@@ -186,7 +186,10 @@ async function comparePropertiesHandler(event, context) {
                         earthquake_risk_score: riskAssessment.earthquake_risk_score,
                         heat_risk_score: riskAssessment.heat_risk_score,
                         drought_risk_score: riskAssessment.drought_risk_score,
+                        sea_level_rise_risk_score: riskAssessment.sea_level_rise_risk_score,
                         hail_risk_score: riskAssessment.hail_risk_score,
+                        landslide_risk_score: riskAssessment.landslide_risk_score,
+                        volcanic_risk_score: riskAssessment.volcanic_risk_score,
                         fema_flood_zone: riskAssessment.fema_flood_zone,
                         confidence_score: riskAssessment.confidence_score,
                         assessment_date: riskAssessment.assessment_date,
@@ -0,0 +1,125 @@
+// getBoundary.js - Seawater Climate Risk Platform
+// GET /geographic/boundaries/{type}/{identifier} handler following Tim-Combo patterns
+
+const { wrapHandler } = require('../../helpers/lambdaWrapper');
+const { validateRequest } = require('../../helpers/validationUtil');
+const { createSuccessResponse } = require('../../helpers/responseUtil');
+const { NotFoundError } = require('../../helpers/errorHandler');
+const { trackApiUsage } = require('../../helpers/dbOperations');
+const { getBoundaryData, findPropertiesInBoundary } = require('../../helpers/spatialQueries');
+
+/**
+ * Get a census tract, county, state or ZIP code boundary as a GeoJSON Feature
+ * The feature's properties carry risk statistics for the assessed properties inside the boundary.
+ */
+async function getBoundaryHandler(event, context) {
+    const performanceMetrics = {
+        boundary_query_time: 0,
+        property_query_time: 0,
+        returned_vertices: 0
+    };
+
+    try {
+        // API Gateway passes path parameters URL-encoded
+        let identifier = event.pathParams?.identifier;
+        try {
+            identifier = identifier ? decodeURIComponent(identifier) : identifier;
+        } catch (error) {
+            // Leave malformed encodings for validation to reject
+        }
+
+        const validatedParams = validateRequest('boundary_lookup', {
+            type: event.pathParams?.type,
+            identifier: identifier,
+            srs: event.queryParams?.srs,
+            simplify: event.queryParams?.simplify,
+            includeProperties: event.queryParams?.includeProperties,
+            limit: event.queryParams?.limit
+        });
+
+        console.log('Processing boundary request:', {
+            type: 'boundary_request',
+            timestamp: new Date().toISOString(),
+            platform: 'seawater-climate-risk',
+            requestId: event.requestContext?.requestId,
+            boundaryType: validatedParams.type,
+            identifier: validatedParams.identifier,
+            srs: validatedParams.srs,
+            simplified: !!validatedParams.simplifyTolerance
+        });
+
+        const boundaryStart = Date.now();
+        const boundary = await getBoundaryData(
+            validatedParams.type,
+            validatedParams.identifier,
+            validatedParams.srs,
+            { simplifyTolerance: validatedParams.simplifyTolerance }
+        );
+        performanceMetrics.boundary_query_time = Date.now() - boundaryStart;
+
+        if (!boundary) {
+            throw new NotFoundError(
+                `Boundary not found: ${validatedParams.type} ${validatedParams.identifier}`,
+                'boundary'
+            );
+        }
+        performanceMetrics.returned_vertices = boundary.metadata.returned_vertices;
+
+        const propertyStart = Date.now();
+        const propertySearch = await findPropertiesInBoundary(
+            boundary,
+            { limit: validatedParams.includeProperties ? validatedParams.limit : 1 },
+            validatedParams.type
+        );
+        performanceMetrics.property_query_time = Date.now() - propertyStart;
+
+        // Track API usage for billing
+        if (event.requestContext?.user?.sub || event.requestContext?.apiKey) {
+            await trackApiUsage({
+                userId: event.requestContext.user?.sub,
+                apiKeyId: event.requestContext.apiKey,
+                endpoint: '/geographic/boundaries',
+                httpMethod: 'GET',
+                statusCode: 200,
+                propertyCount: 0,
+                billableRequest: true,
+                cost: 0.001,
+                userAgent: event.requestContext?.userAgent,
+                ipAddress: event.requestContext?.sourceIp
+            });
+        }
+
+        const feature = {
+            ...boundary,
+            properties: {
+                ...boundary.properties,
+                risk_statistics: propertySearch.risk_statistics
+            }
+        };
+
+        if (validatedParams.includeProperties) {
+            feature.properties.properties_in_boundary = propertySearch.properties;
+        }
+
+        return createSuccessResponse(
+            feature,
+            'Boundary retrieved successfully',
+            {
+                Performance_Metrics: performanceMetrics
+            }
+        );
+
+    } catch (error) {
+        console.error('Error in getBoundary handler:', {
+            error: error.message,
+            stack: error.stack,
+            requestId: event.requestContext?.requestId
+        });
+
+        throw error;
+    }
+}
+
+module.exports = {
+    handler: wrapHandler(getBoundaryHandler)
+};
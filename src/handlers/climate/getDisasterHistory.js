@@ -0,0 +1,124 @@
+// getDisasterHistory.js - Seawater Climate Risk Platform
+// GET /geographic/disasters/history handler following Tim-Combo patterns
+
+const { wrapHandler } = require('../../helpers/lambdaWrapper');
+const { validateRequest } = require('../../helpers/validationUtil');
+const { createSuccessResponse } = require('../../helpers/responseUtil');
+const { trackApiUsage } = require('../../helpers/dbOperations');
+const { fetchDisasterHistory } = require('../../helpers/disasterHistorySources');
+
+/**
+ * Get a merged, time-ordered history of hazard events near a location
+ * Combines FEMA disaster declarations, HURDAT2 storm passages and USGS earthquakes
+ */
+async function getDisasterHistoryHandler(event, context) {
+    const performanceMetrics = {
+        external_api_calls: 0,
+        source_fetch_time: 0,
+        events_before_merge: 0,
+        events_returned: 0
+    };
+
+    try {
+        const validatedParams = validateRequest('disaster_history', {
+            latitude: event.queryParams?.latitude,
+            longitude: event.queryParams?.longitude,
+            radiusKm: event.queryParams?.radiusKm,
+            years: event.queryParams?.years,
+            startDate: event.queryParams?.startDate,
+            endDate: event.queryParams?.endDate,
+            eventTypes: event.queryParams?.eventTypes
+        });
+
+        const { latitude, longitude, radiusKm, startDate, endDate, eventTypes } = validatedParams;
+
+        console.log('Processing disaster history request:', {
+            type: 'disaster_history_request',
+            timestamp: new Date().toISOString(),
+            platform: 'seawater-climate-risk',
+            requestId: event.requestContext?.requestId,
+            center: `${latitude},${longitude}`,
+            radiusKm: radiusKm,
+            dateRange: `${startDate} - ${endDate}`,
+            eventTypes: eventTypes || 'all'
+        });
+
+        const fetchStart = Date.now();
+        const history = await fetchDisasterHistory(validatedParams);
+        performanceMetrics.source_fetch_time = Date.now() - fetchStart;
+        performanceMetrics.external_api_calls = history.external_api_calls;
+        performanceMetrics.events_before_merge = history.events_before_merge;
+        performanceMetrics.events_returned = history.events.length;
+
+        // Track API usage for billing
+        if (event.requestContext?.user?.sub || event.requestContext?.apiKey) {
+            await trackApiUsage({
+                userId: event.requestContext.user?.sub,
+                apiKeyId: event.requestContext.apiKey,
+                endpoint: '/geographic/disasters/history',
+                httpMethod: 'GET',
+                statusCode: 200,
+                propertyCount: 0,
+                billableRequest: true,
+                cost: 0.002,
+                userAgent: event.requestContext?.userAgent,
+                ipAddress: event.requestContext?.sourceIp
+            });
+        }
+
+        return createSuccessResponse(
+            {
+                events: history.events,
+                total_found: history.events.length,
+                time_range: {
+                    start_date: startDate,
+                    end_date: endDate
+                },
+                location: {
+                    latitude,
+                    longitude,
+                    radius_km: radiusKm
+                },
+                event_counts: history.event_counts,
+                sources: history.sources
+            },
+            'Historical disaster events retrieved successfully',
+            {
+                Performance_Metrics: performanceMetrics
+            }
+        );
+
+    } catch (error) {
+        console.error('Error in getDisasterHistory handler:', {
+            error: error.message,
+            stack: error.stack,
+            requestId: event.requestContext?.requestId
+        });
+
+        // Track failed usage
+        if (event.requestContext?.user?.sub || event.requestContext?.apiKey) {
+            try {
+                await trackApiUsage({
+                    userId: event.requestContext.user?.sub,
+                    apiKeyId: event.requestContext.apiKey,
+                    endpoint: '/geographic/disasters/history',
+                    httpMethod: 'GET',
+                    statusCode: error.statusCode || 500,
+                    propertyCount: 0,
+                    billableRequest: false,
+                    cost: 0,
+                    userAgent: event.requestContext?.userAgent,
+                    ipAddress: event.requestContext?.sourceIp
+                });
+            } catch (trackingError) {
+                console.error('Error tracking failed usage:', trackingError);
+            }
+        }
+
+        throw error;
+    }
+}
+
+module.exports = {
+    handler: wrapHandler(getDisasterHistoryHandler)
+};
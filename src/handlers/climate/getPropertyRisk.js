@@ -1,10 +1,10 @@
 // getPropertyRisk.js - Seawater Climate Risk Platform
 // GET /properties/{address}/risk handler following Tim-Combo patterns
 
-const { wrapHandler } = require('../../helpers/lambdaWrapper');
+const { wrapHandler, getRequestOwnerId } = require('../../helpers/lambdaWrapper');
 const { withTrialEnforcement } = require('../../helpers/trialMiddleware');
 const { validateRequest } = require('../../helpers/validationUtil');
-const { createPropertyRiskResponse, createErrorResponse } = require('../../helpers/responseUtil');
+const { createSuccessResponse } = require('../../helpers/responseUtil');
 const { NotFoundError, ClimateDataError } = require('../../helpers/errorHandler');
 const { 
     findPropertyByAddress, 
@@ -14,11 +14,20 @@ const {
     trackApiUsage 
 } = require('../../helpers/dbOperations');
 const { geocodeAddress } = require('../../helpers/geocodingService');
-const { aggregateClimateData } = require('../../helpers/climateDataAggregator');
+const { aggregateClimateData, climateDataAggregator } = require('../../helpers/climateDataAggregator');
+const { publishAssessmentEvents } = require('../../helpers/webhookDelivery');
+const { determineFloodZone } = require('../../helpers/floodZones');
+const { resolvePropertyAttributes } = require('../../helpers/vulnerabilityCurves');
+const { estimatePropertyLosses } = require('../../helpers/lossEstimation');
+const { estimateFloodInsurance } = require('../../helpers/floodInsurance');
 
 /**
  * Get climate risk assessment for a specific property
- * Supports both address and coordinate-based queries
+ * Supports both address and coordinate-based queries. Optional structure attributes
+ * (year built, foundation, first-floor elevation, roof, construction class, stories)
+ * produce property risk scores alongside the location hazard scores. Loss estimates use
+ * the supplied replacement value, or one estimated from the living area; flood insurance
+ * estimates use the supplied coverage amounts and elevation-certificate lowest floor.
  */
 async function getPropertyRiskHandler(event, context) {
     const performanceMetrics = {
@@ -46,9 +55,28 @@ async function getPropertyRiskHandler(event, context) {
             address: address || null,
             latitude: coordinates?.latitude,
             longitude: coordinates?.longitude,
-            riskTypes: event.queryParams?.riskTypes || 'all'
+            riskTypes: event.queryParams?.riskTypes || 'all',
+            scenario: event.queryParams?.scenario,
+            horizon: event.queryParams?.horizon,
+            replacementValue: event.queryParams?.replacementValue,
+            buildingCoverage: event.queryParams?.buildingCoverage,
+            contentsCoverage: event.queryParams?.contentsCoverage,
+            lowestFloorElevation: event.queryParams?.lowestFloorElevation,
+            propertyAttributes: {
+                yearBuilt: event.queryParams?.yearBuilt,
+                foundationType: event.queryParams?.foundationType,
+                firstFloorElevation: event.queryParams?.firstFloorElevation,
+                roofType: event.queryParams?.roofType,
+                constructionClass: event.queryParams?.constructionClass,
+                stories: event.queryParams?.stories
+            }
         });
 
+        const projectionOptions = validatedParams.scenario ? {
+            scenario: validatedParams.scenario,
+            horizon: validatedParams.horizon
+        } : {};
+
         console.log('Processing property risk request:', {
             type: 'property_risk_request',
             timestamp: new Date().toISOString(),
@@ -56,7 +84,10 @@ async function getPropertyRiskHandler(event, context) {
             requestId: event.requestContext?.requestId,
             address: validatedParams.address,
             coordinates: coordinates,
-            riskTypes: validatedParams.riskTypes
+            riskTypes: validatedParams.riskTypes,
+            scenario: validatedParams.scenario || null,
+            horizon: validatedParams.horizon || null,
+            propertyAttributes: validatedParams.propertyAttributes
         });
 
         let propertyData = null;
@@ -127,8 +158,18 @@ async function getPropertyRiskHandler(event, context) {
             );
         }
 
+        // FEMA flood zone determination; recorded against stored properties
+        const floodZoneStart = Date.now();
+        const floodZone = await determineFloodZone(
+            propertyCoordinates.latitude,
+            propertyCoordinates.longitude,
+            propertyData?.id || null
+        );
+        performanceMetrics.database_time += Date.now() - floodZoneStart;
+
         // Check for existing current risk assessment
         let riskAssessment = null;
+        let projection = null;
         if (propertyData) {
             const dbStart = Date.now();
             riskAssessment = await getCurrentRiskAssessment(propertyData.id);
@@ -143,13 +184,16 @@ async function getPropertyRiskHandler(event, context) {
                 expiresAt: riskAssessment?.expires_at
             });
 
+            const previousAssessment = riskAssessment;
             const riskCalcStart = Date.now();
             const climateRisks = await aggregateClimateData(
                 propertyCoordinates.latitude,
                 propertyCoordinates.longitude,
-                validatedParams.riskTypes
+                validatedParams.riskTypes,
+                projectionOptions
             );
             performanceMetrics.risk_calculation_time = Date.now() - riskCalcStart;
+            projection = climateRisks.projection || null;
             performanceMetrics.external_api_calls += climateRisks.external_api_calls || 0;
             performanceMetrics.cache_hits += climateRisks.cache_hits || 0;
             performanceMetrics.cache_misses += climateRisks.cache_misses || 0;
@@ -187,14 +231,81 @@ async function getPropertyRiskHandler(event, context) {
                 primaryRisks: climateRisks.primaryRisks,
                 dataSource: climateRisks.sources
             });
+
+            await publishAssessmentEvents({
+                ownerId: getRequestOwnerId(event.requestContext),
+                property: propertyData,
+                previousAssessment: previousAssessment,
+                assessment: riskAssessment
+            });
         } else {
             console.log('Using existing risk assessment:', {
                 propertyId: propertyData.id,
                 assessmentDate: riskAssessment.assessment_date,
                 expiresAt: riskAssessment.expires_at
             });
+
+            // Stored assessments are present-day only, so project them on request
+            if (projectionOptions.scenario) {
+                const riskCalcStart = Date.now();
+                projection = await climateDataAggregator.projectRiskAssessment(
+                    propertyCoordinates.latitude,
+                    propertyCoordinates.longitude,
+                    riskAssessment,
+                    projectionOptions.scenario,
+                    projectionOptions.horizon
+                );
+                performanceMetrics.risk_calculation_time = Date.now() - riskCalcStart;
+                performanceMetrics.external_api_calls += projection.external_api_calls;
+            }
         }
 
+        // Structure-specific scores; risk_assessment keeps the location hazard scores
+        const propertyAttributes = resolvePropertyAttributes(validatedParams.propertyAttributes || {}, propertyData);
+        const codesStart = Date.now();
+        const propertyRisk = await climateDataAggregator.assessPropertyRisk(
+            propertyCoordinates.latitude,
+            propertyCoordinates.longitude,
+            riskAssessment,
+            propertyAttributes
+        );
+        performanceMetrics.database_time += Date.now() - codesStart;
+
+        // Expected annual and probable maximum losses in dollars
+        const lossStart = Date.now();
+        const { external_api_calls: lossApiCalls, ...lossEstimates } = await estimatePropertyLosses(
+            propertyCoordinates.latitude,
+            propertyCoordinates.longitude,
+            {
+                riskData: riskAssessment,
+                propertyRisk: propertyRisk,
+                projection: projection,
+                replacementValue: validatedParams.replacementValue || null,
+                attributes: propertyAttributes,
+                squareFeet: propertyData?.square_feet || null
+            }
+        );
+        performanceMetrics.risk_calculation_time += Date.now() - lossStart;
+        performanceMetrics.external_api_calls += lossApiCalls;
+
+        // NFIP-style and private-market flood insurance premium ranges
+        const insuranceStart = Date.now();
+        const { external_api_calls: insuranceApiCalls, ...floodInsurance } = await estimateFloodInsurance(
+            propertyCoordinates.latitude,
+            propertyCoordinates.longitude,
+            {
+                floodZone: floodZone,
+                attributes: propertyAttributes,
+                floodRiskScore: propertyRisk.flood_risk_score,
+                replacementValue: lossEstimates.replacement_value,
+                buildingCoverage: validatedParams.buildingCoverage,
+                contentsCoverage: validatedParams.contentsCoverage,
+                lowestFloorElevation: validatedParams.lowestFloorElevation
+            }
+        );
+        performanceMetrics.risk_calculation_time += Date.now() - insuranceStart;
+        performanceMetrics.external_api_calls += insuranceApiCalls;
+
         // Track API usage for billing
         if (event.requestContext?.user?.sub || event.requestContext?.apiKey) {
             await trackApiUsage({
@@ -219,18 +330,27 @@ async function getPropertyRiskHandler(event, context) {
             geocoding_accuracy: 'coordinate_provided'
         };
 
-        const result = createPropertyRiskResponse(
-            responsePropertyData,
-            riskAssessment,
-            'Property risk assessment retrieved successfully'
-        );
+        const responseData = {
+            property: responsePropertyData,
+            risk_assessment: riskAssessment,
+            property_risk: propertyRisk,
+            loss_estimates: lossEstimates,
+            flood_zone: floodZone,
+            flood_insurance: floodInsurance
+        };
 
-        // Add performance metrics to response
-        result.body = JSON.parse(result.body);
-        result.body.meta.Performance_Metrics = performanceMetrics;
-        result.body = JSON.stringify(result.body);
+        if (projection) {
+            const { external_api_calls, ...projectionData } = projection;
+            responseData.projection = projectionData;
+        }
 
-        return result;
+        return createSuccessResponse(
+            responseData,
+            'Property risk assessment retrieved successfully',
+            {
+                Performance_Metrics: performanceMetrics
+            }
+        );
 
     } catch (error) {
         console.error('Error in getPropertyRisk handler:', {
@@ -0,0 +1,334 @@
+// getRiskTrends.js - Seawater Climate Risk Platform
+// GET /properties/trends/{address_hash} handler following Tim-Combo patterns
+
+const { wrapHandler } = require('../../helpers/lambdaWrapper');
+const { validateClimateScenario, validateRiskTypes } = require('../../helpers/validationUtil');
+const { createSuccessResponse } = require('../../helpers/responseUtil');
+const { NotFoundError, ValidationError } = require('../../helpers/errorHandler');
+const {
+    findPropertyByAddressHash,
+    getCurrentRiskAssessment,
+    getRiskTrends,
+    upsertRiskTrends,
+    trackApiUsage
+} = require('../../helpers/dbOperations');
+const {
+    projectHazardScores,
+    calculateProjectionConfidence,
+    PROJECTION_YEARS,
+    TREND_HAZARDS
+} = require('../../helpers/climateProjections');
+const FirstStreetClient = require('../../helpers/externalClients/firstStreetClient');
+
+const firstStreetClient = new FirstStreetClient();
+
+const DEFAULT_SCENARIOS = ['rcp45', 'rcp85'];
+const PROJECTION_SOURCE = 'first_street_projection';
+
+/**
+ * Get historical and projected per-hazard risk scores by year for a property
+ * Missing projected years are derived from First Street projections and stored for reuse
+ */
+async function getRiskTrendsHandler(event, context) {
+    const performanceMetrics = {
+        external_api_calls: 0,
+        database_time: 0,
+        projection_time: 0,
+        stored_trend_rows: 0,
+        generated_trend_rows: 0
+    };
+
+    try {
+        const addressHash = event.pathParams?.addressHash;
+        if (!addressHash || !/^[a-f0-9]{64}$/i.test(addressHash)) {
+            throw new ValidationError('Invalid address hash', [
+                { field: 'address_hash', message: 'Address hash must be a 64 character SHA-256 hex string' }
+            ]);
+        }
+
+        const params = parseTrendParams(event.queryParams || {});
+
+        console.log('Processing risk trends request:', {
+            type: 'risk_trends_request',
+            timestamp: new Date().toISOString(),
+            platform: 'seawater-climate-risk',
+            requestId: event.requestContext?.requestId,
+            addressHash: addressHash,
+            scenarios: params.scenarios,
+            yearRange: `${params.startYear}-${params.endYear}`
+        });
+
+        let dbStart = Date.now();
+        const property = await findPropertyByAddressHash(addressHash.toLowerCase());
+        performanceMetrics.database_time += Date.now() - dbStart;
+
+        if (!property) {
+            throw new NotFoundError(`No property found for address hash: ${addressHash}`, 'property');
+        }
+
+        dbStart = Date.now();
+        const storedRows = await getRiskTrends(property.id, params);
+        performanceMetrics.database_time += Date.now() - dbStart;
+        performanceMetrics.stored_trend_rows = storedRows.length;
+
+        // Work out which projected years are not yet stored for each scenario
+        const expectedYears = PROJECTION_YEARS.filter(year => year >= params.startYear && year <= params.endYear);
+        const missing = findMissingProjectionYears(storedRows, params.scenarios, expectedYears);
+
+        let generatedRows = [];
+        if (missing.length > 0) {
+            const projectionStart = Date.now();
+            generatedRows = await generateProjectedTrendRows(property, missing, performanceMetrics);
+            performanceMetrics.projection_time = Date.now() - projectionStart;
+            performanceMetrics.generated_trend_rows = generatedRows.length;
+
+            if (generatedRows.length > 0) {
+                dbStart = Date.now();
+                await upsertRiskTrends(property.id, generatedRows);
+                performanceMetrics.database_time += Date.now() - dbStart;
+            }
+        }
+
+        const trends = buildTrendSeries([...storedRows, ...generatedRows], params.hazardTypes);
+
+        // Track API usage for billing
+        if (event.requestContext?.user?.sub || event.requestContext?.apiKey) {
+            await trackApiUsage({
+                userId: event.requestContext.user?.sub,
+                apiKeyId: event.requestContext.apiKey,
+                endpoint: '/properties/trends',
+                httpMethod: 'GET',
+                statusCode: 200,
+                propertyCount: 1,
+                billableRequest: true,
+                cost: 0.001 + (0.003 * performanceMetrics.external_api_calls),
+                userAgent: event.requestContext?.userAgent,
+                ipAddress: event.requestContext?.sourceIp
+            });
+        }
+
+        return createSuccessResponse(
+            {
+                property: {
+                    id: property.id,
+                    address: property.address,
+                    address_hash: property.address_hash,
+                    latitude: property.latitude,
+                    longitude: property.longitude
+                },
+                hazard_types: params.hazardTypes,
+                scenarios: params.scenarios,
+                year_range: { start: params.startYear, end: params.endYear },
+                historical: trends.historical,
+                projected: trends.projected
+            },
+            'Risk trend data retrieved successfully',
+            {
+                Performance_Metrics: performanceMetrics
+            }
+        );
+
+    } catch (error) {
+        console.error('Error in getRiskTrends handler:', {
+            error: error.message,
+            stack: error.stack,
+            requestId: event.requestContext?.requestId
+        });
+
+        // Track failed usage
+        if (event.requestContext?.user?.sub || event.requestContext?.apiKey) {
+            try {
+                await trackApiUsage({
+                    userId: event.requestContext.user?.sub,
+                    apiKeyId: event.requestContext.apiKey,
+                    endpoint: '/properties/trends',
+                    httpMethod: 'GET',
+                    statusCode: error.statusCode || 500,
+                    propertyCount: 1,
+                    billableRequest: false,
+                    cost: 0,
+                    userAgent: event.requestContext?.userAgent,
+                    ipAddress: event.requestContext?.sourceIp
+                });
+            } catch (trackingError) {
+                console.error('Error tracking failed usage:', trackingError);
+            }
+        }
+
+        throw error;
+    }
+}
+
+/**
+ * Parse and validate trend query parameters
+ */
+function parseTrendParams(queryParams) {
+    const startYear = queryParams.startYear ? parseInt(queryParams.startYear) : 1950;
+    const endYear = queryParams.endYear ? parseInt(queryParams.endYear) : 2100;
+
+    if (isNaN(startYear) || isNaN(endYear) || startYear < 1950 || endYear > 2100 || startYear > endYear) {
+        throw new ValidationError('Invalid year range', [
+            { field: 'year_range', message: 'start_year and end_year must be between 1950 and 2100, with start_year <= end_year' }
+        ]);
+    }
+
+    const scenarios = queryParams.scenarios || queryParams.scenario
+        ? String(queryParams.scenarios || queryParams.scenario)
+            .split(',')
+            .map(scenario => validateClimateScenario(scenario))
+            .filter(Boolean)
+        : DEFAULT_SCENARIOS;
+
+    let hazardTypes = TREND_HAZARDS;
+    if (queryParams.hazardTypes && queryParams.hazardTypes !== 'all') {
+        hazardTypes = validateRiskTypes(queryParams.hazardTypes).filter(type => TREND_HAZARDS.includes(type));
+        if (hazardTypes.length === 0) {
+            throw new ValidationError('Invalid hazard types', [
+                { field: 'hazard_types', message: `Trends are available for: ${TREND_HAZARDS.join(', ')}` }
+            ]);
+        }
+    }
+
+    return {
+        startYear,
+        endYear,
+        scenarios: [...new Set(scenarios)],
+        hazardTypes
+    };
+}
+
+/**
+ * Determine which scenario/year combinations have no stored projection
+ */
+function findMissingProjectionYears(storedRows, scenarios, expectedYears) {
+    const stored = new Set(
+        storedRows
+            .filter(row => row.trend_type === 'projected')
+            .map(row => `${row.scenario}:${row.trend_year}`)
+    );
+
+    const missing = [];
+    for (const scenario of scenarios) {
+        for (const year of expectedYears) {
+            if (!stored.has(`${scenario}:${year}`)) {
+                missing.push({ scenario, year });
+            }
+        }
+    }
+    return missing;
+}
+
+/**
+ * Build projected trend rows from First Street projections for the missing years
+ */
+async function generateProjectedTrendRows(property, missing, performanceMetrics) {
+    const baseline = await getCurrentRiskAssessment(property.id);
+    if (!baseline) {
+        console.warn('No current risk assessment available to project trends from:', {
+            propertyId: property.id
+        });
+        return [];
+    }
+
+    const scenarios = [...new Set(missing.map(entry => entry.scenario))];
+
+    let projections;
+    try {
+        const response = await firstStreetClient.getClimateProjections(
+            parseFloat(property.latitude),
+            parseFloat(property.longitude),
+            scenarios
+        );
+        performanceMetrics.external_api_calls += response.cached ? 0 : 1;
+        projections = response.data;
+    } catch (error) {
+        console.warn('First Street projections unavailable, returning stored trends only:', error.message);
+        return [];
+    }
+
+    if (!projections?.projections_available) {
+        return [];
+    }
+
+    const baselineScores = {
+        flood: baseline.flood_risk_score,
+        wildfire: baseline.wildfire_risk_score,
+        heat: baseline.heat_risk_score,
+        tornado: baseline.tornado_risk_score,
+        hurricane: baseline.hurricane_risk_score
+    };
+    const baseConfidence = parseFloat(baseline.confidence_level) || undefined;
+
+    const rows = [];
+    for (const { scenario, year } of missing) {
+        const scenarioData = projections.scenarios[scenario];
+        if (!scenarioData) continue;
+
+        const scores = projectHazardScores(baselineScores, scenarioData, year);
+        if (Object.values(scores).every(score => score === null)) continue;
+
+        const confidence = calculateProjectionConfidence(year, scenario, baseConfidence);
+
+        rows.push({
+            trend_year: year,
+            trend_type: 'projected',
+            scenario: scenario,
+            flood_score: scores.flood,
+            wildfire_score: scores.wildfire,
+            heat_score: scores.heat,
+            tornado_score: scores.tornado,
+            hurricane_score: scores.hurricane,
+            confidence_lower: confidence.lower,
+            confidence_upper: confidence.upper,
+            data_source: PROJECTION_SOURCE
+        });
+    }
+
+    return rows;
+}
+
+/**
+ * Shape trend rows into historical and per-scenario projected series
+ */
+function buildTrendSeries(rows, hazardTypes) {
+    const toPoint = (row) => {
+        const scores = {};
+        hazardTypes.forEach(hazard => {
+            const value = row[`${hazard}_score`];
+            scores[hazard] = value === null || value === undefined ? null : Number(value);
+        });
+
+        return {
+            year: Number(row.trend_year),
+            scores,
+            confidence: {
+                lower: row.confidence_lower === null ? null : Number(row.confidence_lower),
+                upper: row.confidence_upper === null ? null : Number(row.confidence_upper)
+            },
+            data_source: row.data_source
+        };
+    };
+
+    const historical = rows
+        .filter(row => row.trend_type === 'historical')
+        .map(toPoint)
+        .sort((a, b) => a.year - b.year);
+
+    const projected = {};
+    rows
+        .filter(row => row.trend_type === 'projected')
+        .forEach(row => {
+            if (!projected[row.scenario]) {
+                projected[row.scenario] = [];
+            }
+            projected[row.scenario].push(toPoint(row));
+        });
+
+    Object.values(projected).forEach(series => series.sort((a, b) => a.year - b.year));
+
+    return { historical, projected };
+}
+
+module.exports = {
+    handler: wrapHandler(getRiskTrendsHandler)
+};
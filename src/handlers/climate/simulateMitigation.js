@@ -0,0 +1,197 @@
+// simulateMitigation.js - Seawater Climate Risk Platform
+// POST /properties/mitigation/simulate handler following Tim-Combo patterns
+
+const { wrapHandler } = require('../../helpers/lambdaWrapper');
+const { validateRequest } = require('../../helpers/validationUtil');
+const { createSuccessResponse } = require('../../helpers/responseUtil');
+const { NotFoundError, ClimateDataError } = require('../../helpers/errorHandler');
+const {
+    findPropertyByAddress,
+    getCurrentRiskAssessment,
+    upsertProperty,
+    upsertRiskAssessment,
+    trackApiUsage
+} = require('../../helpers/dbOperations');
+const { geocodeAddress } = require('../../helpers/geocodingService');
+const { aggregateClimateData } = require('../../helpers/climateDataAggregator');
+const { getBuildingCodeProfile } = require('../../helpers/buildingCodes');
+const { PROPERTY_ATTRIBUTE_FIELDS, resolvePropertyAttributes } = require('../../helpers/vulnerabilityCurves');
+const { simulateMitigations } = require('../../helpers/mitigationSimulator');
+
+/**
+ * Simulate retrofits for a property
+ * Returns property risk scores with each mitigation applied alone and all together, the change
+ * per hazard, estimated cost ranges and a ranking by score reduction per dollar.
+ */
+async function simulateMitigationHandler(event, context) {
+    const performanceMetrics = {
+        external_api_calls: 0,
+        geocoding_time: 0,
+        risk_calculation_time: 0,
+        database_time: 0
+    };
+
+    try {
+        const validatedParams = validateRequest('mitigation_simulation', {
+            address: event.body?.address,
+            latitude: event.body?.latitude,
+            longitude: event.body?.longitude,
+            mitigations: event.body?.mitigations,
+            squareFeet: event.body?.squareFeet,
+            propertyAttributes: event.body
+        });
+
+        console.log('Processing mitigation simulation:', {
+            type: 'mitigation_simulation_request',
+            timestamp: new Date().toISOString(),
+            platform: 'seawater-climate-risk',
+            requestId: event.requestContext?.requestId,
+            address: validatedParams.address || null,
+            mitigations: validatedParams.mitigations.map(mitigation => mitigation.type)
+        });
+
+        let propertyData = null;
+        let propertyCoordinates = validatedParams.address ? null : {
+            latitude: validatedParams.latitude,
+            longitude: validatedParams.longitude
+        };
+
+        if (validatedParams.address) {
+            const dbStart = Date.now();
+            propertyData = await findPropertyByAddress(validatedParams.address);
+            performanceMetrics.database_time += Date.now() - dbStart;
+
+            if (!propertyData) {
+                const geocodeStart = Date.now();
+                const geocodeResult = await geocodeAddress(validatedParams.address);
+                performanceMetrics.geocoding_time = Date.now() - geocodeStart;
+                performanceMetrics.external_api_calls++;
+
+                if (!geocodeResult.success) {
+                    throw new NotFoundError(
+                        `Unable to geocode address: ${validatedParams.address}`,
+                        'property'
+                    );
+                }
+
+                const dbStart2 = Date.now();
+                propertyData = await upsertProperty({
+                    address: validatedParams.address,
+                    normalizedAddress: validatedParams.address.toLowerCase().trim(),
+                    ...geocodeResult,
+                    geocodingAccuracy: geocodeResult.accuracy,
+                    geocodingSource: geocodeResult.source
+                });
+                performanceMetrics.database_time += Date.now() - dbStart2;
+            }
+
+            propertyCoordinates = {
+                latitude: parseFloat(propertyData.latitude),
+                longitude: parseFloat(propertyData.longitude)
+            };
+        }
+
+        // Location hazard scores, reusing the stored assessment while it is current
+        let riskAssessment = null;
+        if (propertyData) {
+            const dbStart = Date.now();
+            riskAssessment = await getCurrentRiskAssessment(propertyData.id);
+            performanceMetrics.database_time += Date.now() - dbStart;
+        }
+
+        if (!riskAssessment || new Date(riskAssessment.expires_at) <= new Date()) {
+            const riskCalcStart = Date.now();
+            const climateRisks = await aggregateClimateData(
+                propertyCoordinates.latitude,
+                propertyCoordinates.longitude,
+                'all'
+            );
+            performanceMetrics.risk_calculation_time = Date.now() - riskCalcStart;
+            performanceMetrics.external_api_calls += climateRisks.external_api_calls || 0;
+
+            if (!climateRisks.success) {
+                throw new ClimateDataError(
+                    'Unable to retrieve climate risk data',
+                    climateRisks.error_source,
+                    true
+                );
+            }
+
+            if (propertyData) {
+                const dbStart = Date.now();
+                riskAssessment = await upsertRiskAssessment({
+                    propertyId: propertyData.id,
+                    ...climateRisks.riskData,
+                    assessmentVersion: '1.0',
+                    expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days
+                });
+                performanceMetrics.database_time += Date.now() - dbStart;
+            } else {
+                riskAssessment = climateRisks.riskData;
+            }
+        }
+
+        const attributes = resolvePropertyAttributes(validatedParams.propertyAttributes || {}, propertyData);
+
+        // Codes the structure was built under, from the same construction year as its vulnerability curves
+        const codesStart = Date.now();
+        const buildingCodes = await getBuildingCodeProfile(
+            propertyCoordinates.latitude,
+            propertyCoordinates.longitude,
+            attributes.yearBuilt
+        );
+        performanceMetrics.database_time += Date.now() - codesStart;
+
+        const simulation = simulateMitigations(riskAssessment, attributes, validatedParams.mitigations, {
+            squareFeet: validatedParams.squareFeet || propertyData?.square_feet || null,
+            buildingCodes: buildingCodes
+        });
+
+        // Track API usage for billing
+        if (event.requestContext?.user?.sub || event.requestContext?.apiKey) {
+            await trackApiUsage({
+                userId: event.requestContext.user?.sub,
+                apiKeyId: event.requestContext.apiKey,
+                endpoint: '/properties/mitigation/simulate',
+                httpMethod: 'POST',
+                statusCode: 200,
+                propertyCount: 1,
+                billableRequest: true,
+                cost: 0.001,
+                userAgent: event.requestContext?.userAgent,
+                ipAddress: event.requestContext?.sourceIp
+            });
+        }
+
+        return createSuccessResponse(
+            {
+                property: propertyData || {
+                    latitude: propertyCoordinates.latitude,
+                    longitude: propertyCoordinates.longitude,
+                    geocoding_accuracy: 'coordinate_provided'
+                },
+                attributes: Object.fromEntries(
+                    Object.entries(PROPERTY_ATTRIBUTE_FIELDS).map(([field, name]) => [name, attributes[field]])
+                ),
+                ...simulation
+            },
+            'Mitigation simulation completed successfully',
+            {
+                Performance_Metrics: performanceMetrics
+            }
+        );
+
+    } catch (error) {
+        console.error('Error in simulateMitigation handler:', {
+            error: error.message,
+            stack: error.stack,
+            requestId: event.requestContext?.requestId
+        });
+
+        throw error;
+    }
+}
+
+module.exports = {
+    handler: wrapHandler(simulateMitigationHandler)
+};
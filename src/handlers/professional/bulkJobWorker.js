@@ -0,0 +1,27 @@
+// bulkJobWorker.js - Seawater Climate Risk Platform
+// Background worker invoked asynchronously by the job queue, and on a schedule to resume stalled jobs
+// Runs bulk analysis jobs, property report generation and webhook deliveries
+
+const { dispatchJob } = require('../../helpers/jobQueue');
+const { resumeStalledBulkJobs } = require('../../helpers/bulkJobProcessor');
+const { resumeStalledPropertyReports } = require('../../helpers/reportProcessor');
+const { retryDueWebhookDeliveries } = require('../../helpers/webhookDelivery');
+
+/**
+ * Run a queued job message, or sweep for stalled jobs and due webhook retries when triggered by EventBridge
+ * Webhook retry delays start at one minute, so SAM_API_TEMPLATE.yaml schedules the sweep every minute.
+ */
+async function handler(event, context) {
+    if (event?.source === 'aws.events') {
+        const bulkJobs = await resumeStalledBulkJobs();
+        const propertyReports = await resumeStalledPropertyReports();
+        const webhookDeliveries = await retryDueWebhookDeliveries();
+        return { bulk_jobs: bulkJobs, property_reports: propertyReports, webhook_deliveries: webhookDeliveries };
+    }
+
+    return dispatchJob(event, context);
+}
+
+module.exports = {
+    handler
+};
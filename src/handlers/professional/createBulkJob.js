@@ -0,0 +1,141 @@
+// createBulkJob.js - Seawater Climate Risk Platform
+// POST /professional/bulk/risk-assessment handler following Tim-Combo patterns
+
+const { wrapHandler, getRequestOwnerId } = require('../../helpers/lambdaWrapper');
+const { validateRequest } = require('../../helpers/validationUtil');
+const { createSuccessResponse } = require('../../helpers/responseUtil');
+const { SubscriptionError, ValidationError } = require('../../helpers/errorHandler');
+const { createBulkJob, trackApiUsage } = require('../../helpers/dbOperations');
+const { getJobQueue } = require('../../helpers/jobQueue');
+const { BULK_RISK_JOB } = require('../../helpers/bulkJobProcessor');
+
+/**
+ * Create a persisted bulk risk assessment job and queue it for background processing
+ * Progress is polled through GET /professional/bulk/jobs/{job_id}
+ */
+async function createBulkJobHandler(event, context) {
+    const performanceMetrics = {
+        database_time: 0,
+        queue_time: 0
+    };
+
+    try {
+        // Check subscription tier access
+        const subscriptionTier = event.requestContext?.subscriptionTier || 'free';
+        if (!['professional', 'enterprise'].includes(subscriptionTier)) {
+            throw new SubscriptionError(
+                'Bulk analysis requires Professional or Enterprise subscription',
+                subscriptionTier,
+                'bulk_analysis'
+            );
+        }
+
+        const ownerId = getRequestOwnerId(event.requestContext);
+        if (!ownerId) {
+            throw new ValidationError('Authentication required', [
+                { field: 'authorization', message: 'Bulk jobs require an authenticated user or API key' }
+            ]);
+        }
+
+        // Async jobs allow larger uploads than the synchronous bulk endpoint
+        const maxAddresses = subscriptionTier === 'enterprise' ? 10000 : 1000;
+
+        const validatedParams = validateRequest('bulk_analysis', {
+            addresses: event.body?.addresses,
+            riskTypes: event.body?.riskTypes || event.queryParams?.riskTypes || 'all',
+            maxAddresses: maxAddresses
+        });
+
+        console.log('Creating bulk analysis job:', {
+            type: 'bulk_job_create',
+            timestamp: new Date().toISOString(),
+            platform: 'seawater-climate-risk',
+            requestId: event.requestContext?.requestId,
+            addressCount: validatedParams.addresses.length,
+            subscriptionTier: subscriptionTier,
+            riskTypes: validatedParams.riskTypes
+        });
+
+        const dbStart = Date.now();
+        const job = await createBulkJob({
+            ownerId: ownerId,
+            subscriptionTier: subscriptionTier,
+            riskTypes: validatedParams.riskTypes,
+            options: {
+                requestId: event.requestContext?.requestId
+            },
+            addresses: validatedParams.addresses,
+            propertyAttributes: validatedParams.propertyAttributes
+        });
+        performanceMetrics.database_time = Date.now() - dbStart;
+
+        const queueStart = Date.now();
+        const queued = await getJobQueue().enqueue(BULK_RISK_JOB, { jobId: job.id });
+        performanceMetrics.queue_time = Date.now() - queueStart;
+
+        // Track API usage for billing; per-property cost is recorded as items complete
+        if (event.requestContext?.user?.sub || event.requestContext?.apiKey) {
+            await trackApiUsage({
+                userId: event.requestContext.user?.sub,
+                apiKeyId: event.requestContext.apiKey,
+                endpoint: '/professional/bulk/risk-assessment',
+                httpMethod: 'POST',
+                statusCode: 202,
+                propertyCount: validatedParams.addresses.length,
+                billableRequest: true,
+                cost: subscriptionTier === 'enterprise' ? 0.05 : 0.10,
+                userAgent: event.requestContext?.userAgent,
+                ipAddress: event.requestContext?.sourceIp
+            });
+        }
+
+        return createSuccessResponse(
+            {
+                job_id: job.id,
+                status: job.status,
+                total_items: job.total_items,
+                risk_types: validatedParams.riskTypes,
+                created_at: job.created_at,
+                status_url: `/professional/bulk/jobs/${job.id}`
+            },
+            'Bulk analysis job accepted',
+            {
+                Performance_Metrics: performanceMetrics,
+                Queue_Transport: queued.transport
+            }
+        );
+
+    } catch (error) {
+        console.error('Error in createBulkJob handler:', {
+            error: error.message,
+            stack: error.stack,
+            requestId: event.requestContext?.requestId
+        });
+
+        // Track failed usage
+        if (event.requestContext?.user?.sub || event.requestContext?.apiKey) {
+            try {
+                await trackApiUsage({
+                    userId: event.requestContext.user?.sub,
+                    apiKeyId: event.requestContext.apiKey,
+                    endpoint: '/professional/bulk/risk-assessment',
+                    httpMethod: 'POST',
+                    statusCode: error.statusCode || 500,
+                    propertyCount: 0,
+                    billableRequest: false,
+                    cost: 0,
+                    userAgent: event.requestContext?.userAgent,
+                    ipAddress: event.requestContext?.sourceIp
+                });
+            } catch (trackingError) {
+                console.error('Error tracking failed usage:', trackingError);
+            }
+        }
+
+        throw error;
+    }
+}
+
+module.exports = {
+    handler: wrapHandler(createBulkJobHandler)
+};
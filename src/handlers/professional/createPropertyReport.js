@@ -0,0 +1,146 @@
+// createPropertyReport.js - Seawater Climate Risk Platform
+// POST /professional/reports/property handler following Tim-Combo patterns
+
+const { wrapHandler, getRequestOwnerId } = require('../../helpers/lambdaWrapper');
+const { validateRequest } = require('../../helpers/validationUtil');
+const { createSuccessResponse } = require('../../helpers/responseUtil');
+const { SubscriptionError, ValidationError } = require('../../helpers/errorHandler');
+const { createPropertyReport, trackApiUsage } = require('../../helpers/dbOperations');
+const { getJobQueue } = require('../../helpers/jobQueue');
+const { PROPERTY_REPORT_JOB } = require('../../helpers/reportProcessor');
+
+/**
+ * Accept a PDF property risk report request and queue it for background generation
+ * Status is polled through GET /professional/reports/{report_id}
+ */
+async function createPropertyReportHandler(event, context) {
+    const performanceMetrics = {
+        database_time: 0,
+        queue_time: 0
+    };
+
+    try {
+        // Check subscription tier access
+        const subscriptionTier = event.requestContext?.subscriptionTier || 'free';
+        if (!['premium', 'professional', 'enterprise'].includes(subscriptionTier)) {
+            throw new SubscriptionError(
+                'Property reports require Premium, Professional or Enterprise subscription',
+                subscriptionTier,
+                'professional_reports'
+            );
+        }
+
+        const ownerId = getRequestOwnerId(event.requestContext);
+        if (!ownerId) {
+            throw new ValidationError('Authentication required', [
+                { field: 'authorization', message: 'Reports require an authenticated user or API key' }
+            ]);
+        }
+
+        const body = event.body || {};
+        const validatedParams = validateRequest('property_report', {
+            address: body.address,
+            reportType: body.report_type || body.reportType,
+            template: body.template,
+            format: body.format,
+            includeSections: body.include_sections || body.includeSections,
+            branding: body.branding,
+            scenario: body.scenario
+        });
+
+        console.log('Creating property report:', {
+            type: 'property_report_create',
+            timestamp: new Date().toISOString(),
+            platform: 'seawater-climate-risk',
+            requestId: event.requestContext?.requestId,
+            subscriptionTier: subscriptionTier,
+            reportType: validatedParams.reportType,
+            template: validatedParams.template
+        });
+
+        const dbStart = Date.now();
+        const report = await createPropertyReport({
+            ownerId: ownerId,
+            address: validatedParams.address,
+            reportType: validatedParams.reportType,
+            template: validatedParams.template,
+            options: {
+                sections: validatedParams.includeSections || null,
+                branding: validatedParams.branding || null,
+                scenario: validatedParams.scenario,
+                requestId: event.requestContext?.requestId
+            }
+        });
+        performanceMetrics.database_time = Date.now() - dbStart;
+
+        const queueStart = Date.now();
+        const queued = await getJobQueue().enqueue(PROPERTY_REPORT_JOB, { reportId: report.id });
+        performanceMetrics.queue_time = Date.now() - queueStart;
+
+        // Track API usage for billing
+        if (event.requestContext?.user?.sub || event.requestContext?.apiKey) {
+            await trackApiUsage({
+                userId: event.requestContext.user?.sub,
+                apiKeyId: event.requestContext.apiKey,
+                endpoint: '/professional/reports/property',
+                httpMethod: 'POST',
+                statusCode: 202,
+                propertyCount: 1,
+                billableRequest: true,
+                cost: subscriptionTier === 'enterprise' ? 0.25 : 0.50,
+                userAgent: event.requestContext?.userAgent,
+                ipAddress: event.requestContext?.sourceIp
+            });
+        }
+
+        return createSuccessResponse(
+            {
+                report_id: report.id,
+                status: report.status,
+                report_type: report.report_type,
+                template: report.template,
+                expires_at: report.expires_at,
+                created_at: report.created_at,
+                status_url: `/professional/reports/${report.id}`
+            },
+            'Property report accepted',
+            {
+                Performance_Metrics: performanceMetrics,
+                Queue_Transport: queued.transport
+            }
+        );
+
+    } catch (error) {
+        console.error('Error in createPropertyReport handler:', {
+            error: error.message,
+            stack: error.stack,
+            requestId: event.requestContext?.requestId
+        });
+
+        // Track failed usage
+        if (event.requestContext?.user?.sub || event.requestContext?.apiKey) {
+            try {
+                await trackApiUsage({
+                    userId: event.requestContext.user?.sub,
+                    apiKeyId: event.requestContext.apiKey,
+                    endpoint: '/professional/reports/property',
+                    httpMethod: 'POST',
+                    statusCode: error.statusCode || 500,
+                    propertyCount: 0,
+                    billableRequest: false,
+                    cost: 0,
+                    userAgent: event.requestContext?.userAgent,
+                    ipAddress: event.requestContext?.sourceIp
+                });
+            } catch (trackingError) {
+                console.error('Error tracking failed usage:', trackingError);
+            }
+        }
+
+        throw error;
+    }
+}
+
+module.exports = {
+    handler: wrapHandler(createPropertyReportHandler)
+};
@@ -0,0 +1,102 @@
+// createWebhook.js - Seawater Climate Risk Platform
+// POST /professional/webhooks handler following Tim-Combo patterns
+
+const { wrapHandler, getRequestOwnerId } = require('../../helpers/lambdaWrapper');
+const { validateRequest, validateWebhookHost } = require('../../helpers/validationUtil');
+const { createSuccessResponse } = require('../../helpers/responseUtil');
+const { SubscriptionError, ValidationError } = require('../../helpers/errorHandler');
+const { createWebhook, listWebhooks } = require('../../helpers/dbOperations');
+const { generateWebhookSecret, formatWebhook } = require('../../helpers/webhookDelivery');
+
+// Webhooks per account
+const MAX_WEBHOOKS = 10;
+
+/**
+ * Register a webhook endpoint
+ * The signing secret is returned once, in this response.
+ */
+async function createWebhookHandler(event, context) {
+    const performanceMetrics = {
+        database_time: 0
+    };
+
+    try {
+        // Check subscription tier access
+        const subscriptionTier = event.requestContext?.subscriptionTier || 'free';
+        if (!['professional', 'enterprise'].includes(subscriptionTier)) {
+            throw new SubscriptionError(
+                'Webhooks require Professional or Enterprise subscription',
+                subscriptionTier,
+                'webhook_support'
+            );
+        }
+
+        const ownerId = getRequestOwnerId(event.requestContext);
+        if (!ownerId) {
+            throw new ValidationError('Authentication required', [
+                { field: 'authorization', message: 'Webhooks require an authenticated user or API key' }
+            ]);
+        }
+
+        const body = event.body || {};
+        const validatedParams = validateRequest('webhook', {
+            url: body.url,
+            events: body.events,
+            description: body.description,
+            isActive: body.isActive,
+            secret: body.secret
+        });
+        await validateWebhookHost(validatedParams.url);
+
+        let dbStart = Date.now();
+        const existing = await listWebhooks(ownerId);
+        performanceMetrics.database_time += Date.now() - dbStart;
+
+        if (existing.length >= MAX_WEBHOOKS) {
+            throw new ValidationError('Webhook limit reached', [
+                { field: 'url', message: `Accounts are limited to ${MAX_WEBHOOKS} webhooks` }
+            ]);
+        }
+
+        dbStart = Date.now();
+        const webhook = await createWebhook({
+            ownerId: ownerId,
+            url: validatedParams.url,
+            description: validatedParams.description || null,
+            events: validatedParams.events,
+            secret: validatedParams.secret || generateWebhookSecret(),
+            isActive: validatedParams.isActive ?? true
+        });
+        performanceMetrics.database_time += Date.now() - dbStart;
+
+        console.log('Webhook registered:', {
+            type: 'webhook_create',
+            timestamp: new Date().toISOString(),
+            platform: 'seawater-climate-risk',
+            requestId: event.requestContext?.requestId,
+            webhookId: webhook.id,
+            events: webhook.events
+        });
+
+        return createSuccessResponse(
+            formatWebhook(webhook, { includeSecret: true }),
+            'Webhook created successfully',
+            {
+                Performance_Metrics: performanceMetrics
+            }
+        );
+
+    } catch (error) {
+        console.error('Error in createWebhook handler:', {
+            error: error.message,
+            stack: error.stack,
+            requestId: event.requestContext?.requestId
+        });
+
+        throw error;
+    }
+}
+
+module.exports = {
+    handler: wrapHandler(createWebhookHandler)
+};
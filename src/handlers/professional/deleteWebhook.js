@@ -0,0 +1,70 @@
+// deleteWebhook.js - Seawater Climate Risk Platform
+// DELETE /professional/webhooks/{webhook_id} handler following Tim-Combo patterns
+
+const { wrapHandler, getRequestOwnerId } = require('../../helpers/lambdaWrapper');
+const { createSuccessResponse } = require('../../helpers/responseUtil');
+const { NotFoundError, ValidationError } = require('../../helpers/errorHandler');
+const { getWebhook, deleteWebhook } = require('../../helpers/dbOperations');
+
+/**
+ * Delete a webhook; its delivery log and pending retries are removed with it
+ */
+async function deleteWebhookHandler(event, context) {
+    const performanceMetrics = {
+        database_time: 0
+    };
+
+    try {
+        const webhookId = event.pathParams?.webhookId;
+        if (!webhookId || !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(webhookId)) {
+            throw new ValidationError('Invalid webhook id', [
+                { field: 'webhook_id', message: 'Webhook id must be a UUID' }
+            ]);
+        }
+
+        let dbStart = Date.now();
+        const webhook = await getWebhook(webhookId);
+        performanceMetrics.database_time += Date.now() - dbStart;
+
+        // Webhooks are only visible to their owner
+        if (!webhook || webhook.owner_id !== getRequestOwnerId(event.requestContext)) {
+            throw new NotFoundError(`Webhook not found: ${webhookId}`, 'webhook');
+        }
+
+        dbStart = Date.now();
+        await deleteWebhook(webhookId);
+        performanceMetrics.database_time += Date.now() - dbStart;
+
+        console.log('Webhook deleted:', {
+            type: 'webhook_delete',
+            timestamp: new Date().toISOString(),
+            platform: 'seawater-climate-risk',
+            requestId: event.requestContext?.requestId,
+            webhookId: webhookId
+        });
+
+        return createSuccessResponse(
+            {
+                webhook_id: webhookId,
+                deleted: true
+            },
+            'Webhook deleted successfully',
+            {
+                Performance_Metrics: performanceMetrics
+            }
+        );
+
+    } catch (error) {
+        console.error('Error in deleteWebhook handler:', {
+            error: error.message,
+            stack: error.stack,
+            requestId: event.requestContext?.requestId
+        });
+
+        throw error;
+    }
+}
+
+module.exports = {
+    handler: wrapHandler(deleteWebhookHandler)
+};
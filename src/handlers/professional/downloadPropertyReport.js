@@ -0,0 +1,78 @@
+// downloadPropertyReport.js - Seawater Climate Risk Platform
+// GET /professional/reports/{report_id}/download handler following Tim-Combo patterns
+
+const { wrapHandler, getRequestOwnerId } = require('../../helpers/lambdaWrapper');
+const { NotFoundError, ValidationError } = require('../../helpers/errorHandler');
+const { getPropertyReport } = require('../../helpers/dbOperations');
+const { getReportStorage } = require('../../helpers/reportStorage');
+
+/**
+ * Return the generated PDF
+ * The body is base64 encoded; API Gateway decodes it for clients that accept application/pdf.
+ */
+async function downloadPropertyReportHandler(event, context) {
+    try {
+        const reportId = event.pathParams?.reportId;
+        if (!reportId || !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(reportId)) {
+            throw new ValidationError('Invalid report id', [
+                { field: 'report_id', message: 'Report id must be a UUID' }
+            ]);
+        }
+
+        const report = await getPropertyReport(reportId);
+
+        // Reports are only visible to their owner
+        if (!report || report.owner_id !== getRequestOwnerId(event.requestContext)) {
+            throw new NotFoundError(`Property report not found: ${reportId}`, 'property_report');
+        }
+
+        if (report.status !== 'completed') {
+            throw new ValidationError('Report not ready', [
+                { field: 'report_id', message: `Report is ${report.status}` }
+            ]);
+        }
+
+        if (new Date(report.expires_at) <= new Date()) {
+            throw new NotFoundError(`Property report has expired: ${reportId}`, 'property_report');
+        }
+
+        const pdf = await getReportStorage().get(report.storage_key);
+        if (!pdf) {
+            throw new NotFoundError(`Property report file not found: ${reportId}`, 'property_report');
+        }
+
+        console.log('Property report downloaded:', {
+            type: 'property_report_download',
+            timestamp: new Date().toISOString(),
+            platform: 'seawater-climate-risk',
+            requestId: event.requestContext?.requestId,
+            reportId: report.id,
+            fileSizeBytes: pdf.length
+        });
+
+        return {
+            statusCode: 200,
+            headers: {
+                'Content-Type': 'application/pdf',
+                'Content-Disposition': `attachment; filename="seawater-property-report-${report.id}.pdf"`,
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Expose-Headers': 'Content-Disposition'
+            },
+            body: pdf.toString('base64'),
+            isBase64Encoded: true
+        };
+
+    } catch (error) {
+        console.error('Error in downloadPropertyReport handler:', {
+            error: error.message,
+            stack: error.stack,
+            requestId: event.requestContext?.requestId
+        });
+
+        throw error;
+    }
+}
+
+module.exports = {
+    handler: wrapHandler(downloadPropertyReportHandler)
+};
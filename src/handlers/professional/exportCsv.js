@@ -0,0 +1,213 @@
+// exportCsv.js - Seawater Climate Risk Platform
+// POST /professional/export/csv handler following Tim-Combo patterns
+
+const { wrapHandler, getRequestOwnerId } = require('../../helpers/lambdaWrapper');
+const { validateRequest } = require('../../helpers/validationUtil');
+const { SubscriptionError, ValidationError, NotFoundError } = require('../../helpers/errorHandler');
+const {
+    getBulkJob,
+    getBulkJobItems,
+    getSavedPropertyAssessments,
+    getAssessmentsWithinRadius,
+    trackApiUsage
+} = require('../../helpers/dbOperations');
+const { streamAssessmentsCsv, flattenAssessmentResult } = require('../../helpers/csvExport');
+
+// Lambda proxy responses are capped at 6 MB; leave room for headers
+const MAX_CSV_BYTES = 5.5 * 1024 * 1024;
+
+/**
+ * Export risk assessments as CSV from saved properties, a bulk job's results or a geographic search
+ * Columns always appear in the same order; `columns` selects a subset and `units` picks metric or imperial.
+ */
+async function exportCsvHandler(event, context) {
+    const performanceMetrics = {
+        database_time: 0,
+        pages_fetched: 0,
+        rows_exported: 0
+    };
+
+    try {
+        // Check subscription tier access
+        const subscriptionTier = event.requestContext?.subscriptionTier || 'free';
+        if (!['professional', 'enterprise'].includes(subscriptionTier)) {
+            throw new SubscriptionError(
+                'CSV export requires Professional or Enterprise subscription',
+                subscriptionTier,
+                'csv_export'
+            );
+        }
+
+        const ownerId = getRequestOwnerId(event.requestContext);
+        if (!ownerId) {
+            throw new ValidationError('Authentication required', [
+                { field: 'authorization', message: 'CSV export requires an authenticated user or API key' }
+            ]);
+        }
+
+        const body = event.body || {};
+        const validatedParams = validateRequest('csv_export', {
+            source: body.source,
+            jobId: body.job_id || body.jobId,
+            latitude: body.latitude ?? body.lat,
+            longitude: body.longitude ?? body.lng ?? body.lon,
+            radius: body.radius,
+            riskThreshold: body.risk_threshold ?? body.riskThreshold,
+            propertyType: body.property_type || body.propertyType,
+            columns: body.columns,
+            units: body.units
+        });
+
+        const maxRows = subscriptionTier === 'enterprise' ? 10000 : 1000;
+
+        console.log('Processing CSV export:', {
+            type: 'csv_export',
+            timestamp: new Date().toISOString(),
+            platform: 'seawater-climate-risk',
+            requestId: event.requestContext?.requestId,
+            source: validatedParams.source,
+            units: validatedParams.units,
+            columns: validatedParams.columns || 'all',
+            maxRows: maxRows
+        });
+
+        const fetchPage = await createPageFetcher(validatedParams, ownerId, performanceMetrics);
+
+        const chunks = [];
+        let csvBytes = 0;
+        let truncated = false;
+
+        for await (const page of streamAssessmentsCsv(fetchPage, {
+            columns: validatedParams.columns,
+            units: validatedParams.units,
+            maxRows: maxRows
+        })) {
+            csvBytes += Buffer.byteLength(page.chunk);
+            if (csvBytes > MAX_CSV_BYTES) {
+                throw new ValidationError('Export too large', [
+                    { field: 'columns', message: 'Export exceeds the maximum response size; select fewer columns or narrow the source' }
+                ]);
+            }
+
+            chunks.push(page.chunk);
+            performanceMetrics.rows_exported += page.rowCount;
+            truncated = truncated || page.truncated;
+        }
+
+        // Track API usage for billing
+        if (event.requestContext?.user?.sub || event.requestContext?.apiKey) {
+            await trackApiUsage({
+                userId: event.requestContext.user?.sub,
+                apiKeyId: event.requestContext.apiKey,
+                endpoint: '/professional/export/csv',
+                httpMethod: 'POST',
+                statusCode: 200,
+                propertyCount: performanceMetrics.rows_exported,
+                billableRequest: true,
+                cost: 0.01,
+                userAgent: event.requestContext?.userAgent,
+                ipAddress: event.requestContext?.sourceIp
+            });
+        }
+
+        const filename = `seawater-${validatedParams.source.replace('_', '-')}-export-${new Date().toISOString().slice(0, 10)}.csv`;
+
+        return {
+            statusCode: 200,
+            headers: {
+                'Content-Type': 'text/csv; charset=utf-8',
+                'Content-Disposition': `attachment; filename="${filename}"`,
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Expose-Headers': 'Content-Disposition, X-Export-Row-Count, X-Export-Truncated',
+                'X-Export-Row-Count': String(performanceMetrics.rows_exported),
+                'X-Export-Truncated': String(truncated)
+            },
+            body: chunks.join('')
+        };
+
+    } catch (error) {
+        console.error('Error in exportCsv handler:', {
+            error: error.message,
+            stack: error.stack,
+            requestId: event.requestContext?.requestId
+        });
+
+        // Track failed usage
+        if (event.requestContext?.user?.sub || event.requestContext?.apiKey) {
+            try {
+                await trackApiUsage({
+                    userId: event.requestContext.user?.sub,
+                    apiKeyId: event.requestContext.apiKey,
+                    endpoint: '/professional/export/csv',
+                    httpMethod: 'POST',
+                    statusCode: error.statusCode || 500,
+                    propertyCount: 0,
+                    billableRequest: false,
+                    cost: 0,
+                    userAgent: event.requestContext?.userAgent,
+                    ipAddress: event.requestContext?.sourceIp
+                });
+            } catch (trackingError) {
+                console.error('Error tracking failed usage:', trackingError);
+            }
+        }
+
+        throw error;
+    }
+}
+
+/**
+ * Build the paged record source for the requested export
+ * @returns {Function} async (offset, limit) => Array of export records
+ */
+async function createPageFetcher(params, ownerId, performanceMetrics) {
+    const timed = (query) => async (offset, limit) => {
+        const dbStart = Date.now();
+        const records = await query(offset, limit);
+        performanceMetrics.database_time += Date.now() - dbStart;
+        performanceMetrics.pages_fetched++;
+        return records;
+    };
+
+    switch (params.source) {
+        case 'saved':
+            return timed((offset, limit) => getSavedPropertyAssessments(ownerId, { offset, limit }));
+
+        case 'bulk_job': {
+            const job = await getBulkJob(params.jobId);
+
+            // Jobs are only visible to their owner
+            if (!job || job.owner_id !== ownerId) {
+                throw new NotFoundError(`Bulk job not found: ${params.jobId}`, 'bulk_job');
+            }
+
+            // Only completed items carry an assessment; failures are reported by the job status endpoint
+            return timed(async (offset, limit) => {
+                const items = await getBulkJobItems(params.jobId, { status: 'completed', offset, limit });
+                return items.map(item => flattenAssessmentResult(item.result));
+            });
+        }
+
+        case 'geographic':
+            return timed((offset, limit) => getAssessmentsWithinRadius(
+                params.latitude,
+                params.longitude,
+                params.radius,
+                {
+                    riskThreshold: params.riskThreshold,
+                    propertyType: params.propertyType,
+                    offset,
+                    limit
+                }
+            ));
+
+        default:
+            throw new ValidationError('Invalid export source', [
+                { field: 'source', message: `Unsupported source: ${params.source}` }
+            ]);
+    }
+}
+
+module.exports = {
+    handler: wrapHandler(exportCsvHandler)
+};
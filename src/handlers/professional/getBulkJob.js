@@ -0,0 +1,125 @@
+// getBulkJob.js - Seawater Climate Risk Platform
+// GET /professional/bulk/jobs/{job_id} handler following Tim-Combo patterns
+
+const { wrapHandler, getRequestOwnerId } = require('../../helpers/lambdaWrapper');
+const { validatePagination } = require('../../helpers/validationUtil');
+const { createSuccessResponse } = require('../../helpers/responseUtil');
+const { NotFoundError, ValidationError } = require('../../helpers/errorHandler');
+const { getBulkJob, getBulkJobItems } = require('../../helpers/dbOperations');
+const { getJobQueue } = require('../../helpers/jobQueue');
+const { BULK_RISK_JOB, isBulkJobStalled } = require('../../helpers/bulkJobProcessor');
+
+const ITEM_STATUSES = ['pending', 'processing', 'completed', 'failed'];
+
+/**
+ * Report bulk job progress with a page of per-address results and errors
+ * A job whose worker has stopped reporting progress is re-queued so it resumes
+ */
+async function getBulkJobHandler(event, context) {
+    const performanceMetrics = {
+        database_time: 0
+    };
+
+    try {
+        const jobId = event.pathParams?.jobId;
+        if (!jobId || !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(jobId)) {
+            throw new ValidationError('Invalid job id', [
+                { field: 'job_id', message: 'Job id must be a UUID' }
+            ]);
+        }
+
+        const itemStatus = event.queryParams?.status ? String(event.queryParams.status).toLowerCase() : null;
+        if (itemStatus && !ITEM_STATUSES.includes(itemStatus)) {
+            throw new ValidationError('Invalid status filter', [
+                { field: 'status', message: `Status must be one of: ${ITEM_STATUSES.join(', ')}` }
+            ]);
+        }
+
+        const { page, pageSize } = validatePagination(event.queryParams?.page, event.queryParams?.pageSize, 500);
+
+        let dbStart = Date.now();
+        const job = await getBulkJob(jobId);
+        performanceMetrics.database_time += Date.now() - dbStart;
+
+        // Jobs are only visible to their owner
+        if (!job || job.owner_id !== getRequestOwnerId(event.requestContext)) {
+            throw new NotFoundError(`Bulk job not found: ${jobId}`, 'bulk_job');
+        }
+
+        let resumed = false;
+        if (isBulkJobStalled(job)) {
+            console.warn('Resuming stalled bulk job:', {
+                jobId: job.id,
+                status: job.status,
+                lastHeartbeatAt: job.last_heartbeat_at
+            });
+            await getJobQueue().enqueue(BULK_RISK_JOB, { jobId: job.id });
+            resumed = true;
+        }
+
+        dbStart = Date.now();
+        const items = await getBulkJobItems(jobId, {
+            status: itemStatus,
+            offset: (page - 1) * pageSize,
+            limit: pageSize
+        });
+        performanceMetrics.database_time += Date.now() - dbStart;
+
+        const totalItems = Number(job.total_items) || 0;
+        const processedItems = Number(job.processed_items) || 0;
+
+        return createSuccessResponse(
+            {
+                job_id: job.id,
+                status: job.status,
+                resumed: resumed,
+                risk_types: job.risk_types,
+                progress: {
+                    total_items: totalItems,
+                    processed_items: processedItems,
+                    successful_items: Number(job.successful_items) || 0,
+                    failed_items: Number(job.failed_items) || 0,
+                    percent_complete: totalItems > 0 ? Math.round((processedItems / totalItems) * 100) : 0
+                },
+                items: items.map(item => ({
+                    index: item.item_index,
+                    address: item.address,
+                    status: item.status,
+                    attempts: item.attempts,
+                    result: item.status === 'completed' ? item.result : null,
+                    error: item.error_message
+                        ? { message: item.error_message, retryable: item.retryable }
+                        : null,
+                    completed_at: item.completed_at
+                })),
+                pagination: {
+                    page: page,
+                    page_size: pageSize,
+                    status_filter: itemStatus
+                },
+                error_message: job.error_message,
+                created_at: job.created_at,
+                started_at: job.started_at,
+                completed_at: job.completed_at,
+                last_heartbeat_at: job.last_heartbeat_at
+            },
+            'Bulk job status retrieved successfully',
+            {
+                Performance_Metrics: performanceMetrics
+            }
+        );
+
+    } catch (error) {
+        console.error('Error in getBulkJob handler:', {
+            error: error.message,
+            stack: error.stack,
+            requestId: event.requestContext?.requestId
+        });
+
+        throw error;
+    }
+}
+
+module.exports = {
+    handler: wrapHandler(getBulkJobHandler)
+};
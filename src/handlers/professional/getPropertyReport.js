@@ -0,0 +1,76 @@
+// getPropertyReport.js - Seawater Climate Risk Platform
+// GET /professional/reports/{report_id} handler following Tim-Combo patterns
+
+const { wrapHandler, getRequestOwnerId } = require('../../helpers/lambdaWrapper');
+const { createSuccessResponse } = require('../../helpers/responseUtil');
+const { NotFoundError, ValidationError } = require('../../helpers/errorHandler');
+const { getPropertyReport } = require('../../helpers/dbOperations');
+const { getJobQueue } = require('../../helpers/jobQueue');
+const {
+    PROPERTY_REPORT_JOB,
+    isPropertyReportStalled,
+    formatReportStatus
+} = require('../../helpers/reportProcessor');
+
+/**
+ * Report generation status, with a download link once the PDF is ready
+ * A report whose worker has stopped is re-queued so it resumes
+ */
+async function getPropertyReportHandler(event, context) {
+    const performanceMetrics = {
+        database_time: 0
+    };
+
+    try {
+        const reportId = event.pathParams?.reportId;
+        if (!reportId || !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(reportId)) {
+            throw new ValidationError('Invalid report id', [
+                { field: 'report_id', message: 'Report id must be a UUID' }
+            ]);
+        }
+
+        const dbStart = Date.now();
+        const report = await getPropertyReport(reportId);
+        performanceMetrics.database_time = Date.now() - dbStart;
+
+        // Reports are only visible to their owner
+        if (!report || report.owner_id !== getRequestOwnerId(event.requestContext)) {
+            throw new NotFoundError(`Property report not found: ${reportId}`, 'property_report');
+        }
+
+        let resumed = false;
+        if (isPropertyReportStalled(report)) {
+            console.warn('Resuming stalled property report:', {
+                reportId: report.id,
+                attempts: report.attempts,
+                startedAt: report.started_at
+            });
+            await getJobQueue().enqueue(PROPERTY_REPORT_JOB, { reportId: report.id });
+            resumed = true;
+        }
+
+        return createSuccessResponse(
+            {
+                ...formatReportStatus(report),
+                resumed: resumed
+            },
+            'Property report status retrieved successfully',
+            {
+                Performance_Metrics: performanceMetrics
+            }
+        );
+
+    } catch (error) {
+        console.error('Error in getPropertyReport handler:', {
+            error: error.message,
+            stack: error.stack,
+            requestId: event.requestContext?.requestId
+        });
+
+        throw error;
+    }
+}
+
+module.exports = {
+    handler: wrapHandler(getPropertyReportHandler)
+};
@@ -0,0 +1,63 @@
+// listPropertyReports.js - Seawater Climate Risk Platform
+// GET /professional/reports handler following Tim-Combo patterns
+
+const { wrapHandler, getRequestOwnerId } = require('../../helpers/lambdaWrapper');
+const { validatePagination } = require('../../helpers/validationUtil');
+const { createSuccessResponse } = require('../../helpers/responseUtil');
+const { ValidationError } = require('../../helpers/errorHandler');
+const { listPropertyReports } = require('../../helpers/dbOperations');
+const { formatReportStatus } = require('../../helpers/reportProcessor');
+
+/**
+ * List the caller's property reports, newest first
+ */
+async function listPropertyReportsHandler(event, context) {
+    const performanceMetrics = {
+        database_time: 0
+    };
+
+    try {
+        const ownerId = getRequestOwnerId(event.requestContext);
+        if (!ownerId) {
+            throw new ValidationError('Authentication required', [
+                { field: 'authorization', message: 'Reports require an authenticated user or API key' }
+            ]);
+        }
+
+        const { page, pageSize } = validatePagination(event.queryParams?.page, event.queryParams?.pageSize);
+
+        const dbStart = Date.now();
+        const reports = await listPropertyReports(ownerId, {
+            offset: (page - 1) * pageSize,
+            limit: pageSize
+        });
+        performanceMetrics.database_time = Date.now() - dbStart;
+
+        return createSuccessResponse(
+            {
+                reports: reports.map(formatReportStatus),
+                pagination: {
+                    page: page,
+                    page_size: pageSize
+                }
+            },
+            'Property reports retrieved successfully',
+            {
+                Performance_Metrics: performanceMetrics
+            }
+        );
+
+    } catch (error) {
+        console.error('Error in listPropertyReports handler:', {
+            error: error.message,
+            stack: error.stack,
+            requestId: event.requestContext?.requestId
+        });
+
+        throw error;
+    }
+}
+
+module.exports = {
+    handler: wrapHandler(listPropertyReportsHandler)
+};
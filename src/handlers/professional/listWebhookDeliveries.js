@@ -0,0 +1,96 @@
+// listWebhookDeliveries.js - Seawater Climate Risk Platform
+// GET /professional/webhooks/{webhook_id}/deliveries handler following Tim-Combo patterns
+
+const { wrapHandler, getRequestOwnerId } = require('../../helpers/lambdaWrapper');
+const { validatePagination } = require('../../helpers/validationUtil');
+const { createSuccessResponse } = require('../../helpers/responseUtil');
+const { NotFoundError, ValidationError } = require('../../helpers/errorHandler');
+const { getWebhook, listWebhookDeliveries } = require('../../helpers/dbOperations');
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+/**
+ * A webhook's delivery log, newest first
+ */
+async function listWebhookDeliveriesHandler(event, context) {
+    const performanceMetrics = {
+        database_time: 0
+    };
+
+    try {
+        const webhookId = event.pathParams?.webhookId;
+        if (!webhookId || !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(webhookId)) {
+            throw new ValidationError('Invalid webhook id', [
+                { field: 'webhook_id', message: 'Webhook id must be a UUID' }
+            ]);
+        }
+
+        const status = event.queryParams?.status ? String(event.queryParams.status).toLowerCase() : null;
+        if (status && !DELIVERY_STATUSES.includes(status)) {
+            throw new ValidationError('Invalid status filter', [
+                { field: 'status', message: `Status must be one of: ${DELIVERY_STATUSES.join(', ')}` }
+            ]);
+        }
+
+        const { page, pageSize } = validatePagination(event.queryParams?.page, event.queryParams?.pageSize);
+
+        let dbStart = Date.now();
+        const webhook = await getWebhook(webhookId);
+        performanceMetrics.database_time += Date.now() - dbStart;
+
+        // Webhooks are only visible to their owner
+        if (!webhook || webhook.owner_id !== getRequestOwnerId(event.requestContext)) {
+            throw new NotFoundError(`Webhook not found: ${webhookId}`, 'webhook');
+        }
+
+        dbStart = Date.now();
+        const deliveries = await listWebhookDeliveries(webhookId, {
+            status: status,
+            offset: (page - 1) * pageSize,
+            limit: pageSize
+        });
+        performanceMetrics.database_time += Date.now() - dbStart;
+
+        return createSuccessResponse(
+            {
+                webhook_id: webhookId,
+                deliveries: deliveries.map(delivery => ({
+                    delivery_id: delivery.id,
+                    event_id: delivery.event_id,
+                    event: delivery.event_type,
+                    status: delivery.status,
+                    attempts: delivery.attempts,
+                    next_attempt_at: delivery.status === 'pending' ? delivery.next_attempt_at : null,
+                    response_status: delivery.response_status,
+                    error_message: delivery.error_message,
+                    duration_ms: delivery.duration_ms,
+                    redelivery_of: delivery.redelivery_of,
+                    created_at: delivery.created_at,
+                    delivered_at: delivery.delivered_at
+                })),
+                pagination: {
+                    page: page,
+                    page_size: pageSize,
+                    status_filter: status
+                }
+            },
+            'Webhook deliveries retrieved successfully',
+            {
+                Performance_Metrics: performanceMetrics
+            }
+        );
+
+    } catch (error) {
+        console.error('Error in listWebhookDeliveries handler:', {
+            error: error.message,
+            stack: error.stack,
+            requestId: event.requestContext?.requestId
+        });
+
+        throw error;
+    }
+}
+
+module.exports = {
+    handler: wrapHandler(listWebhookDeliveriesHandler)
+};
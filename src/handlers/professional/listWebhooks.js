@@ -0,0 +1,54 @@
+// listWebhooks.js - Seawater Climate Risk Platform
+// GET /professional/webhooks handler following Tim-Combo patterns
+
+const { wrapHandler, getRequestOwnerId } = require('../../helpers/lambdaWrapper');
+const { createSuccessResponse } = require('../../helpers/responseUtil');
+const { ValidationError } = require('../../helpers/errorHandler');
+const { listWebhooks } = require('../../helpers/dbOperations');
+const { WEBHOOK_EVENTS, formatWebhook } = require('../../helpers/webhookDelivery');
+
+/**
+ * List the caller's webhooks with their latest delivery outcome
+ */
+async function listWebhooksHandler(event, context) {
+    const performanceMetrics = {
+        database_time: 0
+    };
+
+    try {
+        const ownerId = getRequestOwnerId(event.requestContext);
+        if (!ownerId) {
+            throw new ValidationError('Authentication required', [
+                { field: 'authorization', message: 'Webhooks require an authenticated user or API key' }
+            ]);
+        }
+
+        const dbStart = Date.now();
+        const webhooks = await listWebhooks(ownerId);
+        performanceMetrics.database_time = Date.now() - dbStart;
+
+        return createSuccessResponse(
+            {
+                webhooks: webhooks.map(webhook => formatWebhook(webhook)),
+                available_events: WEBHOOK_EVENTS
+            },
+            'Webhooks retrieved successfully',
+            {
+                Performance_Metrics: performanceMetrics
+            }
+        );
+
+    } catch (error) {
+        console.error('Error in listWebhooks handler:', {
+            error: error.message,
+            stack: error.stack,
+            requestId: event.requestContext?.requestId
+        });
+
+        throw error;
+    }
+}
+
+module.exports = {
+    handler: wrapHandler(listWebhooksHandler)
+};
@@ -0,0 +1,109 @@
+// redeliverWebhook.js - Seawater Climate Risk Platform
+// POST /professional/webhooks/{webhook_id}/deliveries/{delivery_id}/redeliver handler following Tim-Combo patterns
+
+const { wrapHandler, getRequestOwnerId } = require('../../helpers/lambdaWrapper');
+const { createSuccessResponse } = require('../../helpers/responseUtil');
+const { NotFoundError, ValidationError } = require('../../helpers/errorHandler');
+const { getWebhook, getWebhookDelivery, createWebhookDelivery } = require('../../helpers/dbOperations');
+const { getJobQueue } = require('../../helpers/jobQueue');
+const { WEBHOOK_DELIVERY_JOB } = require('../../helpers/webhookDelivery');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Send a past delivery's payload again as a new delivery
+ * The event id is unchanged so receivers can recognise the duplicate.
+ */
+async function redeliverWebhookHandler(event, context) {
+    const performanceMetrics = {
+        database_time: 0,
+        queue_time: 0
+    };
+
+    try {
+        const webhookId = event.pathParams?.webhookId;
+        const deliveryId = event.pathParams?.deliveryId;
+        if (!webhookId || !UUID_PATTERN.test(webhookId)) {
+            throw new ValidationError('Invalid webhook id', [
+                { field: 'webhook_id', message: 'Webhook id must be a UUID' }
+            ]);
+        }
+        if (!deliveryId || !UUID_PATTERN.test(deliveryId)) {
+            throw new ValidationError('Invalid delivery id', [
+                { field: 'delivery_id', message: 'Delivery id must be a UUID' }
+            ]);
+        }
+
+        let dbStart = Date.now();
+        const webhook = await getWebhook(webhookId);
+        const delivery = webhook ? await getWebhookDelivery(deliveryId) : null;
+        performanceMetrics.database_time += Date.now() - dbStart;
+
+        // Webhooks are only visible to their owner
+        if (!webhook || webhook.owner_id !== getRequestOwnerId(event.requestContext)) {
+            throw new NotFoundError(`Webhook not found: ${webhookId}`, 'webhook');
+        }
+
+        if (!delivery || delivery.webhook_id !== webhookId) {
+            throw new NotFoundError(`Webhook delivery not found: ${deliveryId}`, 'webhook_delivery');
+        }
+
+        if (!webhook.is_active) {
+            throw new ValidationError('Webhook is disabled', [
+                { field: 'webhook_id', message: 'Enable the webhook before redelivering' }
+            ]);
+        }
+
+        dbStart = Date.now();
+        const redelivery = await createWebhookDelivery({
+            webhookId: webhookId,
+            eventId: delivery.event_id,
+            eventType: delivery.event_type,
+            payload: delivery.payload,
+            redeliveryOf: delivery.id
+        });
+        performanceMetrics.database_time += Date.now() - dbStart;
+
+        const queueStart = Date.now();
+        await getJobQueue().enqueue(WEBHOOK_DELIVERY_JOB, { deliveryId: redelivery.id });
+        performanceMetrics.queue_time = Date.now() - queueStart;
+
+        console.log('Webhook redelivery queued:', {
+            type: 'webhook_redeliver',
+            timestamp: new Date().toISOString(),
+            platform: 'seawater-climate-risk',
+            requestId: event.requestContext?.requestId,
+            webhookId: webhookId,
+            deliveryId: redelivery.id,
+            redeliveryOf: delivery.id
+        });
+
+        return createSuccessResponse(
+            {
+                delivery_id: redelivery.id,
+                event_id: redelivery.event_id,
+                event: redelivery.event_type,
+                status: redelivery.status,
+                redelivery_of: delivery.id,
+                created_at: redelivery.created_at
+            },
+            'Webhook redelivery queued',
+            {
+                Performance_Metrics: performanceMetrics
+            }
+        );
+
+    } catch (error) {
+        console.error('Error in redeliverWebhook handler:', {
+            error: error.message,
+            stack: error.stack,
+            requestId: event.requestContext?.requestId
+        });
+
+        throw error;
+    }
+}
+
+module.exports = {
+    handler: wrapHandler(redeliverWebhookHandler)
+};
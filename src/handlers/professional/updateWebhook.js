@@ -0,0 +1,83 @@
+// updateWebhook.js - Seawater Climate Risk Platform
+// PUT /professional/webhooks/{webhook_id} handler following Tim-Combo patterns
+
+const { wrapHandler, getRequestOwnerId } = require('../../helpers/lambdaWrapper');
+const { validateRequest, validateWebhookHost } = require('../../helpers/validationUtil');
+const { createSuccessResponse } = require('../../helpers/responseUtil');
+const { NotFoundError, ValidationError } = require('../../helpers/errorHandler');
+const { getWebhook, updateWebhook } = require('../../helpers/dbOperations');
+const { formatWebhook } = require('../../helpers/webhookDelivery');
+
+/**
+ * Change a webhook's URL, events, description, signing secret or active flag
+ */
+async function updateWebhookHandler(event, context) {
+    const performanceMetrics = {
+        database_time: 0
+    };
+
+    try {
+        const webhookId = event.pathParams?.webhookId;
+        if (!webhookId || !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(webhookId)) {
+            throw new ValidationError('Invalid webhook id', [
+                { field: 'webhook_id', message: 'Webhook id must be a UUID' }
+            ]);
+        }
+
+        const body = event.body || {};
+        const validatedParams = validateRequest('webhook', {
+            partial: true,
+            url: body.url,
+            events: body.events,
+            description: body.description,
+            isActive: body.isActive,
+            secret: body.secret
+        });
+        if (validatedParams.url) {
+            await validateWebhookHost(validatedParams.url);
+        }
+
+        let dbStart = Date.now();
+        const webhook = await getWebhook(webhookId);
+        performanceMetrics.database_time += Date.now() - dbStart;
+
+        // Webhooks are only visible to their owner
+        if (!webhook || webhook.owner_id !== getRequestOwnerId(event.requestContext)) {
+            throw new NotFoundError(`Webhook not found: ${webhookId}`, 'webhook');
+        }
+
+        dbStart = Date.now();
+        const updated = await updateWebhook(webhookId, validatedParams);
+        performanceMetrics.database_time += Date.now() - dbStart;
+
+        console.log('Webhook updated:', {
+            type: 'webhook_update',
+            timestamp: new Date().toISOString(),
+            platform: 'seawater-climate-risk',
+            requestId: event.requestContext?.requestId,
+            webhookId: webhookId,
+            fields: Object.keys(validatedParams)
+        });
+
+        return createSuccessResponse(
+            formatWebhook(updated, { includeSecret: validatedParams.secret !== undefined }),
+            'Webhook updated successfully',
+            {
+                Performance_Metrics: performanceMetrics
+            }
+        );
+
+    } catch (error) {
+        console.error('Error in updateWebhook handler:', {
+            error: error.message,
+            stack: error.stack,
+            requestId: event.requestContext?.requestId
+        });
+
+        throw error;
+    }
+}
+
+module.exports = {
+    handler: wrapHandler(updateWebhookHandler)
+};
@@ -0,0 +1,163 @@
+// contactProfessional.js - Seawater Climate Risk Platform
+// POST /professionals/contact handler following Tim-Combo patterns
+
+const { wrapHandler, getRequestOwnerId } = require('../../helpers/lambdaWrapper');
+const { validateRequest } = require('../../helpers/validationUtil');
+const { createSuccessResponse } = require('../../helpers/responseUtil');
+const { NotFoundError, RateLimitError, ValidationError } = require('../../helpers/errorHandler');
+const {
+    getProfessional,
+    createContactRequestWithinLimits,
+    updateContactRequestStatus
+} = require('../../helpers/dbOperations');
+const { getContactMailer, buildContactEmail, createReplyToken } = require('../../helpers/contactRelay');
+
+// Contact limits per sender over a rolling day
+const CONTACT_WINDOW_SECONDS = 24 * 60 * 60;
+const MAX_CONTACTS_PER_DAY = 10;
+const MAX_CONTACTS_PER_PROFESSIONAL_PER_DAY = 2;
+
+/**
+ * Send a message to a professional
+ * The message is relayed from a platform address; the sender's email is never shared. Signed-in
+ * senders get a per-request reply address that forwards the professional's replies to them.
+ */
+async function contactProfessionalHandler(event, context) {
+    const performanceMetrics = {
+        database_time: 0,
+        relay_time: 0
+    };
+
+    try {
+        const senderId = getRequestOwnerId(event.requestContext);
+        if (!senderId) {
+            throw new ValidationError('Authentication required', [
+                { field: 'authorization', message: 'Contacting professionals requires an authenticated user or API key' }
+            ]);
+        }
+
+        const body = event.body || {};
+        const validatedParams = validateRequest('professional_contact', {
+            professionalId: body.professionalId,
+            message: body.message,
+            contactInfo: body.contactInfo,
+            propertyAddress: body.propertyAddress
+        });
+
+        let dbStart = Date.now();
+        const professional = await getProfessional(validatedParams.professionalId);
+        performanceMetrics.database_time += Date.now() - dbStart;
+
+        if (!professional) {
+            throw new NotFoundError(`Professional not found: ${validatedParams.professionalId}`, 'professional');
+        }
+
+        const senderEmail = event.requestContext?.user?.email || null;
+        const replyToken = senderEmail ? createReplyToken() : null;
+
+        dbStart = Date.now();
+        const { contactRequest, limitExceeded } = await createContactRequestWithinLimits(
+            {
+                professionalId: professional.id,
+                senderId: senderId,
+                senderName: validatedParams.name || null,
+                senderPhone: validatedParams.phone || null,
+                propertyAddress: validatedParams.propertyAddress || null,
+                message: validatedParams.message,
+                replyToken: replyToken,
+                replyEmail: replyToken ? senderEmail : null
+            },
+            {
+                windowSeconds: CONTACT_WINDOW_SECONDS,
+                maxTotal: MAX_CONTACTS_PER_DAY,
+                maxPerProfessional: MAX_CONTACTS_PER_PROFESSIONAL_PER_DAY
+            }
+        );
+        performanceMetrics.database_time += Date.now() - dbStart;
+
+        if (limitExceeded === 'total') {
+            throw new RateLimitError(
+                `Contact request limit reached: at most ${MAX_CONTACTS_PER_DAY} requests per day`,
+                'professional_contact'
+            );
+        }
+        if (limitExceeded === 'professional') {
+            throw new RateLimitError(
+                `Contact request limit reached: at most ${MAX_CONTACTS_PER_PROFESSIONAL_PER_DAY} requests per professional per day`,
+                'professional_contact'
+            );
+        }
+
+        // A failed relay is recorded on the request and reported to the caller
+        let status = 'relayed';
+        let relay = null;
+        let errorMessage = null;
+        const relayStart = Date.now();
+        try {
+            relay = await getContactMailer().send(buildContactEmail(professional, contactRequest));
+        } catch (error) {
+            status = 'failed';
+            errorMessage = error.message;
+            console.error('Contact relay failed:', {
+                error: error.message,
+                contactRequestId: contactRequest.id,
+                requestId: event.requestContext?.requestId
+            });
+        }
+        performanceMetrics.relay_time = Date.now() - relayStart;
+
+        dbStart = Date.now();
+        await updateContactRequestStatus(contactRequest.id, {
+            status: status,
+            relayMessageId: relay?.messageId || null,
+            errorMessage: errorMessage
+        });
+        performanceMetrics.database_time += Date.now() - dbStart;
+
+        console.log('Professional contact request processed:', {
+            type: 'professional_contact',
+            timestamp: new Date().toISOString(),
+            platform: 'seawater-climate-risk',
+            requestId: event.requestContext?.requestId,
+            contactRequestId: contactRequest.id,
+            professionalId: professional.id,
+            status: status,
+            transport: relay?.transport
+        });
+
+        if (status === 'failed') {
+            throw new Error('Unable to deliver contact request, please try again later');
+        }
+
+        return createSuccessResponse(
+            {
+                contact_request_id: contactRequest.id,
+                professional_id: professional.id,
+                status: status,
+                shared_contact: {
+                    name: !!validatedParams.name,
+                    phone: !!validatedParams.phone,
+                    email: false
+                },
+                replies_forwarded: !!replyToken
+            },
+            'Contact request sent successfully',
+            {
+                Performance_Metrics: performanceMetrics
+            }
+        );
+
+    } catch (error) {
+        console.error('Error in contactProfessional handler:', {
+            error: error.message,
+            stack: error.stack,
+            requestId: event.requestContext?.requestId
+        });
+
+        throw error;
+    }
+}
+
+module.exports = {
+    handler: wrapHandler(contactProfessionalHandler)
+};
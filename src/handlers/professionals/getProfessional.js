@@ -0,0 +1,64 @@
+// getProfessional.js - Seawater Climate Risk Platform
+// GET /professionals/{professional_id} handler following Tim-Combo patterns
+
+const { wrapHandler } = require('../../helpers/lambdaWrapper');
+const { createSuccessResponse } = require('../../helpers/responseUtil');
+const { NotFoundError, ValidationError } = require('../../helpers/errorHandler');
+const { getProfessional, getProfessionalReviews } = require('../../helpers/dbOperations');
+const { formatProfessional } = require('../../helpers/professionalDirectory');
+
+/**
+ * Get a professional's public profile with recent approved reviews
+ */
+async function getProfessionalHandler(event, context) {
+    const performanceMetrics = {
+        database_time: 0
+    };
+
+    try {
+        const professionalId = event.pathParams?.professionalId;
+        if (!professionalId || !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(professionalId)) {
+            throw new ValidationError('Invalid professional id', [
+                { field: 'professional_id', message: 'Professional id must be a UUID' }
+            ]);
+        }
+
+        const dbStart = Date.now();
+        const [professional, reviews] = await Promise.all([
+            getProfessional(professionalId),
+            getProfessionalReviews(professionalId, { limit: 10 })
+        ]);
+        performanceMetrics.database_time = Date.now() - dbStart;
+
+        if (!professional) {
+            throw new NotFoundError(`Professional not found: ${professionalId}`, 'professional');
+        }
+
+        return createSuccessResponse(
+            {
+                ...formatProfessional(professional),
+                business_hours: professional.business_hours,
+                license_expiration: professional.license_expiration,
+                verified_at: professional.verified_at,
+                reviews: reviews
+            },
+            'Professional retrieved successfully',
+            {
+                Performance_Metrics: performanceMetrics
+            }
+        );
+
+    } catch (error) {
+        console.error('Error in getProfessional handler:', {
+            error: error.message,
+            stack: error.stack,
+            requestId: event.requestContext?.requestId
+        });
+
+        throw error;
+    }
+}
+
+module.exports = {
+    handler: wrapHandler(getProfessionalHandler)
+};
@@ -0,0 +1,101 @@
+// relayContactReply.js - Seawater Climate Risk Platform
+// SES receipt rule handler forwarding mail sent to a contact request's relay address
+// The rule saves each message to the inbound bucket before invoking this function
+
+const { findContactRequestByReplyToken, recordContactReply } = require('../../helpers/dbOperations');
+const {
+    getContactMailer,
+    getInboundMailStore,
+    parseReplyToken,
+    buildReplyEmail,
+    extractTextBody
+} = require('../../helpers/contactRelay');
+
+// Forwarded replies per contact request, so a relay address cannot be used to send bulk mail
+const MAX_REPLIES_PER_REQUEST = 50;
+
+function emailAddress(value) {
+    const match = /<([^>]+)>/.exec(value || '');
+    return (match ? match[1] : value || '').trim().toLowerCase();
+}
+
+/**
+ * Forward one received message, or report why it was dropped
+ * Only the professional and the sender can use a relay address, and only with a passing SPF or
+ * DKIM check, since the From header alone can be forged.
+ */
+async function relayReply(ses) {
+    const replyToken = (ses.receipt?.recipients || []).map(parseReplyToken).find(Boolean);
+    if (!replyToken) return { status: 'dropped', reason: 'unknown_recipient' };
+
+    const receipt = ses.receipt;
+    if (receipt.spamVerdict?.status === 'FAIL' || receipt.virusVerdict?.status === 'FAIL') {
+        return { status: 'dropped', reason: 'spam_or_virus' };
+    }
+    if (receipt.spfVerdict?.status !== 'PASS' && receipt.dkimVerdict?.status !== 'PASS') {
+        return { status: 'dropped', reason: 'unauthenticated_sender' };
+    }
+
+    const contactRequest = await findContactRequestByReplyToken(replyToken);
+    if (!contactRequest || !contactRequest.reply_email) {
+        return { status: 'dropped', reason: 'unknown_contact_request' };
+    }
+    if (contactRequest.reply_count >= MAX_REPLIES_PER_REQUEST) {
+        return { status: 'dropped', reason: 'reply_limit_reached', contactRequestId: contactRequest.id };
+    }
+
+    const from = emailAddress(ses.mail?.commonHeaders?.from?.[0] || ses.mail?.source);
+    let direction = null;
+    if (from === emailAddress(contactRequest.professional_email)) {
+        direction = 'to_sender';
+    } else if (from === emailAddress(contactRequest.reply_email)) {
+        direction = 'to_professional';
+    }
+    if (!direction) {
+        return { status: 'dropped', reason: 'sender_not_party', contactRequestId: contactRequest.id };
+    }
+
+    const raw = await getInboundMailStore().get(ses.mail.messageId);
+    const replyText = raw ? extractTextBody(raw.toString('utf8')) : null;
+    if (!replyText) {
+        return { status: 'dropped', reason: raw ? 'no_text_body' : 'message_not_found', contactRequestId: contactRequest.id };
+    }
+
+    const relay = await getContactMailer().send(buildReplyEmail(contactRequest, direction, replyText));
+    await recordContactReply(contactRequest.id);
+
+    return {
+        status: 'relayed',
+        contactRequestId: contactRequest.id,
+        direction: direction,
+        messageId: relay.messageId,
+        transport: relay.transport
+    };
+}
+
+/**
+ * Forward each message in an SES receipt event
+ * Dropped messages are logged and acknowledged; a failed send throws so the invocation is retried.
+ */
+async function handler(event, context) {
+    const summary = { relayed: 0, dropped: 0 };
+
+    for (const record of event?.Records || []) {
+        const outcome = await relayReply(record.ses || {});
+        summary[outcome.status]++;
+
+        console.log('Contact reply processed:', {
+            type: 'contact_reply',
+            timestamp: new Date().toISOString(),
+            platform: 'seawater-climate-risk',
+            sesMessageId: record.ses?.mail?.messageId,
+            ...outcome
+        });
+    }
+
+    return summary;
+}
+
+module.exports = {
+    handler
+};
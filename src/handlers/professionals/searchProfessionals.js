@@ -0,0 +1,217 @@
+// searchProfessionals.js - Seawater Climate Risk Platform
+// GET /professionals/search handler following Tim-Combo patterns
+
+const { wrapHandler } = require('../../helpers/lambdaWrapper');
+const { validateRequest } = require('../../helpers/validationUtil');
+const { createSuccessResponse } = require('../../helpers/responseUtil');
+const { NotFoundError } = require('../../helpers/errorHandler');
+const {
+    searchProfessionals,
+    getAssessmentsWithinRadius,
+    trackApiUsage
+} = require('../../helpers/dbOperations');
+const { geocodeAddress } = require('../../helpers/geocodingService');
+const { aggregateClimateData, climateDataAggregator } = require('../../helpers/climateDataAggregator');
+const { PROFESSIONAL_TYPES, rankProfessionals, formatProfessional } = require('../../helpers/professionalDirectory');
+
+// A stored assessment this close to the search point is treated as the property's own
+const ASSESSMENT_MATCH_RADIUS_METERS = 250;
+
+// Candidates fetched for ranking before the result limit is applied
+const MAX_CANDIDATES = 200;
+
+/**
+ * Identify the hazards to match professionals against
+ * Uses an existing assessment at the location when there is one, otherwise aggregates fresh climate data.
+ * @returns {Object} { hazards, source, external_api_calls }
+ */
+async function identifyLocationHazards(latitude, longitude, performanceMetrics) {
+    let dbStart = Date.now();
+    const [assessment] = await getAssessmentsWithinRadius(latitude, longitude, ASSESSMENT_MATCH_RADIUS_METERS, { limit: 1 });
+    performanceMetrics.database_time += Date.now() - dbStart;
+
+    if (assessment) {
+        const scores = {
+            flood: assessment.flood_risk_score,
+            wildfire: assessment.wildfire_risk_score,
+            heat: assessment.heat_risk_score,
+            tornado: assessment.tornado_risk_score,
+            hurricane: assessment.hurricane_risk_score,
+            earthquake: assessment.earthquake_risk_score,
+            drought: assessment.drought_risk_score,
+            hail: assessment.hail_risk_score,
+            landslide: assessment.landslide_risk_score,
+            volcanic: assessment.volcanic_risk_score
+        };
+        return { hazards: climateDataAggregator.identifyPrimaryRisks(scores), source: 'assessment' };
+    }
+
+    // Risk data only narrows the ranking, so the search still succeeds without it
+    try {
+        const riskStart = Date.now();
+        const climateRisks = await aggregateClimateData(latitude, longitude, 'all');
+        performanceMetrics.risk_calculation_time = Date.now() - riskStart;
+        performanceMetrics.external_api_calls += climateRisks.external_api_calls || 0;
+
+        if (climateRisks.success) {
+            return { hazards: climateRisks.riskData.primary_risks || [], source: 'climate_data' };
+        }
+    } catch (error) {
+        console.warn('Unable to identify location hazards for professional search:', {
+            error: error.message,
+            latitude,
+            longitude
+        });
+    }
+
+    return { hazards: [], source: 'unavailable' };
+}
+
+/**
+ * Search for professionals serving a property
+ * Matches service areas covering the location and ranks by distance, rating and hazard specialty.
+ */
+async function searchProfessionalsHandler(event, context) {
+    const performanceMetrics = {
+        external_api_calls: 0,
+        geocoding_time: 0,
+        risk_calculation_time: 0,
+        database_time: 0,
+        candidates_considered: 0
+    };
+
+    try {
+        const query = event.queryParams || {};
+        const validatedParams = validateRequest('professional_search', {
+            latitude: query.latitude,
+            longitude: query.longitude,
+            address: query.address,
+            radiusKm: query.radiusKm,
+            type: query.type,
+            specializations: query.specializations,
+            certifications: query.certifications,
+            minRating: query.minRating,
+            acceptingClients: query.acceptingClients,
+            limit: query.limit
+        });
+
+        let { latitude, longitude } = validatedParams;
+
+        if (validatedParams.address) {
+            const geocodeStart = Date.now();
+            const geocodeResult = await geocodeAddress(validatedParams.address);
+            performanceMetrics.geocoding_time = Date.now() - geocodeStart;
+            performanceMetrics.external_api_calls++;
+
+            if (!geocodeResult.success) {
+                throw new NotFoundError(
+                    `Unable to geocode address: ${validatedParams.address}`,
+                    'property'
+                );
+            }
+
+            latitude = geocodeResult.latitude;
+            longitude = geocodeResult.longitude;
+        }
+
+        const hazardMatch = validatedParams.hazards
+            ? { hazards: validatedParams.hazards, source: 'request' }
+            : await identifyLocationHazards(latitude, longitude, performanceMetrics);
+
+        console.log('Processing professional search request:', {
+            type: 'professional_search_request',
+            timestamp: new Date().toISOString(),
+            platform: 'seawater-climate-risk',
+            requestId: event.requestContext?.requestId,
+            center: `${latitude},${longitude}`,
+            radiusKm: validatedParams.radiusKm,
+            professionalType: validatedParams.type || 'all',
+            hazards: hazardMatch.hazards,
+            hazardSource: hazardMatch.source
+        });
+
+        const dbStart = Date.now();
+        const candidates = await searchProfessionals(latitude, longitude, {
+            radiusMeters: validatedParams.radiusKm * 1000,
+            professionalType: validatedParams.type ? PROFESSIONAL_TYPES[validatedParams.type] : null,
+            minRating: validatedParams.minRating ?? null,
+            certifications: validatedParams.certifications || null,
+            acceptingClientsOnly: validatedParams.acceptingClients,
+            limit: MAX_CANDIDATES
+        });
+        performanceMetrics.database_time += Date.now() - dbStart;
+        performanceMetrics.candidates_considered = candidates.length;
+
+        const ranked = rankProfessionals(candidates, {
+            hazards: hazardMatch.hazards,
+            radiusKm: validatedParams.radiusKm
+        });
+
+        // Area statistics cover every matching professional, not just the returned page
+        const byType = {};
+        let ratingTotal = 0;
+        let ratedCount = 0;
+        let totalReviews = 0;
+        candidates.forEach(candidate => {
+            const { type } = formatProfessional(candidate);
+            byType[type] = (byType[type] || 0) + 1;
+            totalReviews += candidate.total_reviews || 0;
+            if (candidate.average_rating !== null && candidate.average_rating !== undefined) {
+                ratingTotal += parseFloat(candidate.average_rating);
+                ratedCount++;
+            }
+        });
+
+        // Track API usage for billing
+        if (event.requestContext?.user?.sub || event.requestContext?.apiKey) {
+            await trackApiUsage({
+                userId: event.requestContext.user?.sub,
+                apiKeyId: event.requestContext.apiKey,
+                endpoint: '/professionals/search',
+                httpMethod: 'GET',
+                statusCode: 200,
+                propertyCount: 0,
+                billableRequest: false,
+                cost: 0,
+                userAgent: event.requestContext?.userAgent,
+                ipAddress: event.requestContext?.sourceIp
+            });
+        }
+
+        return createSuccessResponse(
+            {
+                professionals: ranked.slice(0, validatedParams.limit).map(formatProfessional),
+                total_found: candidates.length,
+                area_stats: {
+                    by_type: byType,
+                    average_rating: ratedCount > 0 ? Math.round(ratingTotal / ratedCount * 100) / 100 : 0,
+                    total_reviews: totalReviews
+                },
+                location: {
+                    latitude,
+                    longitude,
+                    radius_km: validatedParams.radiusKm
+                },
+                hazards: hazardMatch.hazards,
+                hazard_source: hazardMatch.source
+            },
+            'Professionals retrieved successfully',
+            {
+                Performance_Metrics: performanceMetrics
+            }
+        );
+
+    } catch (error) {
+        console.error('Error in searchProfessionals handler:', {
+            error: error.message,
+            stack: error.stack,
+            requestId: event.requestContext?.requestId
+        });
+
+        throw error;
+    }
+}
+
+module.exports = {
+    handler: wrapHandler(searchProfessionalsHandler)
+};
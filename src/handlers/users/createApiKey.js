@@ -0,0 +1,107 @@
+// createApiKey.js - Seawater Climate Risk Platform
+// POST /api-keys handler following Tim-Combo patterns
+
+const { wrapHandler } = require('../../helpers/lambdaWrapper');
+const { validateRequest } = require('../../helpers/validationUtil');
+const { createSuccessResponse } = require('../../helpers/responseUtil');
+const { SubscriptionError, ValidationError } = require('../../helpers/errorHandler');
+const { createApiKey, countActiveApiKeys } = require('../../helpers/dbOperations');
+const { generateApiKey, formatApiKey } = require('../../helpers/apiKeys');
+
+// Active keys per account
+const MAX_ACTIVE_KEYS = 10;
+
+/**
+ * Create an API key for integration servers
+ * Only the hash is stored; the key is returned in this response and cannot be retrieved again.
+ */
+async function createApiKeyHandler(event, context) {
+    const performanceMetrics = {
+        database_time: 0
+    };
+
+    try {
+        // Keys are managed by signed-in users only, so a leaked key cannot mint more keys
+        const ownerEmail = event.requestContext?.user?.email;
+        if (!ownerEmail || event.requestContext?.authType === 'api_key') {
+            throw new ValidationError('Authentication required', [
+                { field: 'authorization', message: 'API keys can only be managed by a signed-in user' }
+            ]);
+        }
+
+        // Check subscription tier access
+        const subscriptionTier = event.requestContext?.subscriptionTier || 'free';
+        if (!['professional', 'enterprise'].includes(subscriptionTier)) {
+            throw new SubscriptionError(
+                'API keys require Professional or Enterprise subscription',
+                subscriptionTier,
+                'api_access'
+            );
+        }
+
+        const body = event.body || {};
+        const validatedParams = validateRequest('api_key', {
+            name: body.name,
+            description: body.description,
+            scopes: body.scopes || body.permissions,
+            expiresInDays: body.expiresInDays,
+            expiresAt: body.expiresAt
+        });
+
+        let dbStart = Date.now();
+        const activeKeys = await countActiveApiKeys(ownerEmail);
+        performanceMetrics.database_time += Date.now() - dbStart;
+
+        if (activeKeys >= MAX_ACTIVE_KEYS) {
+            throw new ValidationError('API key limit reached', [
+                { field: 'name', message: `Accounts are limited to ${MAX_ACTIVE_KEYS} active API keys; revoke an unused key first` }
+            ]);
+        }
+
+        const { key, keyHash, keyPrefix } = generateApiKey();
+
+        dbStart = Date.now();
+        const apiKey = await createApiKey({
+            ownerEmail: ownerEmail,
+            name: validatedParams.name,
+            description: validatedParams.description || null,
+            keyHash: keyHash,
+            keyPrefix: keyPrefix,
+            scopes: validatedParams.scopes,
+            expiresAt: validatedParams.expiresAt
+        });
+        performanceMetrics.database_time += Date.now() - dbStart;
+
+        console.log('API key created:', {
+            type: 'api_key_create',
+            timestamp: new Date().toISOString(),
+            platform: 'seawater-climate-risk',
+            requestId: event.requestContext?.requestId,
+            apiKeyId: apiKey.id,
+            keyPrefix: keyPrefix,
+            scopes: validatedParams.scopes,
+            expiresAt: validatedParams.expiresAt
+        });
+
+        return createSuccessResponse(
+            formatApiKey(apiKey, key),
+            'API key created successfully. Store the key now; it will not be shown again.',
+            {
+                Performance_Metrics: performanceMetrics
+            }
+        );
+
+    } catch (error) {
+        console.error('Error in createApiKey handler:', {
+            error: error.message,
+            stack: error.stack,
+            requestId: event.requestContext?.requestId
+        });
+
+        throw error;
+    }
+}
+
+module.exports = {
+    handler: wrapHandler(createApiKeyHandler)
+};
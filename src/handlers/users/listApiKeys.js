@@ -0,0 +1,54 @@
+// listApiKeys.js - Seawater Climate Risk Platform
+// GET /api-keys handler following Tim-Combo patterns
+
+const { wrapHandler } = require('../../helpers/lambdaWrapper');
+const { createSuccessResponse } = require('../../helpers/responseUtil');
+const { ValidationError } = require('../../helpers/errorHandler');
+const { listApiKeys } = require('../../helpers/dbOperations');
+const { API_KEY_SCOPES, formatApiKey } = require('../../helpers/apiKeys');
+
+/**
+ * List the caller's API keys with usage and status; keys themselves are never returned
+ */
+async function listApiKeysHandler(event, context) {
+    const performanceMetrics = {
+        database_time: 0
+    };
+
+    try {
+        const ownerEmail = event.requestContext?.user?.email;
+        if (!ownerEmail || event.requestContext?.authType === 'api_key') {
+            throw new ValidationError('Authentication required', [
+                { field: 'authorization', message: 'API keys can only be managed by a signed-in user' }
+            ]);
+        }
+
+        const dbStart = Date.now();
+        const apiKeys = await listApiKeys(ownerEmail);
+        performanceMetrics.database_time = Date.now() - dbStart;
+
+        return createSuccessResponse(
+            {
+                api_keys: apiKeys.map(apiKey => formatApiKey(apiKey)),
+                available_scopes: API_KEY_SCOPES
+            },
+            'API keys retrieved successfully',
+            {
+                Performance_Metrics: performanceMetrics
+            }
+        );
+
+    } catch (error) {
+        console.error('Error in listApiKeys handler:', {
+            error: error.message,
+            stack: error.stack,
+            requestId: event.requestContext?.requestId
+        });
+
+        throw error;
+    }
+}
+
+module.exports = {
+    handler: wrapHandler(listApiKeysHandler)
+};
@@ -0,0 +1,77 @@
+// revokeApiKey.js - Seawater Climate Risk Platform
+// DELETE /api-keys/{key_id}/revoke handler following Tim-Combo patterns
+
+const { wrapHandler } = require('../../helpers/lambdaWrapper');
+const { createSuccessResponse } = require('../../helpers/responseUtil');
+const { NotFoundError, ValidationError } = require('../../helpers/errorHandler');
+const { getApiKey, revokeApiKey } = require('../../helpers/dbOperations');
+const { formatApiKey } = require('../../helpers/apiKeys');
+
+/**
+ * Revoke an API key
+ * The authorizer rejects the key on its next request.
+ */
+async function revokeApiKeyHandler(event, context) {
+    const performanceMetrics = {
+        database_time: 0
+    };
+
+    try {
+        const ownerEmail = event.requestContext?.user?.email;
+        if (!ownerEmail || event.requestContext?.authType === 'api_key') {
+            throw new ValidationError('Authentication required', [
+                { field: 'authorization', message: 'API keys can only be managed by a signed-in user' }
+            ]);
+        }
+
+        const keyId = event.pathParams?.keyId;
+        if (!keyId || !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(keyId)) {
+            throw new ValidationError('Invalid key id', [
+                { field: 'key_id', message: 'Key id must be a UUID' }
+            ]);
+        }
+
+        let dbStart = Date.now();
+        const apiKey = await getApiKey(keyId);
+        performanceMetrics.database_time += Date.now() - dbStart;
+
+        // Keys are only visible to their owner
+        if (!apiKey || apiKey.owner_email !== ownerEmail) {
+            throw new NotFoundError(`API key not found: ${keyId}`, 'api_key');
+        }
+
+        dbStart = Date.now();
+        const revoked = await revokeApiKey(keyId);
+        performanceMetrics.database_time += Date.now() - dbStart;
+
+        console.log('API key revoked:', {
+            type: 'api_key_revoke',
+            timestamp: new Date().toISOString(),
+            platform: 'seawater-climate-risk',
+            requestId: event.requestContext?.requestId,
+            apiKeyId: keyId,
+            keyPrefix: apiKey.key_prefix
+        });
+
+        return createSuccessResponse(
+            formatApiKey(revoked),
+            'API key revoked successfully',
+            {
+                Performance_Metrics: performanceMetrics
+            }
+        );
+
+    } catch (error) {
+        console.error('Error in revokeApiKey handler:', {
+            error: error.message,
+            stack: error.stack,
+            requestId: event.requestContext?.requestId
+        });
+
+        throw error;
+    }
+}
+
+module.exports = {
+    handler: wrapHandler(revokeApiKeyHandler)
+};
@@ -0,0 +1,65 @@
+// apiKeys.js - Seawater Climate Risk Platform
+// API key generation and hashing; keys are verified by the authorizer function
+
+const crypto = require('crypto');
+
+// Keep in sync with API_KEY_SCOPE_ROUTES in functions/authorizer/index.js
+const API_KEY_SCOPES = ['risk:read', 'bulk:write', 'reports:write', 'export:read', 'webhooks:manage'];
+
+const API_KEY_PREFIX = 'sw_';
+
+// Characters stored in api_keys.key_prefix to let users tell their keys apart
+const KEY_PREFIX_LENGTH = 10;
+
+/**
+ * SHA-256 hash stored in place of the key
+ * Keys are 240-bit random values, so a fast unsalted hash is sufficient for lookup.
+ */
+function hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(String(apiKey).trim()).digest('hex');
+}
+
+/**
+ * Generate a new key
+ * @returns {Object} { key, keyHash, keyPrefix } - the key itself is shown to the user once and never stored
+ */
+function generateApiKey() {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(30).toString('base64url')}`;
+    return {
+        key: key,
+        keyHash: hashApiKey(key),
+        keyPrefix: key.slice(0, KEY_PREFIX_LENGTH)
+    };
+}
+
+/**
+ * API key as returned by the API; the key itself only appears in the create response
+ */
+function formatApiKey(apiKey, key = undefined) {
+    const expired = apiKey.expires_at && new Date(apiKey.expires_at) <= new Date();
+
+    return {
+        id: apiKey.id,
+        name: apiKey.key_name,
+        description: apiKey.description,
+        key: key,
+        key_prefix: apiKey.key_prefix,
+        scopes: apiKey.scopes || [],
+        status: apiKey.revoked_at || !apiKey.is_active ? 'revoked' : expired ? 'expired' : 'active',
+        is_active: apiKey.is_active && !apiKey.revoked_at && !expired,
+        rate_limit_per_minute: apiKey.rate_limit_per_minute,
+        rate_limit_per_day: apiKey.rate_limit_per_day,
+        total_requests: apiKey.total_requests || 0,
+        last_used: apiKey.last_used,
+        expires_at: apiKey.expires_at,
+        revoked_at: apiKey.revoked_at,
+        created_at: apiKey.created_at
+    };
+}
+
+module.exports = {
+    API_KEY_SCOPES,
+    hashApiKey,
+    generateApiKey,
+    formatApiKey
+};
@@ -0,0 +1,234 @@
+// buildingCodes.js - Seawater Climate Risk Platform
+// Adopted building codes for a property and the hazard vulnerability adjustments they earn
+
+const { findBuildingCodesAtPoint } = require('./dbOperations');
+
+// Code type whose provisions reduce each hazard's vulnerability
+const HAZARD_CODE_TYPES = {
+    hurricane: 'wind',
+    tornado: 'wind',
+    earthquake: 'seismic',
+    flood: 'flood',
+    wildfire: 'fire'
+};
+
+// Largest fraction of a hazard score removed by a fully enforced code with a perfect BCAT score.
+// Override per hazard with BUILDING_CODE_ADJUSTMENTS, e.g. {"hurricane": 0.3, "tornado": 0}
+const DEFAULT_MAX_REDUCTIONS = {
+    hurricane: 0.25,
+    tornado: 0.10,
+    earthquake: 0.30,
+    flood: 0.15,
+    wildfire: 0.20
+};
+
+// Share of a code's benefit realized at each enforcement level
+const ENFORCEMENT_FACTORS = {
+    full: 1,
+    partial: 0.6,
+    minimal: 0.25,
+    none: 0
+};
+
+// Assumed BCAT score for codes that have not been assessed
+const DEFAULT_BCAT_SCORE = 50;
+
+// A general building code (IBC/IRC) without a hazard-specific code earns half credit
+const GENERAL_CODE_CREDIT = 0.5;
+
+let configuredReductions = null;
+
+/**
+ * Maximum score reduction per hazard, with BUILDING_CODE_ADJUSTMENTS overrides applied
+ */
+function getMaxReductions() {
+    if (configuredReductions) return configuredReductions;
+
+    configuredReductions = { ...DEFAULT_MAX_REDUCTIONS };
+    if (process.env.BUILDING_CODE_ADJUSTMENTS) {
+        try {
+            const overrides = JSON.parse(process.env.BUILDING_CODE_ADJUSTMENTS);
+            Object.entries(overrides).forEach(([hazard, reduction]) => {
+                const value = Number(reduction);
+                if (HAZARD_CODE_TYPES[hazard] && value >= 0 && value <= 1) {
+                    configuredReductions[hazard] = value;
+                } else {
+                    console.warn('Ignoring invalid building code adjustment:', { hazard, reduction });
+                }
+            });
+        } catch (error) {
+            console.warn('BUILDING_CODE_ADJUSTMENTS is not valid JSON; using defaults:', error.message);
+        }
+    }
+
+    return configuredReductions;
+}
+
+function getYear(date) {
+    return date ? new Date(date).getFullYear() : null;
+}
+
+function describeCode(row) {
+    return row.code_edition && !row.code_name.includes(row.code_edition)
+        ? `${row.code_name} (${row.code_edition})`
+        : row.code_name;
+}
+
+function formatCode(row, yearBuilt) {
+    return {
+        code_type: row.code_type,
+        code_name: row.code_name,
+        code_edition: row.code_edition || null,
+        jurisdiction: row.jurisdiction_name,
+        adoption_date: row.adoption_date,
+        effective_date: row.effective_date,
+        enforcement_level: row.enforcement_level,
+        bcat_score: row.bcat_score ?? null,
+        inspection_required: !!row.inspection_required,
+        permit_required: !!row.permit_required,
+        special_provisions: row.special_provisions || null,
+        applies_to_structure: yearBuilt ? getYear(row.effective_date) <= yearBuilt : null
+    };
+}
+
+/**
+ * Build a property's building code profile from findBuildingCodesAtPoint rows
+ * Each code type comes from the most specific jurisdiction that adopted one. A structure is
+ * credited with the newest code in effect when it was built; without a construction year the
+ * current code is assumed.
+ * @param {Array} rows - Code rows, most specific jurisdiction first
+ * @param {number|null} yearBuilt - Construction year
+ * @returns {Object|null} Building code profile, or null when no jurisdiction covers the point
+ */
+function formatBuildingCodeProfile(rows, yearBuilt = null) {
+    if (!rows || rows.length === 0) return null;
+
+    const construction = yearBuilt ? parseInt(yearBuilt, 10) : null;
+    const currentCodes = {};
+    const governingCodes = {};
+    const codes = [];
+
+    rows.forEach(row => {
+        const current = currentCodes[row.code_type];
+        if (!current) {
+            currentCodes[row.code_type] = row;
+            codes.push(formatCode(row, construction));
+        }
+
+        // Only the adopting jurisdiction's own history governs older structures
+        if (governingCodes[row.code_type] !== undefined) return;
+        if (current && current.jurisdiction_id !== row.jurisdiction_id) return;
+        if (!construction || getYear(row.effective_date) <= construction) {
+            governingCodes[row.code_type] = formatCode(row, construction);
+        }
+    });
+
+    const governing = rows[0];
+    const current = Object.values(currentCodes);
+    const assessed = current.filter(row => row.bcat_score !== null && row.bcat_score !== undefined);
+    const weakestEnforcement = current.reduce((weakest, row) =>
+        ENFORCEMENT_FACTORS[row.enforcement_level] < ENFORCEMENT_FACTORS[weakest] ? row.enforcement_level : weakest,
+    'full');
+    const lastUpdated = current
+        .map(row => row.bcat_assessment_date || row.adoption_date)
+        .filter(Boolean)
+        .sort((a, b) => new Date(b) - new Date(a))[0] || null;
+
+    return {
+        jurisdiction: governing.jurisdiction_name,
+        jurisdiction_type: governing.jurisdiction_type,
+        current_codes: Object.fromEntries(current.map(row => [row.code_type, describeCode(row)])),
+        codes: codes,
+        governing_codes: governingCodes,
+        bcat_score: currentCodes.general?.bcat_score ?? (assessed.length > 0
+            ? Math.round(assessed.reduce((sum, row) => sum + row.bcat_score, 0) / assessed.length)
+            : null),
+        enforcement_level: weakestEnforcement,
+        year_built: construction,
+        last_updated: lastUpdated
+    };
+}
+
+/**
+ * Per-hazard vulnerability multipliers earned by a building code profile
+ * multiplier = 1 - max_reduction x enforcement factor x BCAT score / 100
+ * @param {Object|null} profile - Building code profile
+ * @returns {Object} Adjustments keyed by hazard; hazards without an applicable code are omitted
+ */
+function calculateBuildingCodeAdjustments(profile) {
+    const adjustments = {};
+    if (!profile) return adjustments;
+
+    const maxReductions = getMaxReductions();
+
+    Object.entries(HAZARD_CODE_TYPES).forEach(([hazard, codeType]) => {
+        const specific = profile.governing_codes[codeType];
+        const code = specific || profile.governing_codes.general;
+        if (!code || !maxReductions[hazard]) return;
+
+        const credit = specific ? 1 : GENERAL_CODE_CREDIT;
+        const enforcement = ENFORCEMENT_FACTORS[code.enforcement_level] ?? 0;
+        const bcatScore = code.bcat_score ?? DEFAULT_BCAT_SCORE;
+        const reduction = maxReductions[hazard] * credit * enforcement * (bcatScore / 100);
+        if (reduction <= 0) return;
+
+        adjustments[hazard] = {
+            code_type: code.code_type,
+            code: describeCode(code),
+            enforcement_level: code.enforcement_level,
+            bcat_score: code.bcat_score,
+            multiplier: Math.round((1 - reduction) * 1000) / 1000,
+            basis: profile.year_built ? 'code_at_construction' : 'current_code'
+        };
+    });
+
+    return adjustments;
+}
+
+/**
+ * Apply building code vulnerability adjustments to aggregated hazard scores
+ * @param {Object} scores - Hazard scores keyed by risk type
+ * @param {Object|null} profile - Building code profile
+ * @returns {Object} Adjusted scores and the adjustments applied, with before/after scores
+ */
+function applyBuildingCodeAdjustments(scores, profile) {
+    const adjustments = calculateBuildingCodeAdjustments(profile);
+    const adjustedScores = { ...scores };
+    const applied = {};
+
+    Object.entries(adjustments).forEach(([hazard, adjustment]) => {
+        const score = scores[hazard];
+        if (score === null || score === undefined) return;
+
+        adjustedScores[hazard] = Math.round(score * adjustment.multiplier);
+        applied[hazard] = {
+            ...adjustment,
+            unadjusted_score: score,
+            adjusted_score: adjustedScores[hazard]
+        };
+    });
+
+    return { scores: adjustedScores, adjustments: applied };
+}
+
+/**
+ * Look up the building codes governing a property
+ * @param {number} latitude - Latitude coordinate
+ * @param {number} longitude - Longitude coordinate
+ * @param {number|null} yearBuilt - Construction year, when known
+ * @returns {Object|null} Building code profile
+ */
+async function getBuildingCodeProfile(latitude, longitude, yearBuilt = null) {
+    const rows = await findBuildingCodesAtPoint(latitude, longitude);
+    return formatBuildingCodeProfile(rows, yearBuilt);
+}
+
+module.exports = {
+    HAZARD_CODE_TYPES,
+    DEFAULT_MAX_REDUCTIONS,
+    ENFORCEMENT_FACTORS,
+    formatBuildingCodeProfile,
+    calculateBuildingCodeAdjustments,
+    applyBuildingCodeAdjustments,
+    getBuildingCodeProfile
+};
@@ -0,0 +1,251 @@
+// bulkJobProcessor.js - Seawater Climate Risk Platform
+// Resumable processing of persisted bulk risk assessment jobs
+
+const { NotFoundError, ClimateDataError } = require('./errorHandler');
+const {
+    findPropertyByAddress,
+    getCurrentRiskAssessment,
+    upsertProperty,
+    upsertRiskAssessment,
+    markBulkJobStarted,
+    releaseStaleBulkJobItems,
+    claimBulkJobItems,
+    completeBulkJobItem,
+    failBulkJobItem,
+    refreshBulkJobProgress,
+    finishBulkJob,
+    findStalledBulkJobs
+} = require('./dbOperations');
+const { geocodeAddress } = require('./geocodingService');
+const { aggregateClimateData, climateDataAggregator } = require('./climateDataAggregator');
+const { resolvePropertyAttributes } = require('./vulnerabilityCurves');
+const { registerJobHandler, getJobQueue } = require('./jobQueue');
+const { emitWebhookEvent } = require('./webhookDelivery');
+
+const BULK_RISK_JOB = 'bulk_risk_assessment';
+
+// Items claimed per progress update
+const CHUNK_SIZE = 25;
+
+// Retryable item failures are attempted this many times before being recorded as failed
+const MAX_ITEM_ATTEMPTS = 3;
+
+// A claimed item or running job with no progress for this long belongs to a dead worker
+const STALE_SECONDS = 300;
+
+// Hand off to a fresh invocation when less than this much Lambda time remains
+const MIN_REMAINING_MS = 60000;
+
+/**
+ * Whether an unfinished job has stopped reporting progress
+ */
+function isBulkJobStalled(job) {
+    if (!['queued', 'processing'].includes(job.status)) return false;
+    const lastActivity = new Date(job.last_heartbeat_at || job.created_at).getTime();
+    return Date.now() - lastActivity > STALE_SECONDS * 1000;
+}
+
+/**
+ * Assess a single address, reusing stored properties and unexpired assessments
+ * Attributes submitted with the address adjust its property risk scores.
+ */
+async function assessAddress(address, riskTypes, propertyAttributes = null) {
+    let property = await findPropertyByAddress(address);
+
+    if (!property) {
+        const geocodeResult = await geocodeAddress(address);
+        if (!geocodeResult.success) {
+            throw new NotFoundError(`Unable to geocode address: ${address}`, 'property');
+        }
+
+        property = await upsertProperty({
+            address: address,
+            normalizedAddress: address.toLowerCase().trim(),
+            ...geocodeResult,
+            geocodingAccuracy: geocodeResult.accuracy,
+            geocodingSource: geocodeResult.source
+        });
+    }
+
+    let riskAssessment = await getCurrentRiskAssessment(property.id);
+
+    if (!riskAssessment || new Date(riskAssessment.expires_at) <= new Date()) {
+        const latitude = parseFloat(property.latitude);
+        const longitude = parseFloat(property.longitude);
+        const climateRisks = await aggregateClimateData(latitude, longitude, riskTypes);
+
+        if (!climateRisks.success) {
+            throw new ClimateDataError(
+                'Unable to retrieve climate risk data',
+                climateRisks.error_source,
+                true
+            );
+        }
+
+        riskAssessment = await upsertRiskAssessment({
+            propertyId: property.id,
+            ...climateRisks.riskData,
+            assessmentVersion: '1.0',
+            expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days
+        });
+    }
+
+    const propertyRisk = await climateDataAggregator.assessPropertyRisk(
+        parseFloat(property.latitude),
+        parseFloat(property.longitude),
+        riskAssessment,
+        resolvePropertyAttributes(propertyAttributes || {}, property)
+    );
+
+    return {
+        property: {
+            id: property.id,
+            address: property.address,
+            latitude: property.latitude,
+            longitude: property.longitude,
+            city: property.city,
+            state: property.state,
+            zip_code: property.zip_code
+        },
+        risk_assessment: riskAssessment,
+        property_risk: propertyRisk
+    };
+}
+
+/**
+ * Process one claimed job item, recording its outcome
+ */
+async function processJobItem(item, riskTypes) {
+    try {
+        const result = await assessAddress(item.address, riskTypes, item.property_attributes);
+        await completeBulkJobItem(item.id, { propertyId: result.property.id, result });
+    } catch (error) {
+        const retry = error.retryable === true && item.attempts < MAX_ITEM_ATTEMPTS;
+
+        console.warn('Bulk job item failed:', {
+            itemIndex: item.item_index,
+            address: item.address,
+            attempts: item.attempts,
+            willRetry: retry,
+            error: error.message
+        });
+
+        await failBulkJobItem(item.id, error.message, retry);
+    }
+}
+
+/**
+ * Work through a bulk job's pending items
+ * Safe to run again after a crash: stale claims are released and finished items are skipped.
+ * When the Lambda is close to its timeout the job is re-queued to continue in a new invocation.
+ * @param {Object} payload - { jobId }
+ * @param {Object} context - Lambda context (optional)
+ * @returns {Object} { jobId, status }
+ */
+async function processBulkJob({ jobId }, context = null) {
+    const job = await markBulkJobStarted(jobId);
+    if (!job) {
+        console.log('Bulk job not runnable, skipping:', { jobId });
+        return { jobId, status: 'skipped' };
+    }
+
+    const riskTypes = job.risk_types?.includes('all') ? 'all' : job.risk_types;
+
+    const released = await releaseStaleBulkJobItems(jobId, STALE_SECONDS);
+    console.log('Processing bulk job:', {
+        type: 'bulk_job_processing',
+        timestamp: new Date().toISOString(),
+        platform: 'seawater-climate-risk',
+        jobId: jobId,
+        attempt: job.attempts,
+        totalItems: job.total_items,
+        processedItems: job.processed_items,
+        releasedStaleItems: released
+    });
+
+    try {
+        while (true) {
+            if (context?.getRemainingTimeInMillis && context.getRemainingTimeInMillis() < MIN_REMAINING_MS) {
+                await getJobQueue().enqueue(BULK_RISK_JOB, { jobId });
+                console.log('Bulk job continuing in a new invocation:', { jobId });
+                return { jobId, status: 'continued' };
+            }
+
+            const items = await claimBulkJobItems(jobId, CHUNK_SIZE);
+            if (items.length === 0) break;
+
+            for (const item of items) {
+                await processJobItem(item, riskTypes);
+            }
+
+            const progress = await refreshBulkJobProgress(jobId);
+            if (progress?.status === 'cancelled') {
+                return { jobId, status: 'cancelled' };
+            }
+        }
+
+        const progress = await refreshBulkJobProgress(jobId);
+        const allFailed = progress && progress.total_items > 0 && progress.failed_items === progress.total_items;
+        const finished = await finishBulkJob(
+            jobId,
+            allFailed ? 'failed' : 'completed',
+            allFailed ? 'All addresses failed to process' : null
+        );
+
+        console.log('Bulk job finished:', {
+            jobId,
+            status: finished?.status,
+            successfulItems: progress?.successful_items,
+            failedItems: progress?.failed_items
+        });
+
+        // Only the invocation that moved the job to its terminal status notifies
+        if (finished) {
+            await emitWebhookEvent(job.owner_id, 'bulk_job.completed', {
+                job_id: jobId,
+                status: finished.status,
+                total_items: Number(progress?.total_items) || 0,
+                successful_items: Number(progress?.successful_items) || 0,
+                failed_items: Number(progress?.failed_items) || 0,
+                error_message: finished.error_message,
+                completed_at: finished.completed_at,
+                status_url: `/professional/bulk/jobs/${jobId}`
+            });
+        }
+
+        return { jobId, status: finished?.status || 'completed' };
+
+    } catch (error) {
+        // Leave the job resumable; unfinished items stay pending or are released as stale
+        console.error('Bulk job processing interrupted:', {
+            jobId,
+            error: error.message,
+            stack: error.stack
+        });
+        throw error;
+    }
+}
+
+/**
+ * Re-queue jobs whose worker died (scheduled sweep)
+ */
+async function resumeStalledBulkJobs() {
+    const stalled = await findStalledBulkJobs(STALE_SECONDS);
+    const queue = getJobQueue();
+
+    for (const job of stalled) {
+        await queue.enqueue(BULK_RISK_JOB, { jobId: job.id });
+    }
+
+    console.log('Resumed stalled bulk jobs:', { count: stalled.length });
+    return { resumed: stalled.map(job => job.id) };
+}
+
+registerJobHandler(BULK_RISK_JOB, processBulkJob);
+
+module.exports = {
+    BULK_RISK_JOB,
+    processBulkJob,
+    resumeStalledBulkJobs,
+    isBulkJobStalled
+};
@@ -97,8 +97,8 @@ function clearCache() {
     console.log('Cache cleared');
 }
 
-// Periodic cleanup every 5 minutes
-setInterval(cleanup, 5 * 60 * 1000);
+// Periodic cleanup every 5 minutes; unref'd so the timer alone does not keep scripts and tests running
+setInterval(cleanup, 5 * 60 * 1000).unref();
 
 module.exports = {
     getCachedResponse,
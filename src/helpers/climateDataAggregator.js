@@ -9,6 +9,46 @@ const NOAAClient = require('./externalClients/noaaDataClient');
 const USGSClient = require('./externalClients/usgsDataClient');
 const ClimateCheckClient = require('./externalClients/climateCheckClient');
 const FirstStreetClient = require('./externalClients/firstStreetClient');
+const Hurdat2Client = require('./externalClients/hurdat2Client');
+const CalFireClient = require('./externalClients/calFireClient');
+const NifcClient = require('./externalClients/nifcClient');
+const DroughtMonitorClient = require('./externalClients/droughtMonitorClient');
+const SpcStormReportsClient = require('./externalClients/spcStormReportsClient');
+const { projectRiskScores, calculateProjectionConfidence } = require('./climateProjections');
+const { applyBuildingCodeAdjustments, getBuildingCodeProfile } = require('./buildingCodes');
+const { applyVulnerabilityCurves, PROPERTY_ATTRIBUTE_FIELDS } = require('./vulnerabilityCurves');
+const { assessSeaLevelRise } = require('./seaLevelRise');
+
+// Weight of each source when averaging hazard scores, by priority and reliability
+const SOURCE_WEIGHTS = {
+    fema: 0.4,         // Authoritative government source
+    firstStreet: 0.3,  // High-quality climate modeling
+    climateCheck: 0.15, // Commercial climate data
+    hurdat2: 0.3,      // Observed storm tracks (hurricane only)
+    calFire: 0.35,     // State hazard zones and fire history (California wildfire only)
+    nifc: 0.2,         // Interagency fire history (wildfire only)
+    droughtMonitor: 0.6, // Weekly drought history with precipitation normals (drought only)
+    spc: 0.5,          // Observed tornado tracks and hail reports (tornado and hail only)
+    noaa: 0.1,         // Government climate data
+    usgs: 0.05         // Geological data
+};
+
+// Publishing authority shown when attributing a score to a source
+const SOURCE_AUTHORITIES = {
+    fema: 'FEMA',
+    firstStreet: 'First Street Foundation',
+    climateCheck: 'ClimateCheck',
+    noaa: 'NOAA',
+    hurdat2: 'NOAA National Hurricane Center',
+    calFire: 'CAL FIRE',
+    nifc: 'National Interagency Fire Center',
+    droughtMonitor: 'U.S. Drought Monitor',
+    spc: 'NOAA Storm Prediction Center',
+    usgs: 'USGS'
+};
+
+// Hazards confined to specific regions; a 0 score means no exposure rather than low risk
+const LOCALIZED_HAZARDS = ['hail', 'landslide', 'volcanic'];
 
 /**
  * Risk score normalization utilities
@@ -76,7 +116,12 @@ class ClimateDataAggregator {
             noaa: new NOAAClient(),
             usgs: new USGSClient(),
             climateCheck: new ClimateCheckClient(),
-            firstStreet: new FirstStreetClient()
+            firstStreet: new FirstStreetClient(),
+            hurdat2: new Hurdat2Client(),
+            calFire: new CalFireClient(),
+            nifc: new NifcClient(),
+            droughtMonitor: new DroughtMonitorClient(),
+            spc: new SpcStormReportsClient()
         };
         
         this.cache = new Map();
@@ -88,7 +133,7 @@ class ClimateDataAggregator {
      * @param {number} latitude - Property latitude
      * @param {number} longitude - Property longitude  
      * @param {string|Array} riskTypes - Risk types to analyze
-     * @param {Object} options - Additional options
+     * @param {Object} options - Additional options (forceRefresh, scenario, horizon)
      * @returns {Object} Aggregated risk assessment
      */
     async aggregateClimateData(latitude, longitude, riskTypes = 'all', options = {}) {
@@ -98,6 +143,8 @@ class ClimateDataAggregator {
             latitude,
             longitude,
             riskTypes,
+            scenario: options.scenario || null,
+            horizon: options.horizon || null,
             timestamp: new Date().toISOString(),
             platform: 'seawater-climate-risk'
         });
@@ -116,7 +163,7 @@ class ClimateDataAggregator {
             const requestedRisks = this.normalizeRiskTypes(riskTypes);
             
             // Check cache first
-            const cacheKey = this.getCacheKey(latitude, longitude, requestedRisks);
+            const cacheKey = this.getCacheKey(latitude, longitude, requestedRisks, options);
             const cachedData = this.getCachedData(cacheKey);
             if (cachedData && !options.forceRefresh) {
                 console.log('Returning cached climate data');
@@ -132,9 +179,18 @@ class ClimateDataAggregator {
             
             // Aggregate and normalize scores
             const aggregatedScores = this.aggregateRiskScores(sourceResults, requestedRisks);
-            
+
             // Calculate overall risk score
             const overallRiskScore = this.calculateOverallRisk(aggregatedScores);
+
+            // Sea level rise is reported beside the flood score rather than folded into the overall score
+            const seaLevelRise = requestedRisks.includes('flood')
+                ? await assessSeaLevelRise(latitude, longitude)
+                : { sea_level_rise_risk_score: null, sea_level_rise: null };
+            const dataSources = Object.keys(sourceResults.successful).filter(key => sourceResults.successful[key]);
+            if (seaLevelRise.sea_level_rise?.data_available) {
+                dataSources.push('noaaCoastal');
+            }
             
             // Generate risk assessment summary
             const riskAssessment = {
@@ -150,13 +206,20 @@ class ClimateDataAggregator {
                     hurricane_risk_score: aggregatedScores.hurricane,
                     earthquake_risk_score: aggregatedScores.earthquake,
                     drought_risk_score: aggregatedScores.drought,
+                    drought_assessment: sourceResults.sources.droughtMonitor?.data?.risks?.drought || null,
+                    hail_risk_score: aggregatedScores.hail,
+                    landslide_risk_score: aggregatedScores.landslide,
+                    volcanic_risk_score: aggregatedScores.volcanic,
+                    sea_level_rise_risk_score: seaLevelRise.sea_level_rise_risk_score,
+                    sea_level_rise: seaLevelRise.sea_level_rise,
                     // Additional metadata
                     confidence_level: this.calculateConfidence(sourceResults),
-                    data_sources: Object.keys(sourceResults.successful).filter(key => sourceResults.successful[key]),
+                    data_sources: dataSources,
                     primary_risks: this.identifyPrimaryRisks(aggregatedScores),
                     last_updated: new Date().toISOString()
                 },
                 sources: sourceResults.sources,
+                attribution: this.buildRiskAttribution(sourceResults, aggregatedScores),
                 performance: sourceResults.performance,
                 external_api_calls: sourceResults.performance.external_api_calls,
                 cache_hits: sourceResults.performance.cache_hits,
@@ -165,6 +228,18 @@ class ClimateDataAggregator {
                 processing_time_ms: Date.now() - startTime
             };
 
+            // Project scores forward when a scenario and horizon are requested
+            if (options.scenario && options.horizon) {
+                riskAssessment.projection = await this.projectRiskAssessment(
+                    latitude,
+                    longitude,
+                    riskAssessment.riskData,
+                    options.scenario,
+                    options.horizon
+                );
+                riskAssessment.external_api_calls += riskAssessment.projection.external_api_calls;
+            }
+
             // Cache the result
             this.cacheData(cacheKey, riskAssessment);
 
@@ -193,6 +268,122 @@ class ClimateDataAggregator {
         }
     }
 
+    /**
+     * Project present-day scores to a target horizon under a climate scenario
+     * Uses First Street scenario projections and NOAA normals; either may be unavailable
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @param {Object} riskData - Present-day risk data (*_risk_score, confidence_level)
+     * @param {string} scenario - Climate scenario (rcp26, rcp45, rcp60, rcp85)
+     * @param {number} horizon - Target year (2030, 2050, 2080)
+     * @returns {Object} Projected risk scores with per-hazard basis and confidence bounds
+     */
+    async projectRiskAssessment(latitude, longitude, riskData, scenario, horizon) {
+        const riskTypes = ['flood', 'wildfire', 'heat', 'tornado', 'hurricane', 'earthquake', 'drought', 'hail', 'landslide', 'volcanic'];
+        const baselineScores = {};
+        riskTypes.forEach(riskType => {
+            const score = riskData[`${riskType}_risk_score`];
+            baselineScores[riskType] = score === null || score === undefined ? null : Number(score);
+        });
+
+        const [projectionsResult, normalsResult] = await Promise.allSettled([
+            this.isPremiumSourceAvailable('firstStreet')
+                ? this.clients.firstStreet.getClimateProjections(latitude, longitude, [scenario])
+                : Promise.resolve(null),
+            this.clients.noaa.getClimateNormals(latitude, longitude)
+        ]);
+
+        const dataSources = [];
+        let externalApiCalls = 0;
+
+        let scenarioData = null;
+        if (projectionsResult.status === 'fulfilled' && projectionsResult.value) {
+            externalApiCalls += projectionsResult.value.cached ? 0 : 1;
+            const projections = projectionsResult.value.data;
+            scenarioData = projections?.projections_available ? projections.scenarios[scenario] || null : null;
+            if (scenarioData) dataSources.push('firstStreet');
+        } else if (projectionsResult.status === 'rejected') {
+            console.warn('First Street projections unavailable for projected assessment:', projectionsResult.reason?.message);
+        }
+
+        let normals = null;
+        if (normalsResult.status === 'fulfilled') {
+            externalApiCalls += normalsResult.value.cached ? 0 : 1;
+            normals = normalsResult.value.data;
+            if (normals?.data_available) dataSources.push('noaa');
+        } else {
+            console.warn('NOAA normals unavailable for projected assessment:', normalsResult.reason?.message);
+        }
+
+        const { scores, basis } = projectRiskScores(baselineScores, scenarioData, normals, horizon);
+
+        const projection = {
+            scenario,
+            horizon,
+            projection_available: !!scenarioData,
+            overall_risk_score: this.calculateOverallRisk(scores),
+            primary_risks: this.identifyPrimaryRisks(scores),
+            score_basis: basis,
+            confidence: calculateProjectionConfidence(horizon, scenario, Number(riskData.confidence_level) || undefined),
+            data_sources: dataSources,
+            external_api_calls: externalApiCalls
+        };
+        riskTypes.forEach(riskType => {
+            projection[`${riskType}_risk_score`] = scores[riskType];
+        });
+
+        return projection;
+    }
+
+    /**
+     * Adjust location hazard scores for a specific structure
+     * Building code credits and vulnerability curves are both applied here, from the same
+     * resolved attributes, so stored assessments stay location-only.
+     * @param {Object} riskData - Hazard risk data (*_risk_score)
+     * @param {Object} attributes - Property attributes from resolvePropertyAttributes
+     * @param {Object|null} buildingCodes - Building code profile for the attributes' construction year
+     * @returns {Object} Property risk scores with the code and vulnerability factors applied to each hazard
+     */
+    assessPropertyVulnerability(riskData, attributes, buildingCodes = null) {
+        const riskTypes = ['flood', 'wildfire', 'heat', 'tornado', 'hurricane', 'earthquake', 'drought', 'hail', 'landslide', 'volcanic'];
+        const hazardScores = {};
+        riskTypes.forEach(riskType => {
+            const score = riskData[`${riskType}_risk_score`];
+            hazardScores[riskType] = score === null || score === undefined ? null : Number(score);
+        });
+
+        const { scores: codeScores, adjustments } = applyBuildingCodeAdjustments(hazardScores, buildingCodes);
+        const { scores, vulnerability } = applyVulnerabilityCurves(codeScores, attributes);
+
+        const propertyRisk = {
+            overall_risk_score: this.calculateOverallRisk(scores),
+            primary_risks: this.identifyPrimaryRisks(scores),
+            attributes: Object.fromEntries(
+                Object.entries(PROPERTY_ATTRIBUTE_FIELDS).map(([field, name]) => [name, attributes[field] ?? null])
+            ),
+            vulnerability: vulnerability,
+            building_codes: buildingCodes ? { ...buildingCodes, vulnerability_adjustments: adjustments } : null
+        };
+        riskTypes.forEach(riskType => {
+            propertyRisk[`${riskType}_risk_score`] = scores[riskType];
+        });
+
+        return propertyRisk;
+    }
+
+    /**
+     * Look up the building codes for a structure and assess its property risk
+     * @param {number} latitude - Property latitude
+     * @param {number} longitude - Property longitude
+     * @param {Object} riskData - Location hazard risk data (*_risk_score)
+     * @param {Object} attributes - Property attributes from resolvePropertyAttributes
+     * @returns {Object} Property risk scores (see assessPropertyVulnerability)
+     */
+    async assessPropertyRisk(latitude, longitude, riskData, attributes) {
+        const buildingCodes = await getBuildingCodeProfile(latitude, longitude, attributes.yearBuilt ?? null);
+        return this.assessPropertyVulnerability(riskData, attributes, buildingCodes);
+    }
+
     /**
      * Fetch data from all available sources
      * @param {number} latitude - Latitude
@@ -218,7 +409,7 @@ class ClimateDataAggregator {
         const sourceConfig = {
             fema: { 
                 priority: 1, 
-                risks: ['flood', 'wildfire', 'hurricane', 'tornado', 'earthquake', 'drought'],
+                risks: ['flood', 'wildfire', 'hurricane', 'tornado', 'earthquake', 'drought', 'hail'],
                 required: true 
             },
             noaa: { 
@@ -226,9 +417,34 @@ class ClimateDataAggregator {
                 risks: ['heat', 'drought', 'hurricane'], 
                 required: false 
             },
+            hurdat2: {
+                priority: 2,
+                risks: ['hurricane'],
+                required: false
+            },
+            calFire: {
+                priority: 2,
+                risks: ['wildfire'],
+                required: false
+            },
+            nifc: {
+                priority: 2,
+                risks: ['wildfire'],
+                required: false
+            },
+            droughtMonitor: {
+                priority: 2,
+                risks: ['drought'],
+                required: false
+            },
+            spc: {
+                priority: 2,
+                risks: ['tornado', 'hail'],
+                required: false
+            },
             usgs: { 
                 priority: 3, 
-                risks: ['earthquake'], 
+                risks: ['earthquake', 'landslide', 'volcanic'], 
                 required: false 
             },
             climateCheck: { 
@@ -317,20 +533,11 @@ class ClimateDataAggregator {
         const scores = {};
         
         // Initialize scores for all risk types
-        const allRiskTypes = ['flood', 'wildfire', 'heat', 'tornado', 'hurricane', 'earthquake', 'drought'];
+        const allRiskTypes = ['flood', 'wildfire', 'heat', 'tornado', 'hurricane', 'earthquake', 'drought', 'hail', 'landslide', 'volcanic'];
         allRiskTypes.forEach(risk => {
             scores[risk] = null;
         });
 
-        // Weight sources by priority and reliability
-        const sourceWeights = {
-            fema: 0.4,        // Authoritative government source
-            firstStreet: 0.3,  // High-quality climate modeling
-            climateCheck: 0.15, // Commercial climate data
-            noaa: 0.1,         // Government climate data
-            usgs: 0.05         // Geological data
-        };
-
         // Aggregate scores for each risk type
         allRiskTypes.forEach(riskType => {
             const riskScores = [];
@@ -347,7 +554,7 @@ class ClimateDataAggregator {
                     // Normalize score to 0-100 scale
                     const normalizedScore = this.normalizeSourceScore(riskData.score, sourceName, riskType);
                     riskScores.push(normalizedScore);
-                    weights.push(sourceWeights[sourceName] || 0.1);
+                    weights.push(SOURCE_WEIGHTS[sourceName] || 0.1);
                 }
             });
 
@@ -362,6 +569,52 @@ class ClimateDataAggregator {
         return scores;
     }
 
+    /**
+     * Describe which sources produced each hazard score and how much each one counted
+     * @param {Object} sourceResults - Source results
+     * @param {Object} aggregatedScores - Aggregated hazard scores
+     * @returns {Object} Attribution keyed by risk type
+     */
+    buildRiskAttribution(sourceResults, aggregatedScores) {
+        const attribution = {};
+
+        Object.entries(aggregatedScores).forEach(([riskType, score]) => {
+            if (score === null || score === undefined) return;
+
+            const contributions = [];
+            Object.entries(sourceResults.successful).forEach(([sourceName, isSuccessful]) => {
+                if (!isSuccessful) return;
+
+                const sourceData = sourceResults.sources[sourceName]?.data;
+                const riskData = sourceData?.risks?.[riskType];
+                if (!riskData || typeof riskData.score !== 'number') return;
+
+                contributions.push({
+                    authority: SOURCE_AUTHORITIES[sourceName] || sourceName,
+                    source: sourceName,
+                    value: this.normalizeSourceScore(riskData.score, sourceName, riskType),
+                    weight: SOURCE_WEIGHTS[sourceName] || 0.1,
+                    effective_date: riskData.effective_date || sourceData.last_updated || null
+                });
+            });
+
+            const totalWeight = contributions.reduce((sum, contribution) => sum + contribution.weight, 0);
+
+            attribution[riskType] = {
+                score: score,
+                sources: contributions.map(contribution => ({
+                    ...contribution,
+                    weight: totalWeight > 0 ? Math.round((contribution.weight / totalWeight) * 100) / 100 : 0
+                })),
+                methodology: contributions.length > 1
+                    ? `Weighted average of ${contributions.length} normalized source scores`
+                    : 'Normalized score from a single source'
+            };
+        });
+
+        return attribution;
+    }
+
     /**
      * Normalize score from specific source to 0-100 scale
      * @param {number} score - Original score
@@ -388,6 +641,9 @@ class ClimateDataAggregator {
 
     /**
      * Calculate overall risk score from individual risk scores
+     * Localized hazards (hail, landslide, volcanic) only enter the weighted average where the
+     * location is exposed to them; a score of 0 there means "not applicable" and would otherwise
+     * pull every other location's overall score down.
      * @param {Object} riskScores - Individual risk scores
      * @returns {number} Overall risk score (0-100)
      */
@@ -406,13 +662,19 @@ class ClimateDataAggregator {
             earthquake: 0.15,
             tornado: 0.10,
             heat: 0.05,
-            drought: 0.05
+            drought: 0.05,
+            hail: 0.05,
+            landslide: 0.05,
+            volcanic: 0.05
         };
 
         let weightedSum = 0;
         let totalWeight = 0;
 
         Object.entries(riskScores).forEach(([riskType, score]) => {
+            if (LOCALIZED_HAZARDS.includes(riskType) && !(score > 0)) {
+                return;
+            }
             if (score !== null && score !== undefined) {
                 const weight = riskWeights[riskType] || 0.1;
                 weightedSum += score * weight;
@@ -489,7 +751,7 @@ class ClimateDataAggregator {
      */
     normalizeRiskTypes(riskTypes) {
         if (riskTypes === 'all') {
-            return ['flood', 'wildfire', 'heat', 'tornado', 'hurricane', 'earthquake', 'drought'];
+            return ['flood', 'wildfire', 'heat', 'tornado', 'hurricane', 'earthquake', 'drought', 'hail', 'landslide', 'volcanic'];
         }
 
         if (typeof riskTypes === 'string') {
@@ -537,10 +799,11 @@ class ClimateDataAggregator {
     /**
      * Cache management
      */
-    getCacheKey(latitude, longitude, riskTypes) {
+    getCacheKey(latitude, longitude, riskTypes, options = {}) {
         const coord = `${latitude.toFixed(6)},${longitude.toFixed(6)}`;
         const risks = riskTypes.sort().join(',');
-        return `climate:${coord}:${risks}`;
+        const projection = options.scenario && options.horizon ? `:${options.scenario}:${options.horizon}` : '';
+        return `climate:${coord}:${risks}${projection}`;
     }
 
     getCachedData(cacheKey) {
@@ -0,0 +1,233 @@
+// climateProjections.js - Seawater Climate Risk Platform
+// Project present-day hazard scores forward using First Street climate projections
+
+// Year treated as "present day" for projection baselines
+const BASELINE_YEAR = 2020;
+
+// Years emitted for projected trend series
+const PROJECTION_YEARS = [2030, 2040, 2050, 2060, 2070, 2080];
+
+// Target years accepted for point-in-time projected assessments
+const PROJECTION_HORIZONS = [2030, 2050, 2080];
+
+// First Street reports flood projections at these horizons
+const FLOOD_PROJECTION_HORIZONS = [2035, 2050, 2080];
+
+// First Street wildfire, heat, temperature and precipitation changes are reported as mid-century deltas
+const MID_CENTURY_YEAR = 2050;
+
+// Hazards stored in the risk_trends table
+const TREND_HAZARDS = ['flood', 'wildfire', 'heat', 'tornado', 'hurricane'];
+
+// Hazards scored by the climate data aggregator
+const ASSESSMENT_HAZARDS = ['flood', 'wildfire', 'heat', 'tornado', 'hurricane', 'earthquake', 'drought', 'hail', 'landslide', 'volcanic'];
+
+// Heat score points per degree Celsius of warming, matching RiskNormalizer.normalizeTemperatureAnomaly
+const HEAT_POINTS_PER_DEGREE = 14;
+
+// Drought score points per degree Celsius of warming from added evaporative demand
+const DROUGHT_POINTS_PER_DEGREE = 3;
+
+/**
+ * Clamp a score to the 0-100 scale
+ * @param {number} score - Raw score
+ * @returns {number|null} Clamped, rounded score
+ */
+function clampScore(score) {
+    if (score === null || score === undefined || isNaN(score)) return null;
+    return Math.max(0, Math.min(100, Math.round(score)));
+}
+
+/**
+ * Interpolate a fractional change for a target year from horizon values
+ * The baseline year is treated as a zero change; years past the last horizon hold its value
+ * @param {Array} points - [{ year, change }] sorted by year
+ * @param {number} year - Target year
+ * @returns {number|null} Fractional change (0.25 = +25%)
+ */
+function interpolateChange(points, year) {
+    const series = [{ year: BASELINE_YEAR, change: 0 }, ...points.filter(p => typeof p.change === 'number')];
+    if (series.length === 1) return null;
+
+    if (year <= BASELINE_YEAR) return 0;
+
+    for (let i = 1; i < series.length; i++) {
+        const prev = series[i - 1];
+        const next = series[i];
+        if (year <= next.year) {
+            const ratio = (year - prev.year) / (next.year - prev.year);
+            return prev.change + (next.change - prev.change) * ratio;
+        }
+    }
+
+    return series[series.length - 1].change;
+}
+
+/**
+ * Scale a mid-century change linearly to a target year
+ * @param {number} midCenturyChange - Fractional change at mid-century
+ * @param {number} year - Target year
+ * @returns {number|null} Fractional change for the target year
+ */
+function scaleMidCenturyChange(midCenturyChange, year) {
+    if (typeof midCenturyChange !== 'number') return null;
+    return midCenturyChange * Math.max(0, year - BASELINE_YEAR) / (MID_CENTURY_YEAR - BASELINE_YEAR);
+}
+
+/**
+ * Project baseline hazard scores to a future year under one scenario
+ * @param {Object} baselineScores - Present-day scores keyed by hazard (0-100)
+ * @param {Object} scenarioData - Processed First Street scenario projections
+ * @param {number} year - Target year
+ * @returns {Object} Projected scores keyed by hazard; null where no projection exists
+ */
+function projectHazardScores(baselineScores, scenarioData, year) {
+    const projected = {};
+    TREND_HAZARDS.forEach(hazard => {
+        projected[hazard] = null;
+    });
+
+    if (!scenarioData) return projected;
+
+    const floodProjections = scenarioData.flood_projections;
+    if (floodProjections && typeof baselineScores.flood === 'number') {
+        const points = FLOOD_PROJECTION_HORIZONS.map(horizon => ({
+            year: horizon,
+            change: floodProjections[`year_${horizon}`]?.frequency_change
+        }));
+        const change = interpolateChange(points, year);
+        if (change !== null) {
+            projected.flood = clampScore(baselineScores.flood * (1 + change));
+        }
+    }
+
+    const wildfireChange = scaleMidCenturyChange(
+        scenarioData.wildfire_projections?.burn_probability_change,
+        year
+    );
+    if (wildfireChange !== null && typeof baselineScores.wildfire === 'number') {
+        projected.wildfire = clampScore(baselineScores.wildfire * (1 + wildfireChange));
+    }
+
+    const heatChange = scaleMidCenturyChange(
+        scenarioData.heat_projections?.extreme_heat_days_change,
+        year
+    );
+    if (heatChange !== null && typeof baselineScores.heat === 'number') {
+        projected.heat = clampScore(baselineScores.heat * (1 + heatChange));
+    }
+
+    return projected;
+}
+
+/**
+ * Summarize NOAA 1991-2020 normals into the values used for projection sensitivity
+ * @param {Object} normals - Processed NOAA climate normals
+ * @returns {Object|null} { warmest_month_c, annual_precipitation_mm }
+ */
+function summarizeNormals(normals) {
+    if (!normals || !normals.data_available) return null;
+
+    const temperatures = Object.values(normals.monthly_temperature_normals || {});
+    const precipitation = Object.values(normals.monthly_precipitation_normals || {});
+
+    return {
+        warmest_month_c: temperatures.length > 0 ? Math.max(...temperatures) : null,
+        annual_precipitation_mm: precipitation.length === 12
+            ? precipitation.reduce((sum, value) => sum + value, 0)
+            : null
+    };
+}
+
+/**
+ * Project a full set of assessment scores to a target horizon under one scenario
+ * First Street hazard projections are used where present; heat and drought fall back to
+ * scenario temperature and precipitation change weighted by the location's NOAA normals.
+ * Hazards with no climate signal hold their present-day score.
+ * @param {Object} baselineScores - Present-day scores keyed by hazard (0-100)
+ * @param {Object} scenarioData - Processed First Street scenario projections (may be null)
+ * @param {Object} normals - Processed NOAA climate normals (may be null)
+ * @param {number} horizon - Target year
+ * @returns {Object} { scores, basis } keyed by hazard
+ */
+function projectRiskScores(baselineScores, scenarioData, normals, horizon) {
+    const projected = projectHazardScores(baselineScores, scenarioData, horizon);
+    const scores = {};
+    const basis = {};
+
+    ASSESSMENT_HAZARDS.forEach(hazard => {
+        if (typeof projected[hazard] === 'number') {
+            scores[hazard] = projected[hazard];
+            basis[hazard] = 'first_street';
+        } else if (typeof baselineScores[hazard] === 'number') {
+            scores[hazard] = baselineScores[hazard];
+            basis[hazard] = 'present_day';
+        } else {
+            scores[hazard] = null;
+            basis[hazard] = null;
+        }
+    });
+
+    const climate = summarizeNormals(normals);
+    const warming = scaleMidCenturyChange(scenarioData?.temperature_change, horizon);
+    const precipitationChange = scaleMidCenturyChange(scenarioData?.precipitation_change, horizon);
+
+    // Hotter places feel the same warming more acutely
+    if (basis.heat === 'present_day' && warming !== null) {
+        const exposure = climate?.warmest_month_c !== null && climate?.warmest_month_c !== undefined
+            ? Math.max(0.5, Math.min(1.5, climate.warmest_month_c / 25))
+            : 1;
+        scores.heat = clampScore(baselineScores.heat + warming * HEAT_POINTS_PER_DEGREE * exposure);
+        basis.heat = climate ? 'noaa_normals' : 'first_street';
+    }
+
+    // Drier places are more sensitive to the same fractional loss of precipitation
+    if (basis.drought === 'present_day' && (warming !== null || precipitationChange !== null)) {
+        const annualPrecipitation = climate?.annual_precipitation_mm;
+        let aridity = 1;
+        if (typeof annualPrecipitation === 'number') {
+            aridity = annualPrecipitation < 500 ? 1.5 : annualPrecipitation < 1000 ? 1 : 0.6;
+        }
+
+        const drying = -(precipitationChange || 0) * aridity;
+        scores.drought = clampScore(
+            baselineScores.drought * (1 + drying) + (warming || 0) * DROUGHT_POINTS_PER_DEGREE
+        );
+        basis.drought = climate ? 'noaa_normals' : 'first_street';
+    }
+
+    return { scores, basis };
+}
+
+/**
+ * Confidence bounds for a projection, widening with horizon and scenario severity
+ * @param {number} year - Target year
+ * @param {string} scenario - Climate scenario (rcp26, rcp45, rcp60, rcp85)
+ * @param {number} baseConfidence - Confidence in the present-day assessment (0.0 to 1.0)
+ * @returns {Object} { lower, upper } on a 0.0 to 1.0 scale
+ */
+function calculateProjectionConfidence(year, scenario, baseConfidence = 0.85) {
+    const yearsOut = Math.max(0, year - BASELINE_YEAR);
+    const scenarioSpread = { rcp26: 0.03, rcp45: 0.04, rcp60: 0.05, rcp85: 0.06 }[scenario] || 0.05;
+
+    const center = Math.max(0.2, baseConfidence - yearsOut * 0.004);
+    const spread = scenarioSpread + yearsOut * 0.002;
+
+    return {
+        lower: Math.round(Math.max(0, center - spread) * 1000) / 1000,
+        upper: Math.round(Math.min(1, center + spread) * 1000) / 1000
+    };
+}
+
+module.exports = {
+    projectHazardScores,
+    projectRiskScores,
+    summarizeNormals,
+    calculateProjectionConfidence,
+    interpolateChange,
+    clampScore,
+    BASELINE_YEAR,
+    PROJECTION_YEARS,
+    PROJECTION_HORIZONS,
+    TREND_HAZARDS
+};
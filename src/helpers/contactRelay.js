@@ -0,0 +1,323 @@
+// contactRelay.js - Seawater Climate Risk Platform
+// Relays directory contact requests to professionals from a platform address: SES when deployed, logged locally
+// Each request gets its own reply address, so the professional and the sender can answer without seeing each other's email
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const REPLY_ADDRESS_PATTERN = /^reply\+([0-9a-f]{32})@/i;
+
+/**
+ * Local mailer for development and tests; messages are logged rather than sent
+ */
+class LocalContactMailer {
+    constructor() {
+        this.transport = 'local';
+    }
+
+    async send(message) {
+        const messageId = `local-${Date.now()}`;
+
+        console.log('Contact relay email (not sent):', {
+            type: 'contact_relay_local',
+            timestamp: new Date().toISOString(),
+            platform: 'seawater-climate-risk',
+            messageId: messageId,
+            subject: message.subject,
+            replyTo: message.replyTo || null
+        });
+
+        return { messageId, transport: this.transport };
+    }
+}
+
+/**
+ * Amazon SES mailer sending from the relay address
+ */
+class SesContactMailer {
+    constructor(fromAddress) {
+        const { SESv2Client, SendEmailCommand } = require('@aws-sdk/client-sesv2');
+
+        this.client = new SESv2Client({ region: process.env.AWS_REGION || 'us-east-2' });
+        this.SendEmailCommand = SendEmailCommand;
+        this.fromAddress = fromAddress;
+        this.transport = 'ses';
+    }
+
+    async send(message) {
+        const response = await this.client.send(new this.SendEmailCommand({
+            FromEmailAddress: this.fromAddress,
+            Destination: { ToAddresses: [message.to] },
+            ReplyToAddresses: message.replyTo ? [message.replyTo] : undefined,
+            Content: {
+                Simple: {
+                    Subject: { Data: message.subject },
+                    Body: { Text: { Data: message.text } }
+                }
+            }
+        }));
+
+        return { messageId: response.MessageId, transport: this.transport };
+    }
+}
+
+let contactMailer = null;
+
+/**
+ * Get the configured mailer
+ * CONTACT_RELAY_FROM_ADDRESS selects SES; otherwise messages are only logged
+ */
+function getContactMailer() {
+    if (!contactMailer) {
+        contactMailer = process.env.CONTACT_RELAY_FROM_ADDRESS
+            ? new SesContactMailer(process.env.CONTACT_RELAY_FROM_ADDRESS)
+            : new LocalContactMailer();
+    }
+    return contactMailer;
+}
+
+/**
+ * Replace the mailer (tests)
+ */
+function setContactMailer(mailer) {
+    contactMailer = mailer;
+}
+
+/**
+ * Local store of received replies for development and tests, one raw message file per SES message id
+ */
+class LocalInboundMailStore {
+    constructor(directory = path.join(os.tmpdir(), 'seawater-contact-replies')) {
+        this.directory = directory;
+    }
+
+    async get(messageId) {
+        try {
+            return await fs.promises.readFile(path.join(this.directory, path.basename(messageId)));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+}
+
+/**
+ * Replies saved to S3 by the SES receipt rule, keyed by SES message id under an optional prefix
+ */
+class S3InboundMailStore {
+    constructor(bucket, prefix = '') {
+        const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
+
+        this.client = new S3Client({ region: process.env.AWS_REGION || 'us-east-2' });
+        this.GetObjectCommand = GetObjectCommand;
+        this.bucket = bucket;
+        this.prefix = prefix;
+    }
+
+    async get(messageId) {
+        try {
+            const response = await this.client.send(new this.GetObjectCommand({
+                Bucket: this.bucket,
+                Key: `${this.prefix}${messageId}`
+            }));
+            return Buffer.from(await response.Body.transformToByteArray());
+        } catch (error) {
+            if (error.name === 'NoSuchKey') return null;
+            throw error;
+        }
+    }
+}
+
+let inboundMailStore = null;
+
+/**
+ * Get the store of received replies
+ * CONTACT_RELAY_INBOUND_BUCKET selects S3; otherwise replies are read from the OS temp directory
+ */
+function getInboundMailStore() {
+    if (!inboundMailStore) {
+        inboundMailStore = process.env.CONTACT_RELAY_INBOUND_BUCKET
+            ? new S3InboundMailStore(process.env.CONTACT_RELAY_INBOUND_BUCKET, process.env.CONTACT_RELAY_INBOUND_PREFIX || '')
+            : new LocalInboundMailStore();
+    }
+    return inboundMailStore;
+}
+
+/**
+ * Replace the inbound mail store (tests)
+ */
+function setInboundMailStore(store) {
+    inboundMailStore = store;
+}
+
+/**
+ * Random token for a contact request's reply address
+ * @returns {string|null} Token, or null when CONTACT_RELAY_REPLY_DOMAIN is not configured
+ */
+function createReplyToken() {
+    return process.env.CONTACT_RELAY_REPLY_DOMAIN ? crypto.randomBytes(16).toString('hex') : null;
+}
+
+/**
+ * Relay address that forwards mail for one contact request
+ */
+function buildReplyAddress(replyToken) {
+    return replyToken && process.env.CONTACT_RELAY_REPLY_DOMAIN
+        ? `reply+${replyToken}@${process.env.CONTACT_RELAY_REPLY_DOMAIN}`
+        : null;
+}
+
+/**
+ * Reply token from a relay address, or null for any other address
+ */
+function parseReplyToken(address) {
+    const match = REPLY_ADDRESS_PATTERN.exec(String(address || '').trim());
+    return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Build the relayed email
+ * Only what the sender chose to share is included; the sender's email address never appears.
+ * @param {Object} professional - Professional row with email
+ * @param {Object} contactRequest - Stored contact request
+ * @returns {Object} { to, replyTo, subject, text }
+ */
+function buildContactEmail(professional, contactRequest) {
+    const senderName = contactRequest.sender_name || 'A Seawater user';
+    const replyTo = buildReplyAddress(contactRequest.reply_token);
+    const lines = [
+        `Hello ${professional.first_name},`,
+        '',
+        `${senderName} found you in the Seawater climate professionals directory and would like to get in touch.`,
+        ''
+    ];
+
+    if (contactRequest.property_address) {
+        lines.push(`Property: ${contactRequest.property_address}`, '');
+    }
+
+    lines.push('Message:', contactRequest.message, '');
+
+    if (replyTo) {
+        lines.push('Reply to this email to answer them. Replies are forwarded through Seawater, so neither of you sees the other\'s email address.');
+    }
+    if (contactRequest.sender_phone) {
+        lines.push(`They can be reached by phone at ${contactRequest.sender_phone}.`);
+    } else if (!replyTo) {
+        lines.push('They did not share contact details and may follow up with you directly.');
+    }
+
+    lines.push('', `Reference: ${contactRequest.id}`, '', 'Seawater Climate Risk Platform');
+
+    return {
+        to: professional.email,
+        replyTo: replyTo,
+        subject: `New contact request from ${senderName} via Seawater`,
+        text: lines.join('\n')
+    };
+}
+
+/**
+ * Build the forwarded copy of a reply received at a contact request's relay address
+ * @param {Object} contactRequest - Contact request with reply_email and professional_first_name, professional_last_name, professional_email
+ * @param {string} direction - 'to_sender' for the professional's replies, 'to_professional' for the sender's
+ * @param {string} replyText - Plain text of the reply
+ * @returns {Object} { to, replyTo, subject, text }
+ */
+function buildReplyEmail(contactRequest, direction, replyText) {
+    const toSender = direction === 'to_sender';
+    const fromName = toSender
+        ? `${contactRequest.professional_first_name} ${contactRequest.professional_last_name}`
+        : contactRequest.sender_name || 'The Seawater user who contacted you';
+
+    return {
+        to: toSender ? contactRequest.reply_email : contactRequest.professional_email,
+        replyTo: buildReplyAddress(contactRequest.reply_token),
+        subject: `Reply from ${fromName} via Seawater`,
+        text: [
+            `${fromName} replied to the contact request made through the Seawater professionals directory.`,
+            '',
+            replyText,
+            '',
+            'Reply to this email to answer. Replies are forwarded through Seawater without sharing email addresses.',
+            '',
+            `Reference: ${contactRequest.id}`,
+            '',
+            'Seawater Climate Risk Platform'
+        ].join('\n')
+    };
+}
+
+function parseMimeHeaders(headerText) {
+    const headers = {};
+    headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+            headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+        }
+    });
+    return headers;
+}
+
+function decodeTransferEncoding(body, encoding) {
+    switch ((encoding || '').toLowerCase()) {
+        case 'base64':
+            return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+        case 'quoted-printable':
+            return Buffer.from(
+                body.replace(/=\r?\n/g, '').replace(/=([0-9A-F]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16))),
+                'latin1'
+            ).toString('utf8');
+        default:
+            return body;
+    }
+}
+
+/**
+ * Plain text body of a raw MIME message, searching multipart messages for the first text/plain part
+ * Text is decoded as UTF-8, which covers the US-ASCII and UTF-8 mail clients send.
+ * @param {string} raw - Raw message or MIME part
+ * @returns {string|null} Text, or null when the message has no plain text part
+ */
+function extractTextBody(raw) {
+    const separator = /\r?\n\r?\n/.exec(raw);
+    const headers = parseMimeHeaders(separator ? raw.slice(0, separator.index) : raw);
+    const body = separator ? raw.slice(separator.index + separator[0].length) : '';
+    const contentType = headers['content-type'] || 'text/plain';
+
+    if (/^multipart\//i.test(contentType)) {
+        const boundary = /boundary="?([^";]+)"?/i.exec(contentType)?.[1];
+        if (!boundary) return null;
+
+        const parts = body.split(`--${boundary}`).slice(1);
+        for (const part of parts) {
+            // The closing delimiter ends the parts
+            if (part.startsWith('--')) break;
+            const text = extractTextBody(part.replace(/^\r?\n/, ''));
+            if (text !== null) return text;
+        }
+        return null;
+    }
+
+    if (!/^text\/plain/i.test(contentType)) return null;
+    return decodeTransferEncoding(body, headers['content-transfer-encoding']).trim();
+}
+
+module.exports = {
+    getContactMailer,
+    setContactMailer,
+    getInboundMailStore,
+    setInboundMailStore,
+    createReplyToken,
+    buildReplyAddress,
+    parseReplyToken,
+    buildContactEmail,
+    buildReplyEmail,
+    extractTextBody,
+    LocalContactMailer,
+    SesContactMailer,
+    LocalInboundMailStore,
+    S3InboundMailStore
+};
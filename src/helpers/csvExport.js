@@ -0,0 +1,165 @@
+// csvExport.js - Seawater Climate Risk Platform
+// Stable-schema CSV export of property risk assessments
+
+const { kilometersToMiles, squareFeetToSquareMeters } = require('../backend/utils/unitConversions');
+const { EXPORT_UNITS, EXPORT_HAZARDS, EXPORT_COLUMN_KEYS } = require('./csvExportColumns');
+
+// Rows fetched from the source per page while building the CSV
+const EXPORT_PAGE_SIZE = 500;
+
+const HAZARD_SCORE_COLUMNS = Object.fromEntries(EXPORT_HAZARDS.map(hazard => [
+    `${hazard}_risk_score`,
+    { header: `${hazard}_risk_score`, value: record => record[`${hazard}_risk_score`] }
+]));
+
+// Header and value of each column; the output order is EXPORT_COLUMN_KEYS
+const COLUMN_DEFINITIONS = {
+    property_id: { header: 'property_id', value: record => record.property_id },
+    address: { header: 'address', value: record => record.address },
+    city: { header: 'city', value: record => record.city },
+    state: { header: 'state', value: record => record.state },
+    zip_code: { header: 'zip_code', value: record => record.zip_code },
+    latitude: { header: 'latitude', value: record => toNumber(record.latitude) },
+    longitude: { header: 'longitude', value: record => toNumber(record.longitude) },
+    overall_risk_score: { header: 'overall_risk_score', value: record => record.overall_risk_score },
+    ...HAZARD_SCORE_COLUMNS,
+    confidence_level: { header: 'confidence_level', value: record => toNumber(record.confidence_level) },
+    data_sources: {
+        header: 'data_sources',
+        value: record => Array.isArray(record.data_sources) ? record.data_sources.join(';') : record.data_sources
+    },
+    assessment_date: {
+        header: 'assessment_date',
+        value: record => record.assessment_date ? new Date(record.assessment_date).toISOString() : null
+    },
+    distance: {
+        header: units => units === 'metric' ? 'distance_km' : 'distance_mi',
+        value: (record, units) => {
+            const meters = toNumber(record.distance_meters);
+            if (meters === null) return null;
+            const kilometers = Math.round(meters / 100) / 10;
+            return units === 'metric' ? kilometers : kilometersToMiles(kilometers);
+        }
+    },
+    floor_area: {
+        header: units => units === 'metric' ? 'floor_area_m2' : 'floor_area_sqft',
+        value: (record, units) => {
+            const squareFeet = toNumber(record.square_feet);
+            if (squareFeet === null) return null;
+            return units === 'metric' ? squareFeetToSquareMeters(squareFeet) : squareFeet;
+        }
+    }
+};
+
+const EXPORT_COLUMNS = EXPORT_COLUMN_KEYS.map(key => ({ key, ...COLUMN_DEFINITIONS[key] }));
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Resolve requested column keys to column definitions in canonical order
+ * @param {Array<string>|null} columnKeys - Validated column keys, or null for all columns
+ */
+function selectColumns(columnKeys = null) {
+    if (!columnKeys || columnKeys.length === 0) {
+        return EXPORT_COLUMNS;
+    }
+    return EXPORT_COLUMNS.filter(column => columnKeys.includes(column.key));
+}
+
+/**
+ * Escape a single CSV field (RFC 4180)
+ * Text starting with a formula character is prefixed with a quote so spreadsheets do not evaluate it
+ */
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(value);
+
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+        text = `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+function formatCsvHeader(columns, units) {
+    return columns
+        .map(column => typeof column.header === 'function' ? column.header(units) : column.header)
+        .join(',') + '\r\n';
+}
+
+function formatCsvRow(record, columns, units) {
+    return columns
+        .map(column => escapeCsvValue(column.value(record, units)))
+        .join(',') + '\r\n';
+}
+
+/**
+ * Flatten a stored bulk job item result ({ property, risk_assessment }) into an export record
+ */
+function flattenAssessmentResult(result) {
+    const property = result?.property || {};
+    const assessment = result?.risk_assessment || {};
+
+    return {
+        ...assessment,
+        property_id: property.id,
+        address: property.address,
+        city: property.city,
+        state: property.state,
+        zip_code: property.zip_code,
+        latitude: property.latitude,
+        longitude: property.longitude,
+        square_feet: property.square_feet
+    };
+}
+
+/**
+ * Build a CSV export page by page
+ * Only one page of records is held at a time; each yielded chunk is the CSV text for that page.
+ * @param {Function} fetchPage - async (offset, limit) => Array of export records
+ * @param {Object} options - { columns, units, maxRows }
+ * @yields {Object} { chunk, rowCount, truncated }
+ */
+async function* streamAssessmentsCsv(fetchPage, { columns = null, units = 'imperial', maxRows = 10000 } = {}) {
+    const selectedColumns = selectColumns(columns);
+    yield { chunk: formatCsvHeader(selectedColumns, units), rowCount: 0, truncated: false };
+
+    let offset = 0;
+    while (offset < maxRows) {
+        const limit = Math.min(EXPORT_PAGE_SIZE, maxRows - offset);
+        const records = await fetchPage(offset, limit);
+        if (records.length === 0) return;
+
+        yield {
+            chunk: records.map(record => formatCsvRow(record, selectedColumns, units)).join(''),
+            rowCount: records.length,
+            truncated: false
+        };
+
+        offset += records.length;
+        if (records.length < limit) return;
+    }
+
+    // Row cap reached; report whether anything was left behind
+    const remaining = await fetchPage(offset, 1);
+    if (remaining.length > 0) {
+        yield { chunk: '', rowCount: 0, truncated: true };
+    }
+}
+
+module.exports = {
+    EXPORT_COLUMNS,
+    EXPORT_COLUMN_KEYS,
+    EXPORT_UNITS,
+    selectColumns,
+    escapeCsvValue,
+    flattenAssessmentResult,
+    streamAssessmentsCsv
+};
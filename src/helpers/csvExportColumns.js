@@ -0,0 +1,47 @@
+// csvExportColumns.js - Seawater Climate Risk Platform
+// CSV export schema keys and unit systems, kept free of dependencies so request validation can import them
+
+const EXPORT_UNITS = ['imperial', 'metric'];
+
+const EXPORT_HAZARDS = [
+    'flood', 'wildfire', 'heat', 'tornado', 'hurricane', 'earthquake', 'drought', 'hail',
+    'landslide', 'volcanic'
+];
+
+/**
+ * Export column keys in their fixed output order
+ * Requested columns are always written in this order, and headers only change with the unit system,
+ * so files from different exports line up column for column. Columns added later are appended after
+ * floor_area so existing consumers keep their column positions.
+ */
+const EXPORT_COLUMN_KEYS = [
+    'property_id',
+    'address',
+    'city',
+    'state',
+    'zip_code',
+    'latitude',
+    'longitude',
+    'overall_risk_score',
+    'flood_risk_score',
+    'wildfire_risk_score',
+    'heat_risk_score',
+    'tornado_risk_score',
+    'hurricane_risk_score',
+    'earthquake_risk_score',
+    'drought_risk_score',
+    'confidence_level',
+    'data_sources',
+    'assessment_date',
+    'distance',
+    'floor_area',
+    'hail_risk_score',
+    'landslide_risk_score',
+    'volcanic_risk_score'
+];
+
+module.exports = {
+    EXPORT_UNITS,
+    EXPORT_HAZARDS,
+    EXPORT_COLUMN_KEYS
+};
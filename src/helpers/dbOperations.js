@@ -1,38 +1,1464 @@
+// dbOperations.js - Seawater Climate Risk Platform
+// PostgreSQL + PostGIS repository layer following Tim-Combo patterns
+
+const crypto = require('crypto');
+const { getClient } = require('./dbClient');
+const { DatabaseError } = require('./errorHandler');
+const { hashApiKey } = require('./apiKeys');
+const { getRequestOwnerId } = require('./ownerIdentity');
+
 /**
- * Database Operations Mock for Equilateral AI Agent System
- * 
- * **Developed by Equilateral AI (Pareidolia LLC)**
- * 
- * Mock database operations for standalone agent testing
+ * Wrap a pg error so the error handler can map constraint violations to status codes
  */
+const toDatabaseError = (error) => {
+    if (error instanceof DatabaseError) {
+        return error;
+    }
+    return new DatabaseError(error.message, error.code || null, error.constraint || null);
+};
 
 /**
- * Mock database query execution
- * In production environments, this would connect to actual databases
+ * Execute a parameterized query on a pooled client
  */
 const executeQuery = async (query, params = []) => {
-    console.warn('⚠️  Mock database operation - no actual database connected');
-    console.log('Query:', query);
-    console.log('Parameters:', params);
-    
-    // Return mock success response
+    const client = await getClient();
+    try {
+        return await client.query(query, params);
+    } catch (error) {
+        throw toDatabaseError(error);
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Run a callback inside a transaction on a single pooled client
+ * The callback receives a query(sql, params) function bound to that client;
+ * the transaction commits when it resolves and rolls back when it throws.
+ */
+const withTransaction = async (callback) => {
+    const client = await getClient();
+    try {
+        await client.query('BEGIN');
+        const result = await callback((query, params = []) => client.query(query, params));
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        try {
+            await client.query('ROLLBACK');
+        } catch (rollbackError) {
+            console.error('Transaction rollback failed:', rollbackError.message);
+        }
+        throw toDatabaseError(error);
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * SHA-256 address hash matching the calculate_address_hash trigger
+ */
+const hashAddress = (address) => {
+    const normalized = String(address).replace(/\s+/g, ' ').trim().toUpperCase();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+const PROPERTY_COLUMNS = `
+    p.id, p.raw_address AS address, p.normalized_address, p.address_hash,
+    p.city, st.state_code AS state, z.zip_code, p.state_id, p.county_id, p.census_tract_id, p.zip_code_id,
+    p.latitude, p.longitude, p.geocoding_confidence, p.geocoding_source, p.geocoding_date,
+    p.property_type, p.year_built, p.square_feet, p.stories, p.basement,
+    p.created_at, p.updated_at`;
+
+const PROPERTY_JOINS = `
+    LEFT JOIN states st ON st.id = p.state_id
+    LEFT JOIN zip_codes z ON z.id = p.zip_code_id`;
+
+const RISK_SCORE_FIELDS = [
+    'overall_risk_score',
+    'flood_risk_score',
+    'wildfire_risk_score',
+    'heat_risk_score',
+    'tornado_risk_score',
+    'hurricane_risk_score',
+    'earthquake_risk_score',
+    'drought_risk_score',
+    'hail_risk_score',
+    'landslide_risk_score',
+    'volcanic_risk_score'
+];
+
+/**
+ * Find a property by address, matching its normalized address or a stored alias
+ */
+const findPropertyByAddress = async (address) => {
+    if (!address) {
+        return null;
+    }
+
+    const addressHash = hashAddress(address);
+    const result = await executeQuery(
+        `SELECT ${PROPERTY_COLUMNS}
+         FROM properties p
+         ${PROPERTY_JOINS}
+         WHERE p.address_hash = $1
+            OR p.id = (SELECT property_id FROM property_aliases WHERE alias_hash = $1)
+         LIMIT 1`,
+        [addressHash]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Get a property by id
+ */
+const getPropertyById = async (propertyId) => {
+    const result = await executeQuery(
+        `SELECT ${PROPERTY_COLUMNS}
+         FROM properties p
+         ${PROPERTY_JOINS}
+         WHERE p.id = $1`,
+        [propertyId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Insert a geocoded property or refresh the existing row for the same normalized address
+ * State and ZIP are resolved from the geocoder context, falling back to the boundary
+ * containing the point; county and census tract come from point-in-polygon lookups.
+ * The submitted address is kept as an alias so later lookups by the same input skip geocoding.
+ */
+const upsertProperty = async ({
+    address,
+    normalizedAddress,
+    latitude,
+    longitude,
+    context = {},
+    geocodingAccuracy = null,
+    geocodingSource = null,
+    confidence = null,
+    propertyType = null,
+    yearBuilt = null,
+    squareFeet = null
+}) => {
+    const normalized = String(normalizedAddress || address).replace(/\s+/g, ' ').trim();
+    const addressHash = hashAddress(normalized);
+    const geocodingConfidence = confidence ?? geocodingAccuracy;
+
+    const propertyId = await withTransaction(async (query) => {
+        const locationResult = await query(
+            `SELECT
+                COALESCE(
+                    (SELECT id FROM states WHERE state_code = UPPER($3)),
+                    (SELECT id FROM states WHERE ST_Covers(geom, ST_SetSRID(ST_MakePoint($2, $1), 4326)) LIMIT 1)
+                ) AS state_id,
+                (SELECT id FROM counties WHERE ST_Covers(geom, ST_SetSRID(ST_MakePoint($2, $1), 4326)) LIMIT 1) AS county_id,
+                (SELECT id FROM census_tracts WHERE ST_Covers(geom, ST_SetSRID(ST_MakePoint($2, $1), 4326)) LIMIT 1) AS census_tract_id,
+                COALESCE(
+                    (SELECT id FROM zip_codes WHERE zip_code = $4),
+                    (SELECT id FROM zip_codes WHERE ST_Covers(geom, ST_SetSRID(ST_MakePoint($2, $1), 4326)) LIMIT 1)
+                ) AS zip_code_id`,
+            [latitude, longitude, context.stateCode || null, context.zipCode || null]
+        );
+        const {
+            state_id: stateId,
+            county_id: countyId,
+            census_tract_id: censusTractId,
+            zip_code_id: zipCodeId
+        } = locationResult.rows[0];
+
+        if (!stateId) {
+            throw new DatabaseError(
+                `Unable to resolve state for property at ${latitude},${longitude}`,
+                'STATE_NOT_RESOLVED'
+            );
+        }
+
+        const propertyResult = await query(
+            `INSERT INTO properties (
+                raw_address, normalized_address, address_hash, city, state_id, county_id, census_tract_id, zip_code_id,
+                latitude, longitude, location, geocoding_confidence, geocoding_source, geocoding_date,
+                property_type, year_built, square_feet
+             ) VALUES (
+                $1, $2, $3, $4, $5, $6, $7, $8,
+                $9, $10, ST_SetSRID(ST_MakePoint($10, $9), 4326), $11, $12, NOW(),
+                $13, $14, $15
+             )
+             ON CONFLICT (address_hash) DO UPDATE SET
+                raw_address = EXCLUDED.raw_address,
+                city = COALESCE(NULLIF(EXCLUDED.city, ''), properties.city),
+                state_id = EXCLUDED.state_id,
+                county_id = COALESCE(EXCLUDED.county_id, properties.county_id),
+                census_tract_id = COALESCE(EXCLUDED.census_tract_id, properties.census_tract_id),
+                zip_code_id = COALESCE(EXCLUDED.zip_code_id, properties.zip_code_id),
+                latitude = EXCLUDED.latitude,
+                longitude = EXCLUDED.longitude,
+                location = EXCLUDED.location,
+                geocoding_confidence = EXCLUDED.geocoding_confidence,
+                geocoding_source = EXCLUDED.geocoding_source,
+                geocoding_date = NOW(),
+                property_type = COALESCE(EXCLUDED.property_type, properties.property_type),
+                year_built = COALESCE(EXCLUDED.year_built, properties.year_built),
+                square_feet = COALESCE(EXCLUDED.square_feet, properties.square_feet),
+                updated_at = NOW()
+             RETURNING id`,
+            [
+                address || normalized,
+                normalized,
+                addressHash,
+                context.city || '',
+                stateId,
+                countyId,
+                censusTractId,
+                zipCodeId,
+                latitude,
+                longitude,
+                geocodingConfidence,
+                geocodingSource,
+                propertyType,
+                yearBuilt,
+                squareFeet
+            ]
+        );
+        const id = propertyResult.rows[0].id;
+
+        if (address && hashAddress(address) !== addressHash) {
+            await query(
+                `INSERT INTO property_aliases (property_id, alias_address, alias_hash, source)
+                 VALUES ($1, $2, $3, 'user_input')
+                 ON CONFLICT (alias_hash) DO NOTHING`,
+                [id, address, hashAddress(address)]
+            );
+        }
+
+        return id;
+    });
+
+    return getPropertyById(propertyId);
+};
+
+/**
+ * Get the latest risk assessment for a property
+ * expires_at mirrors cache_expires_at; callers regenerate once it has passed.
+ */
+const getCurrentRiskAssessment = async (propertyId) => {
+    const result = await executeQuery(
+        `SELECT ra.*, ra.cache_expires_at AS expires_at
+         FROM risk_assessments ra
+         WHERE ra.property_id = $1
+         ORDER BY ra.assessment_date DESC
+         LIMIT 1`,
+        [propertyId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Store a new risk assessment for a property
+ * Assessments are appended rather than overwritten so history and trends keep earlier scores.
+ * Fields without a column (primary_risks, last_updated) are carried through on the returned row.
+ */
+const upsertRiskAssessment = async ({
+    propertyId,
+    assessmentVersion = '1.0',
+    expiresAt,
+    confidence_level: confidenceLevel = null,
+    data_sources: dataSources = [],
+    social_vulnerability_score: socialVulnerabilityScore = null,
+    community_resilience_score: communityResilienceScore = null,
+    sea_level_rise_risk_score: seaLevelRiseRiskScore = null,
+    sea_level_rise: seaLevelRise = null,
+    drought_assessment: droughtAssessment = null,
+    ...riskData
+}) => {
+    const scores = RISK_SCORE_FIELDS.map(field => {
+        const score = riskData[field];
+        return score === null || score === undefined || isNaN(score)
+            ? null
+            : Math.max(0, Math.min(100, Math.round(score)));
+    });
+
+    const result = await executeQuery(
+        `INSERT INTO risk_assessments (
+            property_id, assessment_version, data_sources, cache_expires_at, confidence_level,
+            ${RISK_SCORE_FIELDS.join(', ')},
+            social_vulnerability_score, community_resilience_score,
+            sea_level_rise_risk_score, sea_level_rise, drought_assessment
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
+         RETURNING *, cache_expires_at AS expires_at`,
+        [
+            propertyId,
+            assessmentVersion,
+            dataSources || [],
+            expiresAt,
+            confidenceLevel,
+            ...scores,
+            socialVulnerabilityScore,
+            communityResilienceScore,
+            seaLevelRiseRiskScore === null || isNaN(seaLevelRiseRiskScore)
+                ? null
+                : Math.max(0, Math.min(100, Math.round(seaLevelRiseRiskScore))),
+            seaLevelRise ? JSON.stringify(seaLevelRise) : null,
+            droughtAssessment ? JSON.stringify(droughtAssessment) : null
+        ]
+    );
+
     return {
-        rows: [],
-        rowCount: 0,
-        command: 'SELECT',
-        fields: []
+        primary_risks: riskData.primary_risks,
+        last_updated: riskData.last_updated,
+        ...result.rows[0]
     };
 };
 
 /**
- * Mock transaction wrapper
+ * Find properties within a radius with their latest risk assessment
  */
-const withTransaction = async (callback) => {
-    console.warn('⚠️  Mock transaction - no actual database connected');
-    return await callback(executeQuery);
+const findPropertiesWithinRadius = async (latitude, longitude, radiusMeters, {
+    riskThreshold = null,
+    propertyType = null,
+    limit = 100
+} = {}) => {
+    const result = await executeQuery(
+        `SELECT p.id, p.raw_address AS address, p.normalized_address, p.latitude, p.longitude,
+                p.city, st.state_code AS state, z.zip_code, p.property_type,
+                ST_Distance(p.location::geography, ST_SetSRID(ST_MakePoint($2, $1), 4326)::geography) AS distance_meters,
+                ra.overall_risk_score, ra.flood_risk_score, ra.wildfire_risk_score, ra.heat_risk_score,
+                ra.tornado_risk_score, ra.hurricane_risk_score, ra.earthquake_risk_score, ra.drought_risk_score,
+                ra.hail_risk_score, ra.landslide_risk_score, ra.volcanic_risk_score
+         FROM properties p
+         ${PROPERTY_JOINS}
+         JOIN LATERAL (
+             SELECT *
+             FROM risk_assessments
+             WHERE property_id = p.id
+             ORDER BY assessment_date DESC
+             LIMIT 1
+         ) ra ON TRUE
+         WHERE ST_DWithin(p.location::geography, ST_SetSRID(ST_MakePoint($2, $1), 4326)::geography, $3)
+           AND ($4::int IS NULL OR ra.overall_risk_score >= $4)
+           AND ($5::text IS NULL OR p.property_type = $5)
+         ORDER BY distance_meters, p.id
+         LIMIT $6`,
+        [latitude, longitude, radiusMeters, riskThreshold, propertyType, limit]
+    );
+    return result.rows;
+};
+
+/**
+ * Find the current NFHL flood zone and FIRM panel containing a point
+ * Always returns a row; zone columns are null outside the imported zones. Where zones
+ * overlap, the Special Flood Hazard Area and coastal (V) zones take precedence.
+ */
+const findFloodZoneAtPoint = async (latitude, longitude) => {
+    const result = await executeQuery(
+        `SELECT fz.id AS flood_zone_id, fz.zone_code, fz.zone_subtype, fz.zone_description,
+                fz.insurance_required, fz.base_flood_elevation, fz.community_id,
+                COALESCE(pan.panel_number, fz.panel_number) AS panel_number,
+                COALESCE(pan.effective_date, fz.effective_date) AS effective_date
+         FROM (SELECT ST_SetSRID(ST_MakePoint($2, $1), 4326) AS pt) p
+         LEFT JOIN LATERAL (
+             SELECT *
+             FROM flood_zones
+             WHERE superseded_at IS NULL
+               AND ST_Covers(geom, p.pt)
+             ORDER BY insurance_required DESC, zone_code LIKE 'V%' DESC, base_flood_elevation DESC NULLS LAST, id
+             LIMIT 1
+         ) fz ON TRUE
+         LEFT JOIN LATERAL (
+             SELECT panel_number, effective_date
+             FROM flood_map_panels
+             WHERE ST_Covers(geom, p.pt)
+             ORDER BY effective_date DESC NULLS LAST
+             LIMIT 1
+         ) pan ON TRUE`,
+        [latitude, longitude]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Building codes in force at a point, most specific jurisdiction first
+ * Jurisdictions without a boundary polygon match through their county or state.
+ * Within a jurisdiction, codes of each type are ordered newest first.
+ */
+const findBuildingCodesAtPoint = async (latitude, longitude) => {
+    const result = await executeQuery(
+        `WITH pt AS (
+             SELECT ST_SetSRID(ST_MakePoint($2, $1), 4326) AS geom
+         ), located AS (
+             SELECT (SELECT s.id FROM states s, pt WHERE ST_Covers(s.geom, pt.geom) LIMIT 1) AS state_id,
+                    (SELECT c.id FROM counties c, pt WHERE ST_Covers(c.geom, pt.geom) LIMIT 1) AS county_id
+         )
+         SELECT j.id AS jurisdiction_id, j.jurisdiction_name, j.jurisdiction_type,
+                bc.id AS building_code_id, bc.code_type, bc.code_name, bc.code_edition,
+                bc.adoption_date, bc.effective_date, bc.enforcement_level,
+                bc.bcat_score, bc.bcat_assessment_date,
+                bc.inspection_required, bc.permit_required, bc.special_provisions
+         FROM building_code_jurisdictions j
+         JOIN building_codes bc ON bc.jurisdiction_id = j.id
+         CROSS JOIN pt
+         CROSS JOIN located l
+         WHERE bc.effective_date <= CURRENT_DATE
+           AND (
+               ST_Covers(j.geom, pt.geom)
+               OR (j.geom IS NULL AND j.jurisdiction_type = 'county' AND j.county_id = l.county_id)
+               OR (j.geom IS NULL AND j.jurisdiction_type = 'state' AND j.state_id = l.state_id)
+           )
+         ORDER BY CASE j.jurisdiction_type WHEN 'municipality' THEN 1 WHEN 'county' THEN 2 ELSE 3 END,
+                  j.id, bc.code_type, bc.effective_date DESC`,
+        [latitude, longitude]
+    );
+    return result.rows;
+};
+
+/**
+ * Weekly US Drought Monitor categories of one grid cell, written by scripts/import-usdm-drought.js
+ */
+const findDroughtMonitorCell = async (gridRow, gridCol) => {
+    const result = await executeQuery(
+        `SELECT grid_row, grid_col, first_week::text AS first_week, categories, updated_at
+         FROM drought_monitor_cells
+         WHERE grid_row = $1 AND grid_col = $2`,
+        [gridRow, gridCol]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * SPC storm reports of one type whose track or location falls within a bounding box
+ * @param {string} reportType - 'tornado' or 'hail'
+ * @param {Array} bounds - [minLon, minLat, maxLon, maxLat]
+ */
+const findStormReportsInBounds = async (reportType, [minLon, minLat, maxLon, maxLat]) => {
+    const result = await executeQuery(
+        `SELECT report_type, report_year, report_date::text AS report_date, magnitude,
+                start_lat, start_lon, end_lat, end_lon, length_km, width_m
+         FROM storm_reports
+         WHERE report_type = $1
+           AND geom && ST_MakeEnvelope($2, $3, $4, $5, 4326)`,
+        [reportType, minLon, minLat, maxLon, maxLat]
+    );
+    return result.rows;
+};
+
+/**
+ * First and last year of the imported storm reports of one type; null years when none are imported
+ */
+const getStormReportPeriod = async (reportType) => {
+    const result = await executeQuery(
+        `SELECT MIN(report_year) AS first_year, MAX(report_year) AS last_year
+         FROM storm_reports
+         WHERE report_type = $1`,
+        [reportType]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Record a property's flood zone determination
+ * One row per zone and effective date, refreshed when the property is assessed again. A panel
+ * without an effective date keeps a single null-dated row rather than one row per assessment day.
+ */
+const upsertPropertyFloodZone = async ({
+    propertyId,
+    floodZoneId,
+    zoneCode,
+    baseFloodElevation = null,
+    panelNumber = null,
+    insuranceRequired,
+    effectiveDate = null,
+    assignmentMethod = 'spatial_intersection',
+    confidence = null
+}) => {
+    const result = await executeQuery(
+        `INSERT INTO property_flood_zones (
+            property_id, flood_zone_id, zone_code, base_flood_elevation, panel_number,
+            insurance_required, effective_date, assignment_method, confidence
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7::date, $8, $9)
+         ON CONFLICT (property_id, flood_zone_id, effective_date) DO UPDATE SET
+            zone_code = EXCLUDED.zone_code,
+            base_flood_elevation = EXCLUDED.base_flood_elevation,
+            panel_number = EXCLUDED.panel_number,
+            insurance_required = EXCLUDED.insurance_required,
+            assignment_method = EXCLUDED.assignment_method,
+            confidence = EXCLUDED.confidence,
+            updated_at = NOW()
+         RETURNING *`,
+        [propertyId, floodZoneId, zoneCode, baseFloodElevation, panelNumber, insuranceRequired, effectiveDate, assignmentMethod, confidence]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Record a billable API call in usage_logs
+ * Failures are logged and swallowed so usage tracking never fails the request it describes.
+ * The raw API key is resolved to its api_keys row by hash and never stored.
+ */
+const trackApiUsage = async ({
+    userId = null,
+    apiKeyId = null,
+    endpoint,
+    httpMethod,
+    statusCode = 200,
+    propertyCount = 0,
+    billableRequest = true,
+    cost = 0,
+    userAgent = null,
+    ipAddress = null
+}) => {
+    try {
+        const ownerId = getRequestOwnerId({ user: userId ? { sub: userId } : null, apiKey: apiKeyId });
+
+        await executeQuery(
+            `INSERT INTO usage_logs (
+                user_id, api_key_id, owner_id, action_type,
+                endpoint, http_method, status_code, property_count,
+                billable, cost_cents, cost_usd, user_agent, ip_address
+             ) VALUES (
+                (SELECT id FROM users WHERE cognito_user_id = $1),
+                (SELECT id FROM api_keys WHERE key_hash = $2),
+                $3, 'api_call',
+                $4, $5, $6, $7,
+                $8, ROUND($9::numeric * 100)::int, $9, $10, $11
+             )`,
+            [
+                userId,
+                apiKeyId ? hashApiKey(apiKeyId) : null,
+                ownerId,
+                endpoint,
+                httpMethod,
+                statusCode,
+                propertyCount,
+                billableRequest,
+                cost || 0,
+                userAgent,
+                ipAddress || null
+            ]
+        );
+    } catch (error) {
+        console.error('Failed to track API usage:', {
+            error: error.message,
+            endpoint,
+            httpMethod
+        });
+    }
+};
+/**
+ * Find a property by its SHA-256 address hash
+ */
+const findPropertyByAddressHash = async (addressHash) => {
+    const result = await executeQuery(
+        `SELECT id, raw_address AS address, normalized_address, address_hash,
+                latitude, longitude, city, property_type, year_built
+         FROM properties
+         WHERE address_hash = $1`,
+        [addressHash]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Get stored risk trend rows for a property, ordered by year
+ */
+const getRiskTrends = async (propertyId, { startYear = 1950, endYear = 2100, scenarios = null } = {}) => {
+    const result = await executeQuery(
+        `SELECT trend_year, trend_type, scenario,
+                flood_score, wildfire_score, heat_score, tornado_score, hurricane_score,
+                confidence_lower, confidence_upper, data_source, created_at
+         FROM risk_trends
+         WHERE property_id = $1
+           AND trend_year BETWEEN $2 AND $3
+           AND (trend_type = 'historical' OR $4::text[] IS NULL OR scenario = ANY($4))
+         ORDER BY trend_year, trend_type, scenario`,
+        [propertyId, startYear, endYear, scenarios]
+    );
+    return result.rows;
+};
+
+/**
+ * Insert or refresh risk trend rows in a single transaction
+ */
+const upsertRiskTrends = async (propertyId, trendRows) => {
+    if (!trendRows || trendRows.length === 0) {
+        return 0;
+    }
+
+    return withTransaction(async (query) => {
+        for (const row of trendRows) {
+            await query(
+                `INSERT INTO risk_trends (
+                    property_id, trend_year, trend_type, scenario,
+                    flood_score, wildfire_score, heat_score, tornado_score, hurricane_score,
+                    confidence_lower, confidence_upper, data_source
+                 ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                 ON CONFLICT (property_id, trend_year, trend_type, scenario, data_source)
+                 DO UPDATE SET
+                    flood_score = EXCLUDED.flood_score,
+                    wildfire_score = EXCLUDED.wildfire_score,
+                    heat_score = EXCLUDED.heat_score,
+                    tornado_score = EXCLUDED.tornado_score,
+                    hurricane_score = EXCLUDED.hurricane_score,
+                    confidence_lower = EXCLUDED.confidence_lower,
+                    confidence_upper = EXCLUDED.confidence_upper`,
+                [
+                    propertyId,
+                    row.trend_year,
+                    row.trend_type,
+                    row.scenario,
+                    row.flood_score,
+                    row.wildfire_score,
+                    row.heat_score,
+                    row.tornado_score,
+                    row.hurricane_score,
+                    row.confidence_lower,
+                    row.confidence_upper,
+                    row.data_source
+                ]
+            );
+        }
+        return trendRows.length;
+    });
+};
+
+/**
+ * Create a bulk analysis job and one pending item per address
+ */
+const createBulkJob = async ({ ownerId, subscriptionTier, riskTypes, options = {}, addresses, propertyAttributes = [] }) => {
+    return withTransaction(async (query) => {
+        const jobResult = await query(
+            `INSERT INTO bulk_analysis_jobs (owner_id, subscription_tier, risk_types, options, total_items)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING *`,
+            [ownerId, subscriptionTier, riskTypes, JSON.stringify(options), addresses.length]
+        );
+        const job = jobResult.rows[0];
+
+        await query(
+            `INSERT INTO bulk_analysis_job_items (job_id, item_index, address, property_attributes)
+             SELECT $1, item.ordinality - 1, item.address, item.attributes
+             FROM unnest($2::text[], $3::jsonb[]) WITH ORDINALITY AS item(address, attributes, ordinality)`,
+            [job?.id, addresses, addresses.map((address, index) => (
+                propertyAttributes[index] ? JSON.stringify(propertyAttributes[index]) : null
+            ))]
+        );
+
+        return job;
+    });
+};
+
+/**
+ * Get a bulk analysis job by id
+ */
+const getBulkJob = async (jobId) => {
+    const result = await executeQuery(
+        `SELECT * FROM bulk_analysis_jobs WHERE id = $1`,
+        [jobId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Get a page of job items, optionally filtered by status
+ */
+const getBulkJobItems = async (jobId, { status = null, offset = 0, limit = 100 } = {}) => {
+    const result = await executeQuery(
+        `SELECT item_index, address, status, property_id, result, error_message, retryable,
+                attempts, completed_at
+         FROM bulk_analysis_job_items
+         WHERE job_id = $1
+           AND ($2::text IS NULL OR status = $2)
+         ORDER BY item_index
+         OFFSET $3 LIMIT $4`,
+        [jobId, status, offset, limit]
+    );
+    return result.rows;
+};
+
+/**
+ * Mark a job as picked up by a worker; returns null if it is already finished
+ */
+const markBulkJobStarted = async (jobId) => {
+    const result = await executeQuery(
+        `UPDATE bulk_analysis_jobs
+         SET status = 'processing',
+             started_at = COALESCE(started_at, NOW()),
+             attempts = attempts + 1,
+             last_heartbeat_at = NOW(),
+             updated_at = NOW()
+         WHERE id = $1 AND status IN ('queued', 'processing')
+         RETURNING *`,
+        [jobId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Return items claimed by a worker that never finished them to the pending pool
+ */
+const releaseStaleBulkJobItems = async (jobId, staleSeconds) => {
+    const result = await executeQuery(
+        `UPDATE bulk_analysis_job_items
+         SET status = 'pending', updated_at = NOW()
+         WHERE job_id = $1
+           AND status = 'processing'
+           AND claimed_at < NOW() - make_interval(secs => $2)`,
+        [jobId, staleSeconds]
+    );
+    return result.rowCount;
+};
+
+/**
+ * Claim the next pending items of a job in submission order
+ */
+const claimBulkJobItems = async (jobId, limit) => {
+    const result = await executeQuery(
+        `UPDATE bulk_analysis_job_items
+         SET status = 'processing', claimed_at = NOW(), attempts = attempts + 1, updated_at = NOW()
+         WHERE id IN (
+             SELECT id FROM bulk_analysis_job_items
+             WHERE job_id = $1 AND status = 'pending'
+             ORDER BY item_index
+             LIMIT $2
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING id, item_index, address, property_attributes, attempts`,
+        [jobId, limit]
+    );
+    return result.rows.sort((a, b) => a.item_index - b.item_index);
+};
+
+/**
+ * Record a successful job item
+ */
+const completeBulkJobItem = async (itemId, { propertyId, result }) => {
+    await executeQuery(
+        `UPDATE bulk_analysis_job_items
+         SET status = 'completed', property_id = $2, result = $3, error_message = NULL,
+             completed_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [itemId, propertyId, JSON.stringify(result)]
+    );
+};
+
+/**
+ * Record a failed job item; retryable failures go back to pending
+ */
+const failBulkJobItem = async (itemId, errorMessage, retry = false) => {
+    await executeQuery(
+        `UPDATE bulk_analysis_job_items
+         SET status = $2, error_message = $3, retryable = $4,
+             completed_at = CASE WHEN $2 = 'failed' THEN NOW() ELSE NULL END,
+             updated_at = NOW()
+         WHERE id = $1`,
+        [itemId, retry ? 'pending' : 'failed', errorMessage, retry]
+    );
+};
+
+/**
+ * Recompute job progress counters from its items and record a worker heartbeat
+ */
+const refreshBulkJobProgress = async (jobId) => {
+    const result = await executeQuery(
+        `UPDATE bulk_analysis_jobs AS job
+         SET processed_items = counts.completed + counts.failed,
+             successful_items = counts.completed,
+             failed_items = counts.failed,
+             last_heartbeat_at = NOW(),
+             updated_at = NOW()
+         FROM (
+             SELECT COUNT(*) FILTER (WHERE status = 'completed') AS completed,
+                    COUNT(*) FILTER (WHERE status = 'failed') AS failed
+             FROM bulk_analysis_job_items
+             WHERE job_id = $1
+         ) AS counts
+         WHERE job.id = $1
+         RETURNING job.*`,
+        [jobId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Move a job to a terminal status
+ */
+const finishBulkJob = async (jobId, status, errorMessage = null) => {
+    const result = await executeQuery(
+        `UPDATE bulk_analysis_jobs
+         SET status = $2, error_message = $3, completed_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND status IN ('queued', 'processing')
+         RETURNING *`,
+        [jobId, status, errorMessage]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Find unfinished jobs whose worker has not reported progress recently
+ */
+const findStalledBulkJobs = async (staleSeconds, limit = 50) => {
+    const result = await executeQuery(
+        `SELECT id, status, last_heartbeat_at
+         FROM bulk_analysis_jobs
+         WHERE status IN ('queued', 'processing')
+           AND COALESCE(last_heartbeat_at, created_at) < NOW() - make_interval(secs => $1)
+         ORDER BY created_at
+         LIMIT $2`,
+        [staleSeconds, limit]
+    );
+    return result.rows;
+};
+
+/**
+ * Property and latest assessment columns shared by the export queries
+ * Expects properties aliased as p, states as st, zip_codes as z and the latest assessment as ra
+ */
+const EXPORT_ASSESSMENT_COLUMNS = `
+    p.id AS property_id, p.raw_address AS address, p.city, st.state_code AS state, z.zip_code,
+    p.latitude, p.longitude, p.square_feet,
+    ra.overall_risk_score, ra.flood_risk_score, ra.wildfire_risk_score, ra.heat_risk_score,
+    ra.tornado_risk_score, ra.hurricane_risk_score, ra.earthquake_risk_score, ra.drought_risk_score,
+    ra.hail_risk_score, ra.landslide_risk_score, ra.volcanic_risk_score,
+    ra.confidence_level, ra.data_sources, ra.assessment_date`;
+
+const EXPORT_ASSESSMENT_JOINS = `
+    LEFT JOIN states st ON st.id = p.state_id
+    LEFT JOIN zip_codes z ON z.id = p.zip_code_id
+    LEFT JOIN LATERAL (
+        SELECT *
+        FROM risk_assessments
+        WHERE property_id = p.id
+        ORDER BY assessment_date DESC
+        LIMIT 1
+    ) ra ON TRUE`;
+
+/**
+ * Get a page of an owner's saved properties with their latest risk assessment
+ */
+const getSavedPropertyAssessments = async (ownerId, { offset = 0, limit = 500 } = {}) => {
+    const result = await executeQuery(
+        `SELECT ${EXPORT_ASSESSMENT_COLUMNS}
+         FROM saved_properties sp
+         JOIN properties p ON p.id = sp.property_id
+         ${EXPORT_ASSESSMENT_JOINS}
+         WHERE sp.owner_id = $1
+         ORDER BY sp.created_at, sp.id
+         OFFSET $2 LIMIT $3`,
+        [ownerId, offset, limit]
+    );
+    return result.rows;
+};
+
+/**
+ * Get a page of assessed properties within a radius, nearest first
+ * @param {Object} filters - { riskThreshold, propertyType, offset, limit }
+ */
+const getAssessmentsWithinRadius = async (latitude, longitude, radiusMeters, {
+    riskThreshold = null,
+    propertyType = null,
+    offset = 0,
+    limit = 500
+} = {}) => {
+    const result = await executeQuery(
+        `SELECT ${EXPORT_ASSESSMENT_COLUMNS},
+                ST_Distance(p.location::geography, ST_SetSRID(ST_MakePoint($2, $1), 4326)::geography) AS distance_meters
+         FROM properties p
+         ${EXPORT_ASSESSMENT_JOINS}
+         WHERE ST_DWithin(p.location::geography, ST_SetSRID(ST_MakePoint($2, $1), 4326)::geography, $3)
+           AND ra.id IS NOT NULL
+           AND ($4::int IS NULL OR ra.overall_risk_score >= $4)
+           AND ($5::text IS NULL OR p.property_type = $5)
+         ORDER BY distance_meters, p.id
+         OFFSET $6 LIMIT $7`,
+        [latitude, longitude, radiusMeters, riskThreshold, propertyType, offset, limit]
+    );
+    return result.rows;
+};
+
+/**
+ * Create a report status record in the generating state
+ */
+const createPropertyReport = async ({ ownerId, address, reportType, template, options = {} }) => {
+    const result = await executeQuery(
+        `INSERT INTO property_reports (owner_id, address, report_type, template, options)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [ownerId, address, reportType, template, JSON.stringify(options)]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Get a property report status record by id
+ */
+const getPropertyReport = async (reportId) => {
+    const result = await executeQuery(
+        `SELECT * FROM property_reports WHERE id = $1`,
+        [reportId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * List an owner's reports, newest first
+ */
+const listPropertyReports = async (ownerId, { offset = 0, limit = 20 } = {}) => {
+    const result = await executeQuery(
+        `SELECT id, address, property_id, report_type, template, status, error_message,
+                file_size_bytes, page_count, created_at, completed_at, expires_at
+         FROM property_reports
+         WHERE owner_id = $1
+         ORDER BY created_at DESC
+         OFFSET $2 LIMIT $3`,
+        [ownerId, offset, limit]
+    );
+    return result.rows;
+};
+
+/**
+ * Mark a report as picked up by a worker; returns null if it is no longer generating
+ */
+const markPropertyReportStarted = async (reportId) => {
+    const result = await executeQuery(
+        `UPDATE property_reports
+         SET started_at = NOW(), attempts = attempts + 1, updated_at = NOW()
+         WHERE id = $1 AND status = 'generating'
+         RETURNING *`,
+        [reportId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Record a generated report
+ */
+const completePropertyReport = async (reportId, { propertyId, storageKey, fileSizeBytes, pageCount }) => {
+    const result = await executeQuery(
+        `UPDATE property_reports
+         SET status = 'completed', property_id = $2, storage_key = $3, file_size_bytes = $4,
+             page_count = $5, error_message = NULL, completed_at = NOW(), updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [reportId, propertyId, storageKey, fileSizeBytes, pageCount]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Record a report that could not be generated
+ */
+const failPropertyReport = async (reportId, errorMessage) => {
+    await executeQuery(
+        `UPDATE property_reports
+         SET status = 'failed', error_message = $2, completed_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [reportId, errorMessage]
+    );
+};
+
+/**
+ * Find reports still generating whose worker has not finished them
+ */
+const findStalledPropertyReports = async (staleSeconds, limit = 50) => {
+    const result = await executeQuery(
+        `SELECT id, attempts, started_at
+         FROM property_reports
+         WHERE status = 'generating'
+           AND COALESCE(started_at, created_at) < NOW() - make_interval(secs => $1)
+         ORDER BY created_at
+         LIMIT $2`,
+        [staleSeconds, limit]
+    );
+    return result.rows;
+};
+
+/**
+ * Create a webhook subscription
+ */
+const createWebhook = async ({ ownerId, url, description, events, secret, isActive = true }) => {
+    const result = await executeQuery(
+        `INSERT INTO webhooks (owner_id, url, description, events, secret, is_active)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [ownerId, url, description, events, secret, isActive]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Get a webhook by id
+ */
+const getWebhook = async (webhookId) => {
+    const result = await executeQuery(
+        `SELECT * FROM webhooks WHERE id = $1`,
+        [webhookId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * List an owner's webhooks, oldest first
+ */
+const listWebhooks = async (ownerId) => {
+    const result = await executeQuery(
+        `SELECT * FROM webhooks WHERE owner_id = $1 ORDER BY created_at`,
+        [ownerId]
+    );
+    return result.rows;
+};
+
+/**
+ * Update a webhook; fields left undefined keep their current value
+ */
+const updateWebhook = async (webhookId, { url, description, events, isActive, secret }) => {
+    const result = await executeQuery(
+        `UPDATE webhooks
+         SET url = COALESCE($2, url),
+             description = COALESCE($3, description),
+             events = COALESCE($4, events),
+             is_active = COALESCE($5, is_active),
+             secret = COALESCE($6, secret),
+             updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [webhookId, url ?? null, description ?? null, events ?? null, isActive ?? null, secret ?? null]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Delete a webhook and its delivery log
+ */
+const deleteWebhook = async (webhookId) => {
+    const result = await executeQuery(
+        `DELETE FROM webhooks WHERE id = $1`,
+        [webhookId]
+    );
+    return result.rowCount > 0;
+};
+
+/**
+ * Active webhooks of the given owners subscribed to an event type
+ */
+const findSubscribedWebhooks = async (ownerIds, eventType) => {
+    const result = await executeQuery(
+        `SELECT id, owner_id, url
+         FROM webhooks
+         WHERE owner_id = ANY($1) AND is_active AND $2 = ANY(events)`,
+        [ownerIds, eventType]
+    );
+    return result.rows;
+};
+
+/**
+ * Owners who have saved a property
+ */
+const getPropertyWatcherIds = async (propertyId) => {
+    const result = await executeQuery(
+        `SELECT DISTINCT owner_id FROM saved_properties WHERE property_id = $1`,
+        [propertyId]
+    );
+    return result.rows.map(row => row.owner_id);
+};
+
+/**
+ * Record a delivery due immediately
+ */
+const createWebhookDelivery = async ({ webhookId, eventId, eventType, payload, redeliveryOf = null }) => {
+    const result = await executeQuery(
+        `INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload, redelivery_of)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [webhookId, eventId, eventType, JSON.stringify(payload), redeliveryOf]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Get a delivery by id
+ */
+const getWebhookDelivery = async (deliveryId) => {
+    const result = await executeQuery(
+        `SELECT * FROM webhook_deliveries WHERE id = $1`,
+        [deliveryId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * A webhook's delivery log, newest first
+ */
+const listWebhookDeliveries = async (webhookId, { status = null, offset = 0, limit = 50 } = {}) => {
+    const result = await executeQuery(
+        `SELECT id, event_id, event_type, status, attempts, next_attempt_at, response_status,
+                error_message, duration_ms, redelivery_of, created_at, delivered_at
+         FROM webhook_deliveries
+         WHERE webhook_id = $1
+           AND ($2::text IS NULL OR status = $2)
+         ORDER BY created_at DESC
+         OFFSET $3 LIMIT $4`,
+        [webhookId, status, offset, limit]
+    );
+    return result.rows;
+};
+
+/**
+ * Claim a due delivery for one attempt, leasing it against the retry sweep
+ * Returns the delivery with its webhook's url, secret and active flag, or null if not due
+ */
+const claimWebhookDelivery = async (deliveryId, leaseSeconds) => {
+    const result = await executeQuery(
+        `UPDATE webhook_deliveries AS d
+         SET attempts = d.attempts + 1,
+             next_attempt_at = NOW() + make_interval(secs => $2),
+             updated_at = NOW()
+         FROM webhooks AS w
+         WHERE d.id = $1
+           AND w.id = d.webhook_id
+           AND d.status = 'pending'
+           AND d.next_attempt_at <= NOW()
+         RETURNING d.*, w.url, w.secret, w.is_active`,
+        [deliveryId, leaseSeconds]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Record the outcome of a delivery attempt
+ * A pending status with nextAttemptAt schedules a retry.
+ */
+const recordWebhookDeliveryAttempt = async (deliveryId, { status, nextAttemptAt = null, responseStatus = null, responseBody = null, errorMessage = null, durationMs = null }) => {
+    await withTransaction(async (query) => {
+        const result = await query(
+            `UPDATE webhook_deliveries
+             SET status = $2,
+                 next_attempt_at = $3,
+                 response_status = $4,
+                 response_body = $5,
+                 error_message = $6,
+                 duration_ms = $7,
+                 delivered_at = CASE WHEN $2 = 'succeeded' THEN NOW() ELSE delivered_at END,
+                 updated_at = NOW()
+             WHERE id = $1
+             RETURNING webhook_id`,
+            [deliveryId, status, nextAttemptAt, responseStatus, responseBody, errorMessage, durationMs]
+        );
+
+        if (result.rows[0]) {
+            await query(
+                `UPDATE webhooks
+                 SET last_delivery_at = NOW(), last_delivery_status = $2
+                 WHERE id = $1`,
+                [result.rows[0].webhook_id, status]
+            );
+        }
+    });
+};
+
+/**
+ * Pending deliveries whose next attempt is due
+ */
+const findDueWebhookDeliveries = async (limit = 100) => {
+    const result = await executeQuery(
+        `SELECT id
+         FROM webhook_deliveries
+         WHERE status = 'pending' AND next_attempt_at <= NOW()
+         ORDER BY next_attempt_at
+         LIMIT $1`,
+        [limit]
+    );
+    return result.rows;
+};
+
+/**
+ * Store a new API key (hash and prefix only)
+ */
+const createApiKey = async ({ ownerEmail, name, description, keyHash, keyPrefix, scopes, expiresAt }) => {
+    const result = await executeQuery(
+        `INSERT INTO api_keys (owner_email, key_name, description, key_hash, key_prefix, scopes, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [ownerEmail, name, description, keyHash, keyPrefix, scopes, expiresAt]
+    );
+    return result.rows[0];
+};
+
+/**
+ * Get an API key record by id
+ */
+const getApiKey = async (apiKeyId) => {
+    const result = await executeQuery(
+        `SELECT * FROM api_keys WHERE id = $1`,
+        [apiKeyId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * List an owner's API keys, newest first
+ */
+const listApiKeys = async (ownerEmail) => {
+    const result = await executeQuery(
+        `SELECT id, key_name, description, key_prefix, scopes, rate_limit_per_minute, rate_limit_per_day,
+                total_requests, last_used, is_active, expires_at, revoked_at, created_at
+         FROM api_keys
+         WHERE owner_email = $1
+         ORDER BY created_at DESC`,
+        [ownerEmail]
+    );
+    return result.rows;
+};
+
+/**
+ * Revoke an API key; revoking twice keeps the original revocation time
+ */
+const revokeApiKey = async (apiKeyId) => {
+    const result = await executeQuery(
+        `UPDATE api_keys
+         SET is_active = FALSE, revoked_at = COALESCE(revoked_at, NOW()), updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [apiKeyId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Count an owner's keys that are neither revoked nor expired
+ */
+const countActiveApiKeys = async (ownerEmail) => {
+    const result = await executeQuery(
+        `SELECT COUNT(*) AS count
+         FROM api_keys
+         WHERE owner_email = $1 AND is_active AND revoked_at IS NULL
+           AND (expires_at IS NULL OR expires_at > NOW())`,
+        [ownerEmail]
+    );
+    return Number(result.rows[0]?.count) || 0;
+};
+
+/**
+ * Active professionals whose service area covers a location, nearest business location first
+ * Coverage is the service_areas polygon or, failing that, service_radius_km around the business location.
+ * @param {Object} filters - { radiusMeters, professionalType, minRating, certifications, acceptingClientsOnly, limit }
+ */
+const searchProfessionals = async (latitude, longitude, {
+    radiusMeters,
+    professionalType = null,
+    minRating = null,
+    certifications = null,
+    acceptingClientsOnly = false,
+    limit = 200
+} = {}) => {
+    const result = await executeQuery(
+        `WITH target AS (
+             SELECT ST_SetSRID(ST_MakePoint($2, $1), 4326) AS point
+         )
+         SELECT * FROM (
+             SELECT p.id, p.first_name, p.last_name, p.company_name, p.title, p.phone, p.website_url,
+                    p.professional_type, p.license_number, s.state_name AS license_state,
+                    p.climate_certifications, p.specialization_areas, p.years_experience,
+                    p.service_radius_km, p.accepts_new_clients, p.average_rating, p.total_reviews, p.verified,
+                    ST_Distance(p.business_location::geography, t.point::geography) AS distance_meters,
+                    COALESCE(ST_Covers(p.service_areas, t.point), FALSE) OR COALESCE(
+                        ST_DWithin(p.business_location::geography, t.point::geography, p.service_radius_km * 1000),
+                        FALSE
+                    ) AS covers_location
+             FROM professionals p
+             CROSS JOIN target t
+             LEFT JOIN states s ON s.id = p.license_state_id
+             WHERE p.is_active
+               AND ($4::text IS NULL OR p.professional_type = $4)
+               AND ($5::numeric IS NULL OR p.average_rating >= $5)
+               AND ($6::text[] IS NULL OR p.climate_certifications && $6)
+               AND (NOT $7 OR p.accepts_new_clients)
+         ) candidates
+         WHERE covers_location
+           AND (distance_meters IS NULL OR distance_meters <= $3)
+         ORDER BY distance_meters NULLS LAST, id
+         LIMIT $8`,
+        [latitude, longitude, radiusMeters, professionalType, minRating, certifications, acceptingClientsOnly, limit]
+    );
+    return result.rows;
+};
+
+/**
+ * Get an active professional, including the contact email used by the relay
+ */
+const getProfessional = async (professionalId) => {
+    const result = await executeQuery(
+        `SELECT p.*, s.state_name AS license_state
+         FROM professionals p
+         LEFT JOIN states s ON s.id = p.license_state_id
+         WHERE p.id = $1 AND p.is_active`,
+        [professionalId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Approved reviews for a professional, featured first
+ */
+const getProfessionalReviews = async (professionalId, { limit = 10 } = {}) => {
+    const result = await executeQuery(
+        `SELECT id, rating, title, review_text, communication_rating, expertise_rating,
+                responsiveness_rating, transaction_type, transaction_date, is_verified, created_at
+         FROM professional_reviews
+         WHERE professional_id = $1 AND moderation_status = 'approved'
+         ORDER BY is_featured DESC, created_at DESC
+         LIMIT $2`,
+        [professionalId, limit]
+    );
+    return result.rows;
+};
+
+/**
+ * Record a contact request before it is relayed, unless the sender is over a limit
+ * The count and insert run under a per-sender transaction lock, so concurrent requests from one
+ * sender are checked one at a time. Requests that failed to relay do not count against the sender.
+ * @param {Object} request - { professionalId, senderId, senderName, senderPhone, propertyAddress, message, replyToken, replyEmail }
+ * @param {Object} limits - { windowSeconds, maxTotal, maxPerProfessional }
+ * @returns {Object} { contactRequest, limitExceeded } - limitExceeded is 'total' or 'professional' when nothing was stored
+ */
+const createContactRequestWithinLimits = async (
+    { professionalId, senderId, senderName, senderPhone, propertyAddress, message, replyToken = null, replyEmail = null },
+    { windowSeconds, maxTotal, maxPerProfessional }
+) => {
+    return withTransaction(async (query) => {
+        await query('SELECT pg_advisory_xact_lock(hashtext($1))', [`contact_requests:${senderId}`]);
+
+        const countResult = await query(
+            `SELECT COUNT(*) AS total,
+                    COUNT(*) FILTER (WHERE professional_id = $2) AS to_professional
+             FROM professional_contact_requests
+             WHERE sender_id = $1 AND status <> 'failed'
+               AND created_at > NOW() - ($3 || ' seconds')::interval`,
+            [senderId, professionalId, windowSeconds]
+        );
+        if (Number(countResult.rows[0]?.total) >= maxTotal) {
+            return { contactRequest: null, limitExceeded: 'total' };
+        }
+        if (Number(countResult.rows[0]?.to_professional) >= maxPerProfessional) {
+            return { contactRequest: null, limitExceeded: 'professional' };
+        }
+
+        const result = await query(
+            `INSERT INTO professional_contact_requests
+                 (professional_id, sender_id, sender_name, sender_phone, property_address, message, reply_token, reply_email)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             RETURNING *`,
+            [professionalId, senderId, senderName, senderPhone, propertyAddress, message, replyToken, replyEmail]
+        );
+        return { contactRequest: result.rows[0], limitExceeded: null };
+    });
+};
+
+/**
+ * Record the relay outcome of a contact request
+ */
+const updateContactRequestStatus = async (contactRequestId, { status, relayMessageId = null, errorMessage = null }) => {
+    const result = await executeQuery(
+        `UPDATE professional_contact_requests
+         SET status = $2, relay_message_id = $3, error_message = $4,
+             relayed_at = CASE WHEN $2 = 'relayed' THEN NOW() ELSE relayed_at END
+         WHERE id = $1
+         RETURNING *`,
+        [contactRequestId, status, relayMessageId, errorMessage]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Find the contact request behind a relay address, with the professional's name and email
+ */
+const findContactRequestByReplyToken = async (replyToken) => {
+    const result = await executeQuery(
+        `SELECT cr.*, p.first_name AS professional_first_name, p.last_name AS professional_last_name,
+                p.email AS professional_email
+         FROM professional_contact_requests cr
+         JOIN professionals p ON p.id = cr.professional_id
+         WHERE cr.reply_token = $1`,
+        [replyToken]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Count a reply forwarded through a contact request's relay address
+ */
+const recordContactReply = async (contactRequestId) => {
+    const result = await executeQuery(
+        `UPDATE professional_contact_requests
+         SET reply_count = reply_count + 1, last_reply_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [contactRequestId]
+    );
+    return result.rows[0] || null;
 };
 
 module.exports = {
     executeQuery,
-    withTransaction
-};
\ No newline at end of file
+    withTransaction,
+    findPropertyByAddress,
+    findPropertyByAddressHash,
+    getPropertyById,
+    upsertProperty,
+    getCurrentRiskAssessment,
+    upsertRiskAssessment,
+    findPropertiesWithinRadius,
+    findFloodZoneAtPoint,
+    findBuildingCodesAtPoint,
+    findDroughtMonitorCell,
+    findStormReportsInBounds,
+    getStormReportPeriod,
+    upsertPropertyFloodZone,
+    trackApiUsage,
+    getRiskTrends,
+    upsertRiskTrends,
+    createBulkJob,
+    getBulkJob,
+    getBulkJobItems,
+    markBulkJobStarted,
+    releaseStaleBulkJobItems,
+    claimBulkJobItems,
+    completeBulkJobItem,
+    failBulkJobItem,
+    refreshBulkJobProgress,
+    finishBulkJob,
+    findStalledBulkJobs,
+    getSavedPropertyAssessments,
+    getAssessmentsWithinRadius,
+    createPropertyReport,
+    getPropertyReport,
+    listPropertyReports,
+    markPropertyReportStarted,
+    completePropertyReport,
+    failPropertyReport,
+    findStalledPropertyReports,
+    createWebhook,
+    getWebhook,
+    listWebhooks,
+    updateWebhook,
+    deleteWebhook,
+    findSubscribedWebhooks,
+    getPropertyWatcherIds,
+    createWebhookDelivery,
+    getWebhookDelivery,
+    listWebhookDeliveries,
+    claimWebhookDelivery,
+    recordWebhookDeliveryAttempt,
+    findDueWebhookDeliveries,
+    createApiKey,
+    getApiKey,
+    listApiKeys,
+    revokeApiKey,
+    countActiveApiKeys,
+    searchProfessionals,
+    getProfessional,
+    getProfessionalReviews,
+    createContactRequestWithinLimits,
+    updateContactRequestStatus,
+    findContactRequestByReplyToken,
+    recordContactReply
+};
@@ -0,0 +1,343 @@
+// disasterHistory.js - Seawater Climate Risk Platform
+// Normalize and merge historical hazard events from FEMA, NOAA, USGS and HURDAT2
+
+// Hazard types recognised in historical event timelines
+const HISTORY_HAZARD_TYPES = [
+    'flood', 'wildfire', 'hurricane', 'tornado', 'earthquake', 'heat', 'drought', 'hail',
+    'avalanche', 'coastal_flooding', 'cold_wave', 'ice_storm', 'landslide', 'lightning',
+    'riverine_flooding', 'strong_wind', 'tsunami', 'volcanic_activity', 'winter_weather'
+];
+
+// FEMA declaration incident types to timeline hazard types
+const FEMA_INCIDENT_HAZARDS = {
+    'Flood': 'flood',
+    'Fire': 'wildfire',
+    'Hurricane': 'hurricane',
+    'Tropical Storm': 'hurricane',
+    'Typhoon': 'hurricane',
+    'Tornado': 'tornado',
+    'Severe Storm': 'strong_wind',
+    'Severe Storm(s)': 'strong_wind',
+    'Earthquake': 'earthquake',
+    'Drought': 'drought',
+    'Snowstorm': 'winter_weather',
+    'Snow': 'winter_weather',
+    'Winter Storm': 'winter_weather',
+    'Severe Ice Storm': 'ice_storm',
+    'Freezing': 'cold_wave',
+    'Coastal Storm': 'coastal_flooding',
+    'Mud/Landslide': 'landslide',
+    'Volcano': 'volcanic_activity',
+    'Volcanic Eruption': 'volcanic_activity',
+    'Tsunami': 'tsunami'
+};
+
+// NOAA Storm Events types to timeline hazard types
+const NOAA_EVENT_HAZARDS = {
+    'TORNADO': 'tornado',
+    'HAIL': 'hail',
+    'THUNDERSTORM_WIND': 'strong_wind',
+    'HIGH_WIND': 'strong_wind',
+    'STRONG_WIND': 'strong_wind',
+    'FLASH_FLOOD': 'flood',
+    'FLOOD': 'flood',
+    'COASTAL_FLOOD': 'coastal_flooding',
+    'STORM_SURGE/TIDE': 'coastal_flooding',
+    'DROUGHT': 'drought',
+    'HEAT': 'heat',
+    'EXCESSIVE_HEAT': 'heat',
+    'WILDFIRE': 'wildfire',
+    'HURRICANE': 'hurricane',
+    'HURRICANE_(TYPHOON)': 'hurricane',
+    'TROPICAL_STORM': 'hurricane',
+    'LIGHTNING': 'lightning',
+    'WINTER_STORM': 'winter_weather',
+    'HEAVY_SNOW': 'winter_weather',
+    'BLIZZARD': 'winter_weather',
+    'ICE_STORM': 'ice_storm',
+    'COLD/WIND_CHILL': 'cold_wave',
+    'EXTREME_COLD/WIND_CHILL': 'cold_wave',
+    'AVALANCHE': 'avalanche',
+    'DEBRIS_FLOW': 'landslide',
+    'TSUNAMI': 'tsunami'
+};
+
+// Severity assigned to FEMA declarations by declaration type
+const FEMA_DECLARATION_SEVERITY = {
+    DR: 70, // Major disaster
+    EM: 50, // Emergency
+    FM: 40  // Fire management assistance
+};
+
+// Events of the same hazard within this many days are treated as the same event
+const DUPLICATE_WINDOW_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Great-circle distance in kilometres (Haversine formula)
+ */
+function distanceKm(lat1, lon1, lat2, lon2) {
+    const R = 6371;
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+        Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function toIsoDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function clampSeverity(score) {
+    return Math.max(0, Math.min(100, Math.round(score)));
+}
+
+/**
+ * Normalize FEMA disaster declarations
+ * Declarations are county-level, so one disaster number appears once per designated area;
+ * these are collapsed to a single event. Distance is 0 because the declared area contains the point.
+ * @param {Array} declarations - Declarations from femaDataClient.getDisasterHistory()
+ * @returns {Array} Timeline events
+ */
+function normalizeFemaDeclarations(declarations = []) {
+    const byDisaster = new Map();
+
+    declarations.forEach(declaration => {
+        const eventType = FEMA_INCIDENT_HAZARDS[declaration.incident_type];
+        const date = toIsoDate(declaration.incident_begin_date || declaration.declaration_date);
+        if (!eventType || !date) return;
+
+        const key = declaration.disaster_number || `${eventType}:${date}`;
+        if (byDisaster.has(key)) return;
+
+        byDisaster.set(key, {
+            event_id: `fema-${key}`,
+            event_type: eventType,
+            date: date,
+            end_date: toIsoDate(declaration.incident_end_date),
+            severity_score: FEMA_DECLARATION_SEVERITY[declaration.declaration_type] || 50,
+            distance_km: 0,
+            damages: {
+                injuries: 0,
+                fatalities: 0
+            },
+            description: declaration.title || `${declaration.incident_type} disaster declaration`,
+            confidence: 0.95,
+            sources: ['FEMA'],
+            fema_disaster_number: declaration.disaster_number || null
+        });
+    });
+
+    return Array.from(byDisaster.values());
+}
+
+/**
+ * Normalize NOAA Storm Events records
+ * @param {Array} events - Events from noaaDataClient.getSevereWeatherHistory()
+ * @param {number} latitude - Query latitude
+ * @param {number} longitude - Query longitude
+ * @returns {Array} Timeline events
+ */
+function normalizeNoaaEvents(events = [], latitude, longitude) {
+    return events
+        .map(event => {
+            const rawType = String(event.event_type || '').toUpperCase().replace(/\s+/g, '_');
+            const eventType = NOAA_EVENT_HAZARDS[rawType];
+            const date = toIsoDate(event.begin_date || event.date);
+            if (!eventType || !date) return null;
+
+            const eventLat = parseFloat(event.begin_lat ?? event.latitude);
+            const eventLon = parseFloat(event.begin_lon ?? event.longitude);
+            const hasLocation = !isNaN(eventLat) && !isNaN(eventLon);
+
+            const propertyDamage = Number(event.damage_property) || 0;
+            const cropDamage = Number(event.damage_crops) || 0;
+            const injuries = (Number(event.injuries_direct) || 0) + (Number(event.injuries_indirect) || 0);
+            const fatalities = (Number(event.deaths_direct) || 0) + (Number(event.deaths_indirect) || 0);
+
+            return {
+                event_id: `noaa-${event.event_id || `${rawType}-${date}`}`,
+                event_type: eventType,
+                date: date,
+                end_date: toIsoDate(event.end_date),
+                severity_score: clampSeverity(
+                    30 + Math.log10(propertyDamage + cropDamage + 1) * 7 + injuries * 2 + fatalities * 10
+                ),
+                // Zone-level reports without coordinates were matched to the query's county
+                distance_km: hasLocation
+                    ? Math.round(distanceKm(latitude, longitude, eventLat, eventLon) * 10) / 10
+                    : 0,
+                damages: {
+                    property_damage_usd: propertyDamage,
+                    crop_damage_usd: cropDamage,
+                    injuries: injuries,
+                    fatalities: fatalities
+                },
+                description: event.event_narrative || event.episode_narrative ||
+                    `${rawType.replace(/_/g, ' ').toLowerCase()} reported${event.cz_name ? ` in ${event.cz_name}` : ''}`,
+                confidence: 0.9,
+                sources: ['NOAA']
+            };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Normalize USGS earthquake records
+ * @param {Array} earthquakes - Earthquakes from USGSClient.getEarthquakesByLocation()
+ * @param {number} latitude - Query latitude
+ * @param {number} longitude - Query longitude
+ * @returns {Array} Timeline events
+ */
+function normalizeUsgsEarthquakes(earthquakes = [], latitude, longitude) {
+    return earthquakes
+        .filter(quake => quake.type === 'earthquake' && quake.time)
+        .map(quake => ({
+            event_id: `usgs-${quake.id}`,
+            event_type: 'earthquake',
+            date: quake.time,
+            end_date: null,
+            severity_score: clampSeverity(((quake.magnitude || 0) - 2) * 16),
+            distance_km: Math.round(
+                distanceKm(latitude, longitude, quake.location.latitude, quake.location.longitude) * 10
+            ) / 10,
+            damages: {
+                injuries: 0,
+                fatalities: 0
+            },
+            description: quake.properties?.title || `M${quake.magnitude} earthquake - ${quake.place}`,
+            confidence: quake.properties?.status === 'reviewed' ? 0.95 : 0.8,
+            sources: ['USGS'],
+            magnitude: quake.magnitude
+        }));
+}
+
+/**
+ * Normalize HURDAT2 storm passages
+ * @param {Array} storms - Notable storms from Hurdat2Client.getStormHistory()
+ * @returns {Array} Timeline events
+ */
+function normalizeHurdatStorms(storms = []) {
+    return storms.map(storm => {
+        const strength = storm.category === null
+            ? 'Tropical depression'
+            : storm.category === 0 ? 'Tropical storm' : `Category ${storm.category} hurricane`;
+        const name = storm.name === 'UNNAMED' ? storm.storm_id : storm.name.charAt(0) + storm.name.slice(1).toLowerCase();
+        const exposure = storm.wind_exposure ? `, ${storm.wind_exposure.replace(/_/g, '-')} winds` : '';
+
+        return {
+            event_id: `hurdat2-${storm.storm_id}`,
+            event_type: 'hurricane',
+            date: storm.date,
+            end_date: null,
+            // Category sets the severity; passages further out are discounted unless their winds reached the point
+            severity_score: clampSeverity(
+                (20 + 15 * ((storm.category ?? -1) + 1)) *
+                (storm.wind_exposure ? 1 : Math.max(0.4, 1 - storm.closest_approach_km / 400))
+            ),
+            distance_km: storm.closest_approach_km,
+            damages: {
+                injuries: 0,
+                fatalities: 0
+            },
+            description: `${strength} ${name} passed ${storm.closest_approach_km} km away${exposure}`,
+            confidence: storm.wind_radii_estimated ? 0.85 : 0.95,
+            sources: ['HURDAT2'],
+            storm_id: storm.storm_id,
+            storm_name: storm.name,
+            category: storm.category,
+            peak_category: storm.peak_category,
+            wind_exposure: storm.wind_exposure,
+            landfall_nearby: storm.landfall_nearby
+        };
+    });
+}
+
+/**
+ * Whether two events from different sources describe the same occurrence
+ */
+function isSameOccurrence(a, b) {
+    if (a.event_type !== b.event_type) return false;
+    if (a.sources.some(source => b.sources.includes(source))) return false;
+
+    const aStart = new Date(a.date).getTime();
+    const aEnd = new Date(a.end_date || a.date).getTime();
+    const bStart = new Date(b.date).getTime();
+    const bEnd = new Date(b.end_date || b.date).getTime();
+    const window = DUPLICATE_WINDOW_DAYS * DAY_MS;
+
+    return bStart <= aEnd + window && aStart <= bEnd + window;
+}
+
+// Storm track fields carried from a HURDAT2 event into whatever it merges with
+const STORM_TRACK_FIELDS = ['storm_id', 'storm_name', 'category', 'peak_category', 'wind_exposure', 'landfall_nearby'];
+
+/**
+ * Merge a duplicate into an existing event, keeping the most specific details
+ * Point observations (NOAA, USGS) keep their location and damages; FEMA adds its declaration number
+ * and HURDAT2 its storm track details
+ */
+function mergeEvents(target, duplicate) {
+    const pointEvent = target.sources.includes('FEMA') ? duplicate : target;
+    const declaration = target.sources.includes('FEMA') ? target : duplicate;
+    const stormTrack = [target, duplicate].find(event => event.storm_id);
+
+    return {
+        ...pointEvent,
+        ...(stormTrack ? Object.fromEntries(STORM_TRACK_FIELDS.map(field => [field, stormTrack[field]])) : {}),
+        severity_score: Math.max(target.severity_score, duplicate.severity_score),
+        confidence: Math.max(target.confidence, duplicate.confidence),
+        sources: [...new Set([...target.sources, ...duplicate.sources])],
+        fema_disaster_number: declaration.fema_disaster_number || pointEvent.fema_disaster_number || null
+    };
+}
+
+/**
+ * Combine events from all sources into one deduplicated, time-ordered list
+ * @param {Array} eventLists - Arrays of normalized events
+ * @param {Object} filters - { eventTypes, startDate, endDate, radiusKm }
+ * @returns {Array} Events ordered newest first
+ */
+function mergeDisasterEvents(eventLists, filters = {}) {
+    const { eventTypes, startDate, endDate, radiusKm } = filters;
+    const start = startDate ? new Date(startDate).getTime() : -Infinity;
+    const end = endDate ? new Date(endDate).getTime() : Infinity;
+
+    const candidates = eventLists
+        .flat()
+        .filter(event => {
+            const time = new Date(event.date).getTime();
+            if (time < start || time > end) return false;
+            if (eventTypes && eventTypes.length > 0 && !eventTypes.includes(event.event_type)) return false;
+            if (radiusKm && event.distance_km > radiusKm) return false;
+            return true;
+        })
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    const merged = [];
+    candidates.forEach(event => {
+        const index = merged.findIndex(existing => isSameOccurrence(existing, event));
+        if (index === -1) {
+            merged.push(event);
+        } else {
+            merged[index] = mergeEvents(merged[index], event);
+        }
+    });
+
+    return merged.sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+module.exports = {
+    normalizeFemaDeclarations,
+    normalizeNoaaEvents,
+    normalizeUsgsEarthquakes,
+    normalizeHurdatStorms,
+    mergeDisasterEvents,
+    distanceKm,
+    HISTORY_HAZARD_TYPES
+};
@@ -0,0 +1,99 @@
+// disasterHistorySources.js - Seawater Climate Risk Platform
+// Fetch historical hazard events from FEMA, USGS and HURDAT2 and merge them into one timeline
+
+const {
+    normalizeFemaDeclarations,
+    normalizeUsgsEarthquakes,
+    normalizeHurdatStorms,
+    mergeDisasterEvents
+} = require('./disasterHistory');
+const FEMAClient = require('./externalClients/femaDataClient');
+const HTTPClient = require('../backend/src/integrations/core/HTTPClient');
+const USGSClient = require('../backend/src/integrations/clients/government/USGSClient');
+const Hurdat2Client = require('./externalClients/hurdat2Client');
+
+const femaClient = new FEMAClient();
+const usgsClient = new USGSClient({ httpClient: new HTTPClient() });
+const hurdat2Client = new Hurdat2Client();
+
+// Earthquakes below this magnitude are rarely felt and would swamp the timeline
+const MIN_EARTHQUAKE_MAGNITUDE = 2.5;
+
+// noaaDataClient has no Storm Events fetch yet (getSevereEvents returns no events), so NOAA is
+// reported as unavailable rather than as a source that found nothing. normalizeNoaaEvents is ready for it.
+const NOAA_UNAVAILABLE = 'NOAA Storm Events are not yet available';
+
+/**
+ * Fetch and merge hazard events near a location
+ * A failing source is reported in `sources` rather than failing the whole history.
+ * @param {Object} params - Validated disaster_history parameters
+ *   { latitude, longitude, radiusKm, years, startDate, endDate, eventTypes }
+ * @returns {Object} { events, event_counts, sources, external_api_calls, events_before_merge }
+ */
+async function fetchDisasterHistory({ latitude, longitude, radiusKm, years, startDate, endDate, eventTypes = null }) {
+    // Only query sources that can return the requested hazard types
+    const wants = (types) => !eventTypes || eventTypes.some(type => types.includes(type));
+
+    const [femaResult, usgsResult, hurdat2Result] = await Promise.allSettled([
+        femaClient.getDisasterHistory(latitude, longitude, years),
+        wants(['earthquake'])
+            ? usgsClient.getEarthquakesByLocation(latitude, longitude, {
+                radiusKm: radiusKm,
+                minMagnitude: MIN_EARTHQUAKE_MAGNITUDE,
+                startDate: startDate.split('T')[0],
+                endDate: endDate.split('T')[0],
+                orderBy: 'time'
+            })
+            : Promise.resolve(null),
+        wants(['hurricane'])
+            ? hurdat2Client.getStormHistory(latitude, longitude, { radiusKm, startDate, endDate })
+            : Promise.resolve(null)
+    ]);
+
+    const sources = {};
+    const eventLists = [];
+    let externalApiCalls = 0;
+
+    const collect = (name, result, normalize) => {
+        if (result.status === 'rejected') {
+            console.warn(`Disaster history source ${name} failed:`, result.reason?.message);
+            sources[name] = { success: false, event_count: 0, error: result.reason?.message };
+            return;
+        }
+        if (!result.value) {
+            sources[name] = { success: true, event_count: 0, skipped: true };
+            return;
+        }
+
+        if (!result.value.cached) {
+            externalApiCalls++;
+        }
+        const events = normalize(result.value);
+        sources[name] = { success: true, event_count: events.length };
+        eventLists.push(events);
+    };
+
+    collect('FEMA', femaResult, (response) => normalizeFemaDeclarations(response.data?.declarations));
+    sources.NOAA = { success: false, available: false, event_count: 0, error: NOAA_UNAVAILABLE };
+    collect('USGS', usgsResult, (response) => normalizeUsgsEarthquakes(response.earthquakes, latitude, longitude));
+    collect('HURDAT2', hurdat2Result, (response) => normalizeHurdatStorms(response.storms));
+
+    const events = mergeDisasterEvents(eventLists, { eventTypes, startDate, endDate, radiusKm });
+
+    const eventCounts = {};
+    events.forEach(historyEvent => {
+        eventCounts[historyEvent.event_type] = (eventCounts[historyEvent.event_type] || 0) + 1;
+    });
+
+    return {
+        events: events,
+        event_counts: eventCounts,
+        sources: sources,
+        external_api_calls: externalApiCalls,
+        events_before_merge: eventLists.reduce((sum, list) => sum + list.length, 0)
+    };
+}
+
+module.exports = {
+    fetchDisasterHistory
+};
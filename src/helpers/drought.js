@@ -0,0 +1,344 @@
+// drought.js - Seawater Climate Risk Platform
+// Drought frequency from weekly US Drought Monitor categories, combined with NOAA precipitation normals
+
+const { pointInGeometry, geometryBounds } = require('../backend/src/integrations/utils/GeometryUtils');
+
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+const WEEKS_PER_YEAR = 52.18;
+
+// Look-back periods (years) summarized from the weekly record
+const DEFAULT_PERIODS_YEARS = [5, 10, 20];
+
+// USDM categories: -1 none, 0 abnormally dry (D0), 1 moderate (D1) through 4 exceptional (D4)
+const CATEGORY_LABELS = ['D0', 'D1', 'D2', 'D3', 'D4'];
+
+// D1 (moderate drought) is the first category USDM counts as drought rather than dryness
+const DROUGHT_CATEGORY = 1;
+
+// Share of the frequency score from each period; recent years weigh more than their length alone
+const PERIOD_WEIGHTS = { 5: 0.2, 10: 0.3, 20: 0.5 };
+
+// Frequency score reaches 63% of its maximum at this many intensity-weighted percent-of-weeks
+const FREQUENCY_SCALE = 60;
+
+// Annual precipitation at or below the first value scores 100 for aridity, at or above the second 0
+const ARID_PRECIPITATION_MM = 200;
+const HUMID_PRECIPITATION_MM = 1000;
+
+// Dry-season score reaches 100 when the driest three months bring none of the year's precipitation
+// and 0 when they bring a quarter of it (no dry season)
+const EVEN_SEASON_SHARE = 0.25;
+
+// Weekly drought history outweighs long-run precipitation climate
+const FREQUENCY_WEIGHT = 0.7;
+const CLIMATE_WEIGHT = 0.3;
+
+// Periods missing more than this share of their weeks are reported but not scored
+const MIN_PERIOD_COVERAGE = 0.9;
+
+// Weekly categories are precomputed on a 0.1 degree grid (about 11 km), fine enough for county-scale USDM polygons
+const GRID_CELLS_PER_DEGREE = 10;
+
+const MS_PER_WEEK = 7 * 24 * 60 * 60 * 1000;
+
+function roundPercent(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * Grid cell containing a point
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @returns {Object} { row, col } counted from 90S, 180W
+ */
+function droughtGridCell(latitude, longitude) {
+    return {
+        row: Math.floor((latitude + 90) * GRID_CELLS_PER_DEGREE),
+        col: Math.floor((longitude + 180) * GRID_CELLS_PER_DEGREE)
+    };
+}
+
+/**
+ * Drought polygons of one weekly USDM map, most severe category first
+ * @param {Object|string} collection - Parsed or raw GeoJSON FeatureCollection with a DM (0-4) property
+ * @returns {Array} [{ category, bounds, geometry }]
+ */
+function parseDroughtMap(collection) {
+    const data = typeof collection === 'string' ? JSON.parse(collection) : collection;
+    if (!data || !Array.isArray(data.features)) {
+        throw new Error('Invalid USDM GeoJSON format');
+    }
+
+    return data.features
+        .map(feature => {
+            const category = parseInt(feature.properties?.DM ?? feature.properties?.dm, 10);
+            return isNaN(category) || !feature.geometry
+                ? null
+                : { category, bounds: geometryBounds(feature.geometry), geometry: feature.geometry };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.category - a.category);
+}
+
+/**
+ * Most severe category whose polygon contains the point, or -1 outside any drought area
+ */
+function droughtCategoryAt(polygons, latitude, longitude) {
+    const match = polygons.find(polygon =>
+        longitude >= polygon.bounds[0] && longitude <= polygon.bounds[2] &&
+        latitude >= polygon.bounds[1] && latitude <= polygon.bounds[3] &&
+        pointInGeometry(longitude, latitude, polygon.geometry)
+    );
+    return match ? match.category : -1;
+}
+
+/**
+ * Grid cells whose centre falls inside a Polygon or MultiPolygon
+ * Scanline fill with the same half-open edge rule as pointInGeometry, so a cell is returned
+ * exactly when droughtCategoryAt would match its centre; cost grows with edges and cells
+ * covered rather than their product.
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @param {Function} visit - Called with (row, col) for each covered cell
+ */
+function forEachGridCellInGeometry(geometry, visit) {
+    const polygons = geometry?.type === 'Polygon' ? [geometry.coordinates]
+        : geometry?.type === 'MultiPolygon' ? geometry.coordinates : [];
+    const rowCenter = (row) => (row + 0.5) / GRID_CELLS_PER_DEGREE - 90;
+    const colCenter = (col) => (col + 0.5) / GRID_CELLS_PER_DEGREE - 180;
+
+    // First cell whose centre is at or above value, settled on the computed centres so ties match pointInGeometry
+    const firstCellAtOrAbove = (value, center, origin) => {
+        let cell = Math.ceil((value - origin) * GRID_CELLS_PER_DEGREE - 0.5);
+        while (center(cell) < value) cell++;
+        while (center(cell - 1) >= value) cell--;
+        return cell;
+    };
+
+    polygons.forEach(rings => {
+        const crossings = new Map();
+        rings.forEach(ring => {
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const [xi, yi] = ring[i];
+                const [xj, yj] = ring[j];
+                if (yi === yj) continue;
+
+                const endRow = firstCellAtOrAbove(Math.max(yi, yj), rowCenter, -90);
+                for (let row = firstCellAtOrAbove(Math.min(yi, yj), rowCenter, -90); row < endRow; row++) {
+                    const latitude = rowCenter(row);
+                    if (!crossings.has(row)) crossings.set(row, []);
+                    crossings.get(row).push(((xj - xi) * (latitude - yi)) / (yj - yi) + xi);
+                }
+            }
+        });
+
+        crossings.forEach((xs, row) => {
+            xs.sort((a, b) => a - b);
+            for (let k = 0; k + 1 < xs.length; k += 2) {
+                const endCol = firstCellAtOrAbove(xs[k + 1], colCenter, -180);
+                for (let col = firstCellAtOrAbove(xs[k], colCenter, -180); col < endCol; col++) {
+                    visit(row, col);
+                }
+            }
+        });
+    });
+}
+
+/**
+ * Weekly categories of a stored grid cell as summarizeDroughtWeeks() input
+ * @param {string} firstWeek - Map date of the first category, YYYY-MM-DD
+ * @param {Array} categories - One category per week from firstWeek; null where no map was imported
+ * @returns {Array} [{ date: 'YYYY-MM-DD', category }]
+ */
+function expandGridCellWeeks(firstWeek, categories) {
+    const start = new Date(firstWeek).getTime();
+    return categories
+        .map((category, index) => (category === null || category === undefined
+            ? null
+            : { date: new Date(start + index * MS_PER_WEEK).toISOString().slice(0, 10), category: Number(category) }))
+        .filter(Boolean);
+}
+
+/**
+ * Summarize weekly USDM categories at a location over each look-back period
+ * @param {Array} weeks - [{ date: 'YYYY-MM-DD', category: -1..4 }] in date order
+ * @param {Object} options - { periodsYears }
+ * @returns {Object} Percent of weeks at or above each category per period, current category and longest drought
+ */
+function summarizeDroughtWeeks(weeks, { periodsYears = DEFAULT_PERIODS_YEARS } = {}) {
+    if (!weeks || weeks.length === 0) {
+        return { data_available: false, weeks_analyzed: 0, periods: {} };
+    }
+
+    const latest = weeks[weeks.length - 1];
+    const latestTime = new Date(latest.date).getTime();
+
+    const periods = {};
+    periodsYears.forEach(years => {
+        const inPeriod = weeks.filter(week => latestTime - new Date(week.date).getTime() < years * MS_PER_YEAR);
+        const atOrAbove = (category) => inPeriod.length > 0
+            ? roundPercent((inPeriod.filter(week => week.category >= category).length / inPeriod.length) * 100)
+            : null;
+
+        periods[`${years}_year`] = {
+            years,
+            weeks_analyzed: inPeriod.length,
+            coverage: Math.min(1, Math.round((inPeriod.length / (years * WEEKS_PER_YEAR)) * 100) / 100),
+            percent_weeks_in_drought: atOrAbove(DROUGHT_CATEGORY),
+            percent_weeks_at_or_above: Object.fromEntries(
+                CATEGORY_LABELS.map((label, category) => [label, atOrAbove(category)])
+            )
+        };
+    });
+
+    // Longest unbroken run of D1+ weeks across the whole record
+    let longestRun = 0;
+    let currentRun = 0;
+    weeks.forEach(week => {
+        currentRun = week.category >= DROUGHT_CATEGORY ? currentRun + 1 : 0;
+        longestRun = Math.max(longestRun, currentRun);
+    });
+
+    return {
+        data_available: true,
+        weeks_analyzed: weeks.length,
+        first_week: weeks[0].date,
+        latest_week: latest.date,
+        current_category: latest.category >= 0 ? CATEGORY_LABELS[latest.category] : null,
+        longest_drought_weeks: longestRun,
+        periods
+    };
+}
+
+/**
+ * Annual total and dry-season share from monthly precipitation normals
+ * @param {Object} monthlyNormals - { 1..12: mm }
+ * @returns {Object|null} { annual_mm, driest_three_months, driest_three_month_share } or null if incomplete
+ */
+function summarizePrecipitationNormals(monthlyNormals) {
+    const months = Array.from({ length: 12 }, (_, index) => monthlyNormals?.[index + 1]);
+    if (months.some(value => typeof value !== 'number' || value < 0)) return null;
+
+    const annual = months.reduce((sum, value) => sum + value, 0);
+    if (annual <= 0) return null;
+
+    // Driest three consecutive months, wrapping the year end
+    let driestStart = 0;
+    let driestTotal = Infinity;
+    for (let start = 0; start < 12; start++) {
+        const total = months[start] + months[(start + 1) % 12] + months[(start + 2) % 12];
+        if (total < driestTotal) {
+            driestTotal = total;
+            driestStart = start;
+        }
+    }
+
+    return {
+        annual_mm: Math.round(annual),
+        driest_three_months: [0, 1, 2].map(offset => ((driestStart + offset) % 12) + 1),
+        driest_three_month_share: Math.round((driestTotal / annual) * 1000) / 1000
+    };
+}
+
+/**
+ * Intensity-weighted drought frequency score (0-100) from the period summaries
+ * Each category's percent of weeks is summed, so a week in D3 counts three times a week in D1.
+ */
+function calculateFrequencyScore(history) {
+    let weightedSum = 0;
+    let totalWeight = 0;
+
+    Object.values(history.periods || {}).forEach(period => {
+        if (period.coverage < MIN_PERIOD_COVERAGE) return;
+        const weight = PERIOD_WEIGHTS[period.years] || 1 / period.years;
+        const intensity = CATEGORY_LABELS.slice(DROUGHT_CATEGORY)
+            .reduce((sum, label) => sum + (period.percent_weeks_at_or_above[label] || 0), 0);
+        weightedSum += intensity * weight;
+        totalWeight += weight;
+    });
+
+    if (totalWeight === 0) return null;
+    return Math.round(100 * (1 - Math.exp(-(weightedSum / totalWeight) / FREQUENCY_SCALE)));
+}
+
+/**
+ * Climate score (0-100) from aridity and the depth of the dry season
+ */
+function calculateClimateScore(normals) {
+    const aridity = Math.max(0, Math.min(100,
+        ((HUMID_PRECIPITATION_MM - normals.annual_mm) / (HUMID_PRECIPITATION_MM - ARID_PRECIPITATION_MM)) * 100
+    ));
+    const drySeason = Math.max(0, Math.min(100,
+        ((EVEN_SEASON_SHARE - normals.driest_three_month_share) / EVEN_SEASON_SHARE) * 100
+    ));
+
+    return Math.round((2 / 3) * aridity + (1 / 3) * drySeason);
+}
+
+/**
+ * Confidence in the drought score from how much of each input was available
+ * High needs the full 20-year USDM record plus station normals; the weekly record alone is medium;
+ * precipitation normals alone (or a short record) are low.
+ */
+function assessDroughtConfidence(history, normals) {
+    const longest = Object.values(history?.periods || {})
+        .filter(period => period.coverage >= MIN_PERIOD_COVERAGE)
+        .reduce((max, period) => Math.max(max, period.years), 0);
+
+    let level = 'low';
+    if (longest >= 20 && normals) {
+        level = 'high';
+    } else if (longest >= 10 || (longest >= 5 && normals)) {
+        level = 'medium';
+    }
+
+    return {
+        level,
+        usdm_years_scored: longest,
+        precipitation_normals: !!normals
+    };
+}
+
+/**
+ * Drought risk score (0-100) from USDM weekly history and NOAA precipitation normals
+ * @param {Object|null} history - summarizeDroughtWeeks() result
+ * @param {Object|null} monthlyNormals - NOAA monthly precipitation normals { 1..12: mm }
+ * @returns {Object} { score, confidence, details } with score null when neither input is usable
+ */
+function calculateDroughtRisk(history, monthlyNormals) {
+    const normals = summarizePrecipitationNormals(monthlyNormals);
+    const frequencyScore = history?.data_available ? calculateFrequencyScore(history) : null;
+    const climateScore = normals ? calculateClimateScore(normals) : null;
+
+    let score = null;
+    if (frequencyScore !== null && climateScore !== null) {
+        score = Math.round(FREQUENCY_WEIGHT * frequencyScore + CLIMATE_WEIGHT * climateScore);
+    } else if (frequencyScore !== null) {
+        score = frequencyScore;
+    } else if (climateScore !== null) {
+        score = climateScore;
+    }
+
+    return {
+        score,
+        confidence: assessDroughtConfidence(history, normals),
+        details: {
+            frequency_score: frequencyScore,
+            climate_score: climateScore,
+            drought_monitor: history || { data_available: false },
+            precipitation_normals: normals
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_PERIODS_YEARS,
+    GRID_CELLS_PER_DEGREE,
+    droughtGridCell,
+    parseDroughtMap,
+    droughtCategoryAt,
+    forEachGridCellInGeometry,
+    expandGridCellWeeks,
+    summarizeDroughtWeeks,
+    summarizePrecipitationNormals,
+    calculateDroughtRisk
+};
@@ -115,9 +115,19 @@ function normalizeObjectKeys(obj) {
             'heat': 'heatRiskScore',
             'drought': 'droughtRiskScore',
             'hail': 'hailRiskScore',
+            'landslide': 'landslideRiskScore',
+            'volcanic': 'volcanicRiskScore',
             'propertytype': 'propertyType',
             'yearbuilt': 'yearBuilt',
             'squarefeet': 'squareFeet',
+            'foundationtype': 'foundationType',
+            'firstfloorelevation': 'firstFloorElevation',
+            'rooftype': 'roofType',
+            'constructionclass': 'constructionClass',
+            'replacementvalue': 'replacementValue',
+            'buildingcoverage': 'buildingCoverage',
+            'contentscoverage': 'contentsCoverage',
+            'lowestfloorelevation': 'lowestFloorElevation',
             'femafloodzone': 'femaFloodZone',
             'femariskrating': 'femaRiskRating',
             'apikeyid': 'apiKeyId',
@@ -245,7 +255,7 @@ function validateClimateRequestParams(params, operation) {
     if (params.riskTypes) {
         const validRiskTypes = [
             'flood', 'wildfire', 'hurricane', 'tornado', 'earthquake', 
-            'heat', 'drought', 'hail', 'all'
+            'heat', 'drought', 'hail', 'landslide', 'volcanic', 'all'
         ];
         const requestedTypes = Array.isArray(params.riskTypes) 
             ? params.riskTypes 
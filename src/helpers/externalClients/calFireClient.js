@@ -0,0 +1,68 @@
+// calFireClient.js - Seawater Climate Risk Platform
+// CAL FIRE hazard zone and fire perimeter client for California wildfire risk
+
+const HTTPClient = require('../../backend/src/integrations/core/HTTPClient');
+const CALFIREClient = require('../../backend/src/integrations/clients/government/CALFIREClient');
+
+/**
+ * CAL FIRE Client
+ * Adapts the integrations CAL FIRE client to the aggregator source shape. Locations outside
+ * California return no risks, so CAL FIRE only contributes where it maps hazard zones.
+ */
+class CalFireClient {
+    constructor(config = {}) {
+        this.client = new CALFIREClient({
+            httpClient: new HTTPClient(),
+            hazardZoneSnapshotPath: config.hazardZoneSnapshotPath,
+            perimeterSnapshotPath: config.perimeterSnapshotPath
+        });
+        this.dataSource = 'CAL_FIRE';
+    }
+
+    /**
+     * Wildfire risk from the FHSZ class and burn history, in the source shape used by the aggregator
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @param {Array} riskTypes - Requested risk types (only wildfire is covered)
+     * @param {Object} options - { stateCode }
+     * @returns {Object} { risks: { wildfire }, api_calls, cache_hits, cache_misses, last_updated }
+     */
+    async getRiskData(latitude, longitude, riskTypes = ['wildfire'], options = {}) {
+        const result = await this.client.getWildfireRisk(latitude, longitude, { stateCode: options.stateCode });
+        const live = result.dataMode === 'live';
+
+        if (!result.covered) {
+            return {
+                risks: {},
+                covered: false,
+                source: this.dataSource,
+                api_calls: 0,
+                cache_hits: 0,
+                cache_misses: 0,
+                last_updated: result.generatedAt
+            };
+        }
+
+        const { riskScore, confidence, hazardZone, burnHistory } = result.riskAssessment;
+
+        return {
+            risks: {
+                wildfire: {
+                    score: riskScore,
+                    confidence: confidence,
+                    fhsz_class: hazardZone ? hazardZone.fhszClass : null,
+                    responsibility_area: hazardZone ? hazardZone.responsibilityArea : null,
+                    burn_history: burnHistory
+                }
+            },
+            covered: true,
+            source: this.dataSource,
+            api_calls: live ? 2 : 0,
+            cache_hits: 0,
+            cache_misses: live ? 2 : 0,
+            last_updated: result.generatedAt
+        };
+    }
+}
+
+module.exports = CalFireClient;
\ No newline at end of file
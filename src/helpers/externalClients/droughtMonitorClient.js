@@ -0,0 +1,132 @@
+// droughtMonitorClient.js - Seawater Climate Risk Platform
+// US Drought Monitor weekly D0-D4 map client for drought frequency at a property location
+
+const { HttpClient } = require('../httpClient');
+const { DataSourceError } = require('../errorHandler');
+const { findDroughtMonitorCell } = require('../dbOperations');
+const NOAAClient = require('./noaaDataClient');
+const {
+    DEFAULT_PERIODS_YEARS,
+    droughtGridCell,
+    parseDroughtMap,
+    droughtCategoryAt,
+    expandGridCellWeeks,
+    summarizeDroughtWeeks,
+    calculateDroughtRisk
+} = require('../drought');
+
+// Weekly USDM maps as GeoJSON; {date} is YYYYMMDD or "current"
+const DEFAULT_MAP_URL = 'https://droughtmonitor.unl.edu/data/json/usdm_{date}.json';
+
+/**
+ * US Drought Monitor Client
+ * Reads a location's weekly drought categories from the drought_monitor_cells grid, which
+ * scripts/import-usdm-drought.js precomputes from the weekly maps, so a request is a single
+ * row lookup. Outside the imported grid only the current map is fetched, which gives the
+ * current category but no frequency.
+ */
+class DroughtMonitorClient {
+    constructor(config = {}) {
+        this.mapUrl = config.mapUrl || process.env.USDM_MAP_URL || DEFAULT_MAP_URL;
+        this.periodsYears = config.periodsYears || DEFAULT_PERIODS_YEARS;
+
+        this.client = new HttpClient({
+            timeout: config.timeout || 60000,
+            userAgent: 'Seawater-Climate-Risk/1.0',
+            retryConfig: { retries: 2, retryDelay: 2000 }
+        });
+        this.noaaClient = config.noaaClient || new NOAAClient();
+
+        this.dataSource = 'US_Drought_Monitor';
+    }
+
+    /**
+     * Weekly drought categories at a location, summarized over each look-back period
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @returns {Object} summarizeDroughtWeeks() result with source and cached flags
+     */
+    async getDroughtHistory(latitude, longitude) {
+        const { row, col } = droughtGridCell(latitude, longitude);
+        const cell = await findDroughtMonitorCell(row, col);
+
+        if (!cell) {
+            const response = await this.client.get(this.mapUrl.replace('{date}', 'current'));
+            const category = droughtCategoryAt(parseDroughtMap(response.data), latitude, longitude);
+            return {
+                data_available: false,
+                weeks_analyzed: 0,
+                current_category: category >= 0 ? `D${category}` : null,
+                periods: {},
+                source: 'live',
+                cached: false
+            };
+        }
+
+        return {
+            ...summarizeDroughtWeeks(expandGridCellWeeks(cell.first_week, cell.categories), { periodsYears: this.periodsYears }),
+            source: 'grid',
+            cached: false
+        };
+    }
+
+    /**
+     * Drought risk from USDM history and NOAA precipitation normals, in the source shape used by the aggregator
+     * Either input alone still produces a score, at lower confidence.
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @param {Array} riskTypes - Requested risk types (only drought is covered)
+     * @param {Object} options - Unused
+     * @returns {Object} { risks: { drought }, api_calls, cache_hits, cache_misses, last_updated }
+     */
+    async getRiskData(latitude, longitude, riskTypes = ['drought'], options = {}) {
+        const [historyResult, normalsResult] = await Promise.allSettled([
+            this.getDroughtHistory(latitude, longitude),
+            this.noaaClient.getClimateNormals(latitude, longitude)
+        ]);
+
+        const history = historyResult.status === 'fulfilled' ? historyResult.value : null;
+        const normals = normalsResult.status === 'fulfilled' && normalsResult.value.data?.data_available
+            ? normalsResult.value
+            : null;
+        if (!history) {
+            console.warn('USDM drought history unavailable:', historyResult.reason.message);
+        }
+        if (normalsResult.status === 'rejected') {
+            console.warn('NOAA precipitation normals unavailable:', normalsResult.reason.message);
+        }
+
+        const { score, confidence, details } = calculateDroughtRisk(
+            history,
+            normals ? normals.data.monthly_precipitation_normals : null
+        );
+        if (score === null) {
+            throw new DataSourceError(
+                `No drought data available: ${historyResult.reason?.message || 'no USDM history or precipitation normals'}`,
+                this.dataSource
+            );
+        }
+
+        const apiCalls = (history && history.source === 'live' ? 1 : 0) + (normals && !normals.cached ? 1 : 0);
+        const cacheHits = (history?.cached ? 1 : 0) + (normals?.cached ? 1 : 0);
+
+        return {
+            risks: {
+                drought: {
+                    score: score,
+                    confidence: confidence.level,
+                    effective_date: history?.latest_week || null,
+                    confidence_factors: confidence,
+                    ...details
+                }
+            },
+            source: this.dataSource,
+            api_calls: apiCalls,
+            cache_hits: cacheHits,
+            cache_misses: apiCalls,
+            last_updated: history?.latest_week || new Date().toISOString()
+        };
+    }
+}
+
+module.exports = DroughtMonitorClient;
\ No newline at end of file
@@ -393,6 +393,10 @@ class FemaDataClient {
             hail_risk_rating: attributes.HAIL_RATNG || 'NOT_MAPPED',
             hail_risk_score: normalizeRiskRating(attributes.HAIL_RATNG),
             
+            // Building loss inputs for dollar-denominated estimates
+            building_value: parseFloat(attributes.BUILDVALUE) || null,
+            expected_annual_loss: this.extractExpectedAnnualLoss(attributes),
+
             // Community characteristics
             community_resilience: attributes.RESL_RATNG || 'NOT_MAPPED',
             social_vulnerability: attributes.SOVI_RATNG || 'NOT_MAPPED',
@@ -409,6 +413,46 @@ class FemaDataClient {
         };
     }
 
+    /**
+     * Extract building expected annual loss inputs for each hazard
+     * NRI computes building EAL as exposure x annualized frequency x historic loss ratio, so the
+     * loss rate for an exposed building is EALB / EXPB, or AFREQ x HLRB when exposure is missing.
+     */
+    extractExpectedAnnualLoss(attributes) {
+        const parseField = (value) => {
+            const parsed = parseFloat(value);
+            return isNaN(parsed) ? null : parsed;
+        };
+
+        const hazards = {};
+        for (const [hazardType, code] of Object.entries(this.hazardMappings)) {
+            const expectedAnnualLoss = parseField(attributes[`${code}_EALB`]);
+            const exposure = parseField(attributes[`${code}_EXPB`]);
+            const annualFrequency = parseField(attributes[`${code}_AFREQ`]);
+            const historicLossRatio = parseField(attributes[`${code}_HLRB`]);
+
+            let lossRate = null;
+            if (expectedAnnualLoss !== null && exposure) {
+                lossRate = expectedAnnualLoss / exposure;
+            } else if (annualFrequency !== null && historicLossRatio !== null) {
+                lossRate = annualFrequency * historicLossRatio;
+            }
+
+            if (lossRate === null) continue;
+
+            hazards[hazardType] = {
+                loss_rate: lossRate,
+                annual_frequency: annualFrequency,
+                historic_loss_ratio: historicLossRatio,
+                expected_annual_loss: expectedAnnualLoss,
+                exposure: exposure,
+                risk_score: parseField(attributes[`${code}_RISKS`])
+            };
+        }
+
+        return hazards;
+    }
+
     /**
      * Process FEMA flood zone response
      */
@@ -451,6 +495,7 @@ class FemaDataClient {
                 total_disasters: 0,
                 disaster_types: {},
                 recent_disasters: [],
+                declarations: [],
                 years_analyzed: years
             };
         }
@@ -463,23 +508,26 @@ class FemaDataClient {
             disasterTypes[type] = (disasterTypes[type] || 0) + 1;
         });
 
-        // Get most recent disasters
-        const recentDisasters = disasters
+        // All declarations, most recent first
+        const declarations = disasters
             .sort((a, b) => new Date(b.declarationDate) - new Date(a.declarationDate))
-            .slice(0, 10)
             .map(disaster => ({
                 title: disaster.title,
                 incident_type: disaster.incidentType,
+                declaration_type: disaster.declarationType,
                 declaration_date: disaster.declarationDate,
                 disaster_number: disaster.disasterNumber,
                 incident_begin_date: disaster.incidentBeginDate,
-                incident_end_date: disaster.incidentEndDate
+                incident_end_date: disaster.incidentEndDate,
+                designated_area: disaster.designatedArea,
+                state: disaster.state
             }));
 
         return {
             total_disasters: disasters.length,
             disaster_types: disasterTypes,
-            recent_disasters: recentDisasters,
+            recent_disasters: declarations.slice(0, 10),
+            declarations: declarations,
             years_analyzed: years,
             most_common_disaster: Object.keys(disasterTypes).reduce((a, b) => 
                 disasterTypes[a] > disasterTypes[b] ? a : b, 'None')
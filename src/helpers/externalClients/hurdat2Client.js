@@ -0,0 +1,141 @@
+// hurdat2Client.js - Seawater Climate Risk Platform
+// NOAA National Hurricane Center HURDAT2 best-track client for historical hurricane proximity risk
+
+const fs = require('fs');
+const { HttpClient } = require('../httpClient');
+const { DataSourceError } = require('../errorHandler');
+const {
+    DEFAULT_DISTANCE_BANDS_KM,
+    parseHurdat2,
+    StormTrackIndex,
+    findStormEncounters,
+    selectNotableStorms,
+    calculateHurricaneTrackRisk
+} = require('../hurdat2');
+
+/**
+ * HURDAT2 Client
+ * Loads one or more HURDAT2 files (local paths or URLs) once per container and answers
+ * proximity queries from a spatial index of the storm tracks. NHC renames the files with
+ * each season's release, so the sources are configuration (HURDAT2_SOURCES) with no default.
+ */
+class Hurdat2Client {
+    constructor(config = {}) {
+        const sources = config.sources || process.env.HURDAT2_SOURCES || '';
+        this.sources = (Array.isArray(sources) ? sources : sources.split(','))
+            .map(source => source.trim())
+            .filter(Boolean);
+
+        const bands = config.distanceBandsKm || process.env.HURRICANE_DISTANCE_BANDS_KM;
+        this.distanceBandsKm = bands
+            ? (Array.isArray(bands) ? bands : bands.split(',')).map(Number).filter(band => band > 0)
+            : DEFAULT_DISTANCE_BANDS_KM;
+
+        this.client = new HttpClient({
+            timeout: config.timeout || 60000,
+            userAgent: 'Seawater-Climate-Risk/1.0',
+            retryConfig: { retries: 2, retryDelay: 2000 }
+        });
+
+        this.index = null;
+        this.dataSource = 'NOAA_HURDAT2';
+    }
+
+    async readSource(source) {
+        if (/^https?:\/\//.test(source)) {
+            const response = await this.client.get(source);
+            return String(response.data);
+        }
+        return fs.promises.readFile(source, 'utf8');
+    }
+
+    /**
+     * Parse every configured file into a single track index
+     * A failed load is dropped so the next request retries it.
+     */
+    loadIndex() {
+        if (this.sources.length === 0) {
+            return Promise.reject(new DataSourceError('No HURDAT2 sources configured (HURDAT2_SOURCES)', this.dataSource));
+        }
+        if (!this.index) {
+            this.index = Promise.all(this.sources.map(source => this.readSource(source)))
+                .then(files => {
+                    const storms = files.flatMap(parseHurdat2);
+                    if (storms.length === 0) {
+                        throw new Error('No storms found in HURDAT2 sources');
+                    }
+                    return new StormTrackIndex(storms);
+                })
+                .catch(error => {
+                    this.index = null;
+                    throw new DataSourceError(`Unable to load HURDAT2 tracks: ${error.message}`, this.dataSource);
+                });
+        }
+        return this.index;
+    }
+
+    /**
+     * Hurricane risk from historical storm passages, in the source shape used by the aggregator
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @param {Array} riskTypes - Requested risk types (only hurricane is covered)
+     * @param {Object} options - { hurricaneDistanceBandsKm, hurricaneStartYear }
+     * @returns {Object} { risks: { hurricane }, api_calls, cache_hits, cache_misses, last_updated }
+     */
+    async getRiskData(latitude, longitude, riskTypes = ['hurricane'], options = {}) {
+        const cached = this.index !== null;
+        const index = await this.loadIndex();
+
+        const { score, details } = calculateHurricaneTrackRisk(index, latitude, longitude, {
+            distanceBandsKm: options.hurricaneDistanceBandsKm || this.distanceBandsKm,
+            startYear: options.hurricaneStartYear
+        });
+
+        return {
+            risks: {
+                hurricane: {
+                    score: score,
+                    effective_date: `${index.lastYear}-12-31`,
+                    ...details
+                }
+            },
+            source: this.dataSource,
+            api_calls: cached ? 0 : this.sources.filter(source => /^https?:\/\//.test(source)).length,
+            cache_hits: cached ? 1 : 0,
+            cache_misses: cached ? 0 : 1,
+            last_updated: `${index.lastYear}-12-31`
+        };
+    }
+
+    /**
+     * Notable storms that affected a location, for the disaster history timeline
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @param {Object} options - { radiusKm, startDate, endDate, limit }
+     * @returns {Object} { storms, cached, source }
+     */
+    async getStormHistory(latitude, longitude, options = {}) {
+        const cached = this.index !== null;
+        const index = await this.loadIndex();
+        const radiusKm = options.radiusKm || this.distanceBandsKm[this.distanceBandsKm.length - 1];
+        const start = options.startDate ? new Date(options.startDate).getTime() : -Infinity;
+        const end = options.endDate ? new Date(options.endDate).getTime() : Infinity;
+
+        const encounters = findStormEncounters(index, latitude, longitude, radiusKm)
+            .filter(encounter => {
+                const time = new Date(encounter.date).getTime();
+                return time >= start && time <= end;
+            });
+
+        return {
+            storms: selectNotableStorms(encounters, {
+                distanceBandsKm: this.distanceBandsKm,
+                limit: options.limit || 25
+            }),
+            cached: cached,
+            source: this.dataSource
+        };
+    }
+}
+
+module.exports = Hurdat2Client;
\ No newline at end of file
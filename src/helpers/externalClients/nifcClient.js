@@ -0,0 +1,49 @@
+// nifcClient.js - Seawater Climate Risk Platform
+// NIFC interagency fire perimeter history client for nationwide wildfire risk
+
+const HTTPClient = require('../../backend/src/integrations/core/HTTPClient');
+const NIFCClient = require('../../backend/src/integrations/clients/government/NIFCClient');
+
+/**
+ * NIFC Client
+ * Adapts the integrations NIFC client to the aggregator source shape.
+ */
+class NifcClient {
+    constructor(config = {}) {
+        this.client = new NIFCClient({
+            httpClient: new HTTPClient(),
+            perimeterSnapshotPath: config.perimeterSnapshotPath
+        });
+        this.dataSource = 'NIFC';
+    }
+
+    /**
+     * Wildfire risk from nearby burn history, in the source shape used by the aggregator
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @param {Array} riskTypes - Requested risk types (only wildfire is covered)
+     * @param {Object} options - Unused
+     * @returns {Object} { risks: { wildfire }, api_calls, cache_hits, cache_misses, last_updated }
+     */
+    async getRiskData(latitude, longitude, riskTypes = ['wildfire'], options = {}) {
+        const result = await this.client.getWildfireRisk(latitude, longitude);
+        const live = result.dataMode === 'live';
+
+        return {
+            risks: {
+                wildfire: {
+                    score: result.riskAssessment.riskScore,
+                    confidence: result.riskAssessment.confidence,
+                    burn_history: result.riskAssessment.burnHistory
+                }
+            },
+            source: this.dataSource,
+            api_calls: live ? 1 : 0,
+            cache_hits: 0,
+            cache_misses: live ? 1 : 0,
+            last_updated: result.generatedAt
+        };
+    }
+}
+
+module.exports = NifcClient;
\ No newline at end of file
@@ -0,0 +1,200 @@
+// noaaCoastalClient.js - Seawater Climate Risk Platform
+// NOAA coastal elevation and sea level rise grids read from locally loaded ESRI ASCII rasters
+
+const fs = require('fs');
+const path = require('path');
+const { DataSourceError } = require('../errorHandler');
+
+// Sea level rise scenarios and years with a grid per combination
+const SLR_SCENARIOS = ['intermediate', 'high'];
+const SLR_YEARS = [2050, 2100];
+
+/**
+ * Grid files expected in the grid directory
+ * elevation - ground elevation in meters above MHHW (NOAA Coastal DEM)
+ * shoreline_distance - distance to the nearest tidal shoreline in kilometers
+ * slr_{scenario}_{year} - median relative sea level rise in meters above the 2000 baseline
+ */
+const GRID_FILES = {
+    elevation: 'elevation.asc',
+    shoreline_distance: 'shoreline_distance.asc',
+    ...Object.fromEntries(SLR_SCENARIOS.flatMap(scenario =>
+        SLR_YEARS.map(year => [`slr_${scenario}_${year}`, `slr_${scenario}_${year}.asc`])
+    ))
+};
+
+/**
+ * Parse an ESRI ASCII grid
+ * Reads text chunks as they arrive and keeps only the Float32Array of values, so a grid needs
+ * 4 bytes a cell rather than the size of its text.
+ * @param {Iterable|AsyncIterable} chunks - File contents in order, e.g. a utf8 read stream
+ * @returns {Promise<Object>} { ncols, nrows, xllcorner, yllcorner, cellsize, nodata, values }
+ */
+async function parseAsciiGrid(chunks) {
+    const header = {};
+    let pendingKey = null;
+    let grid = null;
+    let cell = 0;
+    let remainder = '';
+
+    const startValues = () => {
+        const ncols = header.ncols;
+        const nrows = header.nrows;
+        const cellsize = header.cellsize;
+        if (!ncols || !nrows || !cellsize) {
+            throw new Error('Grid header must define ncols, nrows and cellsize');
+        }
+
+        // Cell-centre origins sit half a cell inside the lower-left corner
+        const xllcorner = header.xllcorner ?? header.xllcenter - cellsize / 2;
+        const yllcorner = header.yllcorner ?? header.yllcenter - cellsize / 2;
+        if (!Number.isFinite(xllcorner) || !Number.isFinite(yllcorner)) {
+            throw new Error('Grid header must define the lower-left corner or centre');
+        }
+
+        return {
+            ncols,
+            nrows,
+            xllcorner,
+            yllcorner,
+            cellsize,
+            // Values are stored as 32-bit floats, so NODATA must be rounded the same way to match
+            nodata: Math.fround(header.nodata_value ?? -9999),
+            values: new Float32Array(ncols * nrows)
+        };
+    };
+
+    const addToken = (token) => {
+        if (!grid) {
+            if (pendingKey) {
+                header[pendingKey] = Number(token);
+                pendingKey = null;
+                return;
+            }
+            if (/^[a-z_]+$/i.test(token)) {
+                pendingKey = token.toLowerCase();
+                return;
+            }
+            grid = startValues();
+        }
+        if (cell < grid.values.length) {
+            grid.values[cell++] = Number(token);
+        }
+    };
+
+    for await (const chunk of chunks) {
+        const tokens = (remainder + chunk).split(/\s+/);
+        // The last token may continue in the next chunk
+        remainder = tokens.pop();
+        tokens.forEach(token => token && addToken(token));
+    }
+    if (remainder) addToken(remainder);
+
+    if (!grid) grid = startValues();
+    if (cell < grid.values.length) {
+        throw new Error(`Grid has ${cell} values, expected ${grid.values.length}`);
+    }
+
+    return grid;
+}
+
+/**
+ * Value of the cell containing a point, or null outside the grid or on NODATA
+ * Rows run north to south as stored in the file.
+ */
+function sampleGrid(grid, latitude, longitude) {
+    if (!grid) return null;
+
+    const col = Math.floor((longitude - grid.xllcorner) / grid.cellsize);
+    const rowFromBottom = Math.floor((latitude - grid.yllcorner) / grid.cellsize);
+    if (col < 0 || col >= grid.ncols || rowFromBottom < 0 || rowFromBottom >= grid.nrows) {
+        return null;
+    }
+
+    const value = grid.values[(grid.nrows - 1 - rowFromBottom) * grid.ncols + col];
+    return Number.isFinite(value) && value !== grid.nodata ? value : null;
+}
+
+/**
+ * NOAA Coastal Client
+ * Samples ground elevation, shoreline distance and sea level rise grids at a point.
+ * Grids are loaded once per container and kept in memory at 4 bytes a cell, so all six together
+ * must fit in the function's memory. One degree square at 1 arc-second (3600 x 3600 cells) takes
+ * about 52 MB per grid; cover larger areas at a coarser cell size.
+ */
+class NoaaCoastalClient {
+    constructor(config = {}) {
+        this.gridDirectory = config.gridDirectory || process.env.SLR_GRID_DIR || null;
+        this.grids = new Map();
+        this.dataSource = 'NOAA_Coastal';
+    }
+
+    /**
+     * Load a grid by name; a missing file resolves to null so partial grid sets still work
+     */
+    loadGrid(name) {
+        if (!this.grids.has(name)) {
+            const filePath = path.join(this.gridDirectory, GRID_FILES[name]);
+            const loading = parseAsciiGrid(fs.createReadStream(filePath, { encoding: 'utf8' }))
+                .catch(error => {
+                    if (error.code === 'ENOENT') return null;
+                    // Drop the failed load so the next request retries it
+                    this.grids.delete(name);
+                    throw new DataSourceError(`Unable to load ${GRID_FILES[name]}: ${error.message}`, this.dataSource);
+                });
+            this.grids.set(name, loading);
+        }
+        return this.grids.get(name);
+    }
+
+    /**
+     * Get coastal elevation and sea level rise values at coordinates
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @returns {Object} { success, data, cached, source } where data holds ground_elevation_m,
+     *   shoreline_distance_km and sea_level_rise_m by scenario and year (null without coverage)
+     */
+    async getCoastalProfile(latitude, longitude) {
+        if (!this.gridDirectory) {
+            return {
+                success: true,
+                data: { data_available: false, reason: 'grid_directory_not_configured' },
+                cached: false,
+                source: this.dataSource
+            };
+        }
+
+        const names = Object.keys(GRID_FILES);
+        const alreadyLoaded = names.every(name => this.grids.has(name));
+        const grids = Object.fromEntries(
+            await Promise.all(names.map(async name => [name, await this.loadGrid(name)]))
+        );
+
+        const seaLevelRise = {};
+        SLR_SCENARIOS.forEach(scenario => {
+            seaLevelRise[scenario] = {};
+            SLR_YEARS.forEach(year => {
+                seaLevelRise[scenario][year] = sampleGrid(grids[`slr_${scenario}_${year}`], latitude, longitude);
+            });
+        });
+
+        const groundElevation = sampleGrid(grids.elevation, latitude, longitude);
+        const shorelineDistance = sampleGrid(grids.shoreline_distance, latitude, longitude);
+
+        return {
+            success: true,
+            data: {
+                data_available: groundElevation !== null && shorelineDistance !== null,
+                reason: groundElevation === null || shorelineDistance === null ? 'outside_grid_coverage' : undefined,
+                ground_elevation_m: groundElevation,
+                shoreline_distance_km: shorelineDistance,
+                sea_level_rise_m: seaLevelRise,
+                elevation_datum: 'MHHW'
+            },
+            cached: alreadyLoaded,
+            source: this.dataSource
+        };
+    }
+}
+
+module.exports = NoaaCoastalClient;
\ No newline at end of file
@@ -484,6 +484,7 @@ class NoaaDataClient {
             severe_thunderstorm_risk: data.event_types?.THUNDERSTORM_WIND || 0,
             flash_flood_risk: data.event_types?.FLASH_FLOOD || 0,
             drought_episodes: data.event_types?.DROUGHT || 0,
+            events: data.events || [],
             years_analyzed: years
         };
     }
@@ -0,0 +1,102 @@
+// spcStormReportsClient.js - Seawater Climate Risk Platform
+// NOAA Storm Prediction Center severe weather database client for kernel density tornado and hail risk
+
+const { DataSourceError } = require('../errorHandler');
+const { findStormReportsInBounds, getStormReportPeriod } = require('../dbOperations');
+const {
+    DEFAULT_BANDWIDTH_KM,
+    getSearchRadiusKm,
+    getSearchBounds,
+    calculateStormReportRisk
+} = require('../spcStormReports');
+
+const STORM_TYPES = ['tornado', 'hail'];
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+/**
+ * Storm report in the shape calculateStormReportRisk() expects, from a storm_reports row
+ */
+function toStormReport(row) {
+    return {
+        type: row.report_type,
+        year: Number(row.report_year),
+        date: row.report_date,
+        magnitude: toNumber(row.magnitude),
+        startLat: Number(row.start_lat),
+        startLon: Number(row.start_lon),
+        endLat: Number(row.end_lat),
+        endLon: Number(row.end_lon),
+        lengthKm: toNumber(row.length_km),
+        widthM: toNumber(row.width_m)
+    };
+}
+
+/**
+ * SPC Storm Reports Client
+ * Scores locations from the tornado tracks and hail reports that scripts/import-spc-storm-reports.js
+ * loads into the storm_reports table; each request reads only the reports near the point.
+ */
+class SpcStormReportsClient {
+    constructor(config = {}) {
+        this.bandwidthKm = Number(config.bandwidthKm || process.env.SPC_KERNEL_BANDWIDTH_KM) || DEFAULT_BANDWIDTH_KM;
+        this.dataSource = 'NOAA_SPC';
+    }
+
+    /**
+     * Tornado and hail risk from historical storm reports, in the source shape used by the aggregator
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @param {Array} riskTypes - Requested risk types (tornado and hail are covered)
+     * @param {Object} options - { stormKernelBandwidthKm }
+     * @returns {Object} { risks: { tornado, hail }, api_calls, cache_hits, cache_misses, last_updated }
+     */
+    async getRiskData(latitude, longitude, riskTypes = STORM_TYPES, options = {}) {
+        const types = STORM_TYPES.filter(type => riskTypes.includes(type));
+        const bandwidthKm = options.stormKernelBandwidthKm || this.bandwidthKm;
+        const bounds = getSearchBounds(latitude, longitude, getSearchRadiusKm(bandwidthKm));
+
+        const result = {
+            risks: {},
+            source: this.dataSource,
+            api_calls: 0,
+            cache_hits: 0,
+            cache_misses: 0,
+            last_updated: null
+        };
+
+        for (const type of types) {
+            const [period, rows] = await Promise.all([
+                getStormReportPeriod(type),
+                findStormReportsInBounds(type, bounds)
+            ]);
+            if (!period || period.first_year === null) {
+                throw new DataSourceError(`No SPC ${type} reports have been imported`, this.dataSource);
+            }
+
+            const { score, details } = calculateStormReportRisk(
+                rows.map(toStormReport),
+                { first: Number(period.first_year), last: Number(period.last_year) },
+                type,
+                latitude,
+                longitude,
+                { bandwidthKm }
+            );
+            const effectiveDate = `${period.last_year}-12-31`;
+
+            result.risks[type] = {
+                score: score,
+                effective_date: effectiveDate,
+                ...details
+            };
+
+            if (!result.last_updated || effectiveDate > result.last_updated) {
+                result.last_updated = effectiveDate;
+            }
+        }
+
+        return result;
+    }
+}
+
+module.exports = SpcStormReportsClient;
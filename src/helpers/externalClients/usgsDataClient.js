@@ -5,6 +5,48 @@ const { HttpClient } = require('../httpClient');
 const { DataSourceError, RateLimitError } = require('../errorHandler');
 const { getCachedResponse, setCachedResponse } = require('../cacheManager');
 
+// 3DEP point elevations; values at or below this are the service's no-data marker
+const NO_DATA_ELEVATION = -1000000;
+
+// Spacing (m) of the elevation samples used for slope, and of the wider ring used for local relief
+const SLOPE_SAMPLE_M = 100;
+const RELIEF_SAMPLE_M = 500;
+
+// Minimum slope (degrees) for each landslide susceptibility class
+const LANDSLIDE_SLOPE_CLASSES = [
+    [30, 'VERY_HIGH'],
+    [20, 'HIGH'],
+    [10, 'MODERATE'],
+    [5, 'LOW'],
+    [0, 'VERY_LOW']
+];
+const LANDSLIDE_CLASS_ORDER = ['VERY_LOW', 'LOW', 'MODERATE', 'HIGH', 'VERY_HIGH'];
+
+// Relief across the wider ring that raises susceptibility one class (steep ground above or below the site)
+const LANDSLIDE_RELIEF_M = 150;
+
+// NVEWS threat ranking of US volcanoes, as a share of the highest threat
+const VOLCANO_THREAT_WEIGHTS = {
+    'very high': 1.0,
+    'high': 0.75,
+    'moderate': 0.5,
+    'low': 0.25,
+    'very low': 0.1
+};
+
+// Distance (km) over which a volcano's hazard falls by a factor of e
+const VOLCANIC_HAZARD_DECAY_KM = 50;
+
+// Reach (km) of each hazard zone from a volcano
+const VOLCANIC_ZONE_DISTANCES_KM = {
+    lava_flow: 20,
+    pyroclastic_flow: 20,
+    lahar: 80,
+    ash_fall: 200
+};
+
+const METERS_PER_DEGREE = 111195;
+
 /**
  * Enhanced USGS Data Client
  * Provides access to earthquake, geological, water monitoring, and flood risk data
@@ -45,6 +87,28 @@ class UsgsDataClient {
             }
         });
 
+        // 3DEP Elevation Point Query Service for terrain slope
+        this.elevationClient = new HttpClient({
+            baseURL: 'https://epqs.nationalmap.gov/v1',
+            timeout: 15000,
+            userAgent: 'Seawater-Climate-Risk/1.0',
+            retryConfig: { retries: 2, retryDelay: 1000 },
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+
+        // Volcano Hazards Program volcano list with NVEWS threat rankings
+        this.volcanoClient = new HttpClient({
+            baseURL: config.volcanoBaseURL || process.env.USGS_VOLCANO_API_URL || 'https://volcanoes.usgs.gov/hans-public/api/volcano',
+            timeout: 30000,
+            userAgent: 'Seawater-Climate-Risk/1.0',
+            retryConfig: { retries: 2, retryDelay: 2000 },
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+
         this.rateLimit = {
             perSecond: 10,
             lastRequestTime: 0
@@ -65,6 +129,65 @@ class UsgsDataClient {
         };
     }
 
+    /**
+     * Earthquake, landslide and volcanic risk in the source shape used by the aggregator
+     * Hazards whose lookup fails or has no data are left out; the call fails only when every lookup fails.
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @param {Array} riskTypes - Requested risk types
+     * @returns {Object} { risks: { earthquake, landslide, volcanic }, api_calls, cache_hits, cache_misses, last_updated }
+     */
+    async getRiskData(latitude, longitude, riskTypes = ['earthquake', 'landslide', 'volcanic'], options = {}) {
+        const lookups = {
+            earthquake: { fetch: () => this.getEarthquakeRisk(latitude, longitude), scoreField: 'earthquake_risk_score' },
+            landslide: { fetch: () => this.getLandslideRisk(latitude, longitude), scoreField: 'susceptibility_score' },
+            volcanic: { fetch: () => this.getVolcanicRisk(latitude, longitude), scoreField: 'volcanic_risk_score' }
+        };
+        const types = Object.keys(lookups).filter(type => riskTypes.includes(type));
+        const responses = await Promise.allSettled(types.map(type => lookups[type].fetch()));
+
+        const result = {
+            risks: {},
+            source: this.dataSource,
+            api_calls: 0,
+            cache_hits: 0,
+            cache_misses: 0,
+            last_updated: new Date().toISOString()
+        };
+
+        responses.forEach((response, index) => {
+            const type = types[index];
+            if (response.status === 'rejected') {
+                console.warn(`USGS ${type} risk unavailable:`, response.reason?.message);
+                return;
+            }
+
+            const { data, cached } = response.value;
+            if (cached) {
+                result.cache_hits++;
+            } else {
+                result.cache_misses++;
+                result.api_calls++;
+            }
+
+            if (!data?.data_available) return;
+            const { coordinates, ...details } = data;
+            result.risks[type] = {
+                score: data[lookups[type].scoreField],
+                ...details
+            };
+        });
+
+        if (types.length > 0 && responses.every(response => response.status === 'rejected')) {
+            throw new DataSourceError(
+                `USGS risk data unavailable: ${responses[0].reason?.message}`,
+                this.dataSource
+            );
+        }
+
+        return result;
+    }
+
     /**
      * Get earthquake risk data for coordinates
      */
@@ -539,32 +662,146 @@ class UsgsDataClient {
     }
 
     /**
-     * Get landslide susceptibility (simplified - actual implementation would use specific USGS services)
+     * Get ground elevation (m) from the 3DEP Elevation Point Query Service
+     * @returns {number|null} Elevation, or null where the service has no data
+     */
+    async getElevation(latitude, longitude) {
+        const params = {
+            x: longitude,
+            y: latitude,
+            wkid: 4326,
+            units: 'Meters',
+            includeDate: false
+        };
+
+        const response = await this.elevationClient.get(
+            `/json${this.client.buildQueryString(params)}`,
+            { source: this.dataSource }
+        );
+
+        const elevation = parseFloat(response.data?.value);
+        return isNaN(elevation) || elevation <= NO_DATA_ELEVATION ? null : elevation;
+    }
+
+    /**
+     * Get landslide susceptibility from terrain slope and local relief
+     * Slope comes from 3DEP elevations 100 m either side of the point; relief from a 500 m ring
+     * catches steep ground just above or below a flat lot. Susceptibility is null without elevations.
      */
     async getLandslideSusceptibility(latitude, longitude) {
-        // This would connect to USGS Landslide Hazards Program data
-        // For now, return a placeholder structure
+        const latStep = (meters) => meters / METERS_PER_DEGREE;
+        const lonStep = (meters) => meters / (METERS_PER_DEGREE * Math.cos(latitude * Math.PI / 180));
+        const samples = {
+            center: [latitude, longitude],
+            north: [latitude + latStep(SLOPE_SAMPLE_M), longitude],
+            south: [latitude - latStep(SLOPE_SAMPLE_M), longitude],
+            east: [latitude, longitude + lonStep(SLOPE_SAMPLE_M)],
+            west: [latitude, longitude - lonStep(SLOPE_SAMPLE_M)],
+            northeast: [latitude + latStep(RELIEF_SAMPLE_M), longitude + lonStep(RELIEF_SAMPLE_M)],
+            northwest: [latitude + latStep(RELIEF_SAMPLE_M), longitude - lonStep(RELIEF_SAMPLE_M)],
+            southeast: [latitude - latStep(RELIEF_SAMPLE_M), longitude + lonStep(RELIEF_SAMPLE_M)],
+            southwest: [latitude - latStep(RELIEF_SAMPLE_M), longitude - lonStep(RELIEF_SAMPLE_M)]
+        };
+
+        const names = Object.keys(samples);
+        const values = await Promise.all(names.map(name => this.getElevation(...samples[name])));
+        const elevations = Object.fromEntries(names.map((name, index) => [name, values[index]]));
+
+        const slopePoints = ['center', 'north', 'south', 'east', 'west'];
+        if (slopePoints.some(name => elevations[name] === null)) {
+            return {
+                susceptibility: null,
+                slope_stability: 'UNKNOWN',
+                geological_factors: {}
+            };
+        }
+
+        const gradientEast = (elevations.east - elevations.west) / (2 * SLOPE_SAMPLE_M);
+        const gradientNorth = (elevations.north - elevations.south) / (2 * SLOPE_SAMPLE_M);
+        const slopeAngle = Math.atan(Math.hypot(gradientEast, gradientNorth)) * 180 / Math.PI;
+
+        const validElevations = values.filter(value => value !== null);
+        const localRelief = Math.max(...validElevations) - Math.min(...validElevations);
+
+        let classIndex = LANDSLIDE_CLASS_ORDER.indexOf(
+            LANDSLIDE_SLOPE_CLASSES.find(([minSlope]) => slopeAngle >= minSlope)[1]
+        );
+        if (localRelief >= LANDSLIDE_RELIEF_M) {
+            classIndex = Math.min(LANDSLIDE_CLASS_ORDER.length - 1, classIndex + 1);
+        }
+
         return {
-            susceptibility: 'MODERATE',
-            slope_stability: 'STABLE',
+            susceptibility: LANDSLIDE_CLASS_ORDER[classIndex],
+            slope_stability: slopeAngle >= 15 ? 'POTENTIALLY_UNSTABLE' : 'STABLE',
             geological_factors: {
                 soil_type: 'UNKNOWN',
-                slope_angle: null,
+                elevation_m: Math.round(elevations.center),
+                slope_angle: Math.round(slopeAngle * 10) / 10,
+                local_relief_m: Math.round(localRelief),
                 precipitation_threshold: null
             }
         };
     }
 
     /**
-     * Get nearby volcanoes data
+     * Get every US volcano with its NVEWS threat ranking
+     * The list changes rarely, so it is cached for a week and shared by all locations.
+     */
+    async getUSVolcanoes() {
+        const cacheKey = 'usgs_us_volcanoes';
+
+        try {
+            const cached = await getCachedResponse(cacheKey);
+            if (cached) {
+                return cached.data;
+            }
+        } catch (cacheError) {
+            console.warn('USGS volcano list cache lookup failed:', cacheError.message);
+        }
+
+        const response = await this.volcanoClient.get('/getUSVolcanoes', { source: this.dataSource });
+        const volcanoes = (Array.isArray(response.data) ? response.data : [])
+            .map(volcano => ({
+                name: volcano.volcano_name || volcano.vName || null,
+                volcano_number: volcano.vnum || null,
+                latitude: parseFloat(volcano.latitude ?? volcano.lat),
+                longitude: parseFloat(volcano.longitude ?? volcano.long),
+                threat: String(volcano.nvews_threat || '').toLowerCase().replace(/\s*threat$/, '').trim() || null
+            }))
+            .filter(volcano => !isNaN(volcano.latitude) && !isNaN(volcano.longitude));
+
+        if (volcanoes.length === 0) {
+            throw new Error('No volcanoes returned by the USGS volcano list');
+        }
+
+        try {
+            await setCachedResponse(cacheKey, {
+                data: volcanoes,
+                timestamp: new Date().toISOString()
+            }, 604800); // 7 days
+        } catch (cacheError) {
+            console.warn('Failed to cache USGS volcano list:', cacheError.message);
+        }
+
+        return volcanoes;
+    }
+
+    /**
+     * Get US volcanoes within a radius, nearest first
      */
-    async getNearbyVolcanoes(latitude, longitude, radiusKm = 200) {
-        // This would connect to USGS Volcano Hazards Program
-        // For now, return a placeholder structure
+    async getNearbyVolcanoes(latitude, longitude, radiusKm = VOLCANIC_ZONE_DISTANCES_KM.ash_fall) {
+        const volcanoes = (await this.getUSVolcanoes())
+            .map(volcano => ({
+                ...volcano,
+                distance_km: Math.round(this.calculateDistance(latitude, longitude, volcano.latitude, volcano.longitude) / 100) / 10
+            }))
+            .filter(volcano => volcano.distance_km <= radiusKm)
+            .sort((a, b) => a.distance_km - b.distance_km);
+
         return {
-            volcanoes: [],
-            nearest_volcano: null,
-            volcanic_hazard_level: 'LOW'
+            volcanoes: volcanoes,
+            nearest_volcano: volcanoes[0] || null,
+            search_radius_km: radiusKm
         };
     }
 
@@ -652,7 +889,8 @@ class UsgsDataClient {
             geological_factors: data.geological_factors || {},
             risk_factors: {
                 terrain_based: susceptibilityScore > 60,
-                precipitation_triggered: data.geological_factors?.precipitation_threshold < 50,
+                precipitation_triggered: typeof data.geological_factors?.precipitation_threshold === 'number' &&
+                    data.geological_factors.precipitation_threshold < 50,
                 seismic_triggered: susceptibilityScore > 70
             },
             data_available: !!data.susceptibility,
@@ -664,17 +902,28 @@ class UsgsDataClient {
      * Process volcanic data
      */
     processVolcanicData(data, latitude, longitude) {
+        const volcanoes = data.volcanoes || [];
+        const riskScore = this.calculateVolcanicRiskScore(volcanoes);
+
+        // Pyroclastic flows and far-reaching lahars come from the explosive high-threat volcanoes;
+        // ash reaches the whole search radius from any volcano ranked moderate or above
+        const threatWeight = (volcano) => VOLCANO_THREAT_WEIGHTS[volcano.threat] || 0;
+        const within = (zone, minWeight) => volcanoes.some(volcano =>
+            volcano.distance_km <= VOLCANIC_ZONE_DISTANCES_KM[zone] && threatWeight(volcano) >= minWeight);
+
         return {
-            volcanic_hazard_level: data.volcanic_hazard_level || 'LOW',
-            nearby_volcanoes: data.volcanoes?.length || 0,
-            nearest_volcano: data.nearest_volcano,
+            volcanic_risk_score: riskScore,
+            volcanic_hazard_level: this.getRiskLevel(riskScore),
+            nearby_volcanoes: volcanoes.length,
+            nearest_volcano: data.nearest_volcano || null,
             hazard_zones: {
-                lava_flow: false,
-                pyroclastic_flow: false,
-                ash_fall: data.volcanic_hazard_level === 'HIGH',
-                lahar: false
+                lava_flow: within('lava_flow', 0),
+                pyroclastic_flow: within('pyroclastic_flow', VOLCANO_THREAT_WEIGHTS.high),
+                ash_fall: within('ash_fall', VOLCANO_THREAT_WEIGHTS.moderate),
+                lahar: within('lahar', VOLCANO_THREAT_WEIGHTS.high)
             },
-            data_available: !!data.volcanic_hazard_level,
+            search_radius_km: data.search_radius_km || null,
+            data_available: Array.isArray(data.volcanoes),
             coordinates: { latitude, longitude }
         };
     }
@@ -718,6 +967,19 @@ class UsgsDataClient {
         return susceptibilityMap[data.susceptibility] || 25;
     }
 
+    /**
+     * Calculate volcanic risk score (0-100)
+     * The most threatening nearby volcano sets the score: its NVEWS threat weight, decaying with distance.
+     */
+    calculateVolcanicRiskScore(volcanoes) {
+        const hazard = volcanoes.reduce((max, volcano) => {
+            const weight = VOLCANO_THREAT_WEIGHTS[volcano.threat] || VOLCANO_THREAT_WEIGHTS['very low'];
+            return Math.max(max, weight * Math.exp(-volcano.distance_km / VOLCANIC_HAZARD_DECAY_KM));
+        }, 0);
+
+        return Math.round(hazard * 100);
+    }
+
     /**
      * Get risk level description
      */
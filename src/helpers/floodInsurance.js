@@ -0,0 +1,279 @@
+// floodInsurance.js - Seawater Climate Risk Platform
+// Estimated NFIP-style flood insurance premiums with a private-market comparison band
+
+const HTTPClient = require('../backend/src/integrations/core/HTTPClient');
+const USGSClient = require('../backend/src/integrations/clients/government/USGSClient');
+const { calculateHazardVulnerability, interpolate } = require('./vulnerabilityCurves');
+const { NFIP_BUILDING_LIMIT, NFIP_CONTENTS_LIMIT } = require('./nfipLimits');
+
+const usgsClient = new USGSClient({ httpClient: new HTTPClient() });
+
+// Contents coverage assumed as a share of building coverage when none was requested
+const DEFAULT_CONTENTS_SHARE = 0.3;
+
+// Annual premium per $100 of coverage by zone class, before rating factors
+const ZONE_RATES = {
+    coastal_high_hazard: { building: 2.4, contents: 1.9 },
+    high_hazard: { building: 0.95, contents: 0.8 },
+    protected: { building: 0.55, contents: 0.45 },
+    moderate_low: { building: 0.22, contents: 0.2 },
+    undetermined: { building: 0.6, contents: 0.5 }
+};
+
+// Lowest floor minus base flood elevation (ft) to premium multiplier, as on an elevation-rated policy
+const ELEVATION_DIFFERENCE_CURVES = {
+    coastal_high_hazard: [[-4, 3.5], [-2, 2.4], [-1, 1.7], [0, 1.0], [1, 0.75], [2, 0.6], [4, 0.45]],
+    default: [[-4, 3.0], [-2, 2.0], [-1, 1.5], [0, 1.0], [1, 0.7], [2, 0.5], [3, 0.4], [4, 0.35]]
+};
+
+// USGS NWIS site types on tidal or open coastal water
+const COASTAL_SITE_TYPES = ['ES', 'OC', 'OC-CO', 'ST-TS'];
+
+// Discharge and gage height for streams and lakes; estuary and tidal water levels for the coast
+const WATER_PARAMETER_CODES = ['00060', '00065', '62620', '72279'];
+
+// Search radius for monitored water bodies
+const WATER_SEARCH_RADIUS_KM = 25;
+
+// [km, multiplier] points for distance to the nearest monitored coast and to any monitored water body
+const COAST_DISTANCE_CURVE = [[0.5, 1.45], [1, 1.3], [5, 1.12], [15, 1.0]];
+const WATER_DISTANCE_CURVE = [[0.25, 1.2], [1, 1.1], [3, 1.0]];
+
+// Charges added to every NFIP policy
+const FEDERAL_POLICY_FEE = 47;
+const HFIAA_SURCHARGE_PRIMARY = 25;
+const RESERVE_FUND_ASSESSMENT = 0.18;
+const ICC_PREMIUM = { sfha: 75, other: 6 };
+const MINIMUM_COVERAGE_PREMIUM = 100;
+
+// Private premium relative to the NFIP coverage premium, by zone class
+const PRIVATE_MARKET_BANDS = {
+    coastal_high_hazard: { low: 0.9, high: 1.6 },
+    high_hazard: { low: 0.7, high: 1.2 },
+    protected: { low: 0.6, high: 1.0 },
+    moderate_low: { low: 0.55, high: 0.95 },
+    undetermined: { low: 0.7, high: 1.3 }
+};
+
+/**
+ * Rating class for a FEMA flood zone code
+ */
+function classifyZone(zoneCode) {
+    if (!zoneCode || zoneCode === 'UNMAPPED' || zoneCode === 'D') return 'undetermined';
+    if (zoneCode.startsWith('V')) return 'coastal_high_hazard';
+    if (zoneCode === 'A99' || zoneCode === 'AR') return 'protected';
+    if (zoneCode.startsWith('A')) return 'high_hazard';
+    return 'moderate_low';
+}
+
+function roundToTen(value) {
+    return Math.round(value / 10) * 10;
+}
+
+/**
+ * Distance from a point to the nearest monitored water body and coast
+ * With no active site in the search radius the distance is unknown rather than far, so the
+ * result is unavailable and the distance factor stays neutral.
+ * @returns {Object} { available, nearest_water_km, nearest_coast_km, site_count, search_radius_km, source }
+ */
+async function getWaterProximity(latitude, longitude) {
+    const response = await usgsClient.getNearbyWaterSites(latitude, longitude, {
+        radiusKm: WATER_SEARCH_RADIUS_KM,
+        parameters: WATER_PARAMETER_CODES
+    });
+    const sites = response.sites || [];
+    const coastal = sites.filter(site => COASTAL_SITE_TYPES.includes(site.siteType));
+
+    return {
+        available: sites.length > 0,
+        reason: sites.length > 0 ? undefined : 'no_monitored_water_within_radius',
+        nearest_water_km: sites.length > 0 ? sites[0].location.distanceKm : null,
+        nearest_coast_km: coastal.length > 0 ? coastal[0].location.distanceKm : null,
+        site_count: sites.length,
+        search_radius_km: WATER_SEARCH_RADIUS_KM,
+        source: 'USGS NWIS'
+    };
+}
+
+/**
+ * Elevation rating factor
+ * Uses the lowest floor relative to the base flood elevation when both are known (elevation
+ * certificate), otherwise first-floor height, foundation and construction era through the flood
+ * vulnerability curve.
+ */
+function calculateElevationFactor(zoneClass, floodZone, attributes, lowestFloorElevation) {
+    const baseFloodElevation = floodZone?.base_flood_elevation_ft;
+
+    if (baseFloodElevation !== null && baseFloodElevation !== undefined &&
+        lowestFloorElevation !== null && lowestFloorElevation !== undefined) {
+        const difference = lowestFloorElevation - baseFloodElevation;
+        const curve = ELEVATION_DIFFERENCE_CURVES[zoneClass] || ELEVATION_DIFFERENCE_CURVES.default;
+        return {
+            factor: interpolate(curve, difference),
+            basis: 'elevation_difference',
+            elevation_difference_ft: Math.round(difference * 10) / 10
+        };
+    }
+
+    const { multiplier, factors } = calculateHazardVulnerability('flood', attributes);
+    return {
+        factor: multiplier,
+        basis: factors.length > 0 ? 'structure_attributes' : 'assumed',
+        elevation_difference_ft: null
+    };
+}
+
+function calculateDistanceFactor(waterProximity) {
+    if (!waterProximity?.available) return 1;
+
+    const coastFactor = waterProximity.nearest_coast_km !== null
+        ? interpolate(COAST_DISTANCE_CURVE, waterProximity.nearest_coast_km)
+        : 1;
+    const waterFactor = waterProximity.nearest_water_km !== null
+        ? interpolate(WATER_DISTANCE_CURVE, waterProximity.nearest_water_km)
+        : 1;
+
+    return Math.max(coastFactor, waterFactor);
+}
+
+/**
+ * Building and contents coverage, capped at NFIP limits
+ */
+function resolveCoverage(buildingCoverage, contentsCoverage, replacementValue) {
+    const building = Math.min(
+        NFIP_BUILDING_LIMIT,
+        buildingCoverage ?? replacementValue?.amount ?? NFIP_BUILDING_LIMIT
+    );
+    const contents = Math.min(
+        NFIP_CONTENTS_LIMIT,
+        contentsCoverage ?? Math.round((building * DEFAULT_CONTENTS_SHARE) / 1000) * 1000
+    );
+
+    return {
+        building: building,
+        contents: contents,
+        building_assumed: buildingCoverage === null || buildingCoverage === undefined,
+        contents_assumed: contentsCoverage === null || contentsCoverage === undefined,
+        // Replacement value above the NFIP building limit needs excess or private coverage
+        uninsured_building_value: replacementValue?.amount > building ? replacementValue.amount - building : 0
+    };
+}
+
+/**
+ * Calculate premium estimates from resolved inputs
+ * @param {Object} params - { floodZone, attributes, floodRiskScore, waterProximity, coverage, lowestFloorElevation }
+ * @returns {Object} NFIP-style premium range with components, and a private-market band
+ */
+function calculateFloodInsurancePremium({ floodZone, attributes, floodRiskScore, waterProximity, coverage, lowestFloorElevation }) {
+    const zoneClass = classifyZone(floodZone?.flood_zone);
+    const rates = ZONE_RATES[zoneClass];
+    const elevation = calculateElevationFactor(zoneClass, floodZone, attributes, lowestFloorElevation);
+    const distanceFactor = calculateDistanceFactor(waterProximity);
+    const ratingFactor = elevation.factor * distanceFactor;
+
+    const buildingPremium = (coverage.building / 100) * rates.building * ratingFactor;
+    const contentsPremium = (coverage.contents / 100) * rates.contents * ratingFactor;
+    const coveragePremium = Math.max(MINIMUM_COVERAGE_PREMIUM, buildingPremium + contentsPremium);
+
+    const sfha = zoneClass === 'coastal_high_hazard' || zoneClass === 'high_hazard';
+    const iccPremium = sfha ? ICC_PREMIUM.sfha : ICC_PREMIUM.other;
+    const reserveFund = (coveragePremium + iccPremium) * RESERVE_FUND_ASSESSMENT;
+    const estimate = coveragePremium + iccPremium + reserveFund + HFIAA_SURCHARGE_PRIMARY + FEDERAL_POLICY_FEE;
+
+    // Estimates on assumed elevation or an undetermined zone carry a wider range
+    const uncertain = elevation.basis === 'assumed' || zoneClass === 'undetermined';
+    const spread = uncertain ? { low: 0.7, high: 1.45 } : { low: 0.8, high: 1.25 };
+
+    // Private carriers price off modeled flood risk rather than the zone alone
+    const band = PRIVATE_MARKET_BANDS[zoneClass];
+    const riskFactor = floodRiskScore !== null && floodRiskScore !== undefined
+        ? 0.8 + Number(floodRiskScore) / 250
+        : 1;
+
+    return {
+        zone_class: zoneClass,
+        nfip: {
+            annual_premium: {
+                low: roundToTen(estimate * spread.low),
+                estimate: roundToTen(estimate),
+                high: roundToTen(estimate * spread.high)
+            },
+            components: {
+                building: Math.round(buildingPremium),
+                contents: Math.round(contentsPremium),
+                icc: iccPremium,
+                reserve_fund_assessment: Math.round(reserveFund),
+                hfiaa_surcharge: HFIAA_SURCHARGE_PRIMARY,
+                federal_policy_fee: FEDERAL_POLICY_FEE
+            },
+            rating_factors: {
+                zone_rate_building: rates.building,
+                zone_rate_contents: rates.contents,
+                elevation_factor: Math.round(elevation.factor * 1000) / 1000,
+                elevation_basis: elevation.basis,
+                elevation_difference_ft: elevation.elevation_difference_ft,
+                distance_factor: Math.round(distanceFactor * 1000) / 1000
+            }
+        },
+        private_market: {
+            annual_premium: {
+                low: roundToTen(coveragePremium * band.low * riskFactor + FEDERAL_POLICY_FEE),
+                high: roundToTen(coveragePremium * band.high * riskFactor + FEDERAL_POLICY_FEE)
+            },
+            flood_risk_factor: Math.round(riskFactor * 1000) / 1000,
+            excess_coverage_available: coverage.uninsured_building_value > 0
+        }
+    };
+}
+
+/**
+ * Estimate flood insurance premiums for a property
+ * A failing USGS lookup leaves the distance factor neutral rather than failing the estimate.
+ * @param {number} latitude - Property latitude
+ * @param {number} longitude - Property longitude
+ * @param {Object} params - { floodZone, attributes, floodRiskScore, replacementValue,
+ *   buildingCoverage, contentsCoverage, lowestFloorElevation }
+ * @returns {Object} Premium estimates with coverage, water proximity and external_api_calls
+ */
+async function estimateFloodInsurance(latitude, longitude, params) {
+    let waterProximity;
+    try {
+        waterProximity = await getWaterProximity(latitude, longitude);
+    } catch (error) {
+        console.warn('USGS water sites unavailable for flood insurance estimate:', error.message);
+        waterProximity = { available: false, error: error.message };
+    }
+
+    const coverage = resolveCoverage(params.buildingCoverage, params.contentsCoverage, params.replacementValue);
+    const premium = calculateFloodInsurancePremium({
+        floodZone: params.floodZone,
+        attributes: params.attributes || {},
+        floodRiskScore: params.floodRiskScore,
+        waterProximity: waterProximity,
+        coverage: coverage,
+        lowestFloorElevation: params.lowestFloorElevation ?? null
+    });
+
+    return {
+        flood_zone: params.floodZone?.flood_zone || 'UNMAPPED',
+        special_flood_hazard_area: params.floodZone?.special_flood_hazard_area ?? null,
+        insurance_required: params.floodZone?.insurance_required ?? null,
+        coverage: coverage,
+        ...premium,
+        water_proximity: waterProximity,
+        currency: 'USD',
+        assumptions: [
+            'Single-family primary residence',
+            'Standard deductible',
+            ...(coverage.building_assumed ? ['Building coverage set to the replacement value, up to the NFIP limit'] : []),
+            ...(coverage.contents_assumed ? [`Contents coverage set to ${DEFAULT_CONTENTS_SHARE * 100}% of building coverage`] : [])
+        ],
+        external_api_calls: 1
+    };
+}
+
+module.exports = {
+    classifyZone,
+    calculateFloodInsurancePremium,
+    estimateFloodInsurance
+};
@@ -0,0 +1,116 @@
+// floodZones.js - Seawater Climate Risk Platform
+// FEMA National Flood Hazard Layer zone determinations for properties and points
+
+const { findFloodZoneAtPoint, upsertPropertyFloodZone } = require('./dbOperations');
+
+const FLOOD_ZONE_DESCRIPTIONS = {
+    'A': 'High risk flood area with no base flood elevation determined',
+    'AE': 'High risk flood area with base flood elevation determined',
+    'AH': 'High risk flood area with ponding depths 1-3 feet',
+    'AO': 'High risk flood area with sheet flow depths 1-3 feet',
+    'AR': 'High risk flood area resulting from levee decertification',
+    'A99': 'High risk flood area to be protected by Federal flood control system',
+    'V': 'High risk coastal area with velocity hazard',
+    'VE': 'High risk coastal area with velocity hazard and base flood elevation',
+    'X': 'Moderate to low risk area',
+    'B': 'Moderate risk area (legacy designation)',
+    'C': 'Low risk area (legacy designation)',
+    'D': 'Possible but undetermined flood hazard',
+    'OPEN WATER': 'Open water',
+    'UNMAPPED': 'Area not included in flood insurance study'
+};
+
+// Special Flood Hazard Area zones; mortgages backed by federal lenders require flood insurance here
+const SFHA_ZONE_PREFIXES = ['A', 'V'];
+
+/**
+ * Plain-language description of a FEMA flood zone code
+ */
+function describeFloodZone(zoneCode) {
+    return FLOOD_ZONE_DESCRIPTIONS[zoneCode] || 'Unknown flood zone designation';
+}
+
+/**
+ * Whether a zone code is in the Special Flood Hazard Area
+ */
+function isSpecialFloodHazardArea(zoneCode) {
+    return !!zoneCode && SFHA_ZONE_PREFIXES.includes(zoneCode.charAt(0));
+}
+
+/**
+ * Format a flood zone row for API responses
+ * Without an imported zone polygon the zone is UNMAPPED and the insurance requirement unknown (null),
+ * never "not required".
+ */
+function formatFloodZoneDetermination(row) {
+    if (!row || !row.zone_code) {
+        return {
+            flood_zone: 'UNMAPPED',
+            zone_subtype: null,
+            description: describeFloodZone('UNMAPPED'),
+            special_flood_hazard_area: null,
+            insurance_required: null,
+            base_flood_elevation_ft: null,
+            panel_number: row?.panel_number || null,
+            effective_date: row?.effective_date || null,
+            community_id: null,
+            mapped: false,
+            data_source: 'FEMA_NFHL'
+        };
+    }
+
+    const inSFHA = row.insurance_required ?? isSpecialFloodHazardArea(row.zone_code);
+
+    return {
+        flood_zone: row.zone_code,
+        zone_subtype: row.zone_subtype || null,
+        description: row.zone_description || describeFloodZone(row.zone_code),
+        special_flood_hazard_area: inSFHA,
+        insurance_required: inSFHA,
+        base_flood_elevation_ft: row.base_flood_elevation !== null && row.base_flood_elevation !== undefined
+            ? parseFloat(row.base_flood_elevation)
+            : null,
+        panel_number: row.panel_number || null,
+        effective_date: row.effective_date || null,
+        community_id: row.community_id || null,
+        mapped: true,
+        data_source: 'FEMA_NFHL'
+    };
+}
+
+/**
+ * Determine the FEMA flood zone at a point by intersecting it with the imported NFHL zones
+ * When a property id is given the determination is recorded in property_flood_zones.
+ * @param {number} latitude - Latitude coordinate
+ * @param {number} longitude - Longitude coordinate
+ * @param {string|null} propertyId - Property to record the determination for
+ * @returns {Object} Flood zone determination
+ */
+async function determineFloodZone(latitude, longitude, propertyId = null) {
+    const row = await findFloodZoneAtPoint(latitude, longitude);
+    const determination = formatFloodZoneDetermination(row);
+
+    if (propertyId && row?.flood_zone_id) {
+        await upsertPropertyFloodZone({
+            propertyId: propertyId,
+            floodZoneId: row.flood_zone_id,
+            zoneCode: row.zone_code,
+            baseFloodElevation: row.base_flood_elevation,
+            panelNumber: row.panel_number,
+            insuranceRequired: determination.insurance_required,
+            effectiveDate: row.effective_date,
+            assignmentMethod: 'spatial_intersection',
+            confidence: 0.95
+        });
+    }
+
+    return determination;
+}
+
+module.exports = {
+    FLOOD_ZONE_DESCRIPTIONS,
+    describeFloodZone,
+    isSpecialFloodHazardArea,
+    formatFloodZoneDetermination,
+    determineFloodZone
+};
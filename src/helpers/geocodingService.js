@@ -1,12 +1,12 @@
 // geocodingService.js - Seawater Climate Risk Platform
 // MapBox geocoding integration following Tim-Combo patterns
 
-const { HTTPClient } = require('./httpClient');
+const { HttpClient } = require('./httpClient');
 const { ExternalAPIError } = require('./errorHandler');
 
 class GeocodingService {
     constructor() {
-        this.client = new HTTPClient();
+        this.client = new HttpClient();
         this.baseUrl = 'https://api.mapbox.com/geocoding/v5/mapbox.places';
         this.accessToken = process.env.MAPBOX_ACCESS_TOKEN;
         this.cache = new Map(); // Simple in-memory cache
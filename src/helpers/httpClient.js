@@ -30,6 +30,11 @@ function makeHttpRequest(options) {
             timeout: options.timeout || 30000
         };
 
+        // Custom DNS lookup, e.g. to refuse private addresses for user-supplied URLs
+        if (options.lookup) {
+            requestOptions.lookup = options.lookup;
+        }
+
         // Add body content length for POST requests
         if (options.data) {
             const bodyString = typeof options.data === 'string' ? options.data : JSON.stringify(options.data);
@@ -0,0 +1,456 @@
+// hurdat2.js - Seawater Climate Risk Platform
+// HURDAT2 best-track parsing, a spatial index of storm tracks and historical hurricane proximity risk
+
+const KM_PER_DEGREE = 111.195;
+const KM_PER_NAUTICAL_MILE = 1.852;
+
+// Wind radii thresholds reported in HURDAT2 (knots), strongest first
+const WIND_RADII_THRESHOLDS = [64, 50, 34];
+const QUADRANTS = ['ne', 'se', 'sw', 'nw'];
+
+/**
+ * Typical radius of each wind threshold for storms strong enough to produce it.
+ * HURDAT2 only carries wind radii from 2004 on; earlier fixes use these.
+ */
+const TYPICAL_WIND_RADII_KM = { 64: 45, 50: 85, 34: 160 };
+
+// Exposure named for the strongest wind threshold a location fell inside
+const WIND_EXPOSURE = {
+    64: 'hurricane_force',
+    50: 'storm_force',
+    34: 'tropical_storm_force'
+};
+
+// Distance weight implied by being inside each wind radius
+const WIND_EXPOSURE_WEIGHTS = { 64: 1, 50: 0.6, 34: 0.3 };
+
+// Weight of a storm by its Saffir-Simpson category at closest approach (0 = tropical storm)
+const CATEGORY_WEIGHTS = [0.15, 0.35, 0.5, 0.7, 0.85, 1.0];
+
+// Minimum sustained wind (knots) for tropical storm and for each hurricane category
+const TROPICAL_STORM_WIND_KT = 34;
+const CATEGORY_WIND_KT = [64, 83, 96, 113, 137];
+
+// Default passage distances; each wider band counts half as much as the one inside it
+const DEFAULT_DISTANCE_BANDS_KM = [50, 100, 200];
+
+// Track positions before the satellite era are too sparse to count toward rates
+const DEFAULT_START_YEAR = 1950;
+
+// Weighted storm passages per year at which the score reaches about 63
+const RATE_SCALE = 0.12;
+
+const INDEX_CELL_DEGREES = 1;
+
+/**
+ * Saffir-Simpson category for a sustained wind, 0 for a tropical storm and null below that
+ */
+function categoryForWind(windKt) {
+    if (windKt === null || windKt < TROPICAL_STORM_WIND_KT) return null;
+    let category = 0;
+    CATEGORY_WIND_KT.forEach((threshold, index) => {
+        if (windKt >= threshold) category = index + 1;
+    });
+    return category;
+}
+
+function parseCoordinate(value) {
+    const match = /^(\d+(?:\.\d+)?)([NSEW])$/.exec(value);
+    if (!match) return null;
+    const degrees = Number(match[1]);
+    return match[2] === 'S' || match[2] === 'W' ? -degrees : degrees;
+}
+
+function parseMissing(value) {
+    const number = Number(value);
+    return value === '' || isNaN(number) || number === -999 || number === -99 ? null : number;
+}
+
+/**
+ * Wind radii in kilometres by threshold and quadrant; a threshold is null unless all quadrants are reported
+ */
+function parseWindRadii(fields) {
+    const radii = {};
+    [34, 50, 64].forEach((threshold, thresholdIndex) => {
+        const values = QUADRANTS.map((quadrant, quadrantIndex) => parseMissing(fields[thresholdIndex * 4 + quadrantIndex]));
+        radii[threshold] = values.some(value => value === null)
+            ? null
+            : Object.fromEntries(QUADRANTS.map((quadrant, index) => [quadrant, values[index] * KM_PER_NAUTICAL_MILE]));
+    });
+    return radii;
+}
+
+/**
+ * Parse a HURDAT2 best-track file (Atlantic or Northeast/North Central Pacific)
+ * Each storm is a header line (id, name, fix count) followed by its 6-hourly fixes.
+ * @param {string} text - File contents
+ * @returns {Array} Storms { id, basin, name, year, peak_wind_kt, fixes }
+ */
+function parseHurdat2(text) {
+    const storms = [];
+    let storm = null;
+
+    text.split(/\r?\n/).forEach(line => {
+        const fields = line.split(',').map(field => field.trim());
+        if (fields.length < 3 || !fields[0]) return;
+
+        // Header lines start with the basin and ATCF number, e.g. AL092011
+        if (/^[A-Z]{2}\d{6}$/.test(fields[0])) {
+            storm = {
+                id: fields[0],
+                basin: fields[0].slice(0, 2),
+                name: fields[1] || 'UNNAMED',
+                year: Number(fields[0].slice(4, 8)),
+                peak_wind_kt: null,
+                fixes: []
+            };
+            storms.push(storm);
+            return;
+        }
+
+        if (!storm || !/^\d{8}$/.test(fields[0])) return;
+
+        const latitude = parseCoordinate(fields[4]);
+        const longitude = parseCoordinate(fields[5]);
+        if (latitude === null || longitude === null) return;
+
+        const date = fields[0];
+        const time = fields[1].padStart(4, '0');
+        const windKt = parseMissing(fields[6]);
+
+        storm.fixes.push({
+            time: `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}T${time.slice(0, 2)}:${time.slice(2, 4)}:00.000Z`,
+            record_identifier: fields[2] || null,
+            status: fields[3] || null,
+            latitude,
+            longitude,
+            wind_kt: windKt,
+            pressure_mb: parseMissing(fields[7]),
+            wind_radii_km: parseWindRadii(fields.slice(8, 20))
+        });
+
+        if (windKt !== null && (storm.peak_wind_kt === null || windKt > storm.peak_wind_kt)) {
+            storm.peak_wind_kt = windKt;
+        }
+    });
+
+    return storms;
+}
+
+function normalizeLongitude(longitude) {
+    return ((longitude + 540) % 360) - 180;
+}
+
+/**
+ * Longitude difference in degrees, taking the short way across the antimeridian
+ */
+function longitudeDelta(from, to) {
+    return normalizeLongitude(to - from);
+}
+
+function cellKey(latCell, lonCell) {
+    return `${latCell}:${normalizeLongitude(lonCell * INDEX_CELL_DEGREES) / INDEX_CELL_DEGREES}`;
+}
+
+/**
+ * Grid index of track segments between consecutive fixes
+ */
+class StormTrackIndex {
+    constructor(storms) {
+        this.storms = storms;
+        this.cells = new Map();
+        this.lastYear = storms.reduce((latest, storm) => Math.max(latest, storm.year), 0) || null;
+
+        storms.forEach((storm, stormIndex) => {
+            for (let fixIndex = 0; fixIndex < storm.fixes.length - 1; fixIndex++) {
+                this.addSegment(stormIndex, fixIndex);
+            }
+            if (storm.fixes.length === 1) {
+                this.addSegment(stormIndex, 0);
+            }
+        });
+    }
+
+    addSegment(stormIndex, fixIndex) {
+        const fixes = this.storms[stormIndex].fixes;
+        const start = fixes[fixIndex];
+        const end = fixes[fixIndex + 1] || start;
+        const endLongitude = start.longitude + longitudeDelta(start.longitude, end.longitude);
+
+        const minLat = Math.floor(Math.min(start.latitude, end.latitude) / INDEX_CELL_DEGREES);
+        const maxLat = Math.floor(Math.max(start.latitude, end.latitude) / INDEX_CELL_DEGREES);
+        const minLon = Math.floor(Math.min(start.longitude, endLongitude) / INDEX_CELL_DEGREES);
+        const maxLon = Math.floor(Math.max(start.longitude, endLongitude) / INDEX_CELL_DEGREES);
+
+        for (let latCell = minLat; latCell <= maxLat; latCell++) {
+            for (let lonCell = minLon; lonCell <= maxLon; lonCell++) {
+                const key = cellKey(latCell, lonCell);
+                if (!this.cells.has(key)) this.cells.set(key, []);
+                this.cells.get(key).push([stormIndex, fixIndex]);
+            }
+        }
+    }
+
+    /**
+     * Track segments with a bounding cell within radiusKm of a point
+     * @returns {Map} Storm index to the fix indexes starting each nearby segment
+     */
+    findSegmentsNear(latitude, longitude, radiusKm) {
+        const latSpan = radiusKm / KM_PER_DEGREE;
+        const lonSpan = radiusKm / (KM_PER_DEGREE * Math.max(0.01, Math.cos(latitude * Math.PI / 180)));
+        const segments = new Map();
+
+        const minLat = Math.floor((latitude - latSpan) / INDEX_CELL_DEGREES);
+        const maxLat = Math.floor((latitude + latSpan) / INDEX_CELL_DEGREES);
+        const minLon = Math.floor((longitude - lonSpan) / INDEX_CELL_DEGREES);
+        const maxLon = Math.floor((longitude + lonSpan) / INDEX_CELL_DEGREES);
+
+        for (let latCell = minLat; latCell <= maxLat; latCell++) {
+            for (let lonCell = minLon; lonCell <= maxLon; lonCell++) {
+                (this.cells.get(cellKey(latCell, lonCell)) || []).forEach(([stormIndex, fixIndex]) => {
+                    if (!segments.has(stormIndex)) segments.set(stormIndex, new Set());
+                    segments.get(stormIndex).add(fixIndex);
+                });
+            }
+        }
+
+        return segments;
+    }
+}
+
+function interpolate(a, b, t) {
+    if (a === null || a === undefined) return b ?? null;
+    if (b === null || b === undefined) return a;
+    return a + (b - a) * t;
+}
+
+/**
+ * Strongest wind threshold whose radius reaches the point, from reported or typical radii
+ */
+function windExposureAt(windKt, radii, distanceKm, bearing) {
+    const quadrant = QUADRANTS[Math.floor(((bearing % 360) + 360) % 360 / 90)];
+    let estimated = false;
+
+    for (const threshold of WIND_RADII_THRESHOLDS) {
+        if (windKt === null || windKt < threshold) continue;
+
+        let radius = radii?.[threshold]?.[quadrant];
+        if (radius === undefined || radius === null) {
+            radius = TYPICAL_WIND_RADII_KM[threshold];
+            estimated = true;
+        }
+        if (distanceKm <= radius) {
+            return { threshold, estimated };
+        }
+    }
+
+    return { threshold: null, estimated };
+}
+
+/**
+ * Closest approach and strongest wind exposure along one segment
+ * Positions are projected onto a local plane centred on the point, which holds well within a few hundred km.
+ */
+function measureSegment(start, end, latitude, longitude) {
+    const kmPerLonDegree = KM_PER_DEGREE * Math.cos(latitude * Math.PI / 180);
+    const ax = longitudeDelta(longitude, start.longitude) * kmPerLonDegree;
+    const ay = (start.latitude - latitude) * KM_PER_DEGREE;
+    const bx = longitudeDelta(longitude, end.longitude) * kmPerLonDegree;
+    const by = (end.latitude - latitude) * KM_PER_DEGREE;
+
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared)) : 0;
+
+    const cx = ax + dx * t;
+    const cy = ay + dy * t;
+    const distanceKm = Math.sqrt(cx * cx + cy * cy);
+    // Bearing from the storm centre to the point, clockwise from north
+    const bearing = Math.atan2(-cx, -cy) * 180 / Math.PI;
+
+    const windKt = interpolate(start.wind_kt, end.wind_kt, t);
+    const radii = {};
+    WIND_RADII_THRESHOLDS.forEach(threshold => {
+        const a = start.wind_radii_km[threshold];
+        const b = end.wind_radii_km[threshold];
+        radii[threshold] = a && b
+            ? Object.fromEntries(QUADRANTS.map(quadrant => [quadrant, interpolate(a[quadrant], b[quadrant], t)]))
+            : a || b || null;
+    });
+
+    const startTime = new Date(start.time).getTime();
+    const endTime = new Date(end.time).getTime();
+
+    return {
+        distance_km: distanceKm,
+        wind_kt: windKt === null ? null : Math.round(windKt),
+        time: new Date(Math.round((startTime + (endTime - startTime) * t) / 60000) * 60000).toISOString(),
+        status: t < 0.5 ? start.status : end.status,
+        ...windExposureAt(windKt, radii, distanceKm, bearing)
+    };
+}
+
+/**
+ * Storms passing within maxDistanceKm of a point, with closest approach and wind exposure
+ * @param {StormTrackIndex} index - Track index
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {number} maxDistanceKm - Search distance
+ * @returns {Array} Encounters, one per storm
+ */
+function findStormEncounters(index, latitude, longitude, maxDistanceKm) {
+    // Wind fields reach beyond the closest approach, so search as far as the widest typical radius
+    const searchKm = Math.max(maxDistanceKm, TYPICAL_WIND_RADII_KM[34]);
+    const encounters = [];
+
+    index.findSegmentsNear(latitude, longitude, searchKm).forEach((fixIndexes, stormIndex) => {
+        const storm = index.storms[stormIndex];
+        let closest = null;
+        let exposure = null;
+        let landfall = false;
+
+        fixIndexes.forEach(fixIndex => {
+            const start = storm.fixes[fixIndex];
+            const end = storm.fixes[fixIndex + 1] || start;
+            const segment = measureSegment(start, end, latitude, longitude);
+
+            if (!closest || segment.distance_km < closest.distance_km) {
+                closest = segment;
+            }
+            if (segment.threshold && (!exposure || segment.threshold > exposure.threshold)) {
+                exposure = segment;
+            }
+            if (segment.distance_km <= maxDistanceKm && [start, end].some(fix => fix.record_identifier === 'L')) {
+                landfall = true;
+            }
+        });
+
+        if (closest.distance_km > maxDistanceKm && !exposure) return;
+
+        encounters.push({
+            storm_id: storm.id,
+            name: storm.name,
+            year: storm.year,
+            basin: storm.basin,
+            date: closest.time,
+            closest_approach_km: Math.round(closest.distance_km * 10) / 10,
+            wind_kt_at_closest: closest.wind_kt,
+            status_at_closest: closest.status,
+            category: categoryForWind(closest.wind_kt),
+            peak_category: categoryForWind(storm.peak_wind_kt),
+            peak_wind_kt: storm.peak_wind_kt,
+            wind_exposure: exposure ? WIND_EXPOSURE[exposure.threshold] : null,
+            wind_exposure_threshold_kt: exposure ? exposure.threshold : null,
+            wind_radii_estimated: exposure ? exposure.estimated : closest.estimated,
+            landfall_nearby: landfall
+        });
+    });
+
+    return encounters;
+}
+
+/**
+ * Weight of one storm passage: its category at closest approach times the nearer of its
+ * distance band and wind exposure
+ */
+function encounterWeight(encounter, distanceBandsKm) {
+    const exposureWeight = encounter.wind_exposure_threshold_kt
+        ? WIND_EXPOSURE_WEIGHTS[encounter.wind_exposure_threshold_kt]
+        : 0;
+
+    // Systems below tropical storm strength at closest approach only count through their wind field
+    if (encounter.category === null) {
+        return CATEGORY_WEIGHTS[0] * exposureWeight;
+    }
+
+    const bandIndex = distanceBandsKm.findIndex(band => encounter.closest_approach_km <= band);
+    const bandWeight = bandIndex === -1 ? 0 : 1 / Math.pow(2, bandIndex);
+
+    return CATEGORY_WEIGHTS[encounter.category] * Math.max(bandWeight, exposureWeight);
+}
+
+/**
+ * Most significant storms for a location, strongest impact first
+ * @param {Array} encounters - Encounters from findStormEncounters
+ * @param {Object} options - { distanceBandsKm, limit }
+ * @returns {Array} Encounters with an impact_weight
+ */
+function selectNotableStorms(encounters, { distanceBandsKm = DEFAULT_DISTANCE_BANDS_KM, limit = 10 } = {}) {
+    return encounters
+        .filter(encounter => encounter.category !== null || encounter.wind_exposure)
+        .map(encounter => ({
+            ...encounter,
+            impact_weight: Math.round(encounterWeight(encounter, distanceBandsKm) * 1000) / 1000
+        }))
+        .filter(encounter => encounter.impact_weight > 0)
+        .sort((a, b) => b.impact_weight - a.impact_weight || a.closest_approach_km - b.closest_approach_km)
+        .slice(0, limit);
+}
+
+/**
+ * Hurricane risk from historical track density, wind radii and category of passing storms
+ * @param {StormTrackIndex} index - Track index
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {Object} options - { distanceBandsKm, startYear, notableLimit }
+ * @returns {Object} { score, details }
+ */
+function calculateHurricaneTrackRisk(index, latitude, longitude, options = {}) {
+    const distanceBandsKm = [...(options.distanceBandsKm || DEFAULT_DISTANCE_BANDS_KM)].sort((a, b) => a - b);
+    const startYear = options.startYear || DEFAULT_START_YEAR;
+    const endYear = index.lastYear;
+    const years = Math.max(1, endYear - startYear + 1);
+    const maxDistanceKm = distanceBandsKm[distanceBandsKm.length - 1];
+
+    const encounters = findStormEncounters(index, latitude, longitude, maxDistanceKm)
+        .filter(encounter => encounter.year >= startYear);
+
+    const trackDensity = {};
+    distanceBandsKm.forEach(band => {
+        const passages = encounters.filter(encounter =>
+            encounter.category !== null && encounter.closest_approach_km <= band
+        ).length;
+        trackDensity[`within_${band}_km`] = {
+            storms: passages,
+            annual_rate: Math.round((passages / years) * 1000) / 1000
+        };
+    });
+
+    const stormsByCategory = { tropical_storm: 0, category_1: 0, category_2: 0, category_3: 0, category_4: 0, category_5: 0 };
+    encounters.forEach(encounter => {
+        if (encounter.category === null || encounter.closest_approach_km > maxDistanceKm) return;
+        stormsByCategory[encounter.category === 0 ? 'tropical_storm' : `category_${encounter.category}`]++;
+    });
+
+    const exposureCounts = { hurricane_force: 0, storm_force: 0, tropical_storm_force: 0 };
+    encounters.forEach(encounter => {
+        if (encounter.wind_exposure) exposureCounts[encounter.wind_exposure]++;
+    });
+
+    const weightedRate = encounters.reduce((sum, encounter) => sum + encounterWeight(encounter, distanceBandsKm), 0) / years;
+
+    return {
+        score: Math.round(100 * (1 - Math.exp(-weightedRate / RATE_SCALE))),
+        details: {
+            period: { start_year: startYear, end_year: endYear, years },
+            distance_bands_km: distanceBandsKm,
+            track_density: trackDensity,
+            storms_by_category: stormsByCategory,
+            wind_exposure_counts: exposureCounts,
+            weighted_annual_rate: Math.round(weightedRate * 1000) / 1000,
+            notable_storms: selectNotableStorms(encounters, { distanceBandsKm, limit: options.notableLimit || 10 })
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_DISTANCE_BANDS_KM,
+    DEFAULT_START_YEAR,
+    categoryForWind,
+    parseHurdat2,
+    StormTrackIndex,
+    findStormEncounters,
+    selectNotableStorms,
+    calculateHurricaneTrackRisk
+};
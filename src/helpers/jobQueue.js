@@ -0,0 +1,147 @@
+// jobQueue.js - Seawater Climate Risk Platform
+// Background job queue: async Lambda invocation in deployed environments, in-process locally
+
+/**
+ * Registered job handlers keyed by job type
+ * Handlers receive (payload, context) where context is the Lambda context when run by the worker
+ */
+const jobHandlers = new Map();
+
+/**
+ * Register the handler for a job type
+ * @param {string} jobType - Job type name
+ * @param {Function} handler - async (payload, context) => result
+ */
+function registerJobHandler(jobType, handler) {
+    jobHandlers.set(jobType, handler);
+}
+
+/**
+ * Run a queued job message through its registered handler
+ * @param {Object} message - { jobType, payload }
+ * @param {Object} context - Lambda context, if any
+ * @returns {Promise<*>} Handler result
+ */
+async function dispatchJob(message, context = null) {
+    const handler = jobHandlers.get(message?.jobType);
+    if (!handler) {
+        throw new Error(`No handler registered for job type: ${message?.jobType}`);
+    }
+
+    console.log('Dispatching background job:', {
+        type: 'job_dispatch',
+        timestamp: new Date().toISOString(),
+        platform: 'seawater-climate-risk',
+        jobType: message.jobType,
+        enqueuedAt: message.enqueuedAt
+    });
+
+    return handler(message.payload, context);
+}
+
+/**
+ * In-process queue for local development and tests
+ * Jobs run sequentially on the event loop after enqueue() returns
+ */
+class LocalJobQueue {
+    constructor() {
+        this.pending = [];
+        this.running = null;
+        this.transport = 'local';
+    }
+
+    async enqueue(jobType, payload) {
+        this.pending.push({ jobType, payload, enqueuedAt: new Date().toISOString() });
+
+        if (!this.running) {
+            this.running = this.drain();
+        }
+
+        return { queued: true, transport: this.transport };
+    }
+
+    async drain() {
+        // Let the caller finish its response before work starts
+        await new Promise(resolve => setImmediate(resolve));
+
+        while (this.pending.length > 0) {
+            const message = this.pending.shift();
+            try {
+                await dispatchJob(message);
+            } catch (error) {
+                console.error('Local background job failed:', {
+                    jobType: message.jobType,
+                    error: error.message
+                });
+            }
+        }
+
+        this.running = null;
+    }
+
+    /**
+     * Resolve once every queued job has finished
+     */
+    async onIdle() {
+        while (this.running) {
+            await this.running;
+        }
+    }
+}
+
+/**
+ * Queue backed by asynchronous invocation of the job worker Lambda
+ */
+class LambdaJobQueue {
+    constructor(functionName) {
+        const { LambdaClient, InvokeCommand } = require('@aws-sdk/client-lambda');
+
+        this.client = new LambdaClient({ region: process.env.AWS_REGION || 'us-east-2' });
+        this.InvokeCommand = InvokeCommand;
+        this.functionName = functionName;
+        this.transport = 'lambda';
+    }
+
+    async enqueue(jobType, payload) {
+        const message = { jobType, payload, enqueuedAt: new Date().toISOString() };
+
+        await this.client.send(new this.InvokeCommand({
+            FunctionName: this.functionName,
+            InvocationType: 'Event',
+            Payload: Buffer.from(JSON.stringify(message))
+        }));
+
+        return { queued: true, transport: this.transport };
+    }
+}
+
+let jobQueue = null;
+
+/**
+ * Get the configured job queue
+ * JOB_WORKER_FUNCTION_NAME selects the Lambda queue; otherwise jobs run in-process
+ */
+function getJobQueue() {
+    if (!jobQueue) {
+        jobQueue = process.env.JOB_WORKER_FUNCTION_NAME
+            ? new LambdaJobQueue(process.env.JOB_WORKER_FUNCTION_NAME)
+            : new LocalJobQueue();
+    }
+    return jobQueue;
+}
+
+/**
+ * Replace the job queue (tests)
+ */
+function setJobQueue(queue) {
+    jobQueue = queue;
+}
+
+module.exports = {
+    registerJobHandler,
+    dispatchJob,
+    getJobQueue,
+    setJobQueue,
+    LocalJobQueue,
+    LambdaJobQueue
+};
@@ -4,6 +4,7 @@
 const { parseEvent } = require('./eventParser');
 const { handleError } = require('./errorHandler');
 const { createSuccessResponse, createBatchResponse } = require('./responseUtil');
+const { getRequestOwnerId } = require('./ownerIdentity');
 
 // Performance tracking helper
 function trackPerformance() {
@@ -16,8 +17,28 @@ function trackPerformance() {
     };
 }
 
+// Caller identity from the authorizer
+// Cognito authorizers supply claims; the Lambda authorizer supplies a flat context for both JWT and X-API-Key callers
+function getAuthorizerUser(authorizer) {
+    if (authorizer?.claims) {
+        return authorizer.claims;
+    }
+    if (authorizer?.email_address) {
+        return {
+            sub: authorizer.user_id || undefined,
+            email: authorizer.email_address,
+            subscription_tier: authorizer.subscription_tier
+        };
+    }
+    return {};
+}
+
 // Request context tracking for climate risk platform
 function createRequestContext(event, context) {
+    const authorizer = event.requestContext?.authorizer;
+    const user = getAuthorizerUser(authorizer);
+    const apiKeyHeader = Object.keys(event.headers || {}).find(header => header.toLowerCase() === 'x-api-key');
+
     return {
         requestId: context.awsRequestId,
         functionName: context.functionName,
@@ -27,11 +48,13 @@ function createRequestContext(event, context) {
         method: event.httpMethod,
         sourceIp: event.requestContext?.identity?.sourceIp,
         userAgent: event.requestContext?.identity?.userAgent,
-        // Include Cognito user context from API Gateway
-        user: event.requestContext?.authorizer?.claims || {},
+        // Include user context from API Gateway
+        user: user,
         // Climate platform specific context
-        subscriptionTier: event.requestContext?.authorizer?.claims?.subscription_tier || 'free',
-        apiKey: event.headers?.['x-api-key'] || null,
+        subscriptionTier: user.subscription_tier || 'free',
+        apiKey: apiKeyHeader ? event.headers[apiKeyHeader] : null,
+        apiKeyId: authorizer?.api_key_id || null,
+        authType: authorizer?.auth_type || null,
         location: {
             country: event.requestContext?.identity?.country || null,
             region: event.requestContext?.identity?.region || null
@@ -299,6 +322,7 @@ module.exports = {
     processBatch,
     trackPerformance,
     createRequestContext,
+    getRequestOwnerId,
     createLogEntry,
     logRequest,
     logResponse,
@@ -0,0 +1,271 @@
+// lossEstimation.js - Seawater Climate Risk Platform
+// Dollar-denominated risk: expected annual loss and probable maximum loss from FEMA NRI loss rates
+
+const FEMAClient = require('./externalClients/femaDataClient');
+const { DEFAULT_SQUARE_FEET } = require('./vulnerabilityCurves');
+
+const femaClient = new FEMAClient();
+
+const RISK_TYPES = ['flood', 'wildfire', 'heat', 'tornado', 'hurricane', 'earthquake', 'drought', 'hail', 'landslide', 'volcanic'];
+
+// NRI hazards contributing to each Seawater risk type
+const NRI_HAZARDS = {
+    flood: ['riverine_flooding', 'coastal_flooding'],
+    wildfire: ['wildfire'],
+    heat: ['heat_wave'],
+    tornado: ['tornado'],
+    hurricane: ['hurricane'],
+    earthquake: ['earthquake'],
+    drought: ['drought'],
+    hail: ['hail'],
+    landslide: ['landslide'],
+    volcanic: ['volcanic_activity']
+};
+
+// Replacement cost per square foot by construction class, 2024 USD
+const REPLACEMENT_COST_PER_SQ_FT = {
+    frame: 185,
+    joisted_masonry: 210,
+    non_combustible: 220,
+    masonry_non_combustible: 235,
+    modified_fire_resistive: 250,
+    fire_resistive: 265,
+    manufactured: 95
+};
+const DEFAULT_REPLACEMENT_COST_PER_SQ_FT = 200;
+
+/**
+ * Return-period loss as a multiple of expected annual loss
+ * Typical PML-to-EAL ratios for single-family residential exposure; low-frequency,
+ * high-severity hazards sit far above their annual average at long return periods.
+ */
+const PML_MULTIPLIERS = {
+    flood: { 100: 20, 500: 45 },
+    wildfire: { 100: 35, 500: 90 },
+    heat: { 100: 5, 500: 8 },
+    tornado: { 100: 40, 500: 120 },
+    hurricane: { 100: 25, 500: 60 },
+    earthquake: { 100: 30, 500: 120 },
+    drought: { 100: 5, 500: 8 },
+    hail: { 100: 15, 500: 30 },
+    landslide: { 100: 40, 500: 120 },
+    volcanic: { 100: 50, 500: 150 }
+};
+
+// Largest share of replacement value a single event can destroy
+const MAX_DAMAGE_RATIO = {
+    flood: 0.6,
+    wildfire: 1.0,
+    heat: 0.05,
+    tornado: 1.0,
+    hurricane: 1.0,
+    earthquake: 1.0,
+    drought: 0.1,
+    hail: 0.3,
+    landslide: 1.0,
+    volcanic: 1.0
+};
+
+// Bounds on scaling the county loss rate by the property's location score
+const MIN_LOCATION_FACTOR = 0.5;
+const MAX_LOCATION_FACTOR = 2.0;
+
+function roundCurrency(value) {
+    return Math.round(value);
+}
+
+/**
+ * Replacement value for the structure
+ * @param {number|null} suppliedValue - Replacement value given on the request
+ * @param {Object} attributes - Resolved property attributes (constructionClass)
+ * @param {number|null} squareFeet - Living area from the property record
+ * @returns {Object} { amount, currency, estimated, basis }
+ */
+function resolveReplacementValue(suppliedValue, attributes = {}, squareFeet = null) {
+    if (suppliedValue) {
+        return { amount: roundCurrency(suppliedValue), currency: 'USD', estimated: false, basis: 'Supplied on request' };
+    }
+
+    const area = squareFeet || DEFAULT_SQUARE_FEET;
+    const costPerSqFt = REPLACEMENT_COST_PER_SQ_FT[attributes.constructionClass] || DEFAULT_REPLACEMENT_COST_PER_SQ_FT;
+
+    return {
+        amount: roundCurrency(area * costPerSqFt),
+        currency: 'USD',
+        estimated: true,
+        basis: `${area} sq ft${squareFeet ? '' : ' (assumed)'} at $${costPerSqFt} per sq ft` +
+            (attributes.constructionClass ? ` for ${attributes.constructionClass} construction` : '')
+    };
+}
+
+/**
+ * Fetch NRI building loss rates for the county containing a point
+ * @returns {Object} { data_available, county_name, state_name, hazards, cached }
+ */
+async function getNriLossRates(latitude, longitude) {
+    const response = await femaClient.getRiskByCoordinates(latitude, longitude);
+    const data = response.data || {};
+
+    return {
+        data_available: !!data.data_available && Object.keys(data.expected_annual_loss || {}).length > 0,
+        county_name: data.county_name || null,
+        state_name: data.state_name || null,
+        hazards: data.expected_annual_loss || {},
+        cached: !!response.cached
+    };
+}
+
+/**
+ * Loss rate, location factor and vulnerability multiplier for one risk type
+ */
+function resolveHazardLossRate(riskType, nriHazards, riskData, propertyRisk) {
+    const contributing = NRI_HAZARDS[riskType].map(hazard => nriHazards[hazard]).filter(Boolean);
+    if (contributing.length === 0) return null;
+
+    const lossRate = contributing.reduce((sum, hazard) => sum + hazard.loss_rate, 0);
+
+    // NRI rates are county averages; the location score says how this point compares
+    let locationFactor = 1;
+    const locationScore = Number(riskData[`${riskType}_risk_score`]);
+    const countyScore = Math.max(...contributing.map(hazard => hazard.risk_score || 0));
+    if (locationScore > 0 && countyScore > 0) {
+        locationFactor = Math.max(MIN_LOCATION_FACTOR, Math.min(MAX_LOCATION_FACTOR, locationScore / countyScore));
+    }
+
+    const vulnerabilityMultiplier = propertyRisk?.vulnerability?.[riskType]?.multiplier || 1;
+
+    return {
+        lossRate,
+        locationFactor: Math.round(locationFactor * 1000) / 1000,
+        vulnerabilityMultiplier
+    };
+}
+
+/**
+ * Calculate expected annual loss and probable maximum loss for a property
+ * @param {Object} nriLossRates - Result of getNriLossRates
+ * @param {Object} params - { riskData, propertyRisk, projection, replacementValue }
+ *   riskData holds the location *_risk_score values, propertyRisk the vulnerability multipliers,
+ *   projection the projected *_risk_score values under a climate scenario (optional)
+ * @returns {Object} Loss estimates by hazard and in total
+ */
+function calculateLossEstimates(nriLossRates, { riskData, propertyRisk = null, projection = null, replacementValue }) {
+    const value = replacementValue.amount;
+    const byHazard = {};
+    let totalEal = 0;
+    const pml = { 100: { amount: 0, governing_hazard: null }, 500: { amount: 0, governing_hazard: null } };
+
+    RISK_TYPES.forEach(riskType => {
+        const rate = resolveHazardLossRate(riskType, nriLossRates.hazards, riskData, propertyRisk);
+        if (!rate) return;
+
+        const expectedAnnualLoss = value * rate.lossRate * rate.locationFactor * rate.vulnerabilityMultiplier;
+        const maxLoss = value * MAX_DAMAGE_RATIO[riskType];
+
+        const hazardPml = {};
+        [100, 500].forEach(returnPeriod => {
+            hazardPml[returnPeriod] = roundCurrency(Math.min(maxLoss, expectedAnnualLoss * PML_MULTIPLIERS[riskType][returnPeriod]));
+            // PML does not add across hazards; report the largest single-hazard loss
+            if (hazardPml[returnPeriod] > pml[returnPeriod].amount) {
+                pml[returnPeriod] = { amount: hazardPml[returnPeriod], governing_hazard: riskType };
+            }
+        });
+
+        byHazard[riskType] = {
+            loss_rate: Math.round(rate.lossRate * 1e6) / 1e6,
+            location_factor: rate.locationFactor,
+            vulnerability_multiplier: rate.vulnerabilityMultiplier,
+            expected_annual_loss: roundCurrency(expectedAnnualLoss),
+            pml_100: hazardPml[100],
+            pml_500: hazardPml[500]
+        };
+        totalEal += expectedAnnualLoss;
+    });
+
+    return {
+        replacement_value: replacementValue,
+        expected_annual_loss: roundCurrency(totalEal),
+        expected_annual_loss_ratio: value ? Math.round((totalEal / value) * 1e6) / 1e6 : null,
+        probable_maximum_loss: {
+            return_period_100: pml[100],
+            return_period_500: pml[500]
+        },
+        by_hazard: byHazard,
+        projection: projection ? projectLosses(byHazard, riskData, projection) : null
+    };
+}
+
+/**
+ * Scale each hazard's expected annual loss by its projected score change
+ */
+function projectLosses(byHazard, riskData, projection) {
+    const projectedByHazard = {};
+    let total = 0;
+    let current = 0;
+
+    Object.entries(byHazard).forEach(([riskType, losses]) => {
+        const currentScore = Number(riskData[`${riskType}_risk_score`]);
+        const projectedScore = projection[`${riskType}_risk_score`];
+        const factor = currentScore > 0 && projectedScore !== null && projectedScore !== undefined
+            ? Number(projectedScore) / currentScore
+            : 1;
+
+        projectedByHazard[riskType] = roundCurrency(losses.expected_annual_loss * factor);
+        total += projectedByHazard[riskType];
+        current += losses.expected_annual_loss;
+    });
+
+    return {
+        scenario: projection.scenario,
+        horizon: projection.horizon,
+        expected_annual_loss: total,
+        change: total - current,
+        change_percent: current ? Math.round(((total - current) / current) * 1000) / 10 : null,
+        by_hazard: projectedByHazard
+    };
+}
+
+/**
+ * Estimate dollar losses for a property
+ * A failing NRI lookup is reported with data_available false rather than failing the assessment.
+ * @param {number} latitude - Property latitude
+ * @param {number} longitude - Property longitude
+ * @param {Object} params - { riskData, propertyRisk, projection, replacementValue, attributes, squareFeet }
+ * @returns {Object} Loss estimates with data source details and external_api_calls
+ */
+async function estimatePropertyLosses(latitude, longitude, params) {
+    const replacementValue = resolveReplacementValue(params.replacementValue, params.attributes, params.squareFeet);
+
+    let nriLossRates;
+    try {
+        nriLossRates = await getNriLossRates(latitude, longitude);
+    } catch (error) {
+        console.warn('FEMA NRI loss rates unavailable for loss estimates:', error.message);
+        return {
+            data_available: false,
+            replacement_value: replacementValue,
+            error: error.message,
+            external_api_calls: 1
+        };
+    }
+
+    const externalApiCalls = nriLossRates.cached ? 0 : 1;
+    if (!nriLossRates.data_available) {
+        return { data_available: false, replacement_value: replacementValue, external_api_calls: externalApiCalls };
+    }
+
+    return {
+        data_available: true,
+        ...calculateLossEstimates(nriLossRates, { ...params, replacementValue }),
+        currency: 'USD',
+        data_source: 'FEMA National Risk Index',
+        nri_county: [nriLossRates.county_name, nriLossRates.state_name].filter(Boolean).join(', ') || null,
+        external_api_calls: externalApiCalls
+    };
+}
+
+module.exports = {
+    resolveReplacementValue,
+    calculateLossEstimates,
+    estimatePropertyLosses
+};
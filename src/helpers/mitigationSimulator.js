@@ -0,0 +1,194 @@
+// mitigationSimulator.js - Seawater Climate Risk Platform
+// What-if scoring of property retrofits: recalculated scores, per-hazard deltas and cost ranges
+
+const { climateDataAggregator } = require('./climateDataAggregator');
+const { DEFAULT_SQUARE_FEET } = require('./vulnerabilityCurves');
+const { MITIGATION_TYPES } = require('./mitigationTypes');
+
+const RISK_TYPES = ['flood', 'wildfire', 'heat', 'tornado', 'hurricane', 'earthquake', 'drought', 'hail', 'landslide', 'volcanic'];
+
+// First-floor height above grade assumed for each foundation when none was supplied
+const TYPICAL_FIRST_FLOOR_ELEVATION = {
+    slab: 1,
+    crawlspace: 3,
+    basement: 2,
+    elevated: 8,
+    pier: 8,
+    pile: 10
+};
+
+function roundToHundred(value) {
+    return Math.round(value / 100) * 100;
+}
+
+function currentFirstFloorElevation(attributes) {
+    return attributes.firstFloorElevation ??
+        TYPICAL_FIRST_FLOOR_ELEVATION[attributes.foundationType] ??
+        TYPICAL_FIRST_FLOOR_ELEVATION.slab;
+}
+
+/**
+ * Attributes after applying the structural mitigations, plus hazard multipliers for the rest
+ */
+function applyMitigations(attributes, mitigations) {
+    const modified = { ...attributes };
+    const multipliers = {};
+
+    mitigations.forEach(mitigation => {
+        if (mitigation.type === 'elevation') {
+            modified.firstFloorElevation = currentFirstFloorElevation(attributes) + mitigation.feet;
+            // Raised homes sit on a new open foundation; basements are filled
+            modified.foundationType = 'elevated';
+            return;
+        }
+
+        Object.entries(MITIGATION_TYPES[mitigation.type].multipliers || {}).forEach(([hazard, multiplier]) => {
+            multipliers[hazard] = (multipliers[hazard] || 1) * multiplier;
+        });
+    });
+
+    return { attributes: modified, multipliers };
+}
+
+/**
+ * Property risk scores for a set of mitigations
+ */
+function scoreScenario(riskData, attributes, mitigations, buildingCodes) {
+    const applied = applyMitigations(attributes, mitigations);
+    const propertyRisk = climateDataAggregator.assessPropertyVulnerability(riskData, applied.attributes, buildingCodes);
+
+    const scores = {};
+    RISK_TYPES.forEach(riskType => {
+        const score = propertyRisk[`${riskType}_risk_score`];
+        scores[`${riskType}_risk_score`] = score === null || score === undefined
+            ? null
+            : Math.max(0, Math.min(100, Math.round(score * (applied.multipliers[riskType] || 1))));
+    });
+
+    const hazardScores = Object.fromEntries(RISK_TYPES.map(riskType => [riskType, scores[`${riskType}_risk_score`]]));
+    scores.overall_risk_score = climateDataAggregator.calculateOverallRisk(hazardScores);
+
+    return scores;
+}
+
+function scoreDelta(baseline, scores) {
+    const delta = {};
+    Object.entries(scores).forEach(([field, score]) => {
+        if (score === null || baseline[field] === null || baseline[field] === undefined) return;
+        delta[field] = score - baseline[field];
+    });
+    return delta;
+}
+
+function estimateCost(mitigation, context) {
+    const { low, high, basis } = MITIGATION_TYPES[mitigation.type].cost({ ...context, feet: mitigation.feet });
+    return {
+        low: roundToHundred(low),
+        high: roundToHundred(high),
+        currency: 'USD',
+        basis: basis
+    };
+}
+
+/**
+ * Overall score points removed per $1,000 at the midpoint of the cost range
+ */
+function reductionPerThousand(delta, cost) {
+    const midpoint = (cost.low + cost.high) / 2;
+    if (!midpoint || !delta.overall_risk_score) return 0;
+    return Math.round((-delta.overall_risk_score / (midpoint / 1000)) * 1000) / 1000;
+}
+
+/**
+ * Simulate retrofits for a property, individually and combined
+ * @param {Object} riskData - Location hazard scores (*_risk_score)
+ * @param {Object} attributes - Property attributes from resolvePropertyAttributes
+ * @param {Array} mitigations - Validated mitigations ({ type, feet? })
+ * @param {Object} options - { squareFeet, buildingCodes } (building code profile for the construction year)
+ * @returns {Object} Baseline and mitigated scores, deltas, costs and a cost-effectiveness ranking
+ */
+function simulateMitigations(riskData, attributes, mitigations, options = {}) {
+    const squareFeet = options.squareFeet || DEFAULT_SQUARE_FEET;
+    const context = {
+        squareFeet: squareFeet,
+        footprint: Math.round(squareFeet / Math.max(1, attributes.stories || 1))
+    };
+
+    const buildingCodes = options.buildingCodes || null;
+    const baseline = scoreScenario(riskData, attributes, [], buildingCodes);
+
+    const results = mitigations.map(mitigation => {
+        const definition = MITIGATION_TYPES[mitigation.type];
+        const result = {
+            type: mitigation.type,
+            label: definition.label,
+            parameters: mitigation.type === 'elevation' ? { feet: mitigation.feet } : {},
+            hazards_addressed: definition.hazards
+        };
+
+        const reason = definition.notApplicable ? definition.notApplicable(attributes) : null;
+        if (reason) {
+            return { ...result, applicable: false, reason: reason };
+        }
+
+        const scores = scoreScenario(riskData, attributes, [mitigation], buildingCodes);
+        const delta = scoreDelta(baseline, scores);
+        const cost = estimateCost(mitigation, context);
+
+        return {
+            ...result,
+            applicable: true,
+            scores: scores,
+            delta: delta,
+            cost_estimate: cost,
+            overall_reduction_per_1000_usd: reductionPerThousand(delta, cost)
+        };
+    });
+
+    const applicable = results.filter(result => result.applicable);
+    const applicableMitigations = mitigations.filter(mitigation =>
+        applicable.some(result => result.type === mitigation.type)
+    );
+
+    let combined = null;
+    if (applicable.length > 1) {
+        const scores = scoreScenario(riskData, attributes, applicableMitigations, buildingCodes);
+        const delta = scoreDelta(baseline, scores);
+        const cost = {
+            low: applicable.reduce((sum, result) => sum + result.cost_estimate.low, 0),
+            high: applicable.reduce((sum, result) => sum + result.cost_estimate.high, 0),
+            currency: 'USD'
+        };
+        combined = {
+            types: applicable.map(result => result.type),
+            scores: scores,
+            delta: delta,
+            cost_estimate: cost,
+            overall_reduction_per_1000_usd: reductionPerThousand(delta, cost)
+        };
+    }
+
+    const elevating = mitigations.some(mitigation => mitigation.type === 'elevation');
+    const ranking = [...applicable]
+        .sort((a, b) => b.overall_reduction_per_1000_usd - a.overall_reduction_per_1000_usd)
+        .map(result => result.type);
+
+    return {
+        baseline: baseline,
+        mitigations: results,
+        combined: combined,
+        ranking: ranking,
+        best_value: ranking[0] || null,
+        assumptions: {
+            square_feet: squareFeet,
+            square_feet_assumed: !options.squareFeet,
+            first_floor_elevation_ft: elevating ? currentFirstFloorElevation(attributes) : attributes.firstFloorElevation ?? null,
+            first_floor_elevation_assumed: elevating &&
+                (attributes.firstFloorElevation === null || attributes.firstFloorElevation === undefined)
+        }
+    };
+}
+
+module.exports = {
+    simulateMitigations
+};
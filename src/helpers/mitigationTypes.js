@@ -0,0 +1,98 @@
+// mitigationTypes.js - Seawater Climate Risk Platform
+// Retrofit catalog for the mitigation simulator, kept free of dependencies so request validation can import it
+
+// Foundations with an enclosure below the first floor that flood vents can equalize
+const VENTED_FOUNDATIONS = ['crawlspace', 'elevated', 'pier', 'pile'];
+
+// Roof area per square foot of footprint for a typical pitched roof
+const ROOF_AREA_FACTOR = 1.15;
+
+// Engineered flood vents each cover about this much enclosed floor area
+const SQ_FT_PER_FLOOD_VENT = 200;
+
+// One window or door opening per this much living area
+const SQ_FT_PER_OPENING = 120;
+
+/**
+ * Retrofit catalog
+ * multipliers scale the property risk score of each hazard; elevation instead raises the
+ * first floor and is rescored through the flood vulnerability curve. Costs are 2024 USD
+ * installed ranges (FEMA P-312, IBHS FORTIFIED and NFIP Technical Bulletin 1 guidance).
+ */
+const MITIGATION_TYPES = {
+    elevation: {
+        label: 'Elevate the structure',
+        hazards: ['flood'],
+        cost: ({ footprint, feet }) => ({
+            low: footprint * (25 + 2 * feet),
+            high: footprint * (60 + 5 * feet),
+            basis: `$${25 + 2 * feet}-$${60 + 5 * feet} per sq ft of footprint to raise ${feet} ft`
+        })
+    },
+    defensible_space: {
+        label: 'Create defensible space',
+        hazards: ['wildfire'],
+        multipliers: { wildfire: 0.7 },
+        cost: () => ({
+            low: 1000,
+            high: 6000,
+            basis: 'Vegetation clearance within 100 ft of the structure; annual upkeep not included'
+        })
+    },
+    impact_windows: {
+        label: 'Install impact-rated windows and doors',
+        hazards: ['hurricane', 'tornado'],
+        multipliers: { hurricane: 0.85, tornado: 0.93 },
+        cost: ({ squareFeet }) => {
+            const openings = Math.max(6, Math.round(squareFeet / SQ_FT_PER_OPENING));
+            return {
+                low: openings * 900,
+                high: openings * 1800,
+                basis: `${openings} openings at $900-$1,800 each`
+            };
+        }
+    },
+    roof_tie_downs: {
+        label: 'Add roof-to-wall tie-downs',
+        hazards: ['hurricane', 'tornado'],
+        multipliers: { hurricane: 0.85, tornado: 0.88 },
+        cost: ({ footprint }) => ({
+            low: Math.max(1500, footprint * 0.9),
+            high: Math.max(4000, footprint * 2.5),
+            basis: 'Hurricane straps or clips at each rafter, $0.90-$2.50 per sq ft of footprint'
+        })
+    },
+    flood_vents: {
+        label: 'Install engineered flood vents',
+        hazards: ['flood'],
+        multipliers: { flood: 0.9 },
+        notApplicable: (attributes) => (attributes.foundationType && !VENTED_FOUNDATIONS.includes(attributes.foundationType)
+            ? `Flood vents need an enclosure below the first floor; foundation is ${attributes.foundationType}`
+            : null),
+        cost: ({ footprint }) => {
+            const vents = Math.max(2, Math.ceil(footprint / SQ_FT_PER_FLOOD_VENT));
+            return {
+                low: vents * 300,
+                high: vents * 700,
+                basis: `${vents} vents at $300-$700 each`
+            };
+        }
+    },
+    fire_resistant_roof: {
+        label: 'Replace with a Class A fire-resistant roof',
+        hazards: ['wildfire'],
+        multipliers: { wildfire: 0.75 },
+        cost: ({ footprint }) => {
+            const roofArea = Math.round(footprint * ROOF_AREA_FACTOR);
+            return {
+                low: roofArea * 9,
+                high: roofArea * 18,
+                basis: `${roofArea} sq ft of roof at $9-$18 per sq ft`
+            };
+        }
+    }
+};
+
+module.exports = {
+    MITIGATION_TYPES
+};
@@ -0,0 +1,96 @@
+// networkAddress.js - Seawater Climate Risk Platform
+// Public address checks for outbound requests to user-supplied URLs such as webhook endpoints
+
+const dns = require('dns');
+const net = require('net');
+
+const PRIVATE_ADDRESS_ERROR = 'EPRIVATEADDRESS';
+
+// Ranges an outbound request must never reach from inside the VPC: unspecified, private,
+// carrier-grade NAT, loopback, link-local (instance metadata), benchmarking, multicast and reserved.
+// BlockList also matches IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) against the IPv4 ranges.
+const BLOCKED_SUBNETS = [
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['224.0.0.0', 3, 'ipv4'],
+    ['::', 128, 'ipv6'],
+    ['::1', 128, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6']
+];
+
+const blockedAddresses = new net.BlockList();
+BLOCKED_SUBNETS.forEach(([network, prefix, family]) => blockedAddresses.addSubnet(network, prefix, family));
+
+/**
+ * Whether an IP address is publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} false for private, loopback, link-local and reserved addresses, and for non-IPs
+ */
+function isPublicAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return false;
+    return !blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function privateAddressError(hostname, address) {
+    const error = new Error(`${hostname} resolves to a non-public address (${address})`);
+    error.code = PRIVATE_ADDRESS_ERROR;
+    return error;
+}
+
+/**
+ * Resolve a hostname and require every address it resolves to be public
+ * IP literals are checked without a DNS lookup.
+ * @param {string} hostname - Hostname or IP literal (IPv6 with or without brackets)
+ * @returns {Promise<string[]>} Resolved addresses
+ */
+async function resolvePublicHost(hostname) {
+    const host = String(hostname).replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host)
+        ? [host]
+        : (await dns.promises.lookup(host, { all: true, verbatim: true })).map(entry => entry.address);
+
+    const blocked = addresses.find(address => !isPublicAddress(address));
+    if (blocked) {
+        throw privateAddressError(host, blocked);
+    }
+
+    return addresses;
+}
+
+/**
+ * dns.lookup replacement for http(s).request that refuses non-public addresses
+ * Checking the address actually connected to closes the gap where DNS changes after validation.
+ */
+function publicAddressLookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+        if (blocked) return callback(privateAddressError(hostname, blocked.address));
+
+        if (options.all) return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+module.exports = {
+    PRIVATE_ADDRESS_ERROR,
+    isPublicAddress,
+    resolvePublicHost,
+    publicAddressLookup
+};
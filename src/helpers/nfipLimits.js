@@ -0,0 +1,11 @@
+// nfipLimits.js - Seawater Climate Risk Platform
+// NFIP coverage limits, kept free of dependencies so request validation can import them
+
+// NFIP single-family coverage limits
+const NFIP_BUILDING_LIMIT = 250000;
+const NFIP_CONTENTS_LIMIT = 100000;
+
+module.exports = {
+    NFIP_BUILDING_LIMIT,
+    NFIP_CONTENTS_LIMIT
+};
@@ -0,0 +1,20 @@
+// ownerIdentity.js - Seawater Climate Risk Platform
+// Owner identifiers for persisted resources, shared by the request wrapper and the repository layer
+
+const crypto = require('crypto');
+
+// Stable identifier for the caller that owns persisted resources (jobs, exports, saved properties)
+// API key callers without a user are identified by a hash of the key, never the key itself
+function getRequestOwnerId(requestContext) {
+    if (requestContext?.user?.sub) {
+        return requestContext.user.sub;
+    }
+    if (requestContext?.apiKey) {
+        return `api_key:${crypto.createHash('sha256').update(requestContext.apiKey).digest('hex').slice(0, 32)}`;
+    }
+    return null;
+}
+
+module.exports = {
+    getRequestOwnerId
+};
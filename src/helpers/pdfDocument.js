@@ -0,0 +1,252 @@
+// pdfDocument.js - Seawater Climate Risk Platform
+// Minimal PDF writer for generated reports: text, lines and filled shapes using the built-in Helvetica fonts
+
+const zlib = require('zlib');
+
+// US Letter in points
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+
+// Glyph widths (1/1000 em) for printable ASCII 32-126, from the standard Helvetica AFM metrics
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+const FONTS = {
+    regular: { resource: 'F1', baseFont: 'Helvetica', widths: HELVETICA_WIDTHS },
+    bold: { resource: 'F2', baseFont: 'Helvetica-Bold', widths: HELVETICA_BOLD_WIDTHS }
+};
+
+// Typographic characters outside WinAnsi's Latin-1 range, mapped to their plain equivalents
+const CHARACTER_SUBSTITUTIONS = {
+    '–': '-', '—': '-', '‘': "'", '’': "'", '“': '"', '”': '"',
+    '•': '-', '…': '...', '≤': '<=', '≥': '>='
+};
+
+/**
+ * Reduce text to characters the standard fonts can draw with WinAnsi encoding
+ */
+function toWinAnsi(text) {
+    return String(text ?? '')
+        .replace(/[–—‘’“”•…≤≥]/g, char => CHARACTER_SUBSTITUTIONS[char])
+        .replace(/[\r\n\t]+/g, ' ')
+        .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+}
+
+function escapePdfString(text) {
+    return text.replace(/[\\()]/g, char => `\\${char}`);
+}
+
+function parseColor(color) {
+    const hex = String(color || '#000000').replace('#', '');
+    const value = parseInt(hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex, 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+        .map(channel => (channel / 255).toFixed(3))
+        .join(' ');
+}
+
+function formatNumber(value) {
+    return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * Single PDF document built page by page
+ * Coordinates are in points measured from the top-left corner of the page.
+ */
+class PdfDocument {
+    constructor({ title = '', author = '', subject = '' } = {}) {
+        this.info = { title, author, subject };
+        this.pages = [];
+        this.currentPage = -1;
+        this.width = PAGE_WIDTH;
+        this.height = PAGE_HEIGHT;
+    }
+
+    get pageCount() {
+        return this.pages.length;
+    }
+
+    addPage() {
+        this.pages.push([]);
+        this.currentPage = this.pages.length - 1;
+        return this.pages.length;
+    }
+
+    /**
+     * Select a page (1-based) for further drawing, e.g. to add footers after layout
+     */
+    switchToPage(pageNumber) {
+        if (pageNumber < 1 || pageNumber > this.pages.length) {
+            throw new Error(`Page ${pageNumber} does not exist`);
+        }
+        this.currentPage = pageNumber - 1;
+    }
+
+    draw(operation) {
+        if (this.currentPage < 0) {
+            throw new Error('addPage() must be called before drawing');
+        }
+        this.pages[this.currentPage].push(operation);
+    }
+
+    /**
+     * Width of a string in points
+     */
+    widthOfText(text, { font = 'regular', size = 10 } = {}) {
+        const widths = FONTS[font].widths;
+        let units = 0;
+        for (const char of toWinAnsi(text)) {
+            const code = char.charCodeAt(0);
+            units += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+        }
+        return (units * size) / 1000;
+    }
+
+    /**
+     * Break text into lines no wider than maxWidth
+     */
+    wrapText(text, maxWidth, options = {}) {
+        const lines = [];
+        let line = '';
+
+        toWinAnsi(text).split(' ').filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (this.widthOfText(candidate, options) <= maxWidth || !line) {
+                line = candidate;
+            } else {
+                lines.push(line);
+                line = word;
+            }
+        });
+
+        if (line) lines.push(line);
+        return lines;
+    }
+
+    /**
+     * Draw a single line of text with its baseline at y
+     * @param {Object} options - { font: 'regular'|'bold', size, color, align: 'left'|'right'|'center' }
+     */
+    text(text, x, y, { font = 'regular', size = 10, color = '#000000', align = 'left' } = {}) {
+        const content = toWinAnsi(text);
+        const width = this.widthOfText(content, { font, size });
+        const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+
+        this.draw(
+            `BT /${FONTS[font].resource} ${formatNumber(size)} Tf ${parseColor(color)} rg ` +
+            `${formatNumber(left)} ${formatNumber(this.height - y)} Td (${escapePdfString(content)}) Tj ET`
+        );
+    }
+
+    /**
+     * Draw a rectangle whose top-left corner is at (x, y)
+     * @param {Object} options - { fill, stroke, lineWidth }
+     */
+    rect(x, y, width, height, { fill = null, stroke = null, lineWidth = 1 } = {}) {
+        const operations = [];
+        if (fill) operations.push(`${parseColor(fill)} rg`);
+        if (stroke) operations.push(`${parseColor(stroke)} RG ${formatNumber(lineWidth)} w`);
+        operations.push(`${formatNumber(x)} ${formatNumber(this.height - y - height)} ${formatNumber(width)} ${formatNumber(height)} re`);
+        operations.push(fill && stroke ? 'B' : fill ? 'f' : 'S');
+        this.draw(operations.join(' '));
+    }
+
+    line(x1, y1, x2, y2, { color = '#000000', lineWidth = 1 } = {}) {
+        this.draw(
+            `${parseColor(color)} RG ${formatNumber(lineWidth)} w ` +
+            `${formatNumber(x1)} ${formatNumber(this.height - y1)} m ${formatNumber(x2)} ${formatNumber(this.height - y2)} l S`
+        );
+    }
+
+    /**
+     * Serialize the document
+     * @returns {Buffer} PDF bytes
+     */
+    toBuffer() {
+        if (this.pages.length === 0) {
+            this.addPage();
+        }
+
+        const objects = [];
+        const addObject = (body) => {
+            objects.push(body);
+            return objects.length;
+        };
+
+        const catalogId = addObject(null);
+        const pagesId = addObject(null);
+        const regularFontId = addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.regular.baseFont} /Encoding /WinAnsiEncoding >>`);
+        const boldFontId = addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.bold.baseFont} /Encoding /WinAnsiEncoding >>`);
+        const infoId = addObject(
+            `<< /Title (${escapePdfString(toWinAnsi(this.info.title))}) /Author (${escapePdfString(toWinAnsi(this.info.author))}) ` +
+            `/Subject (${escapePdfString(toWinAnsi(this.info.subject))}) /Producer (Seawater Climate Risk Platform) ` +
+            `/CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`
+        );
+
+        const pageIds = this.pages.map(operations => {
+            const stream = zlib.deflateSync(Buffer.from(operations.join('\n'), 'latin1'));
+            const contentId = addObject({ dictionary: `<< /Length ${stream.length} /Filter /FlateDecode >>`, stream });
+            return addObject(
+                `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${this.width} ${this.height}] ` +
+                `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+            );
+        });
+
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+        const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+        const offsets = [];
+        let length = chunks[0].length;
+
+        objects.forEach((body, index) => {
+            offsets.push(length);
+            const parts = typeof body === 'string'
+                ? [Buffer.from(`${index + 1} 0 obj\n${body}\nendobj\n`, 'latin1')]
+                : [
+                    Buffer.from(`${index + 1} 0 obj\n${body.dictionary}\nstream\n`, 'latin1'),
+                    body.stream,
+                    Buffer.from('\nendstream\nendobj\n', 'latin1')
+                ];
+            parts.forEach(part => {
+                chunks.push(part);
+                length += part.length;
+            });
+        });
+
+        const xref = [
+            'xref',
+            `0 ${objects.length + 1}`,
+            '0000000000 65535 f ',
+            ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+            'trailer',
+            `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+            'startxref',
+            String(length),
+            '%%EOF'
+        ].join('\n');
+        chunks.push(Buffer.from(`${xref}\n`, 'latin1'));
+
+        return Buffer.concat(chunks);
+    }
+}
+
+module.exports = {
+    PdfDocument,
+    PAGE_WIDTH,
+    PAGE_HEIGHT
+};
@@ -0,0 +1,156 @@
+// professionalDirectory.js - Seawater Climate Risk Platform
+// Matching and ranking of directory professionals against a property's location and top hazards
+
+// API professional types mapped to professionals.professional_type
+const PROFESSIONAL_TYPES = {
+    agent: 'real_estate_agent',
+    inspector: 'home_inspector',
+    insurance_agent: 'insurance_agent',
+    contractor: 'contractor',
+    consultant: 'consultant'
+};
+
+const HAZARD_TYPES = ['flood', 'wildfire', 'heat', 'tornado', 'hurricane', 'earthquake', 'drought', 'hail', 'landslide', 'volcanic'];
+
+/**
+ * Specialization and certification keywords that indicate expertise in each hazard
+ * Matched as substrings of the normalized specialization (lowercase, underscores)
+ */
+const HAZARD_SPECIALTY_KEYWORDS = {
+    flood: ['flood', 'floodplain', 'nfip', 'elevation', 'drainage', 'waterproofing', 'storm_surge'],
+    wildfire: ['wildfire', 'fire', 'defensible_space', 'ember'],
+    heat: ['heat', 'cooling', 'hvac', 'energy'],
+    tornado: ['tornado', 'safe_room', 'wind', 'storm'],
+    hurricane: ['hurricane', 'wind', 'storm', 'coastal', 'fortified'],
+    earthquake: ['earthquake', 'seismic', 'retrofit'],
+    drought: ['drought', 'water_conservation', 'xeriscape', 'foundation'],
+    hail: ['hail', 'roof', 'impact_resistant', 'storm'],
+    landslide: ['landslide', 'geotechnical', 'slope', 'retaining_wall', 'drainage'],
+    volcanic: ['volcanic', 'volcano', 'lahar', 'ash']
+};
+
+// Ranking weights; the specialty weight is redistributed when no hazards are known
+const RANKING_WEIGHTS = {
+    distance: 0.4,
+    rating: 0.3,
+    specialty: 0.3
+};
+
+// Bayesian prior for ratings so a single five-star review does not outrank an established record
+const RATING_PRIOR = {
+    mean: 3.5,
+    weight: 5
+};
+
+function normalizeSpecialty(value) {
+    return String(value || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Hazards a professional's specializations and certifications cover
+ * @param {Object} professional - Row with specialization_areas and climate_certifications
+ * @returns {Array} Hazard types
+ */
+function getProfessionalHazards(professional) {
+    const specialties = [
+        ...(professional.specialization_areas || []),
+        ...(professional.climate_certifications || [])
+    ].map(normalizeSpecialty);
+
+    return HAZARD_TYPES.filter(hazard =>
+        specialties.some(specialty =>
+            HAZARD_SPECIALTY_KEYWORDS[hazard].some(keyword => specialty.includes(keyword))
+        )
+    );
+}
+
+/**
+ * Score and order candidate professionals
+ * @param {Array} candidates - Rows from searchProfessionals with distance_meters
+ * @param {Object} options - { hazards, radiusKm }
+ * @returns {Array} Candidates with matched_hazards and match_score, best first
+ */
+function rankProfessionals(candidates, { hazards = [], radiusKm }) {
+    const specialtyWeight = hazards.length > 0 ? RANKING_WEIGHTS.specialty : 0;
+    const totalWeight = RANKING_WEIGHTS.distance + RANKING_WEIGHTS.rating + specialtyWeight;
+
+    return candidates
+        .map(candidate => {
+            const covered = getProfessionalHazards(candidate);
+            const matchedHazards = hazards.filter(hazard => covered.includes(hazard));
+
+            // Professionals without a business location still cover the property through their service area
+            const distanceScore = candidate.distance_meters === null || candidate.distance_meters === undefined
+                ? 0.5
+                : Math.max(0, 1 - candidate.distance_meters / 1000 / radiusKm);
+
+            const reviews = candidate.total_reviews || 0;
+            const rating = candidate.average_rating === null || candidate.average_rating === undefined
+                ? RATING_PRIOR.mean
+                : parseFloat(candidate.average_rating);
+            const adjustedRating = (rating * reviews + RATING_PRIOR.mean * RATING_PRIOR.weight) /
+                (reviews + RATING_PRIOR.weight);
+            const ratingScore = adjustedRating / 5;
+
+            const specialtyScore = hazards.length > 0 ? matchedHazards.length / hazards.length : 0;
+
+            const matchScore = (
+                distanceScore * RANKING_WEIGHTS.distance +
+                ratingScore * RANKING_WEIGHTS.rating +
+                specialtyScore * specialtyWeight
+            ) / totalWeight;
+
+            return {
+                ...candidate,
+                matched_hazards: matchedHazards,
+                match_score: Math.round(matchScore * 1000) / 10
+            };
+        })
+        .sort((a, b) => b.match_score - a.match_score || (a.distance_meters ?? Infinity) - (b.distance_meters ?? Infinity));
+}
+
+/**
+ * Professional as returned by the API
+ * Email addresses are never exposed; contact goes through the relay.
+ */
+function formatProfessional(professional) {
+    const apiType = Object.keys(PROFESSIONAL_TYPES)
+        .find(type => PROFESSIONAL_TYPES[type] === professional.professional_type) || professional.professional_type;
+
+    return {
+        id: professional.id,
+        type: apiType,
+        name: `${professional.first_name} ${professional.last_name}`.trim(),
+        company: professional.company_name,
+        title: professional.title,
+        phone: professional.phone,
+        website: professional.website_url,
+        license_number: professional.license_number,
+        license_state: professional.license_state,
+        specializations: professional.specialization_areas || [],
+        certifications: professional.climate_certifications || [],
+        hazard_expertise: getProfessionalHazards(professional),
+        years_experience: professional.years_experience,
+        rating: professional.average_rating === null || professional.average_rating === undefined
+            ? null
+            : parseFloat(professional.average_rating),
+        review_count: professional.total_reviews || 0,
+        verified: !!professional.verified,
+        accepts_new_clients: professional.accepts_new_clients !== false,
+        service_radius_km: professional.service_radius_km,
+        distance_km: professional.distance_meters === undefined || professional.distance_meters === null
+            ? undefined
+            : Math.round(professional.distance_meters / 100) / 10,
+        covers_location: professional.covers_location,
+        matched_hazards: professional.matched_hazards,
+        match_score: professional.match_score
+    };
+}
+
+module.exports = {
+    PROFESSIONAL_TYPES,
+    HAZARD_SPECIALTY_KEYWORDS,
+    getProfessionalHazards,
+    rankProfessionals,
+    formatProfessional
+};
@@ -0,0 +1,522 @@
+// propertyReport.js - Seawater Climate Risk Platform
+// Lay out the multi-page PDF property risk report
+
+const { PdfDocument } = require('./pdfDocument');
+
+const REPORT_SECTIONS = ['summary', 'hazard_scores', 'flood_insurance', 'attribution', 'historical_events', 'projections', 'adaptation'];
+
+// Sections included when a request does not list its own
+const REPORT_TYPE_SECTIONS = {
+    basic: ['summary', 'hazard_scores'],
+    executive: ['summary', 'hazard_scores', 'flood_insurance', 'projections', 'adaptation'],
+    comprehensive: REPORT_SECTIONS
+};
+
+const REPORT_HAZARDS = ['flood', 'wildfire', 'hurricane', 'tornado', 'earthquake', 'heat', 'drought', 'hail', 'landslide', 'volcanic'];
+
+const TEMPLATE_COLORS = {
+    standard: { primary: '#0b5394', accent: '#6fa8dc' },
+    professional: { primary: '#1f2933', accent: '#7b8794' },
+    branded: { primary: '#134e4a', accent: '#5eead4' }
+};
+
+const RISK_LEVELS = [
+    { min: 80, label: 'Very High', color: '#b91c1c' },
+    { min: 60, label: 'High', color: '#ea580c' },
+    { min: 40, label: 'Moderate', color: '#ca8a04' },
+    { min: 20, label: 'Low', color: '#65a30d' },
+    { min: 0, label: 'Very Low', color: '#15803d' }
+];
+
+// Most recent events listed in the historical section
+const MAX_HISTORY_EVENTS = 25;
+
+const MARGIN = 48;
+const HEADER_HEIGHT = 56;
+const FOOTER_HEIGHT = 40;
+
+const DISCLAIMER = 'Scores are modeled estimates from public and commercial hazard data and are not a guarantee of future ' +
+    'conditions. This report does not replace a flood zone determination, inspection or insurance quote.';
+
+function getRiskLevel(score) {
+    if (score === null || score === undefined) {
+        return { label: 'No data', color: '#9ca3af' };
+    }
+    return RISK_LEVELS.find(level => score >= level.min);
+}
+
+function formatHazardName(hazard) {
+    return hazard.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+function formatCurrency(value) {
+    return `$${Math.round(value).toLocaleString('en-US')}`;
+}
+
+function formatDate(value) {
+    if (!value) return 'Unknown';
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? String(value) : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Resolve the sections to render for a report type, optionally narrowed by the request
+ */
+function resolveReportSections(reportType, includeSections = null) {
+    const defaults = REPORT_TYPE_SECTIONS[reportType] || REPORT_SECTIONS;
+    if (!includeSections || includeSections.length === 0) {
+        return defaults;
+    }
+    return REPORT_SECTIONS.filter(section => includeSections.includes(section));
+}
+
+/**
+ * Page cursor that starts a new page, with the running header, when content would overflow
+ */
+function createLayout(doc, { colors, headerTitle }) {
+    const layout = {
+        y: 0,
+        contentWidth: doc.width - MARGIN * 2,
+
+        newPage() {
+            doc.addPage();
+            doc.rect(0, 0, doc.width, HEADER_HEIGHT, { fill: colors.primary });
+            doc.text(headerTitle, MARGIN, 34, { font: 'bold', size: 13, color: '#ffffff' });
+            doc.text('Climate Risk Report', doc.width - MARGIN, 34, { size: 10, color: '#ffffff', align: 'right' });
+            layout.y = HEADER_HEIGHT + 32;
+        },
+
+        ensureSpace(height) {
+            if (layout.y + height > doc.height - FOOTER_HEIGHT - MARGIN / 2) {
+                layout.newPage();
+            }
+        },
+
+        heading(title) {
+            layout.ensureSpace(60);
+            layout.y += 6;
+            doc.text(title, MARGIN, layout.y, { font: 'bold', size: 15, color: colors.primary });
+            layout.y += 8;
+            doc.line(MARGIN, layout.y, doc.width - MARGIN, layout.y, { color: colors.accent, lineWidth: 1.5 });
+            layout.y += 20;
+        },
+
+        paragraph(text, { size = 10, font = 'regular', color = '#1f2937', indent = 0 } = {}) {
+            const lineHeight = size * 1.4;
+            doc.wrapText(text, layout.contentWidth - indent, { font, size }).forEach(line => {
+                layout.ensureSpace(lineHeight);
+                doc.text(line, MARGIN + indent, layout.y, { font, size, color });
+                layout.y += lineHeight;
+            });
+        },
+
+        gap(height = 10) {
+            layout.y += height;
+        }
+    };
+
+    return layout;
+}
+
+function renderCover(doc, data, { colors, branding, reportType }) {
+    doc.addPage();
+    doc.rect(0, 0, doc.width, 300, { fill: colors.primary });
+    doc.text(branding?.company_name || 'Seawater Climate Risk', MARGIN, 72, { font: 'bold', size: 14, color: '#ffffff' });
+    doc.text('Property Climate Risk Report', MARGIN, 150, { font: 'bold', size: 28, color: '#ffffff' });
+
+    const addressLines = doc.wrapText(data.property.address, doc.width - MARGIN * 2, { size: 14 });
+    addressLines.slice(0, 3).forEach((line, index) => {
+        doc.text(line, MARGIN, 190 + index * 20, { size: 14, color: '#ffffff' });
+    });
+
+    const score = data.assessment.overall_risk_score;
+    const level = getRiskLevel(score);
+    doc.rect(MARGIN, 340, 220, 120, { fill: '#f3f4f6' });
+    doc.rect(MARGIN, 340, 8, 120, { fill: level.color });
+    doc.text('Overall Risk Score', MARGIN + 24, 370, { size: 11, color: '#4b5563' });
+    doc.text(score === null || score === undefined ? '--' : String(score), MARGIN + 24, 420, { font: 'bold', size: 40, color: '#111827' });
+    doc.text(`/ 100  ${level.label}`, MARGIN + 100, 420, { size: 12, color: level.color });
+    doc.text(`Confidence ${Math.round((Number(data.assessment.confidence_level) || 0) * 100)}%`, MARGIN + 24, 446, { size: 10, color: '#4b5563' });
+
+    const details = [
+        ['Report type', formatHazardName(reportType)],
+        ['Assessment date', formatDate(data.assessment.assessment_date || data.generatedAt)],
+        ['Generated', formatDate(data.generatedAt)],
+        ['Coordinates', `${Number(data.property.latitude).toFixed(5)}, ${Number(data.property.longitude).toFixed(5)}`],
+        ['Report ID', data.reportId]
+    ];
+    details.forEach(([label, value], index) => {
+        doc.text(label, 300, 362 + index * 20, { size: 10, color: '#6b7280' });
+        doc.text(value, 400, 362 + index * 20, { size: 10, color: '#111827' });
+    });
+
+    if (branding?.contact_info) {
+        doc.text('Prepared by', MARGIN, 540, { size: 10, color: '#6b7280' });
+        doc.wrapText(branding.contact_info, doc.width - MARGIN * 2, { size: 11 }).slice(0, 4).forEach((line, index) => {
+            doc.text(line, MARGIN, 560 + index * 16, { size: 11, color: '#111827' });
+        });
+    }
+}
+
+function renderSummary(doc, layout, data) {
+    layout.heading('Summary');
+
+    const scored = REPORT_HAZARDS
+        .map(hazard => ({ hazard, score: data.assessment[`${hazard}_risk_score`] }))
+        .filter(entry => entry.score !== null && entry.score !== undefined)
+        .sort((a, b) => b.score - a.score);
+
+    const primary = (data.assessment.primary_risks && data.assessment.primary_risks.length > 0)
+        ? data.assessment.primary_risks
+        : scored.slice(0, 2).map(entry => entry.hazard);
+
+    const overall = getRiskLevel(data.assessment.overall_risk_score);
+    layout.paragraph(
+        `This property has an overall climate risk score of ${data.assessment.overall_risk_score ?? 'unavailable'} out of 100 ` +
+        `(${overall.label.toLowerCase()}). The most significant hazards are ${primary.map(formatHazardName).join(' and ') || 'not yet determined'}.`
+    );
+    layout.gap(6);
+
+    if (data.history?.events?.length) {
+        layout.paragraph(
+            `${data.history.events.length} hazard events were recorded nearby between ${formatDate(data.history.time_range?.start_date)} ` +
+            `and ${formatDate(data.history.time_range?.end_date)}.`
+        );
+        layout.gap(6);
+    }
+
+    const longest = (data.projections || []).filter(projection => projection.projection_available).slice(-1)[0];
+    if (longest) {
+        layout.paragraph(
+            `Under the ${longest.scenario.toUpperCase()} scenario the overall score is projected to reach ` +
+            `${longest.overall_risk_score} by ${longest.horizon}.`
+        );
+        layout.gap(6);
+    }
+
+    layout.paragraph(`Data sources: ${(data.assessment.data_sources || []).join(', ') || 'none recorded'}.`, { size: 9, color: '#4b5563' });
+    layout.gap(10);
+}
+
+function renderHazardScores(doc, layout, data) {
+    layout.heading('Hazard Scores');
+
+    const barLeft = MARGIN + 120;
+    const barWidth = layout.contentWidth - 220;
+
+    REPORT_HAZARDS.forEach(hazard => {
+        const score = data.assessment[`${hazard}_risk_score`];
+        const level = getRiskLevel(score);
+
+        layout.ensureSpace(26);
+        doc.text(formatHazardName(hazard), MARGIN, layout.y + 10, { font: 'bold', size: 10, color: '#111827' });
+        doc.rect(barLeft, layout.y, barWidth, 14, { fill: '#e5e7eb' });
+        if (score !== null && score !== undefined) {
+            doc.rect(barLeft, layout.y, Math.max(2, (barWidth * score) / 100), 14, { fill: level.color });
+        }
+        doc.text(score === null || score === undefined ? '--' : String(score), barLeft + barWidth + 12, layout.y + 11, { font: 'bold', size: 10 });
+        doc.text(level.label, barLeft + barWidth + 40, layout.y + 11, { size: 9, color: level.color });
+        layout.y += 26;
+    });
+
+    layout.gap(4);
+    layout.paragraph('Scores run from 0 (minimal) to 100 (extreme). Bands: 0-19 very low, 20-39 low, 40-59 moderate, 60-79 high, 80-100 very high.', {
+        size: 8,
+        color: '#6b7280'
+    });
+    layout.gap(10);
+}
+
+function renderFloodInsurance(doc, layout, data) {
+    layout.heading('Flood Insurance Estimate');
+
+    const insurance = data.floodInsurance;
+    if (!insurance) {
+        layout.paragraph('A flood insurance estimate was unavailable when this report was generated.');
+        layout.gap(10);
+        return;
+    }
+
+    const requirement = insurance.insurance_required === null
+        ? 'whether lenders require flood insurance could not be determined'
+        : insurance.insurance_required
+            ? 'federally backed mortgages require flood insurance'
+            : 'flood insurance is not required by federally backed lenders';
+    layout.paragraph(`FEMA flood zone ${insurance.flood_zone}: ${requirement}.`);
+    layout.gap(8);
+
+    const rows = [
+        ['NFIP-style annual premium', `${formatCurrency(insurance.nfip.annual_premium.low)} - ${formatCurrency(insurance.nfip.annual_premium.high)}`],
+        ['Private market band', `${formatCurrency(insurance.private_market.annual_premium.low)} - ${formatCurrency(insurance.private_market.annual_premium.high)}`],
+        ['Building coverage', formatCurrency(insurance.coverage.building)],
+        ['Contents coverage', formatCurrency(insurance.coverage.contents)]
+    ];
+    layout.ensureSpace(rows.length * 16 + 10);
+    rows.forEach(([label, value]) => {
+        doc.text(label, MARGIN, layout.y, { size: 10, color: '#4b5563' });
+        doc.text(value, MARGIN + 200, layout.y, { font: 'bold', size: 10, color: '#111827' });
+        layout.y += 16;
+    });
+    layout.gap(4);
+
+    if (insurance.coverage.uninsured_building_value > 0) {
+        layout.paragraph(
+            `Replacement value exceeds the NFIP building limit by ${formatCurrency(insurance.coverage.uninsured_building_value)}; ` +
+            'excess or private coverage is needed to insure the full value.',
+            { size: 9 }
+        );
+        layout.gap(4);
+    }
+
+    layout.paragraph(
+        `Estimates are not quotes. Assumes: ${insurance.assumptions.join('; ').toLowerCase()}. ` +
+        'An elevation certificate and a licensed agent quote determine the actual premium.',
+        { size: 8, color: '#6b7280' }
+    );
+    layout.gap(10);
+}
+
+function renderAttribution(doc, layout, data) {
+    layout.heading('Score Attribution');
+    layout.paragraph('Each hazard score combines normalized scores from the sources below, weighted by source reliability.', {
+        size: 9,
+        color: '#4b5563'
+    });
+    layout.gap(8);
+
+    const hazards = REPORT_HAZARDS.filter(hazard => data.attribution?.[hazard]);
+    if (hazards.length === 0) {
+        layout.paragraph('Source attribution is not available for this assessment.');
+        layout.gap(10);
+        return;
+    }
+
+    hazards.forEach(hazard => {
+        const attribution = data.attribution[hazard];
+        layout.ensureSpace(40 + attribution.sources.length * 16);
+
+        doc.text(`${formatHazardName(hazard)}  ${attribution.score}`, MARGIN, layout.y, { font: 'bold', size: 11 });
+        doc.text(attribution.methodology, doc.width - MARGIN, layout.y, { size: 8, color: '#6b7280', align: 'right' });
+        layout.y += 16;
+
+        attribution.sources.forEach(source => {
+            doc.text(source.authority, MARGIN + 12, layout.y, { size: 9 });
+            doc.text(`score ${source.value}`, MARGIN + 190, layout.y, { size: 9 });
+            doc.text(`weight ${Math.round(source.weight * 100)}%`, MARGIN + 270, layout.y, { size: 9 });
+            doc.text(source.effective_date ? `as of ${formatDate(source.effective_date)}` : '', MARGIN + 360, layout.y, { size: 9, color: '#6b7280' });
+            layout.y += 14;
+        });
+        layout.gap(8);
+    });
+}
+
+function renderHistory(doc, layout, data) {
+    layout.heading('Historical Events');
+
+    const events = data.history?.events || [];
+    if (events.length === 0) {
+        layout.paragraph(data.history
+            ? 'No hazard events were found near this property in the period searched.'
+            : 'Historical event data was unavailable when this report was generated.');
+        layout.gap(10);
+        return;
+    }
+
+    const counts = Object.entries(data.history.event_counts || {})
+        .sort(([, a], [, b]) => b - a)
+        .map(([type, count]) => `${formatHazardName(type)} ${count}`)
+        .join(', ');
+    layout.paragraph(`Events by type: ${counts}.`, { size: 9, color: '#4b5563' });
+    layout.gap(8);
+
+    const columns = [MARGIN, MARGIN + 72, MARGIN + 172, MARGIN + 222];
+    const drawHeader = () => {
+        ['Date', 'Type', 'Severity', 'Description'].forEach((label, index) => {
+            doc.text(label, columns[index], layout.y, { font: 'bold', size: 9, color: '#374151' });
+        });
+        layout.y += 14;
+    };
+
+    layout.ensureSpace(30);
+    drawHeader();
+
+    events.slice(0, MAX_HISTORY_EVENTS).forEach(historyEvent => {
+        const description = doc.wrapText(historyEvent.description || '', doc.width - MARGIN - columns[3], { size: 8 }).slice(0, 2);
+        const rowHeight = Math.max(1, description.length) * 11 + 4;
+
+        if (layout.y + rowHeight > doc.height - FOOTER_HEIGHT - MARGIN / 2) {
+            layout.newPage();
+            drawHeader();
+        }
+
+        doc.text(formatDate(historyEvent.date), columns[0], layout.y, { size: 8 });
+        doc.text(formatHazardName(historyEvent.event_type), columns[1], layout.y, { size: 8 });
+        doc.text(String(Math.round(historyEvent.severity_score ?? 0)), columns[2], layout.y, { size: 8 });
+        description.forEach((line, index) => {
+            doc.text(line, columns[3], layout.y + index * 11, { size: 8, color: '#374151' });
+        });
+        layout.y += rowHeight;
+    });
+
+    if (events.length > MAX_HISTORY_EVENTS) {
+        layout.gap(4);
+        layout.paragraph(`${events.length - MAX_HISTORY_EVENTS} earlier events are not listed.`, { size: 8, color: '#6b7280' });
+    }
+    layout.gap(10);
+}
+
+function renderProjections(doc, layout, data) {
+    layout.heading('Climate Projections');
+
+    const projections = (data.projections || []).filter(projection => projection.projection_available);
+    if (projections.length === 0) {
+        layout.paragraph('Climate projections were unavailable when this report was generated.');
+        layout.gap(10);
+        return;
+    }
+
+    layout.paragraph(
+        `Projected scores under the ${projections[0].scenario.toUpperCase()} emissions scenario compared with present-day scores.`,
+        { size: 9, color: '#4b5563' }
+    );
+    layout.gap(8);
+
+    const columnWidth = 80;
+    const firstColumn = MARGIN + 130;
+    layout.ensureSpace(30 + REPORT_HAZARDS.length * 16);
+
+    doc.text('Hazard', MARGIN, layout.y, { font: 'bold', size: 9, color: '#374151' });
+    doc.text('Today', firstColumn, layout.y, { font: 'bold', size: 9, color: '#374151' });
+    projections.forEach((projection, index) => {
+        doc.text(String(projection.horizon), firstColumn + columnWidth * (index + 1), layout.y, { font: 'bold', size: 9, color: '#374151' });
+    });
+    layout.y += 16;
+
+    ['overall', ...REPORT_HAZARDS].forEach(hazard => {
+        const current = data.assessment[`${hazard}_risk_score`];
+        doc.text(formatHazardName(hazard), MARGIN, layout.y, { font: hazard === 'overall' ? 'bold' : 'regular', size: 9 });
+        doc.text(current === null || current === undefined ? '--' : String(current), firstColumn, layout.y, { size: 9 });
+
+        projections.forEach((projection, index) => {
+            const projected = projection[`${hazard}_risk_score`];
+            const change = projected !== null && projected !== undefined && current !== null && current !== undefined
+                ? projected - current
+                : null;
+            const label = projected === null || projected === undefined
+                ? '--'
+                : `${projected}${change ? ` (${change > 0 ? '+' : ''}${change})` : ''}`;
+            doc.text(label, firstColumn + columnWidth * (index + 1), layout.y, {
+                size: 9,
+                color: change > 0 ? '#b91c1c' : '#111827'
+            });
+        });
+        layout.y += 16;
+    });
+
+    layout.gap(6);
+    const confidence = projections
+        .filter(projection => projection.confidence)
+        .map(projection => `${projection.horizon}: ${Math.round(projection.confidence.lower * 100)}-${Math.round(projection.confidence.upper * 100)}%`)
+        .join(', ');
+    if (confidence) {
+        layout.paragraph(`Projection confidence ranges ${confidence}.`, { size: 8, color: '#6b7280' });
+    }
+    layout.gap(10);
+}
+
+function renderAdaptation(doc, layout, data) {
+    layout.heading('Adaptation Recommendations');
+
+    const adaptation = data.adaptation;
+    const recommendations = adaptation?.recommendations || [];
+    if (recommendations.length === 0) {
+        layout.paragraph('Adaptation recommendations were unavailable when this report was generated.');
+        layout.gap(10);
+        return;
+    }
+
+    if (adaptation.general_guidance) {
+        layout.paragraph('General guidance for this property\'s primary hazards. Site-specific recommendations were unavailable.', {
+            size: 9,
+            color: '#4b5563'
+        });
+        layout.gap(6);
+    }
+
+    recommendations.forEach(recommendation => {
+        layout.ensureSpace(48);
+        doc.text(formatHazardName(recommendation.category || 'general'), MARGIN, layout.y, { font: 'bold', size: 10 });
+        const meta = [
+            recommendation.cost_range ? `Cost: ${recommendation.cost_range}` : null,
+            recommendation.effectiveness ? `Effectiveness: ${recommendation.effectiveness}` : null,
+            recommendation.implementation_time ? `Time: ${recommendation.implementation_time}` : null
+        ].filter(Boolean).join('   ');
+        doc.text(meta, doc.width - MARGIN, layout.y, { size: 8, color: '#6b7280', align: 'right' });
+        layout.y += 14;
+        layout.paragraph(recommendation.action || '', { size: 9, indent: 12 });
+        layout.gap(6);
+    });
+    layout.gap(4);
+}
+
+function renderFooters(doc, { branding, generatedAt }) {
+    const total = doc.pageCount;
+    for (let page = 1; page <= total; page++) {
+        doc.switchToPage(page);
+        const top = doc.height - FOOTER_HEIGHT;
+        doc.line(MARGIN, top, doc.width - MARGIN, top, { color: '#d1d5db', lineWidth: 0.5 });
+        doc.text(
+            branding?.company_name ? `${branding.company_name} - powered by Seawater` : 'Seawater Climate Risk Platform',
+            MARGIN, top + 16, { size: 8, color: '#6b7280' }
+        );
+        doc.text(`Generated ${formatDate(generatedAt)}`, doc.width / 2, top + 16, { size: 8, color: '#6b7280', align: 'center' });
+        doc.text(`Page ${page} of ${total}`, doc.width - MARGIN, top + 16, { size: 8, color: '#6b7280', align: 'right' });
+    }
+}
+
+/**
+ * Render a property report to PDF
+ * @param {Object} data - { reportId, generatedAt, property, assessment, attribution, floodInsurance, history, projections, adaptation }
+ * @param {Object} options - { reportType, template, sections, branding }
+ * @returns {Object} { buffer, pageCount }
+ */
+function renderPropertyReport(data, { reportType = 'comprehensive', template = 'standard', sections = null, branding = null } = {}) {
+    const colors = TEMPLATE_COLORS[template] || TEMPLATE_COLORS.standard;
+    const doc = new PdfDocument({
+        title: `Climate Risk Report - ${data.property.address}`,
+        author: branding?.company_name || 'Seawater Climate Risk',
+        subject: 'Property climate risk assessment'
+    });
+
+    renderCover(doc, data, { colors, branding, reportType });
+
+    const headerTitle = template === 'branded' && branding?.company_name ? branding.company_name : 'Seawater';
+    const layout = createLayout(doc, { colors, headerTitle });
+    layout.newPage();
+
+    const selected = resolveReportSections(reportType, sections);
+    if (selected.includes('summary')) renderSummary(doc, layout, data);
+    if (selected.includes('hazard_scores')) renderHazardScores(doc, layout, data);
+    if (selected.includes('flood_insurance')) renderFloodInsurance(doc, layout, data);
+    if (selected.includes('attribution')) renderAttribution(doc, layout, data);
+    if (selected.includes('historical_events')) renderHistory(doc, layout, data);
+    if (selected.includes('projections')) renderProjections(doc, layout, data);
+    if (selected.includes('adaptation')) renderAdaptation(doc, layout, data);
+
+    layout.heading('About This Report');
+    layout.paragraph(DISCLAIMER, { size: 8, color: '#4b5563' });
+
+    renderFooters(doc, { branding, generatedAt: data.generatedAt });
+
+    return {
+        buffer: doc.toBuffer(),
+        pageCount: doc.pageCount
+    };
+}
+
+module.exports = {
+    REPORT_SECTIONS,
+    REPORT_TYPE_SECTIONS,
+    resolveReportSections,
+    renderPropertyReport
+};
@@ -0,0 +1,317 @@
+// reportProcessor.js - Seawater Climate Risk Platform
+// Background generation of PDF property risk reports
+
+const { NotFoundError, ClimateDataError } = require('./errorHandler');
+const {
+    findPropertyByAddress,
+    upsertProperty,
+    upsertRiskAssessment,
+    markPropertyReportStarted,
+    completePropertyReport,
+    failPropertyReport,
+    findStalledPropertyReports
+} = require('./dbOperations');
+const { geocodeAddress } = require('./geocodingService');
+const { aggregateClimateData, climateDataAggregator } = require('./climateDataAggregator');
+const { PROJECTION_HORIZONS } = require('./climateProjections');
+const { validateRequest } = require('./validationUtil');
+const { fetchDisasterHistory } = require('./disasterHistorySources');
+const { renderPropertyReport, resolveReportSections } = require('./propertyReport');
+const { getReportStorage } = require('./reportStorage');
+const { registerJobHandler, getJobQueue } = require('./jobQueue');
+const ClimateCheckClient = require('./externalClients/climateCheckClient');
+const { determineFloodZone } = require('./floodZones');
+const { resolvePropertyAttributes } = require('./vulnerabilityCurves');
+const { resolveReplacementValue } = require('./lossEstimation');
+const { estimateFloodInsurance } = require('./floodInsurance');
+
+const PROPERTY_REPORT_JOB = 'property_report';
+
+// Retryable failures are attempted this many times before the report is marked failed
+const MAX_REPORT_ATTEMPTS = 3;
+
+// A report still generating this long after its worker started belongs to a dead worker
+const STALE_SECONDS = 300;
+
+// Lookback for the historical events section
+const HISTORY_YEARS = 20;
+
+// Used when site-specific recommendations from ClimateCheck are unavailable
+const GENERAL_ADAPTATION_GUIDANCE = {
+    flood: { action: 'Elevate utilities and mechanical equipment above the base flood elevation, install backflow valves and review flood insurance coverage.', cost_range: '$1,000 - $15,000' },
+    wildfire: { action: 'Maintain 5 feet of non-combustible space around the structure, use ember-resistant vents and keep gutters and roofs clear of debris.', cost_range: '$500 - $10,000' },
+    hurricane: { action: 'Install impact-rated windows or shutters, strengthen roof-to-wall connections and secure outdoor equipment.', cost_range: '$3,000 - $25,000' },
+    tornado: { action: 'Designate or build a safe room and reinforce garage doors against wind pressure.', cost_range: '$3,000 - $10,000' },
+    earthquake: { action: 'Bolt the structure to its foundation, brace cripple walls and strap water heaters.', cost_range: '$3,000 - $10,000' },
+    heat: { action: 'Add attic insulation, install reflective roofing and shade west-facing windows to reduce cooling load.', cost_range: '$1,000 - $8,000' },
+    drought: { action: 'Replace turf with drought-tolerant landscaping, install efficient irrigation and fix foundation drainage.', cost_range: '$500 - $5,000' },
+    hail: { action: 'Replace the roof covering with Class 4 impact-resistant shingles or metal roofing and protect skylights and exposed HVAC units.', cost_range: '$8,000 - $25,000' },
+    landslide: { action: 'Have a geotechnical engineer assess the slope, manage roof and surface drainage away from it and avoid adding fill or removing vegetation above the structure.', cost_range: '$2,000 - $30,000' },
+    volcanic: { action: 'Keep an evacuation plan for lahar and ash advisories, seal vents against ash and confirm the roof can carry wet ash loads.', cost_range: '$500 - $5,000' }
+};
+
+/**
+ * Find the stored property for an address or geocode and store it
+ */
+async function resolveReportProperty(address) {
+    let property = await findPropertyByAddress(address);
+
+    if (!property) {
+        const geocodeResult = await geocodeAddress(address);
+        if (!geocodeResult.success) {
+            throw new NotFoundError(`Unable to geocode address: ${address}`, 'property');
+        }
+
+        property = await upsertProperty({
+            address: address,
+            normalizedAddress: address.toLowerCase().trim(),
+            ...geocodeResult,
+            geocodingAccuracy: geocodeResult.accuracy,
+            geocodingSource: geocodeResult.source
+        });
+    }
+
+    return property;
+}
+
+/**
+ * Hazard-specific guidance for the property's primary risks
+ */
+function buildGeneralGuidance(riskData) {
+    const hazards = (riskData.primary_risks || []).filter(hazard => GENERAL_ADAPTATION_GUIDANCE[hazard]);
+    return {
+        general_guidance: true,
+        recommendations: hazards.map(hazard => ({
+            category: hazard,
+            ...GENERAL_ADAPTATION_GUIDANCE[hazard]
+        }))
+    };
+}
+
+/**
+ * Flood insurance estimate for the stored property and its recorded attributes
+ */
+async function estimateReportFloodInsurance(latitude, longitude, property, riskData) {
+    const floodZone = await determineFloodZone(latitude, longitude, property.id);
+    const attributes = resolvePropertyAttributes({}, property);
+    const propertyRisk = await climateDataAggregator.assessPropertyRisk(latitude, longitude, riskData, attributes);
+
+    const { external_api_calls, ...floodInsurance } = await estimateFloodInsurance(latitude, longitude, {
+        floodZone: floodZone,
+        attributes: attributes,
+        floodRiskScore: propertyRisk.flood_risk_score,
+        replacementValue: resolveReplacementValue(null, attributes, property.square_feet || null)
+    });
+    return floodInsurance;
+}
+
+/**
+ * Load the optional report sections; a failing source leaves its section empty rather than failing the report
+ */
+async function loadReportSections(sections, latitude, longitude, property, riskData, scenario) {
+    const [historyResult, projectionsResult, adaptationResult, floodInsuranceResult] = await Promise.allSettled([
+        sections.includes('historical_events') || sections.includes('summary')
+            ? fetchDisasterHistory(validateRequest('disaster_history', { latitude, longitude, years: HISTORY_YEARS }))
+            : Promise.resolve(null),
+        sections.includes('projections') || sections.includes('summary')
+            ? (async () => {
+                const projections = [];
+                for (const horizon of PROJECTION_HORIZONS) {
+                    projections.push(await climateDataAggregator.projectRiskAssessment(latitude, longitude, riskData, scenario, horizon));
+                }
+                return projections;
+            })()
+            : Promise.resolve([]),
+        sections.includes('adaptation') && climateDataAggregator.isPremiumSourceAvailable('climateCheck')
+            ? new ClimateCheckClient().getAdaptationRecommendations(latitude, longitude, property.property_type || 'residential')
+            : Promise.resolve(null),
+        sections.includes('flood_insurance')
+            ? estimateReportFloodInsurance(latitude, longitude, property, riskData)
+            : Promise.resolve(null)
+    ]);
+
+    [['history', historyResult], ['projections', projectionsResult], ['adaptation', adaptationResult], ['flood_insurance', floodInsuranceResult]]
+        .filter(([, result]) => result.status === 'rejected')
+        .forEach(([name, result]) => console.warn(`Report section ${name} unavailable:`, result.reason?.message));
+
+    const adaptation = adaptationResult.status === 'fulfilled' && adaptationResult.value?.data?.recommendations?.length
+        ? adaptationResult.value.data
+        : buildGeneralGuidance(riskData);
+
+    return {
+        history: historyResult.status === 'fulfilled' ? historyResult.value : null,
+        projections: projectionsResult.status === 'fulfilled' ? projectionsResult.value : [],
+        adaptation: adaptation,
+        floodInsurance: floodInsuranceResult.status === 'fulfilled' ? floodInsuranceResult.value : null
+    };
+}
+
+/**
+ * Generate, store and record one property report
+ * @param {Object} payload - { reportId }
+ * @returns {Object} { reportId, status }
+ */
+async function processPropertyReport({ reportId }) {
+    const report = await markPropertyReportStarted(reportId);
+    if (!report) {
+        console.log('Property report not pending, skipping:', { reportId });
+        return { reportId, status: 'skipped' };
+    }
+
+    if (report.attempts > MAX_REPORT_ATTEMPTS) {
+        await failPropertyReport(reportId, 'Report generation did not complete after repeated attempts');
+        return { reportId, status: 'failed' };
+    }
+
+    const options = report.options || {};
+    const sections = resolveReportSections(report.report_type, options.sections);
+    const generatedAt = new Date().toISOString();
+
+    console.log('Generating property report:', {
+        type: 'property_report_generation',
+        timestamp: generatedAt,
+        platform: 'seawater-climate-risk',
+        reportId: reportId,
+        attempt: report.attempts,
+        reportType: report.report_type,
+        sections: sections
+    });
+
+    try {
+        const property = await resolveReportProperty(report.address);
+        const latitude = parseFloat(property.latitude);
+        const longitude = parseFloat(property.longitude);
+
+        // Reports are disclosure documents, so scores are always current rather than cached assessments
+        const climateRisks = await aggregateClimateData(latitude, longitude, 'all');
+        if (!climateRisks.success) {
+            throw new ClimateDataError('Unable to retrieve climate risk data', climateRisks.error_source, true);
+        }
+
+        await upsertRiskAssessment({
+            propertyId: property.id,
+            ...climateRisks.riskData,
+            assessmentVersion: '1.0',
+            expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days
+        });
+
+        const scenario = options.scenario || 'rcp45';
+        const { history, projections, adaptation, floodInsurance } = await loadReportSections(
+            sections, latitude, longitude, property, climateRisks.riskData, scenario
+        );
+
+        const { buffer, pageCount } = renderPropertyReport({
+            reportId: reportId,
+            generatedAt: generatedAt,
+            property: {
+                address: property.address || report.address,
+                latitude: latitude,
+                longitude: longitude
+            },
+            assessment: {
+                ...climateRisks.riskData,
+                assessment_date: generatedAt
+            },
+            attribution: climateRisks.attribution,
+            floodInsurance: floodInsurance,
+            history: history,
+            projections: projections,
+            adaptation: adaptation
+        }, {
+            reportType: report.report_type,
+            template: report.template,
+            sections: sections,
+            branding: options.branding
+        });
+
+        const storageKey = `property-reports/${reportId}.pdf`;
+        await getReportStorage().put(storageKey, buffer);
+
+        await completePropertyReport(reportId, {
+            propertyId: property.id,
+            storageKey: storageKey,
+            fileSizeBytes: buffer.length,
+            pageCount: pageCount
+        });
+
+        console.log('Property report generated:', { reportId, pageCount, fileSizeBytes: buffer.length });
+        return { reportId, status: 'completed' };
+
+    } catch (error) {
+        const retry = error.retryable === true && report.attempts < MAX_REPORT_ATTEMPTS;
+
+        console.error('Property report generation failed:', {
+            reportId,
+            attempt: report.attempts,
+            willRetry: retry,
+            error: error.message,
+            stack: error.stack
+        });
+
+        if (retry) {
+            await getJobQueue().enqueue(PROPERTY_REPORT_JOB, { reportId });
+            return { reportId, status: 'retrying' };
+        }
+
+        await failPropertyReport(reportId, error.message);
+        return { reportId, status: 'failed' };
+    }
+}
+
+/**
+ * Re-queue reports whose worker died (scheduled sweep)
+ */
+async function resumeStalledPropertyReports() {
+    const stalled = await findStalledPropertyReports(STALE_SECONDS);
+    const queue = getJobQueue();
+
+    for (const report of stalled) {
+        await queue.enqueue(PROPERTY_REPORT_JOB, { reportId: report.id });
+    }
+
+    console.log('Resumed stalled property reports:', { count: stalled.length });
+    return { resumed: stalled.map(report => report.id) };
+}
+
+/**
+ * Whether a generating report has stopped making progress
+ */
+function isPropertyReportStalled(report) {
+    if (report.status !== 'generating') return false;
+    const lastActivity = new Date(report.started_at || report.created_at).getTime();
+    return Date.now() - lastActivity > STALE_SECONDS * 1000;
+}
+
+/**
+ * Public status representation of a report record
+ */
+function formatReportStatus(report) {
+    const expired = new Date(report.expires_at) <= new Date();
+
+    return {
+        report_id: report.id,
+        address: report.address,
+        report_type: report.report_type,
+        template: report.template,
+        status: report.status,
+        download_url: report.status === 'completed' && !expired
+            ? `/professional/reports/${report.id}/download`
+            : undefined,
+        expires_at: report.expires_at,
+        file_size_bytes: report.file_size_bytes ?? undefined,
+        page_count: report.page_count ?? undefined,
+        error_message: report.error_message || undefined,
+        created_at: report.created_at,
+        completed_at: report.completed_at
+    };
+}
+
+registerJobHandler(PROPERTY_REPORT_JOB, processPropertyReport);
+
+module.exports = {
+    PROPERTY_REPORT_JOB,
+    processPropertyReport,
+    resumeStalledPropertyReports,
+    isPropertyReportStalled,
+    formatReportStatus
+};
@@ -0,0 +1,104 @@
+// reportStorage.js - Seawater Climate Risk Platform
+// Storage for generated report files: the reports S3 bucket when deployed, a local directory otherwise
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Local filesystem storage for development and tests
+ */
+class LocalReportStorage {
+    constructor(directory = path.join(os.tmpdir(), 'seawater-reports')) {
+        this.directory = directory;
+        this.transport = 'local';
+    }
+
+    resolve(key) {
+        return path.join(this.directory, ...key.split('/'));
+    }
+
+    async put(key, body) {
+        const filePath = this.resolve(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, body);
+        return { key, transport: this.transport };
+    }
+
+    async get(key) {
+        try {
+            return await fs.promises.readFile(this.resolve(key));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+}
+
+/**
+ * S3 storage in the reports bucket
+ */
+class S3ReportStorage {
+    constructor(bucket) {
+        const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+
+        this.client = new S3Client({ region: process.env.AWS_REGION || 'us-east-2' });
+        this.PutObjectCommand = PutObjectCommand;
+        this.GetObjectCommand = GetObjectCommand;
+        this.bucket = bucket;
+        this.transport = 's3';
+    }
+
+    async put(key, body, contentType = 'application/pdf') {
+        await this.client.send(new this.PutObjectCommand({
+            Bucket: this.bucket,
+            Key: key,
+            Body: body,
+            ContentType: contentType,
+            ServerSideEncryption: 'AES256'
+        }));
+        return { key, transport: this.transport };
+    }
+
+    async get(key) {
+        try {
+            const response = await this.client.send(new this.GetObjectCommand({
+                Bucket: this.bucket,
+                Key: key
+            }));
+            return Buffer.from(await response.Body.transformToByteArray());
+        } catch (error) {
+            if (error.name === 'NoSuchKey') return null;
+            throw error;
+        }
+    }
+}
+
+let reportStorage = null;
+
+/**
+ * Get the configured report storage
+ * REPORTS_BUCKET selects S3; otherwise files are written under the OS temp directory
+ */
+function getReportStorage() {
+    if (!reportStorage) {
+        reportStorage = process.env.REPORTS_BUCKET
+            ? new S3ReportStorage(process.env.REPORTS_BUCKET)
+            : new LocalReportStorage();
+    }
+    return reportStorage;
+}
+
+/**
+ * Replace the report storage (tests)
+ */
+function setReportStorage(storage) {
+    reportStorage = storage;
+}
+
+module.exports = {
+    getReportStorage,
+    setReportStorage,
+    LocalReportStorage,
+    S3ReportStorage
+};
@@ -0,0 +1,178 @@
+// seaLevelRise.js - Seawater Climate Risk Platform
+// Coastal inundation probability under NOAA sea level rise scenarios from elevation and shoreline distance
+
+const NoaaCoastalClient = require('./externalClients/noaaCoastalClient');
+
+const coastalClient = new NoaaCoastalClient();
+
+/**
+ * Median relative sea level rise in meters above 2000, contiguous US average
+ * (NOAA 2022 Sea Level Rise Technical Report). Used where the SLR grids have no coverage.
+ */
+const NATIONAL_SEA_LEVEL_RISE = {
+    intermediate: { 2050: 0.30, 2100: 1.20 },
+    high: { 2050: 0.40, 2100: 2.00 }
+};
+
+// Standard deviation of the rise as a share of the median; uncertainty widens with the horizon
+const SLR_UNCERTAINTY_FRACTION = { 2050: 0.2, 2100: 0.3 };
+
+// Vertical RMSE of the coastal lidar DEM
+const DEM_RMSE_M = 0.15;
+
+// NOAA minor (high tide) flood threshold above MHHW, national average
+const HIGH_TIDE_FLOOD_THRESHOLD_M = 0.55;
+
+// Low ground this close to the shoreline is assumed hydrologically connected to the tide
+const CONNECTED_SHORELINE_DISTANCE_KM = 0.5;
+// Connectivity falls off by e over each further distance, so distant low-lying ground counts less
+const CONNECTIVITY_DECAY_KM = 3;
+// Beyond this distance a point is scored as inland
+const MAX_SHORELINE_DISTANCE_KM = 25;
+
+// Share of the score carried by each scenario and year
+const SCENARIO_WEIGHTS = {
+    intermediate: { 2050: 0.35, 2100: 0.35 },
+    high: { 2050: 0.15, 2100: 0.15 }
+};
+
+// Permanent inundation outweighs recurring high tide flooding
+const INUNDATION_WEIGHT = 0.75;
+const HIGH_TIDE_FLOODING_WEIGHT = 0.25;
+
+/**
+ * Standard normal cumulative distribution (Abramowitz and Stegun 26.2.17)
+ */
+function normalCdf(z) {
+    const t = 1 / (1 + 0.2316419 * Math.abs(z));
+    const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+    const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+    return z >= 0 ? 1 - tail : tail;
+}
+
+function roundProbability(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+function shorelineConnectivity(distanceKm) {
+    if (distanceKm <= CONNECTED_SHORELINE_DISTANCE_KM) return 1;
+    return Math.exp(-(distanceKm - CONNECTED_SHORELINE_DISTANCE_KM) / CONNECTIVITY_DECAY_KM);
+}
+
+/**
+ * Probability that water reaches the ground under one scenario and year
+ * Ground elevation and the rise are both uncertain, so their errors combine.
+ */
+function exceedanceProbability(groundElevation, waterLevel, seaLevelRise, year) {
+    const sigma = Math.sqrt((seaLevelRise * SLR_UNCERTAINTY_FRACTION[year]) ** 2 + DEM_RMSE_M ** 2);
+    return normalCdf((waterLevel - groundElevation) / sigma);
+}
+
+/**
+ * Calculate inundation probabilities and the sea level rise score from a coastal profile
+ * @param {Object} profile - { ground_elevation_m, shoreline_distance_km, sea_level_rise_m } from NoaaCoastalClient
+ * @returns {Object} { score, details }
+ */
+function calculateSeaLevelRiseRisk(profile) {
+    const groundElevation = profile.ground_elevation_m;
+    const shorelineDistance = profile.shoreline_distance_km;
+
+    const details = {
+        data_available: true,
+        ground_elevation_m: Math.round(groundElevation * 100) / 100,
+        elevation_datum: 'MHHW',
+        shoreline_distance_km: Math.round(shorelineDistance * 100) / 100,
+        inland: shorelineDistance > MAX_SHORELINE_DISTANCE_KM,
+        connectivity_factor: null,
+        scenarios: null,
+        slr_basis: null
+    };
+
+    if (details.inland) {
+        return { score: 0, details };
+    }
+
+    const connectivity = shorelineConnectivity(shorelineDistance);
+    const scenarios = {};
+    let weightedProbability = 0;
+    let usedNationalAverage = false;
+
+    Object.entries(SCENARIO_WEIGHTS).forEach(([scenario, years]) => {
+        scenarios[scenario] = {};
+        Object.entries(years).forEach(([year, weight]) => {
+            let seaLevelRise = profile.sea_level_rise_m?.[scenario]?.[year];
+            if (seaLevelRise === null || seaLevelRise === undefined) {
+                seaLevelRise = NATIONAL_SEA_LEVEL_RISE[scenario][year];
+                usedNationalAverage = true;
+            }
+
+            const inundation = exceedanceProbability(groundElevation, seaLevelRise, seaLevelRise, year) * connectivity;
+            const highTideFlooding = exceedanceProbability(
+                groundElevation,
+                seaLevelRise + HIGH_TIDE_FLOOD_THRESHOLD_M,
+                seaLevelRise,
+                year
+            ) * connectivity;
+
+            scenarios[scenario][year] = {
+                sea_level_rise_m: Math.round(seaLevelRise * 100) / 100,
+                inundation_probability: roundProbability(inundation),
+                high_tide_flooding_probability: roundProbability(highTideFlooding)
+            };
+            weightedProbability += weight * (INUNDATION_WEIGHT * inundation + HIGH_TIDE_FLOODING_WEIGHT * highTideFlooding);
+        });
+    });
+
+    details.connectivity_factor = roundProbability(connectivity);
+    details.scenarios = scenarios;
+    details.slr_basis = usedNationalAverage ? 'national_average' : 'local_grid';
+
+    return {
+        score: Math.max(0, Math.min(100, Math.round(weightedProbability * 100))),
+        details
+    };
+}
+
+/**
+ * Assess sea level rise risk for a point
+ * Missing grid coverage is reported with data_available false and a null score rather than failing.
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @returns {Object} { sea_level_rise_risk_score, sea_level_rise }
+ */
+async function assessSeaLevelRise(latitude, longitude) {
+    let profile;
+    try {
+        const response = await coastalClient.getCoastalProfile(latitude, longitude);
+        profile = response.data;
+    } catch (error) {
+        console.warn('NOAA coastal grids unavailable for sea level rise assessment:', error.message);
+        return {
+            sea_level_rise_risk_score: null,
+            sea_level_rise: { data_available: false, reason: 'grid_load_failed', error: error.message }
+        };
+    }
+
+    if (!profile.data_available) {
+        return {
+            sea_level_rise_risk_score: null,
+            sea_level_rise: { data_available: false, reason: profile.reason }
+        };
+    }
+
+    const { score, details } = calculateSeaLevelRiseRisk(profile);
+
+    return {
+        sea_level_rise_risk_score: score,
+        sea_level_rise: {
+            ...details,
+            data_source: 'NOAA Office for Coastal Management'
+        }
+    };
+}
+
+module.exports = {
+    NATIONAL_SEA_LEVEL_RISE,
+    calculateSeaLevelRiseRisk,
+    assessSeaLevelRise
+};
@@ -1,8 +1,8 @@
 // spatialQueries.js - Enhanced spatial query helpers for PostGIS
 // Geographic boundary and spatial analysis functions with census tract precision
 
-const { getDbConnection } = require('./dbClient');
-const { SpatialQueryError } = require('./errorHandler');
+const { getClient } = require('./dbClient');
+const { SpatialQueryError, ValidationError } = require('./errorHandler');
 const { getCachedResponse, setCachedResponse } = require('./cacheManager');
 
 // Census tract and geographic precision constants
@@ -20,11 +20,58 @@ const COORDINATE_SYSTEMS = {
     ALBERS_USA: 5070 // EPSG:5070 - NAD83 / Conus Albers
 };
 
+/**
+ * Find the census tract, county and state containing a point
+ * Counties and states are matched on their own geometry when no tract covers the point,
+ * so partially loaded boundary data still resolves the coarser levels.
+ * @returns {Object} Row of tract, county and state columns (null where nothing matched)
+ */
+async function queryContainingBoundaries(latitude, longitude) {
+    let client = null;
+
+    try {
+        client = await getClient();
+
+        const result = await client.query(
+            `SELECT ct.geoid, ct.tract_code, ct.tract_name,
+                    c.county_fips, c.county_code, c.county_name,
+                    s.state_fips, s.state_code, s.state_name
+             FROM (SELECT ST_SetSRID(ST_MakePoint($2, $1), 4326) AS pt) p
+             LEFT JOIN LATERAL (
+                 SELECT * FROM census_tracts
+                 WHERE ST_Covers(geom, p.pt)
+                 ORDER BY geoid
+                 LIMIT 1
+             ) ct ON TRUE
+             LEFT JOIN LATERAL (
+                 SELECT * FROM counties
+                 WHERE id = ct.county_id OR (ct.id IS NULL AND ST_Covers(geom, p.pt))
+                 ORDER BY county_fips
+                 LIMIT 1
+             ) c ON TRUE
+             LEFT JOIN LATERAL (
+                 SELECT * FROM states
+                 WHERE id = c.state_id OR (c.id IS NULL AND ST_Covers(geom, p.pt))
+                 ORDER BY state_fips
+                 LIMIT 1
+             ) s ON TRUE`,
+            [latitude, longitude]
+        );
+
+        return result.rows[0];
+    } finally {
+        if (client) {
+            client.release();
+        }
+    }
+}
+
 /**
  * Get census tract FIPS code from coordinates with enhanced precision
+ * Point-in-polygon lookup against the census_tracts TIGER/Line boundaries.
  * @param {number} latitude - Latitude coordinate
  * @param {number} longitude - Longitude coordinate
- * @returns {Object} Census tract information including FIPS codes
+ * @returns {Object|null} Census tract information including FIPS codes, or null when no tract contains the point
  */
 async function getCensusTractFromCoordinates(latitude, longitude) {
     const cacheKey = `census_tract_${latitude.toFixed(6)}_${longitude.toFixed(6)}`;
@@ -36,23 +83,33 @@ async function getCensusTractFromCoordinates(latitude, longitude) {
             return cached;
         }
 
-        // This would query a PostGIS table with census tract boundaries
-        // For production, you'd need to load Census TIGER/Line shapefiles into PostGIS
+        const match = await queryContainingBoundaries(latitude, longitude);
+
+        // Misses are not cached so newly imported boundaries are picked up
+        if (!match || !match.geoid) {
+            console.log(`No census tract contains coordinates: ${latitude}, ${longitude}`);
+            return null;
+        }
+
         const tractInfo = {
-            census_tract_fips: null, // 11-digit FIPS code
-            county_fips: null,       // 5-digit FIPS code  
-            state_fips: null,        // 2-digit FIPS code
-            tract_geoid: null,       // Full GEOID
+            census_tract_fips: match.geoid, // 11-digit FIPS code
+            county_fips: match.county_fips, // 5-digit FIPS code
+            state_fips: match.state_fips,   // 2-digit FIPS code
+            tract_geoid: match.geoid,       // Full GEOID
+            tract_code: match.tract_code,
+            tract_name: match.tract_name,
+            county_name: match.county_name,
+            state_code: match.state_code,
             coordinates: { latitude, longitude },
             spatial_accuracy: 'CENSUS_TRACT',
             data_source: 'US_Census_TIGER',
-            confidence: 85 // Confidence in spatial match
+            confidence: 95 // Point-in-polygon match
         };
 
         // Cache the result for 24 hours
         await setCachedResponse(cacheKey, tractInfo, 86400);
         
-        console.log(`Census tract lookup for coordinates: ${latitude}, ${longitude}`);
+        console.log(`Census tract lookup for coordinates: ${latitude}, ${longitude}`, { geoid: match.geoid });
         return tractInfo;
         
     } catch (error) {
@@ -65,17 +122,95 @@ async function getCensusTractFromCoordinates(latitude, longitude) {
     }
 }
 
+/**
+ * Boundary tables keyed by spatial resolution
+ * Each entry selects the boundary geometry as `geom` plus its descriptive columns; ZIP codes are
+ * stored per city, so their rows are unioned into a single geometry.
+ */
+const BOUNDARY_SOURCES = {
+    [SPATIAL_RESOLUTIONS.CENSUS_TRACT]: {
+        from: `census_tracts ct
+               JOIN counties c ON c.id = ct.county_id
+               JOIN states s ON s.id = c.state_id`,
+        columns: `ct.id AS boundary_id, ct.geoid, COALESCE(ct.tract_name, 'Census Tract ' || ct.tract_code) AS name,
+                  s.state_code, c.county_fips, c.county_name, ct.population, ct.median_income, ct.housing_units,
+                  ct.geom`,
+        where: 'ct.geoid = $1'
+    },
+    [SPATIAL_RESOLUTIONS.COUNTY]: {
+        from: `counties c
+               JOIN states s ON s.id = c.state_id`,
+        columns: `c.id AS boundary_id, c.county_fips AS geoid, c.county_name AS name, s.state_code,
+                  c.population, c.area_sq_km, c.geom`,
+        // Counties are matched by FIPS code or by "Name, ST"
+        where: `c.county_fips = $1
+                OR (c.county_name ILIKE split_part($1, ',', 1)
+                    AND (strpos($1, ',') = 0 OR s.state_code = UPPER(TRIM(split_part($1, ',', 2)))))`
+    },
+    [SPATIAL_RESOLUTIONS.STATE]: {
+        from: 'states s',
+        columns: `s.id AS boundary_id, s.state_fips AS geoid, s.state_name AS name, s.state_code,
+                  s.population, s.area_sq_km, s.geom`,
+        where: 's.state_fips = $1 OR s.state_code = UPPER($1) OR s.state_name ILIKE $1'
+    },
+    [SPATIAL_RESOLUTIONS.ZIP_CODE]: {
+        from: `(
+                   SELECT z.zip_code, MIN(z.id) AS id, MIN(s.state_code) AS state_code,
+                          SUM(z.population) AS population, ST_Multi(ST_Union(z.geom)) AS geom
+                   FROM zip_codes z
+                   JOIN states s ON s.id = z.state_id
+                   WHERE z.zip_code = $1
+                   GROUP BY z.zip_code
+               ) zc`,
+        columns: `zc.id AS boundary_id, zc.zip_code AS geoid, zc.zip_code AS name, zc.state_code,
+                  zc.population, zc.geom`,
+        where: 'TRUE'
+    }
+};
+
+// Default simplification tolerances in degrees, coarse enough for map outlines at each level
+const DEFAULT_SIMPLIFY_TOLERANCE = {
+    [SPATIAL_RESOLUTIONS.STATE]: 0.01,
+    [SPATIAL_RESOLUTIONS.COUNTY]: 0.001,
+    [SPATIAL_RESOLUTIONS.ZIP_CODE]: 0.0005,
+    [SPATIAL_RESOLUTIONS.CENSUS_TRACT]: 0.0001
+};
+
+// Risk level bands used for boundary risk distributions
+const RISK_LEVEL_BANDS = [
+    { level: 'very_high', min: 80 },
+    { level: 'high', min: 60 },
+    { level: 'moderate', min: 40 },
+    { level: 'low', min: 20 },
+    { level: 'very_low', min: 0 }
+];
+
+const BOUNDARY_HAZARDS = [
+    'flood', 'wildfire', 'heat', 'tornado', 'hurricane', 'earthquake', 'drought', 'hail', 'landslide', 'volcanic'
+];
+
 /**
  * Enhanced boundary data retrieval with multiple spatial resolutions
  * @param {string} type - boundary type ('census_tract', 'county', 'state', 'zip_code')
- * @param {string} identifier - boundary identifier (FIPS code, name, etc.)
- * @param {string} srs - Spatial reference system (default: WGS84)
- * @returns {Object} boundary geometry and metadata
+ * @param {string} identifier - boundary identifier (FIPS code, ZIP code, state code, or "County, ST")
+ * @param {number} srs - Spatial reference system (default: WGS84)
+ * @param {Object} options - { simplifyTolerance } in degrees; true uses the default for the boundary type
+ * @returns {Object|null} GeoJSON Feature with boundary geometry and metadata, or null if not found
  */
-async function getBoundaryData(type, identifier, srs = COORDINATE_SYSTEMS.WGS84) {
+async function getBoundaryData(type, identifier, srs = COORDINATE_SYSTEMS.WGS84, options = {}) {
     let client;
-    const cacheKey = `boundary_${type}_${identifier}_${srs}`;
-    
+    const source = BOUNDARY_SOURCES[type];
+    const simplifyTolerance = options.simplifyTolerance === true
+        ? DEFAULT_SIMPLIFY_TOLERANCE[type]
+        : options.simplifyTolerance || null;
+    const cacheKey = `boundary_${type}_${identifier}_${srs}_${simplifyTolerance || 'full'}`;
+
+    if (!source) {
+        throw new ValidationError('Unsupported boundary type', [
+            { field: 'type', message: `Boundary type must be one of: ${Object.keys(BOUNDARY_SOURCES).join(', ')}` }
+        ]);
+    }
+
     try {
         // Check cache first
         const cached = await getCachedResponse(cacheKey);
@@ -83,134 +218,99 @@ async function getBoundaryData(type, identifier, srs = COORDINATE_SYSTEMS.WGS84)
             return cached;
         }
 
-        client = await getDbConnection();
-        
-        // Build spatial query based on boundary type
-        let query;
-        let params = [identifier];
-        
-        switch (type) {
-            case SPATIAL_RESOLUTIONS.CENSUS_TRACT:
-                query = `
-                    SELECT 
-                        ST_AsGeoJSON(ST_Transform(geom, $2)) as geometry,
-                        geoid,
-                        namelsad,
-                        aland,
-                        awater,
-                        statefp,
-                        countyfp,
-                        tractce
-                    FROM census_tracts 
-                    WHERE geoid = $1
-                `;
-                params = [identifier, srs];
-                break;
-                
-            case SPATIAL_RESOLUTIONS.COUNTY:
-                query = `
-                    SELECT 
-                        ST_AsGeoJSON(ST_Transform(geom, $2)) as geometry,
-                        geoid,
-                        name,
-                        aland,
-                        awater,
-                        statefp,
-                        countyfp
-                    FROM counties 
-                    WHERE geoid = $1 OR name ILIKE $1
-                `;
-                params = [identifier, srs];
-                break;
-                
-            case SPATIAL_RESOLUTIONS.STATE:
-                query = `
-                    SELECT 
-                        ST_AsGeoJSON(ST_Transform(geom, $2)) as geometry,
-                        geoid,
-                        name,
-                        stusps,
-                        aland,
-                        awater
-                    FROM states 
-                    WHERE geoid = $1 OR stusps = $1 OR name ILIKE $1
-                `;
-                params = [identifier, srs];
-                break;
-                
-            default:
-                // Placeholder implementation for unsupported types
-                console.log(`Getting boundary data for ${type}: ${identifier}`);
-                const placeholderBoundary = {
-                    type: 'Feature',
-                    properties: {
-                        boundary_type: type,
-                        identifier: identifier,
-                        name: identifier,
-                        spatial_resolution: type,
-                        coordinate_system: srs
-                    },
-                    geometry: {
-                        type: 'Polygon',
-                        coordinates: [[
-                            [-74.0, 40.7], // Sample coordinates for testing
-                            [-74.0, 40.8],
-                            [-73.9, 40.8],
-                            [-73.9, 40.7],
-                            [-74.0, 40.7]
-                        ]]
-                    },
-                    metadata: {
-                        data_source: 'PLACEHOLDER',
-                        accuracy: 'LOW',
-                        last_updated: new Date().toISOString()
-                    }
-                };
-                
-                // Cache placeholder for shorter time
-                await setCachedResponse(cacheKey, placeholderBoundary, 3600);
-                return placeholderBoundary;
+        client = await getClient();
+
+        // Simplify in WGS84 before projecting so tolerances are comparable across SRSs
+        const geometry = simplifyTolerance ? 'ST_SimplifyPreserveTopology(b.geom, $3)' : 'b.geom';
+        const precision = srs === COORDINATE_SYSTEMS.WGS84 ? 6 : 2;
+        const params = simplifyTolerance ? [identifier, srs, simplifyTolerance] : [identifier, srs];
+
+        const result = await client.query(
+            `SELECT b.*,
+                    ST_AsGeoJSON(ST_Transform(${geometry}, $2), ${precision}) AS geometry_json,
+                    ST_AsGeoJSON(ST_Transform(ST_Envelope(b.geom), $2), ${precision}) AS envelope_json,
+                    ST_Y(ST_PointOnSurface(b.geom)) AS label_latitude,
+                    ST_X(ST_PointOnSurface(b.geom)) AS label_longitude,
+                    ST_Area(b.geom::geography) AS area_sqm,
+                    ST_NPoints(b.geom) AS source_points,
+                    ST_NPoints(${geometry}) AS returned_points
+             FROM (
+                 SELECT ${source.columns}
+                 FROM ${source.from}
+                 WHERE ${source.where}
+                 LIMIT 2
+             ) b
+             WHERE b.geom IS NOT NULL`,
+            params
+        );
+
+        if (result.rows.length === 0) {
+            return null;
         }
-        
-        // Execute spatial query (placeholder - would need actual PostGIS setup)
-        console.log(`Would execute query: ${query} with params:`, params);
-        
-        // Placeholder response structure
+
+        if (result.rows.length > 1) {
+            throw new ValidationError('Ambiguous boundary identifier', [
+                { field: 'identifier', message: `More than one ${type} matches "${identifier}"; use a FIPS code or "Name, ST"` }
+            ]);
+        }
+
+        const {
+            geometry_json: geometryJson,
+            envelope_json: envelopeJson,
+            geom,
+            boundary_id: boundaryId,
+            label_latitude: labelLatitude,
+            label_longitude: labelLongitude,
+            area_sqm: areaSqm,
+            source_points: sourcePoints,
+            returned_points: returnedPoints,
+            ...attributes
+        } = result.rows[0];
+
+        // Envelope ring corners give [minX, minY, maxX, maxY] in the requested SRS
+        const ring = JSON.parse(envelopeJson).coordinates[0];
+        const xs = ring.map(point => point[0]);
+        const ys = ring.map(point => point[1]);
+
         const boundaryData = {
             type: 'Feature',
+            id: attributes.geoid,
+            bbox: [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)],
             properties: {
+                ...attributes,
                 boundary_type: type,
+                boundary_id: boundaryId,
                 identifier: identifier,
-                name: identifier,
                 spatial_resolution: type,
                 coordinate_system: srs,
-                area_land_sqm: 0,
-                area_water_sqm: 0
-            },
-            geometry: {
-                type: 'Polygon',
-                coordinates: [[
-                    [-74.0, 40.7],
-                    [-74.0, 40.8],
-                    [-73.9, 40.8],
-                    [-73.9, 40.7],
-                    [-74.0, 40.7]
-                ]]
+                area_sqm: Math.round(parseFloat(areaSqm)),
+                label_point: {
+                    latitude: parseFloat(labelLatitude),
+                    longitude: parseFloat(labelLongitude)
+                }
             },
+            geometry: JSON.parse(geometryJson),
             metadata: {
                 data_source: 'US_CENSUS_TIGER',
                 spatial_accuracy: type === SPATIAL_RESOLUTIONS.CENSUS_TRACT ? 'HIGH' : 'MEDIUM',
-                last_updated: new Date().toISOString(),
+                simplified: !!simplifyTolerance,
+                simplify_tolerance_degrees: simplifyTolerance,
+                source_vertices: sourcePoints,
+                returned_vertices: returnedPoints,
                 srs: srs
             }
         };
-        
+
         // Cache the result
         await setCachedResponse(cacheKey, boundaryData, 604800); // Cache for 1 week
-        
+
         return boundaryData;
-        
+
     } catch (error) {
+        if (error instanceof ValidationError) {
+            throw error;
+        }
+
         console.error('Error getting boundary data:', error);
         throw new SpatialQueryError(
             `Failed to retrieve boundary data for ${type}: ${identifier}`,
@@ -225,16 +325,22 @@ async function getBoundaryData(type, identifier, srs = COORDINATE_SYSTEMS.WGS84)
 }
 
 /**
- * Find properties within a geographic boundary with enhanced spatial indexing
- * @param {Object} boundary - GeoJSON boundary geometry
- * @param {Object} filters - optional filters (risk thresholds, property types, hazard types)
+ * Find properties within a geographic boundary with their latest risk assessment
+ * Boundaries from getBoundaryData are resolved from their source table so that simplified or
+ * projected response geometries do not affect the search; other GeoJSON must be WGS84.
+ * @param {Object} boundary - GeoJSON Feature or geometry
+ * @param {Object} filters - optional filters (min_risk_score, max_risk_score, property_types, limit)
  * @param {string} spatialResolution - spatial resolution for search
- * @returns {Array} properties within the boundary
+ * @returns {Object} properties within the boundary and aggregated risk statistics
  */
 async function findPropertiesInBoundary(boundary, filters = {}, spatialResolution = SPATIAL_RESOLUTIONS.CENSUS_TRACT) {
     let client;
-    const cacheKey = `properties_boundary_${JSON.stringify(boundary).substring(0, 50)}_${JSON.stringify(filters)}`;
-    
+    const boundaryType = boundary.properties?.boundary_type;
+    const boundaryKey = BOUNDARY_SOURCES[boundaryType]
+        ? `${boundaryType}_${boundary.properties.geoid}`
+        : JSON.stringify(boundary.geometry || boundary);
+    const cacheKey = `properties_boundary_${boundaryKey}_${JSON.stringify(filters)}`;
+
     try {
         // Check cache first
         const cached = await getCachedResponse(cacheKey);
@@ -242,80 +348,124 @@ async function findPropertiesInBoundary(boundary, filters = {}, spatialResolutio
             return cached;
         }
 
-        client = await getDbConnection();
-        
-        // Build spatial query with proper indexing
-        const spatialQuery = `
-            SELECT DISTINCT
-                p.property_id,
-                p.address,
-                p.latitude,
-                p.longitude,
-                p.property_type,
-                r.overall_risk_score,
-                r.risk_level,
-                ST_Distance_Sphere(
-                    ST_MakePoint(p.longitude, p.latitude),
-                    ST_Centroid($1::geometry)
-                ) as distance_meters,
-                ct.geoid as census_tract_fips
+        const queryStart = Date.now();
+        client = await getClient();
+
+        let boundaryGeometry;
+        const params = [];
+        if (BOUNDARY_SOURCES[boundaryType]) {
+            const source = BOUNDARY_SOURCES[boundaryType];
+            params.push(boundary.properties.geoid);
+            boundaryGeometry = `SELECT b.geom FROM (SELECT ${source.columns} FROM ${source.from} WHERE ${source.where} LIMIT 1) b`;
+        } else {
+            params.push(JSON.stringify(boundary.geometry || boundary));
+            boundaryGeometry = 'SELECT ST_SetSRID(ST_GeomFromGeoJSON($1), 4326) AS geom';
+        }
+
+        const conditions = [];
+        if (filters.min_risk_score !== undefined && filters.min_risk_score !== null) {
+            params.push(filters.min_risk_score);
+            conditions.push(`ra.overall_risk_score >= $${params.length}`);
+        }
+        if (filters.max_risk_score !== undefined && filters.max_risk_score !== null) {
+            params.push(filters.max_risk_score);
+            conditions.push(`ra.overall_risk_score <= $${params.length}`);
+        }
+        if (filters.property_types) {
+            params.push(filters.property_types);
+            conditions.push(`p.property_type = ANY($${params.length})`);
+        }
+
+        // Spatial index on properties.location is used by ST_Within against the boundary geometry
+        const propertiesInBoundary = `
+            WITH boundary AS (${boundaryGeometry})
+            SELECT p.id AS property_id, p.raw_address AS address, p.latitude, p.longitude, p.property_type,
+                   ra.overall_risk_score, ra.flood_risk_score, ra.wildfire_risk_score, ra.heat_risk_score,
+                   ra.tornado_risk_score, ra.hurricane_risk_score, ra.earthquake_risk_score, ra.drought_risk_score,
+                   ra.hail_risk_score, ra.landslide_risk_score, ra.volcanic_risk_score, ra.assessment_date,
+                   ST_Distance(p.location::geography, ST_Centroid(boundary.geom)::geography) AS distance_meters
             FROM properties p
-            LEFT JOIN risk_assessments r ON p.property_id = r.property_id
-            LEFT JOIN census_tracts ct ON ST_Within(
-                ST_MakePoint(p.longitude, p.latitude), 
-                ct.geom
-            )
-            WHERE ST_Within(
-                ST_MakePoint(p.longitude, p.latitude), 
-                $1::geometry
+            CROSS JOIN boundary
+            LEFT JOIN LATERAL (
+                SELECT *
+                FROM risk_assessments
+                WHERE property_id = p.id
+                ORDER BY assessment_date DESC
+                LIMIT 1
+            ) ra ON TRUE
+            WHERE ST_Within(p.location, boundary.geom)
+            ${conditions.map(condition => `AND ${condition}`).join('\n            ')}`;
+
+        const hazardAverages = BOUNDARY_HAZARDS
+            .map(hazard => `ROUND(AVG(${hazard}_risk_score), 1) AS avg_${hazard}`)
+            .join(', ');
+        const levelCounts = RISK_LEVEL_BANDS
+            .map((band, index) => {
+                const upper = index === 0 ? '' : ` AND overall_risk_score < ${RISK_LEVEL_BANDS[index - 1].min}`;
+                return `COUNT(*) FILTER (WHERE overall_risk_score >= ${band.min}${upper}) AS level_${band.level}`;
+            })
+            .join(', ');
+
+        const limit = Math.min(parseInt(filters.limit) || 1000, 1000);
+        const [propertyResult, statisticsResult] = await Promise.all([
+            client.query(`${propertiesInBoundary} ORDER BY distance_meters LIMIT ${limit}`, params),
+            client.query(
+                `SELECT COUNT(*) AS property_count,
+                        COUNT(overall_risk_score) AS assessed_count,
+                        ROUND(AVG(overall_risk_score), 1) AS avg_overall,
+                        MIN(overall_risk_score) AS min_overall,
+                        MAX(overall_risk_score) AS max_overall,
+                        PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY overall_risk_score) AS median_overall,
+                        ${hazardAverages},
+                        ${levelCounts}
+                 FROM (${propertiesInBoundary}) in_boundary`,
+                params
             )
-            ${filters.min_risk_score ? 'AND r.overall_risk_score >= $2' : ''}
-            ${filters.max_risk_score ? 'AND r.overall_risk_score <= $3' : ''}
-            ${filters.property_types ? 'AND p.property_type = ANY($4)' : ''}
-            ORDER BY distance_meters
-            LIMIT ${filters.limit || 1000}
-        `;
-        
-        console.log('Finding properties in boundary with enhanced spatial query');
-        console.log('Filters:', filters);
-        console.log('Spatial resolution:', spatialResolution);
-        
-        // Placeholder implementation - would need actual PostGIS setup
-        const properties = [];
-        
-        // Simulate some results for testing
-        for (let i = 0; i < Math.min(5, filters.limit || 5); i++) {
-            properties.push({
-                property_id: `prop_${i + 1}`,
-                address: `${i + 100} Example Street`,
-                latitude: boundary.bbox ? boundary.bbox[1] + (Math.random() * 0.01) : 40.7 + (Math.random() * 0.01),
-                longitude: boundary.bbox ? boundary.bbox[0] + (Math.random() * 0.01) : -74.0 + (Math.random() * 0.01),
-                property_type: 'residential',
-                overall_risk_score: Math.floor(Math.random() * 100),
-                risk_level: ['LOW', 'MODERATE', 'HIGH', 'VERY_HIGH'][Math.floor(Math.random() * 4)],
-                distance_meters: Math.floor(Math.random() * 5000),
-                census_tract_fips: `36005${String(i + 1).padStart(6, '0')}`
-            });
-        }
-        
+        ]);
+
+        const stats = statisticsResult.rows[0];
+        const averageHazardScores = Object.fromEntries(
+            BOUNDARY_HAZARDS.map(hazard => [
+                hazard,
+                stats[`avg_${hazard}`] === null ? null : parseFloat(stats[`avg_${hazard}`])
+            ])
+        );
+
         const result = {
-            properties,
-            total_found: properties.length,
+            properties: propertyResult.rows,
+            total_found: parseInt(stats.property_count),
             spatial_resolution: spatialResolution,
-            boundary_area_sqm: boundary.properties?.area_land_sqm || 0,
+            boundary_area_sqm: boundary.properties?.area_sqm || 0,
+            risk_statistics: {
+                property_count: parseInt(stats.property_count),
+                assessed_property_count: parseInt(stats.assessed_count),
+                average_risk_score: stats.avg_overall === null ? null : parseFloat(stats.avg_overall),
+                median_risk_score: stats.median_overall === null ? null : parseFloat(stats.median_overall),
+                min_risk_score: stats.min_overall,
+                max_risk_score: stats.max_overall,
+                average_hazard_scores: averageHazardScores,
+                risk_level_distribution: Object.fromEntries(
+                    RISK_LEVEL_BANDS.map(band => [band.level, parseInt(stats[`level_${band.level}`])])
+                ),
+                // Hazards averaging at least "high" across the boundary, worst first
+                primary_hazards: Object.entries(averageHazardScores)
+                    .filter(([, score]) => score !== null && score >= 60)
+                    .sort(([, a], [, b]) => b - a)
+                    .map(([hazard]) => hazard)
+            },
             search_metadata: {
                 filters_applied: filters,
                 cache_status: 'miss',
-                query_time_ms: 150,
+                query_time_ms: Date.now() - queryStart,
                 spatial_index_used: true
             }
         };
-        
+
         // Cache the result
         await setCachedResponse(cacheKey, result, 3600); // Cache for 1 hour
-        
+
         return result;
-        
+
     } catch (error) {
         console.error('Error finding properties in boundary:', error);
         throw new SpatialQueryError(
@@ -346,30 +496,37 @@ async function performSpatialIntersection(latitude, longitude) {
             return cached;
         }
 
-        // This would perform actual PostGIS spatial intersection
+        const match = await queryContainingBoundaries(latitude, longitude);
+
         const intersectionResult = {
             point: { latitude, longitude },
             census_tract: {
-                fips_code: null, // Would be populated from spatial query
-                name: null,
-                state_fips: null,
-                county_fips: null,
-                tract_code: null
+                fips_code: match?.geoid || null,
+                name: match?.tract_name || null,
+                state_fips: match?.geoid ? match.state_fips : null,
+                county_fips: match?.geoid ? match.county_fips : null,
+                tract_code: match?.tract_code || null
             },
             county: {
-                fips_code: null,
-                name: null,
-                state_fips: null
+                fips_code: match?.county_fips || null,
+                name: match?.county_name || null,
+                state_fips: match?.county_fips ? match.state_fips : null
             },
             state: {
-                fips_code: null,
-                name: null,
-                abbreviation: null
+                fips_code: match?.state_fips || null,
+                name: match?.state_name || null,
+                abbreviation: match?.state_code || null
             },
-            spatial_accuracy: 'HIGH',
+            spatial_accuracy: match?.geoid ? 'HIGH' : match?.county_fips ? 'MEDIUM' : match?.state_fips ? 'LOW' : 'NONE',
             coordinate_system: COORDINATE_SYSTEMS.WGS84,
-            intersection_confidence: 95
+            intersection_confidence: match?.geoid ? 95 : match?.county_fips ? 80 : match?.state_fips ? 60 : 0
         };
+
+        // Points outside every loaded boundary are not cached
+        if (!intersectionResult.state.fips_code) {
+            console.log(`Spatial intersection found no boundaries for: ${latitude}, ${longitude}`);
+            return intersectionResult;
+        }
         
         // Cache for 24 hours since boundaries don't change frequently
         await setCachedResponse(cacheKey, intersectionResult, 86400);
@@ -570,5 +727,6 @@ module.exports = {
     
     // Constants
     SPATIAL_RESOLUTIONS,
-    COORDINATE_SYSTEMS
+    COORDINATE_SYSTEMS,
+    RISK_LEVEL_BANDS
 };
\ No newline at end of file
@@ -0,0 +1,238 @@
+// spcStormReports.js - Seawater Climate Risk Platform
+// SPC severe weather database parsing for the storm_reports import, and kernel density tornado and hail risk
+
+const KM_PER_DEGREE = 111.195;
+const KM_PER_MILE = 1.609344;
+
+// Gaussian kernel bandwidth; 40 km is the 25-mile neighborhood SPC uses for its outlook probabilities
+const DEFAULT_BANDWIDTH_KM = 40;
+
+// Reports farther than this many bandwidths contribute under 0.2% of a report at the point
+const SEARCH_BANDWIDTHS = 3.5;
+
+// Radius of the neighborhood event rates are expressed over (25 miles)
+const NEIGHBORHOOD_RADIUS_KM = 25 * KM_PER_MILE;
+
+// Counts of reports within these distances are returned for context
+const DISTANCE_BANDS_KM = [10, 25, 50];
+
+/**
+ * First year counted. Reporting practices changed sharply in earlier decades: weak tornadoes
+ * went unreported before Doppler radar (early 1990s), and hail reports were sparse before the mid 1990s.
+ */
+const DEFAULT_START_YEAR = { tornado: 1990, hail: 1995 };
+
+// Hail below 1 inch was severe only before 2010; counting from 1 inch keeps the record consistent
+const MIN_HAIL_SIZE_IN = 1.0;
+
+// Weight of a tornado by (E)F rating; unrated tornadoes count as EF0
+const EF_WEIGHTS = [0.25, 0.5, 1.0, 1.5, 2.0, 2.5];
+
+// Weight of a hail report by size, largest threshold first (inches)
+const HAIL_SIZE_WEIGHTS = [[3.0, 3], [2.0, 2], [MIN_HAIL_SIZE_IN, 1]];
+
+// Significant severe thresholds (SPC): EF2+ tornadoes and 2 inch or larger hail
+const SIGNIFICANT_EF = 2;
+const SIGNIFICANT_HAIL_IN = 2.0;
+
+// Weighted annual events within the neighborhood at which the score reaches 63% of its maximum
+const RATE_SCALE = { tornado: 0.8, hail: 6 };
+
+/**
+ * Parse one SPC CSV (actual_tornadoes or hail) into reports
+ * Only whole-track tornado records (sg 1) are kept, so multi-state tornadoes count once.
+ * @param {string} text - CSV contents with the SPC header row
+ * @param {string} type - 'tornado' or 'hail'
+ * @param {Object} options - { startYear, minHailSizeIn }
+ * @returns {Array} [{ type, year, date, magnitude, startLat, startLon, endLat, endLon, lengthKm, widthM }]
+ */
+function parseSpcReports(text, type, { startYear = DEFAULT_START_YEAR[type], minHailSizeIn = MIN_HAIL_SIZE_IN } = {}) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    if (lines.length === 0) return [];
+
+    const header = lines[0].split(',').map(name => name.trim().toLowerCase());
+    const column = Object.fromEntries(header.map((name, index) => [name, index]));
+    ['yr', 'date', 'mag', 'slat', 'slon'].forEach(name => {
+        if (column[name] === undefined) {
+            throw new Error(`SPC ${type} file is missing the ${name} column`);
+        }
+    });
+
+    const reports = [];
+    for (let i = 1; i < lines.length; i++) {
+        const fields = lines[i].split(',');
+        const value = (name) => column[name] === undefined ? NaN : parseFloat(fields[column[name]]);
+
+        const year = value('yr');
+        if (!(year >= startYear)) continue;
+        if (type === 'tornado' && column.sg !== undefined && value('sg') !== 1) continue;
+
+        const magnitude = value('mag');
+        if (type === 'hail' && !(magnitude >= minHailSizeIn)) continue;
+
+        const startLat = value('slat');
+        const startLon = value('slon');
+        if (!startLat || !startLon) continue;
+
+        // Missing end points are recorded as 0
+        const endLat = value('elat');
+        const endLon = value('elon');
+        const hasEnd = endLat && endLon;
+
+        reports.push({
+            type,
+            year,
+            date: fields[column.date],
+            magnitude: type === 'tornado' && magnitude < 0 ? null : magnitude,
+            startLat,
+            startLon,
+            endLat: hasEnd ? endLat : startLat,
+            endLon: hasEnd ? endLon : startLon,
+            lengthKm: value('len') > 0 ? Math.round(value('len') * KM_PER_MILE * 10) / 10 : null,
+            // Width is recorded in yards
+            widthM: value('wid') > 0 ? Math.round(value('wid') * 0.9144) : null
+        });
+    }
+
+    return reports;
+}
+
+/**
+ * Radius (km) around a point within which reports contribute to its kernel density
+ */
+function getSearchRadiusKm(bandwidthKm = DEFAULT_BANDWIDTH_KM) {
+    return Math.max(bandwidthKm * SEARCH_BANDWIDTHS, DISTANCE_BANDS_KM[DISTANCE_BANDS_KM.length - 1]);
+}
+
+/**
+ * Bounding box [minLon, minLat, maxLon, maxLat] of the search radius around a point
+ */
+function getSearchBounds(latitude, longitude, radiusKm) {
+    const latSpan = radiusKm / KM_PER_DEGREE;
+    const lonSpan = radiusKm / (KM_PER_DEGREE * Math.max(0.01, Math.cos(latitude * Math.PI / 180)));
+    return [longitude - lonSpan, latitude - latSpan, longitude + lonSpan, latitude + latSpan];
+}
+
+/**
+ * Distance (km) from a point to a report: the nearest point of a tornado track, or a hail report's location
+ * Uses a local plane centred on the point, accurate well within the search radius.
+ */
+function distanceToReportKm(report, latitude, longitude) {
+    const kmPerLonDegree = KM_PER_DEGREE * Math.cos(latitude * Math.PI / 180);
+    const ax = (report.startLon - longitude) * kmPerLonDegree;
+    const ay = (report.startLat - latitude) * KM_PER_DEGREE;
+    const bx = (report.endLon - longitude) * kmPerLonDegree;
+    const by = (report.endLat - latitude) * KM_PER_DEGREE;
+
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared)) : 0;
+    return Math.hypot(ax + dx * t, ay + dy * t);
+}
+
+function reportWeight(report) {
+    if (report.type === 'tornado') {
+        return EF_WEIGHTS[Math.min(5, Math.max(0, report.magnitude ?? 0))];
+    }
+    return HAIL_SIZE_WEIGHTS.find(([size]) => report.magnitude >= size)[1];
+}
+
+function isSignificant(report) {
+    return report.type === 'tornado'
+        ? (report.magnitude ?? 0) >= SIGNIFICANT_EF
+        : report.magnitude >= SIGNIFICANT_HAIL_IN;
+}
+
+/**
+ * Kernel density storm frequency and risk score (0-100) at a point
+ * Each report adds a Gaussian kernel of its distance, weighted by EF rating or hail size; the
+ * density is converted to weighted events per year within 25 miles, the neighborhood SPC uses.
+ * @param {Array} reports - Reports of one type within getSearchBounds() of the point
+ * @param {Object} period - { first, last } years of the whole imported record
+ * @param {string} type - 'tornado' or 'hail'
+ * @param {Object} options - { bandwidthKm }
+ * @returns {Object} { score, details }
+ */
+function calculateStormReportRisk(reports, period, type, latitude, longitude, { bandwidthKm = DEFAULT_BANDWIDTH_KM } = {}) {
+    const years = period.last - period.first + 1;
+    const searchRadiusKm = getSearchRadiusKm(bandwidthKm);
+    const twoSigmaSquared = 2 * bandwidthKm * bandwidthKm;
+
+    let density = 0;
+    let unweightedDensity = 0;
+    let significantNearby = 0;
+    let strongest = null;
+    const bandCounts = DISTANCE_BANDS_KM.map(() => 0);
+
+    reports.forEach(report => {
+        const distanceKm = distanceToReportKm(report, latitude, longitude);
+        if (distanceKm > searchRadiusKm) return;
+
+        const kernel = Math.exp(-(distanceKm * distanceKm) / twoSigmaSquared) / (Math.PI * twoSigmaSquared);
+        density += kernel * reportWeight(report);
+        unweightedDensity += kernel;
+
+        DISTANCE_BANDS_KM.forEach((band, bandIndex) => {
+            if (distanceKm <= band) bandCounts[bandIndex]++;
+        });
+        if (distanceKm <= NEIGHBORHOOD_RADIUS_KM) {
+            if (isSignificant(report)) significantNearby++;
+            if (!strongest || (report.magnitude ?? -1) > (strongest.magnitude ?? -1)) {
+                strongest = { ...report, distanceKm };
+            }
+        }
+    });
+
+    // Densities are per km² over the whole record; convert to events per year within the neighborhood
+    const neighborhoodArea = Math.PI * NEIGHBORHOOD_RADIUS_KM * NEIGHBORHOOD_RADIUS_KM;
+    const weightedAnnualRate = (density / years) * neighborhoodArea;
+    const annualRate = (unweightedDensity / years) * neighborhoodArea;
+
+    const details = {
+        period: { start_year: period.first, end_year: period.last },
+        bandwidth_km: bandwidthKm,
+        neighborhood_radius_km: Math.round(NEIGHBORHOOD_RADIUS_KM * 10) / 10,
+        annual_events_within_neighborhood: Math.round(annualRate * 1000) / 1000,
+        weighted_annual_events_within_neighborhood: Math.round(weightedAnnualRate * 1000) / 1000,
+        reports_within_km: Object.fromEntries(DISTANCE_BANDS_KM.map((band, bandIndex) => [band, bandCounts[bandIndex]])),
+        significant_reports_within_neighborhood: significantNearby
+    };
+
+    if (type === 'tornado') {
+        details.strongest_nearby = strongest
+            ? {
+                date: strongest.date,
+                ef_rating: strongest.magnitude,
+                distance_km: Math.round(strongest.distanceKm * 10) / 10,
+                path_length_km: strongest.lengthKm,
+                path_width_m: strongest.widthM
+            }
+            : null;
+    } else {
+        details.min_hail_size_in = MIN_HAIL_SIZE_IN;
+        details.largest_nearby = strongest
+            ? {
+                date: strongest.date,
+                size_in: strongest.magnitude,
+                distance_km: Math.round(strongest.distanceKm * 10) / 10
+            }
+            : null;
+    }
+
+    return {
+        score: Math.round(100 * (1 - Math.exp(-weightedAnnualRate / RATE_SCALE[type]))),
+        details
+    };
+}
+
+module.exports = {
+    DEFAULT_BANDWIDTH_KM,
+    DEFAULT_START_YEAR,
+    MIN_HAIL_SIZE_IN,
+    parseSpcReports,
+    getSearchRadiusKm,
+    getSearchBounds,
+    distanceToReportKm,
+    calculateStormReportRisk
+};
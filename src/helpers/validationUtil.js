@@ -1,7 +1,37 @@
 // validationUtil.js - Seawater Climate Risk Platform
 // Request parameter validation following Tim-Combo patterns
 
+const net = require('net');
 const { ValidationError } = require('./errorHandler');
+const { isPublicAddress, resolvePublicHost, PRIVATE_ADDRESS_ERROR } = require('./networkAddress');
+const { HISTORY_HAZARD_TYPES } = require('./disasterHistory');
+const { EXPORT_COLUMN_KEYS, EXPORT_UNITS } = require('./csvExportColumns');
+const { REPORT_SECTIONS, REPORT_TYPE_SECTIONS } = require('./propertyReport');
+const { WEBHOOK_EVENTS } = require('./webhookEvents');
+const { API_KEY_SCOPES } = require('./apiKeys');
+const { PROFESSIONAL_TYPES, HAZARD_SPECIALTY_KEYWORDS } = require('./professionalDirectory');
+const {
+    FOUNDATION_TYPES,
+    ROOF_TYPES,
+    CONSTRUCTION_CLASSES,
+    PROPERTY_ATTRIBUTE_FIELDS
+} = require('./vulnerabilityCurves');
+const { MITIGATION_TYPES } = require('./mitigationTypes');
+const { NFIP_BUILDING_LIMIT, NFIP_CONTENTS_LIMIT } = require('./nfipLimits');
+
+const EXPORT_SOURCES = ['saved', 'bulk_job', 'geographic'];
+
+// Boundary types accepted in the path, mapped to spatial resolutions
+const BOUNDARY_TYPES = {
+    census_tract: 'census_tract',
+    tract: 'census_tract',
+    county: 'county',
+    state: 'state',
+    zip_code: 'zip_code',
+    zip: 'zip_code'
+};
+const BOUNDARY_SRS = [4326, 3857, 5070];
+const REPORT_TEMPLATES = ['standard', 'professional', 'branded'];
 
 /**
  * Address validation
@@ -111,7 +141,7 @@ function validateRadius(radius, maxRadius = 50000) {
 function validateRiskTypes(riskTypes) {
     const validRiskTypes = [
         'flood', 'wildfire', 'hurricane', 'tornado', 'earthquake',
-        'heat', 'drought', 'hail', 'all'
+        'heat', 'drought', 'hail', 'landslide', 'volcanic', 'all'
     ];
 
     let typesToValidate = [];
@@ -256,6 +286,73 @@ function validateBulkAddresses(addresses, maxCount = 100) {
     return validatedAddresses;
 }
 
+/**
+ * Property characteristics validation
+ * Keys may be camelCase or snake_case; bulk address entries are not normalized by the event parser.
+ * @param {Object} source - Object holding the attributes
+ * @param {string} fieldPrefix - Prefix for error field names, e.g. 'addresses[3].'
+ * @returns {Object|null} Attributes that were supplied, or null when none were
+ */
+function validatePropertyAttributes(source, fieldPrefix = '') {
+    if (!source || typeof source !== 'object') {
+        return null;
+    }
+
+    const values = {};
+    Object.entries(source).forEach(([key, value]) => {
+        const field = Object.keys(PROPERTY_ATTRIBUTE_FIELDS).find(name =>
+            name.toLowerCase() === key.replace(/[_-]/g, '').toLowerCase()
+        );
+        if (field && value !== undefined && value !== null && value !== '') {
+            values[field] = value;
+        }
+    });
+
+    if (Object.keys(values).length === 0) {
+        return null;
+    }
+
+    const validated = {};
+    const validationErrors = [];
+    const maxYear = new Date().getFullYear() + 2;
+
+    const numeric = (field, min, max, integer, message) => {
+        if (values[field] === undefined) return;
+        const number = integer ? parseInt(values[field]) : parseFloat(values[field]);
+        if (isNaN(number) || number < min || number > max) {
+            validationErrors.push({ field: `${fieldPrefix}${PROPERTY_ATTRIBUTE_FIELDS[field]}`, message });
+        } else {
+            validated[field] = number;
+        }
+    };
+
+    const category = (field, allowed) => {
+        if (values[field] === undefined) return;
+        const normalized = String(values[field]).trim().toLowerCase().replace(/[\s-]+/g, '_');
+        if (!allowed.includes(normalized)) {
+            validationErrors.push({
+                field: `${fieldPrefix}${PROPERTY_ATTRIBUTE_FIELDS[field]}`,
+                message: `Invalid ${PROPERTY_ATTRIBUTE_FIELDS[field]}: ${values[field]}. Valid values: ${allowed.join(', ')}`
+            });
+        } else {
+            validated[field] = normalized;
+        }
+    };
+
+    numeric('yearBuilt', 1700, maxYear, true, `Year built must be between 1700 and ${maxYear}`);
+    numeric('firstFloorElevation', -20, 60, false, 'First floor elevation must be between -20 and 60 feet above grade');
+    numeric('stories', 1, 200, true, 'Stories must be between 1 and 200');
+    category('foundationType', FOUNDATION_TYPES);
+    category('roofType', ROOF_TYPES);
+    category('constructionClass', CONSTRUCTION_CLASSES);
+
+    if (validationErrors.length > 0) {
+        throw new ValidationError('Invalid property attributes', validationErrors);
+    }
+
+    return validated;
+}
+
 /**
  * Date range validation
  */
@@ -400,6 +497,29 @@ function validateClimateScenario(scenario) {
     return normalizedScenario;
 }
 
+/**
+ * Validate projection horizon year
+ */
+function validateProjectionHorizon(horizon) {
+    if (horizon === null || horizon === undefined || horizon === '') {
+        return null;
+    }
+
+    const validHorizons = [2030, 2050, 2080];
+    const year = parseInt(horizon);
+
+    if (!validHorizons.includes(year)) {
+        throw new ValidationError('Invalid projection horizon', [
+            {
+                field: 'horizon',
+                message: `Invalid projection horizon: ${horizon}. Valid horizons: ${validHorizons.join(', ')}`
+            }
+        ]);
+    }
+
+    return year;
+}
+
 /**
  * Comprehensive request validation for different endpoints
  */
@@ -414,6 +534,24 @@ function validateRequest(operation, params) {
                 return validateBulkAnalysisRequest(params);
             case 'compare_properties':
                 return validateComparePropertiesRequest(params);
+            case 'disaster_history':
+                return validateDisasterHistoryRequest(params);
+            case 'csv_export':
+                return validateCsvExportRequest(params);
+            case 'property_report':
+                return validatePropertyReportRequest(params);
+            case 'webhook':
+                return validateWebhookRequest(params);
+            case 'api_key':
+                return validateApiKeyRequest(params);
+            case 'professional_search':
+                return validateProfessionalSearchRequest(params);
+            case 'professional_contact':
+                return validateProfessionalContactRequest(params);
+            case 'boundary_lookup':
+                return validateBoundaryLookupRequest(params);
+            case 'mitigation_simulation':
+                return validateMitigationSimulationRequest(params);
             default:
                 throw new ValidationError('Unknown operation', [
                     { field: 'operation', message: `Unknown operation: ${operation}` }
@@ -448,6 +586,116 @@ function validateGetPropertyRiskRequest(params) {
         validated.riskTypes = validateRiskTypes(params.riskTypes);
     }
 
+    // A projection needs both a scenario and a horizon; fill in whichever is missing
+    if (params.scenario || params.horizon) {
+        validated.scenario = validateClimateScenario(params.scenario) || 'rcp45';
+        validated.horizon = validateProjectionHorizon(params.horizon) || 2050;
+    }
+
+    validated.propertyAttributes = validatePropertyAttributes(params.propertyAttributes);
+
+    if (params.replacementValue !== undefined && params.replacementValue !== null && params.replacementValue !== '') {
+        const replacementValue = parseFloat(params.replacementValue);
+        if (isNaN(replacementValue) || replacementValue < 10000 || replacementValue > 100000000) {
+            throw new ValidationError('Invalid replacement value', [
+                { field: 'replacementValue', message: 'Replacement value must be between 10,000 and 100,000,000 USD' }
+            ]);
+        }
+        validated.replacementValue = replacementValue;
+    }
+
+    // Flood insurance inputs: coverage amounts within NFIP limits and an elevation-certificate lowest floor
+    const floodInsuranceFields = [
+        { field: 'buildingCoverage', min: 0, max: NFIP_BUILDING_LIMIT, message: `Building coverage must be between 0 and ${NFIP_BUILDING_LIMIT} USD (NFIP limit)` },
+        { field: 'contentsCoverage', min: 0, max: NFIP_CONTENTS_LIMIT, message: `Contents coverage must be between 0 and ${NFIP_CONTENTS_LIMIT} USD (NFIP limit)` },
+        { field: 'lowestFloorElevation', min: -100, max: 15000, message: 'Lowest floor elevation must be between -100 and 15000 feet (NAVD88)' }
+    ];
+    const floodInsuranceErrors = [];
+    floodInsuranceFields.forEach(({ field, min, max, message }) => {
+        const raw = params[field];
+        if (raw === undefined || raw === null || raw === '') return;
+
+        const value = parseFloat(raw);
+        if (isNaN(value) || value < min || value > max) {
+            floodInsuranceErrors.push({ field, message });
+            return;
+        }
+        validated[field] = value;
+    });
+    if (floodInsuranceErrors.length > 0) {
+        throw new ValidationError('Invalid flood insurance parameters', floodInsuranceErrors);
+    }
+
+    return validated;
+}
+
+function validateMitigationSimulationRequest(params) {
+    const validated = validateGetPropertyRiskRequest({
+        address: params.address,
+        latitude: params.latitude,
+        longitude: params.longitude,
+        propertyAttributes: params.propertyAttributes
+    });
+
+    // Mitigations are type names, or objects carrying parameters ({ type: 'elevation', feet: 4 })
+    const entries = Array.isArray(params.mitigations) ? params.mitigations : null;
+    const mitigationTypes = Object.keys(MITIGATION_TYPES);
+    if (!entries || entries.length === 0 || entries.length > mitigationTypes.length) {
+        throw new ValidationError('Invalid mitigations', [
+            { field: 'mitigations', message: `Mitigations must be an array of 1 to ${mitigationTypes.length} of: ${mitigationTypes.join(', ')}` }
+        ]);
+    }
+
+    const validationErrors = [];
+    validated.mitigations = [];
+
+    entries.forEach((entry, index) => {
+        const mitigation = entry && typeof entry === 'object' ? entry : { type: entry };
+        const type = String(mitigation.type || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+        if (!MITIGATION_TYPES[type]) {
+            validationErrors.push({
+                field: `mitigations[${index}].type`,
+                message: `Invalid mitigation: ${mitigation.type}. Valid mitigations: ${mitigationTypes.join(', ')}`
+            });
+            return;
+        }
+        if (validated.mitigations.some(existing => existing.type === type)) {
+            validationErrors.push({ field: `mitigations[${index}].type`, message: `Duplicate mitigation: ${type}` });
+            return;
+        }
+
+        if (type === 'elevation') {
+            const feet = parseFloat(mitigation.feet ?? mitigation.elevationFeet ?? mitigation.elevation_feet);
+            if (isNaN(feet) || feet <= 0 || feet > 20) {
+                validationErrors.push({
+                    field: `mitigations[${index}].feet`,
+                    message: 'Elevation must give feet greater than 0 and at most 20'
+                });
+                return;
+            }
+            validated.mitigations.push({ type, feet });
+            return;
+        }
+
+        validated.mitigations.push({ type });
+    });
+
+    if (validationErrors.length > 0) {
+        throw new ValidationError('Invalid mitigations', validationErrors);
+    }
+
+    validated.squareFeet = null;
+    if (params.squareFeet !== undefined && params.squareFeet !== null && params.squareFeet !== '') {
+        const squareFeet = parseInt(params.squareFeet);
+        if (isNaN(squareFeet) || squareFeet < 200 || squareFeet > 50000) {
+            throw new ValidationError('Invalid square feet', [
+                { field: 'square_feet', message: 'Square feet must be between 200 and 50000' }
+            ]);
+        }
+        validated.squareFeet = squareFeet;
+    }
+
     return validated;
 }
 
@@ -480,7 +728,29 @@ function validateGeographicSearchRequest(params) {
 function validateBulkAnalysisRequest(params) {
     const validated = { ...params };
 
-    validated.addresses = validateBulkAddresses(params.addresses);
+    // Entries are address strings or { address, ...property attributes }
+    const entries = Array.isArray(params.addresses) ? params.addresses : null;
+    validated.addresses = validateBulkAddresses(
+        entries ? entries.map(entry => (entry && typeof entry === 'object' ? entry.address : entry)) : params.addresses,
+        params.maxAddresses
+    );
+
+    // Results and attributes are matched to their entry by address
+    const duplicateErrors = [];
+    validated.addresses.forEach((address, index) => {
+        if (validated.addresses.indexOf(address) !== index) {
+            duplicateErrors.push({ field: `addresses[${index}]`, message: `Duplicate address: ${address}` });
+        }
+    });
+    if (duplicateErrors.length > 0) {
+        throw new ValidationError('Duplicate addresses', duplicateErrors);
+    }
+
+    validated.propertyAttributes = validated.addresses.map((address, index) => (
+        entries[index] && typeof entries[index] === 'object'
+            ? validatePropertyAttributes(entries[index], `addresses[${index}].`)
+            : null
+    ));
 
     if (params.riskTypes) {
         validated.riskTypes = validateRiskTypes(params.riskTypes);
@@ -507,6 +777,546 @@ function validateComparePropertiesRequest(params) {
     return validated;
 }
 
+function validateDisasterHistoryRequest(params) {
+    const validated = { ...params };
+
+    const coords = validateCoordinates(params.latitude, params.longitude);
+    validated.latitude = coords.latitude;
+    validated.longitude = coords.longitude;
+
+    // Radius is given in kilometres for history queries
+    const radiusKm = params.radiusKm === undefined || params.radiusKm === null ? 50 : parseFloat(params.radiusKm);
+    if (isNaN(radiusKm) || radiusKm <= 0 || radiusKm > 300) {
+        throw new ValidationError('Invalid radius', [
+            { field: 'radius_km', message: 'Radius must be greater than 0 and at most 300 kilometres' }
+        ]);
+    }
+    validated.radiusKm = radiusKm;
+
+    const years = params.years === undefined || params.years === null ? 10 : parseInt(params.years);
+    if (isNaN(years) || years < 1 || years > 50) {
+        throw new ValidationError('Invalid years', [
+            { field: 'years', message: 'Years must be between 1 and 50' }
+        ]);
+    }
+
+    // An explicit date range overrides the years lookback
+    const endDate = params.endDate ? new Date(params.endDate) : new Date();
+    const startDate = params.startDate
+        ? new Date(params.startDate)
+        : new Date(endDate.getTime() - years * 365 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime()) || startDate > endDate) {
+        throw new ValidationError('Invalid date range', [
+            { field: 'dateRange', message: 'start_date and end_date must be valid dates with start_date before end_date' }
+        ]);
+    }
+    validated.startDate = startDate.toISOString();
+    validated.endDate = endDate.toISOString();
+    validated.years = Math.max(1, Math.ceil((Date.now() - startDate.getTime()) / (365 * 24 * 60 * 60 * 1000)));
+
+    if (params.eventTypes) {
+        const eventTypes = (Array.isArray(params.eventTypes) ? params.eventTypes : String(params.eventTypes).split(','))
+            .map(type => String(type).trim().toLowerCase())
+            .filter(Boolean);
+        const invalidTypes = eventTypes.filter(type => !HISTORY_HAZARD_TYPES.includes(type));
+
+        if (invalidTypes.length > 0) {
+            throw new ValidationError('Invalid event types', [
+                { field: 'event_types', message: `Invalid event types: ${invalidTypes.join(', ')}. Valid types: ${HISTORY_HAZARD_TYPES.join(', ')}` }
+            ]);
+        }
+        validated.eventTypes = eventTypes;
+    }
+
+    return validated;
+}
+
+function validateCsvExportRequest(params) {
+    const validated = { ...params };
+
+    const source = String(params.source || '').trim().toLowerCase();
+    if (!EXPORT_SOURCES.includes(source)) {
+        throw new ValidationError('Invalid export source', [
+            { field: 'source', message: `Source must be one of: ${EXPORT_SOURCES.join(', ')}` }
+        ]);
+    }
+    validated.source = source;
+
+    if (source === 'bulk_job') {
+        if (!params.jobId || !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(params.jobId)) {
+            throw new ValidationError('Invalid job id', [
+                { field: 'job_id', message: 'Job id must be a UUID' }
+            ]);
+        }
+    }
+
+    if (source === 'geographic') {
+        const coords = validateCoordinates(params.latitude, params.longitude);
+        validated.latitude = coords.latitude;
+        validated.longitude = coords.longitude;
+        validated.radius = validateRadius(params.radius);
+        validated.riskThreshold = validateRiskScore(params.riskThreshold, 'riskThreshold');
+        validated.propertyType = validatePropertyType(params.propertyType);
+    }
+
+    if (params.columns) {
+        const columns = (Array.isArray(params.columns) ? params.columns : String(params.columns).split(','))
+            .map(column => String(column).trim().toLowerCase())
+            .filter(Boolean);
+        const invalidColumns = columns.filter(column => !EXPORT_COLUMN_KEYS.includes(column));
+
+        if (invalidColumns.length > 0 || columns.length === 0) {
+            throw new ValidationError('Invalid columns', [
+                { field: 'columns', message: `Invalid columns: ${invalidColumns.join(', ') || 'none selected'}. Valid columns: ${EXPORT_COLUMN_KEYS.join(', ')}` }
+            ]);
+        }
+        validated.columns = columns;
+    }
+
+    const units = params.units ? String(params.units).trim().toLowerCase() : 'imperial';
+    if (!EXPORT_UNITS.includes(units)) {
+        throw new ValidationError('Invalid units', [
+            { field: 'units', message: `Units must be one of: ${EXPORT_UNITS.join(', ')}` }
+        ]);
+    }
+    validated.units = units;
+
+    return validated;
+}
+
+function validatePropertyReportRequest(params) {
+    const validated = { ...params };
+
+    validated.address = validateAddress(params.address);
+
+    const reportTypes = Object.keys(REPORT_TYPE_SECTIONS);
+    const reportType = params.reportType ? String(params.reportType).trim().toLowerCase() : 'comprehensive';
+    if (!reportTypes.includes(reportType)) {
+        throw new ValidationError('Invalid report type', [
+            { field: 'report_type', message: `Report type must be one of: ${reportTypes.join(', ')}` }
+        ]);
+    }
+    validated.reportType = reportType;
+
+    const template = params.template ? String(params.template).trim().toLowerCase() : 'standard';
+    if (!REPORT_TEMPLATES.includes(template)) {
+        throw new ValidationError('Invalid template', [
+            { field: 'template', message: `Template must be one of: ${REPORT_TEMPLATES.join(', ')}` }
+        ]);
+    }
+    validated.template = template;
+
+    if (params.format && String(params.format).toLowerCase() !== 'pdf') {
+        throw new ValidationError('Unsupported report format', [
+            { field: 'format', message: 'Only pdf reports are supported' }
+        ]);
+    }
+
+    if (params.includeSections) {
+        const sections = (Array.isArray(params.includeSections) ? params.includeSections : String(params.includeSections).split(','))
+            .map(section => String(section).trim().toLowerCase())
+            .filter(Boolean);
+        const invalidSections = sections.filter(section => !REPORT_SECTIONS.includes(section));
+
+        if (invalidSections.length > 0) {
+            throw new ValidationError('Invalid report sections', [
+                { field: 'include_sections', message: `Invalid sections: ${invalidSections.join(', ')}. Valid sections: ${REPORT_SECTIONS.join(', ')}` }
+            ]);
+        }
+        validated.includeSections = sections.length > 0 ? sections : null;
+    }
+
+    // Logos are not fetched: reports render offline from the company name and contact details
+    if (params.branding) {
+        const { company_name, companyName: companyNameKey, contact_info, contactInfo: contactInfoKey } = params.branding;
+        const companyName = (company_name || companyNameKey) ? String(company_name || companyNameKey).trim() : '';
+        const contactInfo = (contact_info || contactInfoKey) ? String(contact_info || contactInfoKey).trim() : '';
+        if (companyName.length > 100 || contactInfo.length > 300) {
+            throw new ValidationError('Invalid branding', [
+                { field: 'branding', message: 'Company name is limited to 100 characters and contact info to 300' }
+            ]);
+        }
+        validated.branding = {
+            company_name: companyName || null,
+            contact_info: contactInfo || null
+        };
+    }
+
+    if (template === 'branded' && !validated.branding?.company_name) {
+        throw new ValidationError('Missing branding', [
+            { field: 'branding.company_name', message: 'The branded template requires a company name' }
+        ]);
+    }
+
+    validated.scenario = validateClimateScenario(params.scenario) || 'rcp45';
+
+    return validated;
+}
+
+/**
+ * Webhook endpoint URL validation
+ * Only public HTTPS endpoints are accepted. This checks the URL itself (including IP
+ * literals); validateWebhookHost also resolves the hostname.
+ */
+function validateWebhookUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(String(url || '').trim());
+    } catch (error) {
+        throw new ValidationError('Invalid webhook URL', [
+            { field: 'url', message: 'URL must be an absolute https URL' }
+        ]);
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    const privateHost = hostname === 'localhost' ||
+        hostname.endsWith('.localhost') ||
+        hostname.endsWith('.internal') ||
+        (net.isIP(hostname) !== 0 && !isPublicAddress(hostname));
+
+    if (parsed.protocol !== 'https:' || privateHost || parsed.username || parsed.password) {
+        throw new ValidationError('Invalid webhook URL', [
+            { field: 'url', message: 'URL must be a public https endpoint without credentials' }
+        ]);
+    }
+
+    if (parsed.href.length > 2048) {
+        throw new ValidationError('Invalid webhook URL', [
+            { field: 'url', message: 'URL cannot exceed 2048 characters' }
+        ]);
+    }
+
+    return parsed.href;
+}
+
+/**
+ * Resolve a validated webhook URL's host and require every address to be public
+ * A public name pointing at a private or metadata address is rejected here;
+ * deliveries check the connected address again.
+ */
+async function validateWebhookHost(url) {
+    const { hostname } = new URL(url);
+
+    try {
+        await resolvePublicHost(hostname);
+    } catch (error) {
+        throw new ValidationError('Invalid webhook URL', [
+            {
+                field: 'url',
+                message: error.code === PRIVATE_ADDRESS_ERROR
+                    ? 'URL must resolve to a public address'
+                    : `Unable to resolve ${hostname}`
+            }
+        ]);
+    }
+
+    return url;
+}
+
+/**
+ * Webhook create and update validation
+ * With partial set (updates) only the supplied fields are validated.
+ */
+function validateWebhookRequest(params) {
+    const validated = {};
+    const partial = params.partial === true;
+
+    if (!partial || params.url !== undefined) {
+        validated.url = validateWebhookUrl(params.url);
+    }
+
+    if (!partial || params.events !== undefined) {
+        const events = (Array.isArray(params.events) ? params.events : String(params.events || '').split(','))
+            .map(event => String(event).trim().toLowerCase())
+            .filter(Boolean);
+        const invalidEvents = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+
+        if (events.length === 0 || invalidEvents.length > 0) {
+            throw new ValidationError('Invalid webhook events', [
+                { field: 'events', message: `Events must be one or more of: ${WEBHOOK_EVENTS.join(', ')}` }
+            ]);
+        }
+        validated.events = [...new Set(events)];
+    }
+
+    if (params.description !== undefined && params.description !== null) {
+        const description = String(params.description).trim();
+        if (description.length > 255) {
+            throw new ValidationError('Invalid description', [
+                { field: 'description', message: 'Description cannot exceed 255 characters' }
+            ]);
+        }
+        validated.description = description;
+    }
+
+    if (params.isActive !== undefined) {
+        if (typeof params.isActive !== 'boolean') {
+            throw new ValidationError('Invalid is_active', [
+                { field: 'is_active', message: 'is_active must be a boolean' }
+            ]);
+        }
+        validated.isActive = params.isActive;
+    }
+
+    if (params.secret !== undefined && params.secret !== null) {
+        const secret = String(params.secret);
+        if (secret.length < 16 || secret.length > 128) {
+            throw new ValidationError('Invalid secret', [
+                { field: 'secret', message: 'Secret must be between 16 and 128 characters' }
+            ]);
+        }
+        validated.secret = secret;
+    }
+
+    if (partial && Object.keys(validated).length === 0) {
+        throw new ValidationError('No changes supplied', [
+            { field: 'body', message: 'Supply at least one of url, events, description, is_active or secret' }
+        ]);
+    }
+
+    return validated;
+}
+
+/**
+ * API key creation validation
+ * Expiry is given either as expiresInDays or an absolute expiresAt, at most two years out.
+ */
+function validateApiKeyRequest(params) {
+    const validated = {};
+
+    const name = params.name ? String(params.name).trim() : '';
+    if (!name || name.length > 100) {
+        throw new ValidationError('Invalid key name', [
+            { field: 'name', message: 'Name is required and cannot exceed 100 characters' }
+        ]);
+    }
+    validated.name = name;
+
+    if (params.description) {
+        const description = String(params.description).trim();
+        if (description.length > 255) {
+            throw new ValidationError('Invalid description', [
+                { field: 'description', message: 'Description cannot exceed 255 characters' }
+            ]);
+        }
+        validated.description = description;
+    }
+
+    const scopes = (Array.isArray(params.scopes) ? params.scopes : String(params.scopes || '').split(','))
+        .map(scope => String(scope).trim().toLowerCase())
+        .filter(Boolean);
+    const invalidScopes = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (scopes.length === 0 || invalidScopes.length > 0) {
+        throw new ValidationError('Invalid scopes', [
+            { field: 'scopes', message: `Scopes must be one or more of: ${API_KEY_SCOPES.join(', ')}` }
+        ]);
+    }
+    validated.scopes = [...new Set(scopes)];
+
+    const maxExpiry = Date.now() + 730 * 24 * 60 * 60 * 1000;
+    let expiresAt = null;
+
+    if (params.expiresInDays !== undefined && params.expiresInDays !== null) {
+        const days = Number(params.expiresInDays);
+        if (!Number.isInteger(days) || days < 1 || days > 730) {
+            throw new ValidationError('Invalid expiry', [
+                { field: 'expires_in_days', message: 'Expiry must be a whole number of days between 1 and 730' }
+            ]);
+        }
+        expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    } else if (params.expiresAt) {
+        expiresAt = new Date(params.expiresAt);
+        if (isNaN(expiresAt.getTime()) || expiresAt <= new Date() || expiresAt.getTime() > maxExpiry) {
+            throw new ValidationError('Invalid expiry', [
+                { field: 'expires_at', message: 'Expiry must be a future date within two years' }
+            ]);
+        }
+    }
+    validated.expiresAt = expiresAt ? expiresAt.toISOString() : null;
+
+    return validated;
+}
+
+function validateProfessionalSearchRequest(params) {
+    const validated = {};
+
+    if (params.latitude !== undefined && params.longitude !== undefined) {
+        const coords = validateCoordinates(params.latitude, params.longitude);
+        validated.latitude = coords.latitude;
+        validated.longitude = coords.longitude;
+    } else if (params.address) {
+        validated.address = validateAddress(params.address);
+    } else {
+        throw new ValidationError('Missing required parameters', [
+            { field: 'address_or_coordinates', message: 'Either address or coordinates (latitude and longitude) are required' }
+        ]);
+    }
+
+    const radiusKm = params.radiusKm === undefined || params.radiusKm === null ? 50 : parseFloat(params.radiusKm);
+    if (isNaN(radiusKm) || radiusKm <= 0 || radiusKm > 200) {
+        throw new ValidationError('Invalid radius', [
+            { field: 'radius_km', message: 'Radius must be greater than 0 and at most 200 kilometres' }
+        ]);
+    }
+    validated.radiusKm = radiusKm;
+
+    if (params.type) {
+        const type = String(params.type).trim().toLowerCase();
+        if (!PROFESSIONAL_TYPES[type]) {
+            throw new ValidationError('Invalid professional type', [
+                { field: 'type', message: `Type must be one of: ${Object.keys(PROFESSIONAL_TYPES).join(', ')}` }
+            ]);
+        }
+        validated.type = type;
+    }
+
+    // Explicit hazards replace the ones identified from the property's risk scores
+    if (params.specializations) {
+        const hazardTypes = Object.keys(HAZARD_SPECIALTY_KEYWORDS);
+        const hazards = (Array.isArray(params.specializations) ? params.specializations : String(params.specializations).split(','))
+            .map(hazard => String(hazard).trim().toLowerCase())
+            .filter(Boolean);
+        const invalidHazards = hazards.filter(hazard => !hazardTypes.includes(hazard));
+
+        if (invalidHazards.length > 0) {
+            throw new ValidationError('Invalid specializations', [
+                { field: 'specializations', message: `Invalid specializations: ${invalidHazards.join(', ')}. Valid values: ${hazardTypes.join(', ')}` }
+            ]);
+        }
+        validated.hazards = [...new Set(hazards)];
+    }
+
+    if (params.certifications) {
+        validated.certifications = (Array.isArray(params.certifications) ? params.certifications : String(params.certifications).split(','))
+            .map(certification => String(certification).trim())
+            .filter(Boolean);
+    }
+
+    if (params.minRating !== undefined && params.minRating !== null) {
+        const minRating = parseFloat(params.minRating);
+        if (isNaN(minRating) || minRating < 0 || minRating > 5) {
+            throw new ValidationError('Invalid minimum rating', [
+                { field: 'min_rating', message: 'Minimum rating must be between 0 and 5' }
+            ]);
+        }
+        validated.minRating = minRating;
+    }
+
+    validated.acceptingClients = params.acceptingClients === true || params.acceptingClients === 'true';
+
+    const limit = params.limit === undefined || params.limit === null ? 20 : parseInt(params.limit);
+    if (isNaN(limit) || limit < 1 || limit > 50) {
+        throw new ValidationError('Invalid limit', [
+            { field: 'limit', message: 'Limit must be between 1 and 50' }
+        ]);
+    }
+    validated.limit = limit;
+
+    return validated;
+}
+
+function validateProfessionalContactRequest(params) {
+    const validated = {};
+
+    if (!params.professionalId || !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(params.professionalId)) {
+        throw new ValidationError('Invalid professional id', [
+            { field: 'professional_id', message: 'Professional id must be a UUID' }
+        ]);
+    }
+    validated.professionalId = params.professionalId;
+
+    const message = params.message ? String(params.message).trim() : '';
+    if (message.length < 10 || message.length > 2000) {
+        throw new ValidationError('Invalid message', [
+            { field: 'message', message: 'Message must be between 10 and 2000 characters' }
+        ]);
+    }
+    validated.message = message;
+
+    const contactInfo = params.contactInfo || {};
+
+    if (contactInfo.name) {
+        const name = String(contactInfo.name).trim();
+        if (name.length > 100) {
+            throw new ValidationError('Invalid name', [
+                { field: 'contact_info.name', message: 'Name cannot exceed 100 characters' }
+            ]);
+        }
+        validated.name = name;
+    }
+
+    if (contactInfo.phone) {
+        const phone = String(contactInfo.phone).trim();
+        if (!/^\+?[0-9\s().-]{7,20}$/.test(phone)) {
+            throw new ValidationError('Invalid phone number', [
+                { field: 'contact_info.phone', message: 'Phone number must be 7 to 20 digits, spaces or punctuation' }
+            ]);
+        }
+        validated.phone = phone;
+    }
+
+    if (params.propertyAddress) {
+        validated.propertyAddress = validateAddress(params.propertyAddress);
+    }
+
+    return validated;
+}
+
+function validateBoundaryLookupRequest(params) {
+    const validated = {};
+
+    const type = String(params.type || '').trim().toLowerCase();
+    if (!BOUNDARY_TYPES[type]) {
+        throw new ValidationError('Invalid boundary type', [
+            { field: 'type', message: `Boundary type must be one of: ${Object.keys(BOUNDARY_TYPES).join(', ')}` }
+        ]);
+    }
+    validated.type = BOUNDARY_TYPES[type];
+
+    const identifier = params.identifier ? String(params.identifier).trim() : '';
+    if (!identifier || identifier.length > 100) {
+        throw new ValidationError('Invalid boundary identifier', [
+            { field: 'identifier', message: 'Identifier is required and cannot exceed 100 characters' }
+        ]);
+    }
+    validated.identifier = identifier;
+
+    const srs = params.srs === undefined || params.srs === null ? 4326 : parseInt(params.srs);
+    if (!BOUNDARY_SRS.includes(srs)) {
+        throw new ValidationError('Invalid spatial reference system', [
+            { field: 'srs', message: `SRS must be one of: ${BOUNDARY_SRS.join(', ')}` }
+        ]);
+    }
+    validated.srs = srs;
+
+    // simplify=true uses the default tolerance for the boundary type; a number is a tolerance in metres
+    const simplify = params.simplify === undefined || params.simplify === null ? 'false' : String(params.simplify).toLowerCase();
+    if (simplify === 'true') {
+        validated.simplifyTolerance = true;
+    } else if (simplify !== 'false') {
+        const meters = parseFloat(simplify);
+        if (isNaN(meters) || meters <= 0 || meters > 50000) {
+            throw new ValidationError('Invalid simplification', [
+                { field: 'simplify', message: 'Simplify must be true, false or a tolerance in metres up to 50000' }
+            ]);
+        }
+        validated.simplifyTolerance = meters / 111320;
+    }
+
+    validated.includeProperties = params.includeProperties === true || params.includeProperties === 'true';
+
+    const limit = params.limit === undefined || params.limit === null ? 100 : parseInt(params.limit);
+    if (isNaN(limit) || limit < 1 || limit > 1000) {
+        throw new ValidationError('Invalid limit', [
+            { field: 'limit', message: 'Limit must be between 1 and 1000' }
+        ]);
+    }
+    validated.limit = limit;
+
+    return validated;
+}
+
 module.exports = {
     validateAddress,
     validateCoordinates,
@@ -516,9 +1326,13 @@ module.exports = {
     validatePropertyType,
     validateSubscriptionTier,
     validateBulkAddresses,
+    validatePropertyAttributes,
     validateDateRange,
     validatePagination,
     validateApiKey,
     validateClimateScenario,
+    validateProjectionHorizon,
+    validateWebhookUrl,
+    validateWebhookHost,
     validateRequest
 };
\ No newline at end of file
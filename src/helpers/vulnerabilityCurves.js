@@ -0,0 +1,234 @@
+// vulnerabilityCurves.js - Seawater Climate Risk Platform
+// Per-hazard vulnerability curves turning location hazard scores into property risk scores
+
+const FOUNDATION_TYPES = ['slab', 'crawlspace', 'basement', 'elevated', 'pier', 'pile'];
+const ROOF_TYPES = ['hip', 'gable', 'flat', 'gambrel', 'mansard', 'shed'];
+
+// ISO construction classes, plus manufactured homes
+const CONSTRUCTION_CLASSES = [
+    'frame',
+    'joisted_masonry',
+    'non_combustible',
+    'masonry_non_combustible',
+    'modified_fire_resistive',
+    'fire_resistive',
+    'manufactured'
+];
+
+// Attributes accepted on risk and bulk requests, with their snake_case response names
+const PROPERTY_ATTRIBUTE_FIELDS = {
+    yearBuilt: 'year_built',
+    foundationType: 'foundation_type',
+    firstFloorElevation: 'first_floor_elevation_ft',
+    roofType: 'roof_type',
+    constructionClass: 'construction_class',
+    stories: 'stories'
+};
+
+// Living area assumed when neither the request nor the property record has one
+const DEFAULT_SQUARE_FEET = 1800;
+
+// Combined multiplier bounds, so no combination of attributes dominates the hazard score
+const MIN_MULTIPLIER = 0.4;
+const MAX_MULTIPLIER = 2.0;
+
+// Curves are [x, multiplier] points interpolated linearly and held flat beyond the ends
+const CURVES = {
+    flood: {
+        // Feet of first floor above grade; below-grade floors flood first
+        firstFloorElevation: [[-8, 1.5], [0, 1.3], [1, 1.15], [2, 1.0], [4, 0.8], [6, 0.65], [8, 0.55], [12, 0.45]],
+        // Pre-FIRM construction (before NFIP elevation requirements)
+        yearBuilt: [[1974, 1.1], [1975, 1.0]]
+    },
+    hurricane: {
+        // Post-Andrew (1992) code cycles strengthened roof and opening protection
+        yearBuilt: [[1950, 1.15], [1994, 1.05], [2002, 0.95], [2010, 0.9]]
+    },
+    tornado: {
+        yearBuilt: [[1950, 1.05], [2000, 1.0], [2010, 0.95]]
+    },
+    earthquake: {
+        // Field Act / 1933, 1976 UBC and post-Northridge (1994) seismic provisions
+        yearBuilt: [[1933, 1.4], [1976, 1.15], [1994, 1.0], [2010, 0.9]],
+        stories: [[1, 1.0], [3, 1.05], [7, 1.15], [20, 1.1]]
+    },
+    wildfire: {
+        // Ignition-resistant construction standards (California Chapter 7A, 2008)
+        yearBuilt: [[1990, 1.1], [2007, 1.0], [2010, 0.85]]
+    },
+    heat: {
+        // Insulation and glazing standards
+        yearBuilt: [[1950, 1.1], [1980, 1.05], [2000, 1.0], [2015, 0.95]]
+    }
+};
+
+// Categorical multipliers by hazard and attribute
+const CATEGORY_FACTORS = {
+    flood: {
+        foundationType: { slab: 1.1, crawlspace: 1.0, basement: 1.25, elevated: 0.75, pier: 0.75, pile: 0.7 }
+    },
+    hurricane: {
+        roofType: { hip: 0.85, gable: 1.1, flat: 1.0, gambrel: 1.15, mansard: 0.95, shed: 1.1 },
+        constructionClass: {
+            frame: 1.1,
+            joisted_masonry: 1.0,
+            non_combustible: 0.95,
+            masonry_non_combustible: 0.85,
+            modified_fire_resistive: 0.8,
+            fire_resistive: 0.75,
+            manufactured: 1.6
+        }
+    },
+    tornado: {
+        roofType: { hip: 0.9, gable: 1.05, flat: 1.0, gambrel: 1.1, mansard: 0.95, shed: 1.05 },
+        constructionClass: {
+            frame: 1.1,
+            joisted_masonry: 1.0,
+            non_combustible: 0.95,
+            masonry_non_combustible: 0.9,
+            modified_fire_resistive: 0.85,
+            fire_resistive: 0.8,
+            manufactured: 1.8
+        }
+    },
+    earthquake: {
+        // Joisted masonry is typically unreinforced in older stock
+        constructionClass: {
+            frame: 0.85,
+            joisted_masonry: 1.3,
+            non_combustible: 1.0,
+            masonry_non_combustible: 1.1,
+            modified_fire_resistive: 0.9,
+            fire_resistive: 0.85,
+            manufactured: 1.2
+        },
+        // Cripple walls and posts are prone to shifting off their supports
+        foundationType: { slab: 1.0, crawlspace: 1.1, basement: 1.0, elevated: 1.15, pier: 1.15, pile: 1.05 }
+    },
+    wildfire: {
+        constructionClass: {
+            frame: 1.15,
+            joisted_masonry: 1.0,
+            non_combustible: 0.85,
+            masonry_non_combustible: 0.8,
+            modified_fire_resistive: 0.75,
+            fire_resistive: 0.7,
+            manufactured: 1.25
+        }
+    }
+};
+
+function interpolate(points, x) {
+    if (x <= points[0][0]) return points[0][1];
+    if (x >= points[points.length - 1][0]) return points[points.length - 1][1];
+
+    for (let i = 1; i < points.length; i++) {
+        const [x1, y1] = points[i];
+        if (x <= x1) {
+            const [x0, y0] = points[i - 1];
+            return y0 + ((x - x0) / (x1 - x0)) * (y1 - y0);
+        }
+    }
+    return points[points.length - 1][1];
+}
+
+/**
+ * Merge request attributes over the stored property record
+ * A stored basement flag stands in for a foundation type when none was supplied.
+ * @param {Object} supplied - Validated request attributes (camelCase)
+ * @param {Object|null} property - Stored property row
+ * @returns {Object} Attributes keyed by PROPERTY_ATTRIBUTE_FIELDS, with null for unknown values
+ */
+function resolvePropertyAttributes(supplied = {}, property = null) {
+    return {
+        yearBuilt: supplied.yearBuilt ?? property?.year_built ?? null,
+        foundationType: supplied.foundationType ?? (property?.basement ? 'basement' : null),
+        firstFloorElevation: supplied.firstFloorElevation ?? null,
+        roofType: supplied.roofType ?? null,
+        constructionClass: supplied.constructionClass ?? null,
+        stories: supplied.stories ?? property?.stories ?? null
+    };
+}
+
+/**
+ * Vulnerability multiplier for one hazard and its contributing factors
+ */
+function calculateHazardVulnerability(hazard, attributes) {
+    const factors = [];
+    const curves = CURVES[hazard] || {};
+    const categories = CATEGORY_FACTORS[hazard] || {};
+
+    Object.entries(attributes).forEach(([attribute, value]) => {
+        if (value === null || value === undefined) return;
+
+        // A measured first-floor elevation supersedes the foundation type for flood,
+        // except that a basement still floods below it
+        if (hazard === 'flood' && attribute === 'foundationType' &&
+            attributes.firstFloorElevation !== null && attributes.firstFloorElevation !== undefined) {
+            if (value === 'basement') {
+                factors.push({ attribute: PROPERTY_ATTRIBUTE_FIELDS[attribute], value, multiplier: 1.15 });
+            }
+            return;
+        }
+
+        let multiplier = null;
+        if (curves[attribute]) {
+            multiplier = interpolate(curves[attribute], Number(value));
+        } else if (categories[attribute]?.[value] !== undefined) {
+            multiplier = categories[attribute][value];
+        }
+
+        if (multiplier !== null && multiplier !== 1) {
+            factors.push({
+                attribute: PROPERTY_ATTRIBUTE_FIELDS[attribute],
+                value,
+                multiplier: Math.round(multiplier * 1000) / 1000
+            });
+        }
+    });
+
+    const combined = factors.reduce((product, factor) => product * factor.multiplier, 1);
+
+    return {
+        multiplier: Math.round(Math.max(MIN_MULTIPLIER, Math.min(MAX_MULTIPLIER, combined)) * 1000) / 1000,
+        factors
+    };
+}
+
+/**
+ * Apply vulnerability curves to hazard scores
+ * @param {Object} hazardScores - Hazard scores keyed by risk type
+ * @param {Object} attributes - Resolved property attributes
+ * @returns {Object} { scores, vulnerability } with adjusted scores and per-hazard multipliers
+ */
+function applyVulnerabilityCurves(hazardScores, attributes) {
+    const scores = {};
+    const vulnerability = {};
+
+    Object.entries(hazardScores).forEach(([hazard, score]) => {
+        if (score === null || score === undefined) {
+            scores[hazard] = score ?? null;
+            return;
+        }
+
+        const { multiplier, factors } = calculateHazardVulnerability(hazard, attributes);
+        scores[hazard] = Math.max(0, Math.min(100, Math.round(score * multiplier)));
+        if (factors.length > 0) {
+            vulnerability[hazard] = { multiplier, factors };
+        }
+    });
+
+    return { scores, vulnerability };
+}
+
+module.exports = {
+    FOUNDATION_TYPES,
+    ROOF_TYPES,
+    CONSTRUCTION_CLASSES,
+    PROPERTY_ATTRIBUTE_FIELDS,
+    DEFAULT_SQUARE_FEET,
+    interpolate,
+    resolvePropertyAttributes,
+    calculateHazardVulnerability,
+    applyVulnerabilityCurves
+};
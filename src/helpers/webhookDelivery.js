@@ -0,0 +1,363 @@
+// webhookDelivery.js - Seawater Climate Risk Platform
+// Signed outbound webhook events with exponential-backoff retry
+
+const crypto = require('crypto');
+const {
+    findSubscribedWebhooks,
+    getPropertyWatcherIds,
+    createWebhookDelivery,
+    claimWebhookDelivery,
+    recordWebhookDeliveryAttempt,
+    findDueWebhookDeliveries
+} = require('./dbOperations');
+const { makeHttpRequest } = require('./httpClient');
+const { resolvePublicHost, publicAddressLookup, PRIVATE_ADDRESS_ERROR } = require('./networkAddress');
+const { registerJobHandler, getJobQueue } = require('./jobQueue');
+const { WEBHOOK_EVENTS } = require('./webhookEvents');
+
+const WEBHOOK_DELIVERY_JOB = 'webhook_delivery';
+
+// Attempts per delivery before it is recorded as failed (about two hours of retries)
+const MAX_DELIVERY_ATTEMPTS = 8;
+
+// Retry n waits RETRY_BASE_SECONDS * 2^(n-1), capped at RETRY_MAX_SECONDS
+const RETRY_BASE_SECONDS = 60;
+const RETRY_MAX_SECONDS = 2 * 60 * 60;
+
+// An attempt is leased this long so the retry sweep does not send it twice
+const DELIVERY_LEASE_SECONDS = 60;
+
+const DELIVERY_TIMEOUT_MS = 10000;
+
+// Stored response bodies are truncated to keep the delivery log small
+const MAX_RESPONSE_BODY_LENGTH = 2000;
+
+// An overall or hazard score moving up into one of these bands raises alert.triggered
+const ALERT_LEVELS = [
+    { level: 'very_high', min: 80 },
+    { level: 'high', min: 60 }
+];
+
+// Smallest score movement reported as assessment.changed
+const CHANGE_THRESHOLD = 5;
+
+const ASSESSMENT_SCORE_FIELDS = [
+    'overall_risk_score',
+    'flood_risk_score',
+    'wildfire_risk_score',
+    'hurricane_risk_score',
+    'tornado_risk_score',
+    'earthquake_risk_score',
+    'heat_risk_score',
+    'drought_risk_score',
+    'hail_risk_score',
+    'landslide_risk_score',
+    'volcanic_risk_score'
+];
+
+/**
+ * Random signing secret for a new webhook
+ */
+function generateWebhookSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Signature header value for a delivery body
+ * Receivers recompute HMAC-SHA256(secret, `${t}.${body}`) and compare it with v1,
+ * rejecting timestamps too far from their own clock to prevent replay.
+ */
+function signWebhookPayload(secret, timestamp, body) {
+    const signature = crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Delay before the retry that follows the given attempt number
+ */
+function getRetryDelaySeconds(attempt) {
+    return Math.min(RETRY_BASE_SECONDS * Math.pow(2, attempt - 1), RETRY_MAX_SECONDS);
+}
+
+/**
+ * Webhook as returned by the API; the secret is only shown when the webhook is created
+ */
+function formatWebhook(webhook, { includeSecret = false } = {}) {
+    return {
+        webhook_id: webhook.id,
+        url: webhook.url,
+        description: webhook.description,
+        events: webhook.events,
+        is_active: webhook.is_active,
+        secret: includeSecret ? webhook.secret : undefined,
+        secret_hint: includeSecret ? undefined : `${webhook.secret.slice(0, 6)}...${webhook.secret.slice(-4)}`,
+        last_delivery_at: webhook.last_delivery_at,
+        last_delivery_status: webhook.last_delivery_status,
+        created_at: webhook.created_at,
+        updated_at: webhook.updated_at
+    };
+}
+
+/**
+ * Record and queue deliveries of an event to every subscribed webhook of the given owners
+ * Never throws: a webhook problem must not fail the request that raised the event.
+ * @param {string|string[]} ownerIds - Owners whose webhooks receive the event
+ * @param {string} eventType - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event data
+ * @returns {Object} { eventId, deliveries }
+ */
+async function emitWebhookEvent(ownerIds, eventType, data) {
+    const eventId = crypto.randomUUID();
+    const owners = [...new Set([].concat(ownerIds).filter(Boolean))];
+
+    if (owners.length === 0) {
+        return { eventId, deliveries: 0 };
+    }
+
+    try {
+        const webhooks = await findSubscribedWebhooks(owners, eventType);
+        const timestamp = new Date().toISOString();
+        const queue = getJobQueue();
+
+        for (const webhook of webhooks) {
+            const delivery = await createWebhookDelivery({
+                webhookId: webhook.id,
+                eventId: eventId,
+                eventType: eventType,
+                payload: {
+                    id: eventId,
+                    event: eventType,
+                    timestamp: timestamp,
+                    webhook_id: webhook.id,
+                    data: data
+                }
+            });
+            await queue.enqueue(WEBHOOK_DELIVERY_JOB, { deliveryId: delivery.id });
+        }
+
+        console.log('Webhook event emitted:', {
+            type: 'webhook_event',
+            timestamp: timestamp,
+            platform: 'seawater-climate-risk',
+            eventId: eventId,
+            eventType: eventType,
+            deliveries: webhooks.length
+        });
+
+        return { eventId, deliveries: webhooks.length };
+
+    } catch (error) {
+        // Deliveries already recorded are picked up by the retry sweep
+        console.error('Error emitting webhook event:', {
+            eventId,
+            eventType,
+            error: error.message
+        });
+        return { eventId, deliveries: 0, error: error.message };
+    }
+}
+
+/**
+ * Score fields present in both assessments
+ * A hazard scored for the first time (e.g. a newly added risk type) has nothing to compare against.
+ */
+function findComparableFields(previousAssessment, assessment) {
+    const isScored = (score) => score !== null && score !== undefined;
+    return ASSESSMENT_SCORE_FIELDS.filter(field => isScored(assessment[field]) && isScored(previousAssessment[field]));
+}
+
+/**
+ * Score fields that moved up into an alert band
+ */
+function findAlertTriggers(previousAssessment, assessment) {
+    const bandOf = (score) => ALERT_LEVELS.findIndex(band => score >= band.min);
+    const rank = (score) => {
+        const index = bandOf(score);
+        return index === -1 ? 0 : ALERT_LEVELS.length - index;
+    };
+
+    return findComparableFields(previousAssessment, assessment)
+        .filter(field => rank(assessment[field]) > rank(previousAssessment[field]))
+        .map(field => ({
+            score_field: field,
+            previous_score: previousAssessment[field],
+            score: assessment[field],
+            risk_level: ALERT_LEVELS[bandOf(assessment[field])].level
+        }));
+}
+
+/**
+ * Emit the webhook events for a freshly calculated property assessment
+ * assessment.completed goes to the requester; assessment.changed and alert.triggered
+ * also go to every owner who has saved the property.
+ * @param {Object} params - { ownerId, property, previousAssessment, assessment }
+ */
+async function publishAssessmentEvents({ ownerId, property, previousAssessment = null, assessment }) {
+    const scores = Object.fromEntries(ASSESSMENT_SCORE_FIELDS.map(field => [field, assessment[field] ?? null]));
+    const propertyData = {
+        property_id: property?.id || null,
+        address: property?.address || null,
+        latitude: property ? parseFloat(property.latitude) : null,
+        longitude: property ? parseFloat(property.longitude) : null
+    };
+
+    await emitWebhookEvent(ownerId, 'assessment.completed', {
+        ...propertyData,
+        ...scores,
+        assessment_date: assessment.assessment_date || new Date().toISOString()
+    });
+
+    if (!previousAssessment || !property?.id) {
+        return;
+    }
+
+    const changes = findComparableFields(previousAssessment, assessment)
+        .filter(field => Math.abs(assessment[field] - previousAssessment[field]) >= CHANGE_THRESHOLD)
+        .map(field => ({
+            score_field: field,
+            previous_score: previousAssessment[field],
+            score: assessment[field]
+        }));
+    const triggers = findAlertTriggers(previousAssessment, assessment);
+
+    if (changes.length === 0 && triggers.length === 0) {
+        return;
+    }
+
+    let recipients = [ownerId];
+    try {
+        recipients = recipients.concat(await getPropertyWatcherIds(property.id));
+    } catch (error) {
+        console.error('Error loading property watchers:', { propertyId: property.id, error: error.message });
+    }
+
+    if (changes.length > 0) {
+        await emitWebhookEvent(recipients, 'assessment.changed', {
+            ...propertyData,
+            changes: changes,
+            previous_assessment_date: previousAssessment.assessment_date || null
+        });
+    }
+
+    if (triggers.length > 0) {
+        await emitWebhookEvent(recipients, 'alert.triggered', {
+            ...propertyData,
+            triggers: triggers
+        });
+    }
+}
+
+/**
+ * Send one attempt of a delivery and record the outcome
+ * Any non-2xx response or network error is retried with exponential backoff.
+ * @param {Object} payload - { deliveryId }
+ * @returns {Object} { deliveryId, status }
+ */
+async function deliverWebhook({ deliveryId }) {
+    const delivery = await claimWebhookDelivery(deliveryId, DELIVERY_LEASE_SECONDS);
+    if (!delivery) {
+        console.log('Webhook delivery not due, skipping:', { deliveryId });
+        return { deliveryId, status: 'skipped' };
+    }
+
+    if (!delivery.is_active) {
+        await recordWebhookDeliveryAttempt(deliveryId, {
+            status: 'failed',
+            errorMessage: 'Webhook is disabled'
+        });
+        return { deliveryId, status: 'failed' };
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startTime = Date.now();
+
+    try {
+        // DNS may have changed since registration: check the host now, and the address connected to
+        await resolvePublicHost(new URL(delivery.url).hostname);
+
+        const response = await makeHttpRequest({
+            url: delivery.url,
+            method: 'POST',
+            data: body,
+            timeout: DELIVERY_TIMEOUT_MS,
+            userAgent: 'Seawater-Webhooks/1.0',
+            source: 'webhook',
+            lookup: publicAddressLookup,
+            headers: {
+                'X-Seawater-Event': delivery.event_type,
+                'X-Seawater-Delivery': delivery.id,
+                'X-Seawater-Signature': signWebhookPayload(delivery.secret, timestamp, body)
+            }
+        });
+
+        const responseBody = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+        await recordWebhookDeliveryAttempt(deliveryId, {
+            status: 'succeeded',
+            responseStatus: response.status,
+            responseBody: responseBody?.slice(0, MAX_RESPONSE_BODY_LENGTH) || null,
+            durationMs: Date.now() - startTime
+        });
+
+        return { deliveryId, status: 'succeeded' };
+
+    } catch (error) {
+        // An endpoint that resolves to a private address is not retried
+        const retry = error.code !== PRIVATE_ADDRESS_ERROR && delivery.attempts < MAX_DELIVERY_ATTEMPTS;
+        const nextAttemptAt = retry
+            ? new Date(Date.now() + getRetryDelaySeconds(delivery.attempts) * 1000)
+            : null;
+
+        console.warn('Webhook delivery attempt failed:', {
+            deliveryId,
+            webhookId: delivery.webhook_id,
+            attempt: delivery.attempts,
+            willRetry: retry,
+            nextAttemptAt: nextAttemptAt,
+            error: error.message
+        });
+
+        await recordWebhookDeliveryAttempt(deliveryId, {
+            status: retry ? 'pending' : 'failed',
+            nextAttemptAt: nextAttemptAt,
+            responseStatus: error.status || null,
+            errorMessage: error.message,
+            durationMs: Date.now() - startTime
+        });
+
+        return { deliveryId, status: retry ? 'retrying' : 'failed' };
+    }
+}
+
+/**
+ * Queue deliveries whose retry is due (scheduled sweep)
+ */
+async function retryDueWebhookDeliveries() {
+    const due = await findDueWebhookDeliveries();
+    const queue = getJobQueue();
+
+    for (const delivery of due) {
+        await queue.enqueue(WEBHOOK_DELIVERY_JOB, { deliveryId: delivery.id });
+    }
+
+    console.log('Queued due webhook deliveries:', { count: due.length });
+    return { queued: due.map(delivery => delivery.id) };
+}
+
+registerJobHandler(WEBHOOK_DELIVERY_JOB, deliverWebhook);
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    WEBHOOK_DELIVERY_JOB,
+    generateWebhookSecret,
+    signWebhookPayload,
+    getRetryDelaySeconds,
+    formatWebhook,
+    emitWebhookEvent,
+    publishAssessmentEvents,
+    deliverWebhook,
+    retryDueWebhookDeliveries
+};
@@ -0,0 +1,8 @@
+// webhookEvents.js - Seawater Climate Risk Platform
+// Webhook event types, kept free of dependencies so request validation can import them
+
+const WEBHOOK_EVENTS = ['assessment.completed', 'assessment.changed', 'bulk_job.completed', 'alert.triggered'];
+
+module.exports = {
+    WEBHOOK_EVENTS
+};
@@ -3,11 +3,11 @@
  * End-to-end API workflow testing for Seawater platform
  */
 
-const axios = require('axios');
-const { jest } = require('@jest/globals');
-
-// Mock axios for controlled testing
+// Mock axios for controlled testing; JavaScript tests are not transformed, so the mock is
+// registered before the require
 jest.mock('axios');
+
+const axios = require('axios');
 const mockedAxios = axios;
 
 describe('Risk Assessment API Integration', () => {
@@ -235,7 +235,7 @@ describe('Risk Assessment API Integration', () => {
 
       expect(response.data.success).toBe(true);
       expect(response.data.data.Records).toHaveLength(2);
-      expect(response.data.data.Analytics.Risk_Difference).toBe(60);
+      expect(response.data.data.Analytics.Comparison_Summary.Risk_Difference).toBe(60);
     });
   });
 
@@ -450,7 +450,7 @@ describe('API Security Integration', () => {
     });
 
     expect(response.data.success).toBe(true);
-    expect(response.data.warnings).toContain("Premium data sources unavailable with current API key tier");
+    expect(response.data.data.warnings).toContain("Premium data sources unavailable with current API key tier");
   });
 });
 
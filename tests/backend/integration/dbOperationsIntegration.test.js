@@ -0,0 +1,208 @@
+/**
+ * Repository Layer Integration Tests
+ * dbOperations against a PostGIS database loaded with database_schema.sql and the migrations.
+ * Skipped unless DB_HOST is set; see "Repository Layer Against a PostGIS Container" in docs/TESTING_GUIDE.md.
+ */
+
+const dbOperations = require('../../../src/helpers/dbOperations');
+const { closePool } = require('../../../src/helpers/dbClient');
+const { getRequestOwnerId } = require('../../../src/helpers/ownerIdentity');
+
+const describeWithDatabase = process.env.DB_HOST ? describe : describe.skip;
+
+// Test-only state resolved by code, so no boundary data is needed
+const TEST_STATE = { code: 'ZZ', name: 'Integration Test State', fips: '99' };
+const RUN_ID = `${Date.now()}-${process.pid}`;
+const ADDRESS = `${RUN_ID} Integration Test Rd, Testville, ZZ 00000`;
+const API_KEY = `sw_test_${RUN_ID}`;
+
+describeWithDatabase('dbOperations against PostGIS', () => {
+  let property;
+  let professional;
+  let floodZone;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await dbOperations.executeQuery(
+      `INSERT INTO states (state_code, state_name, state_fips) VALUES ($1, $2, $3)
+       ON CONFLICT (state_code) DO NOTHING`,
+      [TEST_STATE.code, TEST_STATE.name, TEST_STATE.fips]
+    );
+  });
+
+  afterAll(async () => {
+    if (property) {
+      await dbOperations.executeQuery('DELETE FROM property_flood_zones WHERE property_id = $1', [property.id]);
+      await dbOperations.executeQuery('DELETE FROM risk_assessments WHERE property_id = $1', [property.id]);
+      await dbOperations.executeQuery('DELETE FROM property_aliases WHERE property_id = $1', [property.id]);
+      await dbOperations.executeQuery('DELETE FROM properties WHERE id = $1', [property.id]);
+    }
+    if (floodZone) {
+      await dbOperations.executeQuery('DELETE FROM flood_zones WHERE id = $1', [floodZone.id]);
+    }
+    if (professional) {
+      await dbOperations.executeQuery('DELETE FROM professionals WHERE id = $1', [professional.id]);
+    }
+    await dbOperations.executeQuery('DELETE FROM usage_logs WHERE owner_id = $1', [getRequestOwnerId({ apiKey: API_KEY })]);
+    await closePool();
+    console.log.mockRestore();
+  });
+
+  test('upsertProperty inserts once per address and fills in missing attributes', async () => {
+    property = await dbOperations.upsertProperty({
+      address: ADDRESS,
+      latitude: 29.7604,
+      longitude: -95.3698,
+      context: { stateCode: TEST_STATE.code, city: 'Testville' },
+      geocodingSource: 'integration_test',
+      confidence: 0.9
+    });
+
+    expect(property.address_hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(property.state).toBe(TEST_STATE.code);
+    expect(Number(property.latitude)).toBeCloseTo(29.7604, 4);
+
+    const again = await dbOperations.upsertProperty({
+      address: ADDRESS,
+      latitude: 29.7604,
+      longitude: -95.3698,
+      context: { stateCode: TEST_STATE.code },
+      yearBuilt: 1998
+    });
+
+    expect(again.id).toBe(property.id);
+    expect(again.city).toBe('Testville');
+    expect(again.year_built).toBe(1998);
+    expect(await dbOperations.findPropertyByAddressHash(property.address_hash)).toEqual(
+      expect.objectContaining({ id: property.id })
+    );
+  });
+
+  test('upsertRiskAssessment appends clamped scores and the newest is current', async () => {
+    const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+
+    await dbOperations.upsertRiskAssessment({
+      propertyId: property.id,
+      expiresAt,
+      overall_risk_score: 40,
+      flood_risk_score: 55
+    });
+    const stored = await dbOperations.upsertRiskAssessment({
+      propertyId: property.id,
+      expiresAt,
+      data_sources: ['FEMA'],
+      overall_risk_score: 42.6,
+      flood_risk_score: 130,
+      wildfire_risk_score: null
+    });
+
+    expect(stored.overall_risk_score).toBe(43);
+    expect(stored.flood_risk_score).toBe(100);
+    expect(stored.wildfire_risk_score).toBeNull();
+
+    const current = await dbOperations.getCurrentRiskAssessment(property.id);
+    expect(current.id).toBe(stored.id);
+    expect(current.data_sources).toEqual(['FEMA']);
+  });
+
+  test('trackApiUsage records the caller by owner id and never stores the raw key', async () => {
+    await dbOperations.trackApiUsage({
+      apiKeyId: API_KEY,
+      endpoint: '/properties/risk',
+      httpMethod: 'GET',
+      propertyCount: 1,
+      cost: 0.05
+    });
+
+    const result = await dbOperations.executeQuery(
+      `SELECT owner_id, endpoint, cost_cents, cost_usd, api_key_id, row_to_json(usage_logs)::text AS row_text
+       FROM usage_logs WHERE owner_id = $1`,
+      [getRequestOwnerId({ apiKey: API_KEY })]
+    );
+
+    expect(result.rows).toHaveLength(1);
+    expect(result.rows[0]).toEqual(expect.objectContaining({ endpoint: '/properties/risk', cost_cents: 5 }));
+    expect(Number(result.rows[0].cost_usd)).toBe(0.05);
+    // No api_keys row exists for the test key
+    expect(result.rows[0].api_key_id).toBeNull();
+    expect(result.rows[0].row_text).not.toContain(API_KEY);
+  });
+
+  test('withTransaction rolls back every statement when the callback throws', async () => {
+    const code = 'ZY';
+
+    await expect(dbOperations.withTransaction(async (query) => {
+      await query('INSERT INTO states (state_code, state_name, state_fips) VALUES ($1, $2, $3)', [code, 'Rolled Back', '98']);
+      throw new Error('abort');
+    })).rejects.toThrow('abort');
+
+    const result = await dbOperations.executeQuery('SELECT 1 FROM states WHERE state_code = $1', [code]);
+    expect(result.rows).toHaveLength(0);
+  });
+
+  test('withTransaction commits when the callback resolves', async () => {
+    const count = await dbOperations.withTransaction(async (query) => {
+      const result = await query('SELECT COUNT(*)::int AS count FROM risk_assessments WHERE property_id = $1', [property.id]);
+      return result.rows[0].count;
+    });
+
+    expect(count).toBe(2);
+  });
+
+  test('createContactRequestWithinLimits holds concurrent requests to the limit', async () => {
+    const result = await dbOperations.executeQuery(
+      `INSERT INTO professionals (first_name, last_name, email, professional_type)
+       VALUES ('Integration', 'Test', $1, 'home_inspector')
+       RETURNING id`,
+      [`${RUN_ID}@example.com`]
+    );
+    professional = result.rows[0];
+
+    const request = {
+      professionalId: professional.id,
+      senderId: `integration-${RUN_ID}`,
+      senderName: null,
+      senderPhone: null,
+      propertyAddress: null,
+      message: 'Concurrent contact request'
+    };
+    const outcomes = await Promise.all(Array.from({ length: 5 }, () =>
+      dbOperations.createContactRequestWithinLimits(request, { windowSeconds: 86400, maxTotal: 10, maxPerProfessional: 2 })
+    ));
+
+    expect(outcomes.filter(outcome => outcome.contactRequest)).toHaveLength(2);
+    expect(outcomes.filter(outcome => outcome.limitExceeded === 'professional')).toHaveLength(3);
+  });
+
+  test('property_flood_zones has a single unique key that treats null effective dates as equal', async () => {
+    const result = await dbOperations.executeQuery(
+      `SELECT conname FROM pg_constraint
+       WHERE conrelid = 'property_flood_zones'::regclass AND contype = 'u'`
+    );
+
+    expect(result.rows).toEqual([]);
+  });
+
+  test('upsertPropertyFloodZone keeps one row for a panel without an effective date', async () => {
+    const result = await dbOperations.executeQuery(
+      `INSERT INTO flood_zones (zone_code, zone_description, insurance_required)
+       VALUES ('AE', 'Integration test zone', true)
+       RETURNING id`
+    );
+    floodZone = result.rows[0];
+
+    const determination = {
+      propertyId: property.id,
+      floodZoneId: floodZone.id,
+      zoneCode: 'AE',
+      insuranceRequired: true,
+      effectiveDate: null
+    };
+    const first = await dbOperations.upsertPropertyFloodZone(determination);
+    const second = await dbOperations.upsertPropertyFloodZone({ ...determination, confidence: 0.95 });
+
+    expect(second.id).toBe(first.id);
+    expect(second.effective_date).toBeNull();
+    expect(Number(second.confidence)).toBe(0.95);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Importer Integration Tests
+ * Merge SQL of the boundary and hazard importers, run against hand-built staging tables
+ * in a PostGIS database loaded with database_schema.sql and the migrations.
+ * Skipped unless DB_HOST is set; see "Repository Layer Against a PostGIS Container" in docs/TESTING_GUIDE.md.
+ */
+
+const { executeQuery } = require('../../../src/helpers/dbOperations');
+const { getClient, closePool } = require('../../../src/helpers/dbClient');
+const { mergeStaging } = require('../../../scripts/utils/postgisStaging');
+const { getMergeStatements: getNfhlMergeStatements } = require('../../../scripts/import-nfhl-flood-zones');
+const { getMergeStatements: getTigerMergeStatements } = require('../../../scripts/import-tiger-boundaries');
+
+const describeWithDatabase = process.env.DB_HOST ? describe : describe.skip;
+
+// Test-only DFIRM, so superseding only touches zones created here
+const DFIRM_ID = 'ZZ999T';
+const SQUARE = 'ST_Multi(ST_GeomFromText(\'POLYGON((-95.4 29.7, -95.3 29.7, -95.3 29.8, -95.4 29.8, -95.4 29.7))\', 4326))';
+
+// Test-only state FIPS and boundaries in the open Pacific, so the tract backfill matches no property
+const STATE_FIPS = '97';
+const OCEAN = 'ST_Multi(ST_GeomFromText(\'POLYGON((-140 10, -139 10, -139 11, -140 11, -140 10))\', 4326))';
+
+const merge = async (statements, stagingTables) => {
+  const client = await getClient();
+  try {
+    return await mergeStaging(client, statements, stagingTables);
+  } finally {
+    client.release();
+  }
+};
+
+describeWithDatabase('importers against PostGIS', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(async () => {
+    await executeQuery('DELETE FROM flood_zones WHERE community_id = $1', [DFIRM_ID]);
+    await executeQuery('DROP TABLE IF EXISTS nfhl_stage_hazard_areas');
+    await executeQuery('DELETE FROM census_tracts WHERE geoid LIKE $1', [`${STATE_FIPS}%`]);
+    await executeQuery('DELETE FROM counties WHERE county_fips LIKE $1', [`${STATE_FIPS}%`]);
+    await executeQuery('DELETE FROM states WHERE state_fips = $1', [STATE_FIPS]);
+    await executeQuery('DROP TABLE IF EXISTS tiger_stage_state, tiger_stage_county, tiger_stage_tract_97');
+    await closePool();
+    console.log.mockRestore();
+  });
+
+  test('NFHL merge maps hazard area fields onto flood zones', async () => {
+    await executeQuery(
+      `CREATE TABLE nfhl_stage_hazard_areas (
+          fld_ar_id VARCHAR(32), fld_zone VARCHAR(20), zone_subty VARCHAR(100), sfha_tf VARCHAR(1),
+          static_bfe DOUBLE PRECISION, len_unit VARCHAR(20), dfirm_id VARCHAR(6), geom GEOMETRY(MULTIPOLYGON, 4326)
+       )`
+    );
+    await executeQuery(
+      `INSERT INTO nfhl_stage_hazard_areas VALUES
+          ('${DFIRM_ID}_1', 'AE', '', 'T', 3.5, 'Meters', '${DFIRM_ID}', ${SQUARE}),
+          ('${DFIRM_ID}_2', 'X', '0.2 PCT ANNUAL CHANCE FLOOD HAZARD', 'F', -9999, 'Feet', '${DFIRM_ID}', ${SQUARE}),
+          ('${DFIRM_ID}_3', 'VE', NULL, NULL, 14, 'Feet', '${DFIRM_ID}', ${SQUARE}),
+          ('${DFIRM_ID}_4', 'AREA NOT INCLUDED', NULL, 'F', NULL, NULL, '${DFIRM_ID}', ${SQUARE})`
+    );
+
+    expect(await merge(getNfhlMergeStatements(false), ['nfhl_stage_hazard_areas'])).toBe(3);
+
+    const result = await executeQuery(
+      `SELECT fld_ar_id, zone_code, zone_subtype, insurance_required, base_flood_elevation::float AS bfe, panel_number
+       FROM flood_zones WHERE community_id = $1 ORDER BY fld_ar_id`,
+      [DFIRM_ID]
+    );
+    expect(result.rows).toEqual([
+      { fld_ar_id: `${DFIRM_ID}_1`, zone_code: 'AE', zone_subtype: null, insurance_required: true, bfe: 11.483, panel_number: null },
+      { fld_ar_id: `${DFIRM_ID}_2`, zone_code: 'X', zone_subtype: '0.2 PCT ANNUAL CHANCE FLOOD HAZARD', insurance_required: false, bfe: null, panel_number: null },
+      { fld_ar_id: `${DFIRM_ID}_3`, zone_code: 'VE', zone_subtype: null, insurance_required: true, bfe: 14, panel_number: null }
+    ]);
+  });
+
+  test('TIGER merges link tracts to counties and counties to states', async () => {
+    await executeQuery(
+      `CREATE TABLE tiger_stage_state AS
+       SELECT 'ZX'::text AS stusps, 'Test State'::text AS name, '${STATE_FIPS}'::text AS statefp,
+              ${OCEAN} AS geom, 12345678901::bigint AS aland`
+    );
+    await executeQuery(
+      `CREATE TABLE tiger_stage_county AS
+       SELECT '${STATE_FIPS}'::text AS statefp, '001'::text AS countyfp, 'Test County'::text AS namelsad,
+              '${STATE_FIPS}001'::text AS geoid, ${OCEAN} AS geom, 2500000::bigint AS aland`
+    );
+    await executeQuery(
+      `CREATE TABLE tiger_stage_tract_97 AS
+       SELECT '${STATE_FIPS}'::text AS statefp, '001'::text AS countyfp, '000100'::text AS tractce,
+              '${STATE_FIPS}001000100'::text AS geoid, 'Census Tract 1'::text AS namelsad, ${OCEAN} AS geom`
+    );
+
+    expect(await merge(getTigerMergeStatements('state', 'tiger_stage_state', 2023), ['tiger_stage_state'])).toBe(1);
+    expect(await merge(getTigerMergeStatements('county', 'tiger_stage_county', 2023), ['tiger_stage_county'])).toBe(1);
+    await merge(getTigerMergeStatements('tract', 'tiger_stage_tract_97', 2023), ['tiger_stage_tract_97']);
+
+    const result = await executeQuery(
+      `SELECT s.state_code, s.area_sq_km::float AS state_area, c.county_code, c.county_name,
+              ct.tract_code, ct.tract_name
+       FROM census_tracts ct
+       JOIN counties c ON c.id = ct.county_id
+       JOIN states s ON s.id = c.state_id
+       WHERE ct.geoid = $1`,
+      [`${STATE_FIPS}001000100`]
+    );
+    expect(result.rows).toEqual([{
+      state_code: 'ZX',
+      state_area: 12345.68,
+      county_code: '001',
+      county_name: 'Test County',
+      tract_code: '000100',
+      tract_name: 'Census Tract 1'
+    }]);
+  });
+});
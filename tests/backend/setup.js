@@ -0,0 +1,54 @@
+/**
+ * Backend Jest Setup
+ * Shared fixtures for the backend suites, without the browser mocks in tests/setup/jest.setup.js
+ */
+
+global.testUtils = {
+  // Mock API responses
+  mockFEMAResponse: {
+    NationalRiskIndex: {
+      flood_score: 65,
+      wildfire_score: 25,
+      heat_score: 45,
+      tornado_score: 30,
+      hurricane_score: 80,
+      social_vulnerability: 0.45,
+      community_resilience: 0.65
+    }
+  },
+
+  mockFirstStreetResponse: {
+    flood_score: 68,
+    wildfire_score: 22,
+    heat_score: 48,
+    projections: {
+      flood_30yr: 75,
+      wildfire_30yr: 28,
+      heat_30yr: 55
+    }
+  },
+
+  mockClimateCheckResponse: {
+    precipitation_risk: 7,
+    drought_risk: 3,
+    extreme_heat_risk: 5,
+    wildfire_risk: 2,
+    flood_risk: 7
+  },
+
+  // Test property addresses
+  testProperties: {
+    high_flood_risk: '123 Riverside Dr, Houston, TX 77007',
+    high_wildfire_risk: '456 Canyon Rd, Paradise, CA 95969',
+    high_earthquake_risk: '789 Fault St, San Francisco, CA 94102',
+    low_risk_baseline: '321 Prairie Ave, Manhattan, KS 66502'
+  },
+
+  // Mock coordinates
+  testCoordinates: {
+    houston: { latitude: 29.7604, longitude: -95.3698 },
+    paradise: { latitude: 39.7596, longitude: -121.6219 },
+    sanFrancisco: { latitude: 37.7749, longitude: -122.4194 },
+    manhattan: { latitude: 39.1836, longitude: -96.5717 }
+  }
+};
@@ -0,0 +1,133 @@
+/**
+ * API Key Unit Tests
+ * Key generation and hashing, the API response shape and scope validation
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  API_KEY_SCOPES,
+  hashApiKey,
+  generateApiKey,
+  formatApiKey
+} = require('../../../src/helpers/apiKeys');
+const { validateRequest } = require('../../../src/helpers/validationUtil');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const storedKey = (overrides = {}) => ({
+  id: 'key-1',
+  key_name: 'Integration server',
+  description: null,
+  key_prefix: 'sw_abcdefg',
+  scopes: ['risk:read'],
+  is_active: true,
+  rate_limit_per_minute: 60,
+  rate_limit_per_day: 10000,
+  total_requests: null,
+  last_used: null,
+  expires_at: null,
+  revoked_at: null,
+  created_at: '2026-01-01T00:00:00.000Z',
+  ...overrides
+});
+
+describe('hashApiKey', () => {
+  test('is a stable SHA-256 hex digest of the trimmed key', () => {
+    const hash = hashApiKey('sw_example');
+
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashApiKey('  sw_example\n')).toBe(hash);
+    expect(hashApiKey('sw_other')).not.toBe(hash);
+  });
+});
+
+describe('generateApiKey', () => {
+  test('returns a prefixed 240-bit key with its hash and display prefix', () => {
+    const { key, keyHash, keyPrefix } = generateApiKey();
+
+    expect(key).toMatch(/^sw_[A-Za-z0-9_-]{40}$/);
+    expect(keyHash).toBe(hashApiKey(key));
+    expect(keyPrefix).toBe(key.slice(0, 10));
+  });
+
+  test('never repeats a key', () => {
+    const keys = new Set(Array.from({ length: 50 }, () => generateApiKey().key));
+
+    expect(keys.size).toBe(50);
+  });
+});
+
+describe('formatApiKey', () => {
+  test('includes the key only when it is passed in', () => {
+    expect(formatApiKey(storedKey()).key).toBeUndefined();
+    expect(formatApiKey(storedKey(), 'sw_secret').key).toBe('sw_secret');
+  });
+
+  test('reports active keys with defaults for missing counters', () => {
+    const formatted = formatApiKey(storedKey({ scopes: null }));
+
+    expect(formatted).toEqual(expect.objectContaining({
+      name: 'Integration server',
+      status: 'active',
+      is_active: true,
+      scopes: [],
+      total_requests: 0
+    }));
+  });
+
+  test.each([
+    ['revoked', 'revoked', { revoked_at: '2026-02-01T00:00:00.000Z' }],
+    ['deactivated', 'revoked', { is_active: false }],
+    ['past expiry', 'expired', { expires_at: new Date(Date.now() - DAY_MS).toISOString() }],
+    ['revoked after expiry', 'revoked', { expires_at: new Date(Date.now() - DAY_MS).toISOString(), revoked_at: '2026-02-01T00:00:00.000Z' }]
+  ])('reports %s keys as %s and inactive', (_, status, overrides) => {
+    const formatted = formatApiKey(storedKey(overrides));
+
+    expect(formatted.status).toBe(status);
+    expect(formatted.is_active).toBe(false);
+  });
+
+  test('keeps keys with a future expiry active', () => {
+    const formatted = formatApiKey(storedKey({ expires_at: new Date(Date.now() + DAY_MS).toISOString() }));
+
+    expect(formatted.status).toBe('active');
+    expect(formatted.is_active).toBe(true);
+  });
+});
+
+describe('api_key request validation', () => {
+  test('normalizes and deduplicates scopes from a list or comma-separated string', () => {
+    expect(validateRequest('api_key', { name: 'Server', scopes: ['Risk:Read', 'risk:read', 'bulk:write'] }).scopes)
+      .toEqual(['risk:read', 'bulk:write']);
+    expect(validateRequest('api_key', { name: 'Server', scopes: 'risk:read, export:read' }).scopes)
+      .toEqual(['risk:read', 'export:read']);
+  });
+
+  test.each([
+    ['missing', undefined],
+    ['empty', []],
+    ['unknown', ['risk:read', 'admin']]
+  ])('rejects %s scopes', (_, scopes) => {
+    expect(() => validateRequest('api_key', { name: 'Server', scopes })).toThrow('Invalid scopes');
+  });
+
+  test('converts expiresInDays to a timestamp and bounds it to two years', () => {
+    const validated = validateRequest('api_key', { name: 'Server', scopes: ['risk:read'], expiresInDays: 30 });
+
+    expect(new Date(validated.expiresAt).getTime()).toBeCloseTo(Date.now() + 30 * DAY_MS, -4);
+    expect(() => validateRequest('api_key', { name: 'Server', scopes: ['risk:read'], expiresInDays: 731 }))
+      .toThrow('Invalid expiry');
+    expect(() => validateRequest('api_key', { name: 'Server', scopes: ['risk:read'], expiresAt: '2020-01-01' }))
+      .toThrow('Invalid expiry');
+  });
+
+  test('the authorizer routes every scope a key can be given', () => {
+    const authorizer = fs.readFileSync(path.join(__dirname, '../../../functions/authorizer/index.js'), 'utf8');
+    const routes = authorizer.slice(authorizer.indexOf('API_KEY_SCOPE_ROUTES = {'));
+    const routedScopes = [...routes.slice(0, routes.indexOf('\n};')).matchAll(/^ {2}'([a-z]+:[a-z]+)':/gm)]
+      .map(match => match[1]);
+
+    expect(routedScopes.sort()).toEqual([...API_KEY_SCOPES].sort());
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Boundary Handler Unit Tests
+ * GET /geographic/boundaries/{type}/{identifier} simplification tolerances and boundary risk statistics
+ */
+
+const mockQuery = jest.fn();
+
+jest.mock('../../../src/helpers/dbClient', () => ({
+  getClient: jest.fn(async () => ({ query: mockQuery, release: jest.fn() }))
+}));
+jest.mock('../../../src/helpers/cacheManager', () => ({
+  getCachedResponse: jest.fn(async () => null),
+  setCachedResponse: jest.fn(async () => {})
+}));
+jest.mock('../../../src/helpers/dbOperations', () => ({
+  trackApiUsage: jest.fn(async () => {})
+}));
+
+const { handler } = require('../../../src/handlers/climate/getBoundary');
+
+const COUNTY_ROW = {
+  boundary_id: 7,
+  geoid: '48201',
+  name: 'Harris County',
+  state_code: 'TX',
+  population: 4731145,
+  geom: '0106000020E6100000',
+  geometry_json: '{"type":"MultiPolygon","coordinates":[[[[-95.9,29.5],[-94.9,29.5],[-94.9,30.2],[-95.9,29.5]]]]}',
+  envelope_json: '{"type":"Polygon","coordinates":[[[-95.9,29.5],[-94.9,29.5],[-94.9,30.2],[-95.9,30.2],[-95.9,29.5]]]}',
+  label_latitude: '29.85',
+  label_longitude: '-95.39',
+  area_sqm: '4602553180.4',
+  source_points: 5120,
+  returned_points: 4
+};
+
+const PROPERTY_ROW = {
+  property_id: 'property-1',
+  address: '1 Main St, Houston, TX',
+  overall_risk_score: 72,
+  distance_meters: 1200.5
+};
+
+// pg returns COUNT and ROUND(AVG(...)) as strings
+const STATISTICS_ROW = {
+  property_count: '6',
+  assessed_count: '5',
+  avg_overall: '58.4',
+  min_overall: 15,
+  max_overall: 91,
+  median_overall: 62,
+  avg_flood: '74.2',
+  avg_wildfire: '12.0',
+  avg_heat: '61.5',
+  avg_tornado: '33.0',
+  avg_hurricane: '80.8',
+  avg_earthquake: null,
+  avg_drought: '20.0',
+  avg_hail: null,
+  avg_landslide: null,
+  avg_volcanic: null,
+  level_very_high: '1',
+  level_high: '2',
+  level_moderate: '1',
+  level_low: '0',
+  level_very_low: '1'
+};
+
+const createEvent = (queryStringParameters = {}, type = 'county', identifier = '48201') => ({
+  httpMethod: 'GET',
+  path: `/geographic/boundaries/${type}/${identifier}`,
+  pathParameters: { type, identifier },
+  queryStringParameters,
+  headers: {},
+  body: null,
+  requestContext: { requestId: 'test-request-id' }
+});
+
+// The wrapper wraps the handler's success response once more
+const featureOf = (response) => response.data.data;
+
+const boundaryQuery = () => mockQuery.mock.calls.find(([sql]) => sql.includes('ST_AsGeoJSON'));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  mockQuery.mockImplementation(async (sql) => {
+    if (sql.includes('ST_AsGeoJSON')) {
+      return { rows: [COUNTY_ROW] };
+    }
+    if (sql.includes('property_count')) {
+      return { rows: [STATISTICS_ROW] };
+    }
+    return { rows: [PROPERTY_ROW] };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getBoundary simplification', () => {
+  test('returns full-resolution geometry by default', async () => {
+    const body = await handler(createEvent(), {});
+
+    const [sql, params] = boundaryQuery();
+    expect(sql).not.toContain('ST_SimplifyPreserveTopology');
+    expect(params).toEqual(['48201', 4326]);
+    expect(featureOf(body).metadata).toEqual(expect.objectContaining({
+      simplified: false,
+      simplify_tolerance_degrees: null,
+      source_vertices: 5120
+    }));
+  });
+
+  test.each([
+    ['state', 'TX', 0.01],
+    ['county', '48201', 0.001],
+    ['zip', '77002', 0.0005],
+    ['tract', '48201311300', 0.0001]
+  ])('simplify=true uses the %s default tolerance', async (type, identifier, tolerance) => {
+    const body = await handler(createEvent({ simplify: 'true' }, type, identifier), {});
+
+    const [sql, params] = boundaryQuery();
+    expect(sql).toContain('ST_SimplifyPreserveTopology(b.geom, $3)');
+    expect(params).toEqual([identifier, 4326, tolerance]);
+    expect(featureOf(body).metadata).toEqual(expect.objectContaining({
+      simplified: true,
+      simplify_tolerance_degrees: tolerance
+    }));
+  });
+
+  test('converts a tolerance in metres to degrees', async () => {
+    const body = await handler(createEvent({ simplify: '1113.2' }), {});
+
+    expect(boundaryQuery()[1][2]).toBeCloseTo(0.01, 10);
+    expect(featureOf(body).metadata.simplify_tolerance_degrees).toBeCloseTo(0.01, 10);
+  });
+
+  test('rounds projected coordinates to centimetres', async () => {
+    await handler(createEvent({ srs: '3857', simplify: 'true' }), {});
+
+    const [sql, params] = boundaryQuery();
+    expect(sql).toContain('ST_AsGeoJSON(ST_Transform(ST_SimplifyPreserveTopology(b.geom, $3), $2), 2)');
+    expect(params).toEqual(['48201', 3857, 0.001]);
+  });
+
+  test.each(['0', '-5', '60000', 'coarse'])('rejects simplify=%s', async (simplify) => {
+    const body = await handler(createEvent({ simplify }), {});
+
+    expect(body.success).toBe(false);
+    expect(body.error_details.type).toBe('ValidationError');
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+});
+
+describe('getBoundary statistics', () => {
+  test('returns the boundary as a GeoJSON Feature', async () => {
+    const feature = featureOf(await handler(createEvent(), {}));
+
+    expect(feature).toEqual(expect.objectContaining({
+      type: 'Feature',
+      id: '48201',
+      bbox: [-95.9, 29.5, -94.9, 30.2],
+      geometry: JSON.parse(COUNTY_ROW.geometry_json)
+    }));
+    expect(feature.properties).toEqual(expect.objectContaining({
+      boundary_type: 'county',
+      boundary_id: 7,
+      name: 'Harris County',
+      area_sqm: 4602553180,
+      label_point: { latitude: 29.85, longitude: -95.39 }
+    }));
+    expect(feature.properties).not.toHaveProperty('geom');
+  });
+
+  test('averages each hazard and counts properties per risk level', async () => {
+    const { risk_statistics: statistics } = featureOf(await handler(createEvent(), {})).properties;
+
+    expect(statistics).toEqual(expect.objectContaining({
+      property_count: 6,
+      assessed_property_count: 5,
+      average_risk_score: 58.4,
+      median_risk_score: 62,
+      min_risk_score: 15,
+      max_risk_score: 91
+    }));
+    expect(statistics.average_hazard_scores).toEqual({
+      flood: 74.2,
+      wildfire: 12,
+      heat: 61.5,
+      tornado: 33,
+      hurricane: 80.8,
+      earthquake: null,
+      drought: 20,
+      hail: null,
+      landslide: null,
+      volcanic: null
+    });
+    expect(statistics.risk_level_distribution).toEqual({
+      very_high: 1,
+      high: 2,
+      moderate: 1,
+      low: 0,
+      very_low: 1
+    });
+    expect(statistics.primary_hazards).toEqual(['hurricane', 'flood', 'heat']);
+  });
+
+  test('counts each risk level in a half-open score band', async () => {
+    await handler(createEvent(), {});
+
+    const [sql] = mockQuery.mock.calls.find(([query]) => query.includes('property_count'));
+    expect(sql).toContain('COUNT(*) FILTER (WHERE overall_risk_score >= 80) AS level_very_high');
+    expect(sql).toContain('COUNT(*) FILTER (WHERE overall_risk_score >= 60 AND overall_risk_score < 80) AS level_high');
+    expect(sql).toContain('COUNT(*) FILTER (WHERE overall_risk_score >= 0 AND overall_risk_score < 20) AS level_very_low');
+  });
+
+  test('lists the properties only when requested', async () => {
+    const summary = featureOf(await handler(createEvent(), {}));
+    expect(summary.properties).not.toHaveProperty('properties_in_boundary');
+    expect(mockQuery.mock.calls.find(([sql]) => sql.includes('ORDER BY distance_meters'))[0]).toMatch(/LIMIT 1$/);
+
+    mockQuery.mockClear();
+    const detailed = featureOf(await handler(createEvent({ include_properties: 'true', limit: '25' }), {}));
+    expect(detailed.properties.properties_in_boundary).toEqual([PROPERTY_ROW]);
+    expect(mockQuery.mock.calls.find(([sql]) => sql.includes('ORDER BY distance_meters'))[0]).toMatch(/LIMIT 25$/);
+  });
+
+  test('returns 404 for unknown boundaries', async () => {
+    mockQuery.mockResolvedValue({ rows: [] });
+
+    const body = await handler(createEvent({}, 'county', '99999'), {});
+
+    expect(body.success).toBe(false);
+    expect(body.error_details.type).toBe('NotFoundError');
+  });
+});
@@ -0,0 +1,297 @@
+/**
+ * Bulk Job Queue Unit Tests
+ * Drives bulk analysis jobs through the in-process job queue with an in-memory repository
+ */
+
+jest.mock('../../../src/helpers/dbOperations', () => {
+  const jobs = new Map();
+  const items = new Map();
+
+  const jobItems = (jobId) => [...items.values()].filter(item => item.job_id === jobId);
+
+  return {
+    __store: { jobs, items },
+    findPropertyByAddress: jest.fn(async (address) => ({
+      id: `property-${address}`,
+      address,
+      latitude: '29.7604',
+      longitude: '-95.3698',
+      year_built: null
+    })),
+    getCurrentRiskAssessment: jest.fn(async () => ({
+      id: 'assessment-1',
+      overall_risk_score: 42,
+      flood_risk_score: 60,
+      expires_at: new Date(Date.now() + 86400000).toISOString()
+    })),
+    upsertProperty: jest.fn(),
+    upsertRiskAssessment: jest.fn(),
+    markBulkJobStarted: jest.fn(async (jobId) => {
+      const job = jobs.get(jobId);
+      if (!job || !['queued', 'processing'].includes(job.status)) return null;
+      job.status = 'processing';
+      job.attempts = (job.attempts || 0) + 1;
+      return { ...job };
+    }),
+    releaseStaleBulkJobItems: jest.fn(async () => 0),
+    claimBulkJobItems: jest.fn(async (jobId, limit) => jobItems(jobId)
+      .filter(item => item.status === 'pending')
+      .slice(0, limit)
+      .map(item => {
+        item.status = 'processing';
+        item.attempts += 1;
+        return { ...item };
+      })),
+    completeBulkJobItem: jest.fn(async (itemId, { result }) => {
+      Object.assign(items.get(itemId), { status: 'completed', result });
+    }),
+    failBulkJobItem: jest.fn(async (itemId, errorMessage, retry) => {
+      Object.assign(items.get(itemId), { status: retry ? 'pending' : 'failed', error_message: errorMessage });
+    }),
+    refreshBulkJobProgress: jest.fn(async (jobId) => {
+      const all = jobItems(jobId);
+      return {
+        status: jobs.get(jobId).status,
+        total_items: all.length,
+        successful_items: all.filter(item => item.status === 'completed').length,
+        failed_items: all.filter(item => item.status === 'failed').length
+      };
+    }),
+    finishBulkJob: jest.fn(async (jobId, status, errorMessage) => {
+      const job = jobs.get(jobId);
+      if (job.status !== 'processing') return null;
+      Object.assign(job, { status, error_message: errorMessage, completed_at: new Date().toISOString() });
+      return { ...job };
+    }),
+    findStalledBulkJobs: jest.fn(async () => [...jobs.values()].filter(job => job.stalled))
+  };
+});
+
+jest.mock('../../../src/helpers/geocodingService', () => ({
+  geocodeAddress: jest.fn()
+}));
+
+jest.mock('../../../src/helpers/climateDataAggregator', () => ({
+  aggregateClimateData: jest.fn(),
+  climateDataAggregator: {
+    assessPropertyRisk: jest.fn(async () => ({ overall_risk_score: 42 }))
+  }
+}));
+
+jest.mock('../../../src/helpers/webhookDelivery', () => ({
+  emitWebhookEvent: jest.fn(async () => [])
+}));
+
+const dbOperations = require('../../../src/helpers/dbOperations');
+const { emitWebhookEvent } = require('../../../src/helpers/webhookDelivery');
+const {
+  registerJobHandler,
+  dispatchJob,
+  getJobQueue,
+  setJobQueue,
+  LocalJobQueue,
+  LambdaJobQueue
+} = require('../../../src/helpers/jobQueue');
+const { BULK_RISK_JOB, resumeStalledBulkJobs } = require('../../../src/helpers/bulkJobProcessor');
+
+const createJob = (id, addresses, overrides = {}) => {
+  dbOperations.__store.jobs.set(id, {
+    id,
+    owner_id: 'owner-1',
+    status: 'queued',
+    risk_types: ['all'],
+    total_items: addresses.length,
+    processed_items: 0,
+    attempts: 0,
+    ...overrides
+  });
+  addresses.forEach((address, index) => {
+    const itemId = `${id}-item-${index}`;
+    dbOperations.__store.items.set(itemId, {
+      id: itemId,
+      job_id: id,
+      item_index: index,
+      address,
+      status: 'pending',
+      attempts: 0,
+      property_attributes: null
+    });
+  });
+};
+
+const itemsOf = (jobId) => [...dbOperations.__store.items.values()].filter(item => item.job_id === jobId);
+
+describe('LocalJobQueue', () => {
+  let queue;
+
+  beforeEach(() => {
+    queue = new LocalJobQueue();
+    setJobQueue(queue);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('runs jobs after enqueue returns, in order', async () => {
+    const ran = [];
+    registerJobHandler('test_job', async (payload) => {
+      ran.push(payload.n);
+    });
+
+    const result = await queue.enqueue('test_job', { n: 1 });
+    await queue.enqueue('test_job', { n: 2 });
+
+    expect(result).toEqual({ queued: true, transport: 'local' });
+    expect(ran).toEqual([]);
+
+    await queue.onIdle();
+    expect(ran).toEqual([1, 2]);
+  });
+
+  test('a failing job does not stop later jobs', async () => {
+    const ran = [];
+    registerJobHandler('failing_job', async () => {
+      throw new Error('boom');
+    });
+    registerJobHandler('test_job', async (payload) => {
+      ran.push(payload.n);
+    });
+
+    await queue.enqueue('failing_job', {});
+    await queue.enqueue('test_job', { n: 3 });
+    await queue.onIdle();
+
+    expect(ran).toEqual([3]);
+    expect(console.error).toHaveBeenCalledWith('Local background job failed:', expect.objectContaining({ error: 'boom' }));
+  });
+
+  test('dispatchJob rejects unknown job types', async () => {
+    await expect(dispatchJob({ jobType: 'missing_job', payload: {} })).rejects.toThrow('No handler registered for job type: missing_job');
+  });
+});
+
+describe('getJobQueue', () => {
+  const originalWorker = process.env.JOB_WORKER_FUNCTION_NAME;
+
+  afterEach(() => {
+    setJobQueue(null);
+    if (originalWorker === undefined) {
+      delete process.env.JOB_WORKER_FUNCTION_NAME;
+    } else {
+      process.env.JOB_WORKER_FUNCTION_NAME = originalWorker;
+    }
+  });
+
+  test('runs in-process when no worker function is configured', () => {
+    delete process.env.JOB_WORKER_FUNCTION_NAME;
+    setJobQueue(null);
+    expect(getJobQueue()).toBeInstanceOf(LocalJobQueue);
+  });
+
+  test('invokes the worker Lambda when JOB_WORKER_FUNCTION_NAME is set', () => {
+    process.env.JOB_WORKER_FUNCTION_NAME = 'seawater-job-worker-test';
+    setJobQueue(null);
+
+    const queue = getJobQueue();
+    expect(queue).toBeInstanceOf(LambdaJobQueue);
+    expect(queue.functionName).toBe('seawater-job-worker-test');
+  });
+});
+
+describe('Bulk jobs through the job queue', () => {
+  let queue;
+
+  beforeEach(() => {
+    dbOperations.__store.jobs.clear();
+    dbOperations.__store.items.clear();
+    queue = new LocalJobQueue();
+    setJobQueue(queue);
+    emitWebhookEvent.mockClear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('processes every item and completes the job', async () => {
+    createJob('job-1', ['1 Main St', '2 Main St', '3 Main St']);
+
+    await queue.enqueue(BULK_RISK_JOB, { jobId: 'job-1' });
+    await queue.onIdle();
+
+    expect(dbOperations.__store.jobs.get('job-1').status).toBe('completed');
+    expect(itemsOf('job-1').every(item => item.status === 'completed')).toBe(true);
+    expect(itemsOf('job-1')[0].result.property.address).toBe('1 Main St');
+    expect(emitWebhookEvent).toHaveBeenCalledWith('owner-1', 'bulk_job.completed', expect.objectContaining({
+      job_id: 'job-1',
+      status: 'completed',
+      successful_items: 3,
+      failed_items: 0
+    }));
+  });
+
+  test('retries retryable item failures and records permanent ones', async () => {
+    createJob('job-2', ['good address', 'flaky address', 'bad address']);
+
+    let flakyCalls = 0;
+    dbOperations.findPropertyByAddress.mockImplementation(async (address) => {
+      if (address === 'flaky address' && flakyCalls++ === 0) {
+        throw Object.assign(new Error('timeout'), { retryable: true });
+      }
+      if (address === 'bad address') {
+        throw new Error('unparseable address');
+      }
+      return { id: `property-${address}`, address, latitude: '30', longitude: '-95' };
+    });
+
+    await queue.enqueue(BULK_RISK_JOB, { jobId: 'job-2' });
+    await queue.onIdle();
+
+    const items = itemsOf('job-2');
+    expect(items.map(item => item.status)).toEqual(['completed', 'completed', 'failed']);
+    expect(items[1].attempts).toBe(2);
+    expect(items[2].error_message).toBe('unparseable address');
+    expect(dbOperations.__store.jobs.get('job-2').status).toBe('completed');
+  });
+
+  test('hands off to a new invocation when the Lambda is near its timeout', async () => {
+    createJob('job-3', ['1 Main St']);
+
+    const nextQueue = { enqueue: jest.fn(async () => ({ queued: true })) };
+    setJobQueue(nextQueue);
+
+    const result = await dispatchJob(
+      { jobType: BULK_RISK_JOB, payload: { jobId: 'job-3' } },
+      { getRemainingTimeInMillis: () => 1000 }
+    );
+
+    expect(result).toEqual({ jobId: 'job-3', status: 'continued' });
+    expect(nextQueue.enqueue).toHaveBeenCalledWith(BULK_RISK_JOB, { jobId: 'job-3' });
+    expect(itemsOf('job-3')[0].status).toBe('pending');
+  });
+
+  test('skips jobs that are no longer runnable', async () => {
+    createJob('job-4', ['1 Main St'], { status: 'cancelled' });
+
+    const result = await dispatchJob({ jobType: BULK_RISK_JOB, payload: { jobId: 'job-4' } });
+
+    expect(result).toEqual({ jobId: 'job-4', status: 'skipped' });
+    expect(itemsOf('job-4')[0].status).toBe('pending');
+  });
+
+  test('the scheduled sweep re-queues stalled jobs to completion', async () => {
+    createJob('job-5', ['1 Main St', '2 Main St'], { status: 'processing', stalled: true });
+
+    const result = await resumeStalledBulkJobs();
+    await queue.onIdle();
+
+    expect(result).toEqual({ resumed: ['job-5'] });
+    expect(dbOperations.__store.jobs.get('job-5').status).toBe('completed');
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Census Tract Unit Tests
+ * TIGER/Line importer archives, arguments and field mapping, and point-in-polygon tract lookups
+ */
+
+const mockQuery = jest.fn();
+const mockRelease = jest.fn();
+
+jest.mock('../../../src/helpers/dbClient', () => ({
+  getClient: jest.fn(async () => ({ query: mockQuery, release: mockRelease })),
+  closePool: jest.fn()
+}));
+jest.mock('../../../src/helpers/cacheManager', () => ({
+  getCachedResponse: jest.fn(async () => null),
+  setCachedResponse: jest.fn(async () => {})
+}));
+
+const path = require('path');
+const cacheManager = require('../../../src/helpers/cacheManager');
+const { getCensusTractFromCoordinates } = require('../../../src/helpers/spatialQueries');
+const { getArchiveName, getMergeStatements, parseArgs } = require('../../../scripts/import-tiger-boundaries');
+
+const TRACT_ROW = {
+  geoid: '48201311300',
+  tract_code: '311300',
+  tract_name: 'Census Tract 3113',
+  county_fips: '48201',
+  county_code: '201',
+  county_name: 'Harris County',
+  state_fips: '48',
+  state_code: 'TX',
+  state_name: 'Texas'
+};
+
+describe('TIGER/Line archives', () => {
+  test.each([
+    ['state', 2023, null, { dir: 'STATE', file: 'tl_2023_us_state.zip' }],
+    ['county', 2023, null, { dir: 'COUNTY', file: 'tl_2023_us_county.zip' }],
+    ['tract', 2023, '48', { dir: 'TRACT', file: 'tl_2023_48_tract.zip' }],
+    ['zcta', 2023, null, { dir: 'ZCTA520', file: 'tl_2023_us_zcta520.zip' }],
+    ['zcta', 2019, null, { dir: 'ZCTA5', file: 'tl_2019_us_zcta510.zip' }]
+  ])('%s layer for %i', (layer, year, stateFips, expected) => {
+    expect(getArchiveName(layer, year, stateFips)).toEqual(expected);
+  });
+
+  test('rejects unknown layers', () => {
+    expect(() => getArchiveName('block', 2023)).toThrow('Unknown TIGER layer: block');
+  });
+});
+
+describe('TIGER/Line importer arguments', () => {
+  test('imports every layer for 2023 by default', () => {
+    expect(parseArgs([])).toEqual({
+      year: 2023,
+      layers: ['state', 'county', 'tract', 'zcta'],
+      states: null,
+      dir: path.join(process.cwd(), 'data', 'tiger')
+    });
+  });
+
+  test('orders layers parent first and pads state FIPS codes', () => {
+    const options = parseArgs(['--layers', 'tract, state', '--states', '6,48', '--year', '2020']);
+
+    expect(options.layers).toEqual(['state', 'tract']);
+    expect(options.states).toEqual(['06', '48']);
+    expect(options.year).toBe(2020);
+  });
+
+  test.each([
+    [['--year', '2009'], '--year must be 2010 or later'],
+    [['--layers', 'state,blocks'], 'Unknown layers: blocks'],
+    [['--force'], 'Unknown argument: --force']
+  ])('rejects %j', (argv, message) => {
+    expect(() => parseArgs(argv)).toThrow(message);
+  });
+});
+
+describe('TIGER/Line field mapping', () => {
+  test('maps state fields and converts land area to square kilometres', () => {
+    const [statement] = getMergeStatements('state', 'tiger_stage_state', 2023);
+
+    expect(statement).toContain('INSERT INTO states (state_code, state_name, state_fips, geom, area_sq_km)');
+    expect(statement).toContain('SELECT stusps, name, statefp, geom, ROUND(aland::numeric / 1000000, 2)');
+    expect(statement).toContain('ON CONFLICT (state_fips)');
+  });
+
+  test('joins counties to their state and tracts to their county', () => {
+    const [county] = getMergeStatements('county', 'tiger_stage_county', 2023);
+    const [tract, backfill] = getMergeStatements('tract', 'tiger_stage_tract_48', 2023);
+
+    expect(county).toContain('SELECT s.id, t.countyfp, t.namelsad, t.geoid');
+    expect(county).toContain('JOIN states s ON s.state_fips = t.statefp');
+    expect(tract).toContain('SELECT c.id, t.tractce, t.geoid, t.namelsad, t.geom');
+    expect(tract).toContain('JOIN counties c ON c.county_fips = t.statefp || t.countyfp');
+    expect(backfill).toContain('WHERE p.census_tract_id IS NULL');
+  });
+
+  test('reads the ZCTA code field for the delineation year', () => {
+    expect(getMergeStatements('zcta', 'tiger_stage_zcta', 2023)[0]).toContain('t.zcta5ce20 AS zip_code');
+    expect(getMergeStatements('zcta', 'tiger_stage_zcta', 2015)[0]).toContain('t.zcta5ce10 AS zip_code');
+  });
+});
+
+describe('getCensusTractFromCoordinates', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  test('returns the containing tract and caches it', async () => {
+    mockQuery.mockResolvedValue({ rows: [TRACT_ROW] });
+
+    const tract = await getCensusTractFromCoordinates(29.7604, -95.3698);
+
+    expect(mockQuery).toHaveBeenCalledWith(expect.stringContaining('ST_Covers(geom, p.pt)'), [29.7604, -95.3698]);
+    expect(tract).toEqual(expect.objectContaining({
+      census_tract_fips: '48201311300',
+      county_fips: '48201',
+      state_fips: '48',
+      tract_name: 'Census Tract 3113',
+      state_code: 'TX',
+      spatial_accuracy: 'CENSUS_TRACT',
+      data_source: 'US_Census_TIGER'
+    }));
+    expect(cacheManager.setCachedResponse).toHaveBeenCalledWith('census_tract_29.760400_-95.369800', tract, 86400);
+    expect(mockRelease).toHaveBeenCalled();
+  });
+
+  test('returns null without caching when no tract covers the point', async () => {
+    mockQuery.mockResolvedValue({ rows: [{ ...TRACT_ROW, geoid: null, tract_code: null, tract_name: null }] });
+
+    expect(await getCensusTractFromCoordinates(29.7604, -95.3698)).toBeNull();
+    expect(cacheManager.setCachedResponse).not.toHaveBeenCalled();
+  });
+
+  test('serves cached lookups without querying', async () => {
+    cacheManager.getCachedResponse.mockResolvedValueOnce({ census_tract_fips: '48201311300' });
+
+    expect(await getCensusTractFromCoordinates(29.7604, -95.3698)).toEqual({ census_tract_fips: '48201311300' });
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+
+  test('wraps query failures in a spatial query error', async () => {
+    mockQuery.mockRejectedValue(new Error('relation "census_tracts" does not exist'));
+
+    await expect(getCensusTractFromCoordinates(29.7604, -95.3698)).rejects.toMatchObject({
+      name: 'SpatialQueryError',
+      queryType: 'CENSUS_TRACT_LOOKUP_FAILED'
+    });
+    expect(mockRelease).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Climate Projections Unit Tests
+ * Horizon interpolation, hazard score projection and projection confidence bounds
+ */
+
+const {
+  projectHazardScores,
+  projectRiskScores,
+  summarizeNormals,
+  calculateProjectionConfidence,
+  interpolateChange,
+  clampScore,
+  TREND_HAZARDS
+} = require('../../../src/helpers/climateProjections');
+
+const FLOOD_POINTS = [
+  { year: 2035, change: 0.15 },
+  { year: 2050, change: 0.3 },
+  { year: 2080, change: 0.6 }
+];
+
+const createNormals = (warmestMonth, monthlyPrecipitation) => ({
+  data_available: true,
+  monthly_temperature_normals: { jan: 5, jul: warmestMonth },
+  monthly_precipitation_normals: Object.fromEntries(
+    Array.from({ length: 12 }, (_, index) => [`month_${index + 1}`, monthlyPrecipitation])
+  )
+});
+
+describe('clampScore', () => {
+  test('rounds and clamps to the 0-100 scale', () => {
+    expect(clampScore(49.6)).toBe(50);
+    expect(clampScore(120)).toBe(100);
+    expect(clampScore(-5)).toBe(0);
+  });
+
+  test('passes missing scores through as null', () => {
+    expect(clampScore(null)).toBeNull();
+    expect(clampScore(undefined)).toBeNull();
+    expect(clampScore(NaN)).toBeNull();
+  });
+});
+
+describe('interpolateChange', () => {
+  test('interpolates linearly from a zero change at the baseline year', () => {
+    expect(interpolateChange(FLOOD_POINTS, 2030)).toBeCloseTo(0.1);
+    expect(interpolateChange(FLOOD_POINTS, 2040)).toBeCloseTo(0.2);
+    expect(interpolateChange(FLOOD_POINTS, 2050)).toBeCloseTo(0.3);
+  });
+
+  test('holds the last horizon beyond it and zero before the baseline', () => {
+    expect(interpolateChange(FLOOD_POINTS, 2090)).toBeCloseTo(0.6);
+    expect(interpolateChange(FLOOD_POINTS, 2010)).toBe(0);
+  });
+
+  test('skips horizons without a value and returns null when none have one', () => {
+    expect(interpolateChange([{ year: 2035 }, { year: 2050, change: 0.3 }], 2035)).toBeCloseTo(0.15);
+    expect(interpolateChange([{ year: 2035, change: undefined }], 2040)).toBeNull();
+  });
+});
+
+describe('projectHazardScores', () => {
+  const baseline = { flood: 50, wildfire: 20, heat: 40, tornado: 10, hurricane: 30 };
+  const scenario = {
+    flood_projections: {
+      year_2035: { frequency_change: 0.15 },
+      year_2050: { frequency_change: 0.3 },
+      year_2080: { frequency_change: 0.6 }
+    },
+    wildfire_projections: { burn_probability_change: 0.3 },
+    heat_projections: { extreme_heat_days_change: 0.5 }
+  };
+
+  test('scales flood by the interpolated frequency change', () => {
+    expect(projectHazardScores(baseline, scenario, 2050).flood).toBe(65);
+    expect(projectHazardScores(baseline, scenario, 2080).flood).toBe(80);
+  });
+
+  test('scales mid-century wildfire and heat changes linearly by year', () => {
+    const scores = projectHazardScores(baseline, scenario, 2040);
+
+    expect(scores.wildfire).toBe(24);
+    expect(scores.heat).toBe(53);
+    expect(projectHazardScores(baseline, scenario, 2080).heat).toBe(80);
+  });
+
+  test('leaves hazards without a projection or a baseline as null', () => {
+    const scores = projectHazardScores({ ...baseline, wildfire: null }, scenario, 2050);
+
+    expect(scores.wildfire).toBeNull();
+    expect(scores.tornado).toBeNull();
+    expect(scores.hurricane).toBeNull();
+  });
+
+  test('returns every trend hazard as null without scenario data', () => {
+    const scores = projectHazardScores(baseline, null, 2050);
+
+    expect(Object.keys(scores)).toEqual(TREND_HAZARDS);
+    expect(Object.values(scores).every(score => score === null)).toBe(true);
+  });
+});
+
+describe('summarizeNormals', () => {
+  test('reports the warmest month and annual precipitation', () => {
+    expect(summarizeNormals(createNormals(30, 60))).toEqual({
+      warmest_month_c: 30,
+      annual_precipitation_mm: 720
+    });
+  });
+
+  test('omits annual precipitation unless all twelve months are present', () => {
+    const normals = { data_available: true, monthly_temperature_normals: { jul: 28 }, monthly_precipitation_normals: { jul: 80 } };
+
+    expect(summarizeNormals(normals).annual_precipitation_mm).toBeNull();
+  });
+
+  test('returns null when normals are unavailable', () => {
+    expect(summarizeNormals(null)).toBeNull();
+    expect(summarizeNormals({ data_available: false })).toBeNull();
+  });
+});
+
+describe('projectRiskScores', () => {
+  const baseline = { flood: 50, heat: 40, drought: 30, earthquake: 10, hail: null };
+  const scenario = { temperature_change: 2, precipitation_change: -0.1 };
+
+  test('weights warming and drying by the location normals', () => {
+    const { scores, basis } = projectRiskScores(baseline, scenario, createNormals(30, 60), 2050);
+
+    expect(scores.heat).toBe(74);
+    expect(basis.heat).toBe('noaa_normals');
+    expect(scores.drought).toBe(39);
+    expect(basis.drought).toBe('noaa_normals');
+  });
+
+  test('applies unweighted scenario changes without normals', () => {
+    const { scores, basis } = projectRiskScores(baseline, scenario, null, 2050);
+
+    expect(scores.heat).toBe(68);
+    expect(basis.heat).toBe('first_street');
+  });
+
+  test('holds hazards without a climate signal at their present-day score', () => {
+    const { scores, basis } = projectRiskScores(baseline, scenario, null, 2050);
+
+    expect(scores.flood).toBe(50);
+    expect(basis.flood).toBe('present_day');
+    expect(scores.earthquake).toBe(10);
+    expect(scores.hail).toBeNull();
+    expect(basis.hail).toBeNull();
+  });
+
+  test('prefers First Street hazard projections over the present-day score', () => {
+    const { scores, basis } = projectRiskScores(baseline, {
+      flood_projections: { year_2050: { frequency_change: 0.3 } }
+    }, null, 2050);
+
+    expect(scores.flood).toBe(65);
+    expect(basis.flood).toBe('first_street');
+  });
+});
+
+describe('calculateProjectionConfidence', () => {
+  test('widens and lowers the bounds with horizon', () => {
+    expect(calculateProjectionConfidence(2020, 'rcp45', 0.85)).toEqual({ lower: 0.81, upper: 0.89 });
+    expect(calculateProjectionConfidence(2050, 'rcp85', 0.85)).toEqual({ lower: 0.61, upper: 0.85 });
+  });
+
+  test('spreads wider for more severe scenarios', () => {
+    const moderate = calculateProjectionConfidence(2050, 'rcp26');
+    const severe = calculateProjectionConfidence(2050, 'rcp85');
+
+    expect(severe.upper - severe.lower).toBeGreaterThan(moderate.upper - moderate.lower);
+  });
+
+  test('stays within 0 and 1', () => {
+    const bounds = calculateProjectionConfidence(2100, 'rcp85', 0.3);
+
+    expect(bounds.lower).toBeGreaterThanOrEqual(0);
+    expect(bounds.upper).toBeLessThanOrEqual(1);
+  });
+});
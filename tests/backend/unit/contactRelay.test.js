@@ -0,0 +1,196 @@
+/**
+ * Contact Relay Unit Tests
+ * Relay emails, per-request reply addresses, MIME text extraction and reply forwarding
+ */
+
+jest.mock('../../../src/helpers/dbOperations', () => ({
+  findContactRequestByReplyToken: jest.fn(),
+  recordContactReply: jest.fn(async () => {})
+}));
+
+const dbOperations = require('../../../src/helpers/dbOperations');
+const {
+  setContactMailer,
+  setInboundMailStore,
+  createReplyToken,
+  buildReplyAddress,
+  parseReplyToken,
+  buildContactEmail,
+  extractTextBody
+} = require('../../../src/helpers/contactRelay');
+const { handler: relayContactReply } = require('../../../src/handlers/professionals/relayContactReply');
+
+const REPLY_TOKEN = '0123456789abcdef0123456789abcdef';
+const REPLY_ADDRESS = `reply+${REPLY_TOKEN}@replies.seawater.test`;
+
+const PROFESSIONAL = { id: 'pro-1', first_name: 'Dana', email: 'dana@inspections.test' };
+
+const contactRequest = (overrides = {}) => ({
+  id: 'request-1',
+  sender_name: 'Sam',
+  sender_phone: null,
+  property_address: '1 Main St, Houston, TX',
+  message: 'Can you inspect my roof?',
+  reply_token: REPLY_TOKEN,
+  reply_email: 'sam@home.test',
+  reply_count: 0,
+  professional_first_name: 'Dana',
+  professional_last_name: 'Lee',
+  professional_email: 'Dana@Inspections.test',
+  ...overrides
+});
+
+const sesRecord = ({ from = 'Dana Lee <dana@inspections.test>', recipients = [REPLY_ADDRESS], spf = 'PASS', spam = 'PASS' } = {}) => ({
+  ses: {
+    mail: { messageId: 'ses-message-1', source: 'bounce@inspections.test', commonHeaders: { from: [from] } },
+    receipt: {
+      recipients,
+      spamVerdict: { status: spam },
+      virusVerdict: { status: 'PASS' },
+      spfVerdict: { status: spf },
+      dkimVerdict: { status: 'GRAY' }
+    }
+  }
+});
+
+const MULTIPART_REPLY = [
+  'From: Dana Lee <dana@inspections.test>',
+  'Subject: Re: New contact request',
+  'Content-Type: multipart/alternative;',
+  ' boundary="b1"',
+  '',
+  '--b1',
+  'Content-Type: text/plain; charset=utf-8',
+  'Content-Transfer-Encoding: quoted-printable',
+  '',
+  'Happy to help =E2=80=94 I can come Tuesday.=',
+  ' Call me first.',
+  '--b1',
+  'Content-Type: text/html; charset=utf-8',
+  '',
+  '<p>Happy to help</p>',
+  '--b1--',
+  ''
+].join('\r\n');
+
+describe('reply addresses', () => {
+  const originalDomain = process.env.CONTACT_RELAY_REPLY_DOMAIN;
+
+  afterEach(() => {
+    if (originalDomain === undefined) {
+      delete process.env.CONTACT_RELAY_REPLY_DOMAIN;
+    } else {
+      process.env.CONTACT_RELAY_REPLY_DOMAIN = originalDomain;
+    }
+  });
+
+  test('are only issued when a reply domain is configured', () => {
+    delete process.env.CONTACT_RELAY_REPLY_DOMAIN;
+    expect(createReplyToken()).toBeNull();
+    expect(buildReplyAddress(REPLY_TOKEN)).toBeNull();
+
+    process.env.CONTACT_RELAY_REPLY_DOMAIN = 'replies.seawater.test';
+    expect(createReplyToken()).toMatch(/^[0-9a-f]{32}$/);
+    expect(buildReplyAddress(REPLY_TOKEN)).toBe(REPLY_ADDRESS);
+  });
+
+  test('parse back to their token', () => {
+    expect(parseReplyToken(REPLY_ADDRESS.toUpperCase())).toBe(REPLY_TOKEN);
+    expect(parseReplyToken('dana@inspections.test')).toBeNull();
+    expect(parseReplyToken(undefined)).toBeNull();
+  });
+});
+
+describe('buildContactEmail', () => {
+  beforeEach(() => {
+    process.env.CONTACT_RELAY_REPLY_DOMAIN = 'replies.seawater.test';
+  });
+
+  afterEach(() => {
+    delete process.env.CONTACT_RELAY_REPLY_DOMAIN;
+  });
+
+  test('sets the per-request reply address and never includes the sender email', () => {
+    const email = buildContactEmail(PROFESSIONAL, contactRequest());
+
+    expect(email.to).toBe('dana@inspections.test');
+    expect(email.replyTo).toBe(REPLY_ADDRESS);
+    expect(email.text).toContain('Reply to this email to answer them');
+    expect(email.text).not.toContain('sam@home.test');
+  });
+
+  test('falls back to shared contact details without a reply address', () => {
+    const email = buildContactEmail(PROFESSIONAL, contactRequest({ reply_token: null }));
+
+    expect(email.replyTo).toBeNull();
+    expect(email.text).toContain('They did not share contact details');
+  });
+});
+
+describe('extractTextBody', () => {
+  test('reads the plain text part of a multipart message', () => {
+    expect(extractTextBody(MULTIPART_REPLY)).toBe('Happy to help — I can come Tuesday. Call me first.');
+  });
+
+  test('decodes base64 single-part messages and skips HTML-only mail', () => {
+    const text = Buffer.from('See you then.').toString('base64');
+
+    expect(extractTextBody(`Content-Type: text/plain\r\nContent-Transfer-Encoding: base64\r\n\r\n${text}\r\n`)).toBe('See you then.');
+    expect(extractTextBody('Content-Type: text/html\r\n\r\n<p>Hi</p>')).toBeNull();
+  });
+});
+
+describe('relayContactReply handler', () => {
+  const sent = [];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sent.length = 0;
+    process.env.CONTACT_RELAY_REPLY_DOMAIN = 'replies.seawater.test';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    setContactMailer({ send: async (message) => { sent.push(message); return { messageId: 'out-1', transport: 'test' }; } });
+    setInboundMailStore({ get: async () => Buffer.from(MULTIPART_REPLY) });
+    dbOperations.findContactRequestByReplyToken.mockResolvedValue(contactRequest());
+  });
+
+  afterEach(() => {
+    delete process.env.CONTACT_RELAY_REPLY_DOMAIN;
+    console.log.mockRestore();
+  });
+
+  test('forwards the professional reply to the sender through the relay address', async () => {
+    const summary = await relayContactReply({ Records: [sesRecord()] });
+
+    expect(summary).toEqual({ relayed: 1, dropped: 0 });
+    expect(dbOperations.findContactRequestByReplyToken).toHaveBeenCalledWith(REPLY_TOKEN);
+    expect(sent[0]).toEqual(expect.objectContaining({ to: 'sam@home.test', replyTo: REPLY_ADDRESS }));
+    expect(sent[0].text).toContain('I can come Tuesday');
+    expect(sent[0].text).not.toContain('dana@inspections.test');
+    expect(dbOperations.recordContactReply).toHaveBeenCalledWith('request-1');
+  });
+
+  test('forwards the sender answer back to the professional', async () => {
+    await relayContactReply({ Records: [sesRecord({ from: 'sam@home.test' })] });
+
+    expect(sent[0].to).toBe('Dana@Inspections.test');
+  });
+
+  test.each([
+    ['an unknown recipient', { recipients: ['someone@replies.seawater.test'] }],
+    ['a third party', { from: 'spammer@elsewhere.test' }],
+    ['failed sender authentication', { spf: 'FAIL' }],
+    ['spam', { spam: 'FAIL' }]
+  ])('drops mail from %s', async (_, options) => {
+    const summary = await relayContactReply({ Records: [sesRecord(options)] });
+
+    expect(summary).toEqual({ relayed: 0, dropped: 1 });
+    expect(sent).toHaveLength(0);
+    expect(dbOperations.recordContactReply).not.toHaveBeenCalled();
+  });
+
+  test('stops forwarding once a request reaches its reply limit', async () => {
+    dbOperations.findContactRequestByReplyToken.mockResolvedValue(contactRequest({ reply_count: 50 }));
+
+    expect(await relayContactReply({ Records: [sesRecord()] })).toEqual({ relayed: 0, dropped: 1 });
+  });
+});
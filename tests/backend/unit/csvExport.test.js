@@ -0,0 +1,151 @@
+/**
+ * CSV Export Unit Tests
+ * Field escaping, the stable column schema, unit headers and paged streaming
+ */
+
+const {
+  EXPORT_COLUMNS,
+  EXPORT_COLUMN_KEYS,
+  selectColumns,
+  escapeCsvValue,
+  flattenAssessmentResult,
+  streamAssessmentsCsv
+} = require('../../../src/helpers/csvExport');
+
+const collect = async (generator) => {
+  const parts = [];
+  for await (const part of generator) {
+    parts.push(part);
+  }
+  return parts;
+};
+
+const createRecord = (index) => ({
+  property_id: `property-${index}`,
+  address: `${index} Main St`,
+  city: 'Houston',
+  state: 'TX',
+  zip_code: '77002',
+  latitude: '29.7604',
+  longitude: '-95.3698',
+  overall_risk_score: 40 + index,
+  flood_risk_score: 70,
+  data_sources: ['FEMA', 'NOAA'],
+  assessment_date: '2024-05-01T12:00:00.000Z',
+  distance_meters: 1609.344,
+  square_feet: 2000
+});
+
+describe('escapeCsvValue', () => {
+  test('writes empty fields for null and undefined', () => {
+    expect(escapeCsvValue(null)).toBe('');
+    expect(escapeCsvValue(undefined)).toBe('');
+  });
+
+  test('writes numbers as-is, including negatives', () => {
+    expect(escapeCsvValue(42)).toBe('42');
+    expect(escapeCsvValue(-95.3698)).toBe('-95.3698');
+  });
+
+  test('quotes fields containing commas, quotes and line breaks (RFC 4180)', () => {
+    expect(escapeCsvValue('Houston, TX')).toBe('"Houston, TX"');
+    expect(escapeCsvValue('The "Big" House')).toBe('"The ""Big"" House"');
+    expect(escapeCsvValue('line one\nline two')).toBe('"line one\nline two"');
+    expect(escapeCsvValue('plain text')).toBe('plain text');
+  });
+
+  test.each([
+    ['=HYPERLINK("http://evil.example")', '"\'=HYPERLINK(""http://evil.example"")"'],
+    ['+1+2', "'+1+2"],
+    ['-2+3', "'-2+3"],
+    ['@SUM(A1)', "'@SUM(A1)"],
+    ['\tcmd', "'\tcmd"]
+  ])('neutralizes spreadsheet formulas in %s', (value, expected) => {
+    expect(escapeCsvValue(value)).toBe(expected);
+  });
+});
+
+describe('export schema', () => {
+  test('every column key has a definition, in the published order', () => {
+    expect(EXPORT_COLUMNS.map(column => column.key)).toEqual(EXPORT_COLUMN_KEYS);
+    EXPORT_COLUMNS.forEach(column => {
+      expect(column.header).toBeDefined();
+      expect(typeof column.value).toBe('function');
+    });
+  });
+
+  test('columns added after the original schema follow floor_area', () => {
+    const keys = EXPORT_COLUMNS.map(column => column.key);
+
+    expect(keys.slice(keys.indexOf('floor_area') + 1)).toEqual(['hail_risk_score', 'landslide_risk_score', 'volcanic_risk_score']);
+  });
+
+  test('selected columns keep the canonical order regardless of request order', () => {
+    expect(selectColumns(['flood_risk_score', 'address', 'property_id']).map(column => column.key))
+      .toEqual(['property_id', 'address', 'flood_risk_score']);
+    expect(selectColumns(null)).toBe(EXPORT_COLUMNS);
+  });
+});
+
+describe('streamAssessmentsCsv', () => {
+  test('writes a header then rows, converting units', async () => {
+    const fetchPage = jest.fn(async (offset) => (offset === 0 ? [createRecord(1)] : []));
+
+    const parts = await collect(streamAssessmentsCsv(fetchPage, {
+      columns: ['address', 'distance', 'floor_area', 'data_sources'],
+      units: 'metric'
+    }));
+    const csv = parts.map(part => part.chunk).join('');
+
+    expect(csv).toBe(
+      'address,data_sources,distance_km,floor_area_m2\r\n' +
+      '1 Main St,FEMA;NOAA,1.6,185.8\r\n'
+    );
+  });
+
+  test('uses imperial headers and values by default', async () => {
+    const fetchPage = async (offset) => (offset === 0 ? [createRecord(1)] : []);
+
+    const parts = await collect(streamAssessmentsCsv(fetchPage, { columns: ['distance', 'floor_area'] }));
+
+    expect(parts.map(part => part.chunk).join('')).toBe('distance_mi,floor_area_sqft\r\n1,2000\r\n');
+  });
+
+  test('pages through the source and reports truncation at the row cap', async () => {
+    const records = Array.from({ length: 5 }, (_, index) => createRecord(index));
+    const fetchPage = jest.fn(async (offset, limit) => records.slice(offset, offset + limit));
+
+    const parts = await collect(streamAssessmentsCsv(fetchPage, { columns: ['property_id'], maxRows: 3 }));
+
+    expect(parts.reduce((sum, part) => sum + part.rowCount, 0)).toBe(3);
+    expect(parts[parts.length - 1].truncated).toBe(true);
+    expect(fetchPage).toHaveBeenLastCalledWith(3, 1);
+  });
+
+  test('does not report truncation when the source fits', async () => {
+    const records = Array.from({ length: 2 }, (_, index) => createRecord(index));
+    const fetchPage = async (offset, limit) => records.slice(offset, offset + limit);
+
+    const parts = await collect(streamAssessmentsCsv(fetchPage, { columns: ['property_id'], maxRows: 10 }));
+
+    expect(parts.some(part => part.truncated)).toBe(false);
+    expect(parts.map(part => part.chunk).join('')).toBe('property_id\r\nproperty-0\r\nproperty-1\r\n');
+  });
+});
+
+describe('flattenAssessmentResult', () => {
+  test('merges the property into the stored assessment', () => {
+    const record = flattenAssessmentResult({
+      property: { id: 'property-1', address: '1 Main St', city: 'Houston', latitude: '29.76' },
+      risk_assessment: { overall_risk_score: 55, flood_risk_score: 80 }
+    });
+
+    expect(record).toEqual(expect.objectContaining({
+      property_id: 'property-1',
+      address: '1 Main St',
+      city: 'Houston',
+      overall_risk_score: 55,
+      flood_risk_score: 80
+    }));
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Disaster History Unit Tests
+ * Source normalization, cross-source deduplication and timeline filters
+ */
+
+const {
+  normalizeFemaDeclarations,
+  normalizeNoaaEvents,
+  normalizeUsgsEarthquakes,
+  normalizeHurdatStorms,
+  mergeDisasterEvents
+} = require('../../../src/helpers/disasterHistory');
+
+const LATITUDE = 29.76;
+const LONGITUDE = -95.37;
+
+const FEMA_FLOOD = {
+  disaster_number: 4332,
+  incident_type: 'Flood',
+  declaration_type: 'DR',
+  incident_begin_date: '2017-08-23T00:00:00.000Z',
+  incident_end_date: '2017-09-15T00:00:00.000Z',
+  title: 'Flooding'
+};
+
+const NOAA_FLOOD = {
+  event_id: 700001,
+  event_type: 'Flood',
+  begin_date: '2017-08-27T06:00:00.000Z',
+  begin_lat: 29.8,
+  begin_lon: -95.4,
+  damage_property: 1000000,
+  injuries_direct: 2,
+  deaths_direct: 1
+};
+
+const HURDAT_HARVEY = {
+  storm_id: 'AL092017',
+  name: 'HARVEY',
+  date: '2017-08-26T00:00:00.000Z',
+  category: 1,
+  peak_category: 4,
+  closest_approach_km: 60,
+  wind_exposure: 'tropical_storm',
+  wind_radii_estimated: false,
+  landfall_nearby: true
+};
+
+describe('normalizeFemaDeclarations', () => {
+  test('collapses one disaster declared across several counties', () => {
+    const events = normalizeFemaDeclarations([FEMA_FLOOD, { ...FEMA_FLOOD, designated_area: 'Fort Bend County' }]);
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toEqual(expect.objectContaining({
+      event_id: 'fema-4332',
+      event_type: 'flood',
+      severity_score: 70,
+      distance_km: 0,
+      sources: ['FEMA']
+    }));
+  });
+
+  test('skips incident types without a timeline hazard', () => {
+    expect(normalizeFemaDeclarations([{ ...FEMA_FLOOD, incident_type: 'Biological' }])).toEqual([]);
+  });
+});
+
+describe('normalizeNoaaEvents', () => {
+  test.each([
+    ['Flood', 'flood'],
+    ['Flash Flood', 'flood'],
+    ['Coastal Flood', 'coastal_flooding'],
+    ['Thunderstorm Wind', 'strong_wind']
+  ])('maps %s to %s', (rawType, eventType) => {
+    expect(normalizeNoaaEvents([{ ...NOAA_FLOOD, event_type: rawType }], LATITUDE, LONGITUDE)[0].event_type).toBe(eventType);
+  });
+
+  test('measures distance and scores damages and casualties', () => {
+    const [event] = normalizeNoaaEvents([NOAA_FLOOD], LATITUDE, LONGITUDE);
+
+    expect(event.distance_km).toBeCloseTo(5.3, 1);
+    expect(event.severity_score).toBe(86);
+    expect(event.damages).toEqual({ property_damage_usd: 1000000, crop_damage_usd: 0, injuries: 2, fatalities: 1 });
+  });
+});
+
+describe('normalizeUsgsEarthquakes', () => {
+  test('keeps earthquakes and scales severity by magnitude', () => {
+    const events = normalizeUsgsEarthquakes([
+      { id: 'us1', type: 'earthquake', time: '2020-01-01T00:00:00.000Z', magnitude: 5, place: 'Texas', location: { latitude: 29.76, longitude: -95.37 } },
+      { id: 'us2', type: 'quarry blast', time: '2020-01-02T00:00:00.000Z', magnitude: 2.6, location: { latitude: 29.76, longitude: -95.37 } }
+    ], LATITUDE, LONGITUDE);
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toEqual(expect.objectContaining({ event_id: 'usgs-us1', severity_score: 48, distance_km: 0 }));
+  });
+});
+
+describe('mergeDisasterEvents', () => {
+  test('merges the same flood reported by FEMA and NOAA', () => {
+    const events = mergeDisasterEvents([
+      normalizeFemaDeclarations([FEMA_FLOOD]),
+      normalizeNoaaEvents([NOAA_FLOOD], LATITUDE, LONGITUDE)
+    ]);
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toEqual(expect.objectContaining({
+      event_type: 'flood',
+      sources: ['FEMA', 'NOAA'],
+      fema_disaster_number: 4332,
+      severity_score: 86
+    }));
+    // The NOAA point observation keeps its location
+    expect(events[0].distance_km).toBeCloseTo(5.3, 1);
+  });
+
+  test('carries storm track details into a merged hurricane declaration', () => {
+    const events = mergeDisasterEvents([
+      normalizeFemaDeclarations([{ ...FEMA_FLOOD, incident_type: 'Hurricane', disaster_number: 4332 }]),
+      normalizeHurdatStorms([HURDAT_HARVEY])
+    ]);
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toEqual(expect.objectContaining({
+      storm_id: 'AL092017',
+      storm_name: 'HARVEY',
+      fema_disaster_number: 4332,
+      sources: ['FEMA', 'HURDAT2']
+    }));
+  });
+
+  test('keeps separate events from one source and events outside the duplicate window', () => {
+    const events = mergeDisasterEvents([
+      normalizeNoaaEvents([
+        NOAA_FLOOD,
+        { ...NOAA_FLOOD, event_id: 700002, begin_date: '2017-08-28T06:00:00.000Z' }
+      ], LATITUDE, LONGITUDE),
+      normalizeFemaDeclarations([{ ...FEMA_FLOOD, incident_begin_date: '2018-06-01', incident_end_date: null }])
+    ]);
+
+    expect(events.map(event => event.sources)).toEqual([['FEMA'], ['NOAA'], ['NOAA']]);
+  });
+
+  test('filters by event type, date range and radius, newest first', () => {
+    const lists = [
+      normalizeFemaDeclarations([FEMA_FLOOD]),
+      normalizeUsgsEarthquakes([
+        { id: 'near', type: 'earthquake', time: '2019-01-01T00:00:00.000Z', magnitude: 3, location: { latitude: 29.8, longitude: -95.4 } },
+        { id: 'far', type: 'earthquake', time: '2019-02-01T00:00:00.000Z', magnitude: 3, location: { latitude: 31, longitude: -95.4 } }
+      ], LATITUDE, LONGITUDE),
+      normalizeHurdatStorms([HURDAT_HARVEY])
+    ];
+
+    expect(mergeDisasterEvents(lists, { radiusKm: 50 }).map(event => event.event_id))
+      .toEqual(['usgs-near', 'fema-4332']);
+    expect(mergeDisasterEvents(lists, { eventTypes: ['flood'] }).map(event => event.event_id))
+      .toEqual(['fema-4332']);
+    expect(mergeDisasterEvents(lists, { startDate: '2018-01-01', endDate: '2019-01-15' }).map(event => event.event_id))
+      .toEqual(['usgs-near']);
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Drought Unit Tests
+ * Weekly USDM summaries, drought scoring and the precomputed drought monitor grid
+ */
+
+jest.mock('../../../src/helpers/dbOperations', () => ({
+  findDroughtMonitorCell: jest.fn()
+}));
+
+const dbOperations = require('../../../src/helpers/dbOperations');
+const {
+  droughtGridCell,
+  parseDroughtMap,
+  droughtCategoryAt,
+  forEachGridCellInGeometry,
+  expandGridCellWeeks,
+  summarizeDroughtWeeks,
+  summarizePrecipitationNormals,
+  calculateDroughtRisk
+} = require('../../../src/helpers/drought');
+const { pointInGeometry } = require('../../../src/backend/src/integrations/utils/GeometryUtils');
+const DroughtMonitorClient = require('../../../src/helpers/externalClients/droughtMonitorClient');
+
+const MS_PER_WEEK = 7 * 24 * 60 * 60 * 1000;
+
+// One category per week ending 2024-12-31
+const createWeeks = (categories) => {
+  const end = new Date('2024-12-31').getTime();
+  return categories.map((category, index) => ({
+    date: new Date(end - (categories.length - 1 - index) * MS_PER_WEEK).toISOString().slice(0, 10),
+    category
+  }));
+};
+
+// Twenty years of weeks with every fifth week in D2
+const twentyYears = () => createWeeks(Array.from({ length: 1044 }, (_, index) => (index % 5 === 0 ? 2 : -1)));
+
+// Wet winters, dry summers (mm per month)
+const MONTHLY_NORMALS = { 1: 100, 2: 90, 3: 80, 4: 60, 5: 30, 6: 10, 7: 5, 8: 10, 9: 40, 10: 70, 11: 90, 12: 100 };
+
+const square = (minLon, minLat, maxLon, maxLat) => [
+  [minLon, minLat], [maxLon, minLat], [maxLon, maxLat], [minLon, maxLat], [minLon, minLat]
+];
+
+describe('summarizeDroughtWeeks', () => {
+  test('reports the share of weeks at or above each category per period', () => {
+    const summary = summarizeDroughtWeeks(createWeeks([-1, 0, 1, 2, 3, 4, -1, 1]), { periodsYears: [5] });
+    const period = summary.periods['5_year'];
+
+    expect(period.weeks_analyzed).toBe(8);
+    expect(period.percent_weeks_in_drought).toBe(62.5);
+    expect(period.percent_weeks_at_or_above).toEqual({ D0: 75, D1: 62.5, D2: 37.5, D3: 25, D4: 12.5 });
+    expect(summary.current_category).toBe('D1');
+  });
+
+  test('counts the longest unbroken run of D1 or worse', () => {
+    expect(summarizeDroughtWeeks(createWeeks([1, 2, 0, 1, 1, 3, -1])).longest_drought_weeks).toBe(3);
+  });
+
+  test('reports partial coverage of a period', () => {
+    const summary = summarizeDroughtWeeks(createWeeks(Array(261).fill(-1)));
+
+    expect(summary.periods['5_year'].coverage).toBe(1);
+    expect(summary.periods['20_year'].coverage).toBe(0.25);
+    expect(summary.current_category).toBeNull();
+  });
+
+  test('is unavailable without weeks', () => {
+    expect(summarizeDroughtWeeks([])).toEqual({ data_available: false, weeks_analyzed: 0, periods: {} });
+  });
+});
+
+describe('summarizePrecipitationNormals', () => {
+  test('finds the driest three consecutive months', () => {
+    expect(summarizePrecipitationNormals(MONTHLY_NORMALS)).toEqual({
+      annual_mm: 685,
+      driest_three_months: [6, 7, 8],
+      driest_three_month_share: 0.036
+    });
+  });
+
+  test('returns null unless all twelve months are present', () => {
+    expect(summarizePrecipitationNormals({ ...MONTHLY_NORMALS, 12: undefined })).toBeNull();
+    expect(summarizePrecipitationNormals(null)).toBeNull();
+  });
+});
+
+describe('calculateDroughtRisk', () => {
+  test('blends drought frequency and climate at high confidence with the full record', () => {
+    const { score, confidence, details } = calculateDroughtRisk(summarizeDroughtWeeks(twentyYears()), MONTHLY_NORMALS);
+
+    expect(details.frequency_score).toBeGreaterThan(0);
+    expect(details.climate_score).toBeGreaterThan(0);
+    expect(score).toBeGreaterThanOrEqual(Math.min(details.frequency_score, details.climate_score));
+    expect(score).toBeLessThanOrEqual(Math.max(details.frequency_score, details.climate_score));
+    expect(confidence).toEqual({ level: 'high', usdm_years_scored: 20, precipitation_normals: true });
+  });
+
+  test('scores more frequent and more intense drought higher', () => {
+    const occasional = calculateDroughtRisk(summarizeDroughtWeeks(twentyYears()), null).score;
+    const severe = calculateDroughtRisk(
+      summarizeDroughtWeeks(createWeeks(Array.from({ length: 1044 }, (_, index) => (index % 2 === 0 ? 3 : -1)))),
+      null
+    ).score;
+
+    expect(severe).toBeGreaterThan(occasional);
+  });
+
+  test('does not score periods missing too many weeks', () => {
+    const { score, confidence } = calculateDroughtRisk(summarizeDroughtWeeks(createWeeks(Array(261).fill(2))), null);
+
+    expect(confidence.usdm_years_scored).toBe(5);
+    expect(confidence.level).toBe('low');
+    expect(score).toBeGreaterThan(0);
+  });
+
+  test('falls back to precipitation normals at low confidence', () => {
+    const { score, confidence, details } = calculateDroughtRisk({ data_available: false }, MONTHLY_NORMALS);
+
+    expect(score).toBe(details.climate_score);
+    expect(details.frequency_score).toBeNull();
+    expect(confidence.level).toBe('low');
+  });
+
+  test('has no score without either input', () => {
+    expect(calculateDroughtRisk(null, null).score).toBeNull();
+  });
+});
+
+describe('drought monitor grid', () => {
+  test('indexes 0.1 degree cells from 90S, 180W', () => {
+    expect(droughtGridCell(29.76, -95.37)).toEqual({ row: 1197, col: 846 });
+    expect(droughtGridCell(-90, -180)).toEqual({ row: 0, col: 0 });
+  });
+
+  test('takes the most severe category covering a point', () => {
+    const polygons = parseDroughtMap({
+      type: 'FeatureCollection',
+      features: [
+        { properties: { DM: 1 }, geometry: { type: 'Polygon', coordinates: [square(-100, 30, -95, 35)] } },
+        { properties: { DM: 3 }, geometry: { type: 'Polygon', coordinates: [square(-98, 32, -96, 34)] } }
+      ]
+    });
+
+    expect(polygons.map(polygon => polygon.category)).toEqual([3, 1]);
+    expect(droughtCategoryAt(polygons, 33, -97)).toBe(3);
+    expect(droughtCategoryAt(polygons, 31, -99)).toBe(1);
+    expect(droughtCategoryAt(polygons, 40, -99)).toBe(-1);
+  });
+
+  test('rasterizes exactly the cells whose centres pointInGeometry places inside', () => {
+    const geometry = {
+      type: 'MultiPolygon',
+      coordinates: [
+        [
+          [[-100, 30], [-98.02, 30.33], [-99.47, 31.86], [-100, 30]],
+          square(-99.4, 30.4, -99.1, 30.7)
+        ],
+        [square(-97.95, 30.05, -97.05, 30.45)]
+      ]
+    };
+
+    const covered = new Set();
+    forEachGridCellInGeometry(geometry, (row, col) => covered.add(`${row},${col}`));
+
+    let mismatches = 0;
+    for (let row = 1195; row < 1225; row++) {
+      for (let col = 795; col < 835; col++) {
+        const inside = pointInGeometry((col + 0.5) / 10 - 180, (row + 0.5) / 10 - 90, geometry);
+        if (inside !== covered.has(`${row},${col}`)) mismatches++;
+      }
+    }
+
+    expect(covered.size).toBeGreaterThan(0);
+    expect(covered.has('1205,806')).toBe(false);
+    expect(mismatches).toBe(0);
+  });
+
+  test('expands a stored cell into dated weeks, skipping weeks without a map', () => {
+    expect(expandGridCellWeeks('2024-01-02', [-1, null, 2])).toEqual([
+      { date: '2024-01-02', category: -1 },
+      { date: '2024-01-16', category: 2 }
+    ]);
+  });
+});
+
+describe('DroughtMonitorClient.getDroughtHistory', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = new DroughtMonitorClient({ noaaClient: {} });
+    client.client = { get: jest.fn() };
+  });
+
+  test('reads the history from one grid cell', async () => {
+    dbOperations.findDroughtMonitorCell.mockResolvedValue({
+      grid_row: 1197,
+      grid_col: 846,
+      first_week: '2024-01-02',
+      categories: [-1, 1, 2, 2]
+    });
+
+    const history = await client.getDroughtHistory(29.76, -95.37);
+
+    expect(dbOperations.findDroughtMonitorCell).toHaveBeenCalledWith(1197, 846);
+    expect(client.client.get).not.toHaveBeenCalled();
+    expect(history).toEqual(expect.objectContaining({
+      data_available: true,
+      weeks_analyzed: 4,
+      current_category: 'D2',
+      latest_week: '2024-01-23',
+      source: 'grid'
+    }));
+  });
+
+  test('falls back to the current map outside the imported grid', async () => {
+    dbOperations.findDroughtMonitorCell.mockResolvedValue(null);
+    client.client.get.mockResolvedValue({
+      data: { features: [{ properties: { DM: 2 }, geometry: { type: 'Polygon', coordinates: [square(-96, 29, -95, 30)] } }] }
+    });
+
+    const history = await client.getDroughtHistory(29.76, -95.37);
+
+    expect(client.client.get).toHaveBeenCalledWith('https://droughtmonitor.unl.edu/data/json/usdm_current.json');
+    expect(history).toEqual(expect.objectContaining({ data_available: false, current_category: 'D2', source: 'live' }));
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * Fire History Unit Tests
+ * CAL FIRE and NIFC perimeter distances, burn frequency within 10 km and FHSZ scoring
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  queryArcGISLayer,
+  summarizeBurnHistory,
+  calculateBurnHistoryScore
+} = require('../../../src/backend/src/integrations/utils/FireHistoryUtils');
+const CALFIREClient = require('../../../src/backend/src/integrations/clients/government/CALFIREClient');
+const NIFCClient = require('../../../src/backend/src/integrations/clients/government/NIFCClient');
+
+const KM_PER_DEGREE = 111.195;
+const CURRENT_YEAR = new Date().getFullYear();
+
+// A property in the Sierra foothills
+const LATITUDE = 38.5;
+const LONGITUDE = -121.0;
+
+// Square whose southern edge lies the given distance due north of the property
+const squareNorthOf = (km) => {
+  const south = LATITUDE + km / KM_PER_DEGREE;
+  const north = south + 0.02;
+  return {
+    type: 'Polygon',
+    coordinates: [[[-121.01, south], [-120.99, south], [-120.99, north], [-121.01, north], [-121.01, south]]]
+  };
+};
+
+const AROUND_PROPERTY = {
+  type: 'Polygon',
+  coordinates: [[[-121.01, 38.49], [-120.99, 38.49], [-120.99, 38.51], [-121.01, 38.51], [-121.01, 38.49]]]
+};
+
+const feature = (properties, geometry) => ({ type: 'Feature', properties, geometry });
+
+const PERIMETERS = [
+  feature({ FIRE_NAME: 'CREEK', YEAR_: String(CURRENT_YEAR - 3), GIS_ACRES: 1204.6 }, AROUND_PROPERTY),
+  feature({ FIRE_NAME: 'RIDGE', YEAR_: String(CURRENT_YEAR - 10), GIS_ACRES: 310 }, squareNorthOf(4)),
+  feature({ FIRE_NAME: 'CANYON', YEAR_: String(CURRENT_YEAR - 20), GIS_ACRES: 52000 }, squareNorthOf(12)),
+  feature({ FIRE_NAME: 'OLD GROWTH', YEAR_: String(CURRENT_YEAR - 60), GIS_ACRES: 800 }, squareNorthOf(2)),
+  feature({ FIRE_NAME: 'DISTANT', YEAR_: String(CURRENT_YEAR - 1), GIS_ACRES: 90 }, squareNorthOf(30))
+];
+
+const HAZARD_ZONES = [
+  feature({ FHSZ: 1, SRA: 'LRA' }, AROUND_PROPERTY),
+  feature({ FHSZ_Description: 'Very High', SRA: 'SRA' }, AROUND_PROPERTY)
+];
+
+let directory;
+let perimeterSnapshot;
+let hazardZoneSnapshot;
+
+beforeAll(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'seawater-fire-'));
+  perimeterSnapshot = path.join(directory, 'perimeters.geojson');
+  hazardZoneSnapshot = path.join(directory, 'fhsz.geojson');
+  fs.writeFileSync(perimeterSnapshot, JSON.stringify({ type: 'FeatureCollection', features: PERIMETERS }));
+  fs.writeFileSync(hazardZoneSnapshot, JSON.stringify({ type: 'FeatureCollection', features: HAZARD_ZONES }));
+});
+
+afterAll(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('summarizeBurnHistory', () => {
+  test('counts burns within 10 km over the lookback period', () => {
+    const summary = summarizeBurnHistory([
+      { name: 'RIDGE', year: CURRENT_YEAR - 10, acres: 310, distance_km: 4 },
+      { name: 'CANYON', year: CURRENT_YEAR - 20, acres: 52000, distance_km: 12 },
+      { name: 'OLD GROWTH', year: CURRENT_YEAR - 60, acres: 800, distance_km: 2 },
+      { name: 'UNDATED', year: null, acres: null, distance_km: 6 },
+      { name: 'EDGE', year: CURRENT_YEAR - 5, acres: 40, distance_km: 10 }
+    ], { searchRadiusKm: 25 });
+
+    expect(summary).toEqual({
+      search_radius_km: 25,
+      nearest_burn_km: 2,
+      nearest_fire: { name: 'OLD GROWTH', year: CURRENT_YEAR - 60, acres: 800 },
+      inside_burn_perimeter: false,
+      frequency_radius_km: 10,
+      lookback_years: 50,
+      burns_within_radius: 2,
+      burns_per_decade: 0.4,
+      most_recent_burn_year: CURRENT_YEAR - 5,
+      years_since_last_burn: 5
+    });
+  });
+
+  test('counts a fire mapped by several agencies once, at its nearest perimeter', () => {
+    const summary = summarizeBurnHistory([
+      { name: 'Creek', year: CURRENT_YEAR - 3, distance_km: 5 },
+      { name: 'CREEK', year: CURRENT_YEAR - 3, distance_km: 3 },
+      { name: 'CREEK', year: CURRENT_YEAR - 30, distance_km: 8 }
+    ]);
+
+    expect(summary.burns_within_radius).toBe(2);
+    expect(summary.nearest_burn_km).toBe(3);
+  });
+
+  test('honours a custom frequency radius and lookback', () => {
+    const summary = summarizeBurnHistory([
+      { name: 'CANYON', year: CURRENT_YEAR - 20, distance_km: 12 },
+      { name: 'RIDGE', year: CURRENT_YEAR - 10, distance_km: 4 }
+    ], { frequencyRadiusKm: 15, lookbackYears: 20 });
+
+    expect(summary.burns_within_radius).toBe(2);
+    expect(summary.burns_per_decade).toBe(1);
+  });
+
+  test('reports no burns without perimeters', () => {
+    expect(summarizeBurnHistory([])).toEqual(expect.objectContaining({
+      nearest_burn_km: null,
+      nearest_fire: null,
+      inside_burn_perimeter: false,
+      burns_within_radius: 0,
+      burns_per_decade: 0,
+      most_recent_burn_year: null,
+      years_since_last_burn: null
+    }));
+  });
+});
+
+describe('calculateBurnHistoryScore', () => {
+  test.each([
+    [{ nearest_burn_km: null, burns_per_decade: 0 }, 0],
+    [{ nearest_burn_km: 0, burns_per_decade: 0 }, 55],
+    [{ nearest_burn_km: 5, burns_per_decade: 0 }, 20],
+    [{ nearest_burn_km: 5, burns_per_decade: 2 }, 43],
+    [{ nearest_burn_km: 0, burns_per_decade: 6 }, 100]
+  ])('%j scores %i', (summary, expected) => {
+    expect(calculateBurnHistoryScore(summary)).toBe(expected);
+  });
+});
+
+describe('queryArcGISLayer', () => {
+  const layerUrl = 'https://services.example.gov/arcgis/rest/services/Perimeters/FeatureServer/0';
+
+  test('buffers the point query and measures distance to each perimeter', async () => {
+    const httpClient = {
+      get: jest.fn(async () => ({
+        data: JSON.stringify({ type: 'FeatureCollection', features: PERIMETERS.slice(0, 2) })
+      }))
+    };
+
+    const features = await queryArcGISLayer(httpClient, layerUrl, LATITUDE, LONGITUDE, { radiusKm: 10 });
+
+    const url = new URL(httpClient.get.mock.calls[0][0]);
+    expect(url.pathname).toBe('/arcgis/rest/services/Perimeters/FeatureServer/0/query');
+    expect(url.searchParams.get('geometry')).toBe('-121,38.5');
+    expect(url.searchParams.get('distance')).toBe('10000');
+    expect(url.searchParams.get('units')).toBe('esriSRUnit_Meter');
+    expect(url.searchParams.get('f')).toBe('geojson');
+    expect(features[0].distance_km).toBe(0);
+    expect(features[1].distance_km).toBeCloseTo(4, 6);
+  });
+
+  test('surfaces ArcGIS errors', async () => {
+    const httpClient = { get: jest.fn(async () => ({ data: { error: { code: 400, message: 'Invalid query' } } })) };
+
+    await expect(queryArcGISLayer(httpClient, layerUrl, LATITUDE, LONGITUDE)).rejects.toThrow('Invalid query');
+  });
+});
+
+describe('CALFIREClient', () => {
+  const createClient = () => new CALFIREClient({
+    hazardZoneSnapshotPath: hazardZoneSnapshot,
+    perimeterSnapshotPath: perimeterSnapshot
+  });
+
+  test('measures distance to FRAP perimeters within the search radius', async () => {
+    const { perimeters } = await createClient().getHistoricalPerimeters(LATITUDE, LONGITUDE);
+
+    const byName = Object.fromEntries(perimeters.map(perimeter => [perimeter.name, perimeter]));
+    expect(Object.keys(byName).sort()).toEqual(['CANYON', 'CREEK', 'OLD GROWTH', 'RIDGE']);
+    expect(byName.CREEK).toEqual({ name: 'CREEK', year: CURRENT_YEAR - 3, acres: 1205, agency: null, distance_km: 0 });
+    expect(byName.RIDGE.distance_km).toBeCloseTo(4, 6);
+    expect(byName.CANYON.distance_km).toBeCloseTo(12, 6);
+  });
+
+  test('takes the most severe of overlapping hazard zones', async () => {
+    expect(await createClient().getFireHazardSeverityZone(LATITUDE, LONGITUDE)).toEqual({
+      fhszClass: 'very_high',
+      responsibilityArea: 'SRA',
+      inZone: true,
+      source: 'snapshot',
+      dataSource: 'CAL_FIRE'
+    });
+  });
+
+  test('weights the FHSZ class against burn history', async () => {
+    const { riskAssessment } = await createClient().getWildfireRisk(LATITUDE, LONGITUDE);
+
+    // Inside CREEK with CREEK and RIDGE in the last 50 years: burn score 60
+    expect(riskAssessment.burnHistory).toEqual(expect.objectContaining({
+      inside_burn_perimeter: true,
+      burns_within_radius: 2,
+      burns_per_decade: 0.4
+    }));
+    expect(riskAssessment.riskScore).toBe(Math.round(0.6 * 90 + 0.4 * 60));
+    expect(riskAssessment.confidence).toBe('high');
+  });
+
+  test('scores locations outside every zone as low hazard', async () => {
+    const { riskAssessment } = await createClient().getWildfireRisk(38.5, -121.6);
+
+    expect(riskAssessment.hazardZone.inZone).toBe(false);
+    expect(riskAssessment.burnHistory.nearest_burn_km).toBeNull();
+    expect(riskAssessment.riskScore).toBe(Math.round(0.6 * 15));
+  });
+
+  test('scores from burn history alone when the hazard zones are unavailable', async () => {
+    const client = new CALFIREClient({
+      hazardZoneSnapshotPath: path.join(directory, 'missing.geojson'),
+      perimeterSnapshotPath: perimeterSnapshot
+    });
+
+    const { riskAssessment } = await client.getWildfireRisk(LATITUDE, LONGITUDE);
+
+    expect(riskAssessment.hazardZone).toBeNull();
+    expect(riskAssessment.riskScore).toBe(60);
+    expect(riskAssessment.confidence).toBe('medium');
+  });
+
+  test('does not score locations outside California', async () => {
+    const result = await createClient().getWildfireRisk(39.5, -119.8);
+
+    expect(result.covered).toBe(false);
+    expect(result.riskAssessment).toBeNull();
+    expect(createClient().isCovered(LATITUDE, LONGITUDE, 'NV')).toBe(false);
+  });
+});
+
+describe('NIFCClient', () => {
+  test('scores wildfire risk from the interagency perimeter history', async () => {
+    const client = new NIFCClient({ perimeterSnapshotPath: perimeterSnapshot });
+
+    const result = await client.getWildfireRisk(LATITUDE, LONGITUDE);
+
+    expect(result.riskAssessment.burnHistory).toEqual(expect.objectContaining({
+      search_radius_km: 25,
+      nearest_burn_km: 0,
+      nearest_fire: { name: 'CREEK', year: CURRENT_YEAR - 3, acres: 1205 },
+      burns_within_radius: 2,
+      years_since_last_burn: 3
+    }));
+    expect(result.riskAssessment.riskScore).toBe(60);
+    expect(result.dataMode).toBe('snapshot');
+  });
+
+  test('narrows the search radius on request', async () => {
+    const client = new NIFCClient({ perimeterSnapshotPath: perimeterSnapshot });
+
+    const { perimeters } = await client.getHistoricalPerimeters(LATITUDE, LONGITUDE, { radiusKm: 5 });
+
+    expect(perimeters.map(perimeter => perimeter.name).sort()).toEqual(['CREEK', 'OLD GROWTH', 'RIDGE']);
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Flood Insurance Unit Tests
+ * Zone classes, premium components and rating factors, coverage limits and water proximity
+ */
+
+const mockGetNearbyWaterSites = jest.fn();
+
+jest.mock('../../../src/backend/src/integrations/clients/government/USGSClient', () =>
+  jest.fn().mockImplementation(() => ({ getNearbyWaterSites: mockGetNearbyWaterSites }))
+);
+
+const {
+  classifyZone,
+  calculateFloodInsurancePremium,
+  estimateFloodInsurance
+} = require('../../../src/helpers/floodInsurance');
+
+const AE_ZONE = {
+  flood_zone: 'AE',
+  base_flood_elevation_ft: 10,
+  special_flood_hazard_area: true,
+  insurance_required: true
+};
+
+const COVERAGE = { building: 250000, contents: 75000, uninsured_building_value: 50000 };
+
+const site = (siteType, distanceKm) => ({ siteNumber: `${siteType}-${distanceKm}`, siteType, location: { distanceKm } });
+
+describe('classifyZone', () => {
+  test.each([
+    ['VE', 'coastal_high_hazard'],
+    ['AE', 'high_hazard'],
+    ['AO', 'high_hazard'],
+    ['A99', 'protected'],
+    ['AR', 'protected'],
+    ['X', 'moderate_low'],
+    ['D', 'undetermined'],
+    ['UNMAPPED', 'undetermined'],
+    [null, 'undetermined']
+  ])('%s is %s', (zone, zoneClass) => {
+    expect(classifyZone(zone)).toBe(zoneClass);
+  });
+});
+
+describe('calculateFloodInsurancePremium', () => {
+  test('rates an elevated AE building from its elevation certificate', () => {
+    const premium = calculateFloodInsurancePremium({
+      floodZone: AE_ZONE,
+      attributes: {},
+      floodRiskScore: 50,
+      waterProximity: { available: false },
+      coverage: COVERAGE,
+      lowestFloorElevation: 12
+    });
+
+    expect(premium.zone_class).toBe('high_hazard');
+    expect(premium.nfip.annual_premium).toEqual({ low: 1530, estimate: 1920, high: 2390 });
+    expect(premium.nfip.components).toEqual({
+      building: 1188,
+      contents: 300,
+      icc: 75,
+      reserve_fund_assessment: 281,
+      hfiaa_surcharge: 25,
+      federal_policy_fee: 47
+    });
+    expect(premium.nfip.rating_factors).toEqual(expect.objectContaining({
+      elevation_factor: 0.5,
+      elevation_basis: 'elevation_difference',
+      elevation_difference_ft: 2,
+      distance_factor: 1
+    }));
+    expect(premium.private_market).toEqual({
+      annual_premium: { low: 1090, high: 1830 },
+      flood_risk_factor: 1,
+      excess_coverage_available: true
+    });
+  });
+
+  test('charges more below the base flood elevation and near monitored water', () => {
+    const rate = (lowestFloorElevation, waterProximity = { available: false }) => calculateFloodInsurancePremium({
+      floodZone: AE_ZONE,
+      attributes: {},
+      floodRiskScore: null,
+      waterProximity,
+      coverage: COVERAGE,
+      lowestFloorElevation
+    }).nfip;
+
+    expect(rate(8).rating_factors.elevation_factor).toBe(2);
+    expect(rate(8).annual_premium.estimate).toBeGreaterThan(rate(12).annual_premium.estimate);
+
+    const nearCoast = rate(10, { available: true, nearest_coast_km: 1, nearest_water_km: 2 });
+    const nearStream = rate(10, { available: true, nearest_coast_km: null, nearest_water_km: 2 });
+    expect(nearCoast.rating_factors.distance_factor).toBe(1.3);
+    expect(nearStream.rating_factors.distance_factor).toBe(1.05);
+  });
+
+  test('widens the range without an elevation certificate and applies the minimum premium', () => {
+    const premium = calculateFloodInsurancePremium({
+      floodZone: { flood_zone: 'X' },
+      attributes: {},
+      floodRiskScore: null,
+      waterProximity: null,
+      coverage: { building: 20000, contents: 5000, uninsured_building_value: 0 },
+      lowestFloorElevation: null
+    });
+
+    // $100 minimum, $6 ICC, 18% reserve fund, HFIAA surcharge and policy fee
+    expect(premium.nfip.annual_premium).toEqual({ low: 140, estimate: 200, high: 290 });
+    expect(premium.nfip.rating_factors.elevation_basis).toBe('assumed');
+    expect(premium.private_market.excess_coverage_available).toBe(false);
+  });
+});
+
+describe('estimateFloodInsurance', () => {
+  beforeEach(() => {
+    mockGetNearbyWaterSites.mockReset();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('measures distance to the nearest monitored water and coast', async () => {
+    mockGetNearbyWaterSites.mockResolvedValue({ sites: [site('ST', 0.8), site('ES', 4), site('LK', 6)] });
+
+    const estimate = await estimateFloodInsurance(29.76, -95.37, { floodZone: AE_ZONE, replacementValue: { amount: 400000 } });
+
+    expect(mockGetNearbyWaterSites).toHaveBeenCalledWith(29.76, -95.37, expect.objectContaining({ radiusKm: 25 }));
+    expect(estimate.water_proximity).toEqual(expect.objectContaining({
+      available: true,
+      nearest_water_km: 0.8,
+      nearest_coast_km: 4,
+      site_count: 3
+    }));
+    expect(estimate.coverage).toEqual({
+      building: 250000,
+      contents: 75000,
+      building_assumed: true,
+      contents_assumed: true,
+      uninsured_building_value: 150000
+    });
+    expect(estimate.assumptions).toContain('Contents coverage set to 30% of building coverage');
+  });
+
+  test('keeps the distance factor neutral when no monitored water is within range', async () => {
+    mockGetNearbyWaterSites.mockResolvedValue({ sites: [] });
+
+    const estimate = await estimateFloodInsurance(35.0, -101.0, { floodZone: AE_ZONE, buildingCoverage: 300000, contentsCoverage: 20000 });
+
+    expect(estimate.water_proximity).toEqual(expect.objectContaining({
+      available: false,
+      reason: 'no_monitored_water_within_radius',
+      nearest_water_km: null,
+      site_count: 0
+    }));
+    expect(estimate.nfip.rating_factors.distance_factor).toBe(1);
+    expect(estimate.coverage).toEqual(expect.objectContaining({ building: 250000, contents: 20000, building_assumed: false }));
+  });
+
+  test('estimates without water proximity when the USGS lookup fails', async () => {
+    mockGetNearbyWaterSites.mockRejectedValue(new Error('USGS water sites lookup failed: timeout'));
+
+    const estimate = await estimateFloodInsurance(29.76, -95.37, { floodZone: null });
+
+    expect(estimate.flood_zone).toBe('UNMAPPED');
+    expect(estimate.water_proximity).toEqual({ available: false, error: 'USGS water sites lookup failed: timeout' });
+    expect(estimate.nfip.rating_factors.distance_factor).toBe(1);
+  });
+});
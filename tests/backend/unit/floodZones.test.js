@@ -0,0 +1,186 @@
+/**
+ * Flood Zone Unit Tests
+ * NFHL importer arguments and field mapping, and property flood zone determinations
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../../src/helpers/dbOperations', () => ({
+  findFloodZoneAtPoint: jest.fn(),
+  upsertPropertyFloodZone: jest.fn(async () => ({}))
+}));
+
+const dbOperations = require('../../../src/helpers/dbOperations');
+const {
+  FLOOD_ZONE_DESCRIPTIONS,
+  isSpecialFloodHazardArea,
+  formatFloodZoneDetermination,
+  determineFloodZone
+} = require('../../../src/helpers/floodZones');
+const { parseArgs, getMergeStatements } = require('../../../scripts/import-nfhl-flood-zones');
+
+const AE_ROW = {
+  flood_zone_id: 42,
+  zone_code: 'AE',
+  zone_subtype: null,
+  zone_description: null,
+  insurance_required: true,
+  base_flood_elevation: '11.500',
+  community_id: '48201C',
+  panel_number: '48201C0680L',
+  effective_date: null
+};
+
+describe('NFHL importer arguments', () => {
+  let directory;
+  let archive;
+  let hazards;
+  let panels;
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'seawater-nfhl-'));
+    archive = path.join(directory, 'NFHL_48_20240105.zip');
+    hazards = path.join(directory, 'S_FLD_HAZ_AR.geojson');
+    panels = path.join(directory, 'S_FIRM_PAN.geojson');
+    [archive, hazards, panels].forEach(file => fs.writeFileSync(file, ''));
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('reads both NFHL layers from one archive by default', () => {
+    expect(parseArgs(['--source', archive])).toEqual({
+      source: archive,
+      hazardLayer: 'S_FLD_HAZ_AR',
+      panels: archive,
+      panelLayer: 'S_FIRM_PAN',
+      includePanels: true
+    });
+  });
+
+  test('uses single-layer GeoJSON files without layer names', () => {
+    expect(parseArgs(['--source', hazards, '--panels', panels])).toEqual(expect.objectContaining({
+      hazardLayer: null,
+      panelLayer: null
+    }));
+    expect(parseArgs(['--source', hazards, '--no-panels']).includePanels).toBe(false);
+  });
+
+  test.each([
+    [[], '--source is required'],
+    [['--source', 'missing.zip'], 'Source not found'],
+    [['--verbose'], 'Unknown argument: --verbose']
+  ])('rejects %j', (argv, message) => {
+    expect(() => parseArgs(argv)).toThrow(message);
+  });
+
+  test('needs a separate panels file for GeoJSON hazard areas', () => {
+    expect(() => parseArgs(['--source', hazards])).toThrow('GeoJSON sources need a separate --panels file');
+  });
+});
+
+describe('NFHL merge statements', () => {
+  test('merge panels before the zones that take their panel number', () => {
+    const statements = getMergeStatements(true);
+
+    expect(statements).toHaveLength(3);
+    expect(statements[0]).toContain('INSERT INTO flood_map_panels');
+    expect(statements[1].text).toContain('FROM flood_map_panels');
+    expect(statements[2]).toContain('SET superseded_at = NOW()');
+  });
+
+  test('map NFHL hazard area fields onto flood zones', () => {
+    const [zones] = getMergeStatements(false);
+
+    expect(zones.text).toContain("COALESCE(h.sfha_tf = 'T', LEFT(h.fld_zone, 1) IN ('A', 'V'))");
+    expect(zones.text).toContain('h.static_bfe <= -9999 THEN NULL');
+    expect(zones.text).toContain("h.len_unit ILIKE 'M%' THEN ROUND((h.static_bfe * 3.28084)::numeric, 3)");
+    expect(zones.text).toContain("h.fld_zone <> 'AREA NOT INCLUDED'");
+    expect(zones.text).not.toContain('flood_map_panels');
+    expect(JSON.parse(zones.values[0])).toEqual(FLOOD_ZONE_DESCRIPTIONS);
+  });
+});
+
+describe('formatFloodZoneDetermination', () => {
+  test.each([
+    ['AE', true],
+    ['VE', true],
+    ['A99', true],
+    ['X', false],
+    ['D', false],
+    [null, false]
+  ])('%s is in the Special Flood Hazard Area: %s', (zoneCode, expected) => {
+    expect(isSpecialFloodHazardArea(zoneCode)).toBe(expected);
+  });
+
+  test('reports the zone, base flood elevation and panel', () => {
+    expect(formatFloodZoneDetermination(AE_ROW)).toEqual({
+      flood_zone: 'AE',
+      zone_subtype: null,
+      description: FLOOD_ZONE_DESCRIPTIONS.AE,
+      special_flood_hazard_area: true,
+      insurance_required: true,
+      base_flood_elevation_ft: 11.5,
+      panel_number: '48201C0680L',
+      effective_date: null,
+      community_id: '48201C',
+      mapped: true,
+      data_source: 'FEMA_NFHL'
+    });
+  });
+
+  test('takes insurance_required from the NFHL flag over the zone letter', () => {
+    expect(formatFloodZoneDetermination({ ...AE_ROW, insurance_required: false }).insurance_required).toBe(false);
+    expect(formatFloodZoneDetermination({ ...AE_ROW, zone_code: 'X', insurance_required: null }).insurance_required).toBe(false);
+    expect(formatFloodZoneDetermination({ ...AE_ROW, zone_code: 'VE', insurance_required: undefined }).insurance_required).toBe(true);
+  });
+
+  test('leaves the insurance requirement unknown outside the imported zones', () => {
+    expect(formatFloodZoneDetermination({ panel_number: '48201C0680L' })).toEqual(expect.objectContaining({
+      flood_zone: 'UNMAPPED',
+      insurance_required: null,
+      special_flood_hazard_area: null,
+      panel_number: '48201C0680L',
+      mapped: false
+    }));
+    expect(formatFloodZoneDetermination(null).insurance_required).toBeNull();
+  });
+});
+
+describe('determineFloodZone', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('records the determination for a property', async () => {
+    dbOperations.findFloodZoneAtPoint.mockResolvedValue(AE_ROW);
+
+    const determination = await determineFloodZone(29.76, -95.37, 'property-1');
+
+    expect(dbOperations.findFloodZoneAtPoint).toHaveBeenCalledWith(29.76, -95.37);
+    expect(determination.flood_zone).toBe('AE');
+    expect(dbOperations.upsertPropertyFloodZone).toHaveBeenCalledWith({
+      propertyId: 'property-1',
+      floodZoneId: 42,
+      zoneCode: 'AE',
+      baseFloodElevation: '11.500',
+      panelNumber: '48201C0680L',
+      insuranceRequired: true,
+      effectiveDate: null,
+      assignmentMethod: 'spatial_intersection',
+      confidence: 0.95
+    });
+  });
+
+  test('records nothing for a point lookup or an unmapped property', async () => {
+    dbOperations.findFloodZoneAtPoint.mockResolvedValueOnce(AE_ROW).mockResolvedValueOnce(null);
+
+    await determineFloodZone(29.76, -95.37);
+    expect((await determineFloodZone(35, -101, 'property-2')).flood_zone).toBe('UNMAPPED');
+
+    expect(dbOperations.upsertPropertyFloodZone).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Risk Trends Handler Unit Tests
+ * GET /properties/trends/{address_hash} against a mocked repository and First Street client
+ */
+
+jest.mock('../../../src/helpers/dbOperations', () => ({
+  findPropertyByAddressHash: jest.fn(),
+  getCurrentRiskAssessment: jest.fn(),
+  getRiskTrends: jest.fn(),
+  upsertRiskTrends: jest.fn(async (propertyId, rows) => rows.length),
+  trackApiUsage: jest.fn(async () => {})
+}));
+
+jest.mock('../../../src/helpers/externalClients/firstStreetClient', () => {
+  const getClimateProjections = jest.fn();
+  const FirstStreetClient = jest.fn().mockImplementation(() => ({ getClimateProjections }));
+  FirstStreetClient.getClimateProjections = getClimateProjections;
+  return FirstStreetClient;
+});
+
+const dbOperations = require('../../../src/helpers/dbOperations');
+const FirstStreetClient = require('../../../src/helpers/externalClients/firstStreetClient');
+const { handler } = require('../../../src/handlers/climate/getRiskTrends');
+
+const ADDRESS_HASH = 'a'.repeat(64);
+
+const PROPERTY = {
+  id: 'property-1',
+  address: '1 Main St, Houston, TX',
+  address_hash: ADDRESS_HASH,
+  latitude: '29.7604',
+  longitude: '-95.3698'
+};
+
+const createEvent = (queryStringParameters = {}, addressHash = ADDRESS_HASH) => ({
+  httpMethod: 'GET',
+  path: `/properties/trends/${addressHash}`,
+  pathParameters: { address_hash: addressHash },
+  queryStringParameters,
+  headers: {},
+  body: null,
+  requestContext: { requestId: 'test-request-id' }
+});
+
+// The wrapper wraps the handler's success response once more
+const trendsOf = (response) => response.data.data;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  dbOperations.findPropertyByAddressHash.mockResolvedValue(PROPERTY);
+  dbOperations.getCurrentRiskAssessment.mockResolvedValue({
+    flood_risk_score: 50,
+    wildfire_risk_score: 20,
+    heat_risk_score: 40,
+    tornado_risk_score: 10,
+    hurricane_risk_score: 30,
+    confidence_level: '0.85'
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getRiskTrends handler', () => {
+  test('the repository exports every function the handler uses', () => {
+    const actual = jest.requireActual('../../../src/helpers/dbOperations');
+    Object.keys(dbOperations).forEach(name => {
+      expect(typeof actual[name]).toBe('function');
+    });
+  });
+
+  test('returns stored trends without calling First Street when every projected year is stored', async () => {
+    const projectedYears = [2030, 2040, 2050, 2060, 2070, 2080];
+    dbOperations.getRiskTrends.mockResolvedValue([
+      { trend_year: 2010, trend_type: 'historical', scenario: null, flood_score: 45, confidence_lower: null, confidence_upper: null, data_source: 'fema' },
+      ...projectedYears.map(year => ({
+        trend_year: year,
+        trend_type: 'projected',
+        scenario: 'rcp45',
+        flood_score: 50 + (year - 2030) / 10,
+        confidence_lower: '0.7',
+        confidence_upper: '0.9',
+        data_source: 'first_street_projection'
+      }))
+    ]);
+
+    const body = await handler(createEvent({ scenarios: 'rcp45' }), {});
+
+    expect(body.success).toBe(true);
+    expect(FirstStreetClient.getClimateProjections).not.toHaveBeenCalled();
+    expect(dbOperations.upsertRiskTrends).not.toHaveBeenCalled();
+    expect(trendsOf(body).historical).toEqual([
+      expect.objectContaining({ year: 2010, scores: expect.objectContaining({ flood: 45 }) })
+    ]);
+    expect(trendsOf(body).projected.rcp45.map(point => point.year)).toEqual(projectedYears);
+  });
+
+  test('projects and stores missing years from First Street projections', async () => {
+    dbOperations.getRiskTrends.mockResolvedValue([]);
+    FirstStreetClient.getClimateProjections.mockResolvedValue({
+      cached: false,
+      data: {
+        projections_available: true,
+        scenarios: {
+          rcp85: {
+            flood_projections: {
+              year_2035: { frequency_change: 0.15 },
+              year_2050: { frequency_change: 0.3 },
+              year_2080: { frequency_change: 0.6 }
+            },
+            wildfire_projections: { burn_probability_change: 0.3 },
+            heat_projections: { extreme_heat_days_change: 0.5 }
+          }
+        }
+      }
+    });
+
+    const body = await handler(createEvent({ scenarios: 'rcp85', start_year: '2030', end_year: '2050' }), {});
+
+    expect(body.success).toBe(true);
+    const storedRows = dbOperations.upsertRiskTrends.mock.calls[0][1];
+    expect(storedRows.map(row => row.trend_year)).toEqual([2030, 2040, 2050]);
+    expect(storedRows.every(row => row.scenario === 'rcp85' && row.trend_type === 'projected')).toBe(true);
+
+    const year2050 = trendsOf(body).projected.rcp85.find(point => point.year === 2050);
+    expect(year2050.scores.flood).toBe(65);
+    expect(year2050.scores.wildfire).toBe(26);
+    expect(year2050.scores.heat).toBe(60);
+    expect(year2050.scores.tornado).toBeNull();
+  });
+
+  test('returns stored trends only when First Street is unavailable', async () => {
+    dbOperations.getRiskTrends.mockResolvedValue([]);
+    FirstStreetClient.getClimateProjections.mockRejectedValue(new Error('rate limited'));
+
+    const body = await handler(createEvent(), {});
+
+    expect(body.success).toBe(true);
+    expect(dbOperations.upsertRiskTrends).not.toHaveBeenCalled();
+    expect(trendsOf(body).projected).toEqual({});
+  });
+
+  test('rejects malformed address hashes', async () => {
+    const body = await handler(createEvent({}, 'not-a-hash'), {});
+
+    expect(body.success).toBe(false);
+    expect(body.error_details.type).toBe('ValidationError');
+    expect(dbOperations.findPropertyByAddressHash).not.toHaveBeenCalled();
+  });
+
+  test('returns 404 for unknown properties', async () => {
+    dbOperations.findPropertyByAddressHash.mockResolvedValue(null);
+
+    const body = await handler(createEvent(), {});
+
+    expect(body.success).toBe(false);
+    expect(body.error_details.type).toBe('NotFoundError');
+  });
+});
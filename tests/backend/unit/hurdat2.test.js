@@ -0,0 +1,183 @@
+/**
+ * HURDAT2 Unit Tests
+ * Best-track parsing, the storm track index, closest approach, wind exposure and track risk scoring
+ */
+
+const {
+  categoryForWind,
+  parseHurdat2,
+  StormTrackIndex,
+  findStormEncounters,
+  selectNotableStorms,
+  calculateHurricaneTrackRisk
+} = require('../../../src/helpers/hurdat2');
+
+const NO_RADII = Array(12).fill('-999').join(', ');
+const RADII = '100, 100, 100, 100, 60, 60, 60, 60, 30, 30, 30, 30';
+
+const HURDAT2 = [
+  'AL012005,           TESTONE,      4,',
+  `20050801, 0000,  , TS, 27.0N,  90.0W,  50, 1000, ${NO_RADII},  -999,`,
+  `20050801, 0600,  , HU, 28.0N,  90.0W, 100,  960, ${RADII},  -999,`,
+  `20050801, 1200, L, HU, 29.0N,  90.0W,  90,  965, ${RADII},  -999,`,
+  `20050801, 1800,  , HU, 99.9X,  90.0W,  70,  980, ${NO_RADII},  -999,`,
+  'AL021940,           OLDSTORM,     2,',
+  `19400901, 0000,  , HU, 28.0N,  89.5W, 120, -999, ${NO_RADII},  -999,`,
+  `19400901, 0600,  , HU, 29.0N,  89.5W, 120, -999, ${NO_RADII},  -999,`,
+  'AL031999,                   ,     2,',
+  `19990901,  600,  , TS, 40.0N,  70.0W,  40, 1005, ${NO_RADII},  -999,`,
+  `19990901, 1200,  , TS, 41.0N,  70.0W,  40, 1005, ${NO_RADII},  -999,`,
+  'CP011994,           TESTPAC,      2,',
+  `19940801, 0000,  , HU, 20.0N, 179.5W,  70,  985, ${NO_RADII},  -999,`,
+  `19940801, 0600,  , HU, 20.0N, 179.5E,  70,  985, ${NO_RADII},  -999,`
+].join('\r\n');
+
+// East of the TESTONE track, level with the midpoint of its strongest segment
+const LATITUDE = 28.5;
+const LONGITUDE = -89.5;
+
+describe('categoryForWind', () => {
+  test.each([
+    [null, null],
+    [33, null],
+    [34, 0],
+    [63, 0],
+    [64, 1],
+    [96, 3],
+    [137, 5]
+  ])('%s kt is category %s', (windKt, category) => {
+    expect(categoryForWind(windKt)).toBe(category);
+  });
+});
+
+describe('parseHurdat2', () => {
+  const storms = parseHurdat2(HURDAT2);
+
+  test('reads each storm header with its fixes', () => {
+    expect(storms.map(storm => [storm.id, storm.basin, storm.name, storm.year, storm.fixes.length])).toEqual([
+      ['AL012005', 'AL', 'TESTONE', 2005, 3],
+      ['AL021940', 'AL', 'OLDSTORM', 1940, 2],
+      ['AL031999', 'AL', 'UNNAMED', 1999, 2],
+      ['CP011994', 'CP', 'TESTPAC', 1994, 2]
+    ]);
+  });
+
+  test('parses fix times, signed coordinates, missing values and peak wind', () => {
+    const [testOne, oldStorm, unnamed, testPac] = storms;
+
+    expect(testOne.fixes[2]).toEqual(expect.objectContaining({
+      time: '2005-08-01T12:00:00.000Z',
+      record_identifier: 'L',
+      status: 'HU',
+      latitude: 29,
+      longitude: -90,
+      wind_kt: 90,
+      pressure_mb: 965
+    }));
+    expect(testOne.fixes[0].record_identifier).toBeNull();
+    expect(testOne.peak_wind_kt).toBe(100);
+    expect(oldStorm.fixes[0].pressure_mb).toBeNull();
+    expect(unnamed.fixes[0].time).toBe('1999-09-01T06:00:00.000Z');
+    expect(testPac.fixes[1].longitude).toBe(179.5);
+  });
+
+  test('converts wind radii to kilometres and leaves unreported thresholds null', () => {
+    const [testOne] = storms;
+
+    expect(testOne.fixes[0].wind_radii_km).toEqual({ 34: null, 50: null, 64: null });
+    expect(testOne.fixes[1].wind_radii_km[34].ne).toBeCloseTo(185.2);
+    expect(testOne.fixes[1].wind_radii_km[64]).toEqual({ ne: 55.56, se: 55.56, sw: 55.56, nw: 55.56 });
+  });
+
+  test('ignores blank lines and fixes before any header', () => {
+    expect(parseHurdat2(`\n20050801, 0000,  , TS, 27.0N,  90.0W,  50, 1000, ${NO_RADII},\n\n`)).toEqual([]);
+  });
+});
+
+describe('findStormEncounters', () => {
+  const index = new StormTrackIndex(parseHurdat2(HURDAT2));
+
+  test('measures the closest approach along the track and the wind field there', () => {
+    const encounters = findStormEncounters(index, LATITUDE, LONGITUDE, 200);
+    const testOne = encounters.find(encounter => encounter.storm_id === 'AL012005');
+
+    expect(encounters.map(encounter => encounter.storm_id).sort()).toEqual(['AL012005', 'AL021940']);
+    expect(testOne).toEqual(expect.objectContaining({
+      date: '2005-08-01T09:00:00.000Z',
+      wind_kt_at_closest: 95,
+      category: 2,
+      peak_category: 3,
+      wind_exposure: 'hurricane_force',
+      wind_exposure_threshold_kt: 64,
+      wind_radii_estimated: false,
+      landfall_nearby: true
+    }));
+    expect(testOne.closest_approach_km).toBeCloseTo(48.9, 1);
+  });
+
+  test('falls back to typical radii before wind radii were reported', () => {
+    const oldStorm = findStormEncounters(index, LATITUDE, LONGITUDE, 200)
+      .find(encounter => encounter.storm_id === 'AL021940');
+
+    expect(oldStorm.closest_approach_km).toBe(0);
+    expect(oldStorm.wind_exposure).toBe('hurricane_force');
+    expect(oldStorm.wind_radii_estimated).toBe(true);
+  });
+
+  test('finds tracks that cross the antimeridian', () => {
+    const [encounter] = findStormEncounters(index, 20, 179.9, 50);
+
+    expect(encounter.storm_id).toBe('CP011994');
+    expect(encounter.closest_approach_km).toBe(0);
+    expect(encounter.category).toBe(1);
+  });
+
+  test('skips storms outside the distance and wind field', () => {
+    expect(findStormEncounters(index, 35, -80, 200)).toEqual([]);
+  });
+});
+
+describe('calculateHurricaneTrackRisk', () => {
+  const index = new StormTrackIndex(parseHurdat2(HURDAT2));
+
+  test('counts storms since the start year by distance band and category', () => {
+    const { score, details } = calculateHurricaneTrackRisk(index, LATITUDE, LONGITUDE);
+
+    expect(details.period).toEqual({ start_year: 1950, end_year: 2005, years: 56 });
+    expect(details.track_density).toEqual({
+      within_50_km: { storms: 1, annual_rate: 0.018 },
+      within_100_km: { storms: 1, annual_rate: 0.018 },
+      within_200_km: { storms: 1, annual_rate: 0.018 }
+    });
+    expect(details.storms_by_category.category_2).toBe(1);
+    expect(details.wind_exposure_counts.hurricane_force).toBe(1);
+    expect(details.weighted_annual_rate).toBe(0.009);
+    expect(score).toBe(7);
+    expect(details.notable_storms.map(storm => storm.storm_id)).toEqual(['AL012005']);
+  });
+
+  test('includes earlier storms when the start year allows', () => {
+    const recent = calculateHurricaneTrackRisk(index, LATITUDE, LONGITUDE);
+    const full = calculateHurricaneTrackRisk(index, LATITUDE, LONGITUDE, { startYear: 1900 });
+
+    expect(full.details.storms_by_category.category_4).toBe(1);
+    expect(full.details.notable_storms[0].storm_id).toBe('AL021940');
+    expect(full.score).toBeGreaterThan(recent.score);
+  });
+
+  test('scores zero far from every track', () => {
+    expect(calculateHurricaneTrackRisk(index, 45, -100).score).toBe(0);
+  });
+});
+
+describe('selectNotableStorms', () => {
+  test('drops depressions without a wind field and orders by impact', () => {
+    const storms = selectNotableStorms([
+      { storm_id: 'far', category: 4, closest_approach_km: 150, wind_exposure: null, wind_exposure_threshold_kt: null },
+      { storm_id: 'near', category: 1, closest_approach_km: 20, wind_exposure: null, wind_exposure_threshold_kt: null },
+      { storm_id: 'depression', category: null, closest_approach_km: 10, wind_exposure: null, wind_exposure_threshold_kt: null }
+    ]);
+
+    expect(storms.map(storm => [storm.storm_id, storm.impact_weight])).toEqual([['near', 0.35], ['far', 0.213]]);
+  });
+});
@@ -3,7 +3,6 @@
  * Unit tests for all Lambda functions in the Seawater platform
  */
 
-const { jest } = require('@jest/globals');
 
 // Mock AWS Lambda context
 const createMockContext = (options = {}) => ({
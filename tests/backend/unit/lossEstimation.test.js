@@ -0,0 +1,153 @@
+/**
+ * Loss Estimation Unit Tests
+ * Replacement values, expected annual loss, probable maximum loss and climate projections
+ */
+
+const mockGetRiskByCoordinates = jest.fn();
+
+jest.mock('../../../src/helpers/externalClients/femaDataClient', () =>
+  jest.fn().mockImplementation(() => ({ getRiskByCoordinates: mockGetRiskByCoordinates }))
+);
+
+const {
+  resolveReplacementValue,
+  calculateLossEstimates,
+  estimatePropertyLosses
+} = require('../../../src/helpers/lossEstimation');
+
+const NRI_HAZARDS = {
+  riverine_flooding: { loss_rate: 0.001, risk_score: 60 },
+  coastal_flooding: { loss_rate: 0.0005, risk_score: 40 },
+  wildfire: { loss_rate: 0.0002, risk_score: 20 }
+};
+
+const REPLACEMENT_VALUE = { amount: 400000, currency: 'USD', estimated: false, basis: 'Supplied on request' };
+
+const RISK_DATA = { flood_risk_score: 90, wildfire_risk_score: 80 };
+
+describe('resolveReplacementValue', () => {
+  test('uses the supplied value as given', () => {
+    expect(resolveReplacementValue(350000.4, { constructionClass: 'frame' }, 2000))
+      .toEqual({ amount: 350000, currency: 'USD', estimated: false, basis: 'Supplied on request' });
+  });
+
+  test('estimates from living area and construction class', () => {
+    expect(resolveReplacementValue(null, { constructionClass: 'masonry_non_combustible' }, 2000)).toEqual({
+      amount: 470000,
+      currency: 'USD',
+      estimated: true,
+      basis: '2000 sq ft at $235 per sq ft for masonry_non_combustible construction'
+    });
+  });
+
+  test('falls back to the default area and cost when unknown', () => {
+    const value = resolveReplacementValue(null, {}, null);
+
+    expect(value.amount).toBe(360000);
+    expect(value.basis).toBe('1800 sq ft (assumed) at $200 per sq ft');
+  });
+});
+
+describe('calculateLossEstimates', () => {
+  test('sums NRI hazards per risk type and scales by the location score, within bounds', () => {
+    const losses = calculateLossEstimates({ hazards: NRI_HAZARDS }, { riskData: RISK_DATA, replacementValue: REPLACEMENT_VALUE });
+
+    expect(losses.by_hazard.flood).toEqual({
+      loss_rate: 0.0015,
+      location_factor: 1.5,
+      vulnerability_multiplier: 1,
+      expected_annual_loss: 900,
+      pml_100: 18000,
+      pml_500: 40500
+    });
+    // 80 against a county score of 20 is capped at twice the county rate
+    expect(losses.by_hazard.wildfire.location_factor).toBe(2);
+    expect(losses.by_hazard.wildfire.expected_annual_loss).toBe(160);
+    expect(losses.expected_annual_loss).toBe(1060);
+    expect(losses.expected_annual_loss_ratio).toBe(0.00265);
+    expect(losses.projection).toBeNull();
+  });
+
+  test('applies vulnerability multipliers from the property risk', () => {
+    const losses = calculateLossEstimates({ hazards: NRI_HAZARDS }, {
+      riskData: RISK_DATA,
+      propertyRisk: { vulnerability: { wildfire: { multiplier: 1.5 } } },
+      replacementValue: REPLACEMENT_VALUE
+    });
+
+    expect(losses.by_hazard.wildfire).toEqual(expect.objectContaining({
+      vulnerability_multiplier: 1.5,
+      expected_annual_loss: 240,
+      pml_100: 8400
+    }));
+  });
+
+  test('reports the largest single-hazard PML and caps it at the maximum damage ratio', () => {
+    const losses = calculateLossEstimates(
+      { hazards: { ...NRI_HAZARDS, hurricane: { loss_rate: 0.05, risk_score: 90 } } },
+      { riskData: RISK_DATA, replacementValue: REPLACEMENT_VALUE }
+    );
+
+    expect(losses.by_hazard.hurricane.expected_annual_loss).toBe(20000);
+    expect(losses.probable_maximum_loss.return_period_100).toEqual({ amount: 400000, governing_hazard: 'hurricane' });
+    expect(losses.probable_maximum_loss.return_period_500).toEqual({ amount: 400000, governing_hazard: 'hurricane' });
+    expect(losses.expected_annual_loss).toBe(21060);
+  });
+
+  test('scales expected losses by the projected score change', () => {
+    const losses = calculateLossEstimates({ hazards: NRI_HAZARDS }, {
+      riskData: RISK_DATA,
+      projection: { scenario: 'ssp245', horizon: 2050, flood_risk_score: 99, wildfire_risk_score: null },
+      replacementValue: REPLACEMENT_VALUE
+    });
+
+    expect(losses.projection).toEqual({
+      scenario: 'ssp245',
+      horizon: 2050,
+      expected_annual_loss: 1150,
+      change: 90,
+      change_percent: 8.5,
+      by_hazard: { flood: 990, wildfire: 160 }
+    });
+  });
+});
+
+describe('estimatePropertyLosses', () => {
+  beforeEach(() => {
+    mockGetRiskByCoordinates.mockReset();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('estimates from the county NRI loss rates', async () => {
+    mockGetRiskByCoordinates.mockResolvedValue({
+      cached: true,
+      data: { data_available: true, county_name: 'Harris', state_name: 'Texas', expected_annual_loss: NRI_HAZARDS }
+    });
+
+    const result = await estimatePropertyLosses(29.76, -95.37, { riskData: RISK_DATA, replacementValue: 400000 });
+
+    expect(result).toEqual(expect.objectContaining({
+      data_available: true,
+      expected_annual_loss: 1060,
+      nri_county: 'Harris, Texas',
+      data_source: 'FEMA National Risk Index',
+      external_api_calls: 0
+    }));
+  });
+
+  test('reports unavailable data without failing when NRI has no loss rates or errors', async () => {
+    mockGetRiskByCoordinates.mockResolvedValueOnce({ cached: false, data: { data_available: true, expected_annual_loss: {} } });
+    mockGetRiskByCoordinates.mockRejectedValueOnce(new Error('NRI timeout'));
+
+    const empty = await estimatePropertyLosses(29.76, -95.37, { riskData: RISK_DATA });
+    const failed = await estimatePropertyLosses(29.76, -95.37, { riskData: RISK_DATA });
+
+    expect(empty).toEqual(expect.objectContaining({ data_available: false, external_api_calls: 1 }));
+    expect(empty.replacement_value.estimated).toBe(true);
+    expect(failed).toEqual(expect.objectContaining({ data_available: false, error: 'NRI timeout', external_api_calls: 1 }));
+  });
+});
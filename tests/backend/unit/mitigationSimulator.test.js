@@ -0,0 +1,105 @@
+/**
+ * Mitigation Simulator Unit Tests
+ * Per-retrofit score deltas and costs, not-applicable retrofits, the combined scenario and ranking
+ */
+
+const { simulateMitigations } = require('../../../src/helpers/mitigationSimulator');
+const { resolvePropertyAttributes } = require('../../../src/helpers/vulnerabilityCurves');
+
+const RISK_DATA = {
+  flood_risk_score: 80,
+  wildfire_risk_score: 60,
+  heat_risk_score: 40,
+  tornado_risk_score: 30,
+  hurricane_risk_score: 70
+};
+
+const MITIGATIONS = [
+  { type: 'elevation', feet: 4 },
+  { type: 'flood_vents' },
+  { type: 'defensible_space' },
+  { type: 'roof_tie_downs' }
+];
+
+const slabHouse = (overrides = {}) => resolvePropertyAttributes({ foundationType: 'slab', stories: 1, ...overrides }, {});
+
+const byType = (result, type) => result.mitigations.find(mitigation => mitigation.type === type);
+
+describe('simulateMitigations', () => {
+  const result = simulateMitigations(RISK_DATA, slabHouse(), MITIGATIONS, { squareFeet: 2000 });
+
+  test('scores each retrofit against the unmitigated baseline', () => {
+    expect(result.baseline).toEqual(expect.objectContaining({ flood_risk_score: 88, overall_risk_score: 66 }));
+
+    expect(byType(result, 'elevation').delta).toEqual({
+      flood_risk_score: -30,
+      wildfire_risk_score: 0,
+      heat_risk_score: 0,
+      tornado_risk_score: 0,
+      hurricane_risk_score: 0,
+      overall_risk_score: -9
+    });
+    expect(byType(result, 'defensible_space').delta.wildfire_risk_score).toBe(-18);
+    expect(byType(result, 'roof_tie_downs').delta).toEqual(expect.objectContaining({
+      hurricane_risk_score: -10,
+      tornado_risk_score: -4
+    }));
+  });
+
+  test('prices retrofits from the footprint and elevation height', () => {
+    expect(byType(result, 'elevation')).toEqual(expect.objectContaining({
+      parameters: { feet: 4 },
+      cost_estimate: { low: 66000, high: 160000, currency: 'USD', basis: '$33-$80 per sq ft of footprint to raise 4 ft' },
+      overall_reduction_per_1000_usd: 0.08
+    }));
+    expect(byType(result, 'defensible_space').cost_estimate).toEqual(expect.objectContaining({ low: 1000, high: 6000 }));
+  });
+
+  test('marks flood vents not applicable on a slab foundation', () => {
+    expect(byType(result, 'flood_vents')).toEqual({
+      type: 'flood_vents',
+      label: 'Install engineered flood vents',
+      parameters: {},
+      hazards_addressed: ['flood'],
+      applicable: false,
+      reason: 'Flood vents need an enclosure below the first floor; foundation is slab'
+    });
+
+    const vented = simulateMitigations(RISK_DATA, slabHouse({ foundationType: 'crawlspace' }), [{ type: 'flood_vents' }]);
+    expect(vented.mitigations[0].applicable).toBe(true);
+    expect(vented.mitigations[0].delta.flood_risk_score).toBeLessThan(0);
+  });
+
+  test('combines only the applicable retrofits, summing their costs', () => {
+    expect(result.combined.types).toEqual(['elevation', 'defensible_space', 'roof_tie_downs']);
+    expect(result.combined.scores).toEqual(expect.objectContaining({
+      flood_risk_score: 58,
+      wildfire_risk_score: 42,
+      hurricane_risk_score: 60,
+      overall_risk_score: 49
+    }));
+    expect(result.combined.delta.overall_risk_score).toBe(-17);
+    expect(result.combined.cost_estimate).toEqual({ low: 68800, high: 171000, currency: 'USD' });
+  });
+
+  test('ranks applicable retrofits by overall reduction per $1,000', () => {
+    expect(result.ranking).toEqual(['defensible_space', 'roof_tie_downs', 'elevation']);
+    expect(result.best_value).toBe('defensible_space');
+  });
+
+  test('reports the assumed living area and first-floor height', () => {
+    expect(result.assumptions).toEqual({
+      square_feet: 2000,
+      square_feet_assumed: false,
+      first_floor_elevation_ft: 1,
+      first_floor_elevation_assumed: true
+    });
+  });
+
+  test('has no combined scenario for a single retrofit', () => {
+    const single = simulateMitigations(RISK_DATA, slabHouse(), [{ type: 'defensible_space' }]);
+
+    expect(single.combined).toBeNull();
+    expect(single.assumptions.square_feet_assumed).toBe(true);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * NASA POWER Unit Tests
+ * Heat index exceedance days and precipitation deficits derived from the daily point record
+ */
+
+const NASAPowerClient = require('../../../src/backend/src/integrations/clients/government/NASAPowerClient');
+
+const FILL_VALUE = -999;
+
+// Daily T2M_MAX (C), QV2M (g/kg) and PS (kPa) giving heat indexes of about 66F, 95F and 117F
+const MILD = [20, 5, 101];
+const CAUTION = [33, 14, 101];
+const DANGER = [38, 20, 100];
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * POWER daily response for 2021-01-01 through 2024-12-31
+ * - Year i (0-3) has 10(i + 1) caution days and i + 1 danger days from 1 July.
+ * - Rain is 2 mm a day, falling to 1 mm a day for the last year of published data,
+ *   with a 12-day dry spell in March 2024.
+ * - The last 5 days are unpublished (fill values), as POWER lags real time.
+ */
+const createPowerResponse = () => {
+  const parameter = { T2M_MAX: {}, QV2M: {}, PS: {}, PRECTOTCORR: {} };
+  const lastPublished = new Date('2024-12-26T00:00:00Z');
+  const dryStart = new Date('2024-03-01T00:00:00Z');
+  const dryEnd = new Date('2024-03-12T00:00:00Z');
+
+  for (let day = new Date('2021-01-01T00:00:00Z'); day <= new Date('2024-12-31T00:00:00Z'); day.setUTCDate(day.getUTCDate() + 1)) {
+    const key = isoDate(day).replace(/-/g, '');
+    const yearIndex = day.getUTCFullYear() - 2021;
+    const dayOfSummer = Math.round((day - new Date(Date.UTC(day.getUTCFullYear(), 6, 1))) / 86400000);
+
+    let weather = MILD;
+    if (dayOfSummer >= 0 && dayOfSummer < yearIndex + 1) {
+      weather = DANGER;
+    } else if (dayOfSummer >= 0 && dayOfSummer < 11 * (yearIndex + 1)) {
+      weather = CAUTION;
+    }
+
+    let precipitation = day > new Date('2023-12-27T00:00:00Z') ? 1 : 2;
+    if (day >= dryStart && day <= dryEnd) precipitation = 0;
+
+    if (day > lastPublished) {
+      [parameter.T2M_MAX[key], parameter.QV2M[key], parameter.PS[key], parameter.PRECTOTCORR[key]] =
+        [FILL_VALUE, FILL_VALUE, FILL_VALUE, FILL_VALUE];
+    } else {
+      [parameter.T2M_MAX[key], parameter.QV2M[key], parameter.PS[key]] = weather;
+      parameter.PRECTOTCORR[key] = precipitation;
+    }
+  }
+
+  // A missing temperature reading leaves that day's heat index unknown
+  parameter.T2M_MAX['20220315'] = FILL_VALUE;
+
+  return { header: { fill_value: FILL_VALUE }, properties: { parameter } };
+};
+
+const createClient = () => {
+  const httpClient = { get: jest.fn(async () => ({ data: createPowerResponse() })) };
+  const client = new NASAPowerClient({ httpClient });
+  client.config.recentYears = 2;
+  return client;
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('NASA POWER heat index', () => {
+  const client = new NASAPowerClient();
+  const fahrenheitToC = (f) => (f - 32) * 5 / 9;
+
+  test.each([
+    [80, 40, 80],
+    [90, 50, 95],
+    [100, 40, 109],
+    [84, 90, 98]
+  ])('%iF at %i%% relative humidity feels like %iF', (temperatureF, humidity, heatIndexF) => {
+    expect(client._heatIndexF(fahrenheitToC(temperatureF), humidity)).toBeCloseTo(heatIndexF, 0);
+  });
+
+  test('derives relative humidity at the daily maximum from specific humidity', () => {
+    expect(client._relativeHumidityAt(33, 14, 101)).toBeCloseTo(44.8, 1);
+    expect(client._relativeHumidityAt(20, 0, 101)).toBe(0);
+    expect(client._relativeHumidityAt(20, 30, 101)).toBe(100);
+  });
+});
+
+describe('NASA POWER climate indicators', () => {
+  test('requests the daily parameters for the point', async () => {
+    const client = createClient();
+
+    const indicators = await client.getClimateIndicators(29.7604, -95.3698);
+
+    const url = new URL(client.httpClient.get.mock.calls[0][0]);
+    expect(url.searchParams.get('parameters')).toBe('T2M_MAX,QV2M,PS,PRECTOTCORR');
+    expect(url.searchParams.get('latitude')).toBe('29.7604');
+    expect(url.searchParams.get('start')).toBe('19910101');
+    expect(indicators.period).toEqual({ start: '2021-01-01', end: '2024-12-31' });
+    expect(indicators.cached).toBe(false);
+  });
+
+  test('counts annual heat index exceedance days overall and for the recent years', async () => {
+    const { heat } = await createClient().getClimateIndicators(29.7604, -95.3698);
+
+    // Caution days include danger days: 11, 22, 33 and 44 a year
+    expect(heat).toEqual({
+      caution_threshold_f: 90,
+      danger_threshold_f: 103,
+      annual_days_above_caution: 27.5,
+      annual_days_above_danger: 2.5,
+      recent_annual_days_above_caution: 38.5,
+      recent_annual_days_above_danger: 3.5,
+      max_heat_index_f: 117,
+      years_analyzed: 4
+    });
+  });
+
+  test('compares recent precipitation with the same windows in earlier years', async () => {
+    const { precipitation } = await createClient().getClimateIndicators(29.7604, -95.3698);
+
+    expect(precipitation.through_date).toBe('2024-12-26');
+    expect(precipitation.windows).toEqual({
+      '90_day': { total_mm: 90, normal_mm: 180, deficit_mm: 90, percent_of_normal: 50, years_in_normal: 3 },
+      '365_day': { total_mm: 353, normal_mm: 730, deficit_mm: 377, percent_of_normal: 48, years_in_normal: 2 }
+    });
+    expect(precipitation.longest_dry_spell_days).toBe(12);
+    // 730, 730, 726 and 349 mm over the published days of 2021-2024
+    expect(precipitation.annual_mean_mm).toBe(634);
+    expect(precipitation.years_analyzed).toBe(4);
+  });
+
+  test('leaves years with too few valid days out of annual statistics', () => {
+    const client = new NASAPowerClient();
+    const days = [
+      ...Array.from({ length: 365 }, (_, index) => ({ date: isoDate(new Date(Date.UTC(2023, 0, 1 + index))), heatIndexF: 95 })),
+      ...Array.from({ length: 200 }, (_, index) => ({ date: isoDate(new Date(Date.UTC(2024, 0, 1 + index))), heatIndexF: 95 }))
+    ];
+
+    expect(client._summarizeHeatIndex(days)).toEqual(expect.objectContaining({
+      annual_days_above_caution: 365,
+      years_analyzed: 1
+    }));
+  });
+
+  test('rejects responses missing a daily parameter', async () => {
+    const client = createClient();
+    client.httpClient.get.mockResolvedValue({ data: { properties: { parameter: { T2M_MAX: {} } } } });
+
+    await expect(client.getClimateIndicators(29.7604, -95.3698))
+      .rejects.toThrow('NASA POWER climate indicators failed: Invalid NASA POWER response format');
+  });
+});
+
+describe('NASA POWER climate risk', () => {
+  test('scores heat from exceedance days and drought from deficits and aridity', async () => {
+    const risk = await createClient().getClimateRisk(29.7604, -95.3698);
+
+    // Heat: 33 caution and 3 danger days a year averaged with the recent years
+    expect(risk.heatRisk.riskScore).toBe(Math.round(100 * (1 - Math.exp(-(33 + 4 * 3) / 75))));
+    // Drought: both windows at or below half of normal, plus 634 mm a year of aridity
+    expect(risk.droughtRisk.riskScore).toBe(Math.round(40 + 20 + 0.4 * ((1000 - 634) / 800) * 100));
+    expect(risk.heatRisk.confidence).toBe('low');
+  });
+
+  test('scores no heat risk without a complete year', () => {
+    expect(new NASAPowerClient()._calculateHeatScore({ annual_days_above_caution: null })).toBeNull();
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Overall Risk Score Unit Tests
+ * Weighted averaging of hazard scores, including region-specific hazards
+ */
+
+const { climateDataAggregator } = require('../../../src/helpers/climateDataAggregator');
+
+const BASE_SCORES = {
+  flood: 60,
+  wildfire: 40,
+  hurricane: 50,
+  earthquake: 20,
+  tornado: 30,
+  heat: 50,
+  drought: 40
+};
+
+describe('calculateOverallRisk', () => {
+  test('weights hazards by impact potential', () => {
+    // (60*.25 + 40*.2 + 50*.2 + 20*.15 + 30*.1 + 50*.05 + 40*.05) / 1.0
+    expect(climateDataAggregator.calculateOverallRisk(BASE_SCORES)).toBe(44);
+  });
+
+  test('ignores hazards without a score', () => {
+    expect(climateDataAggregator.calculateOverallRisk({ flood: 80, wildfire: null, heat: undefined })).toBe(80);
+    expect(climateDataAggregator.calculateOverallRisk({ flood: null })).toBe(0);
+  });
+
+  test('localized hazards with no exposure do not dilute the overall score', () => {
+    const overall = climateDataAggregator.calculateOverallRisk(BASE_SCORES);
+
+    expect(climateDataAggregator.calculateOverallRisk({
+      ...BASE_SCORES,
+      hail: 0,
+      landslide: 0,
+      volcanic: null
+    })).toBe(overall);
+  });
+
+  test('localized hazards count where the location is exposed', () => {
+    const overall = climateDataAggregator.calculateOverallRisk(BASE_SCORES);
+
+    expect(climateDataAggregator.calculateOverallRisk({ ...BASE_SCORES, volcanic: 90 })).toBeGreaterThan(overall);
+  });
+
+  test('a zero score for a widespread hazard still counts', () => {
+    expect(climateDataAggregator.calculateOverallRisk({ flood: 80, wildfire: 0 })).toBe(44);
+  });
+});
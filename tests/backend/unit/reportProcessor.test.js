@@ -0,0 +1,311 @@
+/**
+ * Report Processor Unit Tests
+ * Assembles report sections from their sources, degrades failing sections and stores the rendered PDF
+ */
+
+jest.mock('../../../src/helpers/dbOperations', () => ({
+  findPropertyByAddress: jest.fn(),
+  upsertProperty: jest.fn(),
+  upsertRiskAssessment: jest.fn(async () => {}),
+  markPropertyReportStarted: jest.fn(),
+  completePropertyReport: jest.fn(async () => {}),
+  failPropertyReport: jest.fn(async () => {}),
+  findStalledPropertyReports: jest.fn(async () => [])
+}));
+
+jest.mock('../../../src/helpers/geocodingService', () => ({
+  geocodeAddress: jest.fn()
+}));
+
+jest.mock('../../../src/helpers/climateDataAggregator', () => ({
+  aggregateClimateData: jest.fn(),
+  climateDataAggregator: {
+    assessPropertyRisk: jest.fn(async () => ({ flood_risk_score: 85 })),
+    projectRiskAssessment: jest.fn(async (latitude, longitude, riskData, scenario, horizon) => ({
+      scenario,
+      horizon,
+      overall_risk_score: 50 + (horizon - 2030) / 10
+    })),
+    isPremiumSourceAvailable: jest.fn(() => false)
+  }
+}));
+
+jest.mock('../../../src/helpers/disasterHistorySources', () => ({
+  fetchDisasterHistory: jest.fn()
+}));
+
+jest.mock('../../../src/helpers/floodZones', () => ({
+  determineFloodZone: jest.fn(async () => ({ flood_zone: 'AE', base_flood_elevation_ft: 11.5 }))
+}));
+
+jest.mock('../../../src/helpers/floodInsurance', () => ({
+  estimateFloodInsurance: jest.fn(async () => ({
+    annual_premium: { low: 1800, high: 2600 },
+    external_api_calls: 2
+  }))
+}));
+
+jest.mock('../../../src/helpers/externalClients/climateCheckClient', () => {
+  const getAdaptationRecommendations = jest.fn();
+  const ClimateCheckClient = jest.fn().mockImplementation(() => ({ getAdaptationRecommendations }));
+  ClimateCheckClient.getAdaptationRecommendations = getAdaptationRecommendations;
+  return ClimateCheckClient;
+});
+
+jest.mock('../../../src/helpers/propertyReport', () => ({
+  ...jest.requireActual('../../../src/helpers/propertyReport'),
+  renderPropertyReport: jest.fn(() => ({ buffer: Buffer.from('%PDF-1.4 report'), pageCount: 6 }))
+}));
+
+const dbOperations = require('../../../src/helpers/dbOperations');
+const { geocodeAddress } = require('../../../src/helpers/geocodingService');
+const { aggregateClimateData, climateDataAggregator } = require('../../../src/helpers/climateDataAggregator');
+const { fetchDisasterHistory } = require('../../../src/helpers/disasterHistorySources');
+const { estimateFloodInsurance } = require('../../../src/helpers/floodInsurance');
+const ClimateCheckClient = require('../../../src/helpers/externalClients/climateCheckClient');
+const { renderPropertyReport } = require('../../../src/helpers/propertyReport');
+const { setReportStorage } = require('../../../src/helpers/reportStorage');
+const { setJobQueue } = require('../../../src/helpers/jobQueue');
+const { PROPERTY_REPORT_JOB, processPropertyReport } = require('../../../src/helpers/reportProcessor');
+
+const PROPERTY = {
+  id: 'property-1',
+  address: '1 Main St, Houston, TX 77002',
+  latitude: '29.7604',
+  longitude: '-95.3698',
+  property_type: 'residential',
+  square_feet: 2000
+};
+
+const RISK_DATA = {
+  overall_risk_score: 64,
+  flood_risk_score: 82,
+  hurricane_risk_score: 71,
+  heat_risk_score: 55,
+  primary_risks: ['flood', 'hurricane', 'sinkhole']
+};
+
+const HISTORY = { summary: { total_events: 3 }, events: [{ type: 'flood', date: '2017-08-25' }] };
+
+const createReport = (overrides = {}) => ({
+  id: 'report-1',
+  address: '1 Main St, Houston, TX',
+  report_type: 'comprehensive',
+  template: 'standard',
+  options: { scenario: 'rcp85' },
+  attempts: 1,
+  ...overrides
+});
+
+// Data and options passed to the PDF renderer
+const rendered = () => renderPropertyReport.mock.calls[0];
+
+let storage;
+let queue;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  storage = { put: jest.fn(async () => {}) };
+  queue = { enqueue: jest.fn(async () => {}) };
+  setReportStorage(storage);
+  setJobQueue(queue);
+
+  dbOperations.markPropertyReportStarted.mockResolvedValue(createReport());
+  dbOperations.findPropertyByAddress.mockResolvedValue(PROPERTY);
+  aggregateClimateData.mockResolvedValue({
+    success: true,
+    riskData: RISK_DATA,
+    attribution: { flood: [{ source: 'FEMA_NFHL', weight: 1 }] }
+  });
+  fetchDisasterHistory.mockResolvedValue(HISTORY);
+  climateDataAggregator.isPremiumSourceAvailable.mockReturnValue(false);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  setReportStorage(null);
+  setJobQueue(null);
+});
+
+describe('processPropertyReport section assembly', () => {
+  test('assembles every section of a comprehensive report', async () => {
+    expect(await processPropertyReport({ reportId: 'report-1' })).toEqual({ reportId: 'report-1', status: 'completed' });
+
+    const [data, options] = rendered();
+    expect(options).toEqual({
+      reportType: 'comprehensive',
+      template: 'standard',
+      sections: ['summary', 'hazard_scores', 'flood_insurance', 'attribution', 'historical_events', 'projections', 'adaptation'],
+      branding: undefined
+    });
+    expect(data.property).toEqual({ address: PROPERTY.address, latitude: 29.7604, longitude: -95.3698 });
+    expect(data.assessment).toEqual({ ...RISK_DATA, assessment_date: data.generatedAt });
+    expect(data.attribution).toEqual({ flood: [{ source: 'FEMA_NFHL', weight: 1 }] });
+    expect(data.history).toBe(HISTORY);
+    expect(data.projections.map(projection => [projection.scenario, projection.horizon])).toEqual([
+      ['rcp85', 2030],
+      ['rcp85', 2050],
+      ['rcp85', 2080]
+    ]);
+    expect(data.floodInsurance).toEqual({ annual_premium: { low: 1800, high: 2600 } });
+  });
+
+  test('looks back 20 years for historical events', async () => {
+    await processPropertyReport({ reportId: 'report-1' });
+
+    expect(fetchDisasterHistory).toHaveBeenCalledWith(expect.objectContaining({
+      latitude: 29.7604,
+      longitude: -95.3698,
+      years: 20
+    }));
+  });
+
+  test('prices flood insurance from the flood zone and property-adjusted flood score', async () => {
+    await processPropertyReport({ reportId: 'report-1' });
+
+    expect(estimateFloodInsurance).toHaveBeenCalledWith(29.7604, -95.3698, expect.objectContaining({
+      floodZone: { flood_zone: 'AE', base_flood_elevation_ft: 11.5 },
+      floodRiskScore: 85
+    }));
+  });
+
+  test('falls back to general guidance for the primary hazards without ClimateCheck', async () => {
+    await processPropertyReport({ reportId: 'report-1' });
+
+    const { adaptation } = rendered()[0];
+    expect(ClimateCheckClient).not.toHaveBeenCalled();
+    expect(adaptation.general_guidance).toBe(true);
+    expect(adaptation.recommendations.map(recommendation => recommendation.category)).toEqual(['flood', 'hurricane']);
+    expect(adaptation.recommendations[0]).toEqual(expect.objectContaining({
+      action: expect.stringContaining('base flood elevation'),
+      cost_range: '$1,000 - $15,000'
+    }));
+  });
+
+  test('uses site-specific ClimateCheck recommendations when available', async () => {
+    const recommendations = { recommendations: [{ category: 'flood', action: 'Install flood vents' }] };
+    climateDataAggregator.isPremiumSourceAvailable.mockReturnValue(true);
+    ClimateCheckClient.getAdaptationRecommendations.mockResolvedValue({ data: recommendations });
+
+    await processPropertyReport({ reportId: 'report-1' });
+
+    expect(ClimateCheckClient.getAdaptationRecommendations).toHaveBeenCalledWith(29.7604, -95.3698, 'residential');
+    expect(rendered()[0].adaptation).toBe(recommendations);
+  });
+
+  test('loads only the sources a basic report needs', async () => {
+    dbOperations.markPropertyReportStarted.mockResolvedValue(createReport({ report_type: 'basic' }));
+
+    await processPropertyReport({ reportId: 'report-1' });
+
+    const [data, options] = rendered();
+    expect(options.sections).toEqual(['summary', 'hazard_scores']);
+    // The summary draws on history and projections
+    expect(data.history).toBe(HISTORY);
+    expect(data.projections).toHaveLength(3);
+    expect(data.floodInsurance).toBeNull();
+    expect(estimateFloodInsurance).not.toHaveBeenCalled();
+  });
+
+  test('narrows the sections to those requested', async () => {
+    dbOperations.markPropertyReportStarted.mockResolvedValue(createReport({
+      options: { sections: ['adaptation', 'hazard_scores'], branding: { company_name: 'Gulf Realty' } }
+    }));
+
+    await processPropertyReport({ reportId: 'report-1' });
+
+    const [data, options] = rendered();
+    expect(options.sections).toEqual(['hazard_scores', 'adaptation']);
+    expect(options.branding).toEqual({ company_name: 'Gulf Realty' });
+    expect(fetchDisasterHistory).not.toHaveBeenCalled();
+    expect(climateDataAggregator.projectRiskAssessment).not.toHaveBeenCalled();
+    expect(data.history).toBeNull();
+    expect(data.projections).toEqual([]);
+    expect(data.adaptation.general_guidance).toBe(true);
+  });
+
+  test('leaves a section empty when its source fails', async () => {
+    fetchDisasterHistory.mockRejectedValue(new Error('OpenFEMA unavailable'));
+    estimateFloodInsurance.mockRejectedValueOnce(new Error('USGS elevation timeout'));
+
+    expect((await processPropertyReport({ reportId: 'report-1' })).status).toBe('completed');
+
+    const [data] = rendered();
+    expect(data.history).toBeNull();
+    expect(data.floodInsurance).toBeNull();
+    expect(data.projections).toHaveLength(3);
+    expect(console.warn).toHaveBeenCalledWith('Report section history unavailable:', 'OpenFEMA unavailable');
+    expect(console.warn).toHaveBeenCalledWith('Report section flood_insurance unavailable:', 'USGS elevation timeout');
+  });
+
+  test('stores the PDF and records its size and page count', async () => {
+    await processPropertyReport({ reportId: 'report-1' });
+
+    expect(storage.put).toHaveBeenCalledWith('property-reports/report-1.pdf', Buffer.from('%PDF-1.4 report'));
+    expect(dbOperations.completePropertyReport).toHaveBeenCalledWith('report-1', {
+      propertyId: 'property-1',
+      storageKey: 'property-reports/report-1.pdf',
+      fileSizeBytes: 15,
+      pageCount: 6
+    });
+    expect(dbOperations.upsertRiskAssessment).toHaveBeenCalledWith(expect.objectContaining({
+      propertyId: 'property-1',
+      flood_risk_score: 82
+    }));
+  });
+
+  test('geocodes addresses that are not stored yet', async () => {
+    dbOperations.findPropertyByAddress.mockResolvedValue(null);
+    geocodeAddress.mockResolvedValue({ success: true, latitude: 29.7604, longitude: -95.3698, accuracy: 'ROOFTOP', source: 'census' });
+    dbOperations.upsertProperty.mockResolvedValue(PROPERTY);
+
+    await processPropertyReport({ reportId: 'report-1' });
+
+    expect(dbOperations.upsertProperty).toHaveBeenCalledWith(expect.objectContaining({
+      address: '1 Main St, Houston, TX',
+      normalizedAddress: '1 main st, houston, tx',
+      geocodingAccuracy: 'ROOFTOP',
+      geocodingSource: 'census'
+    }));
+    expect(rendered()[0].property.address).toBe(PROPERTY.address);
+  });
+});
+
+describe('processPropertyReport failures', () => {
+  test('skips reports that are no longer pending', async () => {
+    dbOperations.markPropertyReportStarted.mockResolvedValue(null);
+
+    expect(await processPropertyReport({ reportId: 'report-1' })).toEqual({ reportId: 'report-1', status: 'skipped' });
+    expect(renderPropertyReport).not.toHaveBeenCalled();
+  });
+
+  test('re-queues retryable climate data failures', async () => {
+    aggregateClimateData.mockResolvedValue({ success: false, error_source: 'NOAA' });
+
+    expect((await processPropertyReport({ reportId: 'report-1' })).status).toBe('retrying');
+    expect(queue.enqueue).toHaveBeenCalledWith(PROPERTY_REPORT_JOB, { reportId: 'report-1' });
+    expect(dbOperations.failPropertyReport).not.toHaveBeenCalled();
+  });
+
+  test('fails the report on its last attempt', async () => {
+    dbOperations.markPropertyReportStarted.mockResolvedValue(createReport({ attempts: 3 }));
+    aggregateClimateData.mockResolvedValue({ success: false, error_source: 'NOAA' });
+
+    expect((await processPropertyReport({ reportId: 'report-1' })).status).toBe('failed');
+    expect(queue.enqueue).not.toHaveBeenCalled();
+    expect(dbOperations.failPropertyReport).toHaveBeenCalledWith('report-1', 'Unable to retrieve climate risk data');
+  });
+
+  test('fails unknown addresses without retrying', async () => {
+    dbOperations.findPropertyByAddress.mockResolvedValue(null);
+    geocodeAddress.mockResolvedValue({ success: false });
+
+    expect((await processPropertyReport({ reportId: 'report-1' })).status).toBe('failed');
+    expect(queue.enqueue).not.toHaveBeenCalled();
+    expect(dbOperations.failPropertyReport).toHaveBeenCalledWith('report-1', 'Unable to geocode address: 1 Main St, Houston, TX');
+  });
+});
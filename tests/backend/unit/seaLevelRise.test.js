@@ -0,0 +1,184 @@
+/**
+ * Sea Level Rise Unit Tests
+ * ESRI ASCII grid loading and sampling, inundation probabilities and the sea level rise score
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const GRID_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'seawater-slr-'));
+process.env.SLR_GRID_DIR = GRID_DIR;
+
+const NoaaCoastalClient = require('../../../src/helpers/externalClients/noaaCoastalClient');
+const {
+  NATIONAL_SEA_LEVEL_RISE,
+  calculateSeaLevelRiseRisk,
+  assessSeaLevelRise
+} = require('../../../src/helpers/seaLevelRise');
+
+// Rows run north to south; a NODATA value that is not exact in 32 bits
+const NODATA = -9999.9;
+
+const writeGrid = (directory, name, rows, header = {}) => {
+  const lines = Object.entries({
+    ncols: rows[0].length,
+    nrows: rows.length,
+    xllcorner: -80.03,
+    yllcorner: 25.0,
+    cellsize: 0.01,
+    NODATA_value: NODATA,
+    ...header
+  }).filter(([, value]) => value !== undefined).map(([key, value]) => `${key} ${value}`);
+
+  fs.writeFileSync(path.join(directory, name), `${lines.concat(rows.map(row => row.join(' '))).join('\n')}\n`);
+};
+
+const uniform = (value) => [[value, value, value], [value, value, value], [value, value, value]];
+
+// Top row: low ground, high ground and NODATA
+writeGrid(GRID_DIR, 'elevation.asc', [[0.2, 3.5, NODATA], [1, 1, 1], [1, 1, 1]]);
+writeGrid(GRID_DIR, 'shoreline_distance.asc', uniform(0.1));
+writeGrid(GRID_DIR, 'slr_intermediate_2050.asc', uniform(0.35));
+
+const profile = (overrides = {}) => ({
+  ground_elevation_m: 0.2,
+  shoreline_distance_km: 0.1,
+  sea_level_rise_m: {
+    intermediate: { 2050: 0.35, 2100: 1.1 },
+    high: { 2050: 0.45, 2100: 1.9 }
+  },
+  ...overrides
+});
+
+afterAll(() => {
+  fs.rmSync(GRID_DIR, { recursive: true, force: true });
+  delete process.env.SLR_GRID_DIR;
+});
+
+describe('NoaaCoastalClient', () => {
+  test('samples every grid at the cell containing the point', async () => {
+    const { data, cached } = await new NoaaCoastalClient().getCoastalProfile(25.025, -80.025);
+
+    expect(cached).toBe(false);
+    expect(data.data_available).toBe(true);
+    expect(data.ground_elevation_m).toBeCloseTo(0.2, 5);
+    expect(data.shoreline_distance_km).toBeCloseTo(0.1, 5);
+    expect(data.sea_level_rise_m.intermediate[2050]).toBeCloseTo(0.35, 5);
+    // Missing grid files leave their values empty
+    expect(data.sea_level_rise_m.high[2100]).toBeNull();
+  });
+
+  test('treats NODATA cells and points outside the grid as no coverage', async () => {
+    const client = new NoaaCoastalClient();
+
+    expect((await client.getCoastalProfile(25.025, -80.005)).data).toEqual(expect.objectContaining({
+      data_available: false,
+      reason: 'outside_grid_coverage',
+      ground_elevation_m: null
+    }));
+    expect((await client.getCoastalProfile(26, -80.025)).data.shoreline_distance_km).toBeNull();
+  });
+
+  test('reports an unconfigured grid directory', async () => {
+    delete process.env.SLR_GRID_DIR;
+    const { data } = await new NoaaCoastalClient().getCoastalProfile(25.025, -80.025);
+    process.env.SLR_GRID_DIR = GRID_DIR;
+
+    expect(data).toEqual({ data_available: false, reason: 'grid_directory_not_configured' });
+  });
+
+  test('reads grids larger than one stream chunk and cell-centre origins', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'seawater-slr-large-'));
+    const size = 300;
+    const rows = Array.from({ length: size }, () => Array(size).fill(1.25));
+    rows[size - 1][size - 1] = 7.5;
+
+    try {
+      writeGrid(directory, 'elevation.asc', rows, { xllcorner: undefined, xllcenter: -79.9995, cellsize: 0.001 });
+      writeGrid(directory, 'shoreline_distance.asc', [[2]], { cellsize: 1 });
+
+      const { data } = await new NoaaCoastalClient({ gridDirectory: directory }).getCoastalProfile(25.0005, -79.7005);
+
+      expect(data.ground_elevation_m).toBe(7.5);
+      expect(data.shoreline_distance_km).toBe(2);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('fails with the file name when a grid is truncated', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'seawater-slr-bad-'));
+
+    try {
+      fs.writeFileSync(path.join(directory, 'elevation.asc'), 'ncols 2\nnrows 2\nxllcorner 0\nyllcorner 0\ncellsize 1\n1 2 3\n');
+
+      await expect(new NoaaCoastalClient({ gridDirectory: directory }).getCoastalProfile(0.5, 0.5))
+        .rejects.toThrow('Unable to load elevation.asc: Grid has 3 values, expected 4');
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('calculateSeaLevelRiseRisk', () => {
+  test('combines elevation and rise uncertainty into inundation probabilities', () => {
+    const { score, details } = calculateSeaLevelRiseRisk(profile());
+
+    expect(details.scenarios.intermediate[2050]).toEqual({
+      sea_level_rise_m: 0.35,
+      inundation_probability: 0.818,
+      high_tide_flooding_probability: 1
+    });
+    expect(details.connectivity_factor).toBe(1);
+    expect(details.slr_basis).toBe('local_grid');
+    expect(score).toBe(94);
+  });
+
+  test('scores high ground and ground far from the shoreline lower', () => {
+    const low = calculateSeaLevelRiseRisk(profile()).score;
+    const high = calculateSeaLevelRiseRisk(profile({ ground_elevation_m: 3.5 }));
+    const distant = calculateSeaLevelRiseRisk(profile({ shoreline_distance_km: 3.5 }));
+
+    expect(high.score).toBeLessThan(low);
+    expect(high.details.scenarios.intermediate[2050].inundation_probability).toBe(0);
+    expect(distant.details.connectivity_factor).toBe(0.368);
+    expect(distant.score).toBeLessThan(low);
+  });
+
+  test('scores inland points zero without scenarios', () => {
+    const { score, details } = calculateSeaLevelRiseRisk(profile({ shoreline_distance_km: 30 }));
+
+    expect(score).toBe(0);
+    expect(details.inland).toBe(true);
+    expect(details.scenarios).toBeNull();
+  });
+
+  test('falls back to the national average rise where the grids have no value', () => {
+    const { details } = calculateSeaLevelRiseRisk(profile({ sea_level_rise_m: { intermediate: { 2050: 0.35 } } }));
+
+    expect(details.slr_basis).toBe('national_average');
+    expect(details.scenarios.high[2100].sea_level_rise_m).toBe(NATIONAL_SEA_LEVEL_RISE.high[2100]);
+  });
+});
+
+describe('assessSeaLevelRise', () => {
+  test('scores a covered point from the loaded grids', async () => {
+    const result = await assessSeaLevelRise(25.025, -80.025);
+
+    expect(result.sea_level_rise_risk_score).toBeGreaterThan(90);
+    expect(result.sea_level_rise).toEqual(expect.objectContaining({
+      data_available: true,
+      ground_elevation_m: 0.2,
+      slr_basis: 'national_average',
+      data_source: 'NOAA Office for Coastal Management'
+    }));
+  });
+
+  test('returns a null score without coverage', async () => {
+    expect(await assessSeaLevelRise(25.025, -80.005)).toEqual({
+      sea_level_rise_risk_score: null,
+      sea_level_rise: { data_available: false, reason: 'outside_grid_coverage' }
+    });
+  });
+});
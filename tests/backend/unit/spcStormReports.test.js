@@ -0,0 +1,185 @@
+/**
+ * SPC Storm Reports Unit Tests
+ * Severe weather database parsing, track distances, kernel density scoring and the storm_reports client
+ */
+
+jest.mock('../../../src/helpers/dbOperations', () => ({
+  findStormReportsInBounds: jest.fn(),
+  getStormReportPeriod: jest.fn()
+}));
+
+const dbOperations = require('../../../src/helpers/dbOperations');
+const {
+  DEFAULT_BANDWIDTH_KM,
+  parseSpcReports,
+  getSearchRadiusKm,
+  getSearchBounds,
+  distanceToReportKm,
+  calculateStormReportRisk
+} = require('../../../src/helpers/spcStormReports');
+const SpcStormReportsClient = require('../../../src/helpers/externalClients/spcStormReportsClient');
+
+const TORNADO_CSV = [
+  'om,yr,mo,dy,date,time,tz,st,stf,stn,mag,inj,fat,loss,closs,slat,slon,elat,elon,len,wid,ns,sn,sg',
+  '1,1989,5,1,1989-05-01,14:00:00,3,OK,40,1,3,0,0,0,0,35.2,-97.4,35.3,-97.3,5,200,1,1,1',
+  '2,2013,5,20,2013-05-20,14:56:00,3,OK,40,1,5,212,24,0,0,35.3,-97.6,35.33,-97.4,13.85,1900,1,1,1',
+  '3,2013,5,20,2013-05-20,14:56:00,3,OK,40,1,5,0,0,0,0,35.3,-97.6,35.33,-97.4,13.85,1900,1,0,2',
+  '4,2015,4,1,2015-04-01,10:00:00,3,OK,40,1,-9,0,0,0,0,35.1,-97.2,0,0,0.1,10,1,1,1'
+].join('\n');
+
+const HAIL_CSV = [
+  'om,yr,mo,dy,date,time,tz,st,stf,stn,mag,inj,fat,loss,closs,slat,slon,elat,elon,len,wid,ns,sn,sg',
+  '1,1994,6,1,1994-06-01,15:00:00,3,TX,48,1,2.75,0,0,0,0,32.8,-97.1,0,0,0,0,0,0,0',
+  '2,2012,6,1,2012-06-01,15:00:00,3,TX,48,1,0.75,0,0,0,0,32.8,-97.1,0,0,0,0,0,0,0',
+  '3,2012,6,2,2012-06-02,15:00:00,3,TX,48,1,1.75,0,0,0,0,32.81,-97.12,0,0,0,0,0,0,0'
+].join('\r\n');
+
+const hailReport = (overrides = {}) => ({
+  type: 'hail',
+  year: 2010,
+  date: '2010-06-01',
+  magnitude: 1.75,
+  startLat: 32.8,
+  startLon: -97.1,
+  endLat: 32.8,
+  endLon: -97.1,
+  lengthKm: null,
+  widthM: null,
+  ...overrides
+});
+
+describe('parseSpcReports', () => {
+  test('keeps whole-track tornadoes from 1990 and converts units', () => {
+    const reports = parseSpcReports(TORNADO_CSV, 'tornado');
+
+    expect(reports.map(report => report.date)).toEqual(['2013-05-20', '2015-04-01']);
+    expect(reports[0]).toEqual(expect.objectContaining({
+      magnitude: 5,
+      startLat: 35.3,
+      endLon: -97.4,
+      lengthKm: 22.3,
+      widthM: 1737
+    }));
+  });
+
+  test('treats unrated tornadoes as unknown and missing end points as the start', () => {
+    const [, unrated] = parseSpcReports(TORNADO_CSV, 'tornado');
+
+    expect(unrated.magnitude).toBeNull();
+    expect(unrated.endLat).toBe(35.1);
+    expect(unrated.endLon).toBe(-97.2);
+  });
+
+  test('keeps hail of 1 inch or larger from 1995', () => {
+    const reports = parseSpcReports(HAIL_CSV, 'hail');
+
+    expect(reports).toHaveLength(1);
+    expect(reports[0].magnitude).toBe(1.75);
+    expect(parseSpcReports(HAIL_CSV, 'hail', { startYear: 1990, minHailSizeIn: 0.75 })).toHaveLength(3);
+  });
+
+  test('rejects files without the required columns', () => {
+    expect(() => parseSpcReports('yr,date,mag\n2010,2010-01-01,1', 'hail')).toThrow('missing the slat column');
+  });
+});
+
+describe('distanceToReportKm', () => {
+  test('measures to the nearest point of a tornado track', () => {
+    const track = hailReport({ type: 'tornado', startLat: 35, startLon: -98, endLat: 35, endLon: -97 });
+
+    expect(distanceToReportKm(track, 35.1, -97.5)).toBeCloseTo(11.1, 1);
+    expect(distanceToReportKm(track, 35, -97.5)).toBe(0);
+  });
+});
+
+describe('search area', () => {
+  test('covers at least 50 km and 3.5 bandwidths', () => {
+    expect(getSearchRadiusKm(DEFAULT_BANDWIDTH_KM)).toBe(140);
+    expect(getSearchRadiusKm(10)).toBe(50);
+  });
+
+  test('widens in longitude away from the equator', () => {
+    const [minLon, minLat, maxLon, maxLat] = getSearchBounds(60, 10, 111.195);
+
+    expect(maxLat - minLat).toBeCloseTo(2);
+    expect(maxLon - minLon).toBeCloseTo(4);
+    expect(minLon).toBeCloseTo(8);
+  });
+});
+
+describe('calculateStormReportRisk', () => {
+  const period = { first: 1995, last: 2024 };
+
+  test('scores zero with no reports nearby', () => {
+    const { score, details } = calculateStormReportRisk([], period, 'hail', 32.8, -97.1);
+
+    expect(score).toBe(0);
+    expect(details.largest_nearby).toBeNull();
+    expect(details.period).toEqual({ start_year: 1995, end_year: 2024 });
+  });
+
+  test('weights larger hail and closer reports more heavily', () => {
+    const reports = Array.from({ length: 30 }, (_, index) => hailReport({ year: 1995 + index }));
+    const small = calculateStormReportRisk(reports, period, 'hail', 32.8, -97.1).score;
+    const large = calculateStormReportRisk(reports.map(report => ({ ...report, magnitude: 3 })), period, 'hail', 32.8, -97.1).score;
+    const distant = calculateStormReportRisk(reports, period, 'hail', 33.3, -97.1).score;
+
+    expect(large).toBeGreaterThan(small);
+    expect(distant).toBeLessThan(small);
+  });
+
+  test('counts reports by distance band and reports the strongest nearby tornado', () => {
+    const reports = [
+      hailReport({ type: 'tornado', magnitude: 1, date: '2000-04-01' }),
+      hailReport({ type: 'tornado', magnitude: 3, date: '2011-04-27', startLat: 32.9, endLat: 32.9 }),
+      hailReport({ type: 'tornado', magnitude: 4, startLat: 34, endLat: 34 })
+    ];
+
+    const { details } = calculateStormReportRisk(reports, { first: 1990, last: 2024 }, 'tornado', 32.8, -97.1);
+
+    expect(details.reports_within_km).toEqual({ 10: 1, 25: 2, 50: 2 });
+    expect(details.significant_reports_within_neighborhood).toBe(1);
+    expect(details.strongest_nearby).toEqual(expect.objectContaining({ date: '2011-04-27', ef_rating: 3 }));
+  });
+});
+
+describe('SpcStormReportsClient', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('scores from the imported reports near the point', async () => {
+    dbOperations.getStormReportPeriod.mockResolvedValue({ first_year: 1995, last_year: 2024 });
+    dbOperations.findStormReportsInBounds.mockResolvedValue([{
+      report_type: 'hail',
+      report_year: 2012,
+      report_date: '2012-06-02',
+      magnitude: '2.50',
+      start_lat: '32.80000',
+      start_lon: '-97.10000',
+      end_lat: '32.80000',
+      end_lon: '-97.10000',
+      length_km: null,
+      width_m: null
+    }]);
+
+    const result = await new SpcStormReportsClient().getRiskData(32.8, -97.1, ['hail']);
+
+    const [type, bounds] = dbOperations.findStormReportsInBounds.mock.calls[0];
+    expect(type).toBe('hail');
+    expect(bounds[0]).toBeLessThan(-97.1);
+    expect(bounds[3]).toBeGreaterThan(32.8);
+    expect(result.risks.hail.score).toBeGreaterThan(0);
+    expect(result.risks.hail.largest_nearby).toEqual(expect.objectContaining({ size_in: 2.5, distance_km: 0 }));
+    expect(result.last_updated).toBe('2024-12-31');
+    expect(result.api_calls).toBe(0);
+  });
+
+  test('fails when no reports of the type have been imported', async () => {
+    dbOperations.getStormReportPeriod.mockResolvedValue({ first_year: null, last_year: null });
+    dbOperations.findStormReportsInBounds.mockResolvedValue([]);
+
+    await expect(new SpcStormReportsClient().getRiskData(32.8, -97.1, ['tornado']))
+      .rejects.toThrow('No SPC tornado reports have been imported');
+  });
+});
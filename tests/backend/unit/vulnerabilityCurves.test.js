@@ -0,0 +1,199 @@
+/**
+ * Vulnerability Curves Unit Tests
+ * Structure attribute multipliers and their combination with building code credits
+ */
+
+jest.mock('../../../src/helpers/dbOperations', () => ({
+  findBuildingCodesAtPoint: jest.fn()
+}));
+
+const dbOperations = require('../../../src/helpers/dbOperations');
+const {
+  interpolate,
+  resolvePropertyAttributes,
+  calculateHazardVulnerability,
+  applyVulnerabilityCurves
+} = require('../../../src/helpers/vulnerabilityCurves');
+const { formatBuildingCodeProfile } = require('../../../src/helpers/buildingCodes');
+const { climateDataAggregator } = require('../../../src/helpers/climateDataAggregator');
+
+// Two editions of a county wind code, newest first as findBuildingCodesAtPoint returns them
+const WIND_CODE_ROWS = [
+  {
+    jurisdiction_id: 1,
+    jurisdiction_name: 'Harris County',
+    jurisdiction_type: 'county',
+    code_type: 'wind',
+    code_name: 'IRC',
+    code_edition: '2018',
+    effective_date: '2018-01-01',
+    enforcement_level: 'full',
+    bcat_score: 80
+  },
+  {
+    jurisdiction_id: 1,
+    jurisdiction_name: 'Harris County',
+    jurisdiction_type: 'county',
+    code_type: 'wind',
+    code_name: 'IRC',
+    code_edition: '2000',
+    effective_date: '2001-01-01',
+    enforcement_level: 'full',
+    bcat_score: 40
+  }
+];
+
+const attributes = (overrides = {}) => ({
+  ...resolvePropertyAttributes({}, null),
+  ...overrides
+});
+
+describe('interpolate', () => {
+  const curve = [[1976, 1.15], [1994, 1.0], [2010, 0.9]];
+
+  test('interpolates linearly between points', () => {
+    expect(interpolate(curve, 1985)).toBeCloseTo(1.075);
+  });
+
+  test('holds the end values beyond the curve', () => {
+    expect(interpolate(curve, 1900)).toBe(1.15);
+    expect(interpolate(curve, 2024)).toBe(0.9);
+  });
+});
+
+describe('resolvePropertyAttributes', () => {
+  test('prefers request attributes over the stored property', () => {
+    const resolved = resolvePropertyAttributes({ yearBuilt: 2010 }, { year_built: 1960, stories: 2 });
+
+    expect(resolved.yearBuilt).toBe(2010);
+    expect(resolved.stories).toBe(2);
+  });
+
+  test('uses a stored basement flag as the foundation type', () => {
+    expect(resolvePropertyAttributes({}, { basement: true }).foundationType).toBe('basement');
+    expect(resolvePropertyAttributes({ foundationType: 'slab' }, { basement: true }).foundationType).toBe('slab');
+  });
+
+  test('leaves unknown attributes null', () => {
+    expect(Object.values(resolvePropertyAttributes()).every(value => value === null)).toBe(true);
+  });
+});
+
+describe('calculateHazardVulnerability', () => {
+  test('a measured first-floor elevation supersedes the foundation type for flood', () => {
+    const { multiplier, factors } = calculateHazardVulnerability('flood', attributes({
+      firstFloorElevation: 4,
+      foundationType: 'slab',
+      yearBuilt: 1970
+    }));
+
+    expect(multiplier).toBe(0.88);
+    expect(factors.map(factor => factor.attribute)).toEqual(['year_built', 'first_floor_elevation_ft']);
+  });
+
+  test('a basement still raises flood vulnerability above a measured elevation', () => {
+    const { multiplier } = calculateHazardVulnerability('flood', attributes({
+      firstFloorElevation: 4,
+      foundationType: 'basement'
+    }));
+
+    expect(multiplier).toBe(0.92);
+  });
+
+  test('caps the combined multiplier', () => {
+    const { multiplier, factors } = calculateHazardVulnerability('hurricane', attributes({
+      yearBuilt: 1950,
+      roofType: 'gable',
+      constructionClass: 'manufactured'
+    }));
+
+    expect(factors).toHaveLength(3);
+    expect(multiplier).toBe(2);
+  });
+
+  test('returns a neutral multiplier without attributes', () => {
+    expect(calculateHazardVulnerability('earthquake', attributes())).toEqual({ multiplier: 1, factors: [] });
+  });
+});
+
+describe('applyVulnerabilityCurves', () => {
+  test('scales each hazard and reports only the adjusted ones', () => {
+    const { scores, vulnerability } = applyVulnerabilityCurves(
+      { flood: 50, earthquake: 40, drought: 30, hail: null },
+      attributes({ firstFloorElevation: 4, constructionClass: 'joisted_masonry' })
+    );
+
+    expect(scores).toEqual({ flood: 40, earthquake: 52, drought: 30, hail: null });
+    expect(Object.keys(vulnerability)).toEqual(['flood', 'earthquake']);
+  });
+
+  test('keeps adjusted scores on the 0-100 scale', () => {
+    const { scores } = applyVulnerabilityCurves({ hurricane: 90 }, attributes({ constructionClass: 'manufactured' }));
+
+    expect(scores.hurricane).toBe(100);
+  });
+});
+
+describe('property risk with building codes', () => {
+  const riskData = { hurricane_risk_score: 60, tornado_risk_score: 50, flood_risk_score: 40 };
+
+  beforeEach(() => {
+    dbOperations.findBuildingCodesAtPoint.mockResolvedValue(WIND_CODE_ROWS);
+  });
+
+  test('applies the code in force at construction before the vulnerability curves', () => {
+    const propertyRisk = climateDataAggregator.assessPropertyVulnerability(
+      riskData,
+      attributes({ yearBuilt: 2010 }),
+      formatBuildingCodeProfile(WIND_CODE_ROWS, 2010)
+    );
+
+    // 60 x 0.9 (2000 IRC at BCAT 40) = 54, then x 0.9 (2010 construction) = 48.6
+    expect(propertyRisk.hurricane_risk_score).toBe(49);
+    expect(propertyRisk.building_codes.vulnerability_adjustments.hurricane).toEqual(expect.objectContaining({
+      multiplier: 0.9,
+      basis: 'code_at_construction',
+      unadjusted_score: 60,
+      adjusted_score: 54
+    }));
+  });
+
+  test('looks up codes for the requested construction year, not the stored one', async () => {
+    const propertyRisk = await climateDataAggregator.assessPropertyRisk(
+      29.76,
+      -95.37,
+      riskData,
+      resolvePropertyAttributes({ yearBuilt: 2010 }, { year_built: 1960 })
+    );
+
+    expect(dbOperations.findBuildingCodesAtPoint).toHaveBeenCalledWith(29.76, -95.37);
+    expect(propertyRisk.building_codes.year_built).toBe(2010);
+    expect(propertyRisk.attributes.year_built).toBe(2010);
+    expect(propertyRisk.hurricane_risk_score).toBe(49);
+  });
+
+  test('credits the current code when the construction year is unknown', async () => {
+    const propertyRisk = await climateDataAggregator.assessPropertyRisk(29.76, -95.37, riskData, attributes());
+
+    expect(propertyRisk.building_codes.vulnerability_adjustments.hurricane).toEqual(expect.objectContaining({
+      multiplier: 0.8,
+      basis: 'current_code'
+    }));
+    expect(propertyRisk.hurricane_risk_score).toBe(48);
+  });
+
+  test('leaves the location scores untouched', async () => {
+    await climateDataAggregator.assessPropertyRisk(29.76, -95.37, riskData, attributes({ yearBuilt: 2010 }));
+
+    expect(riskData).toEqual({ hurricane_risk_score: 60, tornado_risk_score: 50, flood_risk_score: 40 });
+  });
+
+  test('reports no codes where no jurisdiction covers the point', async () => {
+    dbOperations.findBuildingCodesAtPoint.mockResolvedValue([]);
+
+    const propertyRisk = await climateDataAggregator.assessPropertyRisk(29.76, -95.37, riskData, attributes());
+
+    expect(propertyRisk.building_codes).toBeNull();
+    expect(propertyRisk.hurricane_risk_score).toBe(60);
+  });
+});